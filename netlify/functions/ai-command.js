@@ -4,6 +4,7 @@
  */
 
 const bot = require('../../src');
+const { connectSharedStore } = require('../../src/core/store');
 
 // Initialize on cold start
 let initialized = false;
@@ -41,8 +42,13 @@ exports.handler = async function (event, context) {
   }
 
   try {
+    // Pending confirmations are shared with the other functions
+    connectSharedStore(event);
     await ensureInitialized();
 
+    // Pick up depeg pauses (checking the pegs when due) before anything executes
+    await bot.syncDepegPauses();
+
     // Parse request body
     const body = JSON.parse(event.body || '{}');
     const { command, userId, options = {} } = body;
@@ -59,7 +65,6 @@ exports.handler = async function (event, context) {
     const result = await bot.processCommand(command, {
       userId,
       autoConfirm: options.autoConfirm,
-      confirmed: options.confirmed,
       defaultChainId: options.chainId,
     });
 
@@ -1,9 +1,16 @@
 /**
  * Check Airdrop Eligibility API
  * Checks wallet eligibility for tracked airdrops
+ *
+ * With plan=true (and a protocol) returns the costed steps that close the
+ * wallet's gaps instead; POST { plan: true, queue: true } with an API token
+ * (Authorization: Bearer) also queues those steps for the token's user, to be
+ * confirmed one by one through confirm-command.
  */
 
 const bot = require('../../src');
+const { connectSharedStore } = require('../../src/core/store');
+const { resolveApiUser } = require('../../src/security/api-tokens');
 
 // Initialize on cold start
 let initialized = false;
@@ -25,7 +32,7 @@ exports.handler = async function (event, context) {
       statusCode: 200,
       headers: {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
         'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
       },
       body: '',
@@ -33,26 +40,58 @@ exports.handler = async function (event, context) {
   }
 
   try {
+    // Queued steps are shared with confirm-command
+    connectSharedStore(event);
     await ensureInitialized();
 
     let protocol = null;
     let walletAddress = 'primary';
+    let plan = false;
+    let queue = false;
 
     // Parse parameters from query string or body
     if (event.httpMethod === 'GET') {
       protocol = event.queryStringParameters?.protocol;
       walletAddress = event.queryStringParameters?.wallet || 'primary';
+      plan = event.queryStringParameters?.plan === 'true';
     } else if (event.httpMethod === 'POST') {
       const body = JSON.parse(event.body || '{}');
       protocol = body.protocol;
       walletAddress = body.wallet || 'primary';
+      plan = body.plan === true;
+      queue = body.queue === true;
     }
 
-    // Check eligibility
-    const result = await bot.checkAirdrop({
-      protocol,
-      walletAddress,
-    });
+    if (plan && !protocol) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'protocol is required for a plan' }),
+      };
+    }
+
+    const userId = queue ? resolveApiUser(event.headers) : null;
+    if (queue && !userId) {
+      return {
+        statusCode: 401,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'A valid API token is required to queue a plan' }),
+      };
+    }
+
+    let result;
+    if (plan) {
+      result = await bot.planAirdrop({ protocol, walletAddress });
+      if (queue && result.success) {
+        result.queue = await bot.queueAirdropPlan(result, { userId });
+      }
+    } else {
+      // Check eligibility
+      result = await bot.checkAirdrop({
+        protocol,
+        walletAddress,
+      });
+    }
 
     return {
       statusCode: 200,
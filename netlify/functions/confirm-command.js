@@ -0,0 +1,107 @@
+/**
+ * Command Confirmation API Endpoint
+ * Confirms or cancels a command by the confirmationId ai-command returned
+ *
+ * The caller is identified by their API token (Authorization: Bearer), so
+ * only the user a command belongs to can confirm it.
+ */
+
+const bot = require('../../src');
+const { resolveApiUser } = require('../../src/security/api-tokens');
+const { connectSharedStore } = require('../../src/core/store');
+
+// Initialize on cold start
+let initialized = false;
+
+async function ensureInitialized() {
+  if (!initialized) {
+    await bot.initialize();
+    initialized = true;
+  }
+}
+
+const ACTIONS = ['confirm', 'cancel'];
+
+/**
+ * Main handler
+ */
+exports.handler = async function (event, context) {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      },
+      body: '',
+    };
+  }
+
+  // Only accept POST
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' }),
+    };
+  }
+
+  try {
+    // Pending confirmations are shared with the other functions
+    connectSharedStore(event);
+    await ensureInitialized();
+
+    // Pick up depeg pauses (checking the pegs when due) before anything executes
+    await bot.syncDepegPauses();
+
+    const body = JSON.parse(event.body || '{}');
+    const { confirmationId, action = 'confirm' } = body;
+
+    if (!confirmationId || !ACTIONS.includes(action)) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'confirmationId and an action of "confirm" or "cancel" are required' }),
+      };
+    }
+
+    const userId = resolveApiUser(event.headers);
+    if (!userId) {
+      return {
+        statusCode: 401,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'A valid API token is required' }),
+      };
+    }
+
+    const result = action === 'confirm'
+      ? await bot.confirmCommand(confirmationId, { userId })
+      : await bot.cancelCommand(confirmationId, { userId });
+
+    const statusCode = result.status === 'not_found' ? 404
+      : result.status === 'forbidden' ? 403
+        : result.status === 'expired' ? 410
+          : 200;
+
+    return {
+      statusCode,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+      },
+      body: JSON.stringify(result),
+    };
+  } catch (error) {
+    console.error('Confirm Command Error:', error);
+
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        success: false,
+        error: error.message,
+      }),
+    };
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * Discord Interactions Background Function
+ * Runs the commands and button presses discord-interactions acknowledged
+ * and edits the original message with the result
+ *
+ * Receives the signed request exactly as Discord sent it; the bot verifies
+ * the signature again and refuses requests older than a minute.
+ */
+
+const bot = require('../../src');
+const { connectSharedStore } = require('../../src/core/store');
+const { getDiscordBot } = require('../../src/services/bots/discord');
+
+// Initialize on cold start
+let initialized = false;
+
+async function ensureInitialized() {
+  if (!initialized) {
+    await bot.initialize();
+    initialized = true;
+  }
+}
+
+/**
+ * Main handler
+ */
+exports.handler = async function (event, context) {
+  try {
+    // Pending confirmations are shared with the other functions
+    connectSharedStore(event);
+    await ensureInitialized();
+
+    // Pick up depeg pauses (checking the pegs when due) before anything executes
+    await bot.syncDepegPauses();
+
+    const { statusCode } = await getDiscordBot().handleForwarded(event.headers, event.body || '');
+    return { statusCode, body: '' };
+  } catch (error) {
+    console.error('Discord Background Error:', error);
+
+    return { statusCode: 500, body: '' };
+  }
+};
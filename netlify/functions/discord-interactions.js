@@ -0,0 +1,87 @@
+/**
+ * Discord Interactions Endpoint
+ * Set as the application's Interactions Endpoint URL; requests are verified
+ * against DISCORD_PUBLIC_KEY
+ *
+ * Commands and button presses are acknowledged with a deferred response and
+ * the signed request is forwarded to discord-interactions-background, which
+ * does the work and edits the message; a lambda stops once it has replied.
+ */
+
+const bot = require('../../src');
+const { connectSharedStore } = require('../../src/core/store');
+const { getDiscordBot } = require('../../src/services/bots/discord');
+
+const BACKGROUND_PATH = '/.netlify/functions/discord-interactions-background';
+
+// Initialize on cold start
+let initialized = false;
+
+async function ensureInitialized() {
+  if (!initialized) {
+    await bot.initialize();
+    initialized = true;
+  }
+}
+
+/**
+ * Hand a deferred interaction to the background function
+ */
+function forwardToBackground(siteUrl) {
+  return async (interaction, { headers, rawBody }) => {
+    const header = (name) => Object.entries(headers).find(([key]) => key.toLowerCase() === name)?.[1];
+    const response = await fetch(siteUrl + BACKGROUND_PATH, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Signature-Ed25519': header('x-signature-ed25519'),
+        'X-Signature-Timestamp': header('x-signature-timestamp'),
+      },
+      body: rawBody,
+    });
+
+    // Background functions answer 202 once the invocation is queued
+    if (!response.ok) {
+      throw new Error(`Could not start the command (${response.status})`);
+    }
+  };
+}
+
+/**
+ * Main handler
+ */
+exports.handler = async function (event, context) {
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' }),
+    };
+  }
+
+  // The signature covers the exact bytes Discord sent
+  const rawBody = event.isBase64Encoded
+    ? Buffer.from(event.body || '', 'base64').toString('utf8')
+    : event.body || '';
+
+  try {
+    // Pending confirmations are shared with the other functions
+    connectSharedStore(event);
+    await ensureInitialized();
+
+    const siteUrl = process.env.URL || `https://${event.headers.host}`;
+    const { statusCode, body } = await getDiscordBot({ dispatch: forwardToBackground(siteUrl) })
+      .handleRequest(event.headers, rawBody);
+    return {
+      statusCode,
+      headers: { 'Content-Type': statusCode === 200 ? 'application/json' : 'text/plain' },
+      body,
+    };
+  } catch (error) {
+    console.error('Discord Interactions Error:', error);
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
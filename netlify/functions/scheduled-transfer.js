@@ -5,6 +5,7 @@
 
 const { schedule } = require('@netlify/functions');
 const bot = require('../../src');
+const { connectSharedStore } = require('../../src/core/store');
 const notifications = require('../../src/services/notifications');
 const logger = require('../../src/utils/logger');
 
@@ -25,8 +26,13 @@ const handler = async function (event, context) {
   logger.info('Scheduled transfer triggered');
 
   try {
+    // Depeg pauses are shared with the other functions
+    connectSharedStore(event);
     await ensureInitialized();
 
+    // Pick up depeg pauses (checking the pegs when due) before anything executes
+    await bot.syncDepegPauses();
+
     // Get transfer configuration from environment
     const transferConfig = {
       token: process.env.TRANSFER_TOKEN || 'USDC',
@@ -0,0 +1,67 @@
+/**
+ * Scheduler Tick Function
+ * Runs every due job from the strategy file (STRATEGY_FILE)
+ *
+ * The catch-up window matches the 5 minute tick, so each cron fire is
+ * picked up by exactly one tick. Set SCHEDULER_HISTORY_FILE to a durable
+ * path to keep run history across cold starts.
+ */
+
+const { schedule } = require('@netlify/functions');
+const bot = require('../../src');
+const { connectSharedStore } = require('../../src/core/store');
+const { getScheduler } = require('../../src/services/scheduler');
+const notifications = require('../../src/services/notifications');
+const logger = require('../../src/utils/logger');
+
+const TICK_INTERVAL_MS = 5 * 60 * 1000;
+
+// Initialize on cold start
+let initialized = false;
+
+async function ensureInitialized() {
+  if (!initialized) {
+    await bot.initialize();
+    initialized = true;
+  }
+}
+
+/**
+ * Handler for the scheduler tick
+ */
+const handler = async function (event, context) {
+  logger.info('Scheduler tick triggered');
+
+  try {
+    // Depeg pauses are shared with the other functions
+    connectSharedStore(event);
+    await ensureInitialized();
+
+    // Pick up depeg pauses (checking the pegs when due) before anything executes
+    await bot.syncDepegPauses();
+
+    const scheduler = getScheduler({ catchUpWindow: TICK_INTERVAL_MS });
+    const runs = await scheduler.tick();
+
+    logger.info('Scheduler tick completed', {
+      runs: runs.length,
+      failed: runs.filter(r => r.status === 'failed').length,
+    });
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ runs }),
+    };
+  } catch (error) {
+    logger.error('Scheduler tick error:', error);
+
+    await notifications.notifyError(error, { operation: 'scheduler-tick' });
+
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message }),
+    };
+  }
+};
+
+exports.handler = schedule('*/5 * * * *', handler);
@@ -0,0 +1,43 @@
+/**
+ * Telegram Webhook Background Function
+ * Runs the updates telegram-webhook acknowledged; replies go out through
+ * the Bot API
+ *
+ * Receives the update with the secret token header it arrived with; the bot
+ * verifies it again.
+ */
+
+const bot = require('../../src');
+const { connectSharedStore } = require('../../src/core/store');
+const { getTelegramBot } = require('../../src/services/bots/telegram');
+
+// Initialize on cold start
+let initialized = false;
+
+async function ensureInitialized() {
+  if (!initialized) {
+    await bot.initialize();
+    initialized = true;
+  }
+}
+
+/**
+ * Main handler
+ */
+exports.handler = async function (event, context) {
+  try {
+    // Pending confirmations are shared with the other functions
+    connectSharedStore(event);
+    await ensureInitialized();
+
+    // Pick up depeg pauses (checking the pegs when due) before anything executes
+    await bot.syncDepegPauses();
+
+    const { statusCode } = await getTelegramBot().handleForwarded(event.headers, event.body || '');
+    return { statusCode, body: '' };
+  } catch (error) {
+    console.error('Telegram Background Error:', error);
+
+    return { statusCode: 500, body: '' };
+  }
+};
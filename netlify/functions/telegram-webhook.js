@@ -0,0 +1,73 @@
+/**
+ * Telegram Webhook Endpoint
+ * Receives Bot API updates; register it with
+ * setWebhook(url, secret_token = TELEGRAM_WEBHOOK_SECRET)
+ *
+ * Updates are refused unless TELEGRAM_WEBHOOK_SECRET is set and matches.
+ * Verified updates are forwarded to telegram-webhook-background, which runs
+ * the command; this function only acknowledges them.
+ */
+
+const bot = require('../../src');
+const { getTelegramBot } = require('../../src/services/bots/telegram');
+
+const BACKGROUND_PATH = '/.netlify/functions/telegram-webhook-background';
+
+// Initialize on cold start
+let initialized = false;
+
+async function ensureInitialized() {
+  if (!initialized) {
+    await bot.initialize();
+    initialized = true;
+  }
+}
+
+/**
+ * Hand a verified update to the background function
+ */
+function forwardToBackground(siteUrl) {
+  return async (update, { headers, body }) => {
+    const secret = Object.entries(headers)
+      .find(([key]) => key.toLowerCase() === 'x-telegram-bot-api-secret-token')?.[1];
+    const response = await fetch(siteUrl + BACKGROUND_PATH, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Telegram-Bot-Api-Secret-Token': secret,
+      },
+      body,
+    });
+
+    // Background functions answer 202 once the invocation is queued
+    if (!response.ok) {
+      throw new Error(`Could not start the update (${response.status})`);
+    }
+  };
+}
+
+/**
+ * Main handler
+ */
+exports.handler = async function (event, context) {
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      body: JSON.stringify({ error: 'Method not allowed' }),
+    };
+  }
+
+  try {
+    await ensureInitialized();
+
+    const siteUrl = process.env.URL || `https://${event.headers.host}`;
+    const { statusCode } = await getTelegramBot({ dispatch: forwardToBackground(siteUrl) })
+      .handleWebhook(event.headers, event.body);
+    return { statusCode, body: '' };
+  } catch (error) {
+    console.error('Telegram Webhook Error:', error);
+
+    // Telegram retries non-2xx responses; a failing update should not be replayed forever
+    return { statusCode: 200, body: '' };
+  }
+};
@@ -0,0 +1,311 @@
+/**
+ * Conversation Memory
+ * Per-user state that lets a command span several messages
+ *
+ * When a command fails validation only because entities are missing, the
+ * partial command is kept and the user is asked for the missing slot. The
+ * next message is merged into it instead of being parsed on its own. The
+ * last successfully parsed command is also kept so references like
+ * "do that again" or "same amount to wallet 2" can be resolved.
+ *
+ * Sessions are kept in the shared store (core/store), so a reply can reach
+ * a different Netlify function than the message that asked for it.
+ */
+
+const { TOKENS, TOKEN_ALIASES, resolveTokenSymbol } = require('../config/tokens');
+const { CHAIN_ALIASES } = require('../config/chains');
+const { getSharedStore } = require('../core/store');
+const config = require('../config');
+
+// Entities each intent needs before it can be built into a command
+const REQUIRED_SLOTS = {
+  SWAP: ['fromToken', 'toToken', 'amount'],
+  QUOTE: ['fromToken', 'toToken'],
+  TRANSFER: ['token', 'amount', 'recipient'],
+  BRIDGE: ['token', 'amount', 'toChainId'],
+};
+
+const SLOT_PROMPTS = {
+  fromToken: 'Which token do you want to swap from?',
+  toToken: 'Which token do you want to receive?',
+  token: 'Which token do you want to send?',
+  recipient: 'Who should receive it? Reply with an address, ENS name or "wallet 2".',
+  toChainId: 'Which chain should it go to?',
+};
+
+// A message that starts a new command rather than answering a question
+const NEW_COMMAND_CONFIDENCE = 0.8;
+
+const REFERENCE_PATTERNS = [
+  /\b(?:do|run|send|swap)\s+(?:that|it)\s+again\b/i,
+  /^\s*(?:again|repeat(?:\s+(?:that|it|last))?|same\s+again)\s*[.!]?\s*$/i,
+  /\bsame\s+(?:amount|thing|token|tokens|swap|transfer|trade|again)\b/i,
+];
+
+const ADDRESS_PATTERN = /0x[a-fA-F0-9]{40}/;
+const ENS_PATTERN = /[a-zA-Z0-9-]+\.eth\b/;
+const WALLET_PATTERN = /\b(from|to|on|with|use|using)?\s*(?:wallet|account)\s*#?(\d+)\b/i;
+const CHAIN_PATTERN = /\b(?:on|via|using)\s+([a-z]+(?:\s+one)?)\b/i;
+const BRIDGE_TO_PATTERN = /\b(?:to|onto|into)\s+([a-z]+(?:\s+one)?)\b/i;
+const BRIDGE_FROM_PATTERN = /\bfrom\s+([a-z]+(?:\s+one)?)\b/i;
+const AMOUNT_PATTERN = /(\d+(?:\.\d+)?)\s*([a-z]+)?/i;
+
+const KNOWN_TOKENS = new Set([
+  ...Object.keys(TOKENS).map(t => t.toLowerCase()),
+  ...Object.keys(TOKEN_ALIASES),
+]);
+
+class ConversationStore {
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? config.ai?.conversationTtl ?? 10 * 60 * 1000;
+    this.store = options.store || getSharedStore('conversations');
+    this.lastSweep = Date.now();
+  }
+
+  /**
+   * Get a user's conversation state, dropping it once it has gone stale
+   */
+  async get(userId) {
+    const session = await this.store.get(String(userId));
+    if (!session) return null;
+
+    if (Date.now() - session.updatedAt > this.ttl) {
+      await this.store.delete(String(userId));
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Remember a partial command and the slots still missing from it
+   */
+  async setPending(userId, intent, entities, missing) {
+    const session = await this.touch(userId);
+    session.pending = {
+      intent: { type: intent.type, confidence: intent.confidence },
+      entities: { ...entities },
+      missing,
+    };
+    await this.store.set(String(userId), session);
+    return session.pending;
+  }
+
+  /**
+   * Record a command that parsed successfully and clear any pending one
+   */
+  async complete(userId, intent, entities) {
+    const session = await this.touch(userId);
+    session.pending = null;
+    session.last = {
+      intent: { type: intent.type, confidence: intent.confidence },
+      entities: { ...entities },
+    };
+    await this.store.set(String(userId), session);
+    return session.last;
+  }
+
+  async clearPending(userId) {
+    const session = await this.get(userId);
+    if (session) {
+      session.pending = null;
+      await this.store.set(String(userId), session);
+    }
+  }
+
+  async clear(userId) {
+    await this.store.delete(String(userId));
+  }
+
+  /**
+   * Drop every stale session; returns how many were removed
+   */
+  async sweep(now = Date.now()) {
+    let removed = 0;
+    for (const session of await this.store.list()) {
+      if (now - session.updatedAt > this.ttl) {
+        await this.store.delete(String(session.userId));
+        removed++;
+      }
+    }
+    this.lastSweep = now;
+    return removed;
+  }
+
+  /**
+   * The user's session with a fresh timestamp, not yet saved
+   */
+  async touch(userId) {
+    let session = await this.get(userId);
+    if (!session) {
+      // Users who never come back are only dropped here, at most once per ttl
+      if (Date.now() - this.lastSweep > this.ttl) await this.sweep();
+      session = { userId, pending: null, last: null };
+    }
+    session.updatedAt = Date.now();
+    return session;
+  }
+}
+
+/**
+ * Resolve a message against the user's conversation state
+ *
+ * Returns { intent, entities } when the message continues a pending command
+ * or refers to the last one, { error } when it refers to a command that does
+ * not exist, and null when it should be parsed as a new command.
+ */
+function resolveFollowUp(input, intent, session) {
+  if (REFERENCE_PATTERNS.some(p => p.test(input))) {
+    if (!session?.last) {
+      return { error: 'There is no previous command to repeat' };
+    }
+    const { last } = session;
+    return {
+      intent: { ...last.intent, source: 'reference' },
+      entities: { ...last.entities, ...extractSlotValues(input, last.intent.type, last.entities) },
+    };
+  }
+
+  const pending = session?.pending;
+  if (!pending) return null;
+
+  // A confident command of another kind abandons the pending one
+  if (intent.confidence >= NEW_COMMAND_CONFIDENCE && intent.type !== pending.intent.type) {
+    return null;
+  }
+
+  const filled = extractSlotValues(input, pending.intent.type, pending.entities);
+  if (Object.keys(filled).length === 0) return null;
+
+  return {
+    intent: { ...pending.intent, source: 'follow-up' },
+    entities: { ...pending.entities, ...filled },
+  };
+}
+
+/**
+ * Extract entity values from a fragment like "to USDC on arbitrum"
+ *
+ * Tokens are assigned by their preposition ("to/for/into" is the target,
+ * "from/with" the source) and otherwise fill the command's empty token slots
+ * in order.
+ */
+function extractSlotValues(input, intentType, current = {}) {
+  const values = {};
+  let text = input;
+
+  // Bridges name two chains; once only the destination is missing a bare chain name answers it
+  if (intentType === 'BRIDGE') {
+    const awaitingChain = !current.toChainId && current.token && current.amount;
+    const toMatch = text.match(BRIDGE_TO_PATTERN) ||
+      (awaitingChain && text.match(/^\s*([a-z]+(?:\s+one)?)\s*[.!]?\s*$/i));
+    if (toMatch && CHAIN_ALIASES[toMatch[1].toLowerCase()]) {
+      values.toChainId = CHAIN_ALIASES[toMatch[1].toLowerCase()];
+      text = text.replace(toMatch[0], ' ');
+    }
+    const fromMatch = text.match(BRIDGE_FROM_PATTERN);
+    if (fromMatch && CHAIN_ALIASES[fromMatch[1].toLowerCase()]) {
+      values.chainId = CHAIN_ALIASES[fromMatch[1].toLowerCase()];
+      text = text.replace(fromMatch[0], ' ');
+    }
+  }
+
+  const chainMatch = text.match(CHAIN_PATTERN);
+  if (chainMatch && CHAIN_ALIASES[chainMatch[1].toLowerCase()]) {
+    values.chainId = CHAIN_ALIASES[chainMatch[1].toLowerCase()];
+    text = text.replace(chainMatch[0], ' ');
+  }
+
+  const walletMatch = text.match(WALLET_PATTERN);
+  if (walletMatch) {
+    const wallet = `wallet${walletMatch[2]}`;
+    const preposition = (walletMatch[1] || '').toLowerCase();
+    if (intentType === 'TRANSFER' && preposition !== 'from' && preposition !== 'using' && preposition !== 'use') {
+      values.recipient = wallet;
+    } else {
+      values.wallet = wallet;
+    }
+    text = text.replace(walletMatch[0], ' ');
+  }
+
+  const recipient = text.match(ADDRESS_PATTERN) || text.match(ENS_PATTERN);
+  if (recipient) {
+    values.recipient = recipient[0];
+    text = text.replace(recipient[0], ' ');
+  }
+
+  const amountMatch = text.match(AMOUNT_PATTERN);
+  let amountToken = null;
+  if (amountMatch && parseFloat(amountMatch[1]) > 0) {
+    values.amount = amountMatch[1];
+    if (amountMatch[2] && KNOWN_TOKENS.has(amountMatch[2].toLowerCase())) {
+      amountToken = resolveTokenSymbol(amountMatch[2]);
+    }
+    text = text.replace(amountMatch[0], ' ');
+  }
+
+  const targets = [];
+  const sources = [];
+  const loose = [];
+  const words = text.toLowerCase().split(/\s+/).map(w => w.replace(/[^a-z]/g, '')).filter(Boolean);
+  words.forEach((word, i) => {
+    if (!KNOWN_TOKENS.has(word)) return;
+    const symbol = resolveTokenSymbol(word);
+    const previous = words[i - 1];
+    if (['to', 'for', 'into'].includes(previous)) targets.push(symbol);
+    else if (['from', 'with'].includes(previous)) sources.push(symbol);
+    else loose.push(symbol);
+  });
+
+  if (intentType === 'TRANSFER' || intentType === 'BRIDGE') {
+    const token = amountToken || sources[0] || loose[0] || targets[0];
+    if (token) values.token = token;
+  } else if (REQUIRED_SLOTS[intentType]) {
+    if (amountToken) sources.unshift(amountToken);
+    const fromToken = sources[0] || (!current.fromToken ? loose.shift() : null);
+    const toToken = targets[0] || (!current.toToken ? loose.shift() : null);
+    if (fromToken) values.fromToken = fromToken;
+    if (toToken) values.toToken = toToken;
+  }
+
+  return values;
+}
+
+/**
+ * Get the required slots an intent is still missing
+ */
+function getMissingSlots(intentType, entities) {
+  return (REQUIRED_SLOTS[intentType] || []).filter(slot => !entities[slot]);
+}
+
+/**
+ * Question to ask for the first missing slot
+ */
+function getSlotPrompt(intentType, missing) {
+  const slot = missing[0];
+  if (slot === 'amount') {
+    if (intentType === 'TRANSFER') return 'How much do you want to send?';
+    if (intentType === 'BRIDGE') return 'How much do you want to bridge?';
+    return 'How much do you want to swap?';
+  }
+  return SLOT_PROMPTS[slot] || null;
+}
+
+// Shared store used by processCommand
+let sharedStore = null;
+
+function getConversationStore() {
+  if (!sharedStore) {
+    sharedStore = new ConversationStore();
+  }
+  return sharedStore;
+}
+
+module.exports = {
+  ConversationStore,
+  REQUIRED_SLOTS,
+  resolveFollowUp,
+  extractSlotValues,
+  getMissingSlots,
+  getSlotPrompt,
+  getConversationStore,
+};
@@ -23,7 +23,7 @@ const PATTERNS = {
   percentage: /(\d+(?:\.\d+)?)\s*%/g,
 
   // Chain mentions
-  chain: /(?:on|via|using|chain)\s+([a-zA-Z]+)/gi,
+  chain: /(?:on|via|using|chain)\s+([a-zA-Z]+)/i,
 
   // Wallet references
   wallet: /(?:from|to|my|wallet|account)\s*(?:#?\d+|primary|secondary|main)/gi,
@@ -32,12 +32,19 @@ const PATTERNS = {
   recipient: /(?:to|for|recipient)\s+(0x[a-fA-F0-9]{40}|[a-zA-Z0-9-]+\.eth)/i,
 
   // Protocol names
-  protocol: /(?:for|on|from|check)\s+(layerzero|aave|uniswap|compound|maker|lido|eigenlayer|zksync|starknet|scroll|linea|blur|opensea)/i,
+  protocol: /(?:for|on|from|check)\s+(layerzero|aave|uniswap|compound|maker|lido|eigenlayer|zksync|starknet|scroll|linea|blast|blur|opensea)/i,
 };
 
 // Known token symbols for faster matching
 const KNOWN_TOKENS = Object.keys(TOKENS).map(t => t.toLowerCase());
 
+// Short command words that would otherwise be read as unknown token tickers
+const NON_TOKEN_WORDS = new Set([
+  'swap', 'send', 'pay', 'give', 'buy', 'sell', 'get', 'trade', 'quote', 'price', 'rate', 'check', 'show',
+  'to', 'for', 'from', 'with', 'on', 'via', 'into', 'of', 'in', 'and', 'the', 'a', 'an',
+  'my', 'me', 'i', 'it', 'all', 'some', 'max', 'then', 'same', 'again', 'that',
+]);
+
 /**
  * Extract all entities from natural language input
  */
@@ -58,25 +65,38 @@ async function extractEntities(input, intent, aiClient = null) {
       Object.assign(entities, extractBatchTransferEntities(input));
       break;
 
+    case 'BRIDGE':
+      Object.assign(entities, extractBridgeEntities(input));
+      break;
+
     case 'BALANCE':
       Object.assign(entities, extractBalanceEntities(input));
       break;
 
+    case 'PORTFOLIO':
+      Object.assign(entities, extractPortfolioEntities(input));
+      break;
+
     case 'QUOTE':
       Object.assign(entities, extractSwapEntities(input)); // Same as swap
       break;
 
     case 'AIRDROP_CHECK':
+    case 'POINTS_CHECK':
       Object.assign(entities, extractAirdropEntities(input));
       break;
 
+    case 'LIMIT_ORDER':
+      Object.assign(entities, extractLimitOrderEntities(input));
+      break;
+
     default:
       Object.assign(entities, extractGenericEntities(input));
   }
 
-  // Always try to extract chain
+  // Always try to extract chain (bridge commands name their own source chain)
   const chain = extractChain(input);
-  if (chain) {
+  if (chain && entities.chainId === undefined) {
     entities.chainId = chain;
   }
 
@@ -145,6 +165,11 @@ function extractSwapEntities(input) {
     if (amounts.length > 0 && !entities.amount) {
       entities.amount = amounts[0].value;
     }
+
+    // "Swap 1 ETH" names only the source token
+    if (!entities.fromToken && amounts[0]?.token) {
+      entities.fromToken = amounts[0].token;
+    }
   }
 
   return entities;
@@ -230,6 +255,62 @@ function extractBatchTransferEntities(input) {
   return entities;
 }
 
+/**
+ * Extract bridge entities: "bridge 0.1 ETH from arbitrum to base"
+ *
+ * chainId is the source chain ("from X", null when not named) and
+ * toChainId the destination. Chain names are removed before looking for
+ * tokens since several (arbitrum, optimism, polygon) are also token aliases.
+ */
+function extractBridgeEntities(input) {
+  const entities = { chainId: null };
+  let text = input;
+
+  const fromMatch = text.match(/\bfrom\s+([a-z]+(?:\s+one)?)/i);
+  if (fromMatch && CHAIN_ALIASES[fromMatch[1].toLowerCase()]) {
+    entities.chainId = CHAIN_ALIASES[fromMatch[1].toLowerCase()];
+    text = text.replace(fromMatch[0], ' ');
+  }
+
+  for (const match of text.matchAll(/\b(?:to|onto|into)\s+([a-z]+(?:\s+one)?)/gi)) {
+    const chainId = CHAIN_ALIASES[match[1].toLowerCase()];
+    if (chainId) {
+      entities.toChainId = chainId;
+      text = text.replace(match[0], ' ');
+      break;
+    }
+  }
+
+  const bridgeMatch = text.match(/\b(?:via|using|through)\s+(across)\b/i);
+  if (bridgeMatch) {
+    entities.bridge = bridgeMatch[1].toLowerCase();
+    text = text.replace(bridgeMatch[0], ' ');
+  }
+
+  const recipients = [...extractAddresses(text), ...extractENSNames(text)];
+  if (recipients.length > 0) {
+    entities.recipient = recipients[0];
+    text = text.replace(recipients[0], ' ');
+  }
+
+  const amountMatch = text.match(/(\d+(?:\.\d+)?)\s*([a-z]+)?/i);
+  if (amountMatch) {
+    entities.amount = amountMatch[1];
+    if (amountMatch[2] && !NON_TOKEN_WORDS.has(amountMatch[2].toLowerCase())) {
+      entities.token = resolveTokenSymbol(amountMatch[2]);
+    }
+  }
+
+  if (!entities.token) {
+    const tokens = extractTokensFromText(text.replace(/\b(?:bridge|move|cross-?chain)\b/gi, ' '));
+    if (tokens.length > 0) {
+      entities.token = tokens[0];
+    }
+  }
+
+  return entities;
+}
+
 /**
  * Extract balance-related entities
  */
@@ -251,6 +332,20 @@ function extractBalanceEntities(input) {
   return entities;
 }
 
+/**
+ * Extract portfolio entities: a single wallet, else every managed wallet
+ */
+function extractPortfolioEntities(input) {
+  const entities = {};
+
+  const walletMatch = input.match(/(?:wallet|account)\s*#?(\d+)/i);
+  if (walletMatch) {
+    entities.wallet = `wallet${walletMatch[1]}`;
+  }
+
+  return entities;
+}
+
 /**
  * Extract airdrop-related entities
  */
@@ -265,6 +360,78 @@ function extractAirdropEntities(input) {
   return entities;
 }
 
+// Order duration units in ms
+const DURATION_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Extract limit/stop order entities: "Sell 1 ETH for USDC if ETH > 4000",
+ * "Buy ETH with 3000 USDC when ETH drops below 2500 for 3 days",
+ * "Show my orders", "Cancel order 3f9a1c2b"
+ */
+function extractLimitOrderEntities(input) {
+  const entities = { action: 'place' };
+
+  if (/\bcancel\b/i.test(input)) {
+    entities.action = 'cancel';
+    const idMatch = input.match(/order\s+#?([a-f0-9]{8})\b/i);
+    if (idMatch) entities.orderId = idMatch[1].toLowerCase();
+    return entities;
+  }
+
+  if (/(?:show|list|view|check)\s+(?:my\s+)?(?:open\s+)?(?:limit\s+|stop\s+)?orders/i.test(input)) {
+    entities.action = 'list';
+    entities.all = /\b(?:all|every|history)\b/i.test(input);
+    return entities;
+  }
+
+  // The trade itself, before the price condition
+  const sellMatch = input.match(/(?:sell|swap|trade|convert|exchange)\s+(\d+(?:\.\d+)?)\s*([a-z]+)\s+(?:for|to|into)\s+([a-z]+)/i);
+  const buyMatch = input.match(/buy\s+([a-z]+)\s+with\s+(\d+(?:\.\d+)?)\s*([a-z]+)/i);
+  if (sellMatch) {
+    entities.amount = sellMatch[1];
+    entities.fromToken = resolveTokenSymbol(sellMatch[2]);
+    entities.toToken = resolveTokenSymbol(sellMatch[3]);
+  } else if (buyMatch) {
+    entities.toToken = resolveTokenSymbol(buyMatch[1]);
+    entities.amount = buyMatch[2];
+    entities.fromToken = resolveTokenSymbol(buyMatch[3]);
+  } else {
+    const head = input.split(/\s(?:if|when|once|at)\s/i)[0];
+    Object.assign(entities, extractSwapEntities(head));
+  }
+
+  const condition = input.match(
+    /(?:if|when|once)\s+(?:the\s+)?(?:price\s+of\s+)?([a-z]+)?\s*(?:price\s+)?(?:is\s+|gets\s+|trades\s+)?(>=|<=|>|<|above|over|below|under|hits|reaches|(?:rises|goes)\s+(?:above|over|to)|(?:drops|falls|goes)\s+(?:below|under|to))\s*\$?(\d[\d,]*(?:\.\d+)?)/i
+  );
+  const atPrice = input.match(/\bat\s+\$?(\d[\d,]*(?:\.\d+)?)/i);
+
+  if (condition) {
+    if (condition[1] && condition[1].toLowerCase() !== 'price') {
+      entities.asset = resolveTokenSymbol(condition[1]);
+    }
+    const comparator = condition[2].toLowerCase();
+    if (/^(?:>|above|over|rises|goes\s+(?:above|over))/.test(comparator)) {
+      entities.condition = 'above';
+    } else if (/^(?:<|below|under|drops|falls|goes\s+(?:below|under))/.test(comparator)) {
+      entities.condition = 'below';
+    }
+    entities.triggerPrice = parseFloat(condition[3].replace(/,/g, ''));
+  } else if (atPrice) {
+    entities.triggerPrice = parseFloat(atPrice[1].replace(/,/g, ''));
+  }
+
+  const duration = input.match(/(?:for|within|expires?\s+in|valid\s+for)\s+(\d+)\s*(h|hrs?|hours?|d|days?|w|weeks?)\b/i);
+  if (duration) {
+    entities.expiresIn = parseInt(duration[1]) * DURATION_UNITS[duration[2][0].toLowerCase()];
+  }
+
+  if (/all[\s-]or[\s-]nothing|fill[\s-]or[\s-]kill|no\s+partial/i.test(input)) {
+    entities.allowPartial = false;
+  }
+
+  return entities;
+}
+
 /**
  * Extract generic entities
  */
@@ -306,6 +473,7 @@ function extractTokensFromText(input) {
 
   for (const word of words) {
     const cleaned = word.replace(/[^a-z]/g, '');
+    if (NON_TOKEN_WORDS.has(cleaned)) continue;
     if (KNOWN_TOKENS.includes(cleaned) || cleaned.length <= 5) {
       const resolved = resolveTokenSymbol(cleaned);
       if (resolved && !tokens.includes(resolved)) {
@@ -382,6 +550,8 @@ function hasMissingRequiredEntities(intent, entities) {
       return !entities.fromToken || !entities.toToken || !entities.amount;
     case 'TRANSFER':
       return !entities.token || !entities.amount || !entities.recipient;
+    case 'BRIDGE':
+      return !entities.token || !entities.amount || !entities.toChainId;
     default:
       return false;
   }
@@ -435,7 +605,9 @@ module.exports = {
   extractEntities,
   extractSwapEntities,
   extractTransferEntities,
+  extractBridgeEntities,
   extractBalanceEntities,
+  extractLimitOrderEntities,
   extractAmounts,
   extractTokensFromText,
   extractAddresses,
@@ -6,6 +6,7 @@
 const intentParser = require('./intentParser');
 const entityExtractor = require('./entityExtractor');
 const responseGenerator = require('./responseGenerator');
+const conversation = require('./conversation');
 const { getSystemPrompt } = require('./prompts/system');
 const logger = require('../utils/logger');
 const config = require('../config');
@@ -50,16 +51,50 @@ async function processCommand(input, context = {}) {
 
   try {
     // Step 1: Parse intent (what the user wants to do)
-    const intent = await intentParser.parseIntent(input, aiClient);
+    let intent = await intentParser.parseIntent(input, aiClient);
     logger.ai('Intent parsed', { intent: intent.type });
 
-    // Step 2: Extract entities (tokens, amounts, addresses, etc.)
-    const entities = await entityExtractor.extractEntities(input, intent, aiClient);
-    logger.ai('Entities extracted', { entities });
+    // Step 2: Continue a multi-turn command, or extract entities (tokens, amounts, addresses, etc.)
+    const store = context.userId ? conversation.getConversationStore() : null;
+    const followUp = store ? conversation.resolveFollowUp(input, intent, await store.get(context.userId)) : null;
+    let entities;
+
+    if (followUp?.error) {
+      return {
+        success: false,
+        error: followUp.error,
+        suggestions: getSuggestions(input),
+        requiresConfirmation: false,
+      };
+    }
+
+    if (followUp) {
+      ({ intent, entities } = followUp);
+      logger.ai('Follow-up resolved', { intent: intent.type, source: intent.source, entities });
+    } else {
+      entities = await entityExtractor.extractEntities(input, intent, aiClient);
+      logger.ai('Entities extracted', { entities });
+    }
 
     // Step 3: Validate the parsed command
     const validation = validateCommand(intent, entities);
     if (!validation.valid) {
+      // Keep the partial command and ask for what is missing
+      const missing = conversation.getMissingSlots(intent.type, entities);
+      if (store && missing.length > 0) {
+        await store.setPending(context.userId, intent, entities, missing);
+        return {
+          success: false,
+          error: validation.error,
+          suggestions: validation.suggestions,
+          requiresConfirmation: false,
+          awaitingInput: true,
+          intent: intent.type,
+          missing,
+          prompt: conversation.getSlotPrompt(intent.type, missing),
+        };
+      }
+
       return {
         success: false,
         error: validation.error,
@@ -68,6 +103,10 @@ async function processCommand(input, context = {}) {
       };
     }
 
+    if (store) {
+      await store.complete(context.userId, intent, entities);
+    }
+
     // Step 4: Check if confirmation is needed
     const needsConfirmation = shouldRequireConfirmation(intent, entities, context);
 
@@ -128,10 +167,27 @@ function validateCommand(intent, entities) {
       }
       break;
 
+    case 'BRIDGE':
+      if (!entities.token || !entities.amount) {
+        errors.push('Token and amount not specified');
+        suggestions.push('Try: "Bridge 0.1 ETH to Arbitrum"');
+      }
+      if (!entities.toChainId) {
+        errors.push('Destination chain not specified');
+        suggestions.push('Say which chain to bridge to, e.g. "to Base"');
+      } else if (entities.toChainId === entities.chainId) {
+        errors.push('Source and destination chains are the same');
+      }
+      break;
+
     case 'BALANCE':
       // Balance check is always valid
       break;
 
+    case 'PORTFOLIO':
+      // Values every wallet and chain unless narrowed
+      break;
+
     case 'QUOTE':
       if (!entities.fromToken || !entities.toToken) {
         errors.push('Both tokens must be specified for a quote');
@@ -140,7 +196,27 @@ function validateCommand(intent, entities) {
       break;
 
     case 'AIRDROP_CHECK':
-      // Airdrop check may not need entities
+    case 'POINTS_CHECK':
+      // Airdrop and points checks may not need entities
+      break;
+
+    case 'LIMIT_ORDER':
+      if (entities.action === 'cancel') {
+        if (!entities.orderId) {
+          errors.push('Order id not specified');
+          suggestions.push('Try: "Cancel order 3f9a1c2b" (see "Show my orders")');
+        }
+        break;
+      }
+      if (entities.action === 'list') break;
+      if (!entities.fromToken || !entities.toToken || !entities.amount) {
+        errors.push('Order needs an amount, a token to sell and a token to buy');
+        suggestions.push('Try: "Sell 1 ETH for USDC if ETH > 4000"');
+      }
+      if (!entities.triggerPrice) {
+        errors.push('Trigger price not specified');
+        suggestions.push('Add a condition like "if ETH > 4000" or "when ETH drops below 2500"');
+      }
       break;
 
     default:
@@ -168,8 +244,13 @@ function shouldRequireConfirmation(intent, entities, context) {
     return true;
   }
 
-  // Confirm swaps and transfers unless auto-confirm is enabled
-  if (['SWAP', 'TRANSFER', 'BATCH_TRANSFER'].includes(intent.type)) {
+  // Confirm swaps, transfers and bridges unless auto-confirm is enabled
+  if (['SWAP', 'TRANSFER', 'BATCH_TRANSFER', 'BRIDGE'].includes(intent.type)) {
+    return !context.autoConfirm;
+  }
+
+  // Placing an order commits funds to a later swap
+  if (intent.type === 'LIMIT_ORDER' && entities.action === 'place') {
     return !context.autoConfirm;
   }
 
@@ -221,6 +302,18 @@ function buildCommand(intent, entities, context) {
         },
       };
 
+    case 'BRIDGE':
+      return {
+        ...baseCommand,
+        params: {
+          token: entities.token,
+          amount: entities.amount,
+          toChainId: entities.toChainId,
+          recipient: entities.recipient,
+          bridge: entities.bridge || 'auto',
+        },
+      };
+
     case 'BALANCE':
       return {
         ...baseCommand,
@@ -230,6 +323,15 @@ function buildCommand(intent, entities, context) {
         },
       };
 
+    case 'PORTFOLIO':
+      return {
+        ...baseCommand,
+        params: {
+          wallet: entities.wallet || null,
+          chains: entities.chainId ? [entities.chainId] : [],
+        },
+      };
+
     case 'QUOTE':
       return {
         ...baseCommand,
@@ -241,6 +343,7 @@ function buildCommand(intent, entities, context) {
       };
 
     case 'AIRDROP_CHECK':
+    case 'POINTS_CHECK':
       return {
         ...baseCommand,
         params: {
@@ -249,6 +352,25 @@ function buildCommand(intent, entities, context) {
         },
       };
 
+    case 'LIMIT_ORDER':
+      return {
+        ...baseCommand,
+        params: {
+          action: entities.action || 'place',
+          fromToken: entities.fromToken,
+          toToken: entities.toToken,
+          amount: entities.amount,
+          asset: entities.asset,
+          condition: entities.condition,
+          triggerPrice: entities.triggerPrice,
+          expiresIn: entities.expiresIn,
+          allowPartial: entities.allowPartial !== false,
+          slippage: entities.slippage || 0.5,
+          orderId: entities.orderId,
+          all: entities.all || false,
+        },
+      };
+
     case 'HELP':
       return {
         ...baseCommand,
@@ -363,4 +485,5 @@ module.exports = {
   validateCommand,
   buildCommand,
   getSuggestions,
+  generateConfirmation: responseGenerator.generateConfirmation,
 };
@@ -4,9 +4,44 @@
  */
 
 const logger = require('../utils/logger');
+const { TOKENS, TOKEN_ALIASES, NATIVE_TOKENS } = require('../config/tokens');
 
-// Intent definitions
+// Token names a price condition can watch, longest first so "wrapped ether"
+// wins over "ether"
+const TOKEN_WORDS = [...new Set([
+  ...Object.keys(TOKENS),
+  ...Object.keys(TOKEN_ALIASES),
+  ...Object.values(NATIVE_TOKENS).map(token => token.symbol),
+].map(word => word.toLowerCase()))]
+  .sort((a, b) => b.length - a.length)
+  .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'));
+
+// "if ETH > 4000", "when the price of eth hits 4000", "once it drops below 2500":
+// only a token's price (or an implied one) triggers an order, so "when gas is
+// below 10" stays a plain swap
+const PRICE_TRIGGER = new RegExp(
+  '\\s(?:if|when|once)\\s+(?:the\\s+)?(?:price\\s+of\\s+)?' +
+  `(?:(?:${TOKEN_WORDS.join('|')})\\s+(?:price\\s+)?|price\\s+|it\\s+)?` +
+  '(?:is\\s+|gets\\s+|trades\\s+)?' +
+  '(?:>=|<=|>|<|above|over|below|under|hits|reaches|(?:rises|goes)\\s+(?:above|over|to)|(?:drops|falls|goes)\\s+(?:below|under|to))' +
+  '\\s*\\$?\\d',
+  'i'
+);
+
+// Intent definitions. Ties go to the earlier intent, so price-triggered
+// orders come before the market swaps whose wording they share; the price
+// condition words lift them to the same score.
 const INTENTS = {
+  LIMIT_ORDER: {
+    keywords: ['limit order', 'stop loss', 'take profit', 'order', ' if ', ' when ', ' once ', 'above', 'below'],
+    patterns: [
+      new RegExp(`(?:sell|buy|swap|trade|convert|exchange)\\s+.+${PRICE_TRIGGER.source}`, 'i'),
+      /(?:sell|buy)\s+.+\s+at\s+\$?\d/i,
+      /(?:show|list|view|check)\s+(?:my\s+)?(?:open\s+)?(?:limit\s+|stop\s+)?orders/i,
+      /cancel\s+(?:my\s+)?(?:the\s+)?(?:limit\s+|stop\s+)?order/i,
+    ],
+  },
+
   SWAP: {
     keywords: ['swap', 'exchange', 'trade', 'convert', 'buy', 'sell'],
     patterns: [
@@ -38,6 +73,26 @@ const INTENTS = {
     ],
   },
 
+  BRIDGE: {
+    keywords: ['bridge', 'cross-chain', 'crosschain'],
+    patterns: [
+      /bridge\s+(.+)\s+(?:to|from)\s+(.+)/i,
+      /move\s+(.+)\s+from\s+\w+\s+to\s+(.+)/i,
+      /(?:send|move)\s+(.+)\s+cross-?chain/i,
+    ],
+  },
+
+  // Before BALANCE, which shares the portfolio wording: asking what it is
+  // worth or about PnL wants a valuation rather than raw balances
+  PORTFOLIO: {
+    keywords: ['portfolio', 'worth', 'pnl', 'p&l', 'cost basis', 'net worth'],
+    patterns: [
+      /(?:what(?:'s| is)|how\s+much\s+is)\s+(?:my\s+)?(?:portfolio|holdings|wallets?)\s+worth/i,
+      /(?:portfolio|holdings)\s+(?:value|valuation|worth)/i,
+      /(?:\bpnl\b|p&l|profit\s+and\s+loss|cost\s+basis|net\s+worth)/i,
+    ],
+  },
+
   BALANCE: {
     keywords: ['balance', 'holdings', 'portfolio', 'how much', 'what do i have'],
     patterns: [
@@ -68,6 +123,15 @@ const INTENTS = {
     ],
   },
 
+  POINTS_CHECK: {
+    keywords: ['points'],
+    patterns: [
+      /how\s+many\s+points/i,
+      /(?:check|show|get)\s+(?:my\s+)?(?:\w+\s+)?points/i,
+      /points\s+(?:on|for|in)\s+\w+/i,
+    ],
+  },
+
   GAS: {
     keywords: ['gas', 'fees', 'gwei'],
     patterns: [
@@ -233,11 +297,21 @@ function getIntentExamples(intentType) {
       'Transfer 0.5 ETH to vitalik.eth',
       'Pay 50 DAI to my friend',
     ],
+    BRIDGE: [
+      'Bridge 0.1 ETH to Arbitrum',
+      'Bridge 100 USDC from Arbitrum to Base',
+      'Move 0.5 ETH from Ethereum to Optimism',
+    ],
     BALANCE: [
       'Check my balance',
       'What\'s my ETH balance on Polygon?',
       'Show my portfolio',
     ],
+    PORTFOLIO: [
+      'What\'s my portfolio worth?',
+      'Show my PnL',
+      'Portfolio value on Arbitrum',
+    ],
     QUOTE: [
       'Quote 1 ETH to USDC',
       'How much USDC for 0.5 ETH?',
@@ -248,6 +322,16 @@ function getIntentExamples(intentType) {
       'Any airdrops available?',
       'Am I eligible for the LayerZero airdrop?',
     ],
+    POINTS_CHECK: [
+      'How many points do I have on Blast?',
+      'Show my Blast points',
+    ],
+    LIMIT_ORDER: [
+      'Sell 1 ETH for USDC if ETH > 4000',
+      'Buy ETH with 3000 USDC when ETH drops below 2500 for 3 days',
+      'Show my open orders',
+      'Cancel order 3f9a1c2b',
+    ],
   };
 
   return examples[intentType] || [];
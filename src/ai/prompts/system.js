@@ -89,6 +89,7 @@ function getIntentClassificationPrompt() {
 SWAP - Exchange one token for another
 TRANSFER - Send tokens to an address
 BATCH_TRANSFER - Send tokens to multiple addresses
+PORTFOLIO - Portfolio value in USD and profit/loss
 BALANCE - Check wallet balance
 QUOTE - Get swap rate without executing
 AIRDROP_CHECK - Check airdrop eligibility
@@ -108,6 +109,7 @@ function getEntityExtractionPrompt(intentType) {
     SWAP: 'fromToken, toToken, amount, chainId, slippage, dex',
     TRANSFER: 'token, amount, recipient, chainId',
     BATCH_TRANSFER: 'token, totalAmount, recipients (array), distribution (equal/custom)',
+    PORTFOLIO: 'wallet, chainId',
     BALANCE: 'wallet, chainId, tokens (array)',
     QUOTE: 'fromToken, toToken, amount, chainId',
     AIRDROP_CHECK: 'protocol, wallet',
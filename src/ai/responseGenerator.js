@@ -17,14 +17,22 @@ function generate(result, command) {
       return generateTransferResponse(result, command);
     case 'BATCH_TRANSFER':
       return generateBatchTransferResponse(result, command);
+    case 'BRIDGE':
+      return generateBridgeResponse(result, command);
     case 'BALANCE':
       return generateBalanceResponse(result, command);
+    case 'PORTFOLIO':
+      return generatePortfolioResponse(result, command);
     case 'QUOTE':
       return generateQuoteResponse(result, command);
     case 'AIRDROP_CHECK':
       return generateAirdropResponse(result, command);
+    case 'POINTS_CHECK':
+      return generatePointsResponse(result, command);
     case 'GAS':
       return generateGasResponse(result, command);
+    case 'LIMIT_ORDER':
+      return generateLimitOrderResponse(result, command);
     default:
       return generateGenericResponse(result, command);
   }
@@ -140,6 +148,49 @@ function generateBatchTransferResponse(result, command) {
   };
 }
 
+/**
+ * Generate bridge response
+ */
+function generateBridgeResponse(result, command) {
+  if (!result.success) {
+    return {
+      text: `Bridge failed: ${result.error || 'Unknown error'}`,
+      success: false,
+      details: result,
+    };
+  }
+
+  const fromChain = getChain(result.fromChainId)?.name || result.fromChainId;
+  const toChain = getChain(result.toChainId)?.name || result.toChainId;
+
+  const lines = [
+    `Bridging ${result.amountIn} ${result.token} from ${fromChain} to ${toChain}`,
+    `Receiving: ${result.amountOut} ${result.token} (fee ${result.fee})`,
+    `Bridge: ${result.bridgeName}`,
+    `TX: ${result.explorerUrl}`,
+  ];
+
+  if (result.estimatedTime) {
+    lines.push(`Estimated time: ~${Math.ceil(result.estimatedTime / 60)} min`);
+  }
+  lines.push(`Tracking ID: ${result.bridgeTxId}`);
+
+  return {
+    text: lines.join('\n'),
+    success: true,
+    summary: `Bridging ${result.amountIn} ${result.token} to ${toChain}`,
+    details: {
+      bridgeTxId: result.bridgeTxId,
+      bridge: result.bridge,
+      txHash: result.txHash,
+      explorerUrl: result.explorerUrl,
+      expectedArrival: result.expectedArrival,
+      gasUsed: result.gasUsed,
+      warnings: result.warnings,
+    },
+  };
+}
+
 /**
  * Generate balance response
  */
@@ -166,10 +217,65 @@ function generateBalanceResponse(result, command) {
   };
 }
 
+const formatUsd = (value) => `${value < 0 ? '-' : ''}$${formatNumber(Math.abs(value), 2)}`;
+const formatSignedUsd = (value) => `${value >= 0 ? '+' : ''}${formatUsd(value)}`;
+
+/**
+ * Generate portfolio valuation response
+ */
+function generatePortfolioResponse(result, command) {
+  const chainName = (chainId) => getChain(chainId)?.name || `chain ${chainId}`;
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+  const lines = [
+    `Portfolio: ${formatUsd(result.totalUsd)} across ${plural(result.wallets, 'wallet')} on ${plural(result.chains.length, 'chain')}`,
+  ];
+
+  const tokens = Object.entries(result.byToken)
+    .filter(([, token]) => token.valueUsd > 0)
+    .sort(([, a], [, b]) => b.valueUsd - a.valueUsd);
+  for (const [symbol, token] of tokens.slice(0, 5)) {
+    lines.push(`${symbol}: ${formatNumber(token.quantity, 4)} (${formatUsd(token.valueUsd)})`);
+  }
+  if (tokens.length > 5) {
+    lines.push(`...and ${plural(tokens.length - 5, 'more token')}`);
+  }
+
+  const chains = Object.entries(result.byChain).sort(([, a], [, b]) => b - a);
+  if (chains.length > 1) {
+    lines.push(`By chain: ${chains.map(([chainId, value]) => `${chainName(Number(chainId))} ${formatUsd(value)}`).join(', ')}`);
+  }
+
+  if (result.pnl.positions.length > 0) {
+    lines.push(
+      `PnL: realized ${formatSignedUsd(result.pnl.realizedUsd)}, ` +
+      `unrealized ${formatSignedUsd(result.pnl.unrealizedUsd)} on ${formatUsd(result.pnl.costBasisUsd)} cost basis`
+    );
+  }
+
+  if (result.unpriced.length > 0) {
+    lines.push(`No price for: ${result.unpriced.map(u => `${u.symbol} (${chainName(u.chainId)})`).join(', ')}`);
+  }
+  if (result.errors.length > 0) {
+    lines.push(`Could not load: ${[...new Set(result.errors.map(e => chainName(e.chainId)))].join(', ')}`);
+  }
+
+  return {
+    text: lines.join('\n'),
+    success: true,
+    summary: formatUsd(result.totalUsd),
+    details: result,
+  };
+}
+
 /**
  * Generate quote response
  */
 function generateQuoteResponse(result, command) {
+  // Auto-routed quotes arrive as { best, alternatives }
+  const alternatives = result?.best ? result.alternatives || [] : [];
+  if (result?.best) result = result.best;
+
   if (!result || !result.amountOut) {
     return {
       text: 'Could not get quote. The trading pair may not have liquidity.',
@@ -190,6 +296,18 @@ function generateQuoteResponse(result, command) {
     lines.push(`Best route via: ${result.dex}`);
   }
 
+  if (result.routes && result.routes.length > 1) {
+    lines.push(`Split across ${result.routes.length} routes:`);
+    for (const route of result.routes) {
+      lines.push(`  ${route.share}% via ${route.dex} (${route.path.length - 1} hop${route.path.length > 2 ? 's' : ''}) → ${route.amountOut} ${result.toToken}`);
+    }
+  }
+
+  const nextBest = alternatives.find(q => q.amountOut);
+  if (nextBest) {
+    lines.push(`Next best: ${nextBest.amountOut} ${result.toToken} via ${nextBest.dex}`);
+  }
+
   return {
     text: lines.join('\n'),
     success: true,
@@ -238,6 +356,100 @@ function generateAirdropResponse(result, command) {
   };
 }
 
+/**
+ * Generate points response
+ */
+function generatePointsResponse(result, command) {
+  if (!result.success) {
+    return {
+      text: result.message || result.error || 'Could not read points history.',
+      success: false,
+    };
+  }
+
+  const lines = ['Points:'];
+  for (const entry of result.protocols) {
+    if (entry.latest === null) {
+      lines.push(`${entry.protocol}: no snapshots recorded yet`);
+      continue;
+    }
+
+    const extras = Object.entries(entry.breakdown || {})
+      .map(([name, value]) => `${formatNumber(value)} ${name}`);
+    lines.push(`${entry.protocol}: ${formatNumber(entry.latest)} points${extras.length ? ` (${extras.join(', ')})` : ''} as of ${entry.date}`);
+
+    if (entry.pointsPerDay !== null) {
+      const sign = entry.pointsPerDay >= 0 ? '+' : '';
+      lines.push(`  ${sign}${formatNumber(entry.pointsPerDay)}/day over the last ${entry.days} days`);
+    }
+  }
+
+  return {
+    text: lines.join('\n'),
+    success: true,
+    details: result,
+  };
+}
+
+/**
+ * Describe an order's trigger, e.g. "when ETH is above $4,000"
+ */
+function describeOrderTrigger(order) {
+  return `when ${order.asset} is ${order.condition} $${formatNumber(order.triggerPrice)}`;
+}
+
+/**
+ * Generate limit order response
+ */
+function generateLimitOrderResponse(result, command) {
+  if (!result.success) {
+    return {
+      text: result.message || result.error || 'Could not update limit orders.',
+      success: false,
+    };
+  }
+
+  const { order } = result;
+
+  if (result.action === 'cancel') {
+    return {
+      text: `Cancelled order ${order.id} (${order.filled} of ${order.amount} ${order.fromToken} filled).`,
+      success: true,
+      details: result,
+    };
+  }
+
+  if (result.action === 'list') {
+    if (result.orders.length === 0) {
+      return { text: 'No open orders.', success: true, details: result };
+    }
+
+    const lines = ['Orders:'];
+    for (const o of result.orders) {
+      const filled = o.filled !== '0.0' ? `, ${o.filled} filled` : '';
+      lines.push(`${o.id}: ${o.type} ${o.side} ${o.amount} ${o.fromToken} → ${o.toToken} ${describeOrderTrigger(o)} [${o.status.replace('_', ' ')}${filled}]`);
+    }
+    return { text: lines.join('\n'), success: true, details: result };
+  }
+
+  const lines = [
+    `${order.type === 'stop' ? 'Stop' : 'Limit'} order ${order.id} placed:`,
+    `Swap ${order.amount} ${order.fromToken} → ${order.toToken} ${describeOrderTrigger(order)}`,
+  ];
+  if (order.expiresAt) {
+    lines.push(`Expires: ${new Date(order.expiresAt).toISOString()}`);
+  }
+  if (!order.allowPartial) {
+    lines.push('All-or-nothing: no partial fills');
+  }
+
+  return {
+    text: lines.join('\n'),
+    success: true,
+    details: result,
+  };
+}
+
 /**
  * Generate gas response
  */
@@ -290,6 +502,10 @@ function generateConfirmation(command) {
       return generateTransferConfirmation(command);
     case 'BATCH_TRANSFER':
       return generateBatchTransferConfirmation(command);
+    case 'BRIDGE':
+      return generateBridgeConfirmation(command);
+    case 'LIMIT_ORDER':
+      return generateLimitOrderConfirmation(command);
     default:
       return 'Confirm this action?';
   }
@@ -357,6 +573,58 @@ function generateBatchTransferConfirmation(command) {
   return lines.join('\n');
 }
 
+/**
+ * Generate bridge confirmation
+ */
+function generateBridgeConfirmation(command) {
+  const { params, chainId } = command;
+  const fromChain = getChain(chainId);
+  const toChain = getChain(params.toChainId);
+
+  const lines = [
+    'Please confirm this bridge:',
+    `Bridge: ${params.amount} ${params.token}`,
+    `From: ${fromChain?.name || chainId}`,
+    `To: ${toChain?.name || params.toChainId}`,
+  ];
+
+  if (params.recipient) {
+    const recipientDisplay = params.recipient.endsWith('.eth')
+      ? params.recipient
+      : truncateAddress(params.recipient);
+    lines.push(`Recipient: ${recipientDisplay}`);
+  }
+
+  lines.push(
+    `Route: ${params.bridge === 'auto' ? 'best available bridge' : params.bridge}`,
+    '',
+    'Reply "yes" to confirm or "no" to cancel.'
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Generate limit order confirmation
+ */
+function generateLimitOrderConfirmation(command) {
+  const { params, chainId } = command;
+  const chain = getChain(chainId);
+  const asset = params.asset || params.fromToken;
+
+  const lines = [
+    'Please confirm this order:',
+    `Swap: ${params.amount} ${params.fromToken} → ${params.toToken}`,
+    `Trigger: ${asset} ${params.condition ? `${params.condition} ` : 'at '}$${formatNumber(params.triggerPrice)}`,
+    `Chain: ${chain?.name || chainId}`,
+    `Max Slippage: ${params.slippage}%`,
+    '',
+    'Reply "yes" to confirm or "no" to cancel.',
+  ];
+
+  return lines.join('\n');
+}
+
 /**
  * Generate error response
  */
@@ -401,13 +669,25 @@ function generateHelp(topic = null) {
         '• "Send 50 USDC to 0x1234..."',
         '• "Transfer 0.5 ETH to vitalik.eth"',
         '',
+        '**Bridge tokens:**',
+        '• "Bridge 0.1 ETH to Arbitrum"',
+        '• "Bridge 100 USDC from Arbitrum to Base"',
+        '',
         '**Check balances:**',
         '• "What\'s my balance?"',
         '• "Show my ETH on Polygon"',
         '',
+        '**Portfolio value and PnL:**',
+        '• "What\'s my portfolio worth?"',
+        '• "Show my PnL"',
+        '',
         '**Get quotes:**',
         '• "Quote 1 ETH to USDC"',
         '',
+        '**Limit and stop orders:**',
+        '• "Sell 1 ETH for USDC if ETH > 4000"',
+        '• "Show my orders"',
+        '',
         '**Check airdrops:**',
         '• "Am I eligible for any airdrops?"',
         '',
@@ -421,7 +701,10 @@ function generateHelp(topic = null) {
   const helpTopics = {
     swap: 'To swap tokens, say something like "Swap 0.1 ETH for USDC on Arbitrum with 1% slippage"',
     transfer: 'To transfer tokens, say "Send 100 USDC to 0x..." or use an ENS name like "vitalik.eth"',
+    bridge: 'To move tokens between chains, say "Bridge 0.1 ETH to Arbitrum" or "Bridge 100 USDC from Arbitrum to Base via Across"',
     balance: 'To check balances, ask "What\'s my balance?" or specify a chain like "Show my balance on Polygon"',
+    portfolio: 'To value every wallet in USD, ask "What\'s my portfolio worth?"; "Show my PnL" adds realized and unrealized profit against what swaps and claims cost',
+    orders: 'To place an order, say "Sell 1 ETH for USDC if ETH > 4000" or "Buy ETH with 3000 USDC when ETH drops below 2500 for 3 days". Say "Show my orders" or "Cancel order <id>" to manage them',
     airdrop: 'To check airdrops, ask "Check my airdrop eligibility" or specify a protocol like "Am I eligible for LayerZero?"',
   };
 
@@ -438,6 +721,8 @@ module.exports = {
   generateHelp,
   generateSwapResponse,
   generateTransferResponse,
+  generateBridgeResponse,
   generateBalanceResponse,
+  generatePortfolioResponse,
   generateQuoteResponse,
 };
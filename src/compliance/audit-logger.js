@@ -16,6 +16,8 @@
 
 const crypto = require('crypto');
 const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
 
 // ============ Constants ============
 
@@ -65,6 +67,9 @@ const EXPORT_FORMATS = {
 const DEFAULT_RETENTION_DAYS = 2555; // 7 years
 const DEFAULT_ROTATION_SIZE = 100000; // entries per log segment
 const DEFAULT_HASH_ALGORITHM = 'sha256';
+const ACTIVE_SEGMENT_FILE = 'active.ndjson';
+const MANIFEST_FILE = 'manifest.json';
+const SEGMENT_DIR = 'segments';
 
 // ============ Audit Entry ============
 
@@ -97,21 +102,39 @@ class AuditEntry {
     return `audit_${timestamp}_${random}`;
   }
 
-  computeHash(previousHash = null) {
-    this.previousHash = previousHash;
+  static fromJSON(json) {
+    const entry = Object.create(AuditEntry.prototype);
+    entry.id = json.id;
+    entry.timestamp = json.timestamp;
+    entry.isoTimestamp = json.isoTimestamp;
+    entry.category = json.category;
+    entry.action = json.action;
+    entry.data = json.data;
+    entry.metadata = json.metadata || {};
+    entry.hash = json.hash ?? null;
+    entry.previousHash = json.previousHash ?? null;
+    return entry;
+  }
+
+  static hashOf(entry) {
     const content = JSON.stringify({
-      id: this.id,
-      timestamp: this.timestamp,
-      category: this.category,
-      action: this.action,
-      data: this.data,
-      metadata: this.metadata,
-      previousHash: this.previousHash,
+      id: entry.id,
+      timestamp: entry.timestamp,
+      category: entry.category,
+      action: entry.action,
+      data: entry.data,
+      metadata: entry.metadata,
+      previousHash: entry.previousHash,
     });
-    this.hash = crypto
+    return crypto
       .createHash(DEFAULT_HASH_ALGORITHM)
       .update(content)
       .digest('hex');
+  }
+
+  computeHash(previousHash = null) {
+    this.previousHash = previousHash;
+    this.hash = AuditEntry.hashOf(this);
     return this.hash;
   }
 
@@ -409,15 +432,312 @@ class MemoryStorage {
   }
 }
 
+// ============ File Storage Backend ============
+
+/**
+ * Append-only segmented file storage.
+ *
+ * Every entry is appended synchronously to an NDJSON active segment, so the
+ * trail survives process restarts (e.g. serverless cold starts). Rotation and
+ * archival move entries into immutable segment files recorded in a manifest.
+ * The manifest also holds the chain head (entry count, last id and hash of
+ * the active segment), rewritten after every append. On load the active
+ * segment is replayed, indexes are rebuilt and the chain is re-verified
+ * against that head, so edits, truncation or a deleted segment made while
+ * the process was down are detected.
+ */
+class FileStorage extends MemoryStorage {
+  constructor(options = {}) {
+    super(options);
+    this.logger = options.logger || console;
+    this.directory = options.directory || path.join(process.cwd(), 'data', 'audit');
+    this.segmentDir = path.join(this.directory, SEGMENT_DIR);
+    this.activeFile = path.join(this.directory, ACTIVE_SEGMENT_FILE);
+    this.manifestFile = path.join(this.directory, MANIFEST_FILE);
+    this.verifyOnLoad = options.verifyOnLoad !== false;
+    this.verifyArchivesOnLoad = options.verifyArchivesOnLoad || false;
+    // Refuse to start on a failed check instead of recording the violation
+    this.strictIntegrity = options.strictIntegrity === true;
+    // With the hash chain disabled entries carry no hashes; only the head is checked
+    this.hashChain = options.hashChain !== false;
+    this.integrity = { verified: false, valid: true, errors: [] };
+
+    fs.mkdirSync(this.segmentDir, { recursive: true });
+    this.load();
+  }
+
+  // ============ Persistence ============
+
+  load() {
+    const manifest = this.readManifest();
+    this.archives = manifest.archives || [];
+    this.head = manifest.head || null;
+
+    const { entries, errors } = this.readSegmentFile(this.activeFile);
+    this.entries = entries;
+    this.rebuildIndexes();
+
+    if (this.verifyOnLoad) {
+      const report = this.verify({ includeArchives: this.verifyArchivesOnLoad });
+      report.errors.unshift(...errors);
+      report.valid = report.errors.length === 0;
+      this.integrity = report;
+
+      if (!report.valid) {
+        this.logger.error(`[FileStorage] Audit trail integrity check failed: ${report.errors[0]}`);
+        if (this.strictIntegrity) {
+          throw new Error(`Audit trail integrity check failed: ${report.errors[0]}`);
+        }
+      }
+    }
+
+    return this.entries.length;
+  }
+
+  append(entry) {
+    fs.appendFileSync(this.activeFile, JSON.stringify(entry.toJSON()) + '\n');
+    const result = super.append(entry);
+    this.writeManifest();
+    return result;
+  }
+
+  readSegmentFile(file) {
+    const entries = [];
+    const errors = [];
+
+    if (!fs.existsSync(file)) {
+      return { entries, errors };
+    }
+
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(AuditEntry.fromJSON(JSON.parse(line)));
+      } catch {
+        errors.push(`Unreadable entry at ${path.basename(file)}:${i + 1}`);
+      }
+    });
+
+    return { entries, errors };
+  }
+
+  readArchive(archive) {
+    return this.readSegmentFile(path.join(this.segmentDir, archive.file)).entries;
+  }
+
+  readManifest() {
+    if (!fs.existsSync(this.manifestFile)) return {};
+    return JSON.parse(fs.readFileSync(this.manifestFile, 'utf8'));
+  }
+
+  writeManifest() {
+    const last = this.entries[this.entries.length - 1];
+    this.head = {
+      count: this.entries.length,
+      lastId: last?.id ?? null,
+      lastHash: last?.hash ?? null,
+    };
+    this.writeAtomic(this.manifestFile, JSON.stringify({
+      version: 1,
+      archives: this.archives,
+      head: this.head,
+    }, null, 2));
+  }
+
+  writeSegment(entries) {
+    const timestamp = Date.now();
+    const file = `segment_${timestamp}_${entries[0].id}.ndjson`;
+    this.writeAtomic(
+      path.join(this.segmentDir, file),
+      entries.map(e => JSON.stringify(e.toJSON())).join('\n') + '\n'
+    );
+
+    return {
+      timestamp,
+      startTimestamp: entries[0].timestamp,
+      endTimestamp: entries[entries.length - 1].timestamp,
+      count: entries.length,
+      firstHash: entries[0].hash,
+      lastHash: entries[entries.length - 1].hash,
+      file,
+    };
+  }
+
+  rewriteActive() {
+    const content = this.entries.map(e => JSON.stringify(e.toJSON())).join('\n');
+    this.writeAtomic(this.activeFile, content ? content + '\n' : '');
+  }
+
+  writeAtomic(file, content) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, file);
+  }
+
+  // ============ Integrity ============
+
+  verify(options = {}) {
+    const errors = [];
+    let expectedPrevious = null;
+
+    if (options.includeArchives) {
+      for (const archive of this.archives) {
+        const { entries, errors: readErrors } = this.readSegmentFile(
+          path.join(this.segmentDir, archive.file)
+        );
+        errors.push(...readErrors);
+
+        if (entries.length !== archive.count) {
+          errors.push(`Segment ${archive.file} has ${entries.length} entries, manifest records ${archive.count}`);
+        }
+        if (entries[entries.length - 1]?.hash !== archive.lastHash) {
+          errors.push(`Segment ${archive.file} last hash does not match manifest`);
+        }
+        errors.push(...this.verifyChain(entries, expectedPrevious));
+        expectedPrevious = archive.lastHash;
+      }
+    }
+
+    const lastArchive = this.archives[this.archives.length - 1];
+    if (this.hashChain) {
+      errors.push(...this.verifyChain(this.entries, lastArchive ? lastArchive.lastHash : expectedPrevious));
+    }
+    errors.push(...this.verifyHead(this.entries));
+
+    return { verified: true, valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Compare the active segment with the head recorded in the manifest
+   *
+   * One entry past the head is accepted: the process stopped between
+   * appending it and rewriting the manifest.
+   */
+  verifyHead(entries) {
+    if (!this.head) {
+      return entries.length > 0 || this.archives.length > 0
+        ? ['No chain head recorded in the manifest']
+        : [];
+    }
+
+    const { count, lastId, lastHash } = this.head;
+    if (entries.length !== count && entries.length !== count + 1) {
+      return [`Active segment has ${entries.length} entries, manifest head records ${count}`];
+    }
+
+    const atHead = entries[count - 1];
+    if (count > 0 && (atHead.id !== lastId || atHead.hash !== lastHash)) {
+      return [`Entry ${count} of the active segment does not match the manifest head`];
+    }
+
+    return [];
+  }
+
+  verifyChain(entries, expectedPrevious = null) {
+    const errors = [];
+    let previousHash = expectedPrevious ?? entries[0]?.previousHash ?? null;
+
+    for (const entry of entries) {
+      if (entry.hash === null) {
+        errors.push(`Missing hash at entry ${entry.id}`);
+      } else if (entry.previousHash !== previousHash) {
+        errors.push(`Hash chain broken at entry ${entry.id}`);
+      } else if (AuditEntry.hashOf(entry) !== entry.hash) {
+        errors.push(`Hash mismatch at entry ${entry.id}`);
+      }
+      previousHash = entry.hash;
+    }
+
+    return errors;
+  }
+
+  getLastHash() {
+    if (this.entries.length > 0) {
+      return this.entries[this.entries.length - 1].hash;
+    }
+    return this.archives[this.archives.length - 1]?.lastHash || null;
+  }
+
+  // ============ Lifecycle ============
+
+  rotate() {
+    if (this.entries.length < this.rotationSize) return null;
+
+    const archived = this.writeSegment(this.entries);
+    this.archives.push(archived);
+
+    this.entries = [];
+    this.rebuildIndexes();
+    this.writeManifest();
+    this.rewriteActive();
+
+    return archived;
+  }
+
+  archive(olderThan) {
+    const threshold = Date.now() - olderThan;
+    const toArchive = this.entries.filter(e => e.timestamp < threshold);
+
+    if (toArchive.length === 0) {
+      return { archivedCount: 0 };
+    }
+
+    const archived = this.writeSegment(toArchive);
+    this.archives.push(archived);
+
+    this.entries = this.entries.filter(e => e.timestamp >= threshold);
+    this.rebuildIndexes();
+    this.writeManifest();
+    this.rewriteActive();
+
+    return { archivedCount: toArchive.length, archive: archived };
+  }
+
+  purge(olderThan, confirm = false) {
+    const previousArchives = this.archives;
+    const result = super.purge(olderThan, confirm);
+
+    for (const archive of previousArchives) {
+      if (!this.archives.includes(archive)) {
+        fs.rmSync(path.join(this.segmentDir, archive.file), { force: true });
+      }
+    }
+
+    this.writeManifest();
+    this.rewriteActive();
+
+    return result;
+  }
+
+  clear() {
+    for (const archive of this.archives) {
+      fs.rmSync(path.join(this.segmentDir, archive.file), { force: true });
+    }
+    super.clear();
+    this.writeManifest();
+    this.rewriteActive();
+  }
+}
+
 // ============ Audit Logger ============
 
 class AuditLogger extends EventEmitter {
   constructor(config = {}) {
     super();
 
+    const logger = config.logger || console;
+
     this.config = {
-      logger: config.logger || console,
-      storage: config.storage || new MemoryStorage(config.storageOptions),
+      logger,
+      storage: config.storage || (config.storageDir
+        ? new FileStorage({
+          logger,
+          hashChain: config.hashChain !== false,
+          ...config.storageOptions,
+          directory: config.storageDir,
+        })
+        : new MemoryStorage(config.storageOptions)),
       retentionDays: config.retentionDays || DEFAULT_RETENTION_DAYS,
       hashChain: config.hashChain !== false,
       rotationSize: config.rotationSize || DEFAULT_ROTATION_SIZE,
@@ -425,7 +745,10 @@ class AuditLogger extends EventEmitter {
     };
 
     this.storage = this.config.storage;
-    this.lastHash = null;
+    // Persistent backends resume the chain from the last stored entry
+    this.lastHash = typeof this.storage.getLastHash === 'function'
+      ? this.storage.getLastHash()
+      : null;
     this.entryCount = 0;
     this.sessionId = crypto.randomBytes(16).toString('hex');
     this.startTime = Date.now();
@@ -438,6 +761,12 @@ class AuditLogger extends EventEmitter {
       violations: 0,
       errors: 0,
     };
+
+    if (this.storage.integrity && !this.storage.integrity.valid) {
+      this.logViolation('audit_tamper_detected', {
+        errors: this.storage.integrity.errors,
+      }, SEVERITY_LEVELS.CRITICAL, { source: 'audit_logger' });
+    }
   }
 
   // ============ Core Logging ============
@@ -919,20 +1248,7 @@ class AuditLogger extends EventEmitter {
       }
 
       // Verify entry hash
-      const computedHash = crypto
-        .createHash(DEFAULT_HASH_ALGORITHM)
-        .update(JSON.stringify({
-          id: entry.id,
-          timestamp: entry.timestamp,
-          category: entry.category,
-          action: entry.action,
-          data: entry.data,
-          metadata: entry.metadata,
-          previousHash: entry.previousHash,
-        }))
-        .digest('hex');
-
-      if (computedHash !== entry.hash) {
+      if (AuditEntry.hashOf(entry) !== entry.hash) {
         this.config.logger.error(`Hash mismatch at entry ${entry.id}`);
         return false;
       }
@@ -1031,6 +1347,7 @@ module.exports = {
   AuditLogger,
   AuditEntry,
   MemoryStorage,
+  FileStorage,
   AUDIT_CATEGORIES,
   SEVERITY_LEVELS,
   EXPORT_FORMATS,
@@ -592,6 +592,7 @@ class ComplianceLayer extends EventEmitter {
     this.auditLogger = createAuditLogger({
       logger: this.config.logger,
       storage: this.config.auditStorage,
+      storageDir: this.config.auditStorageDir,
       retentionDays: this.config.retentionDays || 2555,
       hashChain: this.config.enableHashChain !== false,
     });
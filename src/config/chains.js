@@ -147,6 +147,116 @@ const CHAINS = {
     },
   },
 
+  // zkSync Era
+  324: {
+    id: 324,
+    name: 'zkSync Era',
+    shortName: 'zksync',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: [
+      process.env.ZKSYNC_RPC_URL,
+      'https://mainnet.era.zksync.io',
+      'https://zksync-era-rpc.publicnode.com',
+    ].filter(Boolean),
+    blockExplorer: 'https://era.zksync.network',
+    contracts: {
+      weth: '0x5AEa5775959fBC2557Cc8789bC1bf90A239D9a91',
+      syncswapRouter: '0x2da10A1e27bF85cEdD8FFb1AbBe97e53391C0295',
+      multicall3: '0xF9cda624FBC7e059355ce98a31693d299FACd963', // zkSync uses its own deployment
+    },
+    gasSettings: {
+      gasLimit: 2000000, // Gas includes pubdata costs
+    },
+  },
+
+  // Linea
+  59144: {
+    id: 59144,
+    name: 'Linea',
+    shortName: 'linea',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: [
+      process.env.LINEA_RPC_URL || `https://linea-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
+      'https://rpc.linea.build',
+      'https://linea-rpc.publicnode.com',
+    ],
+    blockExplorer: 'https://lineascan.build',
+    contracts: {
+      weth: '0xe5D7C2a44FfDDf6b295A15c148167daaAf5Cf34f',
+      syncswapRouter: '0x80e38291e06339d10AAB483C65695D004dBD5C69',
+      multicall3: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    },
+    gasSettings: {
+      gasLimit: 1000000,
+    },
+  },
+
+  // Scroll
+  534352: {
+    id: 534352,
+    name: 'Scroll',
+    shortName: 'scroll',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: [
+      process.env.SCROLL_RPC_URL,
+      'https://rpc.scroll.io',
+      'https://scroll-rpc.publicnode.com',
+    ].filter(Boolean),
+    blockExplorer: 'https://scrollscan.com',
+    contracts: {
+      weth: '0x5300000000000000000000000000000000000004',
+      syncswapRouter: '0x80e38291e06339d10AAB483C65695D004dBD5C69',
+      multicall3: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    },
+    gasSettings: {
+      gasLimit: 1000000,
+    },
+  },
+
+  // Blast
+  81457: {
+    id: 81457,
+    name: 'Blast',
+    shortName: 'blast',
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: [
+      process.env.BLAST_RPC_URL || `https://blast-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
+      'https://rpc.blast.io',
+      'https://blast-rpc.publicnode.com',
+    ],
+    blockExplorer: 'https://blastscan.io',
+    contracts: {
+      weth: '0x4300000000000000000000000000000000000004',
+      uniswapV2Router: '0x98994a9A7a2570367554589189dC9772241650f6', // Thruster V2 (0.3%), a Uniswap V2 fork
+      multicall3: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    },
+    gasSettings: {
+      gasLimit: 1000000,
+    },
+  },
+
+  // Mantle
+  5000: {
+    id: 5000,
+    name: 'Mantle',
+    shortName: 'mantle',
+    nativeCurrency: { name: 'Mantle', symbol: 'MNT', decimals: 18 },
+    rpcUrls: [
+      process.env.MANTLE_RPC_URL,
+      'https://rpc.mantle.xyz',
+      'https://mantle-rpc.publicnode.com',
+    ].filter(Boolean),
+    blockExplorer: 'https://mantlescan.xyz',
+    contracts: {
+      wmnt: '0x78c1b0C915c4FAA5FffA6CAbf0219DA63d7f4cb8',
+      agniRouter: '0x319B69888b0d11cEC22caA5034e25FfFBDc88421',
+      multicall3: '0xcA11bde05977b3631167028862bE2a173976CA11',
+    },
+    gasSettings: {
+      gasLimit: 1000000,
+    },
+  },
+
   // Goerli Testnet (for testing)
   5: {
     id: 5,
@@ -186,6 +296,12 @@ const CHAIN_ALIASES = {
   'bsc': 56,
   'bnb': 56,
   'binance': 56,
+  'zksync': 324,
+  'zksync era': 324,
+  'linea': 59144,
+  'scroll': 534352,
+  'blast': 81457,
+  'mantle': 5000,
   'goerli': 5,
   'testnet': 5,
 };
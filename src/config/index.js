@@ -15,6 +15,7 @@ const config = {
     apiKey: process.env.AI_API_KEY,
     model: process.env.AI_MODEL || 'gpt-4-turbo-preview',
     maxTokens: parseInt(process.env.AI_MAX_TOKENS) || 1000,
+    conversationTtl: parseInt(process.env.AI_CONVERSATION_TTL_MS) || 10 * 60 * 1000,
   },
 
   // Wallet Configuration
@@ -38,6 +39,17 @@ const config = {
     maxPriceImpact: parseFloat(process.env.MAX_PRICE_IMPACT) || 3.0, // 3%
     defaultSwapAmount: process.env.SWAP_AMOUNT || '25000000000000000', // 0.025 ETH
     defaultTransferAmount: process.env.TRANSFER_AMOUNT || '10000000', // 10 USDC
+    // Local multi-hop / split router (see engines/swap/smartRouter)
+    routing: {
+      // Intermediate tokens for multi-hop paths; the wrapped native token is always included
+      baseTokens: (process.env.SWAP_BASE_TOKENS || 'USDC,USDT,DAI')
+        .split(',').map(s => s.trim()).filter(Boolean),
+      maxHops: parseInt(process.env.SWAP_MAX_HOPS) || 3, // pools per route
+      maxSplits: parseInt(process.env.SWAP_MAX_SPLITS) || 3, // routes per order
+      splitStep: parseFloat(process.env.SWAP_SPLIT_STEP_PERCENT) || 25, // %
+      minSplitGainBps: parseFloat(process.env.SWAP_SPLIT_MIN_GAIN_BPS) || 10, // 0.1%
+      concurrency: parseInt(process.env.SWAP_ROUTE_CONCURRENCY) || 8, // quoter calls in flight
+    },
   },
 
   // Notification Configuration
@@ -50,9 +62,85 @@ const config = {
       enabled: !!process.env.TELEGRAM_BOT_TOKEN,
       botToken: process.env.TELEGRAM_BOT_TOKEN,
       chatId: process.env.TELEGRAM_CHAT_ID,
+      apiUrl: process.env.TELEGRAM_API_URL || 'https://api.telegram.org',
+    },
+    email: {
+      enabled: !!process.env.SMTP_HOST && !!process.env.ALERT_EMAIL_TO,
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true', // implicit TLS, usually port 465
+      // Send credentials without TLS; only for trusted relays such as localhost
+      allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+      to: (process.env.ALERT_EMAIL_TO || '').split(',').map(s => s.trim()).filter(Boolean),
+    },
+    slack: {
+      enabled: !!process.env.SLACK_WEBHOOK_URL,
+      webhookUrl: process.env.SLACK_WEBHOOK_URL,
+    },
+    webhook: {
+      enabled: !!process.env.ALERT_WEBHOOK_URL,
+      url: process.env.ALERT_WEBHOOK_URL,
+      secret: process.env.ALERT_WEBHOOK_SECRET,
+    },
+    pagerduty: {
+      enabled: !!process.env.PAGERDUTY_ROUTING_KEY,
+      routingKey: process.env.PAGERDUTY_ROUTING_KEY,
+      eventsUrl: process.env.PAGERDUTY_EVENTS_URL || 'https://events.pagerduty.com/v2/enqueue',
+      minLevel: process.env.PAGERDUTY_MIN_LEVEL || 'high',
+    },
+    // Which channels each alert from the alert system goes to
+    routing: {
+      file: process.env.ALERT_ROUTES_FILE || './alert-routes.yaml',
+      timezone: process.env.ALERT_ROUTES_TIMEZONE || 'UTC',
+      defaultChannels: (process.env.ALERT_DEFAULT_CHANNELS || 'all')
+        .split(',').map(s => s.trim()).filter(Boolean),
+    },
+  },
+
+  // Interactive chat bots
+  bots: {
+    telegram: {
+      // "chatId:role" pairs, comma separated; role defaults to trader
+      allowedChats: process.env.TELEGRAM_ALLOWED_CHATS || process.env.TELEGRAM_CHAT_ID || '',
+      webhookSecret: process.env.TELEGRAM_WEBHOOK_SECRET,
+      pollTimeout: parseInt(process.env.TELEGRAM_POLL_TIMEOUT) || 30, // seconds
+    },
+    discord: {
+      publicKey: process.env.DISCORD_PUBLIC_KEY,
+      applicationId: process.env.DISCORD_APPLICATION_ID,
+      botToken: process.env.DISCORD_BOT_TOKEN,
+      // "discordUserId:role" pairs, comma separated; role defaults to trader
+      userRoles: process.env.DISCORD_USER_ROLES || '',
     },
   },
 
+  // REST functions: "token:userId" pairs, comma separated; a bearer token
+  // identifies the user confirming commands or queueing plans
+  api: {
+    userTokens: process.env.API_USER_TOKENS || '',
+  },
+
+  // HTTP dashboard server: metrics, JSON API and live event stream
+  dashboard: {
+    host: process.env.DASHBOARD_HOST || '127.0.0.1',
+    port: parseInt(process.env.DASHBOARD_PORT) || 8787,
+    // Required on every route when set (Bearer header or ?token=)
+    token: process.env.DASHBOARD_TOKEN || null,
+    heartbeatInterval: parseInt(process.env.DASHBOARD_HEARTBEAT_MS) || 15000,
+    // Serve it from the scheduler and bot daemons too
+    embedded: process.env.DASHBOARD_EMBEDDED !== 'false',
+  },
+
+  // Two-phase confirmation of swaps and transfers
+  confirmations: {
+    ttl: parseInt(process.env.CONFIRMATION_TTL_MS) || 2 * 60 * 1000,
+    maxPriceMove: parseFloat(process.env.CONFIRMATION_MAX_PRICE_MOVE) || 1.0, // 1%
+    maxGasIncrease: parseFloat(process.env.CONFIRMATION_MAX_GAS_INCREASE) || 25, // 25%
+  },
+
   // Rate Limiting
   rateLimits: {
     maxRequestsPerMinute: parseInt(process.env.RATE_LIMIT_RPM) || 30,
@@ -64,6 +152,94 @@ const config = {
     level: process.env.LOG_LEVEL || 'info',
     format: process.env.LOG_FORMAT || 'json',
   },
+
+  // Limit and stop orders: where open orders persist, how often the watcher
+  // checks prices, default lifetime and the smallest partial fill (% of order)
+  limitOrders: {
+    file: process.env.LIMIT_ORDERS_FILE || './data/limit-orders.json',
+    checkInterval: parseInt(process.env.LIMIT_ORDER_CHECK_MS) || 60 * 1000,
+    defaultTtl: (parseFloat(process.env.LIMIT_ORDER_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000,
+    minFillPercent: parseFloat(process.env.LIMIT_ORDER_MIN_FILL_PERCENT) || 10,
+  },
+
+  // Bridge transfers in flight: how often the bots daemon checks them for
+  // the destination receipt
+  bridge: {
+    statusCheckInterval: parseInt(process.env.BRIDGE_STATUS_CHECK_MS) || 60 * 1000,
+  },
+
+  // Stablecoin depeg monitor, run by the bots and scheduler daemons and
+  // synced by the Netlify functions that execute commands. A critical depeg
+  // pauses swaps into the stable and transfers of it between our wallets;
+  // with de-risking on, swaps out of it into the safest unpaused stable are
+  // queued for deRisk.userId to confirm
+  depeg: {
+    enabled: process.env.DEPEG_MONITOR_ENABLED === 'true',
+    stables: (process.env.DEPEG_STABLES || 'USDC,USDT,DAI')
+      .split(',').map(s => s.trim()).filter(Boolean),
+    checkInterval: parseInt(process.env.DEPEG_CHECK_MS) || 60 * 1000,
+    // De-risk targets in order of preference; empty means USDC, USDT, DAI
+    safeTargets: (process.env.DEPEG_SAFE_TARGETS || '')
+      .split(',').map(s => s.trim()).filter(Boolean),
+    deRisk: {
+      enabled: process.env.DEPEG_DERISK_ENABLED === 'true',
+      userId: process.env.DEPEG_DERISK_USER || null, // e.g. telegram:<chatId>
+      chains: (process.env.DEPEG_DERISK_CHAINS || '1')
+        .split(',').map(s => parseInt(s)).filter(Boolean),
+    },
+  },
+
+  // Portfolio valuation: where swap and claim cost basis persists, which
+  // chains to value (empty means every mainnet) and how long prices are reused
+  portfolio: {
+    costBasisFile: process.env.PORTFOLIO_COST_BASIS_FILE || './data/cost-basis.json',
+    chains: (process.env.PORTFOLIO_CHAINS || '')
+      .split(',').map(s => parseInt(s)).filter(Boolean),
+    priceTtl: parseInt(process.env.PORTFOLIO_PRICE_TTL_MS) || 60 * 1000,
+    taxLotMethod: process.env.PORTFOLIO_TAX_LOT_METHOD || 'fifo', // fifo, lifo or hifo
+  },
+
+  // Block explorer used to profile wallet history for airdrop eligibility
+  explorer: {
+    apiKey: process.env.ETHERSCAN_API_KEY,
+    apiUrl: process.env.EXPLORER_API_URL || 'https://api.etherscan.io/v2/api',
+    // Serve recorded history from a JSON file instead of calling the API
+    fixtureFile: process.env.EXPLORER_FIXTURE_FILE,
+  },
+
+  // Airdrop campaigns (JSON rule files) loaded on top of the built-ins
+  airdrop: {
+    campaignsDir: process.env.AIRDROP_CAMPAIGNS_DIR,
+    // How long queued gap-plan steps wait for confirmation
+    planTtl: parseInt(process.env.AIRDROP_PLAN_TTL_MS) || 24 * 60 * 60 * 1000,
+    // Claim window tracker: deadline warning lead time, poll interval and
+    // where sent alerts are recorded
+    claimWarning: parseInt(process.env.AIRDROP_CLAIM_WARNING_MS) || 3 * 24 * 60 * 60 * 1000,
+    claimCheckInterval: parseInt(process.env.AIRDROP_CLAIM_CHECK_MS) || 60 * 60 * 1000,
+    claimStateFile: process.env.AIRDROP_CLAIM_STATE_FILE,
+    // Default destination for batch-claim sweeps (address, ENS or wallet alias)
+    treasuryWallet: process.env.AIRDROP_TREASURY_WALLET,
+    // Daily points snapshots, and recorded points API responses to serve
+    // instead of calling the APIs
+    pointsFile: process.env.AIRDROP_POINTS_FILE || './data/points-history.json',
+    pointsFixtureFile: process.env.AIRDROP_POINTS_FIXTURE_FILE,
+    // Vesting tracker: claimed allocations, poll interval and the share of an
+    // allocation (%) that must unlock before another notification
+    vestingFile: process.env.AIRDROP_VESTING_FILE || './data/vesting.json',
+    vestingCheckInterval: parseInt(process.env.AIRDROP_VESTING_CHECK_MS) || 6 * 60 * 60 * 1000,
+    vestingNotifyStep: parseFloat(process.env.AIRDROP_VESTING_NOTIFY_PERCENT) || 5,
+  },
+
+  // Persistent storage
+  storage: {
+    transactionLedger: process.env.TX_LEDGER_FILE || './data/transactions.ndjson',
+  },
+
+  // State shared between Netlify functions (pending confirmations):
+  // auto, memory or netlify-blobs
+  sharedStore: {
+    backend: process.env.SHARED_STORE || 'auto',
+  },
 };
 
 /**
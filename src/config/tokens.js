@@ -17,6 +17,10 @@ const TOKENS = {
       10: '0x7F5c764cBc14f9669B88837ca1490cCa17c31607',     // Optimism
       56: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d',     // BSC
       5: '0x07865c6E87B9F70255377e024ace6630C1Eaa37F',      // Goerli
+      324: '0x1d17CBcF0D6D143135aE902365D2E5e2A16538D4',    // zkSync Era (native)
+      59144: '0x176211869cA2b568f2A7D4EE941E073a821EE1ff',  // Linea
+      534352: '0x06eFdBFf2a14a7c8E15944D1F4A48F9F95F663A4', // Scroll
+      5000: '0x09Bc4E0D864854c6aFB6eB9A9cdF58aC190D0dF9',   // Mantle
     },
   },
 
@@ -30,6 +34,10 @@ const TOKENS = {
       137: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F',
       10: '0x94b008aA00579c1307B0EF2c499aD98a8ce58e58',
       56: '0x55d398326f99059fF775485246999027B3197955',
+      324: '0x493257fD37EDB34451f62EDf8D2a0C418852bA4C',
+      59144: '0xA219439258ca9da29E9Cc4cE5596924745e12B93',
+      534352: '0xf55BEC9cafDbE8730f096Aa55dad6D22d44099Df',
+      5000: '0x201EBa5CC46D216Ce6DC03F6a759e8E766e956aE',
     },
   },
 
@@ -42,6 +50,8 @@ const TOKENS = {
       42161: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1',
       137: '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063',
       10: '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1',
+      59144: '0x4AF15ec2A0BD43Db75dd04E62FAA3B8EF36b00d5',
+      534352: '0xcA77eB3fEFe3725Dc33bccB54eDEFc3D9f764f97',
     },
   },
 
@@ -57,6 +67,11 @@ const TOKENS = {
       137: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619',
       10: '0x4200000000000000000000000000000000000006',
       5: '0xB4FBF271143F4FBf7B91A5ded31805e42b2208d6',
+      324: '0x5AEa5775959fBC2557Cc8789bC1bf90A239D9a91',
+      59144: '0xe5D7C2a44FfDDf6b295A15c148167daaAf5Cf34f',
+      534352: '0x5300000000000000000000000000000000000004',
+      81457: '0x4300000000000000000000000000000000000004',
+      5000: '0xdEAddEaDdeadDEadDEADDEAddEADDEAddead1111',   // Bridged (MNT is native)
     },
   },
 
@@ -78,6 +93,25 @@ const TOKENS = {
     },
   },
 
+  WMNT: {
+    symbol: 'WMNT',
+    name: 'Wrapped Mantle',
+    decimals: 18,
+    addresses: {
+      5000: '0x78c1b0C915c4FAA5FffA6CAbf0219DA63d7f4cb8',
+    },
+  },
+
+  // Blast's yield-bearing stablecoin (bridged USDC/USDT/DAI arrive as USDB)
+  USDB: {
+    symbol: 'USDB',
+    name: 'USDB',
+    decimals: 18,
+    addresses: {
+      81457: '0x4300000000000000000000000000000000000003',
+    },
+  },
+
   // Popular DeFi Tokens
   WBTC: {
     symbol: 'WBTC',
@@ -88,6 +122,9 @@ const TOKENS = {
       42161: '0x2f2a2543B76A4166549F7aaB2e75Bef0aefC5B0f',
       137: '0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6',
       10: '0x68f180fcCe6836688e9084f035309E29Bf0A2095',
+      324: '0xBBeB516fb02a01611cBBE0453Fe3c580D7281011',
+      59144: '0x3aAB2285ddcDdaD8edf438C1bAB47e1a9D05a9b4',
+      534352: '0x3C1BCa5a656e69edCD0D4E36BEbb3FcDAcA60Cf1',
     },
   },
 
@@ -130,6 +167,33 @@ const TOKENS = {
       10: '0x4200000000000000000000000000000000000042',
     },
   },
+
+  ZK: {
+    symbol: 'ZK',
+    name: 'zkSync',
+    decimals: 18,
+    addresses: {
+      324: '0x5A7d6b2F92C77FAD6CCaBd7EE0624E64907Eaf3E',
+    },
+  },
+
+  SCR: {
+    symbol: 'SCR',
+    name: 'Scroll',
+    decimals: 18,
+    addresses: {
+      534352: '0xd29687c813D741E2F938F4aC377128810E217b1b',
+    },
+  },
+
+  BLAST: {
+    symbol: 'BLAST',
+    name: 'Blast',
+    decimals: 18,
+    addresses: {
+      81457: '0xb1a5700fA2358173Fe465e6eA4Ff52E36e88E2ad',
+    },
+  },
 };
 
 // Token symbol aliases for NL parsing
@@ -155,6 +219,9 @@ const TOKEN_ALIASES = {
   'bnb': 'BNB',
   'binance': 'BNB',
   'wbnb': 'WBNB',
+  'mnt': 'MNT',
+  'wmnt': 'WMNT',
+  'usdb': 'USDB',
   'chainlink': 'LINK',
   'link': 'LINK',
   'uniswap': 'UNI',
@@ -173,6 +240,11 @@ const NATIVE_TOKENS = {
   10: { symbol: 'ETH', name: 'Ether', decimals: 18 },
   137: { symbol: 'MATIC', name: 'MATIC', decimals: 18 },
   56: { symbol: 'BNB', name: 'BNB', decimals: 18 },
+  324: { symbol: 'ETH', name: 'Ether', decimals: 18 },
+  59144: { symbol: 'ETH', name: 'Ether', decimals: 18 },
+  534352: { symbol: 'ETH', name: 'Ether', decimals: 18 },
+  81457: { symbol: 'ETH', name: 'Ether', decimals: 18 },
+  5000: { symbol: 'MNT', name: 'Mantle', decimals: 18 },
   5: { symbol: 'ETH', name: 'Goerli Ether', decimals: 18 },
 };
 
@@ -208,11 +280,11 @@ function getToken(symbol, chainId) {
 }
 
 /**
- * Check if token is native (ETH, MATIC, BNB)
+ * Check if token is native (ETH, MATIC, BNB, MNT)
  */
 function isNativeToken(symbol) {
   const resolved = resolveTokenSymbol(symbol);
-  return ['ETH', 'MATIC', 'BNB'].includes(resolved);
+  return ['ETH', 'MATIC', 'BNB', 'MNT'].includes(resolved);
 }
 
 /**
@@ -222,6 +294,13 @@ function getNativeToken(chainId) {
   return NATIVE_TOKENS[chainId] || NATIVE_TOKENS[1];
 }
 
+/**
+ * Check a symbol is the gas token of this particular chain (ETH on Polygon is not)
+ */
+function isNativeOnChain(symbol, chainId) {
+  return isNativeToken(symbol) && getNativeToken(chainId).symbol === resolveTokenSymbol(symbol);
+}
+
 /**
  * Get wrapped native token address for a chain
  */
@@ -231,7 +310,8 @@ function getWrappedNativeAddress(chainId) {
 
   return chain.contracts.weth ||
          chain.contracts.wmatic ||
-         chain.contracts.wbnb;
+         chain.contracts.wbnb ||
+         chain.contracts.wmnt;
 }
 
 /**
@@ -257,6 +337,7 @@ module.exports = {
   resolveTokenSymbol,
   getToken,
   isNativeToken,
+  isNativeOnChain,
   getNativeToken,
   getWrappedNativeAddress,
   parseAmount,
@@ -6,6 +6,7 @@
 const { ethers } = require('ethers');
 const { getProvider } = require('./providers');
 const { getChain } = require('../config/chains');
+const { getWrappedNativeAddress } = require('../config/tokens');
 
 // ABI definitions
 const ABIS = {
@@ -187,10 +188,7 @@ function getUniswapV3Quoter(chainId, signer = null) {
  * Get WETH contract
  */
 function getWETHContract(chainId, signer = null) {
-  const chain = getChain(chainId);
-  const wethAddress = chain?.contracts?.weth ||
-                      chain?.contracts?.wmatic ||
-                      chain?.contracts?.wbnb;
+  const wethAddress = getWrappedNativeAddress(chainId);
 
   if (!wethAddress) {
     throw new Error(`Wrapped native token not available on chain ${chainId}`);
@@ -7,8 +7,9 @@ const providers = require('./providers');
 const wallets = require('./wallets');
 const contracts = require('./contracts');
 const transactions = require('./transactions');
-const { getChain, getExplorerTxUrl, getExplorerAddressUrl } = require('../config/chains');
-const { getToken, isNativeToken, getNativeToken, parseAmount, formatAmount } = require('../config/tokens');
+const ledger = require('./ledger');
+const { getExplorerTxUrl, getExplorerAddressUrl } = require('../config/chains');
+const { getToken, isNativeToken, getNativeToken, getWrappedNativeAddress, parseAmount, formatAmount } = require('../config/tokens');
 const logger = require('../utils/logger');
 
 /**
@@ -95,10 +96,9 @@ async function executeSwap(params) {
 
   // Get router contract
   const router = contracts.getUniswapV2Router(chainId, signer);
-  const chain = getChain(chainId);
 
   // Build path
-  const wethAddress = chain.contracts.weth || chain.contracts.wmatic || chain.contracts.wbnb;
+  const wethAddress = getWrappedNativeAddress(chainId);
   const path = fromTokenInfo.isNative
     ? [wethAddress, toTokenInfo.address]
     : [fromTokenInfo.address, wethAddress, toTokenInfo.address];
@@ -114,21 +114,10 @@ async function executeSwap(params) {
   // Calculate deadline
   const deadlineTimestamp = Math.floor(Date.now() / 1000) + deadline * 60;
 
-  // Approve if needed (for token swaps)
-  if (!fromTokenInfo.isNative) {
-    await contracts.ensureApproval(
-      fromTokenInfo.address,
-      router.address,
-      amountIn,
-      signer,
-      chainId
-    );
-  }
-
-  // Execute swap
-  let tx;
+  // Build swap transaction
+  let txRequest;
   if (fromTokenInfo.isNative) {
-    tx = await router.swapExactETHForTokens(
+    txRequest = await router.populateTransaction.swapExactETHForTokens(
       minOutput,
       path,
       userAddress,
@@ -136,7 +125,7 @@ async function executeSwap(params) {
       { value: amountIn }
     );
   } else if (isNativeToken(toToken)) {
-    tx = await router.swapExactTokensForETH(
+    txRequest = await router.populateTransaction.swapExactTokensForETH(
       amountIn,
       minOutput,
       path,
@@ -144,7 +133,7 @@ async function executeSwap(params) {
       deadlineTimestamp
     );
   } else {
-    tx = await router.swapExactTokensForTokens(
+    txRequest = await router.populateTransaction.swapExactTokensForTokens(
       amountIn,
       minOutput,
       path,
@@ -153,19 +142,28 @@ async function executeSwap(params) {
     );
   }
 
-  // Wait for confirmation
-  const receipt = await tx.wait();
+  // Execute through the security layer (approval handled by ApprovalManager)
+  const result = await transactions.sendSecuredTransaction(signer, txRequest, {
+    security: {
+      fromToken: fromTokenInfo.symbol,
+      toToken: toTokenInfo.symbol,
+      userSlippage: slippage / 100,
+      approval: fromTokenInfo.isNative
+        ? null
+        : { token: fromTokenInfo.address, spender: router.address, amount: amountIn },
+    },
+  });
 
   return {
-    success: receipt.status === 1,
-    txHash: tx.hash,
-    explorerUrl: getExplorerTxUrl(chainId, tx.hash),
+    success: result.status === 'confirmed',
+    txHash: result.hash,
+    explorerUrl: result.explorerUrl,
     fromToken,
     toToken,
     amountIn: formatAmount(amountIn, fromTokenInfo.decimals),
     expectedOutput: formatAmount(expectedOutput, toTokenInfo.decimals),
     minOutput: formatAmount(minOutput, toTokenInfo.decimals),
-    gasUsed: receipt.gasUsed.toString(),
+    gasUsed: result.gasUsed,
   };
 }
 
@@ -201,8 +199,8 @@ async function executeTransfer(params) {
       throw new Error(`Insufficient ${nativeToken.symbol} balance`);
     }
 
-    // Send native token
-    const result = await transactions.sendTransaction(signer, {
+    // Send native token through the security layer
+    const result = await transactions.sendSecuredTransaction(signer, {
       to: toAddress,
       value: amountWei,
     });
@@ -240,19 +238,19 @@ async function executeTransfer(params) {
   // Get token contract
   const tokenContract = contracts.getERC20Contract(tokenInfo.address, chainId, signer);
 
-  // Execute transfer
-  const tx = await tokenContract.transfer(toAddress, amountRaw);
-  const receipt = await tx.wait();
+  // Execute transfer through the security layer
+  const txRequest = await tokenContract.populateTransaction.transfer(toAddress, amountRaw);
+  const result = await transactions.sendSecuredTransaction(signer, txRequest);
 
   return {
-    success: receipt.status === 1,
-    txHash: tx.hash,
-    explorerUrl: getExplorerTxUrl(chainId, tx.hash),
+    success: result.status === 'confirmed',
+    txHash: result.hash,
+    explorerUrl: result.explorerUrl,
     from: fromAddress,
     to: toAddress,
     amount: formatAmount(amountRaw, tokenInfo.decimals),
     token: tokenInfo.symbol,
-    gasUsed: receipt.gasUsed.toString(),
+    gasUsed: result.gasUsed,
   };
 }
 
@@ -288,9 +286,8 @@ async function getSwapQuote(params) {
 
   const amountIn = parseAmount(amount, fromTokenInfo.decimals);
   const router = contracts.getUniswapV2Router(chainId);
-  const chain = getChain(chainId);
 
-  const wethAddress = chain.contracts.weth || chain.contracts.wmatic || chain.contracts.wbnb;
+  const wethAddress = getWrappedNativeAddress(chainId);
   const path = fromTokenInfo.isNative
     ? [wethAddress, toTokenInfo.address]
     : [fromTokenInfo.address, wethAddress, toTokenInfo.address];
@@ -329,4 +326,5 @@ module.exports = {
   wallets,
   contracts,
   transactions,
+  ledger,
 };
@@ -0,0 +1,443 @@
+/**
+ * Transaction Ledger
+ * Durable store for transactions and the commands that produced them
+ *
+ * Records are kept in memory with indexes by wallet, chain, status and
+ * command id, and persisted to an append-only NDJSON file that is replayed
+ * on startup. The file is compacted once superseded writes outnumber live
+ * records. Several processes may share one file: appends and compaction
+ * hold a lock file, and compaction re-reads the log and keeps the newest
+ * copy of every record before renaming the rewrite into place, so records
+ * written by another process survive. Ledger I/O never fails a command: when the file cannot be written
+ * (e.g. a read-only serverless filesystem) the ledger moves to the temp
+ * directory, and failing that keeps records in memory only.
+ *
+ * Every recorded transaction is also emitted as a 'transaction' event, so a
+ * process can feed its monitoring dashboard from the ledger.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const RECORD_KINDS = {
+  TRANSACTION: 'tx',
+  COMMAND: 'command',
+};
+
+// Command id of the router command currently executing (if any)
+const commandContext = new AsyncLocalStorage();
+
+// A lock older than this was left by a crashed process and is broken
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 10;
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+class TransactionLedger extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath ?? null;
+    this.compactionRatio = options.compactionRatio ?? 2;
+
+    this.transactions = new Map();
+    this.commands = new Map();
+    this.index = {
+      byWallet: new Map(),
+      byChainId: new Map(),
+      byStatus: new Map(),
+      byCommandId: new Map(),
+      commandsByUser: new Map(),
+    };
+    this.logLength = 0;
+
+    if (this.filePath) {
+      this.load();
+    }
+  }
+
+  // ============ Transactions ============
+
+  /**
+   * Insert or update a transaction by hash
+   */
+  recordTransaction(record) {
+    if (!record?.hash) {
+      throw new Error('Transaction record requires a hash');
+    }
+
+    const key = record.hash.toLowerCase();
+    const existing = this.transactions.get(key);
+    const merged = { ...existing, ...record, updatedAt: Date.now() };
+
+    if (existing) {
+      this.unindexTransaction(key, existing);
+    }
+    this.transactions.set(key, merged);
+    this.indexTransaction(key, merged);
+    this.append(RECORD_KINDS.TRANSACTION, merged);
+    this.emit('transaction', merged);
+
+    return merged;
+  }
+
+  updateTransaction(hash, changes) {
+    const existing = this.getTransaction(hash);
+    if (!existing) return null;
+    return this.recordTransaction({ ...changes, hash: existing.hash });
+  }
+
+  getTransaction(hash) {
+    if (!hash) return null;
+    return this.transactions.get(hash.toLowerCase()) || null;
+  }
+
+  /**
+   * Query transactions, newest first
+   */
+  queryTransactions(filter = {}) {
+    const { limit, offset = 0 } = filter;
+    const candidates = [];
+
+    if (filter.commandId) candidates.push(this.index.byCommandId.get(filter.commandId));
+    if (filter.wallet) candidates.push(this.index.byWallet.get(filter.wallet.toLowerCase()));
+    if (filter.status) candidates.push(this.index.byStatus.get(filter.status));
+    if (filter.chainId) candidates.push(this.index.byChainId.get(Number(filter.chainId)));
+
+    let keys;
+    if (candidates.length === 0) {
+      keys = [...this.transactions.keys()];
+    } else if (candidates.some(c => !c)) {
+      keys = [];
+    } else {
+      // Intersect, starting from the smallest index set
+      candidates.sort((a, b) => a.size - b.size);
+      keys = [...candidates[0]].filter(k => candidates.every(c => c.has(k)));
+    }
+
+    let results = keys.map(k => this.transactions.get(k));
+
+    if (filter.since) {
+      results = results.filter(tx => (tx.submittedAt || 0) >= filter.since);
+    }
+
+    results.sort((a, b) => (b.submittedAt || 0) - (a.submittedAt || 0));
+
+    return limit ? results.slice(offset, offset + limit) : results.slice(offset);
+  }
+
+  indexTransaction(key, tx) {
+    this.addToIndex(this.index.byWallet, tx.from?.toLowerCase(), key);
+    this.addToIndex(this.index.byChainId, tx.chainId !== undefined ? Number(tx.chainId) : undefined, key);
+    this.addToIndex(this.index.byStatus, tx.status, key);
+    this.addToIndex(this.index.byCommandId, tx.commandId, key);
+  }
+
+  unindexTransaction(key, tx) {
+    this.removeFromIndex(this.index.byWallet, tx.from?.toLowerCase(), key);
+    this.removeFromIndex(this.index.byChainId, tx.chainId !== undefined ? Number(tx.chainId) : undefined, key);
+    this.removeFromIndex(this.index.byStatus, tx.status, key);
+    this.removeFromIndex(this.index.byCommandId, tx.commandId, key);
+  }
+
+  // ============ Commands ============
+
+  /**
+   * Insert or update a router command by id
+   */
+  recordCommand(record) {
+    if (!record?.id) {
+      throw new Error('Command record requires an id');
+    }
+
+    const existing = this.commands.get(record.id);
+    const merged = { ...existing, ...record, updatedAt: Date.now() };
+
+    if (existing) {
+      this.removeFromIndex(this.index.commandsByUser, existing.userId, record.id);
+    }
+    this.commands.set(record.id, merged);
+    this.addToIndex(this.index.commandsByUser, merged.userId, record.id);
+    this.append(RECORD_KINDS.COMMAND, merged);
+
+    return merged;
+  }
+
+  getCommand(id) {
+    return this.commands.get(id) || null;
+  }
+
+  /**
+   * Query commands (newest first) with their transactions attached
+   */
+  queryCommands(filter = {}) {
+    const { limit, offset = 0 } = filter;
+
+    let commands = filter.userId
+      ? [...(this.index.commandsByUser.get(filter.userId) || [])].map(id => this.commands.get(id))
+      : [...this.commands.values()];
+
+    if (filter.status) {
+      commands = commands.filter(c => c.status === filter.status);
+    }
+
+    commands.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    commands = limit ? commands.slice(offset, offset + limit) : commands.slice(offset);
+
+    return commands.map(c => ({
+      ...c,
+      transactions: this.queryTransactions({ commandId: c.id }),
+    }));
+  }
+
+  // ============ Indexes ============
+
+  addToIndex(index, value, key) {
+    if (value === undefined || value === null) return;
+    if (!index.has(value)) {
+      index.set(value, new Set());
+    }
+    index.get(value).add(key);
+  }
+
+  removeFromIndex(index, value, key) {
+    if (value === undefined || value === null) return;
+    const keys = index.get(value);
+    if (!keys) return;
+    keys.delete(key);
+    if (keys.size === 0) {
+      index.delete(value);
+    }
+  }
+
+  // ============ Persistence ============
+
+  append(kind, record) {
+    if (!this.filePath) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.withFileLock(() => {
+        fs.appendFileSync(this.filePath, JSON.stringify({ kind, record }) + '\n');
+      });
+      this.logLength++;
+
+      const live = this.transactions.size + this.commands.size;
+      if (this.logLength > live * this.compactionRatio && this.logLength > 100) {
+        this.compact();
+      }
+    } catch (error) {
+      this.fallBack(error);
+    }
+  }
+
+  /**
+   * Move the log to the temp directory after a write failure, or drop to
+   * memory only when that fails too
+   */
+  fallBack(error) {
+    const tmpPath = path.join(os.tmpdir(), path.basename(this.filePath));
+
+    if (this.filePath !== tmpPath) {
+      logger.warn('Ledger file not writable, moving to temp directory', {
+        file: this.filePath,
+        fallback: tmpPath,
+        error: error.message,
+      });
+      this.filePath = tmpPath;
+      try {
+        this.compact();
+        return;
+      } catch (tmpError) {
+        error = tmpError;
+      }
+    }
+
+    logger.warn('Ledger file not writable, keeping records in memory only', {
+      file: this.filePath,
+      error: error.message,
+    });
+    this.filePath = null;
+  }
+
+  /**
+   * Run fn while holding the log's lock file, shared with every process
+   * that writes the same log
+   */
+  withFileLock(fn) {
+    const lockPath = `${this.filePath}.lock`;
+
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lockPath, 'wx'));
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+          fs.rmSync(lockPath, { force: true });
+          continue;
+        }
+      } catch {
+        // Released between our attempt and the stat; retry at once
+        continue;
+      }
+      sleepSync(LOCK_RETRY_MS);
+    }
+
+    try {
+      return fn();
+    } finally {
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+
+  /**
+   * Parse the log, skipping unreadable lines
+   */
+  readLog() {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const entries = [];
+    let skipped = 0;
+
+    for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // A torn final line from a crash mid-write is expected; skip it
+        skipped++;
+      }
+    }
+
+    if (skipped > 0) {
+      logger.warn('Skipped unreadable ledger lines', { file: this.filePath, skipped });
+    }
+    return entries;
+  }
+
+  /**
+   * Put a record read from the log into memory, unless memory already
+   * holds a newer copy
+   */
+  applyRecord(kind, record) {
+    if (kind === RECORD_KINDS.TRANSACTION) {
+      const key = record.hash.toLowerCase();
+      const existing = this.transactions.get(key);
+      if (existing && (existing.updatedAt || 0) > (record.updatedAt || 0)) return;
+      if (existing) this.unindexTransaction(key, existing);
+      this.transactions.set(key, record);
+      this.indexTransaction(key, record);
+    } else if (kind === RECORD_KINDS.COMMAND) {
+      const existing = this.commands.get(record.id);
+      if (existing && (existing.updatedAt || 0) > (record.updatedAt || 0)) return;
+      if (existing) this.removeFromIndex(this.index.commandsByUser, existing.userId, record.id);
+      this.commands.set(record.id, record);
+      this.addToIndex(this.index.commandsByUser, record.userId, record.id);
+    }
+  }
+
+  load() {
+    let entries;
+    try {
+      entries = this.readLog();
+    } catch (error) {
+      logger.warn('Could not read ledger file, starting empty', { file: this.filePath, error: error.message });
+      return;
+    }
+
+    for (const { kind, record } of entries) {
+      try {
+        this.applyRecord(kind, record);
+        this.logLength++;
+      } catch {
+        // A line that parsed but is not a record; skip it
+      }
+    }
+
+    logger.info('Transaction ledger loaded', {
+      transactions: this.transactions.size,
+      commands: this.commands.size,
+    });
+  }
+
+  /**
+   * Rewrite the log with one line per live record. Records other processes
+   * appended since we loaded are merged in first, so the rewrite drops only
+   * superseded copies.
+   */
+  compact() {
+    this.withFileLock(() => {
+      for (const { kind, record } of this.readLog()) {
+        try {
+          this.applyRecord(kind, record);
+        } catch {
+          // Not a record; it is dropped by the rewrite
+        }
+      }
+
+      const lines = [
+        ...[...this.commands.values()].map(record => JSON.stringify({ kind: RECORD_KINDS.COMMAND, record })),
+        ...[...this.transactions.values()].map(record => JSON.stringify({ kind: RECORD_KINDS.TRANSACTION, record })),
+      ];
+
+      const tmp = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmp, lines.length ? lines.join('\n') + '\n' : '');
+      fs.renameSync(tmp, this.filePath);
+      this.logLength = lines.length;
+    });
+  }
+
+  getStats() {
+    const byStatus = {};
+    for (const [status, keys] of this.index.byStatus) {
+      byStatus[status] = keys.size;
+    }
+    return {
+      transactions: this.transactions.size,
+      commands: this.commands.size,
+      byStatus,
+      filePath: this.filePath,
+    };
+  }
+}
+
+// Shared ledger used by core/transactions and the router
+let sharedLedger = null;
+
+/**
+ * Get the shared ledger (file from config.storage.transactionLedger)
+ */
+function getLedger() {
+  if (!sharedLedger) {
+    sharedLedger = new TransactionLedger({ filePath: config.storage?.transactionLedger || null });
+  }
+  return sharedLedger;
+}
+
+/**
+ * Run fn with a command id attached to every transaction it records
+ */
+function runWithCommand(commandId, fn) {
+  return commandContext.run(commandId, fn);
+}
+
+function getCurrentCommandId() {
+  return commandContext.getStore() || null;
+}
+
+module.exports = {
+  TransactionLedger,
+  RECORD_KINDS,
+  getLedger,
+  runWithCommand,
+  getCurrentCommandId,
+};
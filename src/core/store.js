@@ -0,0 +1,160 @@
+/**
+ * Shared State Store
+ * Key-value records every process serving the bot can reach
+ *
+ * Netlify functions run as separate lambdas, so a record one function
+ * creates (a pending confirmation, a queued plan step) cannot live in
+ * process memory when another function has to read it. With the
+ * netlify-blobs backend records are kept in a Netlify Blobs store with
+ * strong consistency; the memory backend serves the long-running daemons
+ * and tests. The default, auto, switches to Netlify Blobs once a function
+ * has called connectSharedStore with a Netlify event.
+ *
+ * compareAndSet lets one process claim a record: records written through it
+ * carry a version, and a write only lands if the version is unchanged.
+ */
+
+const crypto = require('crypto');
+const { getStore, connectLambda } = require('@netlify/blobs');
+const config = require('../config');
+
+const BACKENDS = {
+  AUTO: 'auto',
+  MEMORY: 'memory',
+  NETLIFY_BLOBS: 'netlify-blobs',
+};
+
+// Set once a Netlify function passed its event to connectSharedStore
+let netlifyConnected = false;
+
+// How long a Netlify Blobs claim waits for competing writes before checking it won
+const CLAIM_SETTLE_MS = 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Version of a stored record, null when it is missing or was never versioned
+const versionOf = (record) => record?.version ?? null;
+
+/**
+ * In-process store; values are copied so callers cannot mutate stored records
+ */
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    return this.records.has(key) ? structuredClone(this.records.get(key)) : null;
+  }
+
+  async set(key, value) {
+    this.records.set(key, structuredClone(value));
+  }
+
+  /**
+   * Write value if the record is still at version; returns the written
+   * record, or null when another writer got there first
+   */
+  async compareAndSet(key, value, version) {
+    if (versionOf(this.records.get(key)) !== version) return null;
+
+    const record = { ...structuredClone(value), version: (version ?? 0) + 1 };
+    this.records.set(key, record);
+    return structuredClone(record);
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  async list() {
+    return [...this.records.values()].map(value => structuredClone(value));
+  }
+}
+
+/**
+ * Netlify Blobs store holding one JSON blob per key
+ */
+class BlobStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // The store is opened per call: each invocation brings its own credentials
+  open() {
+    return getStore({ name: this.name, consistency: 'strong' });
+  }
+
+  async get(key) {
+    return (await this.open().get(key, { type: 'json' })) ?? null;
+  }
+
+  async set(key, value) {
+    await this.open().setJSON(key, value);
+  }
+
+  /**
+   * Netlify Blobs has no conditional write, so each write is tagged with a
+   * random writer id and kept only if it is still the stored one once
+   * competing writers have had time to land
+   */
+  async compareAndSet(key, value, version) {
+    if (versionOf(await this.get(key)) !== version) return null;
+
+    const record = { ...value, version: (version ?? 0) + 1, writer: crypto.randomUUID() };
+    await this.set(key, record);
+    await sleep(CLAIM_SETTLE_MS);
+
+    const stored = await this.get(key);
+    return stored?.writer === record.writer ? stored : null;
+  }
+
+  async delete(key) {
+    await this.open().delete(key);
+  }
+
+  async list() {
+    const { blobs } = await this.open().list();
+    const values = await Promise.all(blobs.map(blob => this.get(blob.key)));
+    return values.filter(Boolean);
+  }
+}
+
+/**
+ * Pass a Netlify function's event so Netlify Blobs can authenticate
+ *
+ * Call at the top of every handler that reads or writes shared state.
+ */
+function connectSharedStore(event) {
+  if (!event?.blobs || resolveBackend(BACKENDS.NETLIFY_BLOBS) === BACKENDS.MEMORY) return;
+  connectLambda(event);
+  netlifyConnected = true;
+}
+
+function resolveBackend(autoBackend) {
+  const backend = config.sharedStore?.backend || BACKENDS.AUTO;
+  return backend === BACKENDS.AUTO ? autoBackend : backend;
+}
+
+const sharedStores = new Map();
+
+/**
+ * Get the shared store with the given name
+ */
+function getSharedStore(name) {
+  const backend = resolveBackend(netlifyConnected ? BACKENDS.NETLIFY_BLOBS : BACKENDS.MEMORY);
+  const key = `${backend}:${name}`;
+
+  if (!sharedStores.has(key)) {
+    sharedStores.set(key, backend === BACKENDS.NETLIFY_BLOBS ? new BlobStore(name) : new MemoryStore());
+  }
+  return sharedStores.get(key);
+}
+
+module.exports = {
+  MemoryStore,
+  BlobStore,
+  BACKENDS,
+  getSharedStore,
+  connectSharedStore,
+};
@@ -6,13 +6,10 @@
 const { ethers } = require('ethers');
 const { getProvider, getOptimalGasSettings, waitForTransaction } = require('./providers');
 const { getChain, getExplorerTxUrl } = require('../config/chains');
+const { getSecurityLayer } = require('../security');
+const { getLedger, getCurrentCommandId } = require('./ledger');
 const logger = require('../utils/logger');
 
-// Transaction status tracking
-const pendingTransactions = new Map();
-const transactionHistory = [];
-const MAX_HISTORY = 100;
-
 // Transaction status enum
 const TxStatus = {
   PENDING: 'pending',
@@ -82,9 +79,10 @@ async function sendTransaction(signer, txParams, options = {}) {
     status: TxStatus.PENDING,
     submittedAt: Date.now(),
     nonce: txResponse.nonce,
+    commandId: options.commandId || getCurrentCommandId(),
   };
 
-  pendingTransactions.set(txResponse.hash, txRecord);
+  getLedger().recordTransaction(txRecord);
 
   logger.info(`Transaction submitted: ${txResponse.hash}`);
 
@@ -100,9 +98,10 @@ async function sendTransaction(signer, txParams, options = {}) {
       };
     } catch (error) {
       logger.error('Transaction failed:', error.message);
-      txRecord.status = TxStatus.FAILED;
-      txRecord.error = error.message;
-      return txRecord;
+      return getLedger().updateTransaction(txResponse.hash, {
+        status: TxStatus.FAILED,
+        error: error.message,
+      });
     }
   }
 
@@ -113,71 +112,103 @@ async function sendTransaction(signer, txParams, options = {}) {
 }
 
 /**
- * Wait for transaction confirmation
+ * Send a transaction through the security layer
+ *
+ * Runs sequencer checks, calldata validation, simulation, approvals,
+ * nonce reservation and MEV-protected submission before waiting for
+ * inclusion. All engines use this instead of signing directly.
  */
-async function waitForConfirmation(chainId, txHash, confirmations = 1, timeout = 120000) {
-  const receipt = await waitForTransaction(chainId, txHash, confirmations, timeout);
+async function sendSecuredTransaction(signer, txParams, options = {}) {
+  const chainId = await signer.getChainId();
+  const from = await signer.getAddress();
+  const security = getSecurityLayer();
 
-  // Update pending transaction record
-  const txRecord = pendingTransactions.get(txHash);
-  if (txRecord) {
-    txRecord.status = receipt.status === 1 ? TxStatus.CONFIRMED : TxStatus.FAILED;
-    txRecord.confirmedAt = Date.now();
-    txRecord.gasUsed = receipt.gasUsed.toString();
-    txRecord.blockNumber = receipt.blockNumber;
-
-    // Move to history
-    pendingTransactions.delete(txHash);
-    addToHistory(txRecord);
-  }
+  logger.info(`Sending secured transaction on chain ${chainId}`, {
+    from,
+    to: txParams.to,
+    value: txParams.value?.toString(),
+  });
 
-  return receipt;
+  const execution = await security.validateAndExecute({
+    chainId,
+    walletAddress: from,
+    signer,
+    to: txParams.to,
+    calldata: txParams.data,
+    prepareFn: async () => ({
+      tx: await buildTransaction(chainId, { ...txParams, from }, options),
+    }),
+    ...options.security,
+  });
+
+  const { txHash, receipt, nonce, protectionUsed } = execution.result;
+
+  const txRecord = {
+    hash: txHash,
+    chainId,
+    from,
+    to: txParams.to,
+    value: txParams.value?.toString(),
+    status: receipt?.status === 1 ? TxStatus.CONFIRMED : TxStatus.FAILED,
+    submittedAt: Date.now() - execution.executionTime,
+    confirmedAt: Date.now(),
+    nonce,
+    gasUsed: receipt?.gasUsed?.toString(),
+    blockNumber: receipt?.blockNumber,
+    protectionUsed,
+    executionId: execution.txId,
+    commandId: options.commandId || getCurrentCommandId(),
+  };
+
+  getLedger().recordTransaction(txRecord);
+  logger.info(`Secured transaction ${txRecord.status}: ${txHash}`);
+
+  return {
+    ...txRecord,
+    receipt,
+    explorerUrl: getExplorerTxUrl(chainId, txHash),
+  };
 }
 
 /**
- * Add transaction to history
+ * Wait for transaction confirmation
  */
-function addToHistory(txRecord) {
-  transactionHistory.unshift(txRecord);
-  if (transactionHistory.length > MAX_HISTORY) {
-    transactionHistory.pop();
-  }
+async function waitForConfirmation(chainId, txHash, confirmations = 1, timeout = 120000) {
+  const receipt = await waitForTransaction(chainId, txHash, confirmations, timeout);
+
+  // Update the ledger record
+  getLedger().updateTransaction(txHash, {
+    status: receipt.status === 1 ? TxStatus.CONFIRMED : TxStatus.FAILED,
+    confirmedAt: Date.now(),
+    gasUsed: receipt.gasUsed.toString(),
+    blockNumber: receipt.blockNumber,
+  });
+
+  return receipt;
 }
 
 /**
  * Get pending transactions
  */
 function getPendingTransactions() {
-  return Array.from(pendingTransactions.values());
+  return getLedger().queryTransactions({ status: TxStatus.PENDING });
 }
 
 /**
- * Get transaction history
+ * Get transaction history (newest first)
+ *
+ * Filters: chainId, status, wallet (sender), commandId, since, limit, offset
  */
 function getTransactionHistory(options = {}) {
-  let history = [...transactionHistory];
-
-  if (options.chainId) {
-    history = history.filter(tx => tx.chainId === options.chainId);
-  }
-
-  if (options.status) {
-    history = history.filter(tx => tx.status === options.status);
-  }
-
-  if (options.limit) {
-    history = history.slice(0, options.limit);
-  }
-
-  return history;
+  return getLedger().queryTransactions(options);
 }
 
 /**
  * Cancel a pending transaction (by sending 0 ETH to self with higher gas)
  */
 async function cancelTransaction(signer, txHash, options = {}) {
-  const txRecord = pendingTransactions.get(txHash);
-  if (!txRecord) {
+  const txRecord = getLedger().getTransaction(txHash);
+  if (!txRecord || txRecord.status !== TxStatus.PENDING) {
     throw new Error('Transaction not found or already confirmed');
   }
 
@@ -197,8 +228,10 @@ async function cancelTransaction(signer, txHash, options = {}) {
   logger.info(`Cancellation transaction sent: ${cancelTx.hash}`);
 
   // Update original transaction status
-  txRecord.status = TxStatus.REPLACED;
-  txRecord.replacedBy = cancelTx.hash;
+  getLedger().updateTransaction(txHash, {
+    status: TxStatus.REPLACED,
+    replacedBy: cancelTx.hash,
+  });
 
   return {
     originalTxHash: txHash,
@@ -212,9 +245,9 @@ async function cancelTransaction(signer, txHash, options = {}) {
  */
 async function speedUpTransaction(signer, txHash, speedMultiplier = 1.3) {
   const provider = getProvider(await signer.getChainId());
-  const txRecord = pendingTransactions.get(txHash);
+  const txRecord = getLedger().getTransaction(txHash);
 
-  if (!txRecord) {
+  if (!txRecord || txRecord.status !== TxStatus.PENDING) {
     throw new Error('Transaction not found or already confirmed');
   }
 
@@ -239,13 +272,17 @@ async function speedUpTransaction(signer, txHash, speedMultiplier = 1.3) {
   logger.info(`Speed-up transaction sent: ${speedUpTx.hash}`);
 
   // Update tracking
-  txRecord.status = TxStatus.REPLACED;
-  txRecord.replacedBy = speedUpTx.hash;
+  const ledger = getLedger();
+  ledger.updateTransaction(txHash, {
+    status: TxStatus.REPLACED,
+    replacedBy: speedUpTx.hash,
+  });
 
-  pendingTransactions.set(speedUpTx.hash, {
+  ledger.recordTransaction({
     ...txRecord,
     hash: speedUpTx.hash,
     status: TxStatus.PENDING,
+    submittedAt: Date.now(),
     speedUpOf: txHash,
   });
 
@@ -310,16 +347,10 @@ function decodeTransactionError(error) {
  * Get transaction status
  */
 async function getTransactionStatus(chainId, txHash) {
-  // Check pending first
-  const pending = pendingTransactions.get(txHash);
-  if (pending) {
-    return { ...pending, status: TxStatus.PENDING };
-  }
-
-  // Check history
-  const historical = transactionHistory.find(tx => tx.hash === txHash);
-  if (historical) {
-    return historical;
+  // Check the ledger first
+  const recorded = getLedger().getTransaction(txHash);
+  if (recorded) {
+    return recorded;
   }
 
   // Check on-chain
@@ -356,6 +387,7 @@ module.exports = {
   TxStatus,
   buildTransaction,
   sendTransaction,
+  sendSecuredTransaction,
   waitForConfirmation,
   getPendingTransactions,
   getTransactionHistory,
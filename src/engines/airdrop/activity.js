@@ -0,0 +1,595 @@
+/**
+ * Activity Profiler
+ * Turns a wallet's on-chain history into the metrics airdrop criteria are
+ * written against: unique contracts, active weeks and months, bridged
+ * volume, LP duration, token holding periods and gas spent
+ *
+ * History comes from an explorer adapter (see ./explorer). Each outgoing
+ * transaction is classified by protocol and action from its target contract
+ * and function selector. Chains whose history cannot be fetched fall back to
+ * the RPC nonce, which only counts transactions; such profiles are flagged
+ * partial.
+ */
+
+const { ethers } = require('ethers');
+const { CHAINS } = require('../../config/chains');
+const { getNativeToken } = require('../../config/tokens');
+const { KNOWN_BRIDGES } = require('../../security/bridge-safety');
+const { SPOKE_POOLS } = require('../bridge/across');
+const { CANONICAL_BRIDGES } = require('../bridge/canonical');
+const { getExplorer } = require('./explorer');
+const logger = require('../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Chains profiled when the caller does not name any
+const DEFAULT_CHAINS = [1, 42161, 10, 8453, 137, 324, 59144, 534352];
+
+// USD prices used for bridged volume when the caller supplies none
+const DEFAULT_PRICES = { USDC: 1, USDT: 1, DAI: 1, USDB: 1 };
+
+const ACTION = {
+  SWAP: 'swap',
+  BRIDGE: 'bridge',
+  ADD_LIQUIDITY: 'addLiquidity',
+  REMOVE_LIQUIDITY: 'removeLiquidity',
+  SUPPLY: 'supply',
+  BORROW: 'borrow',
+  REPAY: 'repay',
+  WITHDRAW: 'withdraw',
+  STAKE: 'stake',
+  WRAP: 'wrap',
+  UNWRAP: 'unwrap',
+  APPROVE: 'approve',
+  TRANSFER: 'transfer',
+  CLAIM: 'claim',
+  MINT: 'mint',
+  CONTRACT: 'contract', // unrecognized contract call
+};
+
+const CATEGORY = {
+  DEX: 'dex',
+  BRIDGE: 'bridge',
+  LP: 'lp',
+  LENDING: 'lending',
+  STAKING: 'staking',
+  NFT: 'nft',
+  TOKEN: 'token',
+  AIRDROP: 'airdrop',
+  OTHER: 'other',
+};
+
+// Function signatures by action; selectors are derived at load time
+const ACTION_SIGNATURES = {
+  [ACTION.SWAP]: [
+    'swapExactETHForTokens(uint256,address[],address,uint256)',
+    'swapExactTokensForETH(uint256,uint256,address[],address,uint256)',
+    'swapExactTokensForTokens(uint256,uint256,address[],address,uint256)',
+    'swapETHForExactTokens(uint256,address[],address,uint256)',
+    'swapTokensForExactETH(uint256,uint256,address[],address,uint256)',
+    'swapTokensForExactTokens(uint256,uint256,address[],address,uint256)',
+    'exactInputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))',
+    'exactInputSingle((address,address,uint24,address,uint256,uint256,uint160))',
+    'exactInput((bytes,address,uint256,uint256,uint256))',
+    'exactInput((bytes,address,uint256,uint256))',
+    'exactOutputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))',
+    'execute(bytes,bytes[],uint256)',
+  ],
+  [ACTION.BRIDGE]: [
+    'depositEth()',
+    'depositETH(uint32,bytes)',
+    'depositETHTo(address,uint32,bytes)',
+    'depositERC20To(address,address,address,uint256,uint32,bytes)',
+    'bridgeETHTo(address,uint32,bytes)',
+    'outboundTransfer(address,address,uint256,uint256,uint256,bytes)',
+    'depositV3(address,address,address,address,uint256,uint256,uint256,address,uint32,uint32,uint32,bytes)',
+    'requestL2Transaction(address,uint256,bytes,uint256,uint256,bytes[],address)',
+    'depositEtherFor(address)',
+    'depositFor(address,address,bytes)',
+    'sendToL2(uint256,address,uint256,uint256,uint256,address,uint256)',
+    'swapETH(uint16,address,address,uint256,uint256)',
+  ],
+  [ACTION.ADD_LIQUIDITY]: [
+    'addLiquidity(address,address,uint256,uint256,uint256,uint256,address,uint256)',
+    'addLiquidityETH(address,uint256,uint256,uint256,address,uint256)',
+    'mint((address,address,uint24,int24,int24,uint256,uint256,uint256,uint256,address,uint256))',
+    'increaseLiquidity((uint256,uint256,uint256,uint256,uint256,uint256))',
+  ],
+  [ACTION.REMOVE_LIQUIDITY]: [
+    'removeLiquidity(address,address,uint256,uint256,uint256,address,uint256)',
+    'removeLiquidityETH(address,uint256,uint256,uint256,address,uint256)',
+    'decreaseLiquidity((uint256,uint128,uint256,uint256,uint256))',
+  ],
+  [ACTION.SUPPLY]: ['supply(address,uint256,address,uint16)'],
+  [ACTION.BORROW]: ['borrow(address,uint256,uint256,uint16,address)'],
+  [ACTION.REPAY]: ['repay(address,uint256,uint256,address)'],
+  [ACTION.WITHDRAW]: ['withdraw(address,uint256,address)'],
+  [ACTION.STAKE]: ['submit(address)', 'depositIntoStrategy(address,address,uint256)'],
+  [ACTION.WRAP]: ['deposit()'],
+  [ACTION.UNWRAP]: ['withdraw(uint256)'],
+  [ACTION.APPROVE]: ['approve(address,uint256)'],
+  [ACTION.TRANSFER]: ['transfer(address,uint256)'],
+  [ACTION.CLAIM]: [
+    'claim(uint256,address,uint256,bytes32[])',
+    'claim(uint256,uint256,bytes32[])',
+    'claim(uint256,bytes32[])',
+    'claim(address,uint256,bytes32,bytes32[])',
+  ],
+  [ACTION.MINT]: ['mint(uint256)', 'mint(address,uint256)', 'safeMint(address)'],
+};
+
+const ACTION_CATEGORIES = {
+  [ACTION.SWAP]: CATEGORY.DEX,
+  [ACTION.BRIDGE]: CATEGORY.BRIDGE,
+  [ACTION.ADD_LIQUIDITY]: CATEGORY.LP,
+  [ACTION.REMOVE_LIQUIDITY]: CATEGORY.LP,
+  [ACTION.SUPPLY]: CATEGORY.LENDING,
+  [ACTION.BORROW]: CATEGORY.LENDING,
+  [ACTION.REPAY]: CATEGORY.LENDING,
+  [ACTION.WITHDRAW]: CATEGORY.LENDING,
+  [ACTION.STAKE]: CATEGORY.STAKING,
+  [ACTION.WRAP]: CATEGORY.TOKEN,
+  [ACTION.UNWRAP]: CATEGORY.TOKEN,
+  [ACTION.APPROVE]: CATEGORY.TOKEN,
+  [ACTION.TRANSFER]: CATEGORY.TOKEN,
+  [ACTION.CLAIM]: CATEGORY.AIRDROP,
+  [ACTION.MINT]: CATEGORY.NFT,
+};
+
+// What a call to a known contract is when its selector is not recognized
+const CATEGORY_DEFAULT_ACTIONS = {
+  [CATEGORY.DEX]: ACTION.SWAP,
+  [CATEGORY.BRIDGE]: ACTION.BRIDGE,
+  [CATEGORY.STAKING]: ACTION.STAKE,
+};
+
+// DEX routers named in config/chains contracts
+const DEX_ROUTERS = {
+  uniswapV2Router: 'Uniswap V2',
+  uniswapV3Router: 'Uniswap V3',
+  sushiswapRouter: 'SushiSwap',
+  quickswapRouter: 'QuickSwap',
+  pancakeswapRouter: 'PancakeSwap',
+  syncswapRouter: 'SyncSwap',
+  agniRouter: 'Agni',
+  aerodrome: 'Aerodrome',
+  velodrome: 'Velodrome',
+};
+
+// Protocol contracts not covered by chain or bridge config
+const PROTOCOL_CONTRACTS = [
+  {
+    protocol: 'Thruster',
+    category: CATEGORY.DEX,
+    addresses: { 81457: CHAINS[81457].contracts.uniswapV2Router }, // Blast's V2-compatible router
+  },
+  {
+    protocol: 'Uniswap',
+    category: CATEGORY.DEX,
+    addresses: { 1: '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD', 10: '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD', 137: '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD', 8453: '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD', 42161: '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD' }, // Universal Router
+  },
+  {
+    protocol: 'Uniswap V3',
+    category: CATEGORY.LP,
+    addresses: { 1: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88', 10: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88', 137: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88', 42161: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88' }, // NonfungiblePositionManager
+  },
+  {
+    protocol: 'Aave V3',
+    category: CATEGORY.LENDING,
+    addresses: { 1: '0x87870Bca3F3fD6335C3F4ce8392D69350B4fA4E2', 10: '0x794a61358D6845594F94dc1DB02A252b5b4814aD', 137: '0x794a61358D6845594F94dc1DB02A252b5b4814aD', 8453: '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5', 42161: '0x794a61358D6845594F94dc1DB02A252b5b4814aD' },
+  },
+  {
+    protocol: 'Lido',
+    category: CATEGORY.STAKING,
+    addresses: { 1: '0xae7ab96520DE3A18E5e111B5EaAb095312D7fE84' },
+  },
+  {
+    protocol: 'EigenLayer',
+    category: CATEGORY.STAKING,
+    addresses: { 1: '0x858646372CC42E1A627fcE94aa7A7033e7CF075A' }, // StrategyManager
+  },
+  {
+    protocol: 'LayerZero',
+    category: CATEGORY.BRIDGE,
+    addresses: { 1: '0x66A71Dcef29A0fFBDBE3c6a460a3B5BC225Cd675', 10: '0x3c2269811836af69497E5F486A85D7316753cf62', 137: '0x3c2269811836af69497E5F486A85D7316753cf62', 42161: '0x3c2269811836af69497E5F486A85D7316753cf62' }, // Endpoint
+  },
+  {
+    protocol: 'zkSync Bridge',
+    category: CATEGORY.BRIDGE,
+    addresses: { 1: '0x32400084C286CF3E17e7B677ea9583e60a000324' }, // Diamond proxy
+  },
+  {
+    protocol: 'Scroll Bridge',
+    category: CATEGORY.BRIDGE,
+    addresses: { 1: '0xF8B1378579659D8F7EE5f3C929c2f3E332E41Fd6' }, // L1GatewayRouter
+  },
+  {
+    protocol: 'Linea Bridge',
+    category: CATEGORY.BRIDGE,
+    addresses: { 1: '0xd19d4B5d358258f05D7B411E21A1460D11B0876F' }, // L1 MessageService
+  },
+];
+
+const SELECTOR_ACTIONS = new Map();
+for (const [action, signatures] of Object.entries(ACTION_SIGNATURES)) {
+  for (const signature of signatures) {
+    SELECTOR_ACTIONS.set(ethers.utils.id(signature).slice(0, 10), action);
+  }
+}
+
+let contractRegistry = null;
+
+/**
+ * Known contracts keyed by "chainId:address" -> { protocol, category }
+ */
+function getContractRegistry() {
+  if (contractRegistry) return contractRegistry;
+
+  const registry = new Map();
+  const add = (chainId, address, protocol, category) => {
+    if (address) registry.set(`${chainId}:${address.toLowerCase()}`, { protocol, category });
+  };
+
+  for (const [chainId, chain] of Object.entries(CHAINS)) {
+    for (const [key, label] of Object.entries(DEX_ROUTERS)) {
+      add(chainId, chain.contracts[key], label, CATEGORY.DEX);
+    }
+  }
+  for (const { protocol, category, addresses } of PROTOCOL_CONTRACTS) {
+    for (const [chainId, address] of Object.entries(addresses)) {
+      add(chainId, address, protocol, category);
+    }
+  }
+  for (const bridge of Object.values(KNOWN_BRIDGES)) {
+    for (const [chainId, address] of Object.entries(bridge.contractAddresses || {})) {
+      add(chainId, address, bridge.name, CATEGORY.BRIDGE);
+    }
+  }
+  for (const [id, bridge] of Object.entries(CANONICAL_BRIDGES)) {
+    for (const address of [bridge.inbox, bridge.l1StandardBridge, bridge.portal]) {
+      add(1, address, KNOWN_BRIDGES[id]?.name || id, CATEGORY.BRIDGE);
+    }
+  }
+  for (const [chainId, address] of Object.entries(SPOKE_POOLS)) {
+    add(chainId, address, KNOWN_BRIDGES.across.name, CATEGORY.BRIDGE);
+  }
+
+  contractRegistry = registry;
+  return registry;
+}
+
+/**
+ * Classify a normalized transaction as { action, category, protocol }
+ */
+function classifyTransaction(tx) {
+  const contract = tx.to ? getContractRegistry().get(`${tx.chainId}:${tx.to}`) : null;
+  const selector = tx.input && tx.input.length >= 10 ? tx.input.slice(0, 10).toLowerCase() : null;
+
+  let action = selector ? SELECTOR_ACTIONS.get(selector) : ACTION.TRANSFER;
+
+  // A known bridge contract is a bridge however it is entered
+  if (contract?.category === CATEGORY.BRIDGE && action !== ACTION.APPROVE) {
+    action = ACTION.BRIDGE;
+  }
+  if (!action) {
+    action = CATEGORY_DEFAULT_ACTIONS[contract?.category] || ACTION.CONTRACT;
+  }
+
+  return {
+    action,
+    category: contract?.category || ACTION_CATEGORIES[action] || CATEGORY.OTHER,
+    protocol: contract?.protocol || null,
+  };
+}
+
+function monthKey(timestamp) {
+  const date = new Date(timestamp * 1000);
+  return date.getUTCFullYear() * 12 + date.getUTCMonth();
+}
+
+// Weeks start on Monday (1970-01-01 was a Thursday)
+function weekKey(timestamp) {
+  return Math.floor((Math.floor(timestamp / 86400) + 3) / 7);
+}
+
+function addAmount(totals, symbol, amount) {
+  totals[symbol] = (totals[symbol] || ethers.constants.Zero).add(amount);
+}
+
+function formatTotals(totals, decimals) {
+  return Object.fromEntries(
+    Object.entries(totals).map(([symbol, amount]) => [symbol, ethers.utils.formatUnits(amount, decimals[symbol] ?? 18)])
+  );
+}
+
+function increment(counts, key) {
+  if (key) counts[key] = (counts[key] || 0) + 1;
+}
+
+/**
+ * Longest continuous stretch (ms) each token was held on one chain,
+ * keyed by symbol. A stretch starts when the balance seen in transfers
+ * turns positive and ends when it returns to zero.
+ */
+function measureHoldings(wallet, transfers, now) {
+  const held = new Map();
+  const longest = {};
+  const record = (symbol, ms) => {
+    longest[symbol] = Math.max(longest[symbol] || 0, ms);
+  };
+
+  for (const transfer of [...transfers].sort((a, b) => a.timestamp - b.timestamp)) {
+    const incoming = transfer.to === wallet;
+    if (incoming === (transfer.from === wallet)) continue;
+
+    const position = held.get(transfer.token) || { symbol: transfer.symbol, balance: ethers.constants.Zero, since: null };
+    const value = ethers.BigNumber.from(transfer.value);
+    position.balance = incoming ? position.balance.add(value) : position.balance.sub(value);
+
+    const ms = transfer.timestamp * 1000;
+    if (position.balance.gt(0) && position.since === null) {
+      position.since = ms;
+    } else if (position.balance.lte(0)) {
+      if (position.since !== null) record(position.symbol, ms - position.since);
+      position.balance = ethers.constants.Zero;
+      position.since = null;
+    }
+    held.set(transfer.token, position);
+  }
+
+  for (const position of held.values()) {
+    if (position.since !== null) record(position.symbol, now - position.since);
+  }
+  return longest;
+}
+
+/**
+ * Build a profile from per-chain histories
+ *
+ * histories: [{ chainId, source: 'explorer', transactions, tokenTransfers }
+ *             | { chainId, source: 'rpc', nonce }
+ *             | { chainId, source: 'none', error }]
+ */
+function buildProfile(address, histories, options = {}) {
+  const wallet = address.toLowerCase();
+  const now = options.now ?? Date.now();
+  const prices = { ...DEFAULT_PRICES, ...options.prices };
+
+  const chains = {};
+  const contracts = new Set();
+  const days = new Set();
+  const weeks = new Set();
+  const months = new Set();
+  const actions = {};
+  const categories = {};
+  const protocols = {};
+  const bridgedRaw = {};
+  const gasRaw = {};
+  const decimals = {};
+  const lpOpen = new Map();
+  const holdingMs = {};
+  const errors = [];
+
+  let transactionCount = 0;
+  let bridgeCount = 0;
+  let lpPositions = 0;
+  let lpDurationMs = 0;
+  let firstActivity = null;
+  let lastActivity = null;
+  let partial = false;
+
+  for (const history of histories) {
+    const { chainId } = history;
+    const native = getNativeToken(chainId).symbol;
+
+    if (history.source !== 'explorer') {
+      partial = true;
+      if (history.error) errors.push({ chainId, error: history.error });
+      const nonce = history.nonce || 0;
+      chains[chainId] = { transactionCount: nonce, source: history.source };
+      transactionCount += nonce;
+      continue;
+    }
+
+    const outgoing = history.transactions
+      .filter(tx => tx.from === wallet)
+      .sort((a, b) => a.timestamp - b.timestamp);
+    const transfersByHash = new Map();
+    for (const transfer of history.tokenTransfers || []) {
+      if (transfer.from !== wallet) continue;
+      if (!transfersByHash.has(transfer.hash)) transfersByHash.set(transfer.hash, []);
+      transfersByHash.get(transfer.hash).push(transfer);
+    }
+
+    const chainContracts = new Set();
+    const chainMonths = new Set();
+    let chainGas = ethers.constants.Zero;
+
+    for (const tx of outgoing) {
+      const gas = ethers.BigNumber.from(tx.gasUsed).mul(tx.gasPrice);
+      chainGas = chainGas.add(gas);
+      addAmount(gasRaw, native, gas);
+
+      if (tx.isError) continue;
+
+      const ms = tx.timestamp * 1000;
+      firstActivity = firstActivity === null ? ms : Math.min(firstActivity, ms);
+      lastActivity = lastActivity === null ? ms : Math.max(lastActivity, ms);
+      days.add(Math.floor(tx.timestamp / 86400));
+      weeks.add(weekKey(tx.timestamp));
+      months.add(monthKey(tx.timestamp));
+      chainMonths.add(monthKey(tx.timestamp));
+
+      if (tx.to && tx.input && tx.input !== '0x') {
+        contracts.add(`${chainId}:${tx.to}`);
+        chainContracts.add(tx.to);
+      }
+
+      const { action, category, protocol } = classifyTransaction(tx);
+      increment(actions, action);
+      increment(categories, category);
+      increment(protocols, protocol);
+
+      if (action === ACTION.BRIDGE) {
+        bridgeCount++;
+        const value = ethers.BigNumber.from(tx.value);
+        if (!value.isZero()) {
+          addAmount(bridgedRaw, native, value);
+        }
+        for (const transfer of transfersByHash.get(tx.hash) || []) {
+          decimals[transfer.symbol] = transfer.decimals;
+          addAmount(bridgedRaw, transfer.symbol, ethers.BigNumber.from(transfer.value));
+        }
+      }
+
+      // A position runs from the first add to the next remove on the same contract
+      const positionKey = `${chainId}:${tx.to}`;
+      if (action === ACTION.ADD_LIQUIDITY && !lpOpen.has(positionKey)) {
+        lpOpen.set(positionKey, ms);
+        lpPositions++;
+      } else if (action === ACTION.REMOVE_LIQUIDITY && lpOpen.has(positionKey)) {
+        lpDurationMs += ms - lpOpen.get(positionKey);
+        lpOpen.delete(positionKey);
+      }
+    }
+
+    for (const [symbol, ms] of Object.entries(measureHoldings(wallet, history.tokenTransfers || [], now))) {
+      holdingMs[symbol] = Math.max(holdingMs[symbol] || 0, ms);
+    }
+
+    transactionCount += outgoing.length;
+    chains[chainId] = {
+      transactionCount: outgoing.length,
+      uniqueContracts: chainContracts.size,
+      activeMonths: chainMonths.size,
+      firstActivity: outgoing[0] ? outgoing[0].timestamp * 1000 : null,
+      lastActivity: outgoing.length ? outgoing[outgoing.length - 1].timestamp * 1000 : null,
+      gasSpent: ethers.utils.formatEther(chainGas),
+      source: 'explorer',
+    };
+  }
+
+  for (const openedAt of lpOpen.values()) {
+    lpDurationMs += now - openedAt;
+  }
+
+  const bridgedVolume = formatTotals(bridgedRaw, decimals);
+  const bridgedVolumeUsd = Object.entries(bridgedVolume)
+    .reduce((sum, [symbol, amount]) => sum + parseFloat(amount) * (prices[symbol] ?? 0), 0);
+
+  return {
+    address: wallet,
+    chains,
+    transactionCount,
+    activeChains: Object.keys(chains).map(Number).filter(id => chains[id].transactionCount > 0),
+    uniqueContracts: contracts.size,
+    activeDays: days.size,
+    activeWeeks: weeks.size,
+    activeMonths: months.size,
+    firstActivity,
+    lastActivity,
+    walletAgeDays: firstActivity === null ? 0 : Math.floor((now - firstActivity) / DAY_MS),
+    actions,
+    categories,
+    protocols,
+    bridgeCount,
+    bridgedVolume,
+    bridgedVolumeUsd: Math.round(bridgedVolumeUsd * 100) / 100,
+    lpPositions,
+    lpDurationDays: Math.round((lpDurationMs / DAY_MS) * 10) / 10,
+    holdingDays: Object.fromEntries(
+      Object.entries(holdingMs).map(([symbol, ms]) => [symbol, Math.round((ms / DAY_MS) * 10) / 10])
+    ),
+    gasSpent: formatTotals(gasRaw, {}),
+    partial,
+    errors,
+  };
+}
+
+class ActivityProfiler {
+  constructor(options = {}) {
+    this.explorer = options.explorer || null;
+    this.getProvider = options.getProvider || ((chainId) => require('../../core/providers').getProvider(chainId));
+    this.chains = options.chains || DEFAULT_CHAINS;
+    this.prices = options.prices || {};
+    this.cacheTtl = options.cacheTtl ?? 5 * 60 * 1000;
+
+    // `${address}:${chainId}` -> { history, fetchedAt }
+    this.cache = new Map();
+  }
+
+  /**
+   * Fetch one chain's history, falling back to the RPC nonce
+   */
+  async fetchHistory(address, chainId) {
+    const explorer = this.explorer || getExplorer();
+
+    try {
+      const transactions = await explorer.getTransactions(address, chainId);
+      const tokenTransfers = await explorer.getTokenTransfers(address, chainId);
+      return { chainId, source: 'explorer', transactions, tokenTransfers };
+    } catch (error) {
+      logger.warn('Explorer history unavailable, using nonce', { chainId, error: error.message });
+      try {
+        const nonce = await this.getProvider(chainId).getTransactionCount(address);
+        return { chainId, source: 'rpc', nonce, error: error.message };
+      } catch (rpcError) {
+        return { chainId, source: 'none', error: rpcError.message };
+      }
+    }
+  }
+
+  async getHistory(address, chainId) {
+    const key = `${address.toLowerCase()}:${chainId}`;
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.fetchedAt < this.cacheTtl) {
+      return cached.history;
+    }
+
+    const history = await this.fetchHistory(address, chainId);
+    // Fallbacks are not cached so the explorer is retried next time
+    if (history.source === 'explorer') {
+      this.cache.set(key, { history, fetchedAt: Date.now() });
+    }
+    return history;
+  }
+
+  /**
+   * Profile a wallet across chains
+   */
+  async profile(address, options = {}) {
+    const chains = options.chains || this.chains;
+    const histories = [];
+
+    // Sequential to stay inside explorer rate limits
+    for (const chainId of chains) {
+      histories.push(await this.getHistory(address, chainId));
+    }
+
+    return buildProfile(address, histories, { prices: { ...this.prices, ...options.prices } });
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+let sharedProfiler = null;
+
+function getActivityProfiler() {
+  if (!sharedProfiler) {
+    sharedProfiler = new ActivityProfiler();
+  }
+  return sharedProfiler;
+}
+
+module.exports = {
+  ActivityProfiler,
+  buildProfile,
+  classifyTransaction,
+  getContractRegistry,
+  getActivityProfiler,
+  ACTION,
+  CATEGORY,
+  DEFAULT_CHAINS,
+};
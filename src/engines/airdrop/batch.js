@@ -0,0 +1,324 @@
+/**
+ * Batch Airdrop Claims
+ * Claims a protocol for every managed wallet and runs per-claim follow-ups
+ *
+ * Each wallet is checked with checkClaimable, then its claim gas is estimated
+ * and priced at the current gas price. The allocation is valued by quoting it
+ * into the chain's native token, and wallets where gas would cost more than
+ * the allocation is worth are skipped. Allocations that cannot be quoted are
+ * skipped too, since gas cannot be weighed against them; pass
+ * claimUnvalued: true to claim them anyway (reported without a value).
+ *
+ * Follow-ups run after a confirmed claim, in this order:
+ *   delegate: { to }                 delegate voting power ('self', own wallet or address)
+ *   swap:     { percent, toToken }   swap a share of the claim (default USDC)
+ *   sweep:    { to }                 send what is left of the claim to a treasury
+ * A failed follow-up is reported and does not stop the ones after it.
+ */
+
+const { ethers } = require('ethers');
+const claim = require('./claim');
+const swapEngine = require('../swap');
+const transferEngine = require('../transfer');
+const config = require('../../config');
+const { getAllWalletAddresses, getConnectedWallet, resolveWalletIdentifier } = require('../../core/wallets');
+const { getGasPrice, resolveAddress } = require('../../core/providers');
+const { sendSecuredTransaction } = require('../../core/transactions');
+const { getToken, getNativeToken, parseAmount, formatAmount } = require('../../config/tokens');
+const { ValidationError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+const CLAIM_RESULT = {
+  CLAIMED: 'claimed',
+  SKIPPED: 'skipped',
+  FAILED: 'failed',
+};
+
+const FOLLOW_UP = {
+  DELEGATE: 'delegate',
+  SWAP: 'swap',
+  SWEEP: 'sweep',
+};
+
+const VOTES_ABI = ['function delegate(address delegatee)'];
+
+/**
+ * Claim a protocol for every managed wallet (or the listed ones)
+ */
+async function batchClaim(params) {
+  const { protocol, wallets = null, claimUnvalued = false } = params;
+
+  const claimConfig = claim.getClaimConfig(protocol);
+  if (!claimConfig || !claimConfig.address) {
+    return {
+      success: false,
+      protocol,
+      message: `Claim not available for ${protocol}. Check back when the airdrop launches.`,
+      wallets: [],
+    };
+  }
+
+  const followUps = normalizeFollowUps(params.followUps || {});
+  const targets = selectWallets(wallets);
+
+  logger.info('Starting batch claim', {
+    protocol,
+    wallets: targets.length,
+    followUps: Object.keys(followUps),
+  });
+
+  const gas = await getGasPrice(claimConfig.chainId);
+  const gasPrice = gas.maxFeePerGas || gas.gasPrice;
+
+  const report = [];
+  for (const wallet of targets) {
+    report.push(await claimForWallet(protocol, claimConfig, wallet, gasPrice, followUps, claimUnvalued));
+  }
+
+  const count = (status) => report.filter(r => r.status === status).length;
+  const summary = {
+    claimed: count(CLAIM_RESULT.CLAIMED),
+    skipped: count(CLAIM_RESULT.SKIPPED),
+    failed: count(CLAIM_RESULT.FAILED),
+  };
+
+  logger.info('Batch claim finished', { protocol, ...summary });
+
+  return {
+    success: summary.failed === 0,
+    protocol,
+    chainId: claimConfig.chainId,
+    ...summary,
+    wallets: report,
+    message: `Claimed ${summary.claimed}/${report.length} wallets` +
+      (summary.skipped ? `, ${summary.skipped} skipped` : '') +
+      (summary.failed ? `, ${summary.failed} failed` : ''),
+  };
+}
+
+function selectWallets(wallets) {
+  const all = getAllWalletAddresses();
+  if (!wallets) return all;
+
+  const wanted = wallets.map(w => String(w).toLowerCase());
+  const selected = all.filter(w => wanted.includes(w.alias) || wanted.includes(w.address.toLowerCase()));
+  if (selected.length === 0) {
+    throw new ValidationError('wallets', 'None of the requested wallets are configured', wallets);
+  }
+  return selected;
+}
+
+function normalizeFollowUps(raw) {
+  const followUps = {};
+
+  if (raw.delegate) {
+    if (!raw.delegate.to) {
+      throw new ValidationError('followUps.delegate.to', 'Delegation needs a delegatee');
+    }
+    followUps.delegate = { to: raw.delegate.to };
+  }
+
+  if (raw.swap) {
+    const percent = Number(raw.swap.percent);
+    if (!(percent > 0 && percent <= 100)) {
+      throw new ValidationError('followUps.swap.percent', 'Swap percent must be between 0 and 100', raw.swap.percent);
+    }
+    followUps.swap = {
+      percent,
+      toToken: raw.swap.toToken || 'USDC',
+      slippage: raw.swap.slippage,
+    };
+  }
+
+  if (raw.sweep) {
+    const to = raw.sweep.to || config.airdrop?.treasuryWallet;
+    if (!to) {
+      throw new ValidationError('followUps.sweep.to', 'Sweep needs a treasury wallet (sweep.to or AIRDROP_TREASURY_WALLET)');
+    }
+    followUps.sweep = { to };
+  }
+
+  return followUps;
+}
+
+/**
+ * Check, price, claim and follow up for one wallet
+ */
+async function claimForWallet(protocol, claimConfig, wallet, gasPrice, followUps, claimUnvalued) {
+  const entry = {
+    wallet: wallet.address,
+    alias: wallet.alias,
+    status: null,
+    amount: null,
+    gasCost: null,
+    value: null,
+    nativeSymbol: getNativeToken(claimConfig.chainId).symbol,
+  };
+
+  const check = await claim.checkClaimable(protocol, wallet.address);
+  if (!check.claimable) {
+    return { ...entry, status: CLAIM_RESULT.SKIPPED, reason: check.error || check.message };
+  }
+  entry.amount = check.amount;
+
+  const estimate = await claim.estimateClaimGas(protocol, wallet.address);
+  if (!estimate) {
+    return { ...entry, status: CLAIM_RESULT.SKIPPED, reason: 'Could not estimate claim gas' };
+  }
+
+  entry.gasCost = parseFloat(formatAmount(ethers.BigNumber.from(estimate.gasLimit).mul(gasPrice), 18));
+  entry.value = await allocationValue(check, claimConfig);
+
+  if (entry.value === null && !claimUnvalued) {
+    return {
+      ...entry,
+      status: CLAIM_RESULT.SKIPPED,
+      reason: 'Could not value the allocation to weigh it against gas (set claimUnvalued to claim anyway)',
+    };
+  }
+
+  if (entry.value !== null && entry.gasCost > entry.value) {
+    return {
+      ...entry,
+      status: CLAIM_RESULT.SKIPPED,
+      reason: `Gas ${entry.gasCost} ${entry.nativeSymbol} exceeds allocation value ${entry.value} ${entry.nativeSymbol}`,
+    };
+  }
+
+  const result = await claim.execute(protocol, wallet.address);
+  if (!result.success) {
+    return { ...entry, status: CLAIM_RESULT.FAILED, reason: result.error || result.message, txHash: result.txHash || null };
+  }
+
+  return {
+    ...entry,
+    status: CLAIM_RESULT.CLAIMED,
+    txHash: result.txHash,
+    explorerUrl: result.explorerUrl,
+    followUps: await runFollowUps(followUps, {
+      wallet,
+      chainId: claimConfig.chainId,
+      symbol: check.symbol || claimConfig.symbol,
+      decimals: claimConfig.decimals ?? 18,
+      tokenAddress: claimConfig.token || getToken(claimConfig.symbol || '', claimConfig.chainId)?.address,
+      amount: parseAmount(check.tokenAmount, claimConfig.decimals ?? 18),
+    }),
+  };
+}
+
+/**
+ * Value of an allocation in the chain's native token, or null if unquotable
+ */
+async function allocationValue(check, claimConfig) {
+  const native = getNativeToken(claimConfig.chainId);
+  const symbol = check.symbol || claimConfig.symbol;
+  if (!symbol || !check.tokenAmount) return null;
+
+  try {
+    const quote = await swapEngine.getQuote({
+      fromToken: symbol,
+      toToken: native.symbol,
+      amount: check.tokenAmount,
+      chainId: claimConfig.chainId,
+    });
+    const value = parseFloat(quote?.best?.amountOut);
+    return Number.isFinite(value) ? value : null;
+  } catch (error) {
+    logger.debug('Could not value allocation', { symbol, error: error.message });
+    return null;
+  }
+}
+
+async function runFollowUps(followUps, context) {
+  const { wallet, chainId, symbol, decimals, tokenAddress, amount } = context;
+  const results = [];
+  let remaining = amount;
+
+  if (followUps.delegate) {
+    results.push(await runStep(FOLLOW_UP.DELEGATE, async () => {
+      if (!tokenAddress) {
+        throw new Error(`Token address unknown for ${symbol} on chain ${chainId}`);
+      }
+      const delegatee = await resolveTarget(followUps.delegate.to, wallet, chainId);
+      const signer = getConnectedWallet(wallet.address, chainId);
+      const token = new ethers.Contract(tokenAddress, VOTES_ABI, signer);
+      const txRequest = await token.populateTransaction.delegate(delegatee);
+      const result = await sendSecuredTransaction(signer, txRequest);
+      return { success: result.status === 'confirmed', txHash: result.hash, delegatee };
+    }));
+  }
+
+  if (followUps.swap) {
+    const { percent, toToken, slippage } = followUps.swap;
+    const swapAmount = amount.mul(Math.round(percent * 100)).div(10000);
+    const step = await runStep(FOLLOW_UP.SWAP, () => swapEngine.executeSwap({
+      fromToken: symbol,
+      toToken,
+      amount: formatAmount(swapAmount, decimals),
+      chainId,
+      walletAddress: wallet.address,
+      ...(slippage !== undefined && { slippage }),
+    }));
+    if (step.success) {
+      remaining = remaining.sub(swapAmount);
+    }
+    results.push(step);
+  }
+
+  if (followUps.sweep && remaining.gt(0)) {
+    results.push(await runStep(FOLLOW_UP.SWEEP, async () => {
+      const to = await resolveTarget(followUps.sweep.to, wallet, chainId);
+      if (to.toLowerCase() === wallet.address.toLowerCase()) {
+        return { success: true, skipped: true, reason: 'Wallet is the treasury' };
+      }
+      return transferEngine.executeTransfer({
+        token: symbol,
+        amount: formatAmount(remaining, decimals),
+        to,
+        chainId,
+        walletAddress: wallet.address,
+      });
+    }));
+  }
+
+  return results;
+}
+
+async function runStep(action, fn) {
+  try {
+    const { success, txHash, ...details } = await fn();
+    return { action, success: success !== false, txHash: txHash || null, ...pick(details) };
+  } catch (error) {
+    logger.warn('Claim follow-up failed', { action, error: error.message });
+    return { action, success: false, error: error.message };
+  }
+}
+
+// Keep follow-up reports small: engine results carry full receipts
+function pick(details) {
+  const { amount, amountOut, delegatee, skipped, reason, to } = details;
+  return Object.fromEntries(
+    Object.entries({ amount, amountOut, delegatee, skipped, reason, to }).filter(([, v]) => v !== undefined)
+  );
+}
+
+/**
+ * Resolve a follow-up target: 'self', one of our wallets, an address or ENS
+ */
+async function resolveTarget(target, wallet, chainId) {
+  if (target === 'self') return wallet.address;
+  if (/^(?:primary|wallet\d+)$/i.test(target)) {
+    const own = resolveWalletIdentifier(target);
+    if (!own) {
+      throw new Error(`Wallet not found: ${target}`);
+    }
+    return own;
+  }
+  return resolveAddress(target, chainId);
+}
+
+module.exports = {
+  CLAIM_RESULT,
+  FOLLOW_UP,
+  batchClaim,
+};
@@ -0,0 +1,111 @@
+/**
+ * Airdrop Campaigns
+ * Registry of campaign definitions evaluated by ../rules
+ *
+ * Built-in campaigns are the JSON files in this directory. Files in
+ * AIRDROP_CAMPAIGNS_DIR are loaded after them and replace built-ins with the
+ * same id, so criteria can be added or updated without a code change.
+ * Definitions are read once and cached; reloadCampaigns() re-reads them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../../config');
+const logger = require('../../../utils/logger');
+const { ConfigurationError } = require('../../../utils/errors');
+const { parseCampaign } = require('../rules');
+
+let campaigns = null;
+
+// Campaigns registered at runtime survive reloads
+const registered = new Map();
+
+/**
+ * Load every *.json campaign in a directory
+ */
+function loadCampaigns(dir) {
+  if (!fs.existsSync(dir)) {
+    throw new ConfigurationError(`Campaigns directory not found: ${dir}`);
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => path.extname(file).toLowerCase() === '.json')
+    .sort()
+    .map(file => {
+      const filePath = path.join(dir, file);
+      let raw;
+      try {
+        raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        throw new ConfigurationError(`Could not parse campaign file ${file}: ${error.message}`);
+      }
+      return parseCampaign(raw, file);
+    });
+}
+
+function getRegistry() {
+  if (campaigns) return campaigns;
+
+  const loaded = new Map();
+  for (const campaign of loadCampaigns(__dirname)) {
+    loaded.set(campaign.id, campaign);
+  }
+
+  const customDir = config.airdrop?.campaignsDir;
+  if (customDir) {
+    try {
+      for (const campaign of loadCampaigns(customDir)) {
+        loaded.set(campaign.id, campaign);
+      }
+    } catch (error) {
+      logger.error('Failed to load custom airdrop campaigns', { dir: customDir, error: error.message });
+    }
+  }
+
+  for (const [id, campaign] of registered) {
+    loaded.set(id, campaign);
+  }
+
+  campaigns = loaded;
+  return campaigns;
+}
+
+/**
+ * Get a campaign by id
+ */
+function getCampaign(id) {
+  return getRegistry().get(String(id).toLowerCase()) || null;
+}
+
+/**
+ * List all campaigns
+ */
+function getCampaigns() {
+  return [...getRegistry().values()];
+}
+
+/**
+ * Add or replace a campaign at runtime
+ */
+function registerCampaign(raw) {
+  const campaign = parseCampaign(raw);
+  registered.set(campaign.id, campaign);
+  getRegistry().set(campaign.id, campaign);
+  return campaign;
+}
+
+/**
+ * Drop cached definitions so files are re-read on next use
+ */
+function reloadCampaigns() {
+  campaigns = null;
+  return getCampaigns();
+}
+
+module.exports = {
+  loadCampaigns,
+  getCampaign,
+  getCampaigns,
+  registerCampaign,
+  reloadCampaigns,
+};
@@ -6,27 +6,137 @@
 const { ethers } = require('ethers');
 const { getConnectedWallet } = require('../../core/wallets');
 const { getProvider } = require('../../core/providers');
-const { getExplorerTxUrl } = require('../../config/chains');
+const { sendSecuredTransaction } = require('../../core/transactions');
+const { DISTRIBUTOR_TYPES, getDistributor, getClaimProvider, verifyClaim } = require('./claimData');
+const campaigns = require('./campaigns');
+const { CLAIM_PHASE, getClaimWindow } = require('./rules');
+const { getVestingTracker } = require('./vesting');
+const { getCostBasisBook } = require('../portfolio/costBasis');
 const logger = require('../../utils/logger');
 
-// Known claim contract addresses (would be updated as airdrops launch)
+// Known claim contracts (would be updated as airdrops launch).
+// `type` selects the distributor ABI; `distribution` points at the
+// published merkle distribution ({ source, format, humanReadable }).
 const CLAIM_CONTRACTS = {
   zksync: {
     address: null, // To be added when live
     chainId: 324,
-    abi: [
-      'function claim(uint256 amount, bytes32[] calldata merkleProof) external',
-      'function isClaimed(address account) view returns (bool)',
-    ],
+    type: DISTRIBUTOR_TYPES.ADDRESS,
+    symbol: 'ZK',
+    decimals: 18,
+    distribution: null,
   },
   // Add more as they become available
 };
 
+/**
+ * Register (or replace) a claim contract for a protocol
+ */
+function registerClaimContract(protocol, config) {
+  const key = protocol.toLowerCase();
+  CLAIM_CONTRACTS[key] = {
+    type: DISTRIBUTOR_TYPES.MERKLE_DISTRIBUTOR,
+    decimals: 18,
+    ...config,
+  };
+  return CLAIM_CONTRACTS[key];
+}
+
+/**
+ * Resolve the claim config for a protocol.
+ * Registered contracts win; otherwise the contract declared in the
+ * campaign's claim block is used.
+ */
+function getClaimConfig(protocol) {
+  const key = protocol.toLowerCase();
+  const registered = CLAIM_CONTRACTS[key];
+  if (registered?.address) return registered;
+
+  const declared = campaigns.getCampaign(key)?.claim?.contract;
+  if (!declared) return registered || null;
+
+  return {
+    type: DISTRIBUTOR_TYPES.MERKLE_DISTRIBUTOR,
+    decimals: 18,
+    ...declared,
+  };
+}
+
+/**
+ * Explain why a campaign's claim window rules out claiming now, if it does
+ */
+function windowBlocksClaim(protocol) {
+  const campaign = campaigns.getCampaign(protocol);
+  const window = campaign && getClaimWindow(campaign);
+  if (!window) return null;
+
+  if (window.phase === CLAIM_PHASE.PENDING) {
+    return `${campaign.name} claim opens ${new Date(window.start).toISOString()}`;
+  }
+  if (window.phase === CLAIM_PHASE.CLOSED) {
+    return `${campaign.name} claim window closed ${new Date(window.end).toISOString()}`;
+  }
+  return null;
+}
+
+/**
+ * Create the distributor contract for a claim config
+ */
+function getClaimContract(config, signerOrProvider) {
+  const abi = config.abi || getDistributor(config.type).abi;
+  return new ethers.Contract(config.address, abi, signerOrProvider);
+}
+
+/**
+ * Resolve what an address can claim right now.
+ * Verifies the proof against the on-chain root and subtracts anything
+ * already claimed, so stale distribution files never reach `claim`.
+ */
+async function resolveClaim(protocol, config, claimContract, address) {
+  const claimData = await getClaimData(protocol, address);
+  if (!claimData) {
+    return { claimData: null, message: 'No claimable airdrop found for this wallet' };
+  }
+
+  const onchainRoot = await claimContract.merkleRoot();
+  if (!verifyClaim(claimData, config.type, onchainRoot)) {
+    logger.warn('Merkle proof does not match on-chain root', {
+      protocol,
+      address,
+      localRoot: claimData.root,
+      onchainRoot,
+    });
+    return {
+      claimData: null,
+      message: 'Claim proof does not match the on-chain merkle root. The distribution file may be outdated.',
+    };
+  }
+
+  // Cumulative distributors require the root the proof was built against
+  const verified = { ...claimData, root: onchainRoot };
+
+  const claimed = await getDistributor(config.type).claimedAmount(claimContract, verified);
+  const claimable = ethers.BigNumber.from(verified.amount).sub(claimed);
+  if (claimable.lte(0)) {
+    return { claimData: null, message: 'Airdrop already claimed for this wallet' };
+  }
+
+  const tokenAmount = ethers.utils.formatUnits(claimable, config.decimals ?? 18);
+  return {
+    claimData: {
+      ...verified,
+      claimable,
+      tokenAmount,
+      formattedAmount: `${tokenAmount} ${config.symbol || 'tokens'}`,
+    },
+  };
+}
+
 /**
  * Execute an airdrop claim
  */
 async function execute(protocol, walletAddress) {
-  const config = CLAIM_CONTRACTS[protocol.toLowerCase()];
+  const config = getClaimConfig(protocol);
 
   if (!config || !config.address) {
     return {
@@ -36,6 +146,15 @@ async function execute(protocol, walletAddress) {
     };
   }
 
+  const blocked = windowBlocksClaim(protocol);
+  if (blocked) {
+    return {
+      success: false,
+      protocol,
+      message: blocked,
+    };
+  }
+
   logger.info('Executing airdrop claim', { protocol, walletAddress });
 
   try {
@@ -43,50 +162,39 @@ async function execute(protocol, walletAddress) {
     const signer = getConnectedWallet(walletAddress, config.chainId);
     const address = await signer.getAddress();
 
-    // Create claim contract
-    const claimContract = new ethers.Contract(
-      config.address,
-      config.abi,
-      signer
-    );
-
-    // Check if already claimed
-    const isClaimed = await claimContract.isClaimed(address);
-    if (isClaimed) {
-      return {
-        success: false,
-        protocol,
-        message: 'Airdrop already claimed for this wallet',
-      };
-    }
-
-    // Get claim data (merkle proof) - would be fetched from API in production
-    const claimData = await getClaimData(protocol, address);
+    const claimContract = getClaimContract(config, signer);
 
+    const { claimData, message } = await resolveClaim(protocol, config, claimContract, address);
     if (!claimData) {
       return {
         success: false,
         protocol,
-        message: 'No claimable airdrop found for this wallet',
+        message,
       };
     }
 
-    // Execute claim
-    const tx = await claimContract.claim(claimData.amount, claimData.proof);
+    // Execute claim through the security layer
+    const claimArgs = getDistributor(config.type).claimArgs(claimData);
+    const txRequest = await claimContract.populateTransaction.claim(...claimArgs);
+    const result = await sendSecuredTransaction(signer, txRequest);
+    const success = result.status === 'confirmed';
 
-    logger.info('Claim transaction sent', { txHash: tx.hash });
+    logger.info('Claim transaction confirmed', { txHash: result.hash, success });
 
-    // Wait for confirmation
-    const receipt = await tx.wait();
+    const vesting = success ? trackVesting(protocol, address, config, claimData, result.hash) : null;
+    if (success) {
+      await trackCostBasis(protocol, address, config, claimData, result.hash);
+    }
 
     return {
-      success: receipt.status === 1,
+      success,
       protocol,
-      txHash: tx.hash,
-      explorerUrl: getExplorerTxUrl(config.chainId, tx.hash),
+      txHash: result.hash,
+      explorerUrl: result.explorerUrl,
       amount: claimData.formattedAmount,
-      message: receipt.status === 1
-        ? `Successfully claimed ${claimData.formattedAmount} tokens!`
+      vestingId: vesting?.id ?? null,
+      message: success
+        ? `Successfully claimed ${claimData.formattedAmount}!`
         : 'Claim transaction failed',
     };
   } catch (error) {
@@ -100,33 +208,61 @@ async function execute(protocol, walletAddress) {
   }
 }
 
+/**
+ * Start tracking the unlocks of a claim that vests.
+ * Tracking problems never fail a confirmed claim.
+ */
+function trackVesting(protocol, address, config, claimData, txHash) {
+  try {
+    return getVestingTracker().recordClaim(protocol, address, config, claimData, txHash);
+  } catch (error) {
+    logger.warn('Could not track vesting for claim', { protocol, address, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Record the claimed tokens as income at their price on receipt.
+ * Bookkeeping problems never fail a confirmed claim.
+ */
+async function trackCostBasis(protocol, address, config, claimData, txHash) {
+  try {
+    await getCostBasisBook().recordClaim({
+      wallet: address,
+      chainId: config.chainId,
+      protocol,
+      token: config.symbol || protocol,
+      amount: claimData.tokenAmount,
+      txHash,
+    });
+  } catch (error) {
+    logger.warn('Could not record claim cost basis', { protocol, address, error: error.message });
+  }
+}
+
 /**
  * Get claim data for a wallet (merkle proof, amount)
+ *
+ * Returns { index, account, amount, proof, root, formattedAmount } from the
+ * protocol's registered provider, or null if the wallet has no allocation.
  */
 async function getClaimData(protocol, address) {
-  // In production, this would:
-  // 1. Check an API or merkle tree file for the user's allocation
-  // 2. Return the amount and merkle proof
-
-  // Placeholder implementation
-  logger.debug('Fetching claim data', { protocol, address });
+  const provider = getClaimProvider(protocol, getClaimConfig(protocol));
 
-  // Would query: https://api.{protocol}.io/claim/{address}
-  // Return format:
-  // {
-  //   amount: ethers.BigNumber,
-  //   formattedAmount: '1000 TOKEN',
-  //   proof: ['0x...', '0x...']
-  // }
+  if (!provider) {
+    logger.debug('No claim data provider registered', { protocol });
+    return null;
+  }
 
-  return null; // No data available yet
+  logger.debug('Fetching claim data', { protocol, address });
+  return provider.getClaim(address);
 }
 
 /**
  * Check if an address is eligible to claim
  */
 async function checkClaimable(protocol, address) {
-  const config = CLAIM_CONTRACTS[protocol.toLowerCase()];
+  const config = getClaimConfig(protocol);
 
   if (!config || !config.address) {
     return {
@@ -135,35 +271,33 @@ async function checkClaimable(protocol, address) {
     };
   }
 
+  const blocked = windowBlocksClaim(protocol);
+  if (blocked) {
+    return {
+      claimable: false,
+      message: blocked,
+    };
+  }
+
   try {
     const provider = getProvider(config.chainId);
-    const claimContract = new ethers.Contract(
-      config.address,
-      config.abi,
-      provider
-    );
-
-    const isClaimed = await claimContract.isClaimed(address);
-
-    if (isClaimed) {
-      return {
-        claimable: false,
-        message: 'Already claimed',
-      };
-    }
+    const claimContract = getClaimContract(config, provider);
 
-    const claimData = await getClaimData(protocol, address);
+    const { claimData, message } = await resolveClaim(protocol, config, claimContract, address);
 
     if (!claimData) {
       return {
         claimable: false,
-        message: 'Not eligible for this airdrop',
+        message,
       };
     }
 
     return {
       claimable: true,
       amount: claimData.formattedAmount,
+      tokenAmount: claimData.tokenAmount,
+      symbol: config.symbol || null,
+      chainId: config.chainId,
       message: `Eligible to claim ${claimData.formattedAmount}`,
     };
   } catch (error) {
@@ -178,7 +312,7 @@ async function checkClaimable(protocol, address) {
  * Estimate gas for claim
  */
 async function estimateClaimGas(protocol, walletAddress) {
-  const config = CLAIM_CONTRACTS[protocol.toLowerCase()];
+  const config = getClaimConfig(protocol);
 
   if (!config || !config.address) {
     return null;
@@ -188,20 +322,15 @@ async function estimateClaimGas(protocol, walletAddress) {
     const signer = getConnectedWallet(walletAddress, config.chainId);
     const address = await signer.getAddress();
 
-    const claimData = await getClaimData(protocol, address);
+    const claimContract = getClaimContract(config, signer);
+
+    const { claimData } = await resolveClaim(protocol, config, claimContract, address);
     if (!claimData) {
       return null;
     }
 
-    const claimContract = new ethers.Contract(
-      config.address,
-      config.abi,
-      signer
-    );
-
     const gasEstimate = await claimContract.estimateGas.claim(
-      claimData.amount,
-      claimData.proof
+      ...getDistributor(config.type).claimArgs(claimData)
     );
 
     return {
@@ -214,6 +343,9 @@ async function estimateClaimGas(protocol, walletAddress) {
 }
 
 module.exports = {
+  CLAIM_CONTRACTS,
+  registerClaimContract,
+  getClaimConfig,
   execute,
   getClaimData,
   checkClaimable,
@@ -0,0 +1,341 @@
+/**
+ * Claim Data Providers
+ * Loads published merkle distributions, builds the tree locally and
+ * serves per-wallet claim data (amount, index, proof) to the claim handler
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { MerkleTree, verifyProof } = require('./merkle');
+const { ValidationError, ExternalAPIError } = require('../../utils/errors');
+const logger = require('../../utils/logger');
+
+// Supported distributor contract families
+const DISTRIBUTOR_TYPES = {
+  MERKLE_DISTRIBUTOR: 'merkleDistributor', // Uniswap: claim(index, account, amount, proof)
+  INDEXED: 'indexed', // claim(index, amount, proof) for msg.sender
+  ADDRESS: 'address', // claim(amount, proof) for msg.sender, claimed per address
+  CUMULATIVE: 'cumulative', // claim(account, cumulativeAmount, root, proof)
+};
+
+/**
+ * Per-type leaf encoding, claim arguments and claimed-amount lookup.
+ * Claimed amounts let one-shot and cumulative distributors share a code path.
+ */
+const DISTRIBUTORS = {
+  [DISTRIBUTOR_TYPES.MERKLE_DISTRIBUTOR]: {
+    abi: [
+      'function claim(uint256 index, address account, uint256 amount, bytes32[] calldata merkleProof) external',
+      'function isClaimed(uint256 index) view returns (bool)',
+      'function merkleRoot() view returns (bytes32)',
+    ],
+    leaf: (c) => ethers.utils.solidityKeccak256(
+      ['uint256', 'address', 'uint256'],
+      [c.index, c.account, c.amount]
+    ),
+    claimArgs: (c) => [c.index, c.account, c.amount, c.proof],
+    claimedAmount: async (contract, c) =>
+      (await contract.isClaimed(c.index)) ? c.amount : ethers.constants.Zero,
+  },
+  [DISTRIBUTOR_TYPES.INDEXED]: {
+    abi: [
+      'function claim(uint256 index, uint256 amount, bytes32[] calldata merkleProof) external',
+      'function isClaimed(uint256 index) view returns (bool)',
+      'function merkleRoot() view returns (bytes32)',
+    ],
+    leaf: (c) => ethers.utils.solidityKeccak256(
+      ['uint256', 'address', 'uint256'],
+      [c.index, c.account, c.amount]
+    ),
+    claimArgs: (c) => [c.index, c.amount, c.proof],
+    claimedAmount: async (contract, c) =>
+      (await contract.isClaimed(c.index)) ? c.amount : ethers.constants.Zero,
+  },
+  [DISTRIBUTOR_TYPES.ADDRESS]: {
+    abi: [
+      'function claim(uint256 amount, bytes32[] calldata merkleProof) external',
+      'function isClaimed(address account) view returns (bool)',
+      'function merkleRoot() view returns (bytes32)',
+    ],
+    leaf: (c) => ethers.utils.solidityKeccak256(
+      ['address', 'uint256'],
+      [c.account, c.amount]
+    ),
+    claimArgs: (c) => [c.amount, c.proof],
+    claimedAmount: async (contract, c) =>
+      (await contract.isClaimed(c.account)) ? c.amount : ethers.constants.Zero,
+  },
+  [DISTRIBUTOR_TYPES.CUMULATIVE]: {
+    abi: [
+      'function claim(address account, uint256 cumulativeAmount, bytes32 expectedMerkleRoot, bytes32[] calldata merkleProof) external',
+      'function cumulativeClaimed(address account) view returns (uint256)',
+      'function merkleRoot() view returns (bytes32)',
+    ],
+    leaf: (c) => ethers.utils.solidityKeccak256(
+      ['address', 'uint256'],
+      [c.account, c.amount]
+    ),
+    claimArgs: (c) => [c.account, c.amount, c.root, c.proof],
+    claimedAmount: async (contract, c) => contract.cumulativeClaimed(c.account),
+  },
+};
+
+// Registered providers by protocol
+const providers = new Map();
+
+/**
+ * Get the distributor spec for a type
+ */
+function getDistributor(type) {
+  const distributor = DISTRIBUTORS[type];
+  if (!distributor) {
+    throw new ValidationError('type', `Unknown distributor type: ${type}`, type);
+  }
+  return distributor;
+}
+
+/**
+ * Parse a raw amount from a distribution file
+ */
+function parseRawAmount(value, options = {}) {
+  if (options.humanReadable) {
+    return ethers.utils.parseUnits(String(value).trim(), options.decimals ?? 18);
+  }
+  return ethers.BigNumber.from(String(value).trim());
+}
+
+/**
+ * Parse a distribution file into { root, entries: [{ account, amount, index }] }
+ *
+ * Accepts:
+ * - JSON map of address -> amount
+ * - JSON array of { address|account, amount, index? }
+ * - Uniswap merkle-distributor output ({ merkleRoot, claims: { address: { index, amount } } })
+ * - CSV with address,amount[,index] columns (header optional)
+ */
+function parseDistribution(content, format = 'json', options = {}) {
+  let rows;
+  let root = null;
+
+  if (format === 'csv') {
+    const lines = content.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    const hasHeader = lines.length > 0 && !ethers.utils.isAddress(lines[0].split(',')[0].trim());
+    const header = hasHeader
+      ? lines[0].split(',').map(h => h.trim().toLowerCase())
+      : ['address', 'amount', 'index'];
+    const col = (names) => header.findIndex(h => names.includes(h));
+    const addressCol = col(['address', 'account', 'wallet']);
+    const amountCol = col(['amount', 'cumulativeamount', 'cumulative_amount']);
+    const indexCol = col(['index']);
+
+    if (addressCol === -1 || amountCol === -1) {
+      throw new ValidationError('distribution', 'CSV distribution needs address and amount columns');
+    }
+
+    rows = lines.slice(hasHeader ? 1 : 0).map(line => {
+      const cells = line.split(',').map(c => c.trim());
+      return {
+        account: cells[addressCol],
+        amount: cells[amountCol],
+        index: indexCol !== -1 && cells[indexCol] !== undefined && cells[indexCol] !== ''
+          ? Number(cells[indexCol])
+          : undefined,
+      };
+    });
+  } else {
+    const data = typeof content === 'string' ? JSON.parse(content) : content;
+
+    if (Array.isArray(data)) {
+      rows = data.map(r => ({ account: r.address || r.account, amount: r.amount, index: r.index }));
+    } else if (data.claims) {
+      root = data.merkleRoot || null;
+      rows = Object.entries(data.claims).map(([account, c]) => ({
+        account,
+        amount: c.amount,
+        index: c.index,
+      }));
+    } else {
+      rows = Object.entries(data).map(([account, amount]) => ({ account, amount }));
+    }
+  }
+
+  const entries = rows.map((row, i) => {
+    if (!ethers.utils.isAddress(row.account || '')) {
+      throw new ValidationError('account', `Invalid address in distribution row ${i + 1}`, row.account);
+    }
+    return {
+      account: ethers.utils.getAddress(row.account),
+      amount: parseRawAmount(row.amount, options),
+      index: row.index,
+    };
+  });
+
+  // Assign indexes by sorted address when the file has none (Uniswap convention)
+  if (entries.some(e => e.index === undefined)) {
+    entries
+      .sort((a, b) => a.account.toLowerCase().localeCompare(b.account.toLowerCase()))
+      .forEach((e, i) => { e.index = i; });
+  }
+
+  return { root, entries };
+}
+
+/**
+ * Claim data provider backed by a published merkle distribution
+ */
+class MerkleClaimProvider {
+  constructor(options = {}) {
+    this.protocol = options.protocol;
+    this.type = options.type || DISTRIBUTOR_TYPES.MERKLE_DISTRIBUTOR;
+    this.source = options.source;
+    this.content = options.content;
+    this.format = options.format || (/\.csv$/i.test(options.source || '') ? 'csv' : 'json');
+    this.decimals = options.decimals ?? 18;
+    this.symbol = options.symbol || 'tokens';
+    this.humanReadable = options.humanReadable || false;
+
+    this.distributor = getDistributor(this.type);
+    this.tree = null;
+    this.claims = new Map();
+  }
+
+  /**
+   * Load the distribution and build the tree (once)
+   */
+  async load() {
+    if (this.tree) return;
+
+    const content = this.content ?? await this.readSource();
+    const { root: publishedRoot, entries } = parseDistribution(content, this.format, {
+      decimals: this.decimals,
+      humanReadable: this.humanReadable,
+    });
+
+    if (entries.length === 0) {
+      throw new ValidationError('distribution', `Distribution for ${this.protocol} is empty`);
+    }
+
+    const leaves = entries.map(e => this.distributor.leaf(e));
+    this.tree = new MerkleTree(leaves);
+
+    if (publishedRoot && publishedRoot.toLowerCase() !== this.tree.getRoot()) {
+      this.tree = null;
+      throw new ValidationError(
+        'merkleRoot',
+        `Distribution for ${this.protocol} does not match its published merkle root`,
+        publishedRoot
+      );
+    }
+
+    entries.forEach((entry, i) => {
+      this.claims.set(entry.account.toLowerCase(), { ...entry, leaf: leaves[i] });
+    });
+
+    logger.info('Loaded merkle distribution', {
+      protocol: this.protocol,
+      entries: entries.length,
+      root: this.tree.getRoot(),
+    });
+  }
+
+  async readSource() {
+    if (!this.source) {
+      throw new ValidationError('source', `No distribution source for ${this.protocol}`);
+    }
+
+    if (/^https?:\/\//i.test(this.source)) {
+      const response = await fetch(this.source);
+      if (!response.ok) {
+        throw new ExternalAPIError(this.protocol, 'Failed to download distribution', response.status);
+      }
+      return response.text();
+    }
+
+    return fs.promises.readFile(this.source, 'utf8');
+  }
+
+  async getRoot() {
+    await this.load();
+    return this.tree.getRoot();
+  }
+
+  /**
+   * Get claim data for an address, or null if it has no allocation
+   */
+  async getClaim(address) {
+    await this.load();
+
+    const entry = this.claims.get(address.toLowerCase());
+    if (!entry) return null;
+
+    const root = this.tree.getRoot();
+    return {
+      index: entry.index,
+      account: entry.account,
+      amount: entry.amount,
+      formattedAmount: `${ethers.utils.formatUnits(entry.amount, this.decimals)} ${this.symbol}`,
+      proof: this.tree.getProof(entry.leaf),
+      leaf: entry.leaf,
+      root,
+    };
+  }
+}
+
+/**
+ * Verify claim data against an on-chain merkle root
+ */
+function verifyClaim(claim, type, onchainRoot) {
+  const leaf = getDistributor(type).leaf(claim);
+  return verifyProof(leaf, claim.proof, onchainRoot);
+}
+
+/**
+ * Register a claim data provider for a protocol.
+ * Any object with getClaim(address) works (e.g. a protocol API client).
+ */
+function registerClaimProvider(protocol, provider) {
+  if (!provider || typeof provider.getClaim !== 'function') {
+    throw new ValidationError('provider', 'Claim provider must implement getClaim(address)');
+  }
+  providers.set(protocol.toLowerCase(), provider);
+  return provider;
+}
+
+/**
+ * Get the provider for a protocol, creating a merkle provider from its
+ * claim contract config on first use
+ */
+function getClaimProvider(protocol, config = {}) {
+  const key = protocol.toLowerCase();
+  if (providers.has(key)) {
+    return providers.get(key);
+  }
+
+  if (!config.distribution) {
+    return null;
+  }
+
+  return registerClaimProvider(key, new MerkleClaimProvider({
+    protocol: key,
+    type: config.type,
+    symbol: config.symbol,
+    decimals: config.decimals,
+    ...config.distribution,
+  }));
+}
+
+function clearClaimProviders() {
+  providers.clear();
+}
+
+module.exports = {
+  DISTRIBUTOR_TYPES,
+  DISTRIBUTORS,
+  MerkleClaimProvider,
+  getDistributor,
+  parseDistribution,
+  verifyClaim,
+  registerClaimProvider,
+  getClaimProvider,
+  clearClaimProviders,
+};
@@ -1,10 +1,12 @@
 /**
  * Airdrop Eligibility Checker
- * Checks wallet eligibility for various airdrops
+ * Checks wallet eligibility for airdrop campaigns (see ./campaigns) and
+ * scores overall wallet activity
  */
 
-const { getProvider } = require('../../core/providers');
-const { getChain } = require('../../config/chains');
+const { getActivityProfiler } = require('./activity');
+const { getCampaign } = require('./campaigns');
+const { evaluateCampaign } = require('./rules');
 const logger = require('../../utils/logger');
 
 // Chain IDs for different L2s
@@ -17,32 +19,30 @@ const CHAIN_IDS = {
   zksync: 324,
   scroll: 534352,
   linea: 59144,
+  blast: 81457,
+  mantle: 5000,
 };
 
 /**
- * Check eligibility for a specific protocol
+ * Check eligibility for a campaign by evaluating its rules against the
+ * wallet's activity profile on the campaign's chains
  */
 async function checkProtocol(protocol, address) {
-  const checkers = {
-    layerzero: checkLayerZero,
-    zksync: checkZkSync,
-    starknet: checkStarknet,
-    scroll: checkScroll,
-    linea: checkLinea,
-    eigenlayer: checkEigenLayer,
-    blast: checkBlast,
-  };
-
-  const checker = checkers[protocol.toLowerCase()];
-  if (!checker) {
+  const campaign = getCampaign(protocol);
+  if (!campaign) {
     return {
       eligible: null,
-      message: 'Protocol checker not implemented',
+      message: 'No campaign defined for this protocol',
     };
   }
 
+  if (campaign.rules.length === 0) {
+    return evaluateCampaign(campaign, {});
+  }
+
   try {
-    return await checker(address);
+    const profile = await getActivityProfiler().profile(address, { chains: campaign.chains });
+    return evaluateCampaign(campaign, profile);
   } catch (error) {
     logger.warn(`Eligibility check failed for ${protocol}:`, error.message);
     return {
@@ -52,211 +52,6 @@ async function checkProtocol(protocol, address) {
   }
 }
 
-/**
- * Check LayerZero eligibility
- */
-async function checkLayerZero(address) {
-  // Check for cross-chain bridge activity
-  // In production, would query LayerZero endpoints or TheGraph
-  const criteria = {
-    bridgeTransactions: 0,
-    chainsUsed: [],
-    volume: 0,
-  };
-
-  // Simulate checking multiple chains for bridge activity
-  const chainsToCheck = [CHAIN_IDS.ethereum, CHAIN_IDS.arbitrum, CHAIN_IDS.optimism, CHAIN_IDS.base];
-
-  for (const chainId of chainsToCheck) {
-    try {
-      const provider = getProvider(chainId);
-      const txCount = await provider.getTransactionCount(address);
-      if (txCount > 0) {
-        criteria.chainsUsed.push(chainId);
-      }
-    } catch {
-      // Chain not available or error
-    }
-  }
-
-  const score = calculateLayerZeroScore(criteria);
-
-  return {
-    eligible: score > 50,
-    score,
-    details: {
-      chainsUsed: criteria.chainsUsed.length,
-      message: score > 50
-        ? 'Good cross-chain activity detected'
-        : 'Consider bridging to more chains',
-    },
-  };
-}
-
-/**
- * Calculate LayerZero eligibility score
- */
-function calculateLayerZeroScore(criteria) {
-  let score = 0;
-
-  // Points for chains used
-  score += criteria.chainsUsed.length * 15;
-
-  // Cap at 100
-  return Math.min(score, 100);
-}
-
-/**
- * Check zkSync eligibility
- */
-async function checkZkSync(address) {
-  // In production, would check zkSync Era activity
-  const criteria = {
-    hasActivity: false,
-    transactionCount: 0,
-    uniqueContracts: 0,
-  };
-
-  // Check for zkSync Era activity
-  try {
-    const provider = getProvider(324); // zkSync Era
-    const txCount = await provider.getTransactionCount(address);
-    criteria.transactionCount = txCount;
-    criteria.hasActivity = txCount > 0;
-  } catch {
-    // zkSync not configured
-  }
-
-  const score = calculateZkSyncScore(criteria);
-
-  return {
-    eligible: criteria.hasActivity && score > 30,
-    score,
-    details: {
-      transactions: criteria.transactionCount,
-      message: criteria.hasActivity
-        ? `${criteria.transactionCount} transactions on zkSync Era`
-        : 'No zkSync Era activity detected',
-    },
-  };
-}
-
-/**
- * Calculate zkSync eligibility score
- */
-function calculateZkSyncScore(criteria) {
-  let score = 0;
-
-  if (criteria.hasActivity) score += 20;
-  score += Math.min(criteria.transactionCount * 2, 40);
-  score += criteria.uniqueContracts * 5;
-
-  return Math.min(score, 100);
-}
-
-/**
- * Check Starknet eligibility
- */
-async function checkStarknet(address) {
-  // Starknet uses different address format
-  // Would need Starknet-specific checks in production
-  return {
-    eligible: null,
-    score: 0,
-    details: {
-      message: 'Starknet eligibility check requires Starknet address',
-    },
-  };
-}
-
-/**
- * Check Scroll eligibility
- */
-async function checkScroll(address) {
-  const criteria = {
-    hasActivity: false,
-    transactionCount: 0,
-  };
-
-  try {
-    const provider = getProvider(534352); // Scroll
-    const txCount = await provider.getTransactionCount(address);
-    criteria.transactionCount = txCount;
-    criteria.hasActivity = txCount > 0;
-  } catch {
-    // Scroll not configured
-  }
-
-  return {
-    eligible: criteria.hasActivity,
-    score: criteria.hasActivity ? 50 : 0,
-    details: {
-      transactions: criteria.transactionCount,
-      message: criteria.hasActivity
-        ? `Active on Scroll with ${criteria.transactionCount} transactions`
-        : 'Bridge to Scroll to become eligible',
-    },
-  };
-}
-
-/**
- * Check Linea eligibility
- */
-async function checkLinea(address) {
-  const criteria = {
-    hasActivity: false,
-    transactionCount: 0,
-  };
-
-  try {
-    const provider = getProvider(59144); // Linea
-    const txCount = await provider.getTransactionCount(address);
-    criteria.transactionCount = txCount;
-    criteria.hasActivity = txCount > 0;
-  } catch {
-    // Linea not configured
-  }
-
-  return {
-    eligible: criteria.hasActivity,
-    score: criteria.hasActivity ? 50 : 0,
-    details: {
-      transactions: criteria.transactionCount,
-      message: criteria.hasActivity
-        ? `Active on Linea with ${criteria.transactionCount} transactions`
-        : 'Bridge to Linea to become eligible',
-    },
-  };
-}
-
-/**
- * Check EigenLayer eligibility
- */
-async function checkEigenLayer(address) {
-  // Would check EigenLayer restaking contracts in production
-  return {
-    eligible: null,
-    score: 0,
-    details: {
-      message: 'EigenLayer eligibility requires checking restaking contracts',
-    },
-  };
-}
-
-/**
- * Check Blast eligibility
- */
-async function checkBlast(address) {
-  // Blast has a points system
-  return {
-    eligible: null,
-    score: 0,
-    details: {
-      message: 'Blast uses a points system - check blast.io directly',
-    },
-  };
-}
-
 /**
  * Calculate overall activity score for a wallet
  */
@@ -271,43 +66,61 @@ async function calculateActivityScore(address) {
 
   const recommendations = [];
 
-  // Check activity on each chain
-  const chainsToCheck = [
-    CHAIN_IDS.ethereum,
-    CHAIN_IDS.arbitrum,
-    CHAIN_IDS.optimism,
-    CHAIN_IDS.base,
-    CHAIN_IDS.polygon,
-  ];
-
-  let totalTxCount = 0;
-  let activeChains = 0;
-
-  for (const chainId of chainsToCheck) {
-    try {
-      const provider = getProvider(chainId);
-      const txCount = await provider.getTransactionCount(address);
-      if (txCount > 0) {
-        activeChains++;
-        totalTxCount += txCount;
-      }
-    } catch {
-      // Skip unavailable chains
-    }
-  }
+  const profile = await getActivityProfiler().profile(address, {
+    chains: [
+      CHAIN_IDS.ethereum,
+      CHAIN_IDS.arbitrum,
+      CHAIN_IDS.optimism,
+      CHAIN_IDS.base,
+      CHAIN_IDS.polygon,
+      CHAIN_IDS.zksync,
+      CHAIN_IDS.linea,
+      CHAIN_IDS.scroll,
+    ],
+  });
+  const { actions, categories } = profile;
 
   // Score chains
-  breakdown.chains = Math.min(activeChains * 15, 30);
-  if (activeChains < 3) {
+  breakdown.chains = Math.min(profile.activeChains.length * 10, 30);
+  if (profile.activeChains.length < 3) {
     recommendations.push('Use more L2 chains (Arbitrum, Base, Optimism)');
   }
 
-  // Score transactions
-  breakdown.transactions = Math.min(Math.floor(totalTxCount / 10) * 5, 30);
-  if (totalTxCount < 50) {
+  // Score transactions, weighted toward distinct contracts over raw volume
+  breakdown.transactions = Math.min(
+    Math.floor(profile.transactionCount / 10) * 3 + profile.uniqueContracts * 2,
+    30
+  );
+  if (profile.transactionCount < 50) {
     recommendations.push('Increase transaction activity across chains');
   }
 
+  // Score DeFi usage: swaps, liquidity and lending
+  const defiKinds = [
+    actions.swap,
+    actions.addLiquidity,
+    categories.lending,
+  ].filter(Boolean).length;
+  breakdown.defi = Math.min(defiKinds * 5 + (profile.lpDurationDays >= 30 ? 5 : 0), 20);
+  if (!defiKinds) {
+    recommendations.push('Use DeFi protocols: swap, provide liquidity or lend');
+  } else if (!actions.addLiquidity) {
+    recommendations.push('Provide liquidity and keep the position open');
+  }
+
+  // Score NFT mints
+  breakdown.nft = categories.nft ? 5 : 0;
+
+  // Score age by distinct active months
+  breakdown.age = Math.min(profile.activeMonths * 2, 15);
+  if (profile.activeMonths < 6) {
+    recommendations.push('Stay active across more months; most airdrops reward consistency');
+  }
+
+  if (!profile.bridgeCount) {
+    recommendations.push('Bridge between chains');
+  }
+
   // Calculate total
   const total = Object.values(breakdown).reduce((a, b) => a + b, 0);
 
@@ -316,6 +129,7 @@ async function calculateActivityScore(address) {
     breakdown,
     recommendations,
     grade: getGrade(total),
+    partial: profile.partial,
   };
 }
 
@@ -332,9 +146,5 @@ function getGrade(score) {
 
 module.exports = {
   checkProtocol,
-  checkLayerZero,
-  checkZkSync,
-  checkScroll,
-  checkLinea,
   calculateActivityScore,
 };
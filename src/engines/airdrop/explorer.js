@@ -0,0 +1,188 @@
+/**
+ * Explorer Adapters
+ * Fetch a wallet's transaction and token-transfer history for the activity
+ * profiler
+ *
+ * Adapters implement getTransactions(address, chainId) and
+ * getTokenTransfers(address, chainId) and return records in the normalized
+ * shape below. EtherscanExplorer talks to the Etherscan v2 multichain API;
+ * FixtureExplorer serves recorded history from a JSON file or object so
+ * profiles can be built offline and in tests.
+ *
+ * Transaction:    { chainId, hash, from, to, value, input, timestamp,
+ *                   blockNumber, gasUsed, gasPrice, isError }
+ * Token transfer: { chainId, hash, from, to, token, symbol, decimals, value,
+ *                   timestamp }
+ *
+ * Addresses are lowercased, value/gas fields are decimal strings and
+ * timestamps are unix seconds.
+ */
+
+const fs = require('fs');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { ExternalAPIError, ValidationError } = require('../../utils/errors');
+
+const ETHERSCAN_API_URL = 'https://api.etherscan.io/v2/api';
+
+// Etherscan caps a page at 10,000 records
+const MAX_PAGE_SIZE = 10000;
+
+function lower(value) {
+  return value ? value.toLowerCase() : null;
+}
+
+function normalizeTransaction(raw, chainId) {
+  return {
+    chainId,
+    hash: lower(raw.hash),
+    from: lower(raw.from),
+    to: lower(raw.to) || lower(raw.contractAddress),
+    value: String(raw.value ?? '0'),
+    input: raw.input || '0x',
+    timestamp: Number(raw.timeStamp ?? raw.timestamp),
+    blockNumber: Number(raw.blockNumber ?? 0),
+    gasUsed: String(raw.gasUsed ?? '0'),
+    gasPrice: String(raw.gasPrice ?? raw.effectiveGasPrice ?? '0'),
+    isError: raw.isError === true || raw.isError === '1' || raw.txreceipt_status === '0',
+  };
+}
+
+function normalizeTokenTransfer(raw, chainId) {
+  return {
+    chainId,
+    hash: lower(raw.hash),
+    from: lower(raw.from),
+    to: lower(raw.to),
+    token: lower(raw.contractAddress ?? raw.token),
+    symbol: raw.tokenSymbol ?? raw.symbol,
+    decimals: Number(raw.tokenDecimal ?? raw.decimals ?? 18),
+    value: String(raw.value ?? '0'),
+    timestamp: Number(raw.timeStamp ?? raw.timestamp),
+  };
+}
+
+/**
+ * Etherscan v2 multichain API (one key covers every supported chain)
+ */
+class EtherscanExplorer {
+  constructor(options = {}) {
+    this.apiKey = options.apiKey;
+    this.apiUrl = options.apiUrl || ETHERSCAN_API_URL;
+    this.pageSize = Math.min(options.pageSize || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+  }
+
+  async request(chainId, params) {
+    const query = new URLSearchParams({
+      chainid: String(chainId),
+      module: 'account',
+      page: '1',
+      offset: String(this.pageSize),
+      sort: 'asc',
+      ...params,
+      ...(this.apiKey && { apikey: this.apiKey }),
+    });
+
+    const response = await fetch(`${this.apiUrl}?${query}`);
+    if (!response.ok) {
+      throw new ExternalAPIError('Etherscan', response.statusText, response.status);
+    }
+
+    const body = await response.json();
+    if (body.status === '1') {
+      return body.result;
+    }
+    // An empty history is reported as a failure
+    if (/no (transactions|records) found/i.test(body.message || '')) {
+      return [];
+    }
+    throw new ExternalAPIError('Etherscan', typeof body.result === 'string' ? body.result : body.message);
+  }
+
+  async getTransactions(address, chainId) {
+    const rows = await this.request(chainId, { action: 'txlist', address });
+    if (rows.length >= this.pageSize) {
+      logger.warn('Explorer history truncated', { chainId, address, records: rows.length });
+    }
+    return rows.map(row => normalizeTransaction(row, chainId));
+  }
+
+  async getTokenTransfers(address, chainId) {
+    const rows = await this.request(chainId, { action: 'tokentx', address });
+    return rows.map(row => normalizeTokenTransfer(row, chainId));
+  }
+}
+
+/**
+ * Recorded history keyed by address then chain id:
+ * { "0xabc...": { "1": { transactions: [...], tokenTransfers: [...] } } }
+ *
+ * Records may use either the normalized shape or raw Etherscan rows.
+ */
+class FixtureExplorer {
+  constructor(options = {}) {
+    this.file = options.file;
+    this.data = options.data ? this.index(options.data) : null;
+  }
+
+  index(data) {
+    const indexed = new Map();
+    for (const [address, chains] of Object.entries(data)) {
+      indexed.set(address.toLowerCase(), chains);
+    }
+    return indexed;
+  }
+
+  async load() {
+    if (this.data) return this.data;
+    if (!this.file) {
+      throw new ValidationError('file', 'Fixture explorer needs a file or data');
+    }
+    this.data = this.index(JSON.parse(await fs.promises.readFile(this.file, 'utf8')));
+    return this.data;
+  }
+
+  async getHistory(address, chainId) {
+    const data = await this.load();
+    return data.get(address.toLowerCase())?.[chainId] || {};
+  }
+
+  async getTransactions(address, chainId) {
+    const { transactions = [] } = await this.getHistory(address, chainId);
+    return transactions.map(row => normalizeTransaction(row, chainId));
+  }
+
+  async getTokenTransfers(address, chainId) {
+    const { tokenTransfers = [] } = await this.getHistory(address, chainId);
+    return tokenTransfers.map(row => normalizeTokenTransfer(row, chainId));
+  }
+}
+
+/**
+ * Build the explorer named in config: a fixture file when EXPLORER_FIXTURE_FILE
+ * is set, otherwise Etherscan
+ */
+function createExplorer(options = config.explorer || {}) {
+  if (options.fixtureFile) {
+    return new FixtureExplorer({ file: options.fixtureFile });
+  }
+  return new EtherscanExplorer({ apiKey: options.apiKey, apiUrl: options.apiUrl });
+}
+
+let sharedExplorer = null;
+
+function getExplorer() {
+  if (!sharedExplorer) {
+    sharedExplorer = createExplorer();
+  }
+  return sharedExplorer;
+}
+
+module.exports = {
+  EtherscanExplorer,
+  FixtureExplorer,
+  createExplorer,
+  getExplorer,
+  normalizeTransaction,
+  normalizeTokenTransfer,
+};
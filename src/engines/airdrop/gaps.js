@@ -0,0 +1,406 @@
+/**
+ * Eligibility Gap Analysis
+ * Compares a wallet's activity profile against a campaign's rules and turns
+ * every unmet rule into a concrete, costed step ("2 more active months on
+ * Linea", "1 bridge of >=0.1 ETH") with an estimated gas cost
+ *
+ * Steps that map onto a router command (swaps for activity, bridges for
+ * cross-chain criteria) carry that command so the plan can be queued as
+ * pending commands the user confirms one by one. Steps with no automated
+ * action (holding periods, protocol-specific interactions) are listed with
+ * command: null.
+ */
+
+const { ethers } = require('ethers');
+const { getChain } = require('../../config/chains');
+const { getNativeToken, getToken } = require('../../config/tokens');
+const { getGasPrice } = require('../../core/providers');
+const { getActivityProfiler } = require('./activity');
+const { getCampaign } = require('./campaigns');
+const { evaluateCampaign } = require('./rules');
+const logger = require('../../utils/logger');
+
+const STEP_KIND = {
+  SWAP: 'swap',
+  BRIDGE: 'bridge',
+  ADD_LIQUIDITY: 'addLiquidity',
+  SUPPLY: 'supply',
+  STAKE: 'stake',
+  MINT: 'mint',
+  INTERACT: 'interact',
+  HOLD: 'hold',
+  WAIT: 'wait',
+  MANUAL: 'manual',
+};
+
+// Gas units per step, in line with the router's gas estimates
+const GAS_UNITS = {
+  [STEP_KIND.SWAP]: 150000,
+  [STEP_KIND.BRIDGE]: 120000,
+  [STEP_KIND.ADD_LIQUIDITY]: 250000,
+  [STEP_KIND.SUPPLY]: 200000,
+  [STEP_KIND.STAKE]: 150000,
+  [STEP_KIND.MINT]: 120000,
+  [STEP_KIND.INTERACT]: 150000,
+  [STEP_KIND.HOLD]: 0,
+  [STEP_KIND.WAIT]: 0,
+  [STEP_KIND.MANUAL]: 0,
+};
+
+// Rough native token prices (USD) until a price feed is wired in
+const DEFAULT_PRICES = { ETH: 2500, MATIC: 0.5, BNB: 600, MNT: 0.8 };
+
+// Size of the swap queued for activity steps, in USD
+const ACTIVITY_SWAP_USD = 5;
+
+// Smallest bridge queued for bridge-count steps
+const MIN_BRIDGE_ETH = 0.01;
+
+// Stablecoins tried, in order, as the other side of activity swaps
+const ACTIVITY_STABLES = ['USDC', 'USDB', 'USDT'];
+
+// Metrics under actions./categories. and the step that moves them
+const METRIC_KINDS = {
+  swap: STEP_KIND.SWAP,
+  dex: STEP_KIND.SWAP,
+  bridge: STEP_KIND.BRIDGE,
+  addLiquidity: STEP_KIND.ADD_LIQUIDITY,
+  lp: STEP_KIND.ADD_LIQUIDITY,
+  supply: STEP_KIND.SUPPLY,
+  borrow: STEP_KIND.SUPPLY,
+  lending: STEP_KIND.SUPPLY,
+  stake: STEP_KIND.STAKE,
+  staking: STEP_KIND.STAKE,
+  mint: STEP_KIND.MINT,
+  nft: STEP_KIND.MINT,
+};
+
+const STEP_LABELS = {
+  [STEP_KIND.SWAP]: 'swap',
+  [STEP_KIND.BRIDGE]: 'bridge',
+  [STEP_KIND.ADD_LIQUIDITY]: 'liquidity deposit',
+  [STEP_KIND.SUPPLY]: 'lending deposit',
+  [STEP_KIND.STAKE]: 'stake',
+  [STEP_KIND.MINT]: 'NFT mint',
+};
+
+const PERIODS = {
+  activeMonths: { unit: 'month', repeat: 'monthly' },
+  activeWeeks: { unit: 'week', repeat: 'weekly' },
+  activeDays: { unit: 'day', repeat: 'daily' },
+};
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function chainName(chainId) {
+  return getChain(chainId)?.name || `chain ${chainId}`;
+}
+
+/**
+ * The chain a campaign is about: its first non-Ethereum chain
+ */
+function homeChain(campaign) {
+  return campaign.chains.find(id => id !== 1) ?? campaign.chains[0] ?? 1;
+}
+
+/**
+ * Describe the action that closes one failed rule
+ */
+function describeStep(rule, result, campaign, profile, prices) {
+  const [root, second, third] = rule.metric.split('.');
+  const scoped = root === 'chains';
+  const key = scoped ? third : root;
+  const chainId = scoped ? Number(second) : homeChain(campaign);
+  const actual = result.actual ?? 0;
+
+  if (rule.op !== 'gte' && rule.op !== 'gt') {
+    return { kind: STEP_KIND.MANUAL, chainId, count: 0, summary: rule.description };
+  }
+
+  const gap = rule.value - actual + (rule.op === 'gt' ? 1 : 0);
+  const count = Math.max(Math.ceil(gap), 1);
+  const where = chainName(chainId);
+
+  if (PERIODS[key]) {
+    const { unit, repeat } = PERIODS[key];
+    return { kind: STEP_KIND.SWAP, chainId, count, repeat, summary: `${count} more active ${unit}${count === 1 ? '' : 's'} on ${where}` };
+  }
+
+  switch (key) {
+    case 'transactionCount':
+      return { kind: STEP_KIND.SWAP, chainId, count, summary: `${plural(count, 'more transaction')} on ${where}` };
+
+    case 'uniqueContracts':
+      return { kind: STEP_KIND.INTERACT, chainId, count, summary: `${plural(count, 'new contract')} on ${where}` };
+
+    case 'activeChains': {
+      const targets = campaign.chains.filter(id => !(profile.activeChains || []).includes(id)).slice(0, count);
+      const toChainId = targets[0] ?? homeChain(campaign);
+      return {
+        kind: STEP_KIND.BRIDGE,
+        chainId: toChainId === 1 ? homeChain(campaign) : 1,
+        toChainId,
+        count,
+        summary: targets.length
+          ? `activity on ${targets.map(chainName).join(', ')}`
+          : `activity on ${plural(count, 'more chain')}`,
+      };
+    }
+
+    case 'bridgeCount':
+      return {
+        kind: STEP_KIND.BRIDGE,
+        chainId: chainId === 1 ? 42161 : 1,
+        toChainId: chainId,
+        count,
+        amount: MIN_BRIDGE_ETH,
+        summary: `${plural(count, 'bridge')} to ${where}`,
+      };
+
+    case 'bridgedVolumeUsd': {
+      const amount = Math.max(Math.ceil((gap / (prices.ETH || DEFAULT_PRICES.ETH)) * 100) / 100, MIN_BRIDGE_ETH);
+      return {
+        kind: STEP_KIND.BRIDGE,
+        chainId: chainId === 1 ? 42161 : 1,
+        toChainId: chainId,
+        count: 1,
+        amount,
+        summary: `1 bridge of ≥${amount} ETH`,
+      };
+    }
+
+    case 'lpDurationDays':
+      return {
+        kind: actual > 0 ? STEP_KIND.HOLD : STEP_KIND.ADD_LIQUIDITY,
+        chainId,
+        count: actual > 0 ? 0 : 1,
+        summary: `keep liquidity on ${where} for ${plural(count, 'more day')}`,
+      };
+
+    case 'holdingDays':
+      return {
+        kind: actual > 0 ? STEP_KIND.HOLD : STEP_KIND.SWAP,
+        chainId,
+        count: actual > 0 ? 0 : 1,
+        token: second,
+        summary: `hold ${second} for ${plural(count, 'more day')}`,
+      };
+
+    case 'walletAgeDays':
+      return { kind: STEP_KIND.WAIT, chainId, count: 0, summary: `wallet age: ${plural(count, 'more day')}` };
+
+    case 'actions':
+    case 'categories': {
+      const kind = METRIC_KINDS[second] || STEP_KIND.INTERACT;
+      return { kind, chainId, count, summary: `${plural(count, `more ${STEP_LABELS[kind] || second}`)} on ${where}` };
+    }
+
+    case 'protocols':
+      return { kind: STEP_KIND.INTERACT, chainId, count, summary: `${plural(count, `${second} interaction`)}` };
+
+    default:
+      return { kind: STEP_KIND.MANUAL, chainId, count: 0, summary: rule.description };
+  }
+}
+
+/**
+ * Router command that performs one occurrence of a step, or null
+ */
+function buildStepCommand(step, walletAddress, prices) {
+  const native = getNativeToken(step.chainId).symbol;
+
+  if (step.kind === STEP_KIND.SWAP && step.count > 0) {
+    const toToken = step.token
+      ? (getToken(step.token, step.chainId) ? step.token : null)
+      : ACTIVITY_STABLES.find(symbol => getToken(symbol, step.chainId));
+    const price = prices[native];
+    if (!toToken || !price) return null;
+
+    return {
+      type: 'SWAP',
+      chainId: step.chainId,
+      walletAddress,
+      params: {
+        fromToken: native,
+        toToken,
+        amount: String(parseFloat((ACTIVITY_SWAP_USD / price).toPrecision(2))),
+        slippage: 0.5,
+        dex: 'auto',
+      },
+    };
+  }
+
+  if (step.kind === STEP_KIND.BRIDGE && native === 'ETH' && step.toChainId !== step.chainId) {
+    return {
+      type: 'BRIDGE',
+      chainId: step.chainId,
+      walletAddress,
+      params: {
+        token: 'ETH',
+        amount: String(step.amount ?? MIN_BRIDGE_ETH),
+        toChainId: step.toChainId,
+        bridge: 'auto',
+      },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Estimate a step's gas cost from per-chain gas prices (gwei)
+ */
+function estimateCost(step, gasGwei, prices) {
+  const units = GAS_UNITS[step.kind] * step.count;
+  const native = getNativeToken(step.chainId).symbol;
+
+  if (units === 0) {
+    return { gasUnits: 0, costNative: 0, nativeSymbol: native, costUsd: 0 };
+  }
+
+  const gwei = gasGwei[step.chainId];
+  if (gwei == null) {
+    return { gasUnits: units, costNative: null, nativeSymbol: native, costUsd: null };
+  }
+
+  const costNative = (units * gwei) / 1e9;
+  const price = prices[native];
+  return {
+    gasUnits: units,
+    costNative: parseFloat(costNative.toPrecision(4)),
+    nativeSymbol: native,
+    costUsd: price ? Math.round(costNative * price * 100) / 100 : null,
+  };
+}
+
+function formatUsd(amount) {
+  if (amount === null) return 'gas cost unknown';
+  if (amount < 1) return '<$1 gas';
+  return `~$${Math.round(amount)} gas`;
+}
+
+/**
+ * Build a plan that closes a campaign's unmet rules
+ *
+ * options:
+ *   gasGwei        { [chainId]: gwei } used for cost estimates
+ *   prices         { [symbol]: usd } native token prices
+ *   walletAddress  wallet the queued commands run from (default 'primary')
+ *   goal           'eligible' (cheapest steps that reach passScore) or 'max'
+ *                  (every unmet rule)
+ */
+function analyzeGaps(campaign, profile, options = {}) {
+  const { gasGwei = {}, walletAddress = 'primary', goal = 'eligible' } = options;
+  const prices = { ...DEFAULT_PRICES, ...options.prices };
+
+  const evaluation = evaluateCampaign(campaign, profile);
+  const results = evaluation.details.rules || [];
+  const totalWeight = results.reduce((sum, r) => sum + r.weight, 0);
+
+  const candidates = results.filter(r => !r.passed).map(result => {
+    const rule = campaign.rules.find(r => r.id === result.id);
+    const step = describeStep(rule, result, campaign, profile, prices);
+    const cost = estimateCost(step, gasGwei, prices);
+
+    return {
+      ruleId: rule.id,
+      description: rule.description,
+      required: rule.required,
+      current: result.actual,
+      target: rule.value,
+      ...step,
+      ...cost,
+      scoreGain: totalWeight > 0 ? ((rule.weight - result.earned) / totalWeight) * 100 : 0,
+      command: buildStepCommand(step, walletAddress, prices),
+    };
+  });
+
+  // Required rules first, then the most score per dollar; manual steps last
+  const value = (step) => (step.kind === STEP_KIND.MANUAL ? -1 : step.scoreGain / ((step.costUsd ?? 0) + 0.01));
+  candidates.sort((a, b) => (b.required - a.required) || (value(b) - value(a)));
+
+  const rawScore = totalWeight > 0 ? (results.reduce((sum, r) => sum + r.earned, 0) / totalWeight) * 100 : 0;
+  let projected = rawScore;
+  const steps = [];
+
+  for (const step of candidates) {
+    const needed = step.required || projected < campaign.passScore;
+    if (goal === 'eligible' && !needed) continue;
+    steps.push(step);
+    if (step.kind !== STEP_KIND.MANUAL) projected += step.scoreGain;
+  }
+
+  const costs = steps.map(s => s.costUsd);
+  const totalCostUsd = costs.includes(null) ? null : Math.round(costs.reduce((sum, c) => sum + c, 0) * 100) / 100;
+  const projectedScore = Math.min(Math.round(projected), 100);
+  const blocked = steps.some(s => s.required && s.kind === STEP_KIND.MANUAL);
+
+  let summary;
+  if (campaign.rules.length === 0) {
+    summary = evaluation.details.message;
+  } else if (steps.length === 0) {
+    summary = `Already eligible for ${campaign.name}`;
+  } else {
+    summary = `${steps.map(s => s.summary).join(', ')}, ${formatUsd(totalCostUsd)}`;
+  }
+
+  return {
+    campaign: campaign.id,
+    name: campaign.name,
+    eligible: evaluation.eligible,
+    score: evaluation.score,
+    passScore: campaign.passScore,
+    projectedScore,
+    projectedEligible: campaign.rules.length > 0 && !blocked && projectedScore >= campaign.passScore,
+    steps: steps.map(({ scoreGain, ...step }) => ({ ...step, scoreGain: Math.round(scoreGain * 10) / 10 })),
+    totalCostUsd,
+    summary,
+    partial: profile.partial === true,
+  };
+}
+
+/**
+ * Current gas price (gwei) for each chain; chains that fail are left out
+ */
+async function fetchGasPrices(chainIds) {
+  const gasGwei = {};
+  for (const chainId of chainIds) {
+    try {
+      const gas = await getGasPrice(chainId);
+      const fee = gas.maxFeePerGas || gas.gasPrice;
+      if (fee) gasGwei[chainId] = parseFloat(ethers.utils.formatUnits(fee, 'gwei'));
+    } catch (error) {
+      logger.warn('Gas price unavailable for gap plan', { chainId, error: error.message });
+    }
+  }
+  return gasGwei;
+}
+
+/**
+ * Profile a wallet and plan the steps toward a campaign's criteria
+ */
+async function planCampaign(protocol, address, options = {}) {
+  const campaign = getCampaign(protocol);
+  if (!campaign) {
+    return null;
+  }
+
+  const profile = campaign.rules.length > 0
+    ? await getActivityProfiler().profile(address, { chains: campaign.chains })
+    : {};
+
+  // Bridges in a plan start from Ethereum (or Arbitrum for Ethereum-only campaigns)
+  const chainIds = [...new Set([...campaign.chains, 1, 42161])];
+  const gasGwei = options.gasGwei || await fetchGasPrices(chainIds);
+
+  return analyzeGaps(campaign, profile, { ...options, gasGwei });
+}
+
+module.exports = {
+  STEP_KIND,
+  GAS_UNITS,
+  analyzeGaps,
+  planCampaign,
+};
@@ -5,55 +5,18 @@
 
 const eligibility = require('./eligibility');
 const claim = require('./claim');
+const batch = require('./batch');
+const claimData = require('./claimData');
+const explorer = require('./explorer');
+const campaigns = require('./campaigns');
+const gaps = require('./gaps');
+const windows = require('./windows');
+const points = require('./points');
+const vesting = require('./vesting');
+const { campaignStatus, getClaimWindow } = require('./rules');
 const { getWallet, getAllWalletAddresses } = require('../../core/wallets');
 const logger = require('../../utils/logger');
 
-// Known airdrop protocols and their status
-const KNOWN_AIRDROPS = {
-  layerzero: {
-    name: 'LayerZero',
-    status: 'upcoming',
-    checkUrl: 'https://layerzero.network/',
-    criteria: ['Bridge transactions', 'Message passing', 'Multiple chains'],
-  },
-  zksync: {
-    name: 'zkSync',
-    status: 'claimable',
-    checkUrl: 'https://zksync.io/',
-    criteria: ['Bridge to zkSync', 'Transactions on zkSync Era', 'Liquidity provision'],
-  },
-  starknet: {
-    name: 'Starknet',
-    status: 'upcoming',
-    checkUrl: 'https://starknet.io/',
-    criteria: ['Bridge to Starknet', 'dApp usage', 'Early adoption'],
-  },
-  scroll: {
-    name: 'Scroll',
-    status: 'upcoming',
-    checkUrl: 'https://scroll.io/',
-    criteria: ['Bridge to Scroll', 'Testnet usage', 'dApp interaction'],
-  },
-  linea: {
-    name: 'Linea',
-    status: 'upcoming',
-    checkUrl: 'https://linea.build/',
-    criteria: ['Bridge usage', 'DeFi activity', 'NFT minting'],
-  },
-  eigenlayer: {
-    name: 'EigenLayer',
-    status: 'upcoming',
-    checkUrl: 'https://eigenlayer.xyz/',
-    criteria: ['ETH restaking', 'Early deposit'],
-  },
-  blast: {
-    name: 'Blast',
-    status: 'points',
-    checkUrl: 'https://blast.io/',
-    criteria: ['ETH/USDB deposits', 'Referrals', 'dApp usage'],
-  },
-};
-
 /**
  * Check eligibility for a specific protocol
  */
@@ -72,13 +35,13 @@ async function checkEligibility(params) {
 
   if (protocol) {
     // Check specific protocol
-    const protocolInfo = KNOWN_AIRDROPS[protocol.toLowerCase()];
+    const protocolInfo = campaigns.getCampaign(protocol);
     if (!protocolInfo) {
       return {
         success: true,
         protocol,
         eligible: null,
-        message: `Unknown protocol: ${protocol}. Try: ${Object.keys(KNOWN_AIRDROPS).join(', ')}`,
+        message: `Unknown protocol: ${protocol}. Try: ${campaigns.getCampaigns().map(c => c.id).join(', ')}`,
       };
     }
 
@@ -86,12 +49,13 @@ async function checkEligibility(params) {
     return {
       success: true,
       protocol: protocolInfo.name,
-      status: protocolInfo.status,
+      status: campaignStatus(protocolInfo),
       eligible: result.eligible,
       criteria: protocolInfo.criteria,
       score: result.score,
       details: result.details,
       checkUrl: protocolInfo.checkUrl,
+      claimWindow: getClaimWindow(protocolInfo),
     };
   }
 
@@ -115,20 +79,21 @@ async function checkEligibility(params) {
 async function checkAllProtocols(address) {
   const results = [];
 
-  for (const [key, info] of Object.entries(KNOWN_AIRDROPS)) {
+  for (const info of campaigns.getCampaigns()) {
     try {
-      const result = await eligibility.checkProtocol(key, address);
+      const result = await eligibility.checkProtocol(info.id, address);
       results.push({
         protocol: info.name,
-        status: info.status,
+        status: campaignStatus(info),
         eligible: result.eligible,
         score: result.score,
         criteria: info.criteria,
+        message: result.details?.message,
       });
     } catch (error) {
       results.push({
         protocol: info.name,
-        status: info.status,
+        status: campaignStatus(info),
         eligible: null,
         error: error.message,
       });
@@ -143,16 +108,16 @@ async function checkAllProtocols(address) {
  */
 function getSuggestions(protocol = null) {
   if (protocol) {
-    const info = KNOWN_AIRDROPS[protocol.toLowerCase()];
+    const info = campaigns.getCampaign(protocol);
     if (!info) {
       return null;
     }
 
     return {
       protocol: info.name,
-      status: info.status,
+      status: campaignStatus(info),
       criteria: info.criteria,
-      suggestions: generateSuggestions(protocol),
+      suggestions: info.suggestions,
     };
   }
 
@@ -165,54 +130,36 @@ function getSuggestions(protocol = null) {
       'Provide liquidity to DEXes',
       'Mint NFTs on emerging chains',
     ],
-    protocols: Object.entries(KNOWN_AIRDROPS).map(([key, info]) => ({
+    protocols: campaigns.getCampaigns().map(info => ({
       protocol: info.name,
-      status: info.status,
+      status: campaignStatus(info),
       topCriteria: info.criteria[0],
     })),
   };
 }
 
 /**
- * Generate specific suggestions for a protocol
+ * Plan the steps, with gas estimates, that close a wallet's gaps against a
+ * campaign's criteria
  */
-function generateSuggestions(protocol) {
-  const suggestions = {
-    layerzero: [
-      'Bridge tokens using Stargate Finance',
-      'Use LayerZero-powered bridges on multiple chains',
-      'Interact with omnichain NFTs',
-      'Use messaging protocols built on LayerZero',
-    ],
-    zksync: [
-      'Bridge ETH to zkSync Era',
-      'Trade on zkSync DEXes (SyncSwap, Mute)',
-      'Provide liquidity on zkSync',
-      'Mint NFTs on zkSync',
-    ],
-    starknet: [
-      'Bridge ETH to Starknet',
-      'Use Starknet dApps (JediSwap, mySwap)',
-      'Deploy contracts or interact with protocols',
-    ],
-    scroll: [
-      'Bridge to Scroll mainnet',
-      'Use Scroll DeFi applications',
-      'Regular transaction activity',
-    ],
-    eigenlayer: [
-      'Restake ETH through EigenLayer',
-      'Delegate to operators',
-      'Early participation matters',
-    ],
-    blast: [
-      'Deposit ETH or USDB',
-      'Invite friends for points',
-      'Use Blast dApps when available',
-    ],
-  };
+async function planEligibility(params) {
+  const { protocol, walletAddress = 'primary', goal } = params;
 
-  return suggestions[protocol.toLowerCase()] || [];
+  const wallet = getWallet(walletAddress);
+  if (!wallet) {
+    throw new Error(`Wallet not found: ${walletAddress}`);
+  }
+
+  const plan = await gaps.planCampaign(protocol, wallet.address, { walletAddress, goal });
+  if (!plan) {
+    return {
+      success: false,
+      protocol,
+      message: `Unknown protocol: ${protocol}. Try: ${campaigns.getCampaigns().map(c => c.id).join(', ')}`,
+    };
+  }
+
+  return { success: true, wallet: wallet.address, ...plan };
 }
 
 /**
@@ -223,17 +170,19 @@ async function claimAirdrop(params) {
 
   logger.info('Attempting to claim airdrop', { protocol, walletAddress });
 
-  // Check if protocol is claimable
-  const protocolInfo = KNOWN_AIRDROPS[protocol.toLowerCase()];
-  if (!protocolInfo) {
+  // Check if protocol is claimable (registered claim contracts count as claimable)
+  const protocolInfo = campaigns.getCampaign(protocol);
+  const claimConfig = claim.getClaimConfig(protocol);
+  if (!protocolInfo && !claimConfig) {
     throw new Error(`Unknown protocol: ${protocol}`);
   }
 
-  if (protocolInfo.status !== 'claimable') {
+  const status = protocolInfo && campaignStatus(protocolInfo);
+  if (protocolInfo && status !== 'claimable' && !claimConfig?.address) {
     return {
       success: false,
       protocol: protocolInfo.name,
-      message: `${protocolInfo.name} airdrop is not currently claimable. Status: ${protocolInfo.status}`,
+      message: `${protocolInfo.name} airdrop is not currently claimable. Status: ${status}`,
     };
   }
 
@@ -242,19 +191,133 @@ async function claimAirdrop(params) {
   return result;
 }
 
+/**
+ * Claim a protocol for every managed wallet, skipping wallets where gas
+ * exceeds the allocation, with optional delegate/swap/sweep follow-ups
+ */
+async function batchClaimAirdrop(params) {
+  const { protocol } = params;
+
+  const protocolInfo = campaigns.getCampaign(protocol);
+  if (!protocolInfo && !claim.getClaimConfig(protocol)) {
+    throw new Error(`Unknown protocol: ${protocol}`);
+  }
+
+  return batch.batchClaim(params);
+}
+
 /**
  * Get list of tracked airdrops
  */
 function getTrackedAirdrops() {
-  return Object.entries(KNOWN_AIRDROPS).map(([key, info]) => ({
-    id: key,
+  return campaigns.getCampaigns().map(info => ({
+    id: info.id,
     name: info.name,
-    status: info.status,
+    status: campaignStatus(info),
     criteria: info.criteria,
     checkUrl: info.checkUrl,
+    claimWindow: getClaimWindow(info),
   }));
 }
 
+/**
+ * Check open claim windows for every managed wallet and alert on
+ * newly claimable and soon-to-close allocations
+ */
+async function checkClaimWindows() {
+  return windows.getClaimWindowTracker().check();
+}
+
+/**
+ * Report a wallet's points and points-per-day trend from stored snapshots,
+ * for one protocol or every points campaign
+ */
+function getPoints(params = {}) {
+  const { protocol, walletAddress = 'primary', days } = params;
+
+  const wallet = getWallet(walletAddress);
+  if (!wallet) {
+    throw new Error(`Wallet not found: ${walletAddress}`);
+  }
+
+  const tracker = points.getPointsTracker();
+  let tracked = tracker.getTrackedCampaigns();
+  if (protocol) {
+    tracked = tracked.filter(c => c.id === protocol.toLowerCase());
+    if (tracked.length === 0) {
+      return {
+        success: false,
+        protocol,
+        message: `No points tracked for ${protocol}. Try: ${tracker.getTrackedCampaigns().map(c => c.id).join(', ')}`,
+      };
+    }
+  }
+
+  return {
+    success: true,
+    wallet: wallet.address,
+    protocols: tracked.map(campaign => ({
+      id: campaign.id,
+      protocol: campaign.name,
+      ...tracker.getTrend(campaign.id, wallet.address, { days }),
+    })),
+  };
+}
+
+/**
+ * Fetch and store today's points for every managed wallet
+ */
+async function snapshotPoints(params = {}) {
+  return points.getPointsTracker().snapshot({ protocol: params.protocol });
+}
+
+/**
+ * Report unlocked, locked and claimable amounts of tracked vesting
+ * allocations, optionally for one wallet or protocol
+ */
+async function getVesting(params = {}) {
+  const { protocol, walletAddress } = params;
+
+  let address = null;
+  if (walletAddress) {
+    const wallet = getWallet(walletAddress);
+    if (!wallet) {
+      throw new Error(`Wallet not found: ${walletAddress}`);
+    }
+    address = wallet.address;
+  }
+
+  const tracker = vesting.getVestingTracker();
+  const allocations = tracker.listAllocations({ wallet: address, protocol });
+
+  return {
+    success: true,
+    allocations: await Promise.all(allocations.map(a => tracker.getStatus(a))),
+  };
+}
+
+/**
+ * Start tracking an allocation that vests (claims made outside the bot,
+ * or schedules not declared in the campaign file)
+ */
+function recordVesting(params) {
+  const { walletAddress = 'primary', ...allocation } = params;
+
+  const wallet = allocation.wallet ? { address: allocation.wallet } : getWallet(walletAddress);
+  if (!wallet) {
+    throw new Error(`Wallet not found: ${walletAddress}`);
+  }
+
+  return vesting.getVestingTracker().recordAllocation({ ...allocation, wallet: wallet.address });
+}
+
+/**
+ * Notify on newly unlocked or claimable vested tokens
+ */
+async function checkVesting() {
+  return vesting.getVestingTracker().check();
+}
+
 /**
  * Check wallet activity score
  */
@@ -279,8 +342,26 @@ module.exports = {
   checkEligibility,
   checkAllProtocols,
   getSuggestions,
+  planEligibility,
   claimAirdrop,
+  batchClaimAirdrop,
+  CLAIM_RESULT: batch.CLAIM_RESULT,
+  registerClaimContract: claim.registerClaimContract,
+  registerClaimProvider: claimData.registerClaimProvider,
+  DISTRIBUTOR_TYPES: claimData.DISTRIBUTOR_TYPES,
   getTrackedAirdrops,
+  checkClaimWindows,
+  getPoints,
+  snapshotPoints,
+  registerPointsAdapter: points.registerPointsAdapter,
+  getVesting,
+  recordVesting,
+  checkVesting,
   getActivityScore,
-  KNOWN_AIRDROPS,
+  getCampaign: campaigns.getCampaign,
+  registerCampaign: campaigns.registerCampaign,
+  reloadCampaigns: campaigns.reloadCampaigns,
+  getClaimWindowTracker: windows.getClaimWindowTracker,
+  getPointsTracker: points.getPointsTracker,
+  getVestingTracker: vesting.getVestingTracker,
 };
@@ -0,0 +1,74 @@
+/**
+ * Merkle Tree
+ * Builds merkle trees and proofs compatible with the Uniswap
+ * MerkleDistributor family of contracts (sorted leaves, sorted-pair
+ * keccak256 hashing, odd nodes promoted to the next layer)
+ */
+
+const { ethers } = require('ethers');
+
+/**
+ * Hash two nodes in sorted order (matches OpenZeppelin MerkleProof)
+ */
+function hashPair(a, b) {
+  const [left, right] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+  return ethers.utils.keccak256(ethers.utils.concat([left, right]));
+}
+
+class MerkleTree {
+  constructor(leaves) {
+    if (!leaves || leaves.length === 0) {
+      throw new Error('Cannot build a merkle tree without leaves');
+    }
+
+    // Sort and dedupe so the root is independent of input order
+    const sorted = [...new Set(leaves.map(l => ethers.utils.hexlify(l).toLowerCase()))].sort();
+    this.layers = [sorted];
+
+    while (this.layers[this.layers.length - 1].length > 1) {
+      const layer = this.layers[this.layers.length - 1];
+      const next = [];
+      for (let i = 0; i < layer.length; i += 2) {
+        next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+      }
+      this.layers.push(next);
+    }
+  }
+
+  getRoot() {
+    return this.layers[this.layers.length - 1][0];
+  }
+
+  getProof(leaf) {
+    let index = this.layers[0].indexOf(leaf.toLowerCase());
+    if (index === -1) {
+      throw new Error('Leaf is not in the merkle tree');
+    }
+
+    const proof = [];
+    for (let i = 0; i < this.layers.length - 1; i++) {
+      const layer = this.layers[i];
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layer.length) {
+        proof.push(layer[sibling]);
+      }
+      index = Math.floor(index / 2);
+    }
+
+    return proof;
+  }
+}
+
+/**
+ * Verify a proof for a leaf against a root
+ */
+function verifyProof(leaf, proof, root) {
+  const computed = proof.reduce((node, sibling) => hashPair(node, sibling), leaf);
+  return computed.toLowerCase() === root.toLowerCase();
+}
+
+module.exports = {
+  MerkleTree,
+  hashPair,
+  verifyProof,
+};
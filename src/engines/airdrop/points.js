@@ -0,0 +1,353 @@
+/**
+ * Points Tracker
+ * Records daily points snapshots for points-based campaigns and reports
+ * points-per-day trends from the stored history
+ *
+ * A campaign opts in with a "points" block (see parsePoints); HttpPointsAdapter
+ * reads the balance from the JSON API it describes. APIs that need more than
+ * a URL and field paths get a code adapter via registerPointsAdapter, which
+ * takes precedence over the campaign block. Adapters implement
+ * getPoints(address) and resolve to { points, breakdown }.
+ *
+ * HTTP adapters fetch through a pluggable fetch function. createFixtureFetch
+ * answers from recorded responses keyed by URL; set
+ * AIRDROP_POINTS_FIXTURE_FILE to track points offline.
+ *
+ * One snapshot is kept per protocol, wallet and UTC day (a later fetch on the
+ * same day replaces it) and persisted to AIRDROP_POINTS_FILE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const campaigns = require('./campaigns');
+const { resolveMetric } = require('./rules');
+const { getAllWalletAddresses } = require('../../core/wallets');
+const logger = require('../../utils/logger');
+const { ExternalAPIError, ValidationError } = require('../../utils/errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TREND_DAYS = 7;
+
+/**
+ * Validate and normalize a campaign's "points" block, naming the JSON API a
+ * wallet's balance is read from; fields are dotted paths into the response:
+ *
+ *   "points": { "url": "https://api.example.xyz/points/{address}",
+ *               "fields": { "points": "data.points", "gold": "data.gold" } }
+ */
+function parsePoints(raw, campaignId) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ValidationError('points', `Campaign ${campaignId}: points must be an object`);
+  }
+  if (!raw.url || typeof raw.url !== 'string') {
+    throw new ValidationError('points.url', `Campaign ${campaignId}: points source needs a url`);
+  }
+
+  const fields = raw.fields || { points: 'points' };
+  if (typeof fields.points !== 'string') {
+    throw new ValidationError('points.fields', `Campaign ${campaignId}: points.fields must map "points" to a response path`);
+  }
+
+  return {
+    url: raw.url,
+    fields,
+    headers: raw.headers || {},
+  };
+}
+
+function toDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY);
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Reads points from a JSON API described by a campaign's points block
+ */
+class HttpPointsAdapter {
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new ValidationError('url', 'HTTP points adapter needs a url');
+    }
+    this.protocol = options.protocol || 'points';
+    this.url = options.url;
+    this.fields = options.fields || { points: 'points' };
+    this.headers = options.headers || {};
+    this.fetch = options.fetch || null;
+  }
+
+  async getPoints(address) {
+    const url = this.url.replace(/\{address\}/g, address);
+    const request = this.fetch || fetch;
+
+    const response = await request(url, { headers: { accept: 'application/json', ...this.headers } });
+    if (!response.ok) {
+      throw new ExternalAPIError(this.protocol, response.statusText || 'request failed', response.status);
+    }
+
+    return this.parse(await response.json());
+  }
+
+  parse(body) {
+    const points = toNumber(resolveMetric(body, this.fields.points));
+    if (points === null) {
+      throw new ExternalAPIError(this.protocol, `response has no points at "${this.fields.points}"`);
+    }
+
+    const breakdown = {};
+    for (const [name, field] of Object.entries(this.fields)) {
+      if (name === 'points') continue;
+      const value = toNumber(resolveMetric(body, field));
+      if (value !== null) breakdown[name] = value;
+    }
+
+    return { points, breakdown };
+  }
+}
+
+/**
+ * fetch() stand-in that serves recorded responses keyed by URL:
+ * { "https://api.example.xyz/points/0xabc...": { "points": 120 } }
+ *
+ * A recording may also be { status, body } to replay an error. Unknown URLs
+ * answer 404.
+ */
+function createFixtureFetch(options = {}) {
+  let recordings = options.data || null;
+
+  return async (url) => {
+    if (!recordings) {
+      if (!options.file) {
+        throw new ValidationError('file', 'Fixture fetch needs a file or data');
+      }
+      recordings = JSON.parse(await fs.promises.readFile(options.file, 'utf8'));
+    }
+
+    const recorded = recordings[url] ?? recordings[url.toLowerCase()];
+    if (recorded === undefined) {
+      return { ok: false, status: 404, statusText: 'No recording', json: async () => ({}) };
+    }
+
+    const replay = recorded && typeof recorded === 'object' && 'status' in recorded && 'body' in recorded;
+    const status = replay ? recorded.status : 200;
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: replay ? String(status) : 'OK',
+      json: async () => (replay ? recorded.body : recorded),
+    };
+  };
+}
+
+/**
+ * Daily snapshots by protocol then wallet, oldest first
+ */
+class PointsStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath ?? null;
+    this.snapshots = this.load();
+  }
+
+  /**
+   * Record a wallet's points for the snapshot's day, replacing any earlier
+   * snapshot from the same day
+   */
+  record(protocol, address, snapshot) {
+    const byWallet = this.snapshots[protocol] || (this.snapshots[protocol] = {});
+    const key = address.toLowerCase();
+    const history = (byWallet[key] || []).filter(s => s.date !== snapshot.date);
+
+    history.push(snapshot);
+    history.sort((a, b) => a.date.localeCompare(b.date));
+    byWallet[key] = history;
+    return snapshot;
+  }
+
+  getHistory(protocol, address, { since = null } = {}) {
+    const history = this.snapshots[protocol]?.[address.toLowerCase()] || [];
+    return since ? history.filter(s => s.date >= since) : [...history];
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return {};
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).snapshots || {};
+    } catch (error) {
+      logger.warn('Could not read points history, starting fresh', { error: error.message });
+      return {};
+    }
+  }
+
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ snapshots: this.snapshots }, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+}
+
+// Code adapters by protocol id
+const registeredAdapters = new Map();
+
+/**
+ * Register a code adapter for a protocol (replaces the campaign's points block)
+ */
+function registerPointsAdapter(protocol, adapter) {
+  if (!adapter || typeof adapter.getPoints !== 'function') {
+    throw new ValidationError('adapter', 'Points adapter must implement getPoints');
+  }
+  registeredAdapters.set(String(protocol).toLowerCase(), adapter);
+  return adapter;
+}
+
+class PointsTracker {
+  constructor(options = {}) {
+    const airdropConfig = config.airdrop || {};
+
+    this.store = options.store || new PointsStore({
+      filePath: options.filePath !== undefined ? options.filePath : airdropConfig.pointsFile,
+    });
+    this.fetch = options.fetch ||
+      (airdropConfig.pointsFixtureFile ? createFixtureFetch({ file: airdropConfig.pointsFixtureFile }) : null);
+    this.adapters = options.adapters || registeredAdapters;
+
+    // Wallets and campaigns default to the managed wallets and loaded campaign files
+    this.getWallets = options.getWallets || getAllWalletAddresses;
+    this.getCampaigns = options.getCampaigns || campaigns.getCampaigns;
+
+    this.httpAdapters = new Map();
+  }
+
+  /**
+   * Campaigns with a points source
+   */
+  getTrackedCampaigns() {
+    return this.getCampaigns().filter(c => c.points || this.adapters.has(c.id));
+  }
+
+  getAdapter(campaign) {
+    if (this.adapters.has(campaign.id)) {
+      return this.adapters.get(campaign.id);
+    }
+    if (!campaign.points) return null;
+
+    if (!this.httpAdapters.has(campaign.id)) {
+      this.httpAdapters.set(campaign.id, new HttpPointsAdapter({
+        protocol: campaign.name,
+        ...campaign.points,
+        fetch: this.fetch,
+      }));
+    }
+    return this.httpAdapters.get(campaign.id);
+  }
+
+  /**
+   * Fetch and store today's points for every managed wallet, for one
+   * protocol or every tracked campaign
+   */
+  async snapshot({ protocol = null, now = Date.now() } = {}) {
+    let tracked = this.getTrackedCampaigns();
+    if (protocol) {
+      tracked = tracked.filter(c => c.id === String(protocol).toLowerCase());
+      if (tracked.length === 0) {
+        throw new ValidationError('protocol', `No points source for protocol: ${protocol}`, protocol);
+      }
+    }
+
+    const date = toDay(now);
+    const recorded = [];
+    const failed = [];
+
+    for (const campaign of tracked) {
+      const adapter = this.getAdapter(campaign);
+      for (const wallet of this.getWallets()) {
+        try {
+          const { points, breakdown = {} } = await adapter.getPoints(wallet.address);
+          this.store.record(campaign.id, wallet.address, { date, points, breakdown, takenAt: now });
+          recorded.push({ protocol: campaign.id, wallet: wallet.address, points });
+        } catch (error) {
+          logger.warn('Points fetch failed', { protocol: campaign.id, wallet: wallet.address, error: error.message });
+          failed.push({ protocol: campaign.id, wallet: wallet.address, error: error.message });
+        }
+      }
+    }
+
+    this.store.save();
+    logger.info('Points snapshot taken', { date, recorded: recorded.length, failed: failed.length });
+
+    return { success: failed.length === 0 || recorded.length > 0, date, recorded, failed };
+  }
+
+  getHistory(protocol, address, { days = null, now = Date.now() } = {}) {
+    const since = days ? toDay(now - days * DAY) : null;
+    return this.store.getHistory(protocol, address, { since });
+  }
+
+  /**
+   * Latest points and the points-per-day rate over the last `days` days.
+   * The last snapshot before the window is the baseline, so a daily history
+   * covers the full window.
+   */
+  getTrend(protocol, address, { days = DEFAULT_TREND_DAYS, now = Date.now() } = {}) {
+    const history = this.store.getHistory(protocol, address);
+    if (history.length === 0) {
+      return { latest: null, date: null, pointsPerDay: null, change: null, days, history: [] };
+    }
+
+    const since = toDay(now - days * DAY);
+    const inWindow = history.filter(s => s.date >= since);
+    const before = history.filter(s => s.date < since);
+    const series = before.length > 0 ? [before[before.length - 1], ...inWindow] : inWindow;
+
+    const latest = history[history.length - 1];
+    const base = series[0];
+    const elapsed = base ? daysBetween(base.date, latest.date) : 0;
+    const change = base && elapsed > 0 ? latest.points - base.points : null;
+
+    return {
+      latest: latest.points,
+      date: latest.date,
+      breakdown: latest.breakdown || {},
+      pointsPerDay: change !== null ? change / elapsed : null,
+      change,
+      days,
+      history: series.map((s, i) => ({
+        date: s.date,
+        points: s.points,
+        delta: i > 0 ? s.points - series[i - 1].points : null,
+      })),
+    };
+  }
+}
+
+// Shared instance for the scheduler, router and local process
+let sharedTracker = null;
+
+function getPointsTracker(options = {}) {
+  if (!sharedTracker) {
+    sharedTracker = new PointsTracker(options);
+  }
+  return sharedTracker;
+}
+
+module.exports = {
+  HttpPointsAdapter,
+  PointsStore,
+  PointsTracker,
+  createFixtureFetch,
+  parsePoints,
+  registerPointsAdapter,
+  getPointsTracker,
+};
@@ -0,0 +1,313 @@
+/**
+ * Airdrop Criteria Rules
+ * Evaluates declarative campaign definitions against an activity profile
+ *
+ * A campaign is data (see ./campaigns/*.json):
+ *   {
+ *     "id": "zksync",
+ *     "name": "zkSync",
+ *     "status": "upcoming",
+ *     "chains": [324],
+ *     "passScore": 50,
+ *     "rules": [
+ *       { "id": "active", "metric": "chains.324.transactionCount", "op": "gte",
+ *         "value": 1, "weight": 20, "required": true },
+ *       { "id": "contracts", "metric": "chains.324.uniqueContracts",
+ *         "value": 10, "weight": 25, "partial": true }
+ *     ]
+ *   }
+ *
+ * metric is a dotted path into the profile built by ./activity (arrays
+ * compare by length, missing values count as 0). Each rule earns its weight
+ * when it passes; "partial" rules on gte/gt earn a share proportional to
+ * progress. The score is earned / total weight on a 0-100 scale, and a
+ * campaign is eligible when the score reaches passScore and every required
+ * rule passed.
+ *
+ * An optional "claim" block schedules the claim window; ./windows parses it.
+ * Once a window is set it drives the campaign's effective status (see
+ * campaignStatus). Claimed tokens that unlock over time add a "vesting"
+ * schedule to the claim block, parsed by ./vesting.
+ *
+ * An optional "points" block names the JSON API the points tracker reads a
+ * wallet's balance from; ./points parses it.
+ */
+
+const { ValidationError } = require('../../utils/errors');
+
+const OPERATORS = {
+  gte: { symbol: '>=', test: (actual, expected) => actual >= expected },
+  gt: { symbol: '>', test: (actual, expected) => actual > expected },
+  lte: { symbol: '<=', test: (actual, expected) => actual <= expected },
+  lt: { symbol: '<', test: (actual, expected) => actual < expected },
+  eq: { symbol: '=', test: (actual, expected) => actual === expected },
+  neq: { symbol: '!=', test: (actual, expected) => actual !== expected },
+};
+
+const CAMPAIGN_STATUS = ['upcoming', 'claimable', 'points', 'ended'];
+
+const DEFAULT_PASS_SCORE = 50;
+
+const CLAIM_PHASE = {
+  UNSCHEDULED: 'unscheduled',
+  PENDING: 'pending',
+  OPEN: 'open',
+  CLOSING: 'closing',
+  CLOSED: 'closed',
+};
+
+const DEFAULT_CLAIM_WARNING = 3 * 24 * 60 * 60 * 1000;
+
+/**
+ * Validate and normalize a campaign definition
+ */
+function parseCampaign(raw, source = 'campaign') {
+  if (!raw || typeof raw !== 'object') {
+    throw new ValidationError('campaign', `${source}: campaign must be an object`);
+  }
+  if (!raw.id || typeof raw.id !== 'string') {
+    throw new ValidationError('id', `${source}: campaign id is required`);
+  }
+
+  const id = raw.id.toLowerCase();
+  const status = raw.status || 'upcoming';
+  if (!CAMPAIGN_STATUS.includes(status)) {
+    throw new ValidationError('status', `Campaign ${id}: unknown status "${status}"`, status);
+  }
+  if (raw.rules !== undefined && !Array.isArray(raw.rules)) {
+    throw new ValidationError('rules', `Campaign ${id}: rules must be a list`);
+  }
+
+  const seen = new Set();
+  const rules = (raw.rules || []).map((rule, i) => {
+    const parsed = parseRule(rule, id, i);
+    if (seen.has(parsed.id)) {
+      throw new ValidationError('id', `Campaign ${id}: duplicate rule id ${parsed.id}`, parsed.id);
+    }
+    seen.add(parsed.id);
+    return parsed;
+  });
+
+  const passScore = raw.passScore ?? DEFAULT_PASS_SCORE;
+  if (typeof passScore !== 'number' || passScore < 0 || passScore > 100) {
+    throw new ValidationError('passScore', `Campaign ${id}: passScore must be between 0 and 100`, passScore);
+  }
+
+  return {
+    id,
+    name: raw.name || raw.id,
+    status,
+    checkUrl: raw.checkUrl || null,
+    chains: (raw.chains || []).map(Number),
+    passScore,
+    // Human-readable summary; defaults to the rule descriptions
+    criteria: raw.criteria || rules.map(r => r.description),
+    rules,
+    suggestions: raw.suggestions || [],
+    // Shown instead of a score when the campaign has no rules
+    message: raw.message || null,
+    // Required here: the block parsers' modules load the campaign registry
+    claim: require('./windows').parseClaim(raw.claim, id),
+    points: require('./points').parsePoints(raw.points, id),
+  };
+}
+
+/**
+ * Parse an ISO string or epoch ms into epoch ms (null when absent)
+ */
+function parseTime(value, field, campaignId) {
+  if (value === undefined || value === null) return null;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new ValidationError(field, `Campaign ${campaignId}: ${field} is not a valid date`, value);
+  }
+  return time;
+}
+
+function parseRule(raw, campaignId, position) {
+  const id = raw.id || `rule-${position + 1}`;
+  const op = raw.op || 'gte';
+
+  if (!raw.metric || typeof raw.metric !== 'string') {
+    throw new ValidationError('metric', `Campaign ${campaignId}, rule ${id}: metric is required`);
+  }
+  if (!OPERATORS[op]) {
+    throw new ValidationError('op', `Campaign ${campaignId}, rule ${id}: unknown operator "${op}"`, op);
+  }
+  if (raw.value === undefined) {
+    throw new ValidationError('value', `Campaign ${campaignId}, rule ${id}: value is required`);
+  }
+  const weight = raw.weight ?? 1;
+  if (typeof weight !== 'number' || weight < 0) {
+    throw new ValidationError('weight', `Campaign ${campaignId}, rule ${id}: weight must be a non-negative number`, weight);
+  }
+
+  return {
+    id,
+    description: raw.description || `${raw.metric} ${OPERATORS[op].symbol} ${raw.value}`,
+    metric: raw.metric,
+    op,
+    value: raw.value,
+    weight,
+    required: raw.required === true,
+    partial: raw.partial === true,
+  };
+}
+
+/**
+ * Read a dotted metric path from a profile
+ * Returns null when the path is absent (e.g. chains served by RPC fallback)
+ */
+function resolveMetric(profile, metric) {
+  let value = profile;
+  for (const key of metric.split('.')) {
+    if (value === null || value === undefined) return null;
+    value = value[key];
+  }
+  if (Array.isArray(value)) return value.length;
+  return value === undefined ? null : value;
+}
+
+/**
+ * Evaluate one rule against a profile
+ */
+function evaluateRule(rule, profile) {
+  const resolved = resolveMetric(profile, rule.metric);
+  const actual = resolved ?? 0;
+  const passed = OPERATORS[rule.op].test(actual, rule.value);
+
+  let earned = passed ? rule.weight : 0;
+  if (!passed && rule.partial && (rule.op === 'gte' || rule.op === 'gt') && rule.value > 0) {
+    earned = rule.weight * Math.max(0, Math.min(actual / rule.value, 1));
+  }
+
+  const symbol = OPERATORS[rule.op].symbol;
+  return {
+    id: rule.id,
+    description: rule.description,
+    metric: rule.metric,
+    op: rule.op,
+    expected: rule.value,
+    actual: resolved,
+    passed,
+    required: rule.required,
+    weight: rule.weight,
+    earned: Math.round(earned * 100) / 100,
+    reason: resolved === null
+      ? `${rule.metric} unavailable, needs ${symbol} ${rule.value}`
+      : `${rule.metric} is ${actual}, needs ${symbol} ${rule.value}`,
+  };
+}
+
+/**
+ * Evaluate a campaign against a profile
+ */
+function evaluateCampaign(campaign, profile) {
+  if (campaign.rules.length === 0) {
+    return {
+      eligible: null,
+      score: 0,
+      details: { message: campaign.message || 'No criteria defined for this campaign', rules: [] },
+    };
+  }
+
+  const rules = campaign.rules.map(rule => evaluateRule(rule, profile));
+  const totalWeight = rules.reduce((sum, r) => sum + r.weight, 0);
+  const earned = rules.reduce((sum, r) => sum + r.earned, 0);
+  const score = totalWeight > 0 ? Math.round((earned / totalWeight) * 100) : 0;
+
+  const passed = rules.filter(r => r.passed);
+  const failed = rules.filter(r => !r.passed);
+  const missingRequired = failed.filter(r => r.required);
+  const eligible = missingRequired.length === 0 && score >= campaign.passScore;
+
+  let message;
+  if (missingRequired.length > 0) {
+    message = `Required: ${missingRequired.map(r => r.description).join('; ')}`;
+  } else if (failed.length > 0) {
+    message = `${passed.length}/${rules.length} criteria met. Next: ${failed[0].description}`;
+  } else {
+    message = `All ${rules.length} criteria met`;
+  }
+
+  return {
+    eligible,
+    score,
+    details: {
+      message,
+      passed: passed.length,
+      failed: failed.length,
+      rules,
+      partial: profile.partial === true,
+    },
+  };
+}
+
+/**
+ * Where a campaign stands relative to its claim window
+ * CLOSING covers the last `warning` ms before the deadline.
+ * Returns null when the campaign has no claim block.
+ */
+function getClaimWindow(campaign, options = {}) {
+  const { claim } = campaign;
+  if (!claim) return null;
+
+  const { now = Date.now(), warning = DEFAULT_CLAIM_WARNING } = options;
+  const { start, end, snapshots } = claim;
+
+  let phase;
+  if (start === null && end === null) {
+    phase = CLAIM_PHASE.UNSCHEDULED;
+  } else if (start !== null && now < start) {
+    phase = CLAIM_PHASE.PENDING;
+  } else if (end !== null && now >= end) {
+    phase = CLAIM_PHASE.CLOSED;
+  } else if (end !== null && end - now <= warning) {
+    phase = CLAIM_PHASE.CLOSING;
+  } else {
+    phase = CLAIM_PHASE.OPEN;
+  }
+
+  return {
+    phase,
+    start,
+    end,
+    snapshots,
+    nextSnapshot: snapshots.find(time => time > now) ?? null,
+    opensIn: start !== null && now < start ? start - now : null,
+    closesIn: end !== null && now < end ? end - now : null,
+  };
+}
+
+/**
+ * Effective status: a scheduled claim window overrides the declared status
+ */
+function campaignStatus(campaign, now = Date.now()) {
+  const window = getClaimWindow(campaign, { now });
+  if (!window) return campaign.status;
+
+  switch (window.phase) {
+    case CLAIM_PHASE.PENDING:
+      return campaign.status === 'points' ? 'points' : 'upcoming';
+    case CLAIM_PHASE.OPEN:
+    case CLAIM_PHASE.CLOSING:
+      return 'claimable';
+    case CLAIM_PHASE.CLOSED:
+      return 'ended';
+    default:
+      return campaign.status;
+  }
+}
+
+module.exports = {
+  OPERATORS,
+  CAMPAIGN_STATUS,
+  CLAIM_PHASE,
+  parseCampaign,
+  parseTime,
+  getClaimWindow,
+  campaignStatus,
+  resolveMetric,
+  evaluateRule,
+  evaluateCampaign,
+};
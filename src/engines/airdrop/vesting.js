@@ -0,0 +1,520 @@
+/**
+ * Vesting Tracker
+ * Follows claimed allocations that unlock over time and notifies when new
+ * tokens unlock or become claimable
+ *
+ * Allocations are recorded after a successful claim whose campaign declares a
+ * vesting schedule (see parseVesting), or by hand with recordAllocation. Unlocks
+ * follow the schedule: linear (optionally behind a cliff), a single cliff, or
+ * percentage tranches. When a vesting contract holds the locked tokens its
+ * released and releasable amounts are read on-chain and take precedence over
+ * the schedule, which still supplies the next unlock date.
+ *
+ * A notification goes out once the unlocked (or, with a contract, claimable)
+ * amount has grown by AIRDROP_VESTING_NOTIFY_PERCENT of the allocation since
+ * the last one, and when the allocation is fully unlocked. Allocations and
+ * what was last notified persist to AIRDROP_VESTING_FILE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+const config = require('../../config');
+const campaigns = require('./campaigns');
+const { parseTime } = require('./rules');
+const { getProvider } = require('../../core/providers');
+const notifications = require('../../services/notifications');
+const logger = require('../../utils/logger');
+const { ValidationError } = require('../../utils/errors');
+
+const VESTING_TYPES = {
+  LINEAR: 'linear',
+  CLIFF: 'cliff',
+  TRANCHES: 'tranches',
+};
+
+const VESTING_EVENT = {
+  UNLOCKED: 'unlocked',
+  CLAIMABLE: 'claimable',
+};
+
+// Supported vesting contract families and how to read an allocation's state
+const VESTING_CONTRACT_TYPES = {
+  VESTING_WALLET: 'vestingWallet', // OpenZeppelin VestingWallet: one contract per beneficiary
+  CLAIMABLE: 'claimable', // Shared vester: claimable(account) / claimed(account)
+};
+
+const VESTING_CONTRACTS = {
+  [VESTING_CONTRACT_TYPES.VESTING_WALLET]: {
+    abi: [
+      'function released(address token) view returns (uint256)',
+      'function releasable(address token) view returns (uint256)',
+    ],
+    read: async (contract, allocation) => ({
+      released: await contract.released(allocation.token.address),
+      releasable: await contract.releasable(allocation.token.address),
+    }),
+  },
+  [VESTING_CONTRACT_TYPES.CLAIMABLE]: {
+    abi: [
+      'function claimed(address account) view returns (uint256)',
+      'function claimable(address account) view returns (uint256)',
+    ],
+    read: async (contract, allocation) => ({
+      released: await contract.claimed(allocation.wallet),
+      releasable: await contract.claimable(allocation.wallet),
+    }),
+  },
+};
+
+const HOUR = 60 * 60 * 1000;
+
+const { Zero } = ethers.constants;
+
+/**
+ * Validate and normalize the "vesting" schedule of a campaign's claim block
+ * (times become epoch ms)
+ *
+ *   "vesting": { "type": "linear", "start": "...", "end": "...", "cliff": "..." }
+ *   "vesting": { "type": "cliff", "at": "..." }
+ *   "vesting": { "type": "tranches", "tranches": [{ "at": "...", "percent": 25 }] }
+ *
+ * plus an optional "contract": { "address", "chainId", "type" } when a vesting
+ * contract holds the locked tokens.
+ */
+function parseVesting(raw, campaignId) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ValidationError('vesting', `Campaign ${campaignId}: vesting must be an object`);
+  }
+
+  const type = raw.type;
+  let schedule;
+
+  if (type === VESTING_TYPES.LINEAR) {
+    const start = parseTime(raw.start, 'vesting.start', campaignId);
+    const end = parseTime(raw.end, 'vesting.end', campaignId);
+    if (start === null || end === null || end <= start) {
+      throw new ValidationError('vesting.end', `Campaign ${campaignId}: linear vesting needs a start before its end`);
+    }
+    const cliff = parseTime(raw.cliff, 'vesting.cliff', campaignId);
+    if (cliff !== null && (cliff < start || cliff > end)) {
+      throw new ValidationError('vesting.cliff', `Campaign ${campaignId}: vesting cliff must fall between start and end`, raw.cliff);
+    }
+    schedule = { type, start, end, cliff };
+  } else if (type === VESTING_TYPES.CLIFF) {
+    const at = parseTime(raw.at, 'vesting.at', campaignId);
+    if (at === null) {
+      throw new ValidationError('vesting.at', `Campaign ${campaignId}: cliff vesting needs an unlock time`);
+    }
+    schedule = { type, at };
+  } else if (type === VESTING_TYPES.TRANCHES) {
+    if (!Array.isArray(raw.tranches) || raw.tranches.length === 0) {
+      throw new ValidationError('vesting.tranches', `Campaign ${campaignId}: tranche vesting needs a list of tranches`);
+    }
+    const tranches = raw.tranches
+      .map(tranche => {
+        const percent = Number(tranche.percent);
+        if (!(percent > 0)) {
+          throw new ValidationError('vesting.tranches', `Campaign ${campaignId}: each tranche needs a positive percent`, tranche.percent);
+        }
+        return { at: parseTime(tranche.at, 'vesting.tranches', campaignId), percent };
+      })
+      .sort((a, b) => a.at - b.at);
+    if (tranches.some(t => t.at === null)) {
+      throw new ValidationError('vesting.tranches', `Campaign ${campaignId}: each tranche needs an unlock time`);
+    }
+    const total = tranches.reduce((sum, t) => sum + t.percent, 0);
+    if (total > 100.000001) {
+      throw new ValidationError('vesting.tranches', `Campaign ${campaignId}: tranches add up to more than 100%`, total);
+    }
+    schedule = { type, tranches };
+  } else {
+    throw new ValidationError('vesting.type', `Campaign ${campaignId}: unknown vesting type "${type}"`, type);
+  }
+
+  if (raw.contract) {
+    const { address, chainId } = raw.contract;
+    if (!chainId || !ethers.utils.isAddress(address || '')) {
+      throw new ValidationError('vesting.contract', `Campaign ${campaignId}: vesting contract needs an address and chainId`);
+    }
+    schedule.contract = { ...raw.contract, chainId: Number(chainId) };
+  }
+
+  return schedule;
+}
+
+/**
+ * Amount of `total` the schedule has unlocked at `now`
+ */
+function unlockedAmount(total, schedule, now = Date.now()) {
+  switch (schedule.type) {
+    case VESTING_TYPES.LINEAR: {
+      if (now < (schedule.cliff ?? schedule.start)) return Zero;
+      if (now >= schedule.end) return total;
+      return total.mul(now - schedule.start).div(schedule.end - schedule.start);
+    }
+    case VESTING_TYPES.CLIFF:
+      return now >= schedule.at ? total : Zero;
+    case VESTING_TYPES.TRANCHES: {
+      // Basis points keep fractional percents exact
+      const bps = schedule.tranches
+        .filter(t => now >= t.at)
+        .reduce((sum, t) => sum + Math.round(t.percent * 100), 0);
+      return total.mul(Math.min(bps, 10000)).div(10000);
+    }
+    default:
+      return Zero;
+  }
+}
+
+/**
+ * Time of the next discrete unlock after `now`, or null once nothing is left
+ * to wait for (linear vesting unlocks continuously after its cliff)
+ */
+function nextUnlock(schedule, now = Date.now()) {
+  switch (schedule.type) {
+    case VESTING_TYPES.LINEAR: {
+      const first = schedule.cliff ?? schedule.start;
+      if (now < first) return first;
+      return now < schedule.end ? schedule.end : null;
+    }
+    case VESTING_TYPES.CLIFF:
+      return now < schedule.at ? schedule.at : null;
+    case VESTING_TYPES.TRANCHES:
+      return schedule.tranches.find(t => t.at > now)?.at ?? null;
+    default:
+      return null;
+  }
+}
+
+class VestingTracker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    const airdropConfig = config.airdrop || {};
+    this.filePath = options.filePath !== undefined ? options.filePath : airdropConfig.vestingFile;
+    this.interval = options.interval ?? airdropConfig.vestingCheckInterval ?? 6 * HOUR;
+    this.notifyStep = options.notifyStep ?? airdropConfig.vestingNotifyStep ?? 5;
+
+    // Unlock alerts go out through the notification service by default
+    this.notify = options.notify || notifications.notifyVesting;
+    this.getProvider = options.getProvider || getProvider;
+
+    this.allocations = this.load();
+    this.timer = null;
+    this.checking = false;
+  }
+
+  // ============ Allocations ============
+
+  /**
+   * Start tracking an allocation
+   * @param {Object} params - { protocol, wallet, amount (base units), schedule,
+   *   token: { address, symbol, decimals }, chainId, txHash, claimedAt }
+   */
+  recordAllocation(params) {
+    const { protocol, wallet, amount, token = {}, txHash = null } = params;
+    if (!protocol || !wallet) {
+      throw new ValidationError('allocation', 'Vesting allocation needs a protocol and wallet');
+    }
+    if (!ethers.utils.isAddress(wallet)) {
+      throw new ValidationError('wallet', 'Invalid wallet address', wallet);
+    }
+
+    const total = ethers.BigNumber.from(amount);
+    if (total.lte(0)) {
+      throw new ValidationError('amount', 'Vesting allocation amount must be positive', amount);
+    }
+
+    const schedule = parseVesting(params.schedule, protocol);
+    if (!schedule) {
+      throw new ValidationError('schedule', 'Vesting allocation needs a schedule');
+    }
+    if (schedule.contract) {
+      const type = schedule.contract.type || VESTING_CONTRACT_TYPES.CLAIMABLE;
+      if (!VESTING_CONTRACTS[type]) {
+        throw new ValidationError('schedule.contract.type', `Unknown vesting contract type: ${type}`, type);
+      }
+      if (type === VESTING_CONTRACT_TYPES.VESTING_WALLET && !token.address) {
+        throw new ValidationError('token.address', 'VestingWallet allocations need the token address');
+      }
+      schedule.contract.type = type;
+    }
+
+    const claimedAt = params.claimedAt ?? Date.now();
+    const allocation = {
+      id: `${protocol.toLowerCase()}:${wallet.toLowerCase()}:${txHash || claimedAt}`,
+      protocol: protocol.toLowerCase(),
+      wallet: wallet.toLowerCase(),
+      chainId: params.chainId ?? schedule.contract?.chainId ?? null,
+      token: {
+        address: token.address || null,
+        symbol: token.symbol || 'tokens',
+        decimals: token.decimals ?? 18,
+      },
+      total: total.toString(),
+      schedule,
+      txHash,
+      claimedAt,
+      notified: { unlocked: '0', claimable: '0' },
+    };
+
+    this.allocations.set(allocation.id, allocation);
+    this.save();
+    logger.info('Tracking vesting allocation', { id: allocation.id, type: schedule.type });
+
+    return allocation;
+  }
+
+  /**
+   * Record a claim whose campaign (or claim config) declares a vesting
+   * schedule; returns null when the tokens do not vest
+   */
+  recordClaim(protocol, wallet, claimConfig, claimData, txHash) {
+    const schedule = claimConfig?.vesting || campaigns.getCampaign(protocol)?.claim?.vesting;
+    if (!schedule) return null;
+
+    return this.recordAllocation({
+      protocol,
+      wallet,
+      amount: claimData.claimable ?? claimData.amount,
+      schedule,
+      chainId: claimConfig.chainId,
+      token: {
+        address: claimConfig.token || null,
+        symbol: claimConfig.symbol,
+        decimals: claimConfig.decimals,
+      },
+      txHash,
+    });
+  }
+
+  getAllocation(id) {
+    return this.allocations.get(id) || null;
+  }
+
+  listAllocations({ wallet = null, protocol = null } = {}) {
+    return [...this.allocations.values()].filter(a =>
+      (!wallet || a.wallet === wallet.toLowerCase()) &&
+      (!protocol || a.protocol === protocol.toLowerCase())
+    );
+  }
+
+  removeAllocation(id) {
+    const removed = this.allocations.delete(id);
+    if (removed) this.save();
+    return removed;
+  }
+
+  // ============ State ============
+
+  /**
+   * Unlocked, released and claimable amounts (BigNumber) for an allocation
+   */
+  async evaluate(allocation, now = Date.now()) {
+    const total = ethers.BigNumber.from(allocation.total);
+    const state = {
+      total,
+      unlocked: unlockedAmount(total, allocation.schedule, now),
+      released: null,
+      claimable: Zero,
+      source: 'schedule',
+    };
+
+    const contractConfig = allocation.schedule.contract;
+    if (contractConfig) {
+      try {
+        const vesting = VESTING_CONTRACTS[contractConfig.type];
+        const contract = new ethers.Contract(
+          contractConfig.address,
+          vesting.abi,
+          this.getProvider(contractConfig.chainId)
+        );
+        const { released, releasable } = await vesting.read(contract, allocation);
+        state.released = released;
+        state.claimable = releasable;
+        state.unlocked = released.add(releasable);
+        state.source = 'contract';
+      } catch (error) {
+        logger.warn('Vesting contract read failed, using schedule', { id: allocation.id, error: error.message });
+      }
+    }
+
+    if (state.unlocked.gt(total)) state.unlocked = total;
+    return state;
+  }
+
+  /**
+   * Human-readable status of an allocation
+   */
+  async getStatus(allocation, now = Date.now()) {
+    const state = await this.evaluate(allocation, now);
+    const format = (value) => value === null ? null : ethers.utils.formatUnits(value, allocation.token.decimals);
+    const next = nextUnlock(allocation.schedule, now);
+
+    return {
+      id: allocation.id,
+      protocol: allocation.protocol,
+      wallet: allocation.wallet,
+      symbol: allocation.token.symbol,
+      type: allocation.schedule.type,
+      total: format(state.total),
+      unlocked: format(state.unlocked),
+      locked: format(state.total.sub(state.unlocked)),
+      released: format(state.released),
+      claimable: format(state.claimable),
+      percentUnlocked: state.unlocked.mul(10000).div(state.total).toNumber() / 100,
+      nextUnlock: next !== null ? new Date(next).toISOString() : null,
+      source: state.source,
+    };
+  }
+
+  // ============ Notifications ============
+
+  /**
+   * Check every allocation and notify on newly unlocked or claimable tokens.
+   * Returns the events raised on this pass.
+   */
+  async check(now = Date.now()) {
+    if (this.checking) return [];
+    this.checking = true;
+
+    const raised = [];
+    try {
+      for (const allocation of this.allocations.values()) {
+        const event = await this.checkAllocation(allocation, now);
+        if (event) raised.push(event);
+      }
+    } finally {
+      this.checking = false;
+      this.save();
+    }
+
+    if (raised.length > 0) {
+      logger.info('Vesting notifications raised', { count: raised.length });
+    }
+    return raised;
+  }
+
+  async checkAllocation(allocation, now) {
+    const state = await this.evaluate(allocation, now);
+
+    // Contract-held tokens are worth a notice once claimable; schedule-only
+    // tokens once unlocked
+    const event = state.source === 'contract' ? VESTING_EVENT.CLAIMABLE : VESTING_EVENT.UNLOCKED;
+    const current = event === VESTING_EVENT.CLAIMABLE ? state.claimable : state.unlocked;
+    const last = ethers.BigNumber.from(allocation.notified[event]);
+
+    // Claimable drops back once tokens are released; follow it down
+    if (current.lt(last)) {
+      allocation.notified[event] = current.toString();
+      return null;
+    }
+    if (!this.hasGrown(current, last, state.total, state.unlocked)) {
+      return null;
+    }
+
+    const decimals = allocation.token.decimals;
+    const next = nextUnlock(allocation.schedule, now);
+    const notice = {
+      event,
+      id: allocation.id,
+      protocol: allocation.protocol,
+      wallet: allocation.wallet,
+      symbol: allocation.token.symbol,
+      amount: ethers.utils.formatUnits(current.sub(last), decimals),
+      claimable: ethers.utils.formatUnits(state.claimable, decimals),
+      unlocked: ethers.utils.formatUnits(state.unlocked, decimals),
+      total: ethers.utils.formatUnits(state.total, decimals),
+      nextUnlock: next !== null ? new Date(next).toISOString() : null,
+    };
+
+    try {
+      await this.notify(notice);
+    } catch (error) {
+      // Retried on the next pass
+      logger.warn('Vesting notification failed', { id: allocation.id, error: error.message });
+      return null;
+    }
+
+    allocation.notified[event] = current.toString();
+    this.emit(`vesting:${event}`, notice);
+    return notice;
+  }
+
+  hasGrown(current, last, total, unlocked) {
+    if (current.lte(last)) return false;
+    // Always report the final unlock
+    if (unlocked.eq(total)) return true;
+    const stepBps = Math.round(this.notifyStep * 100);
+    return current.sub(last).mul(10000).gte(total.mul(stepBps));
+  }
+
+  /**
+   * Poll on the configured interval
+   */
+  start() {
+    if (this.timer) return;
+
+    logger.info('Vesting tracker started', { interval: this.interval });
+    const run = () => this.check().catch(error => {
+      logger.error('Vesting check failed', { error: error.message });
+    });
+    run();
+    this.timer = setInterval(run, this.interval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Vesting tracker stopped');
+    }
+  }
+
+  // ============ Persistence ============
+
+  load() {
+    const allocations = new Map();
+    if (!this.filePath || !fs.existsSync(this.filePath)) return allocations;
+    try {
+      for (const allocation of JSON.parse(fs.readFileSync(this.filePath, 'utf8')).allocations || []) {
+        allocations.set(allocation.id, allocation);
+      }
+    } catch (error) {
+      logger.warn('Could not read vesting allocations, starting fresh', { error: error.message });
+    }
+    return allocations;
+  }
+
+  save() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ allocations: [...this.allocations.values()] }, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+}
+
+// Shared instance for the claim handler, scheduler and local process
+let sharedTracker = null;
+
+function getVestingTracker(options = {}) {
+  if (!sharedTracker) {
+    sharedTracker = new VestingTracker(options);
+  }
+  return sharedTracker;
+}
+
+module.exports = {
+  VESTING_TYPES,
+  VESTING_EVENT,
+  VESTING_CONTRACT_TYPES,
+  VestingTracker,
+  unlockedAmount,
+  nextUnlock,
+  parseVesting,
+  getVestingTracker,
+};
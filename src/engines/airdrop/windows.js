@@ -0,0 +1,248 @@
+/**
+ * Claim Window Tracker
+ * Polls claimability for every managed wallet while campaign claim windows
+ * are open and raises alerts so claims are not missed
+ *
+ * Each wallet gets one alert when it is first seen claimable in an open window
+ * and one more once the deadline is inside the warning period. Wallets that
+ * have already claimed drop out because checkClaimable stops reporting them.
+ * Sent alerts are recorded per campaign, wallet and event; set
+ * AIRDROP_CLAIM_STATE_FILE to keep that record across restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+const config = require('../../config');
+const campaigns = require('./campaigns');
+const claim = require('./claim');
+const { CLAIM_PHASE, getClaimWindow, parseTime } = require('./rules');
+const { parseVesting } = require('./vesting');
+const { getAllWalletAddresses } = require('../../core/wallets');
+const { AlertSystem } = require('../../monitoring/alerts');
+const notifications = require('../../services/notifications');
+const logger = require('../../utils/logger');
+const { ValidationError } = require('../../utils/errors');
+
+const CLAIM_EVENT = {
+  OPEN: 'open',
+  CLOSING: 'closing',
+};
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Validate and normalize a campaign's "claim" block (times become epoch ms)
+ *
+ *   "claim": { "start": "2024-06-17T07:00:00Z", "end": "2025-06-03T00:00:00Z",
+ *              "snapshots": ["2024-03-24T00:00:00Z"],
+ *              "contract": { "address": "0x...", "chainId": 324, "type": "address",
+ *                            "symbol": "ZK", "decimals": 18 } }
+ *
+ * Times are ISO strings or epoch milliseconds. A "vesting" schedule inside
+ * the block is parsed by parseVesting.
+ */
+function parseClaim(raw, campaignId) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ValidationError('claim', `Campaign ${campaignId}: claim must be an object`);
+  }
+
+  const start = parseTime(raw.start, 'claim.start', campaignId);
+  const end = parseTime(raw.end, 'claim.end', campaignId);
+  if (start !== null && end !== null && end <= start) {
+    throw new ValidationError('claim.end', `Campaign ${campaignId}: claim.end must be after claim.start`, raw.end);
+  }
+  if (raw.snapshots !== undefined && !Array.isArray(raw.snapshots)) {
+    throw new ValidationError('claim.snapshots', `Campaign ${campaignId}: claim.snapshots must be a list`);
+  }
+
+  let contract = null;
+  if (raw.contract) {
+    const { address = null, chainId } = raw.contract;
+    if (!chainId) {
+      throw new ValidationError('claim.contract.chainId', `Campaign ${campaignId}: claim contract needs a chainId`);
+    }
+    if (address !== null && !ethers.utils.isAddress(address)) {
+      throw new ValidationError('claim.contract.address', `Campaign ${campaignId}: invalid claim contract address`, address);
+    }
+    contract = { ...raw.contract, address, chainId: Number(chainId) };
+  }
+
+  return {
+    start,
+    end,
+    snapshots: (raw.snapshots || [])
+      .map(value => parseTime(value, 'claim.snapshots', campaignId))
+      .sort((a, b) => a - b),
+    contract,
+    vesting: parseVesting(raw.vesting, campaignId),
+  };
+}
+
+class ClaimWindowTracker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.alertSystem = options.alertSystem ||
+      new AlertSystem({ logger, notificationService: notifications });
+    this.warningPeriod = options.warningPeriod ?? config.airdrop?.claimWarning;
+    this.interval = options.interval ?? config.airdrop?.claimCheckInterval ?? HOUR;
+    this.statePath = options.statePath ?? config.airdrop?.claimStateFile ?? null;
+
+    // Claim checks, wallets and campaigns default to the airdrop engine's own
+    this.checkClaimable = options.checkClaimable || claim.checkClaimable;
+    this.getWallets = options.getWallets || getAllWalletAddresses;
+    this.getCampaigns = options.getCampaigns || campaigns.getCampaigns;
+
+    this.sent = this.loadState();
+    this.timer = null;
+    this.checking = false;
+  }
+
+  /**
+   * Check every campaign with an open claim window.
+   * Returns the alerts raised on this pass.
+   */
+  async check(now = Date.now()) {
+    if (this.checking) return [];
+    this.checking = true;
+
+    const raised = [];
+    try {
+      for (const campaign of this.getCampaigns()) {
+        const window = getClaimWindow(campaign, { now, warning: this.warningPeriod });
+        if (!window || (window.phase !== CLAIM_PHASE.OPEN && window.phase !== CLAIM_PHASE.CLOSING)) {
+          continue;
+        }
+
+        const event = window.phase === CLAIM_PHASE.CLOSING ? CLAIM_EVENT.CLOSING : CLAIM_EVENT.OPEN;
+        for (const wallet of this.getWallets()) {
+          const alert = await this.checkWallet(campaign, window, wallet, event, now);
+          if (alert) raised.push(alert);
+        }
+      }
+    } finally {
+      this.checking = false;
+      this.saveState();
+    }
+
+    if (raised.length > 0) {
+      logger.info('Claim window alerts raised', { count: raised.length });
+    }
+    return raised;
+  }
+
+  async checkWallet(campaign, window, wallet, event, now) {
+    const key = stateKey(campaign.id, wallet.address, event);
+    if (this.sent.has(key)) return null;
+
+    let result;
+    try {
+      result = await this.checkClaimable(campaign.id, wallet.address);
+    } catch (error) {
+      logger.warn('Claimability check failed', { protocol: campaign.id, wallet: wallet.address, error: error.message });
+      return null;
+    }
+    if (!result?.claimable) return null;
+
+    const data = {
+      alias: wallet.alias,
+      checkUrl: campaign.checkUrl,
+      claimEnd: window.end !== null ? new Date(window.end).toISOString() : null,
+    };
+
+    let outcome;
+    let hoursLeft = null;
+    if (event === CLAIM_EVENT.CLOSING) {
+      hoursLeft = Math.max(1, Math.floor((window.end - now) / HOUR));
+      outcome = await this.alertSystem.alertClaimWindowClosing(campaign.name, wallet.address, result.amount, hoursLeft, data);
+    } else {
+      outcome = await this.alertSystem.alertClaimWindowOpen(campaign.name, wallet.address, result.amount, data);
+    }
+
+    // Rate-limited alerts are retried on the next pass
+    if (outcome?.sent === false && outcome.reason === 'rate_limited') return null;
+
+    this.sent.add(key);
+    if (event === CLAIM_EVENT.CLOSING) {
+      // A wallet first seen in the warning period does not need the opening alert
+      this.sent.add(stateKey(campaign.id, wallet.address, CLAIM_EVENT.OPEN));
+    }
+
+    const alert = {
+      protocol: campaign.id,
+      event,
+      wallet: wallet.address,
+      amount: result.amount,
+      hoursLeft,
+      claimEnd: data.claimEnd,
+    };
+    this.emit(`claim:${event}`, alert);
+    return alert;
+  }
+
+  /**
+   * Poll on the configured interval
+   */
+  start() {
+    if (this.timer) return;
+
+    logger.info('Claim window tracker started', { interval: this.interval });
+    const run = () => this.check().catch(error => {
+      logger.error('Claim window check failed', { error: error.message });
+    });
+    run();
+    this.timer = setInterval(run, this.interval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Claim window tracker stopped');
+    }
+  }
+
+  // ============ Persistence ============
+
+  loadState() {
+    if (!this.statePath || !fs.existsSync(this.statePath)) return new Set();
+    try {
+      return new Set(JSON.parse(fs.readFileSync(this.statePath, 'utf8')).sent || []);
+    } catch (error) {
+      logger.warn('Could not read claim alert state, starting fresh', { error: error.message });
+      return new Set();
+    }
+  }
+
+  saveState() {
+    if (!this.statePath) return;
+    fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+    const tmp = `${this.statePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ sent: [...this.sent] }, null, 2));
+    fs.renameSync(tmp, this.statePath);
+  }
+}
+
+function stateKey(protocol, address, event) {
+  return `${protocol}:${address.toLowerCase()}:${event}`;
+}
+
+// Shared instance for the scheduled function and the local process
+let sharedTracker = null;
+
+function getClaimWindowTracker(options = {}) {
+  if (!sharedTracker) {
+    sharedTracker = new ClaimWindowTracker(options);
+  }
+  return sharedTracker;
+}
+
+module.exports = {
+  CLAIM_EVENT,
+  ClaimWindowTracker,
+  parseClaim,
+  getClaimWindowTracker,
+};
@@ -0,0 +1,156 @@
+/**
+ * Across Bridge Adapter
+ * Intent-based bridging through Across SpokePools: a relayer fills on the
+ * destination chain within minutes and is repaid from the origin deposit
+ *
+ * Quotes and fill status come from the public Across API. Native ETH is
+ * deposited as WETH with msg.value and arrives as ETH (WETH where ETH is
+ * not the gas token).
+ */
+
+const { ethers } = require('ethers');
+const { getToken, isNativeToken, isNativeOnChain, resolveTokenSymbol, getWrappedNativeAddress } = require('../../config/tokens');
+const logger = require('../../utils/logger');
+const { ExternalAPIError } = require('../../utils/errors');
+
+const API_URL = 'https://app.across.to/api';
+
+const SPOKE_POOLS = {
+  1: '0x5c7BCd6E7De5423a257D81B442095A1a6ced35C5',
+  10: '0x6f26Bf09B1C792e3228e5467807a900A503c0281',
+  137: '0x9295ee1d8C5b022Be115A2AD3c30C72E34e7F096',
+  324: '0xE0B015E54d54fc84a6cB9B666099c46adE9335FF',
+  8453: '0x09aea4b2242abC8bb4BB78D537A67a245A7bEC64',
+  42161: '0xe35e9842fceaCA96570B734083f4a58e8F7C5f2A',
+};
+
+const SPOKE_POOL_ABI = [
+  'function depositV3(address depositor, address recipient, address inputToken, address outputToken, uint256 inputAmount, uint256 outputAmount, uint256 destinationChainId, address exclusiveRelayer, uint32 quoteTimestamp, uint32 fillDeadline, uint32 exclusivityDeadline, bytes message) payable',
+];
+
+const spokePool = new ethers.utils.Interface(SPOKE_POOL_ABI);
+
+const bridgeIds = ['across'];
+
+/**
+ * Token address Across deposits or fills on a chain
+ */
+function resolveTokenAddress(token, chainId) {
+  if (isNativeOnChain(token, chainId)) {
+    return getWrappedNativeAddress(chainId);
+  }
+  // ETH away from its own chains (e.g. Polygon) is the bridged WETH token
+  const symbol = resolveTokenSymbol(token);
+  return getToken(isNativeToken(symbol) ? `W${symbol}` : symbol, chainId)?.address || null;
+}
+
+function supports(bridgeId, { token, fromChainId, toChainId }) {
+  return bridgeIds.includes(bridgeId) &&
+    !!SPOKE_POOLS[fromChainId] && !!SPOKE_POOLS[toChainId] &&
+    !!resolveTokenAddress(token, fromChainId) && !!resolveTokenAddress(token, toChainId);
+}
+
+async function request(path, query) {
+  const url = `${API_URL}${path}?${new URLSearchParams(query)}`;
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    throw new ExternalAPIError('Across', body || response.statusText, response.status);
+  }
+  return response.json();
+}
+
+/**
+ * Suggested fees for a deposit; the relayer fee comes off the output amount
+ */
+async function quote(bridgeId, { token, fromChainId, toChainId, amountRaw, recipient }) {
+  const inputToken = resolveTokenAddress(token, fromChainId);
+  const outputToken = resolveTokenAddress(token, toChainId);
+
+  const fees = await request('/suggested-fees', {
+    inputToken,
+    outputToken,
+    originChainId: fromChainId,
+    destinationChainId: toChainId,
+    amount: amountRaw.toString(),
+    ...(recipient && { recipient }),
+  });
+
+  if (fees.isAmountTooLow) {
+    throw new Error('Amount is below the Across minimum for this route');
+  }
+
+  const fee = ethers.BigNumber.from(fees.totalRelayFee.total);
+  const amountOut = fees.outputAmount != null
+    ? ethers.BigNumber.from(fees.outputAmount)
+    : amountRaw.sub(fee);
+
+  logger.debug('Across quote', { fromChainId, toChainId, fee: fee.toString(), estimatedFillTimeSec: fees.estimatedFillTimeSec });
+
+  return {
+    bridgeId,
+    amountIn: amountRaw,
+    amountOut,
+    fee,
+    estimatedTime: fees.estimatedFillTimeSec,
+    inputToken,
+    outputToken,
+    quoteTimestamp: Number(fees.timestamp),
+    fillDeadline: Number(fees.fillDeadline),
+    exclusiveRelayer: fees.exclusiveRelayer || ethers.constants.AddressZero,
+    exclusivityDeadline: Number(fees.exclusivityDeadline || 0),
+  };
+}
+
+async function buildTransaction(bridgeId, { token, fromChainId, toChainId, amountRaw, sender, recipient, quote: q }) {
+  const native = isNativeOnChain(token, fromChainId);
+  const to = SPOKE_POOLS[fromChainId];
+
+  const data = spokePool.encodeFunctionData('depositV3', [
+    sender,
+    recipient,
+    q.inputToken,
+    q.outputToken,
+    amountRaw,
+    q.amountOut,
+    toChainId,
+    q.exclusiveRelayer,
+    q.quoteTimestamp,
+    q.fillDeadline,
+    q.exclusivityDeadline,
+    '0x',
+  ]);
+
+  return {
+    tx: { to, data, value: native ? amountRaw : ethers.constants.Zero },
+    approval: native ? null : { token: q.inputToken, spender: to, amount: amountRaw },
+  };
+}
+
+/**
+ * Fill status of a deposit: pending, relayed (with destTxHash) or failed
+ */
+async function getStatus(bridgeId, transfer) {
+  const status = await request('/deposit/status', {
+    originChainId: transfer.sourceChainId,
+    depositTxHash: transfer.sourceTxHash,
+  });
+
+  if (status.status === 'filled') {
+    return { status: 'relayed', destTxHash: status.fillTx };
+  }
+  if (status.status === 'expired' || status.status === 'refunded') {
+    return { status: 'failed', error: `Deposit ${status.status} without a fill` };
+  }
+  return { status: 'pending' };
+}
+
+module.exports = {
+  bridgeIds,
+  supports,
+  quote,
+  buildTransaction,
+  getStatus,
+  SPOKE_POOLS,
+};
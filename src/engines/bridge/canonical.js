@@ -0,0 +1,229 @@
+/**
+ * Canonical Bridge Adapter
+ * ETH deposits from Ethereum to Arbitrum, Optimism and Base through the
+ * rollups' own contracts
+ *
+ * Only L1 -> L2 ETH deposits are handled here. Withdrawals wait out the
+ * 7-day challenge period, and the native USDC on these L2s is not the token
+ * the canonical bridges mint, so ERC20s and other directions go through a
+ * third-party adapter instead.
+ *
+ * Deposits land on L2 as system transactions whose hash is derived from the
+ * L1 receipt, so getStatus can name the destination transaction without an
+ * indexer.
+ */
+
+const { ethers } = require('ethers');
+const { isNativeOnChain } = require('../../config/tokens');
+
+const ARBITRUM_ALIAS_OFFSET = ethers.BigNumber.from('0x1111000000000000000000000000000000001111');
+const ADDRESS_SPACE = ethers.BigNumber.from(2).pow(160);
+
+// Keys match the bridge ids in security/bridge-safety KNOWN_BRIDGES
+const CANONICAL_BRIDGES = {
+  'arbitrum-canonical': {
+    kind: 'arbitrum',
+    l2ChainId: 42161,
+    inbox: '0x4Dbd4fc535Ac27206064B68FfCf827b0A60BAB3f',
+  },
+  'optimism-canonical': {
+    kind: 'opstack',
+    l2ChainId: 10,
+    l1StandardBridge: '0x99C9fc46f92E8a1c0deC1b1747d010903E884bE1',
+    portal: '0xbEb5Fc579115071764c7423A4f12eDde41f106Ed',
+  },
+  'base-canonical': {
+    kind: 'opstack',
+    l2ChainId: 8453,
+    l1StandardBridge: '0x3154Cf16ccdb4C6d922629664174b904d80F2C35',
+    portal: '0x49048044D57e1C92A77f79988d21Fa8fAF74E97e',
+  },
+};
+
+// Gas forwarded to the L2 leg of an OP-stack deposit
+const OPSTACK_MIN_GAS_LIMIT = 200000;
+
+const INBOX_ABI = [
+  'function depositEth() payable returns (uint256)',
+  'event InboxMessageDelivered(uint256 indexed messageNum, bytes data)',
+];
+
+const L1_STANDARD_BRIDGE_ABI = [
+  'function depositETHTo(address _to, uint32 _minGasLimit, bytes _extraData) payable',
+];
+
+const PORTAL_ABI = [
+  'event TransactionDeposited(address indexed from, address indexed to, uint256 indexed version, bytes opaqueData)',
+];
+
+const inbox = new ethers.utils.Interface(INBOX_ABI);
+const l1StandardBridge = new ethers.utils.Interface(L1_STANDARD_BRIDGE_ABI);
+const portal = new ethers.utils.Interface(PORTAL_ABI);
+
+const bridgeIds = Object.keys(CANONICAL_BRIDGES);
+
+/**
+ * Check a bridge id can carry this token on this route
+ */
+function supports(bridgeId, { token, fromChainId, toChainId }) {
+  const bridge = CANONICAL_BRIDGES[bridgeId];
+  return !!bridge && fromChainId === 1 && toChainId === bridge.l2ChainId && isNativeOnChain(token, fromChainId);
+}
+
+/**
+ * Deposits are 1:1; the only cost is L1 gas
+ */
+async function quote(bridgeId, { amountRaw }) {
+  return {
+    bridgeId,
+    amountIn: amountRaw,
+    amountOut: amountRaw,
+    fee: ethers.constants.Zero,
+  };
+}
+
+/**
+ * Build the L1 deposit transaction
+ */
+async function buildTransaction(bridgeId, { amountRaw, sender, recipient }) {
+  const bridge = CANONICAL_BRIDGES[bridgeId];
+
+  if (bridge.kind === 'arbitrum') {
+    // depositEth always credits the sender's own L2 address
+    if (recipient.toLowerCase() !== sender.toLowerCase()) {
+      throw new Error('Arbitrum canonical deposits can only go to the sending address');
+    }
+    return {
+      tx: { to: bridge.inbox, data: inbox.encodeFunctionData('depositEth'), value: amountRaw },
+      approval: null,
+    };
+  }
+
+  return {
+    tx: {
+      to: bridge.l1StandardBridge,
+      data: l1StandardBridge.encodeFunctionData('depositETHTo', [recipient, OPSTACK_MIN_GAS_LIMIT, '0x']),
+      value: amountRaw,
+    },
+    approval: null,
+  };
+}
+
+/**
+ * Find the L2 transaction for a deposit from its L1 receipt
+ *
+ * Returns { status: 'pending' } until the L1 receipt is available, then
+ * { status: 'relayed', destTxHash }; the caller checks the hash on L2.
+ */
+async function getStatus(bridgeId, transfer, { getProvider }) {
+  const bridge = CANONICAL_BRIDGES[bridgeId];
+  const receipt = await getProvider(transfer.sourceChainId).getTransactionReceipt(transfer.sourceTxHash);
+
+  if (!receipt) {
+    return { status: 'pending' };
+  }
+  if (receipt.status === 0) {
+    return { status: 'failed', error: 'Source transaction reverted' };
+  }
+
+  const destTxHash = bridge.kind === 'arbitrum'
+    ? arbitrumDepositTxHash(receipt, bridge, transfer.sender)
+    : opstackDepositTxHash(receipt, bridge);
+
+  if (!destTxHash) {
+    return { status: 'failed', error: 'Deposit event not found in source receipt' };
+  }
+  return { status: 'relayed', destTxHash };
+}
+
+// ============ L2 transaction hashes ============
+
+/**
+ * Hash of the ArbitrumDepositTx (type 0x64) created by Inbox.depositEth
+ */
+function arbitrumDepositTxHash(receipt, bridge, sender) {
+  const log = findLog(receipt, bridge.inbox, inbox, 'InboxMessageDelivered');
+  if (!log) return null;
+
+  const { messageNum, data } = log.args;
+  // data = abi.encodePacked(address dest, uint256 value)
+  const to = ethers.utils.getAddress(ethers.utils.hexDataSlice(data, 0, 20));
+  const value = ethers.BigNumber.from(ethers.utils.hexDataSlice(data, 20, 52));
+
+  const fields = [
+    rlpNumber(bridge.l2ChainId),
+    ethers.utils.hexZeroPad(ethers.BigNumber.from(messageNum).toHexString(), 32),
+    applyL1ToL2Alias(sender),
+    to,
+    rlpNumber(value),
+  ];
+  return ethers.utils.keccak256(ethers.utils.concat(['0x64', ethers.utils.RLP.encode(fields)]));
+}
+
+/**
+ * Hash of the OP-stack deposit transaction (type 0x7e) for a TransactionDeposited event
+ */
+function opstackDepositTxHash(receipt, bridge) {
+  const log = findLog(receipt, bridge.portal, portal, 'TransactionDeposited');
+  if (!log) return null;
+
+  const { from, to, opaqueData } = log.args;
+  // opaqueData = abi.encodePacked(uint256 mint, uint256 value, uint64 gasLimit, bool isCreation, bytes data)
+  const mint = ethers.BigNumber.from(ethers.utils.hexDataSlice(opaqueData, 0, 32));
+  const value = ethers.BigNumber.from(ethers.utils.hexDataSlice(opaqueData, 32, 64));
+  const gasLimit = ethers.BigNumber.from(ethers.utils.hexDataSlice(opaqueData, 64, 72));
+  const isCreation = ethers.utils.hexDataSlice(opaqueData, 72, 73) !== '0x00';
+  const data = ethers.utils.hexDataSlice(opaqueData, 73);
+
+  // User deposits use source-hash domain 0: keccak(bytes32(0), keccak(l1BlockHash, logIndex))
+  const depositId = ethers.utils.keccak256(ethers.utils.concat([
+    receipt.blockHash,
+    ethers.utils.hexZeroPad(ethers.utils.hexlify(log.logIndex), 32),
+  ]));
+  const sourceHash = ethers.utils.keccak256(ethers.utils.concat([ethers.constants.HashZero, depositId]));
+
+  const fields = [
+    sourceHash,
+    from,
+    isCreation ? '0x' : to,
+    rlpNumber(mint),
+    rlpNumber(value),
+    rlpNumber(gasLimit),
+    '0x', // isSystemTransaction = false
+    data,
+  ];
+  return ethers.utils.keccak256(ethers.utils.concat(['0x7e', ethers.utils.RLP.encode(fields)]));
+}
+
+function findLog(receipt, address, iface, eventName) {
+  const topic = iface.getEventTopic(eventName);
+  const log = receipt.logs.find(l =>
+    l.address.toLowerCase() === address.toLowerCase() && l.topics[0] === topic
+  );
+  return log ? { ...iface.parseLog(log), logIndex: log.logIndex } : null;
+}
+
+/**
+ * Arbitrum's L1 -> L2 sender alias
+ */
+function applyL1ToL2Alias(address) {
+  const aliased = ethers.BigNumber.from(address).add(ARBITRUM_ALIAS_OFFSET).mod(ADDRESS_SPACE);
+  return ethers.utils.getAddress(ethers.utils.hexZeroPad(aliased.toHexString(), 20));
+}
+
+function rlpNumber(value) {
+  const bn = ethers.BigNumber.from(value);
+  return bn.isZero() ? '0x' : ethers.utils.hexlify(bn);
+}
+
+module.exports = {
+  bridgeIds,
+  supports,
+  quote,
+  buildTransaction,
+  getStatus,
+  arbitrumDepositTxHash,
+  opstackDepositTxHash,
+  applyL1ToL2Alias,
+  CANONICAL_BRIDGES,
+};
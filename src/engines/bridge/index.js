@@ -0,0 +1,389 @@
+/**
+ * Bridge Engine
+ * Moves funds between chains through canonical rollup bridges or Across
+ *
+ * Route selection and limits come from security/bridge-safety: bridges are
+ * tried in BridgeSafety's order (canonical first, then by safety score) and
+ * the first one with an adapter for the token and route is used. Transfers
+ * are valued in USD through the portfolio pricer for BridgeSafety's limits,
+ * and refused when the token cannot be priced. Every deposit is tracked in
+ * BridgeSafety until checkBridgeStatus has verified the destination receipt.
+ * Tracking lives in the process that sent the deposit: the bridge watcher
+ * (startBridgeWatcher, run by the bots daemon) advances its transfers every
+ * bridge.statusCheckInterval and announces the ones that complete or fail.
+ */
+
+const canonical = require('./canonical');
+const across = require('./across');
+const { getChain, getExplorerTxUrl } = require('../../config/chains');
+const { getToken, isNativeToken, isNativeOnChain, getNativeToken, resolveTokenSymbol, parseAmount, formatAmount } = require('../../config/tokens');
+const { getConnectedWallet, hasSufficientBalance } = require('../../core/wallets');
+const { getProvider, resolveAddress } = require('../../core/providers');
+const { sendSecuredTransaction } = require('../../core/transactions');
+const { BRIDGE_TX_STATE, getBridgeSafety: getSharedBridgeSafety } = require('../../security/bridge-safety');
+const { getUsdPricer } = require('../portfolio/prices');
+const notifications = require('../../services/notifications');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { InsufficientBalanceError, UnsupportedChainError, ValidationError } = require('../../utils/errors');
+
+const ADAPTERS = [canonical, across];
+
+const FINAL_STATES = [BRIDGE_TX_STATE.COMPLETED, BRIDGE_TX_STATE.FAILED];
+
+// Lowest BridgeSafety score a bridge may have to be picked automatically
+const MIN_BRIDGE_SCORE = 30;
+
+/**
+ * Get the adapter that implements a bridge id
+ */
+function getAdapter(bridgeId) {
+  return ADAPTERS.find(adapter => adapter.bridgeIds.includes(bridgeId)) || null;
+}
+
+/**
+ * Pick the bridge for a transfer
+ *
+ * Returns { bridgeId, bridge, adapter }; throws when no safe bridge with an
+ * adapter serves the route.
+ */
+function selectRoute({ token, fromChainId, toChainId, bridge = 'auto' }) {
+  const safety = getBridgeSafety();
+  const route = { token, fromChainId, toChainId };
+
+  if (bridge !== 'auto') {
+    const adapter = getAdapter(bridge);
+    if (!adapter || !adapter.supports(bridge, route)) {
+      throw new ValidationError('bridge', `${bridge} cannot bridge ${token} from chain ${fromChainId} to ${toChainId}`, bridge);
+    }
+    return { bridgeId: bridge, bridge: safety.getBridge(bridge), adapter };
+  }
+
+  const selection = safety.selectBridge(fromChainId, toChainId, { minScore: MIN_BRIDGE_SCORE });
+  // alternatives skip the top scorer when a canonical bridge is preferred over it
+  const candidates = selection.selected
+    ? [
+      selection.selected,
+      ...selection.alternatives,
+      ...safety.getAvailableBridges(fromChainId, toChainId).filter(b => b.score >= MIN_BRIDGE_SCORE),
+    ]
+    : [];
+  const seen = new Set();
+
+  for (const candidate of candidates) {
+    if (seen.has(candidate.id)) continue;
+    seen.add(candidate.id);
+
+    const adapter = getAdapter(candidate.id);
+    if (adapter && adapter.supports(candidate.id, route)) {
+      return { bridgeId: candidate.id, bridge: candidate, adapter };
+    }
+  }
+
+  throw new ValidationError(
+    'bridge',
+    `No supported bridge for ${token} from chain ${fromChainId} to ${toChainId}` +
+      (selection.selected ? '' : ` (${selection.reason})`),
+    { fromChainId, toChainId }
+  );
+}
+
+/**
+ * Resolve the token being bridged on the source chain
+ */
+function resolveSourceToken(token, chainId) {
+  if (isNativeOnChain(token, chainId)) {
+    return { ...getNativeToken(chainId), isNative: true, decimals: 18 };
+  }
+  const symbol = resolveTokenSymbol(token);
+  const tokenInfo = getToken(isNativeToken(symbol) ? `W${symbol}` : symbol, chainId);
+  if (!tokenInfo) {
+    throw new Error(`Token ${token} not found on chain ${chainId}`);
+  }
+  return tokenInfo;
+}
+
+/**
+ * Quote a bridge transfer without sending it
+ */
+async function getBridgeQuote(params) {
+  const { token, amount, fromChainId, toChainId, recipient, bridge = 'auto' } = params;
+
+  const route = selectRoute({ token, fromChainId, toChainId, bridge });
+  const tokenInfo = resolveSourceToken(token, fromChainId);
+  const amountRaw = parseAmount(amount, tokenInfo.decimals);
+
+  const quote = await route.adapter.quote(route.bridgeId, {
+    token, fromChainId, toChainId, amountRaw, recipient,
+  });
+
+  return {
+    bridge: route.bridgeId,
+    bridgeName: route.bridge?.name || route.bridgeId,
+    token: tokenInfo.symbol,
+    amountIn: formatAmount(quote.amountIn, tokenInfo.decimals),
+    amountOut: formatAmount(quote.amountOut, tokenInfo.decimals),
+    fee: formatAmount(quote.fee, tokenInfo.decimals),
+    estimatedTime: quote.estimatedTime ?? route.bridge?.avgBridgeTime ?? null,
+    quote,
+  };
+}
+
+/**
+ * Bridge tokens to another chain
+ */
+async function executeBridge(params) {
+  const {
+    token,
+    amount,
+    fromChainId,
+    toChainId,
+    recipient,
+    walletAddress = 'primary',
+    bridge = 'auto',
+    portfolioValueUsd,
+  } = params;
+
+  logger.info('Executing bridge', { token, amount, fromChainId, toChainId, bridge });
+
+  if (!getChain(fromChainId)) throw new UnsupportedChainError(fromChainId);
+  if (!getChain(toChainId)) throw new UnsupportedChainError(toChainId);
+  if (fromChainId === toChainId) {
+    throw new ValidationError('toChainId', 'Source and destination chains are the same', toChainId);
+  }
+
+  const route = selectRoute({ token, fromChainId, toChainId, bridge });
+  const tokenInfo = resolveSourceToken(token, fromChainId);
+  const amountRaw = parseAmount(amount, tokenInfo.decimals);
+
+  const signer = getConnectedWallet(walletAddress, fromChainId);
+  const sender = await signer.getAddress();
+  const to = recipient ? await resolveAddress(recipient, 1) : sender;
+
+  const hasBalance = await hasSufficientBalance(
+    walletAddress,
+    fromChainId,
+    amountRaw,
+    tokenInfo.isNative ? null : tokenInfo.address
+  );
+  if (!hasBalance) {
+    throw new InsufficientBalanceError(tokenInfo.symbol, amount, 'insufficient');
+  }
+
+  // Size, liquidity and daily limits
+  const safety = getBridgeSafety();
+  const amountUsd = params.amountUsd ?? await priceAmount(tokenInfo.symbol, fromChainId, amount);
+  const validation = await safety.validateBridgeTransaction(route.bridgeId, {
+    amountUsd,
+    portfolioValueUsd,
+    sourceChainId: fromChainId,
+    destChainId: toChainId,
+  });
+  if (!validation.valid) {
+    throw new Error(`Bridge rejected by safety checks: ${validation.errors.join('; ')}`);
+  }
+  if (validation.warnings.length > 0) {
+    logger.warn('Bridge safety warnings', { bridge: route.bridgeId, warnings: validation.warnings });
+  }
+
+  const quote = await route.adapter.quote(route.bridgeId, {
+    token, fromChainId, toChainId, amountRaw, recipient: to,
+  });
+  const { tx, approval } = await route.adapter.buildTransaction(route.bridgeId, {
+    token, fromChainId, toChainId, amountRaw, sender, recipient: to, quote,
+  });
+
+  const txResult = await sendSecuredTransaction(signer, tx, {
+    security: { approval },
+  });
+
+  // Track until the destination receipt is verified
+  const tracked = safety.trackBridgeTransaction({
+    bridgeId: route.bridgeId,
+    sourceChainId: fromChainId,
+    destChainId: toChainId,
+    sourceTxHash: txResult.hash,
+    token: tokenInfo.symbol,
+    amount: formatAmount(amountRaw, tokenInfo.decimals),
+    amountUsd,
+    sender,
+    recipient: to,
+  });
+
+  const confirmed = txResult.status === 'confirmed';
+  if (confirmed) {
+    safety.updateTransactionState(tracked.id, BRIDGE_TX_STATE.SOURCE_CONFIRMED);
+    safety.updateTransactionState(tracked.id, BRIDGE_TX_STATE.IN_TRANSIT);
+  } else {
+    safety.updateTransactionState(tracked.id, BRIDGE_TX_STATE.FAILED, { error: 'Source transaction failed' });
+  }
+
+  return {
+    success: confirmed,
+    bridgeTxId: tracked.id,
+    bridge: route.bridgeId,
+    bridgeName: route.bridge?.name || route.bridgeId,
+    txHash: txResult.hash,
+    explorerUrl: txResult.explorerUrl || getExplorerTxUrl(fromChainId, txResult.hash),
+    fromChainId,
+    toChainId,
+    token: tokenInfo.symbol,
+    amountIn: formatAmount(quote.amountIn, tokenInfo.decimals),
+    amountOut: formatAmount(quote.amountOut, tokenInfo.decimals),
+    fee: formatAmount(quote.fee, tokenInfo.decimals),
+    from: sender,
+    to,
+    estimatedTime: quote.estimatedTime ?? validation.estimatedTime ?? null,
+    expectedArrival: tracked.expectedArrival,
+    gasUsed: txResult.gasUsed,
+    warnings: validation.warnings,
+  };
+}
+
+/**
+ * USD value of a transfer; throws when the token has no price, as the
+ * safety limits cannot be checked without one
+ */
+async function priceAmount(symbol, chainId, amount) {
+  const quote = await getUsdPricer().getPrice(symbol, chainId);
+  if (!quote) {
+    throw new ValidationError('amount', `Cannot price ${symbol} on chain ${chainId} to check bridge limits`, amount);
+  }
+  return parseFloat(amount) * quote.price;
+}
+
+/**
+ * Advance a tracked bridge transfer
+ *
+ * Asks the adapter for the destination transaction and, once known,
+ * verifies its receipt through BridgeSafety.verifyDestinationReceipt.
+ */
+async function checkBridgeStatus(bridgeTxId) {
+  const safety = getBridgeSafety();
+  const tx = safety.transactions.get(bridgeTxId);
+  if (!tx) {
+    throw new Error(`Bridge transaction ${bridgeTxId} not found`);
+  }
+
+  if (FINAL_STATES.includes(tx.state)) {
+    return describe(safety.getTransaction(bridgeTxId));
+  }
+
+  if (!tx.destTxHash) {
+    const adapter = getAdapter(tx.bridgeId);
+    let status;
+    try {
+      status = await adapter.getStatus(tx.bridgeId, tx.toJSON(), { getProvider });
+    } catch (error) {
+      logger.warn('Bridge status lookup failed', { bridgeTxId, error: error.message });
+      return describe(safety.getTransaction(bridgeTxId));
+    }
+
+    if (status.status === 'failed') {
+      safety.updateTransactionState(bridgeTxId, BRIDGE_TX_STATE.FAILED, { error: status.error });
+      return describe(safety.getTransaction(bridgeTxId));
+    }
+    if (status.destTxHash) {
+      tx.destTxHash = status.destTxHash;
+      safety.updateTransactionState(bridgeTxId, BRIDGE_TX_STATE.DESTINATION_PENDING);
+    }
+  }
+
+  if (tx.destTxHash) {
+    const verification = await safety.verifyDestinationReceipt(bridgeTxId, getProvider(tx.destChainId));
+    if (!verification.verified) {
+      logger.debug('Bridge destination not verified yet', { bridgeTxId, reason: verification.reason });
+    }
+  }
+
+  return describe(safety.getTransaction(bridgeTxId));
+}
+
+function describe(tx) {
+  return {
+    ...tx,
+    completed: tx.state === BRIDGE_TX_STATE.COMPLETED,
+    sourceExplorerUrl: getExplorerTxUrl(tx.sourceChainId, tx.sourceTxHash),
+    destExplorerUrl: tx.destTxHash ? getExplorerTxUrl(tx.destChainId, tx.destTxHash) : null,
+  };
+}
+
+/**
+ * The BridgeSafety instance shared with every other bridge call
+ */
+function getBridgeSafety() {
+  return getSharedBridgeSafety({ logger });
+}
+
+/**
+ * Bridge transfers that have not completed or failed
+ */
+function getActiveBridges() {
+  return getBridgeSafety().getTransactions()
+    .filter(tx => !FINAL_STATES.includes(tx.state));
+}
+
+/**
+ * Advance every transfer still in flight, announcing the ones that
+ * complete or fail
+ * @param {Object} [options] - { notify }
+ * @returns {Promise<Object[]>} Status of each transfer checked
+ */
+async function checkActiveBridges(options = {}) {
+  const notify = options.notify || notifications.notify;
+  const results = [];
+
+  for (const tx of getActiveBridges()) {
+    let status;
+    try {
+      status = await checkBridgeStatus(tx.id);
+    } catch (error) {
+      logger.warn('Bridge status check failed', { bridgeTxId: tx.id, error: error.message });
+      continue;
+    }
+    results.push(status);
+
+    if (!FINAL_STATES.includes(status.state)) continue;
+    const message = status.completed
+      ? `Bridge of ${status.amount} ${status.token} to chain ${status.destChainId} arrived: ${status.destExplorerUrl}`
+      : `Bridge of ${status.amount} ${status.token} to chain ${status.destChainId} failed: ${status.error || 'unknown error'}`;
+    try {
+      await notify(message, { type: status.completed ? 'success' : 'error' });
+    } catch (error) {
+      logger.warn('Bridge notification failed', { bridgeTxId: tx.id, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Check transfers in flight every bridge.statusCheckInterval
+ * @param {Object} [options] - { interval, notify }
+ * @returns {Function} Stop function
+ */
+function startBridgeWatcher(options = {}) {
+  const interval = options.interval ?? config.bridge.statusCheckInterval;
+  const run = () => checkActiveBridges(options).catch(error => {
+    logger.error('Bridge status check failed', { error: error.message });
+  });
+
+  logger.info('Bridge watcher started', { interval });
+  const timer = setInterval(run, interval);
+  return () => {
+    clearInterval(timer);
+    logger.info('Bridge watcher stopped');
+  };
+}
+
+module.exports = {
+  executeBridge,
+  getBridgeQuote,
+  checkBridgeStatus,
+  getActiveBridges,
+  checkActiveBridges,
+  startBridgeWatcher,
+  selectRoute,
+  getAdapter,
+  getBridgeSafety,
+};
@@ -0,0 +1,375 @@
+/**
+ * Cost Basis Book
+ * Records what acquired tokens cost in USD and what disposals realized
+ *
+ * Executed swaps and confirmed claims are recorded as events: a swap
+ * disposes of the sold token and acquires the bought one at the same USD
+ * value, a claim acquires the token at its price on receipt. Positions are
+ * kept per token symbol across all wallets and chains at average cost, so
+ * moving tokens between our own wallets or bridging them leaves the basis
+ * untouched.
+ *
+ * Transfers between our own wallets are recorded too; they leave positions
+ * alone but move tax lots between wallets (see ./tax). Sends to external
+ * addresses take the tokens out of their position at average cost without
+ * realizing PnL: whether a send is a sale, a gift or a deposit to one's own
+ * exchange account is not known here, so ./tax flags it for review.
+ *
+ * A swap's USD value is its stablecoin side when it has one (USD stables
+ * count at $1), else the sold token's price, else the bought token's. An
+ * unpriced event still moves quantities but adds no cost, and its position
+ * is flagged. Selling more than the book has seen (tokens held before
+ * tracking started) realizes PnL only on the tracked part. Events persist to
+ * PORTFOLIO_COST_BASIS_FILE; positions are rebuilt from them on load. Each
+ * save merges in events other processes wrote to the file since, so a
+ * process never drops another's events. A file
+ * that does not parse is moved aside to <file>.corrupt-<time> and a new book
+ * started, so recording the next event never overwrites it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+const { resolveTokenSymbol } = require('../../config/tokens');
+const { getUsdPricer, isUsdStable } = require('./prices');
+const logger = require('../../utils/logger');
+const { ValidationError } = require('../../utils/errors');
+
+const EVENT_TYPE = {
+  SWAP: 'swap',
+  CLAIM: 'claim',
+  TRANSFER: 'transfer',
+  SEND: 'send',
+};
+
+// Quantities below this are rounding left over from full disposals
+const DUST = 1e-12;
+
+function parseQuantity(field, value) {
+  const quantity = parseFloat(value);
+  if (!(quantity > 0)) {
+    throw new ValidationError(field, `${field} must be a positive amount`, value);
+  }
+  return quantity;
+}
+
+class CostBasisBook {
+  constructor(options = {}) {
+    const portfolioConfig = config.portfolio || {};
+    this.filePath = options.filePath !== undefined ? options.filePath : portfolioConfig.costBasisFile;
+
+    // Prices claims and trades at record time
+    this.getPrice = options.getPrice || ((symbol, chainId) => getUsdPricer().getPrice(symbol, chainId));
+
+    this.events = this.load();
+    this.positions = this.buildPositions();
+  }
+
+  // ============ Recording ============
+
+  /**
+   * Record an executed swap
+   * @param {Object} params - { wallet, chainId, fromToken, toToken, amountIn,
+   *   amountOut (formatted), txHash, timestamp }
+   * @returns {Promise<Object|null>} The event, or null if already recorded
+   */
+  async recordSwap(params) {
+    const fromToken = resolveTokenSymbol(params.fromToken);
+    const toToken = resolveTokenSymbol(params.toToken);
+    const amountIn = parseQuantity('amountIn', params.amountIn);
+    const amountOut = parseQuantity('amountOut', params.amountOut);
+
+    return this.record({
+      type: EVENT_TYPE.SWAP,
+      wallet: params.wallet,
+      chainId: params.chainId,
+      txHash: params.txHash || null,
+      timestamp: params.timestamp ?? Date.now(),
+      fromToken,
+      toToken,
+      amountIn: String(params.amountIn),
+      amountOut: String(params.amountOut),
+      valueUsd: await this.valueSwap(fromToken, toToken, amountIn, amountOut, params.chainId),
+    });
+  }
+
+  /**
+   * Record tokens received from an airdrop claim, priced on receipt
+   * @param {Object} params - { wallet, chainId, protocol, token, amount
+   *   (formatted), txHash, timestamp }
+   */
+  async recordClaim(params) {
+    const token = resolveTokenSymbol(params.token);
+    const amount = parseQuantity('amount', params.amount);
+    const priced = await this.priceOf(token, params.chainId);
+
+    return this.record({
+      type: EVENT_TYPE.CLAIM,
+      wallet: params.wallet,
+      chainId: params.chainId,
+      txHash: params.txHash || null,
+      timestamp: params.timestamp ?? Date.now(),
+      protocol: params.protocol || null,
+      token,
+      amount: String(params.amount),
+      priceUsd: priced,
+      valueUsd: priced === null ? null : priced * amount,
+    });
+  }
+
+  /**
+   * Record a transfer from one managed wallet to another. Not taxable, and
+   * not priced: the tokens keep the cost they were acquired at.
+   * @param {Object} params - { from, to, chainId, token, amount (formatted),
+   *   txHash, timestamp }
+   */
+  async recordTransfer(params) {
+    if (!params.from || !params.to) {
+      throw new ValidationError('to', 'Transfer needs a sending and a receiving wallet', params.to);
+    }
+    parseQuantity('amount', params.amount);
+
+    // One batch transaction can pay several of our wallets
+    return this.record({
+      type: EVENT_TYPE.TRANSFER,
+      wallet: params.from,
+      to: params.to,
+      chainId: params.chainId,
+      txHash: params.txHash || null,
+      timestamp: params.timestamp ?? Date.now(),
+      token: resolveTokenSymbol(params.token),
+      amount: String(params.amount),
+    }, params.txHash && `${params.txHash}:${params.to.toLowerCase()}`);
+  }
+
+  /**
+   * Record a transfer from a managed wallet to an external address. Not
+   * priced; the tokens leave the book at their cost.
+   * @param {Object} params - { from, to, chainId, token, amount (formatted),
+   *   txHash, timestamp }
+   */
+  async recordSend(params) {
+    if (!params.from || !params.to) {
+      throw new ValidationError('to', 'Send needs a sending wallet and a recipient', params.to);
+    }
+    parseQuantity('amount', params.amount);
+
+    // One batch transaction can pay several recipients
+    return this.record({
+      type: EVENT_TYPE.SEND,
+      wallet: params.from,
+      to: params.to,
+      chainId: params.chainId,
+      txHash: params.txHash || null,
+      timestamp: params.timestamp ?? Date.now(),
+      token: resolveTokenSymbol(params.token),
+      amount: String(params.amount),
+    }, params.txHash && `${params.txHash}:${params.to.toLowerCase()}`);
+  }
+
+  record(fields, key = fields.txHash) {
+    const id = `${fields.type}:${key || crypto.randomUUID()}`;
+    if (this.events.some(event => event.id === id)) return null;
+
+    const event = { id, ...fields };
+    this.events.push(event);
+    this.apply(this.positions, event);
+    this.save();
+
+    logger.info('Cost basis recorded', { id, type: event.type, valueUsd: event.valueUsd });
+    return event;
+  }
+
+  async valueSwap(fromToken, toToken, amountIn, amountOut, chainId) {
+    if (isUsdStable(fromToken)) return amountIn;
+    if (isUsdStable(toToken)) return amountOut;
+
+    const fromPrice = await this.priceOf(fromToken, chainId);
+    if (fromPrice !== null) return fromPrice * amountIn;
+
+    const toPrice = await this.priceOf(toToken, chainId);
+    return toPrice === null ? null : toPrice * amountOut;
+  }
+
+  async priceOf(symbol, chainId) {
+    try {
+      return (await this.getPrice(symbol, chainId))?.price ?? null;
+    } catch (error) {
+      logger.warn('Could not price token for cost basis', { symbol, chainId, error: error.message });
+      return null;
+    }
+  }
+
+  // ============ Positions ============
+
+  buildPositions() {
+    const positions = new Map();
+    for (const event of this.events) {
+      this.apply(positions, event);
+    }
+    return positions;
+  }
+
+  apply(positions, event) {
+    switch (event.type) {
+      case EVENT_TYPE.SWAP:
+        this.dispose(positions, event.fromToken, parseFloat(event.amountIn), event.valueUsd);
+        this.acquire(positions, event.toToken, parseFloat(event.amountOut), event.valueUsd);
+        break;
+      case EVENT_TYPE.CLAIM:
+        this.acquire(positions, event.token, parseFloat(event.amount), event.valueUsd);
+        break;
+      case EVENT_TYPE.SEND:
+        this.remove(positions, event.token, parseFloat(event.amount));
+        break;
+      default:
+        // Transfers between our own wallets leave portfolio-wide positions as they are
+        break;
+    }
+  }
+
+  position(positions, symbol) {
+    if (!positions.has(symbol)) {
+      positions.set(symbol, {
+        symbol,
+        quantity: 0,
+        costUsd: 0,
+        realizedUsd: 0,
+        untrackedDisposed: 0,
+        unpriced: false,
+      });
+    }
+    return positions.get(symbol);
+  }
+
+  acquire(positions, symbol, quantity, valueUsd) {
+    const position = this.position(positions, symbol);
+    position.quantity += quantity;
+    if (valueUsd === null) {
+      position.unpriced = true;
+    } else {
+      position.costUsd += valueUsd;
+    }
+  }
+
+  /**
+   * Take tokens out of a position at average cost, realizing nothing
+   */
+  remove(positions, symbol, quantity) {
+    const position = this.position(positions, symbol);
+    const matched = Math.min(quantity, position.quantity);
+    if (matched <= 0) return;
+
+    position.costUsd -= position.costUsd * (matched / position.quantity);
+    position.quantity -= matched;
+    if (position.quantity < DUST) {
+      position.quantity = 0;
+      position.costUsd = 0;
+    }
+  }
+
+  dispose(positions, symbol, quantity, valueUsd) {
+    const position = this.position(positions, symbol);
+    const matched = Math.min(quantity, position.quantity);
+    const cost = position.quantity > 0 ? position.costUsd * (matched / position.quantity) : 0;
+
+    position.quantity -= matched;
+    position.costUsd -= cost;
+    position.untrackedDisposed += quantity - matched;
+    if (position.quantity < DUST) {
+      position.quantity = 0;
+      position.costUsd = 0;
+    }
+
+    if (valueUsd === null) {
+      position.unpriced = true;
+    } else {
+      position.realizedUsd += valueUsd * (matched / quantity) - cost;
+    }
+  }
+
+  getPosition(symbol) {
+    const position = this.positions.get(resolveTokenSymbol(symbol));
+    return position ? { ...position } : null;
+  }
+
+  getPositions() {
+    return [...this.positions.values()].map(position => ({ ...position }));
+  }
+
+  getRealizedPnl() {
+    return [...this.positions.values()].reduce((sum, position) => sum + position.realizedUsd, 0);
+  }
+
+  /**
+   * Recorded events, oldest first
+   * @param {Object} [filter] - { type, wallet, since, until }
+   */
+  getEvents(filter = {}) {
+    const wallet = filter.wallet?.toLowerCase();
+    return this.events.filter(event =>
+      (!filter.type || event.type === filter.type) &&
+      (!wallet || event.wallet?.toLowerCase() === wallet) &&
+      (filter.since === undefined || event.timestamp >= filter.since) &&
+      (filter.until === undefined || event.timestamp <= filter.until)
+    );
+  }
+
+  // ============ Persistence ============
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return [];
+
+    // A file that cannot be read at all is an error for the caller
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    try {
+      const { events } = JSON.parse(content);
+      if (!Array.isArray(events)) {
+        throw new Error('no events list');
+      }
+      return events;
+    } catch (error) {
+      const aside = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, aside);
+      logger.error('Cost basis file is corrupt; moved it aside and started a new book', { file: aside, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Write the book back, keeping events other processes added to the file
+   */
+  save() {
+    if (!this.filePath) return;
+
+    const known = new Set(this.events.map(event => event.id));
+    const added = this.load().filter(event => !known.has(event.id));
+    if (added.length > 0) {
+      // Positions depend on event order, so replay the merged book in time order
+      this.events = [...this.events, ...added].sort((a, b) => a.timestamp - b.timestamp);
+      this.positions = this.buildPositions();
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ events: this.events }, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+}
+
+// Shared book for the swap and claim engines and the portfolio engine
+let sharedBook = null;
+
+function getCostBasisBook(options = {}) {
+  if (!sharedBook) {
+    sharedBook = new CostBasisBook(options);
+  }
+  return sharedBook;
+}
+
+module.exports = {
+  EVENT_TYPE,
+  CostBasisBook,
+  getCostBasisBook,
+};
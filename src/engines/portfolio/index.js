@@ -0,0 +1,199 @@
+/**
+ * Portfolio Engine
+ * Values every managed wallet across the configured chains in USD and
+ * reports profit and loss against the cost basis book
+ *
+ * Holdings are the native token plus every registry token listed on each
+ * chain (PORTFOLIO_CHAINS, default every mainnet). Unrealized PnL covers the
+ * part of a holding the cost basis book has seen; tokens held before
+ * tracking started are valued but reported as untracked rather than counted
+ * as profit. A chain that fails to load is reported and skipped. Chains
+ * load side by side, each on its own RPC.
+ */
+
+const config = require('../../config');
+const { getChain, getSupportedChainIds } = require('../../config/chains');
+const { TOKENS, getToken, getNativeToken, resolveTokenSymbol } = require('../../config/tokens');
+const wallets = require('../../core/wallets');
+const { getUsdPricer } = require('./prices');
+const { getCostBasisBook } = require('./costBasis');
+const { getTaxReport, exportTaxReport } = require('./tax');
+const logger = require('../../utils/logger');
+const { ValidationError } = require('../../utils/errors');
+
+function getPortfolioChains() {
+  const configured = config.portfolio?.chains || [];
+  return configured.length
+    ? configured
+    : getSupportedChainIds().filter(chainId => !getChain(chainId).isTestnet);
+}
+
+/**
+ * Addresses of the registry tokens listed on a chain
+ */
+function getChainTokenAddresses(chainId) {
+  return Object.keys(TOKENS)
+    .map(symbol => getToken(symbol, chainId)?.address)
+    .filter(Boolean);
+}
+
+function resolveWallets(wallet) {
+  const all = wallets.getAllWalletAddresses();
+  if (!wallet) return all;
+
+  const address = wallets.resolveWalletIdentifier(wallet);
+  const found = address && all.find(w => w.address.toLowerCase() === address.toLowerCase());
+  if (!found) {
+    throw new ValidationError('wallet', `Unknown wallet: ${wallet}`, wallet);
+  }
+  return [found];
+}
+
+/**
+ * Non-zero balances of one wallet on one chain
+ */
+async function loadHoldings(wallet, chainId) {
+  const balances = await wallets.getAllBalances(wallet.address, chainId, getChainTokenAddresses(chainId));
+
+  const holdings = [];
+  if (balances.native && !balances.native.raw.isZero()) {
+    holdings.push({ symbol: getNativeToken(chainId).symbol, quantity: parseFloat(balances.native.formatted) });
+  }
+  for (const balance of balances.tokens) {
+    if (balance.raw.isZero()) continue;
+    holdings.push({ symbol: resolveTokenSymbol(balance.symbol), quantity: parseFloat(balance.formatted) });
+  }
+
+  return holdings.map(holding => ({ ...holding, wallet: wallet.alias || wallet.address, chainId }));
+}
+
+/**
+ * PnL per token: realized from the book, unrealized on the tracked part of
+ * what is held now
+ */
+function computePnl(byToken, book) {
+  const positions = [];
+  let realizedUsd = 0;
+  let unrealizedUsd = 0;
+  let costBasisUsd = 0;
+
+  const symbols = new Set([...Object.keys(byToken), ...book.getPositions().map(p => p.symbol)]);
+  for (const symbol of symbols) {
+    const held = byToken[symbol] || { quantity: 0, valueUsd: 0, priceUsd: null };
+    const position = book.getPosition(symbol);
+    if (!position) continue;
+
+    const tracked = Math.min(held.quantity, position.quantity);
+    const cost = position.quantity > 0 ? position.costUsd * (tracked / position.quantity) : 0;
+    const unrealized = held.priceUsd === null ? null : tracked * held.priceUsd - cost;
+
+    positions.push({
+      symbol,
+      quantity: held.quantity,
+      trackedQuantity: tracked,
+      untrackedQuantity: held.quantity - tracked,
+      costBasisUsd: cost,
+      valueUsd: held.valueUsd,
+      realizedUsd: position.realizedUsd,
+      unrealizedUsd: unrealized,
+      unpriced: position.unpriced,
+    });
+    realizedUsd += position.realizedUsd;
+    unrealizedUsd += unrealized ?? 0;
+    costBasisUsd += cost;
+  }
+
+  return { realizedUsd, unrealizedUsd, costBasisUsd, positions };
+}
+
+/**
+ * Value the portfolio
+ *
+ * @param {Object} [params]
+ * @param {string} [params.wallet] - Only this wallet (alias or address)
+ * @param {number[]} [params.chains] - Only these chains
+ * @returns {Promise<Object>} { totalUsd, holdings, byChain, byWallet, byToken,
+ *   pnl, unpriced, errors, timestamp }
+ */
+async function getPortfolio(params = {}) {
+  const walletList = resolveWallets(params.wallet);
+  const chains = params.chains?.length ? params.chains : getPortfolioChains();
+  const pricer = getUsdPricer();
+
+  const holdings = [];
+  const errors = [];
+  const loaded = await Promise.all(chains.map(async (chainId) => {
+    const chainHoldings = [];
+    const chainErrors = [];
+    for (const wallet of walletList) {
+      try {
+        chainHoldings.push(...await loadHoldings(wallet, chainId));
+      } catch (error) {
+        logger.warn('Could not load portfolio balances', { chainId, wallet: wallet.address, error: error.message });
+        chainErrors.push({ chainId, wallet: wallet.alias || wallet.address, error: error.message });
+      }
+    }
+    return { chainHoldings, chainErrors };
+  }));
+  for (const { chainHoldings, chainErrors } of loaded) {
+    holdings.push(...chainHoldings);
+    errors.push(...chainErrors);
+  }
+
+  const byChain = {};
+  const byWallet = {};
+  const byToken = {};
+  const unpriced = [];
+  let totalUsd = 0;
+
+  const prices = await Promise.all(holdings.map(holding => pricer.getPrice(holding.symbol, holding.chainId)));
+  holdings.forEach((holding, i) => {
+    const priced = prices[i];
+    holding.priceUsd = priced?.price ?? null;
+    holding.priceSource = priced?.source ?? null;
+    holding.valueUsd = priced ? priced.price * holding.quantity : null;
+
+    const token = byToken[holding.symbol] || (byToken[holding.symbol] = { quantity: 0, valueUsd: 0, priceUsd: null });
+    token.quantity += holding.quantity;
+
+    if (holding.valueUsd === null) {
+      unpriced.push({ symbol: holding.symbol, chainId: holding.chainId, wallet: holding.wallet });
+      return;
+    }
+    token.valueUsd += holding.valueUsd;
+    byChain[holding.chainId] = (byChain[holding.chainId] || 0) + holding.valueUsd;
+    byWallet[holding.wallet] = (byWallet[holding.wallet] || 0) + holding.valueUsd;
+    totalUsd += holding.valueUsd;
+  });
+
+  // Average price across chains, over the priced quantity only
+  for (const symbol of Object.keys(byToken)) {
+    const pricedQuantity = holdings
+      .filter(h => h.symbol === symbol && h.valueUsd !== null)
+      .reduce((sum, h) => sum + h.quantity, 0);
+    byToken[symbol].priceUsd = pricedQuantity > 0 ? byToken[symbol].valueUsd / pricedQuantity : null;
+  }
+
+  return {
+    success: true,
+    totalUsd,
+    wallets: walletList.length,
+    chains,
+    holdings: holdings.sort((a, b) => (b.valueUsd ?? -1) - (a.valueUsd ?? -1)),
+    byChain,
+    byWallet,
+    byToken,
+    pnl: computePnl(byToken, getCostBasisBook()),
+    unpriced,
+    errors,
+    timestamp: Date.now(),
+  };
+}
+
+module.exports = {
+  getPortfolio,
+  getPortfolioChains,
+  computePnl,
+  getTaxReport,
+  exportTaxReport,
+};
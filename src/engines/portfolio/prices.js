@@ -0,0 +1,155 @@
+/**
+ * Portfolio Prices
+ * USD prices for valuing holdings and trades
+ *
+ * A token is priced from the oracle guard's Chainlink feed (on its own chain,
+ * else on Ethereum where most feeds live), else from the better of the
+ * direct Uniswap V3 and V2 pool quotes for one token into USDC on its chain
+ * (the multi-hop and aggregator search is for trades, not for marking
+ * holdings). USDC falls back to its peg. Tokens that are neither native nor
+ * in the token registry have no price. Prices are cached for
+ * PORTFOLIO_PRICE_TTL_MS, and concurrent lookups of one token share a
+ * single read, so valuing many wallets reads each one once.
+ */
+
+const config = require('../../config');
+const { getToken, isNativeToken, resolveTokenSymbol } = require('../../config/tokens');
+const { getProvider } = require('../../core/providers');
+const { getSecurityLayer } = require('../../security');
+const { KNOWN_STABLES } = require('../../monitoring/depeg-monitor');
+const logger = require('../../utils/logger');
+
+// Chainlink feeds price the underlying asset
+const FEED_ASSETS = {
+  WETH: 'ETH',
+  WBTC: 'BTC',
+  WMATIC: 'MATIC',
+};
+
+// Quote currency for the DEX fallback
+const QUOTE_TOKEN = 'USDC';
+
+// Pools quoted for the DEX fallback
+const PRICE_DEXES = ['uniswapV3', 'uniswapV2'];
+
+const PRICE_SOURCE = {
+  ORACLE: 'oracle',
+  DEX: 'dex',
+  PEG: 'peg',
+};
+
+function isUsdStable(symbol) {
+  return KNOWN_STABLES[resolveTokenSymbol(symbol)]?.pegTarget === 1.0;
+}
+
+function defaultOraclePrice(pair, chainId) {
+  return getSecurityLayer().oracleGuard.getValidatedPrice(pair, chainId, getProvider(chainId));
+}
+
+function defaultHasFeed(pair, chainId) {
+  return getSecurityLayer().oracleGuard.getSupportedPairs(chainId).includes(pair);
+}
+
+// The swap engine is required lazily as it records trades here
+async function defaultQuote(params) {
+  const swap = require('../swap');
+  const quotes = await Promise.allSettled(PRICE_DEXES.map(dex => swap.getQuote({ ...params, dex })));
+
+  return quotes
+    .filter(q => q.status === 'fulfilled' && parseFloat(q.value?.amountOut) > 0)
+    .map(q => q.value)
+    .sort((a, b) => parseFloat(b.amountOut) - parseFloat(a.amountOut))[0] || null;
+}
+
+class UsdPricer {
+  constructor(options = {}) {
+    const portfolioConfig = config.portfolio || {};
+    this.ttl = options.ttl ?? portfolioConfig.priceTtl ?? 60 * 1000;
+
+    this.getOraclePrice = options.getOraclePrice || defaultOraclePrice;
+    this.hasFeed = options.hasFeed || defaultHasFeed;
+    this.getQuote = options.getQuote || defaultQuote;
+
+    this.cache = new Map(); // "SYMBOL:chainId" -> { price, source, at }
+    this.inflight = new Map(); // "SYMBOL:chainId" -> lookup in progress
+  }
+
+  /**
+   * USD price of one token
+   *
+   * @param {string} symbol - Token symbol
+   * @param {number} chainId - Chain the token is held on
+   * @returns {Promise<{price: number, source: string}|null>} Null when unpriced
+   */
+  async getPrice(symbol, chainId) {
+    const resolved = resolveTokenSymbol(symbol);
+    const key = `${resolved}:${chainId}`;
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.at < this.ttl) {
+      return cached.price === null ? null : { price: cached.price, source: cached.source };
+    }
+
+    if (!this.inflight.has(key)) {
+      const lookup = (isNativeToken(resolved) || getToken(resolved, chainId)
+        ? this.resolve(resolved, chainId)
+        : Promise.resolve(null))
+        .then((result) => {
+          this.cache.set(key, { price: result?.price ?? null, source: result?.source ?? null, at: Date.now() });
+          return result;
+        })
+        .finally(() => this.inflight.delete(key));
+      this.inflight.set(key, lookup);
+    }
+    return this.inflight.get(key);
+  }
+
+  async resolve(symbol, chainId) {
+    const pair = `${FEED_ASSETS[symbol] || symbol}/USD`;
+    const feedChain = [chainId, 1].find(id => this.hasFeed(pair, id));
+    if (feedChain !== undefined) {
+      try {
+        const { price } = await this.getOraclePrice(pair, feedChain);
+        if (price > 0) return { price, source: PRICE_SOURCE.ORACLE };
+      } catch (error) {
+        logger.debug('Oracle price unavailable', { pair, chainId: feedChain, error: error.message });
+      }
+    }
+
+    if (symbol === QUOTE_TOKEN) {
+      return { price: 1, source: PRICE_SOURCE.PEG };
+    }
+
+    if (getToken(QUOTE_TOKEN, chainId)) {
+      try {
+        const result = await this.getQuote({ fromToken: symbol, toToken: QUOTE_TOKEN, amount: '1', chainId });
+        const price = parseFloat((result?.best || result)?.amountOut);
+        if (price > 0) return { price, source: PRICE_SOURCE.DEX };
+      } catch (error) {
+        logger.debug('DEX price unavailable', { symbol, chainId, error: error.message });
+      }
+    }
+
+    return null;
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+// Shared pricer for the portfolio engine and the cost basis book
+let sharedPricer = null;
+
+function getUsdPricer(options = {}) {
+  if (!sharedPricer) {
+    sharedPricer = new UsdPricer(options);
+  }
+  return sharedPricer;
+}
+
+module.exports = {
+  PRICE_SOURCE,
+  UsdPricer,
+  isUsdStable,
+  getUsdPricer,
+};
@@ -0,0 +1,542 @@
+/**
+ * Tax Lots
+ * Builds tax lots from the cost basis book and exports them for tax reports
+ *
+ * A claim opens a lot as income at the token's price on receipt. A swap
+ * disposes of lots of the sold token for its USD value and opens a lot of
+ * the bought token at that value. A transfer between our own wallets is not
+ * taxable: it moves lots to the receiving wallet with their original cost
+ * and acquisition date. Lots are kept per wallet (an address is the same
+ * account on every EVM chain) and disposals consume them FIFO, LIFO or HIFO
+ * (highest unit cost first). Selling more than a wallet's lots hold yields
+ * a disposal without cost basis, flagged missingBasis. USD stablecoins
+ * count as cash: paying with them is not a disposal and they open no lots.
+ * A send to an external address removes lots from the wallet and becomes a
+ * withdrawal row flagged needsReview with the removed cost basis: it may be
+ * a sale, a gift or a deposit to the user's own exchange account, which
+ * only the user can tell.
+ *
+ * The generic CSV lists income, one disposal row per lot consumed,
+ * transfers and withdrawals. The Koinly and CoinTracker layouts list the transactions
+ * themselves, as both tools match lots on their own; an internal transfer
+ * is a withdrawal plus a deposit sharing the transaction hash, which they
+ * pair up as a transfer. Gas fees are not included.
+ */
+
+const config = require('../../config');
+const { EVENT_TYPE, getCostBasisBook } = require('./costBasis');
+const { isUsdStable } = require('./prices');
+const { ValidationError } = require('../../utils/errors');
+
+const LOT_METHOD = {
+  FIFO: 'fifo',
+  LIFO: 'lifo',
+  HIFO: 'hifo',
+};
+
+const TAX_EXPORT_FORMAT = {
+  CSV: 'csv',
+  KOINLY: 'koinly',
+  COINTRACKER: 'cointracker',
+};
+
+const TAX_ROW_TYPE = {
+  INCOME: 'income',
+  DISPOSAL: 'disposal',
+  TRANSFER: 'transfer',
+  WITHDRAWAL: 'withdrawal',
+};
+
+// Held longer than a year is a long-term disposal
+const LONG_TERM_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Quantities below this are rounding left over from splitting lots
+const DUST = 1e-12;
+
+// Which lot a disposal consumes next
+const LOT_ORDER = {
+  [LOT_METHOD.FIFO]: (a, b) => a.acquiredAt - b.acquiredAt,
+  [LOT_METHOD.LIFO]: (a, b) => b.acquiredAt - a.acquiredAt,
+  [LOT_METHOD.HIFO]: (a, b) => (b.unitCostUsd ?? -1) - (a.unitCostUsd ?? -1) || a.acquiredAt - b.acquiredAt,
+};
+
+const walletKey = (address) => String(address || '').toLowerCase();
+
+/**
+ * Per-wallet open lots of each token
+ */
+class LotPool {
+  constructor(method) {
+    this.order = LOT_ORDER[method];
+    this.lots = new Map(); // "wallet:SYMBOL" -> [lot]
+    this.nextId = 1;
+  }
+
+  list(wallet, symbol) {
+    const key = `${walletKey(wallet)}:${symbol}`;
+    if (!this.lots.has(key)) this.lots.set(key, []);
+    return this.lots.get(key);
+  }
+
+  open(wallet, symbol, quantity, unitCostUsd, acquiredAt, source) {
+    const lot = {
+      id: this.nextId++,
+      wallet: walletKey(wallet),
+      symbol,
+      quantity,
+      unitCostUsd,
+      acquiredAt,
+      source,
+    };
+    this.list(wallet, symbol).push(lot);
+    return lot;
+  }
+
+  /**
+   * Take up to `quantity` from the wallet's lots in method order
+   * @returns {{ taken: Array<{lot, quantity}>, missing: number }}
+   */
+  take(wallet, symbol, quantity) {
+    const lots = this.list(wallet, symbol).sort(this.order);
+    const taken = [];
+    let remaining = quantity;
+
+    while (remaining > DUST && lots.length > 0) {
+      const lot = lots[0];
+      const used = Math.min(lot.quantity, remaining);
+      taken.push({ lot, quantity: used });
+      lot.quantity -= used;
+      remaining -= used;
+      if (lot.quantity <= DUST) lots.shift();
+    }
+
+    return { taken, missing: remaining > DUST ? remaining : 0 };
+  }
+
+  getOpenLots() {
+    return [...this.lots.values()].flat().map(lot => ({ ...lot }));
+  }
+}
+
+function resolveMethod(method) {
+  const resolved = String(method || config.portfolio?.taxLotMethod || LOT_METHOD.FIFO).toLowerCase();
+  if (!LOT_ORDER[resolved]) {
+    throw new ValidationError('method', `Unknown lot method: ${method}. Use fifo, lifo or hifo`, method);
+  }
+  return resolved;
+}
+
+/**
+ * Start and end of a calendar year in UTC
+ */
+function yearRange(year) {
+  return {
+    since: Date.UTC(year, 0, 1),
+    until: Date.UTC(year + 1, 0, 1) - 1,
+  };
+}
+
+/**
+ * Build the tax report. Lots are built from the whole history so earlier
+ * acquisitions supply cost basis; rows are limited to the period.
+ *
+ * @param {Object[]} events - Cost basis book events, oldest first
+ * @param {Object} [options] - { method, since, until }
+ * @returns {Object} { method, since, until, income, disposals, transfers,
+ *   withdrawals, openLots, summary }
+ */
+function buildTaxReport(events, options = {}) {
+  const method = resolveMethod(options.method);
+  const since = options.since ?? 0;
+  const until = options.until ?? Infinity;
+  const inPeriod = (event) => event.timestamp >= since && event.timestamp <= until;
+
+  const pool = new LotPool(method);
+  const income = [];
+  const disposals = [];
+  const transfers = [];
+  const withdrawals = [];
+
+  const ordered = [...events].sort((a, b) => a.timestamp - b.timestamp);
+  for (const event of ordered) {
+    switch (event.type) {
+      case EVENT_TYPE.CLAIM: {
+        const quantity = parseFloat(event.amount);
+        if (!isUsdStable(event.token)) {
+          pool.open(event.wallet, event.token, quantity, event.priceUsd ?? null, event.timestamp, event.id);
+        }
+        if (inPeriod(event)) {
+          income.push({
+            type: TAX_ROW_TYPE.INCOME,
+            date: event.timestamp,
+            wallet: walletKey(event.wallet),
+            chainId: event.chainId,
+            asset: event.token,
+            amount: quantity,
+            valueUsd: event.valueUsd ?? null,
+            protocol: event.protocol,
+            txHash: event.txHash,
+          });
+        }
+        break;
+      }
+
+      case EVENT_TYPE.SWAP: {
+        const amountIn = parseFloat(event.amountIn);
+        const amountOut = parseFloat(event.amountOut);
+        const proceedsPerUnit = event.valueUsd === null ? null : event.valueUsd / amountIn;
+        if (!isUsdStable(event.fromToken)) {
+          const { taken, missing } = pool.take(event.wallet, event.fromToken, amountIn);
+          const rows = taken.map(({ lot, quantity }) => disposalRow(event, quantity, proceedsPerUnit, lot));
+          if (missing > 0) {
+            rows.push(disposalRow(event, missing, proceedsPerUnit, null));
+          }
+          if (inPeriod(event)) disposals.push(...rows);
+        }
+
+        if (isUsdStable(event.toToken)) break;
+        pool.open(
+          event.wallet,
+          event.toToken,
+          amountOut,
+          event.valueUsd === null ? null : event.valueUsd / amountOut,
+          event.timestamp,
+          event.id
+        );
+        break;
+      }
+
+      case EVENT_TYPE.TRANSFER: {
+        const quantity = parseFloat(event.amount);
+        const { taken } = pool.take(event.wallet, event.token, quantity);
+        for (const { lot, quantity: moved } of taken) {
+          pool.open(event.to, event.token, moved, lot.unitCostUsd, lot.acquiredAt, lot.source);
+        }
+        if (inPeriod(event)) {
+          transfers.push({
+            type: TAX_ROW_TYPE.TRANSFER,
+            date: event.timestamp,
+            wallet: walletKey(event.wallet),
+            to: walletKey(event.to),
+            chainId: event.chainId,
+            asset: event.token,
+            amount: quantity,
+            costBasisUsd: sumCost(taken),
+            txHash: event.txHash,
+          });
+        }
+        break;
+      }
+
+      case EVENT_TYPE.SEND: {
+        const quantity = parseFloat(event.amount);
+        const { taken, missing } = isUsdStable(event.token)
+          ? { taken: [], missing: 0 }
+          : pool.take(event.wallet, event.token, quantity);
+        if (inPeriod(event)) {
+          withdrawals.push({
+            type: TAX_ROW_TYPE.WITHDRAWAL,
+            date: event.timestamp,
+            wallet: walletKey(event.wallet),
+            to: walletKey(event.to),
+            chainId: event.chainId,
+            asset: event.token,
+            amount: quantity,
+            costBasisUsd: sumCost(taken),
+            missingBasis: missing > 0,
+            needsReview: !isUsdStable(event.token),
+            txHash: event.txHash,
+          });
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  return {
+    method,
+    since: options.since ?? null,
+    until: options.until ?? null,
+    income,
+    disposals,
+    transfers,
+    withdrawals,
+    openLots: pool.getOpenLots(),
+    events: ordered.filter(inPeriod),
+    summary: summarize(income, disposals, withdrawals),
+  };
+}
+
+function disposalRow(event, quantity, proceedsPerUnit, lot) {
+  const proceedsUsd = proceedsPerUnit === null ? null : proceedsPerUnit * quantity;
+  const costBasisUsd = lot?.unitCostUsd == null ? null : lot.unitCostUsd * quantity;
+  return {
+    type: TAX_ROW_TYPE.DISPOSAL,
+    date: event.timestamp,
+    wallet: walletKey(event.wallet),
+    chainId: event.chainId,
+    asset: event.fromToken,
+    amount: quantity,
+    receivedAsset: event.toToken,
+    acquiredAt: lot?.acquiredAt ?? null,
+    term: lot && event.timestamp - lot.acquiredAt > LONG_TERM_MS ? 'long' : 'short',
+    proceedsUsd,
+    costBasisUsd,
+    gainUsd: proceedsUsd === null || costBasisUsd === null ? null : proceedsUsd - costBasisUsd,
+    missingBasis: !lot,
+    lotId: lot?.id ?? null,
+    txHash: event.txHash,
+  };
+}
+
+function sumCost(taken) {
+  if (taken.some(({ lot }) => lot.unitCostUsd === null)) return null;
+  return taken.reduce((sum, { lot, quantity }) => sum + lot.unitCostUsd * quantity, 0);
+}
+
+function summarize(income, disposals, withdrawals) {
+  const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] ?? 0), 0);
+  const gains = disposals.filter(row => row.gainUsd !== null);
+
+  return {
+    incomeUsd: sum(income, 'valueUsd'),
+    proceedsUsd: sum(disposals, 'proceedsUsd'),
+    costBasisUsd: sum(disposals, 'costBasisUsd'),
+    gainUsd: sum(gains, 'gainUsd'),
+    shortTermGainUsd: sum(gains.filter(row => row.term === 'short'), 'gainUsd'),
+    longTermGainUsd: sum(gains.filter(row => row.term === 'long'), 'gainUsd'),
+    missingBasis: disposals.filter(row => row.missingBasis).length,
+    unpriced: income.filter(row => row.valueUsd === null).length +
+      disposals.filter(row => row.proceedsUsd === null).length,
+    needsReview: withdrawals.filter(row => row.needsReview).length,
+  };
+}
+
+// ============ CSV Layouts ============
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(headers, rows) {
+  return [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+const usd = (value) => (value === null || value === undefined ? '' : value.toFixed(2));
+const quantity = (value) => String(parseFloat(Number(value).toPrecision(15)));
+const isoDate = (ms) => (ms === null ? '' : new Date(ms).toISOString());
+const pad = (n) => String(n).padStart(2, '0');
+
+// Koinly: "2026-03-01 14:05:00 UTC"
+function koinlyDate(ms) {
+  return `${new Date(ms).toISOString().slice(0, 19).replace('T', ' ')} UTC`;
+}
+
+// CoinTracker: "03/01/2026 14:05:00" in UTC
+function coinTrackerDate(ms) {
+  const d = new Date(ms);
+  return `${pad(d.getUTCMonth() + 1)}/${pad(d.getUTCDate())}/${d.getUTCFullYear()} ` +
+    `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}`;
+}
+
+function genericCsv(report) {
+  const headers = [
+    'Date', 'Type', 'Wallet', 'To', 'Chain', 'Asset', 'Amount', 'Acquired', 'Term',
+    'Proceeds USD', 'Cost Basis USD', 'Gain USD', 'Income USD', 'Notes', 'Tx Hash',
+  ];
+
+  const rows = [...report.income, ...report.disposals, ...report.transfers, ...report.withdrawals]
+    .sort((a, b) => a.date - b.date)
+    .map(row => [
+      isoDate(row.date),
+      row.type,
+      row.wallet,
+      row.to,
+      row.chainId,
+      row.asset,
+      quantity(row.amount),
+      row.type === TAX_ROW_TYPE.DISPOSAL ? isoDate(row.acquiredAt) : '',
+      row.type === TAX_ROW_TYPE.DISPOSAL ? row.term : '',
+      usd(row.proceedsUsd),
+      usd(row.costBasisUsd),
+      usd(row.gainUsd),
+      usd(row.valueUsd),
+      rowNotes(row),
+      row.txHash,
+    ]);
+
+  return toCsv(headers, rows);
+}
+
+function rowNotes(row) {
+  switch (row.type) {
+    case TAX_ROW_TYPE.INCOME:
+      return [row.protocol && `Airdrop: ${row.protocol}`, row.valueUsd === null && 'no price on receipt']
+        .filter(Boolean).join('; ');
+    case TAX_ROW_TYPE.DISPOSAL:
+      return [
+        `Swapped for ${row.receivedAsset}`,
+        row.missingBasis && 'missing cost basis',
+        row.proceedsUsd === null && 'no price at sale',
+      ].filter(Boolean).join('; ');
+    case TAX_ROW_TYPE.WITHDRAWAL:
+      return [
+        'Sent to external address',
+        row.needsReview && 'not counted as a disposal; needs review',
+        row.missingBasis && 'missing cost basis',
+      ].filter(Boolean).join('; ');
+    default:
+      return 'Transfer between own wallets (not taxable)';
+  }
+}
+
+function koinlyCsv(report) {
+  const headers = [
+    'Date', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency',
+    'Fee Amount', 'Fee Currency', 'Net Worth Amount', 'Net Worth Currency', 'Label', 'Description', 'TxHash',
+  ];
+  const row = (event, sent, received, fields = {}) => [
+    koinlyDate(event.timestamp),
+    sent?.[0], sent?.[1],
+    received?.[0], received?.[1],
+    '', '',
+    usd(fields.valueUsd), fields.valueUsd == null ? '' : 'USD',
+    fields.label || '',
+    fields.description || '',
+    event.txHash,
+  ];
+
+  const rows = report.events.flatMap((event) => {
+    switch (event.type) {
+      case EVENT_TYPE.CLAIM:
+        return [row(event, null, [event.amount, event.token], {
+          valueUsd: event.valueUsd, label: 'airdrop', description: `${event.protocol || 'Airdrop'} claim`,
+        })];
+      case EVENT_TYPE.SWAP:
+        return [row(event, [event.amountIn, event.fromToken], [event.amountOut, event.toToken], {
+          valueUsd: event.valueUsd, description: 'Swap',
+        })];
+      case EVENT_TYPE.TRANSFER:
+        return [
+          row(event, [event.amount, event.token], null, { description: `Transfer to own wallet ${event.to}` }),
+          row(event, null, [event.amount, event.token], { description: `Transfer from own wallet ${event.wallet}` }),
+        ];
+      case EVENT_TYPE.SEND:
+        return [row(event, [event.amount, event.token], null, { description: `Sent to external address ${event.to}` })];
+      default:
+        return [];
+    }
+  });
+
+  return toCsv(headers, rows);
+}
+
+function coinTrackerCsv(report) {
+  const headers = [
+    'Date', 'Received Quantity', 'Received Currency', 'Sent Quantity', 'Sent Currency',
+    'Fee Amount', 'Fee Currency', 'Tag',
+  ];
+  const row = (event, received, sent, tag = '') => [
+    coinTrackerDate(event.timestamp),
+    received?.[0], received?.[1],
+    sent?.[0], sent?.[1],
+    '', '',
+    tag,
+  ];
+
+  const rows = report.events.flatMap((event) => {
+    switch (event.type) {
+      case EVENT_TYPE.CLAIM:
+        return [row(event, [event.amount, event.token], null, 'airdrop')];
+      case EVENT_TYPE.SWAP:
+        return [row(event, [event.amountOut, event.toToken], [event.amountIn, event.fromToken])];
+      case EVENT_TYPE.TRANSFER:
+        return [
+          row(event, null, [event.amount, event.token]),
+          row(event, [event.amount, event.token], null),
+        ];
+      case EVENT_TYPE.SEND:
+        return [row(event, null, [event.amount, event.token])];
+      default:
+        return [];
+    }
+  });
+
+  return toCsv(headers, rows);
+}
+
+const FORMATTERS = {
+  [TAX_EXPORT_FORMAT.CSV]: genericCsv,
+  [TAX_EXPORT_FORMAT.KOINLY]: koinlyCsv,
+  [TAX_EXPORT_FORMAT.COINTRACKER]: coinTrackerCsv,
+};
+
+/**
+ * Render a tax report as CSV
+ *
+ * @param {Object} report - From buildTaxReport
+ * @param {string} [format] - csv (default), koinly or cointracker
+ * @returns {string} CSV text with a header row
+ */
+function formatTaxReport(report, format = TAX_EXPORT_FORMAT.CSV) {
+  const formatter = FORMATTERS[String(format).toLowerCase()];
+  if (!formatter) {
+    throw new ValidationError('format', `Unknown export format: ${format}. Use csv, koinly or cointracker`, format);
+  }
+  return formatter(report);
+}
+
+// ============ Book Shortcuts ============
+
+function periodOf(params) {
+  return params.year ? yearRange(Number(params.year)) : { since: params.since, until: params.until };
+}
+
+/**
+ * Tax report over the shared cost basis book
+ * @param {Object} [params] - { method, year | since, until, wallet }
+ */
+function getTaxReport(params = {}) {
+  const report = buildTaxReport(getCostBasisBook().getEvents(), { method: params.method, ...periodOf(params) });
+  if (!params.wallet) return report;
+
+  // Lots still move through every wallet; only the rows are narrowed
+  const wallet = walletKey(params.wallet);
+  const mine = (row) => row.wallet === wallet || row.to === wallet;
+  const income = report.income.filter(mine);
+  const disposals = report.disposals.filter(mine);
+  const withdrawals = report.withdrawals.filter(mine);
+  return {
+    ...report,
+    income,
+    disposals,
+    transfers: report.transfers.filter(mine),
+    withdrawals,
+    openLots: report.openLots.filter(lot => lot.wallet === wallet),
+    events: report.events.filter(event => walletKey(event.wallet) === wallet || walletKey(event.to) === wallet),
+    summary: summarize(income, disposals, withdrawals),
+  };
+}
+
+/**
+ * Tax report over the shared cost basis book, as CSV
+ * @param {Object} [params] - { format, method, year | since, until, wallet }
+ */
+function exportTaxReport(params = {}) {
+  return formatTaxReport(getTaxReport(params), params.format);
+}
+
+module.exports = {
+  LOT_METHOD,
+  TAX_EXPORT_FORMAT,
+  TAX_ROW_TYPE,
+  buildTaxReport,
+  formatTaxReport,
+  getTaxReport,
+  exportTaxReport,
+};
@@ -8,12 +8,14 @@ const { getToken, isNativeToken, getNativeToken, parseAmount, formatAmount, getW
 const { getChain } = require('../../config/chains');
 const logger = require('../../utils/logger');
 const { retry } = require('../../utils/helpers');
+const { sendSecuredTransaction } = require('../../core/transactions');
 
 // Aggregator API endpoints
 const AGGREGATORS = {
   oneInch: {
     name: '1inch',
     baseUrl: 'https://api.1inch.dev/swap/v6.0',
+    router: '0x111111125421cA6dc452d289314280a0f8842A65', // AggregationRouterV6, same on every chain
     chainMapping: {
       1: '1',
       42161: '42161',
@@ -26,6 +28,7 @@ const AGGREGATORS = {
   paraswap: {
     name: 'Paraswap',
     baseUrl: 'https://apiv5.paraswap.io',
+    router: '0xDEF171Fe48CF0115B1d80b88dc8eAB59176FEe57', // AugustusSwapper v5, same on every chain
     chainMapping: {
       1: '1',
       42161: '42161',
@@ -177,22 +180,28 @@ async function executeSwap(params) {
     amountIn: amountIn.toString(),
   });
 
-  // Execute the transaction provided by the aggregator
-  const tx = await signer.sendTransaction({
+  // Execute the transaction provided by the aggregator through the security layer
+  const result = await sendSecuredTransaction(signer, {
     to: aggregatorData.tx.to,
     data: aggregatorData.tx.data,
     value: aggregatorData.tx.value || 0,
     gasLimit: aggregatorData.tx.gas,
+  }, {
+    security: {
+      fromToken: fromToken.symbol,
+      toToken: toToken.symbol,
+      approval: fromToken.isNative
+        ? null
+        : { token: fromToken.address, spender: aggregatorData.tx.to, amount: amountIn },
+    },
   });
 
-  const receipt = await tx.wait();
-
   return {
-    success: receipt.status === 1,
-    txHash: tx.hash,
-    gasUsed: receipt.gasUsed.toString(),
+    success: result.status === 'confirmed',
+    txHash: result.hash,
+    gasUsed: result.gasUsed,
     aggregator: aggregatorData.aggregator,
-    blockNumber: receipt.blockNumber,
+    blockNumber: result.blockNumber,
   };
 }
 
@@ -235,6 +244,7 @@ function getSupportedAggregators(chainId) {
 }
 
 module.exports = {
+  AGGREGATORS,
   getQuote,
   executeSwap,
   buildSwapTransaction,
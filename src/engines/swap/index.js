@@ -7,13 +7,18 @@ const { ethers } = require('ethers');
 const uniswapV2 = require('./uniswapV2');
 const uniswapV3 = require('./uniswapV3');
 const aggregator = require('./aggregator');
+const smartRouter = require('./smartRouter');
+const { getLimitOrderBook } = require('./limitOrders');
 const { getChain } = require('../../config/chains');
 const { getToken, isNativeToken, getNativeToken, parseAmount, formatAmount } = require('../../config/tokens');
 const { getConnectedWallet, hasSufficientBalance } = require('../../core/wallets');
-const { ensureApproval } = require('../../core/contracts');
 const { getExplorerTxUrl } = require('../../config/chains');
+const { sendSecuredTransaction } = require('../../core/transactions');
+const { getSecurityLayer } = require('../../security');
+const { getDepegGuard } = require('../../security/depeg-guard');
+const { getCostBasisBook } = require('../portfolio/costBasis');
 const logger = require('../../utils/logger');
-const { SlippageExceededError, InsufficientBalanceError } = require('../../utils/errors');
+const { SlippageExceededError, InsufficientBalanceError, ValidationError } = require('../../utils/errors');
 
 // Available DEX handlers
 const DEX_HANDLERS = {
@@ -22,10 +27,12 @@ const DEX_HANDLERS = {
   sushiswap: uniswapV2, // Same interface
   quickswap: uniswapV2, // Same interface
   pancakeswap: uniswapV2, // Same interface
+  smartRouter, // Quotes only; its legs execute through the handlers above
 };
 
 /**
- * Get the best swap route across DEXes
+ * Get the best swap route across DEXes, the local multi-hop/split router
+ * and the aggregators
  */
 async function getBestRoute(params) {
   const { fromToken, toToken, amount, chainId } = params;
@@ -36,6 +43,7 @@ async function getBestRoute(params) {
   const quotes = await Promise.allSettled([
     uniswapV2.getQuote({ fromToken, toToken, amount, chainId }),
     uniswapV3.getQuote({ fromToken, toToken, amount, chainId }),
+    smartRouter.getQuote({ fromToken, toToken, amount, chainId }),
     aggregator.getQuote({ fromToken, toToken, amount, chainId }),
   ]);
 
@@ -44,9 +52,9 @@ async function getBestRoute(params) {
     .filter(q => q.status === 'fulfilled' && q.value)
     .map(q => q.value)
     .sort((a, b) => {
-      // Sort by output amount descending
-      const aOut = parseFloat(a.amountOut);
-      const bOut = parseFloat(b.amountOut);
+      // Sort by output amount descending; unpriced placeholders go last
+      const aOut = a.amountOut ? parseFloat(a.amountOut) : -Infinity;
+      const bOut = b.amountOut ? parseFloat(b.amountOut) : -Infinity;
       return bOut - aOut;
     });
 
@@ -79,6 +87,7 @@ async function executeSwap(params) {
     slippage = 0.5,
     deadline = 10,
     dex = 'auto', // 'auto', 'uniswapV2', 'uniswapV3', 'aggregator'
+    minAmountOut = null, // floor on the output in toToken units (e.g. a limit price)
   } = params;
 
   logger.info('Executing swap', { fromToken, toToken, amount, chainId, dex });
@@ -97,6 +106,9 @@ async function executeSwap(params) {
     throw new Error(`Token not found: ${toToken}`);
   }
 
+  // No new exposure to a stable the depeg monitor paused
+  getDepegGuard().assertSwapAllowed({ fromToken: fromTokenInfo.symbol, toToken: toTokenInfo.symbol });
+
   // Parse amount
   const amountIn = parseAmount(amount, fromTokenInfo.decimals);
 
@@ -129,55 +141,145 @@ async function executeSwap(params) {
     quote = await handler.getQuote({ fromToken, toToken, amount, chainId });
   }
 
-  // Calculate minimum output with slippage
-  const minAmountOut = calculateMinOutput(quote.amountOutRaw, slippage);
+  // Tiered slippage from the security layer (engine uses percent, guard uses decimal)
+  const security = getSecurityLayer();
+  const guardedSlippage = security.slippageGuard.getSlippage(
+    fromTokenInfo.symbol,
+    toTokenInfo.symbol,
+    slippage / 100
+  ) * 100;
+
+  // A caller's floor applies on top of slippage; refuse quotes already below it
+  const quotedOut = quote.amountOutRaw || parseAmount(String(quote.amountOut), toTokenInfo.decimals);
+  const outputFloor = minAmountOut !== null ? parseAmount(String(minAmountOut), toTokenInfo.decimals) : null;
+  if (outputFloor && quotedOut.lt(outputFloor)) {
+    throw new SlippageExceededError(minAmountOut, quote.amountOut, guardedSlippage);
+  }
 
   // Check slippage is acceptable
   const priceImpact = quote.priceImpact || 0;
-  if (priceImpact > slippage * 2) {
-    logger.warn('High price impact detected', { priceImpact, slippage });
+  if (priceImpact > guardedSlippage * 2) {
+    logger.warn('High price impact detected', { priceImpact, slippage: guardedSlippage });
   }
 
-  // Approve token if needed
-  if (!fromTokenInfo.isNative) {
-    const approvalResult = await ensureApproval(
-      fromTokenInfo.address,
-      quote.routerAddress,
-      amountIn,
+  // Routed quotes carry one leg per route; single-pool quotes are their own leg
+  const legs = quote.routes || [{ ...quote, amountInRaw: amountIn }];
+  const legResults = [];
+
+  for (const leg of legs) {
+    // Minimum output with slippage, per leg, and at least the leg's share of
+    // the floor (in proportion to its quoted output, which covers it)
+    let legMinOut = calculateMinOutput(leg.amountOutRaw, guardedSlippage);
+    if (outputFloor) {
+      const legFloor = outputFloor.mul(leg.amountOutRaw).div(quotedOut);
+      if (legFloor.gt(legMinOut)) legMinOut = legFloor;
+    }
+
+    // Build the swap using the appropriate handler
+    const handler = DEX_HANDLERS[leg.dex] || uniswapV2;
+    const txRequest = await handler.buildSwapTransaction({
+      fromToken: fromTokenInfo,
+      toToken: toTokenInfo,
+      amountIn: leg.amountInRaw,
+      minAmountOut: legMinOut,
       signer,
-      chainId
-    );
+      userAddress,
+      chainId,
+      deadline,
+      path: leg.path,
+      fee: leg.fees ? leg.fees[0] : leg.fee,
+      fees: leg.fees,
+    });
 
-    if (approvalResult.txHash) {
-      logger.info('Token approved', { txHash: approvalResult.txHash });
-    }
+    // Execute through the security pipeline (simulation, approval, nonce, MEV protection)
+    const txResult = await sendSecuredTransaction(signer, txRequest, {
+      security: {
+        fromToken: fromTokenInfo.symbol,
+        toToken: toTokenInfo.symbol,
+        userSlippage: guardedSlippage / 100,
+        approval: fromTokenInfo.isNative
+          ? null
+          : { token: fromTokenInfo.address, spender: leg.routerAddress, amount: leg.amountInRaw },
+      },
+    });
+
+    legResults.push({
+      dex: leg.dex,
+      path: leg.path,
+      amountInRaw: leg.amountInRaw,
+      status: txResult.status,
+      txHash: txResult.hash,
+      gasUsed: txResult.gasUsed,
+      amountOut: txResult.receipt ? handler.parseSwapOutput(txResult.receipt) : null,
+      protectionUsed: txResult.protectionUsed,
+      executionId: txResult.executionId,
+    });
+
+    // Stop at the first failed leg rather than trade the rest of a broken split
+    if (txResult.status !== 'confirmed') break;
   }
 
-  // Execute the swap using the appropriate handler
-  const handler = DEX_HANDLERS[quote.dex] || uniswapV2;
-  const result = await handler.executeSwap({
-    fromToken: fromTokenInfo,
-    toToken: toTokenInfo,
-    amountIn,
-    minAmountOut,
-    signer,
-    userAddress,
-    chainId,
-    deadline,
-    path: quote.path,
-  });
+  const txResult = legResults[legResults.length - 1];
+  const outputs = legResults.map(leg => leg.amountOut);
+  const result = {
+    success: legResults.length === legs.length && legResults.every(leg => leg.status === 'confirmed'),
+    txHash: txResult.txHash,
+    gasUsed: legResults.length === 1
+      ? txResult.gasUsed
+      : legResults.reduce((sum, leg) => sum.add(leg.gasUsed || 0), ethers.BigNumber.from(0)).toString(),
+    amountOut: outputs.every(Boolean)
+      ? outputs.reduce((sum, out) => sum.add(out), ethers.BigNumber.from(0))
+      : null,
+  };
 
   // Verify output against slippage
   if (result.amountOut) {
     const actualSlippage = calculateActualSlippage(quote.amountOutRaw, result.amountOut);
-    if (actualSlippage > slippage) {
+    if (actualSlippage > guardedSlippage) {
       logger.warn('Slippage exceeded but transaction succeeded', {
-        expected: slippage,
+        expected: guardedSlippage,
         actual: actualSlippage,
       });
     }
   }
 
+  const amountInFormatted = formatAmount(amountIn, fromTokenInfo.decimals);
+  const amountOutFormatted = result.amountOut ? formatAmount(result.amountOut, toTokenInfo.decimals) : quote.amountOut;
+
+  // Split legs are separate transactions: legs confirmed before a failed one
+  // stay executed, so report what actually traded
+  const executed = result.success ? null : summarizeExecutedLegs(legResults, amountIn, fromTokenInfo, toTokenInfo);
+  if (executed) {
+    logger.warn('Split swap partially executed', { fromToken, toToken, ...executed, legs: legs.length });
+  }
+
+  if (result.success) {
+    await trackCostBasis({
+      wallet: userAddress,
+      chainId,
+      fromToken: fromTokenInfo.symbol,
+      toToken: toTokenInfo.symbol,
+      amountIn: amountInFormatted,
+      amountOut: amountOutFormatted,
+      txHash: result.txHash,
+    });
+  } else if (executed) {
+    // The confirmed legs traded; book them at their quoted output if a
+    // receipt could not be read
+    const confirmedQuote = legs
+      .slice(0, executed.legs)
+      .reduce((sum, leg) => sum.add(leg.amountOutRaw), ethers.BigNumber.from(0));
+    await trackCostBasis({
+      wallet: userAddress,
+      chainId,
+      fromToken: fromTokenInfo.symbol,
+      toToken: toTokenInfo.symbol,
+      amountIn: executed.amountIn,
+      amountOut: executed.amountOut ?? formatAmount(confirmedQuote, toTokenInfo.decimals),
+      txHash: executed.txHashes[executed.txHashes.length - 1],
+    });
+  }
+
   return {
     success: result.success,
     txHash: result.txHash,
@@ -185,16 +287,60 @@ async function executeSwap(params) {
     dex: quote.dex,
     fromToken: fromToken,
     toToken: toToken,
-    amountIn: formatAmount(amountIn, fromTokenInfo.decimals),
-    amountOut: result.amountOut ? formatAmount(result.amountOut, toTokenInfo.decimals) : quote.amountOut,
+    amountIn: amountInFormatted,
+    amountOut: amountOutFormatted,
     expectedOutput: quote.amountOut,
-    slippage,
+    slippage: guardedSlippage,
     priceImpact: quote.priceImpact,
     gasUsed: result.gasUsed,
     route: quote.path,
+    legs: quote.routes ? legResults : undefined,
+    partial: Boolean(executed),
+    executed: executed || undefined,
+    error: executed
+      ? `Split swap stopped after ${executed.legs} of ${legs.length} legs: ${executed.amountIn} ${fromToken} was swapped for ` +
+        `${executed.amountOut ?? 'an unknown amount of'} ${toToken}; the remaining ${executed.amountInRemaining} ${fromToken} was not swapped`
+      : undefined,
+    protectionUsed: txResult.protectionUsed,
+    executionId: txResult.executionId,
+  };
+}
+
+/**
+ * Amounts traded by the confirmed legs of a split that did not complete,
+ * or null if no leg confirmed
+ */
+function summarizeExecutedLegs(legResults, orderAmountIn, fromTokenInfo, toTokenInfo) {
+  const confirmed = legResults.filter(leg => leg.status === 'confirmed');
+  if (confirmed.length === 0) return null;
+
+  const zero = ethers.BigNumber.from(0);
+  const amountIn = confirmed.reduce((sum, leg) => sum.add(leg.amountInRaw), zero);
+  const amountOut = confirmed.every(leg => leg.amountOut)
+    ? confirmed.reduce((sum, leg) => sum.add(leg.amountOut), zero)
+    : null;
+
+  return {
+    legs: confirmed.length,
+    txHashes: confirmed.map(leg => leg.txHash),
+    amountIn: formatAmount(amountIn, fromTokenInfo.decimals),
+    amountOut: amountOut ? formatAmount(amountOut, toTokenInfo.decimals) : null,
+    amountInRemaining: formatAmount(orderAmountIn.sub(amountIn), fromTokenInfo.decimals),
   };
 }
 
+/**
+ * Record a confirmed swap in the cost basis book.
+ * Bookkeeping problems never fail a confirmed swap.
+ */
+async function trackCostBasis(trade) {
+  try {
+    await getCostBasisBook().recordSwap(trade);
+  } catch (error) {
+    logger.warn('Could not record swap cost basis', { txHash: trade.txHash, error: error.message });
+  }
+}
+
 /**
  * Calculate minimum output with slippage tolerance
  */
@@ -253,6 +399,45 @@ function getSupportedDexes(chainId) {
   return dexes;
 }
 
+/**
+ * Place a limit or stop order, filled later by the order watcher
+ */
+function placeLimitOrder(params) {
+  const order = getLimitOrderBook().place(params);
+  return { success: true, action: 'place', order };
+}
+
+/**
+ * Cancel an order; callers with a userId can only cancel their own
+ */
+function cancelLimitOrder(params) {
+  const book = getLimitOrderBook();
+  const existing = book.get(params.orderId);
+  if (existing && params.userId && existing.userId && existing.userId !== params.userId) {
+    throw new ValidationError('orderId', `Unknown order: ${params.orderId}`, params.orderId);
+  }
+  const order = book.cancel(params.orderId);
+  return { success: true, action: 'cancel', order };
+}
+
+/**
+ * Open and partially filled orders, or every order with all: true
+ */
+function listLimitOrders(params = {}) {
+  const orders = getLimitOrderBook().list({
+    active: !params.all,
+    userId: params.userId || null,
+  });
+  return { success: true, action: 'list', orders };
+}
+
+/**
+ * Run one watcher pass over the open orders
+ */
+async function checkLimitOrders() {
+  return getLimitOrderBook().check();
+}
+
 module.exports = {
   executeSwap,
   getQuote,
@@ -260,4 +445,9 @@ module.exports = {
   getSupportedDexes,
   calculateMinOutput,
   calculateActualSlippage,
+  placeLimitOrder,
+  cancelLimitOrder,
+  listLimitOrders,
+  checkLimitOrders,
+  getLimitOrderBook,
 };
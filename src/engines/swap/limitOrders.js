@@ -0,0 +1,665 @@
+/**
+ * Limit Orders
+ * Price-triggered swaps: limit orders that wait for a better price and stop
+ * orders that trade once the price crosses a level
+ *
+ * An order watches one of its two tokens against a USD trigger: "sell 1 ETH
+ * for USDC if ETH > 4000" watches ETH above $4000. Selling the asset above the
+ * trigger or buying it below is a limit order; the other two directions are
+ * stops.
+ *
+ * Each check reads the asset price from the oracle guard (Chainlink, with the
+ * sequencer and staleness checks) and falls back to the pool quote when no
+ * feed exists. When the other side of the trade is a USD stablecoin a limit
+ * order also needs the pool to pay the limit price; if it only can for part
+ * of the order, the largest part down to LIMIT_ORDER_MIN_FILL_PERCENT of the
+ * order fills and the rest keeps waiting. Stop orders fill at market but hold
+ * while the pool price is further from the oracle than the oracle guard
+ * accepts.
+ *
+ * Fills go through executeSwap, so routing, slippage tiers and the
+ * transaction security pipeline all apply. Orders expire after
+ * LIMIT_ORDER_TTL_HOURS unless placed with their own expiry, and persist to
+ * LIMIT_ORDERS_FILE.
+ *
+ * The bots place orders and the scheduler fills them, so both processes share
+ * the file: each change writes back only the order it touched, and a check
+ * re-reads the file first. A fill is recorded as executing before its swap is
+ * sent and settled after it; an order found still executing (the process
+ * stopped mid-swap) is failed rather than filled a second time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { ethers } = require('ethers');
+const config = require('../../config');
+const { getToken, isNativeToken, resolveTokenSymbol } = require('../../config/tokens');
+const { getProvider } = require('../../core/providers');
+const { getSecurityLayer } = require('../../security');
+const { KNOWN_STABLES } = require('../../monitoring/depeg-monitor');
+const notifications = require('../../services/notifications');
+const logger = require('../../utils/logger');
+const { ValidationError } = require('../../utils/errors');
+
+const ORDER_STATUS = {
+  OPEN: 'open',
+  PARTIALLY_FILLED: 'partially_filled',
+  FILLED: 'filled',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+  FAILED: 'failed',
+};
+
+const ORDER_TYPE = {
+  LIMIT: 'limit',
+  STOP: 'stop',
+};
+
+const ORDER_CONDITION = {
+  ABOVE: 'above',
+  BELOW: 'below',
+};
+
+const ORDER_EVENT = {
+  FILLED: 'filled',
+  PARTIALLY_FILLED: 'partial',
+  EXPIRED: 'expired',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const ACTIVE_STATUSES = [ORDER_STATUS.OPEN, ORDER_STATUS.PARTIALLY_FILLED];
+
+// Failed fills in a row before the order is given up
+const MAX_ATTEMPTS = 3;
+
+// Oracle guard's default reject threshold for pool vs oracle prices
+const DEFAULT_MAX_DEVIATION = 0.05;
+
+// Chainlink feeds price the underlying asset
+const FEED_ASSETS = {
+  WETH: 'ETH',
+  WBTC: 'BTC',
+  WMATIC: 'MATIC',
+};
+
+const { Zero, WeiPerEther } = ethers.constants;
+
+const TEN = ethers.BigNumber.from(10);
+
+function isUsdStable(symbol) {
+  return KNOWN_STABLES[resolveTokenSymbol(symbol)]?.pegTarget === 1.0;
+}
+
+function getDecimals(symbol, chainId) {
+  if (isNativeToken(symbol)) return 18;
+  return getToken(symbol, chainId)?.decimals ?? null;
+}
+
+function defaultOraclePrice(pair, chainId) {
+  return getSecurityLayer().oracleGuard.getValidatedPrice(pair, chainId, getProvider(chainId));
+}
+
+class LimitOrderBook extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    const orderConfig = config.limitOrders || {};
+    this.filePath = options.filePath !== undefined ? options.filePath : orderConfig.file;
+    this.interval = options.interval ?? orderConfig.checkInterval ?? 60 * 1000;
+    this.defaultTtl = options.defaultTtl ?? orderConfig.defaultTtl ?? null;
+    this.minFillPercent = options.minFillPercent ?? orderConfig.minFillPercent ?? 10;
+    this.maxDeviation = options.maxDeviation ?? DEFAULT_MAX_DEVIATION;
+
+    // The swap engine is required lazily as it exposes this book
+    this.executeSwap = options.executeSwap || ((params) => require('.').executeSwap(params));
+    this.getQuote = options.getQuote || ((params) => require('.').getQuote(params));
+    this.getOraclePrice = options.getOraclePrice || defaultOraclePrice;
+    this.notify = options.notify || notifications.notifyLimitOrder;
+
+    this.orders = this.load();
+    this.timer = null;
+    this.checking = false;
+  }
+
+  // ============ Orders ============
+
+  /**
+   * Place an order. The watched asset defaults to the side that is not a USD
+   * stablecoin.
+   */
+  place(params) {
+    const fromToken = params.fromToken && resolveTokenSymbol(params.fromToken);
+    const toToken = params.toToken && resolveTokenSymbol(params.toToken);
+    const chainId = params.chainId || 1;
+    const now = params.now ?? Date.now();
+
+    if (!fromToken || !toToken) {
+      throw new ValidationError('tokens', 'Limit order needs a token to sell and a token to buy');
+    }
+    if (fromToken === toToken) {
+      throw new ValidationError('toToken', 'Cannot swap a token for itself', toToken);
+    }
+
+    const fromDecimals = getDecimals(fromToken, chainId);
+    const toDecimals = getDecimals(toToken, chainId);
+    if (fromDecimals === null || toDecimals === null) {
+      throw new ValidationError('tokens', `${fromDecimals === null ? fromToken : toToken} is not available on chain ${chainId}`);
+    }
+
+    let amount;
+    try {
+      amount = ethers.utils.parseUnits(String(params.amount), fromDecimals);
+    } catch {
+      throw new ValidationError('amount', `Invalid amount: ${params.amount}`, params.amount);
+    }
+    if (amount.lte(0)) {
+      throw new ValidationError('amount', 'Order amount must be positive', params.amount);
+    }
+
+    const triggerPrice = Number(params.triggerPrice);
+    if (!Number.isFinite(triggerPrice) || triggerPrice <= 0) {
+      throw new ValidationError('triggerPrice', 'Order needs a positive trigger price', params.triggerPrice);
+    }
+
+    const asset = params.asset
+      ? resolveTokenSymbol(params.asset)
+      : (isUsdStable(fromToken) && !isUsdStable(toToken) ? toToken : fromToken);
+    if (asset !== fromToken && asset !== toToken) {
+      throw new ValidationError('asset', `Order can only watch ${fromToken} or ${toToken}`, asset);
+    }
+    const side = asset === fromToken ? 'sell' : 'buy';
+
+    // "At a price" means the better side of it: sell above, buy below
+    const condition = params.condition ||
+      (side === 'sell' ? ORDER_CONDITION.ABOVE : ORDER_CONDITION.BELOW);
+    if (!Object.values(ORDER_CONDITION).includes(condition)) {
+      throw new ValidationError('condition', `Unknown price condition: ${condition}`, condition);
+    }
+
+    const expiresAt = params.expiresAt ??
+      (params.expiresIn ? now + params.expiresIn : (this.defaultTtl ? now + this.defaultTtl : null));
+    if (expiresAt !== null && expiresAt <= now) {
+      throw new ValidationError('expiresAt', 'Order expiry must be in the future', expiresAt);
+    }
+
+    const order = {
+      id: this.generateId(),
+      status: ORDER_STATUS.OPEN,
+      type: (side === 'sell') === (condition === ORDER_CONDITION.ABOVE) ? ORDER_TYPE.LIMIT : ORDER_TYPE.STOP,
+      side,
+      asset,
+      condition,
+      triggerPrice,
+      fromToken,
+      toToken,
+      chainId,
+      walletAddress: params.walletAddress || 'primary',
+      userId: params.userId || null,
+      amount: ethers.utils.formatUnits(amount, fromDecimals),
+      filled: '0.0',
+      received: '0.0',
+      slippage: params.slippage ?? config.trading.defaultSlippage,
+      allowPartial: params.allowPartial !== false,
+      fills: [],
+      attempts: 0,
+      lastError: null,
+      lastPrice: null,
+      lastCheckedAt: null,
+      createdAt: now,
+      expiresAt,
+    };
+
+    this.persist(order);
+    logger.info('Limit order placed', {
+      id: order.id,
+      type: order.type,
+      asset,
+      condition,
+      triggerPrice,
+    });
+
+    return { ...order };
+  }
+
+  cancel(id, now = Date.now()) {
+    this.refresh();
+    const order = this.orders.get(id);
+    if (!order) {
+      throw new ValidationError('orderId', `Unknown order: ${id}`, id);
+    }
+    if (!ACTIVE_STATUSES.includes(order.status)) {
+      throw new ValidationError('orderId', `Order ${id} is already ${order.status.replace('_', ' ')}`, id);
+    }
+    if (order.executing) {
+      throw new ValidationError('orderId', `Order ${id} is being filled`, id);
+    }
+
+    order.status = ORDER_STATUS.CANCELLED;
+    order.closedAt = now;
+    this.persist(order);
+
+    logger.info('Limit order cancelled', { id });
+    this.emit(`order:${ORDER_EVENT.CANCELLED}`, { ...order });
+    return { ...order };
+  }
+
+  get(id) {
+    this.refresh();
+    const order = this.orders.get(id);
+    return order ? { ...order } : null;
+  }
+
+  /**
+   * Orders oldest first; active limits the list to open and partially filled
+   */
+  list({ status = null, active = false, walletAddress = null, userId = null } = {}) {
+    this.refresh();
+    return [...this.orders.values()]
+      .filter(o => !status || o.status === status)
+      .filter(o => !active || ACTIVE_STATUSES.includes(o.status))
+      .filter(o => !walletAddress || o.walletAddress === walletAddress)
+      .filter(o => !userId || !o.userId || o.userId === userId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(o => ({ ...o }));
+  }
+
+  // ============ Pricing ============
+
+  remaining(order) {
+    const decimals = getDecimals(order.fromToken, order.chainId);
+    return ethers.utils.parseUnits(order.amount, decimals).sub(ethers.utils.parseUnits(order.filled, decimals));
+  }
+
+  /**
+   * USD price the pool pays for the asset on a quote, when the other side
+   * is a USD stablecoin
+   */
+  poolPrice(order, quote) {
+    const counter = order.side === 'sell' ? order.toToken : order.fromToken;
+    if (!quote?.amountOut || !isUsdStable(counter)) return null;
+
+    const amountIn = parseFloat(quote.amountIn);
+    const amountOut = parseFloat(quote.amountOut);
+    if (!amountIn || !amountOut) return null;
+    return order.side === 'sell' ? amountOut / amountIn : amountIn / amountOut;
+  }
+
+  async quote(order, amount) {
+    const decimals = getDecimals(order.fromToken, order.chainId);
+    const result = await this.getQuote({
+      fromToken: order.fromToken,
+      toToken: order.toToken,
+      amount: ethers.utils.formatUnits(amount, decimals),
+      chainId: order.chainId,
+    });
+    return result?.best || result;
+  }
+
+  /**
+   * Oracle price of the asset, with the pool price for the remaining amount
+   */
+  async getPrice(order) {
+    const warnings = [];
+
+    let poolPrice = null;
+    try {
+      poolPrice = this.poolPrice(order, await this.quote(order, this.remaining(order)));
+    } catch (error) {
+      warnings.push(`Pool quote failed: ${error.message}`);
+    }
+
+    let oraclePrice = null;
+    try {
+      const feed = `${FEED_ASSETS[order.asset] || order.asset}/USD`;
+      const result = await this.getOraclePrice(feed, order.chainId);
+      oraclePrice = result.price;
+      warnings.push(...(result.warnings || []));
+    } catch (error) {
+      warnings.push(`Oracle unavailable: ${error.message}`);
+    }
+
+    return {
+      price: oraclePrice ?? poolPrice,
+      source: oraclePrice !== null ? 'oracle' : 'pool',
+      oraclePrice,
+      poolPrice,
+      warnings,
+    };
+  }
+
+  isTriggered(order, price) {
+    return order.condition === ORDER_CONDITION.ABOVE
+      ? price >= order.triggerPrice
+      : price <= order.triggerPrice;
+  }
+
+  meetsLimit(order, poolPrice) {
+    if (poolPrice === null) return true;
+    return order.side === 'sell' ? poolPrice >= order.triggerPrice : poolPrice <= order.triggerPrice;
+  }
+
+  /**
+   * Least a limit order's fill may receive: the limit price applied to the
+   * amount traded, when the other side is a USD stablecoin. Stop orders and
+   * other pairs trade within slippage only.
+   */
+  minOutput(order, amount) {
+    const counter = order.side === 'sell' ? order.toToken : order.fromToken;
+    if (order.type !== ORDER_TYPE.LIMIT || !isUsdStable(counter)) return null;
+
+    const fromDecimals = getDecimals(order.fromToken, order.chainId);
+    const toDecimals = getDecimals(order.toToken, order.chainId);
+    const price = ethers.utils.parseUnits(order.triggerPrice.toFixed(18), 18);
+
+    const out = order.side === 'sell'
+      ? amount.mul(price).mul(TEN.pow(toDecimals)).div(WeiPerEther.mul(TEN.pow(fromDecimals)))
+      : amount.mul(WeiPerEther).mul(TEN.pow(toDecimals)).div(price.mul(TEN.pow(fromDecimals)));
+    return ethers.utils.formatUnits(out, toDecimals);
+  }
+
+  /**
+   * Largest amount the pool fills at the limit price: the whole remainder,
+   * else halves of it down to the minimum fill
+   */
+  async findLimitFill(order, remaining, poolPrice) {
+    if (this.meetsLimit(order, poolPrice)) return remaining;
+    if (!order.allowPartial) return null;
+
+    const decimals = getDecimals(order.fromToken, order.chainId);
+    const total = ethers.utils.parseUnits(order.amount, decimals);
+    const minFill = total.mul(Math.round(this.minFillPercent * 100)).div(10000);
+
+    for (let size = remaining.div(2); size.gt(0) && size.gte(minFill); size = size.div(2)) {
+      const price = this.poolPrice(order, await this.quote(order, size));
+      if (price !== null && this.meetsLimit(order, price)) return size;
+    }
+    return null;
+  }
+
+  // ============ Watching ============
+
+  /**
+   * Check every active order once. Returns the fills, expiries and failures
+   * from this pass.
+   */
+  async check(now = Date.now()) {
+    if (this.checking) return [];
+    this.refresh();
+    this.checking = true;
+
+    const events = [];
+    try {
+      for (const order of this.orders.values()) {
+        if (!ACTIVE_STATUSES.includes(order.status)) continue;
+        const event = await this.checkOrder(order, now);
+        if (event) events.push(event);
+      }
+    } finally {
+      this.checking = false;
+    }
+
+    if (events.length > 0) {
+      logger.info('Limit orders updated', { count: events.length });
+    }
+    return events;
+  }
+
+  async checkOrder(order, now) {
+    if (order.executing) {
+      const { amount, startedAt } = order.executing;
+      order.executing = null;
+      order.status = ORDER_STATUS.FAILED;
+      order.closedAt = now;
+      order.lastError = `Fill of ${amount} ${order.fromToken} started at ${new Date(startedAt).toISOString()} ` +
+        'was interrupted before its result was recorded; check the wallet before placing the order again';
+      this.persist(order);
+      return this.report(ORDER_EVENT.FAILED, order);
+    }
+
+    if (order.expiresAt !== null && now >= order.expiresAt) {
+      order.status = ORDER_STATUS.EXPIRED;
+      order.closedAt = now;
+      this.persist(order);
+      return this.report(ORDER_EVENT.EXPIRED, order);
+    }
+
+    const remaining = this.remaining(order);
+    const pricing = await this.getPrice(order);
+    order.lastPrice = pricing.price;
+    order.lastCheckedAt = now;
+
+    if (pricing.price === null || !this.isTriggered(order, pricing.price)) {
+      return null;
+    }
+
+    let fillAmount = remaining;
+    if (order.type === ORDER_TYPE.LIMIT) {
+      fillAmount = await this.findLimitFill(order, remaining, pricing.poolPrice);
+      if (!fillAmount) {
+        logger.debug('Limit order triggered but pool misses the limit', { id: order.id, poolPrice: pricing.poolPrice });
+        return null;
+      }
+    } else if (pricing.oraclePrice !== null && pricing.poolPrice !== null) {
+      const deviation = Math.abs(pricing.poolPrice - pricing.oraclePrice) / pricing.oraclePrice;
+      if (deviation > this.maxDeviation) {
+        logger.warn('Stop order held: pool price deviates from oracle', {
+          id: order.id,
+          deviation: `${(deviation * 100).toFixed(2)}%`,
+        });
+        return null;
+      }
+    }
+
+    return this.fill(order, fillAmount, pricing, now);
+  }
+
+  async fill(order, amount, pricing, now) {
+    const fromDecimals = getDecimals(order.fromToken, order.chainId);
+
+    // Cancelled by another process while this check priced it
+    const stored = this.readOrders().get(order.id);
+    if (stored && !ACTIVE_STATUSES.includes(stored.status)) {
+      this.orders.set(order.id, stored);
+      return null;
+    }
+
+    order.executing = { amount: ethers.utils.formatUnits(amount, fromDecimals), startedAt: now };
+    this.persist(order);
+
+    let result;
+    try {
+      result = await this.executeSwap({
+        fromToken: order.fromToken,
+        toToken: order.toToken,
+        amount: ethers.utils.formatUnits(amount, fromDecimals),
+        chainId: order.chainId,
+        walletAddress: order.walletAddress,
+        slippage: order.slippage,
+        // The limit price holds on-chain, not only in the quote that triggered the fill
+        minAmountOut: this.minOutput(order, amount),
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    order.executing = null;
+
+    if (!result?.success) {
+      // A split that stopped part way still swapped its confirmed legs
+      const executed = result?.partial ? result.executed : null;
+      if (executed) {
+        this.recordFill(order, {
+          amount: ethers.utils.parseUnits(String(executed.amountIn), fromDecimals),
+          amountOut: executed.amountOut,
+          txHash: executed.txHashes[executed.txHashes.length - 1],
+        }, pricing, now);
+      }
+
+      order.attempts += 1;
+      order.lastError = result?.error || 'Swap did not confirm';
+      logger.warn('Limit order fill failed', { id: order.id, attempts: order.attempts, error: order.lastError });
+
+      if (order.attempts < MAX_ATTEMPTS) {
+        if (executed) order.status = ORDER_STATUS.PARTIALLY_FILLED;
+        this.persist(order);
+        return executed ? this.report(ORDER_EVENT.PARTIALLY_FILLED, order) : null;
+      }
+      order.status = ORDER_STATUS.FAILED;
+      order.closedAt = now;
+      this.persist(order);
+      return this.report(ORDER_EVENT.FAILED, order);
+    }
+
+    this.recordFill(order, { amount, amountOut: result.amountOut, txHash: result.txHash }, pricing, now);
+    order.attempts = 0;
+    order.lastError = null;
+
+    if (this.remaining(order).isZero()) {
+      order.status = ORDER_STATUS.FILLED;
+      order.closedAt = now;
+    } else {
+      order.status = ORDER_STATUS.PARTIALLY_FILLED;
+    }
+    this.persist(order);
+
+    return this.report(order.status === ORDER_STATUS.FILLED ? ORDER_EVENT.FILLED : ORDER_EVENT.PARTIALLY_FILLED, order);
+  }
+
+  /**
+   * Add a confirmed swap to the order's filled and received totals
+   */
+  recordFill(order, { amount, amountOut, txHash }, pricing, now) {
+    const fromDecimals = getDecimals(order.fromToken, order.chainId);
+    const toDecimals = getDecimals(order.toToken, order.chainId);
+
+    const filled = ethers.utils.parseUnits(order.filled, fromDecimals).add(amount);
+    const received = ethers.utils.parseUnits(order.received, toDecimals)
+      .add(amountOut ? ethers.utils.parseUnits(String(amountOut), toDecimals) : Zero);
+
+    order.filled = ethers.utils.formatUnits(filled, fromDecimals);
+    order.received = ethers.utils.formatUnits(received, toDecimals);
+    order.fills.push({
+      amount: ethers.utils.formatUnits(amount, fromDecimals),
+      amountOut: amountOut ?? null,
+      price: pricing.price,
+      priceSource: pricing.source,
+      txHash,
+      at: now,
+    });
+  }
+
+  async report(event, order) {
+    const notice = { event, order: { ...order } };
+    logger.info('Limit order event', { id: order.id, event });
+
+    try {
+      await this.notify(notice);
+    } catch (error) {
+      logger.warn('Limit order notification failed', { id: order.id, error: error.message });
+    }
+
+    this.emit(`order:${event}`, notice.order);
+    return notice;
+  }
+
+  /**
+   * Poll on the configured interval
+   */
+  start() {
+    if (this.timer) return;
+
+    logger.info('Limit order watcher started', { interval: this.interval });
+    const run = () => this.check().catch(error => {
+      logger.error('Limit order check failed', { error: error.message });
+    });
+    run();
+    this.timer = setInterval(run, this.interval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Limit order watcher stopped');
+    }
+  }
+
+  generateId() {
+    let id;
+    do {
+      id = crypto.randomBytes(4).toString('hex');
+    } while (this.orders.has(id));
+    return id;
+  }
+
+  // ============ Persistence ============
+
+  load() {
+    try {
+      return this.readOrders();
+    } catch (error) {
+      logger.warn('Could not read limit orders, starting fresh', { error: error.message });
+      return new Map();
+    }
+  }
+
+  /**
+   * Orders in the file; throws when it cannot be read, so a write never
+   * replaces orders it could not see
+   */
+  readOrders() {
+    const orders = new Map();
+    if (!this.filePath || !fs.existsSync(this.filePath)) return orders;
+    for (const order of JSON.parse(fs.readFileSync(this.filePath, 'utf8')).orders || []) {
+      orders.set(order.id, order);
+    }
+    return orders;
+  }
+
+  /**
+   * Pick up orders other processes placed, cancelled or filled
+   */
+  refresh() {
+    // A running check holds the orders it is working on
+    if (!this.filePath || this.checking) return;
+    this.orders = this.load();
+  }
+
+  /**
+   * Write one order back, leaving the other orders in the file as they are
+   */
+  persist(order) {
+    this.orders.set(order.id, order);
+    if (!this.filePath) return;
+
+    const orders = this.readOrders();
+    orders.set(order.id, order);
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ orders: [...orders.values()] }, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+}
+
+// Shared instance for the router, scheduler and local process
+let sharedBook = null;
+
+function getLimitOrderBook(options = {}) {
+  if (!sharedBook) {
+    sharedBook = new LimitOrderBook(options);
+  }
+  return sharedBook;
+}
+
+module.exports = {
+  ORDER_STATUS,
+  ORDER_TYPE,
+  ORDER_CONDITION,
+  ORDER_EVENT,
+  LimitOrderBook,
+  getLimitOrderBook,
+};
@@ -0,0 +1,419 @@
+/**
+ * Smart Router
+ * Searches multi-hop paths across Uniswap V2 and V3 pools and splits an order
+ * across routes when that beats any single route
+ *
+ * Candidate paths run from the input to the output token through up to
+ * SWAP_MAX_HOPS - 1 intermediates drawn from SWAP_BASE_TOKENS (the chain's
+ * wrapped native token is always a base). V2 paths are quoted with the
+ * router's getAmountsOut; V3 paths take the best fee tier hop by hop and are
+ * re-quoted as one encoded path through the quoter.
+ *
+ * Splitting hands the order out in SWAP_SPLIT_STEP_PERCENT chunks, each to the
+ * route with the best marginal output, across the best routes that share no
+ * pool. Each route is its own transaction, so a split is only kept when it
+ * beats the best single route by SWAP_SPLIT_MIN_GAIN_BPS.
+ *
+ * Paths, fee tiers and the routes competing for a chunk are quoted
+ * concurrently, with at most SWAP_ROUTE_CONCURRENCY quoter calls in flight
+ * so a wide search does not flood the RPC endpoint.
+ *
+ * Quotes have the same shape as the DEX and aggregator quotes plus a routes
+ * list of legs, so getBestRoute ranks them side by side. Price impact compares
+ * the legs' output with what their inputs fetch at each route's mid price.
+ */
+
+const { ethers } = require('ethers');
+const config = require('../../config');
+const { getUniswapV2Router, getUniswapV3Quoter } = require('../../core/contracts');
+const { getChain } = require('../../config/chains');
+const { getToken, isNativeToken, getNativeToken, parseAmount, formatAmount, getWrappedNativeAddress } = require('../../config/tokens');
+const { FEE_TIERS, encodePath } = require('./uniswapV3');
+const logger = require('../../utils/logger');
+
+const DEX = 'smartRouter';
+
+// Mid prices are read from a quote for this fraction of each leg
+const PROBE_DIVISOR = 10000;
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+function getRoutingOptions(overrides = {}) {
+  const routing = config.trading?.routing || {};
+  return {
+    baseTokens: overrides.baseTokens || routing.baseTokens || ['USDC', 'USDT', 'DAI'],
+    maxHops: overrides.maxHops || routing.maxHops || 3,
+    maxSplits: overrides.maxSplits || routing.maxSplits || 3,
+    splitStep: overrides.splitStep || routing.splitStep || 25,
+    minSplitGainBps: overrides.minSplitGainBps ?? routing.minSplitGainBps ?? 10,
+    concurrency: overrides.concurrency || routing.concurrency || 8,
+  };
+}
+
+function resolveToken(symbol, chainId) {
+  if (isNativeToken(symbol)) {
+    const wrapped = getWrappedNativeAddress(chainId);
+    return wrapped ? { ...getNativeToken(chainId), address: wrapped, decimals: 18, isNative: true } : null;
+  }
+  return getToken(symbol, chainId);
+}
+
+/**
+ * Addresses of the base tokens available on a chain, wrapped native first
+ */
+function getBaseTokens(chainId, symbols) {
+  const addresses = [getWrappedNativeAddress(chainId)];
+
+  for (const symbol of symbols) {
+    const token = resolveToken(symbol, chainId);
+    if (token) addresses.push(token.address);
+  }
+
+  return addresses
+    .filter(Boolean)
+    .filter((address, i, all) => all.findIndex(a => sameAddress(a, address)) === i);
+}
+
+/**
+ * Every path from tokenIn to tokenOut with at most maxHops pools, hopping
+ * through distinct base tokens
+ */
+function findPaths(tokenIn, tokenOut, baseTokens, maxHops) {
+  const bases = baseTokens.filter(t => !sameAddress(t, tokenIn) && !sameAddress(t, tokenOut));
+  const paths = [];
+
+  const walk = (path) => {
+    paths.push([...path, tokenOut]);
+    if (path.length >= maxHops) return;
+
+    for (const base of bases) {
+      if (!path.some(t => sameAddress(t, base))) {
+        walk([...path, base]);
+      }
+    }
+  };
+
+  walk([tokenIn]);
+  return paths;
+}
+
+/**
+ * Pool identifiers a route trades through
+ */
+function routePools(route) {
+  return route.path.slice(1).map((token, i) => {
+    const pair = [route.path[i], token].map(t => t.toLowerCase()).sort().join('-');
+    return `${route.dex}:${pair}:${route.fees ? route.fees[i] : ''}`;
+  });
+}
+
+/**
+ * Quotes routes on one chain, memoizing pool calls for the search and
+ * bounding how many run at once
+ */
+class RouteQuoter {
+  constructor(chainId, concurrency = 8) {
+    const chain = getChain(chainId);
+    this.v2 = chain?.contracts?.uniswapV2Router ? getUniswapV2Router(chainId) : null;
+    this.v3 = chain?.contracts?.uniswapV3Quoter && chain?.contracts?.uniswapV3Router
+      ? getUniswapV3Quoter(chainId)
+      : null;
+    this.routers = {
+      uniswapV2: chain?.contracts?.uniswapV2Router,
+      uniswapV3: chain?.contracts?.uniswapV3Router,
+    };
+    this.cache = new Map();
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async memo(key, fn) {
+    if (!this.cache.has(key)) {
+      this.cache.set(key, this.limit(fn).catch(() => null));
+    }
+    return this.cache.get(key);
+  }
+
+  async limit(fn) {
+    while (this.active >= this.concurrency) {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    this.active++;
+    try {
+      return await fn();
+    } finally {
+      this.active--;
+      this.waiting.shift()?.();
+    }
+  }
+
+  async quoteV2(path, amountIn) {
+    if (!this.v2) return null;
+    return this.memo(`v2:${path.join('>')}:${amountIn}`, async () => {
+      const amounts = await this.v2.getAmountsOut(amountIn, path);
+      return amounts[amounts.length - 1];
+    });
+  }
+
+  async quoteV3Hop(tokenIn, tokenOut, fee, amountIn) {
+    return this.memo(`v3:${tokenIn}>${tokenOut}:${fee}:${amountIn}`, () =>
+      this.v3.callStatic.quoteExactInputSingle(tokenIn, tokenOut, fee, amountIn, 0));
+  }
+
+  /**
+   * Best fee tier for each hop in turn; later hops only grow with their
+   * input, so the best tier per hop gives the best path
+   */
+  async quoteV3(path, amountIn) {
+    if (!this.v3) return null;
+
+    const fees = [];
+    let amount = amountIn;
+    for (let i = 0; i < path.length - 1; i++) {
+      const outs = await Promise.all(FEE_TIERS.map(fee => this.quoteV3Hop(path[i], path[i + 1], fee, amount)));
+
+      let best = null;
+      outs.forEach((out, j) => {
+        if (out && out.gt(0) && (!best || out.gt(best.out))) {
+          best = { fee: FEE_TIERS[j], out };
+        }
+      });
+      if (!best) return null;
+      fees.push(best.fee);
+      amount = best.out;
+    }
+
+    return { fees, amountOut: amount };
+  }
+
+  /**
+   * Re-quote a found route for a different amount
+   */
+  async quoteRoute(route, amountIn) {
+    if (amountIn.isZero()) return ethers.constants.Zero;
+
+    if (route.dex === 'uniswapV2') {
+      return this.quoteV2(route.path, amountIn);
+    }
+
+    if (route.path.length === 2) {
+      return this.quoteV3Hop(route.path[0], route.path[1], route.fees[0], amountIn);
+    }
+    return this.memo(`v3path:${route.path.join('>')}:${route.fees.join(',')}:${amountIn}`, () =>
+      this.v3.callStatic.quoteExactInput(encodePath(route.path, route.fees), amountIn));
+  }
+
+  /**
+   * Quote every path on every pool type, best output first
+   */
+  async findRoutes(paths, amountIn) {
+    const quoted = await Promise.all(paths.map(path =>
+      Promise.all([this.quoteV2(path, amountIn), this.quoteV3(path, amountIn)])));
+
+    const routes = [];
+    quoted.forEach(([v2Out, v3], i) => {
+      if (v2Out && v2Out.gt(0)) {
+        routes.push({ dex: 'uniswapV2', path: paths[i], fees: null, amountOutRaw: v2Out });
+      }
+      if (v3) {
+        routes.push({ dex: 'uniswapV3', path: paths[i], fees: v3.fees, amountOutRaw: v3.amountOut });
+      }
+    });
+
+    return routes
+      .map(route => ({ ...route, routerAddress: this.routers[route.dex] }))
+      .sort((a, b) => (b.amountOutRaw.gt(a.amountOutRaw) ? 1 : b.amountOutRaw.lt(a.amountOutRaw) ? -1 : 0));
+  }
+}
+
+/**
+ * The best routes that share no pool with a better one
+ */
+function selectDisjointRoutes(routes, limit) {
+  const selected = [];
+  const used = new Set();
+
+  for (const route of routes) {
+    if (selected.length >= limit) break;
+    const pools = routePools(route);
+    if (pools.some(pool => used.has(pool))) continue;
+
+    pools.forEach(pool => used.add(pool));
+    selected.push(route);
+  }
+
+  return selected;
+}
+
+/**
+ * Hand the order out chunk by chunk to the route with the best marginal
+ * output. Returns legs with their input and output, or null if a chunk
+ * could not be placed.
+ */
+async function splitOrder(quoter, routes, amountIn, splitStep) {
+  const chunks = Math.max(1, Math.round(100 / splitStep));
+  const amountAt = (n) => (n === chunks ? amountIn : amountIn.mul(n).div(chunks));
+
+  const outputs = routes.map(route => new Map([[0, ethers.constants.Zero], [chunks, route.amountOutRaw]]));
+  const outputAt = async (i, n) => {
+    if (!outputs[i].has(n)) {
+      outputs[i].set(n, await quoter.quoteRoute(routes[i], amountAt(n)));
+    }
+    return outputs[i].get(n);
+  };
+
+  const allocation = routes.map(() => 0);
+  for (let chunk = 0; chunk < chunks; chunk++) {
+    const gains = await Promise.all(routes.map(async (route, i) => {
+      const next = await outputAt(i, allocation[i] + 1);
+      return next ? next.sub(await outputAt(i, allocation[i])) : null;
+    }));
+
+    let bestIndex = -1;
+    let bestGain = null;
+    gains.forEach((gain, i) => {
+      if (gain && (!bestGain || gain.gt(bestGain))) {
+        bestIndex = i;
+        bestGain = gain;
+      }
+    });
+
+    if (bestIndex < 0) return null;
+    allocation[bestIndex]++;
+  }
+
+  // Rounding dust goes to the largest leg so the legs add up to the order
+  const used = routes.map((route, i) => ({ route, chunks: allocation[i] })).filter(leg => leg.chunks > 0);
+  const largest = used.reduce((a, b) => (b.chunks > a.chunks ? b : a));
+  const assigned = used.reduce((sum, leg) => sum.add(leg === largest ? 0 : amountAt(leg.chunks)), ethers.constants.Zero);
+
+  const legs = await Promise.all(used.map(async (leg) => {
+    const legIn = leg === largest ? amountIn.sub(assigned) : amountAt(leg.chunks);
+    const legOut = await quoter.quoteRoute(leg.route, legIn);
+    return legOut ? { ...leg.route, amountInRaw: legIn, amountOutRaw: legOut } : null;
+  }));
+
+  return legs.every(Boolean) ? legs : null;
+}
+
+/**
+ * Price impact in percent: how far the legs' output falls short of what
+ * their inputs would fetch at each route's mid price, taken from a quote
+ * for a sliver of the leg. Null when a route cannot be probed.
+ */
+async function estimatePriceImpact(quoter, legs) {
+  let ideal = 0;
+  let actual = 0;
+
+  const probes = await Promise.all(legs.map(async (leg) => {
+    const sliver = leg.amountInRaw.div(PROBE_DIVISOR);
+    const probeIn = sliver.gt(0) ? sliver : ethers.BigNumber.from(1);
+    return { probeIn, probeOut: await quoter.quoteRoute(leg, probeIn) };
+  }));
+
+  for (let i = 0; i < legs.length; i++) {
+    const { probeIn, probeOut } = probes[i];
+    if (!probeOut || probeOut.isZero()) return null;
+    ideal += Number(legs[i].amountInRaw.mul(probeOut).div(probeIn));
+    actual += Number(legs[i].amountOutRaw);
+  }
+
+  if (ideal <= 0) return null;
+  return Math.max(0, Math.round((1 - actual / ideal) * 10000) / 100);
+}
+
+/**
+ * Get a quote routed across multi-hop and split paths
+ */
+async function getQuote(params) {
+  const { fromToken, toToken, amount, chainId } = params;
+  const options = getRoutingOptions(params.routing);
+
+  const fromTokenInfo = resolveToken(fromToken, chainId);
+  const toTokenInfo = resolveToken(toToken, chainId);
+  if (!fromTokenInfo || !toTokenInfo || sameAddress(fromTokenInfo.address, toTokenInfo.address)) {
+    return null;
+  }
+
+  try {
+    const amountIn = parseAmount(amount, fromTokenInfo.decimals);
+    const quoter = new RouteQuoter(chainId, options.concurrency);
+    if (!quoter.v2 && !quoter.v3) return null;
+
+    const paths = findPaths(
+      fromTokenInfo.address,
+      toTokenInfo.address,
+      getBaseTokens(chainId, options.baseTokens),
+      options.maxHops
+    );
+    const routes = await quoter.findRoutes(paths, amountIn);
+    if (routes.length === 0) return null;
+
+    const best = routes[0];
+    let legs = [{ ...best, amountInRaw: amountIn }];
+
+    const candidates = selectDisjointRoutes(routes, options.maxSplits);
+    if (candidates.length > 1) {
+      const split = await splitOrder(quoter, candidates, amountIn, options.splitStep);
+      if (split && split.length > 1) {
+        const total = split.reduce((sum, leg) => sum.add(leg.amountOutRaw), ethers.constants.Zero);
+        const gainBps = total.sub(best.amountOutRaw).mul(10000).div(best.amountOutRaw).toNumber();
+        if (gainBps >= options.minSplitGainBps) {
+          legs = split;
+        }
+      }
+    }
+
+    const amountOutRaw = legs.reduce((sum, leg) => sum.add(leg.amountOutRaw), ethers.constants.Zero);
+    const amountOut = formatAmount(amountOutRaw, toTokenInfo.decimals);
+    const priceImpact = await estimatePriceImpact(quoter, legs);
+
+    logger.debug('Smart router quote', {
+      paths: paths.length,
+      routes: routes.length,
+      legs: legs.length,
+      amountOut,
+    });
+
+    return {
+      dex: DEX,
+      fromToken,
+      toToken,
+      amountIn: formatAmount(amountIn, fromTokenInfo.decimals),
+      amountInRaw: amountIn,
+      amountOut,
+      amountOutRaw,
+      path: legs[0].path,
+      fee: legs[0].fees ? legs[0].fees[0] : undefined,
+      split: legs.length > 1,
+      routes: legs.map(leg => ({
+        dex: leg.dex,
+        path: leg.path,
+        fees: leg.fees,
+        share: Number(leg.amountInRaw.mul(10000).div(amountIn)) / 100,
+        amountIn: formatAmount(leg.amountInRaw, fromTokenInfo.decimals),
+        amountInRaw: leg.amountInRaw,
+        amountOut: formatAmount(leg.amountOutRaw, toTokenInfo.decimals),
+        amountOutRaw: leg.amountOutRaw,
+        routerAddress: leg.routerAddress,
+      })),
+      priceImpact,
+      routerAddress: legs.length === 1 ? legs[0].routerAddress : null,
+      rate: (parseFloat(amountOut) / parseFloat(amount)).toFixed(6),
+    };
+  } catch (error) {
+    logger.warn('Smart router quote failed', { error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  getQuote,
+  findPaths,
+  getBaseTokens,
+  selectDisjointRoutes,
+  splitOrder,
+  RouteQuoter,
+};
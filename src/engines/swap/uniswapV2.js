@@ -84,9 +84,9 @@ async function getQuote(params) {
 }
 
 /**
- * Execute a V2 swap
+ * Build an unsigned V2 swap transaction
  */
-async function executeSwap(params) {
+async function buildSwapTransaction(params) {
   const {
     fromToken,
     toToken,
@@ -99,39 +99,23 @@ async function executeSwap(params) {
     path,
   } = params;
 
-  const chain = getChain(chainId);
   const router = getUniswapV2Router(chainId, signer);
   const deadlineTimestamp = createDeadline(deadline);
 
-  logger.info('Executing Uniswap V2 swap', {
-    path: path.map(p => p.slice(0, 10)),
-    amountIn: amountIn.toString(),
-    minAmountOut: minAmountOut.toString(),
-  });
-
-  let tx;
-
   if (fromToken.isNative) {
     // ETH -> Token
-    tx = await router.swapExactETHForTokens(
+    return router.populateTransaction.swapExactETHForTokens(
       minAmountOut,
       path,
       userAddress,
       deadlineTimestamp,
       { value: amountIn }
     );
-  } else if (isNativeToken(toToken.symbol)) {
+  }
+
+  if (isNativeToken(toToken.symbol)) {
     // Token -> ETH
-    tx = await router.swapExactTokensForETH(
-      amountIn,
-      minAmountOut,
-      path,
-      userAddress,
-      deadlineTimestamp
-    );
-  } else {
-    // Token -> Token
-    tx = await router.swapExactTokensForTokens(
+    return router.populateTransaction.swapExactTokensForETH(
       amountIn,
       minAmountOut,
       path,
@@ -140,40 +124,71 @@ async function executeSwap(params) {
     );
   }
 
-  logger.info('Swap transaction sent', { txHash: tx.hash });
-
-  // Wait for confirmation
-  const receipt = await tx.wait();
+  // Token -> Token
+  return router.populateTransaction.swapExactTokensForTokens(
+    amountIn,
+    minAmountOut,
+    path,
+    userAddress,
+    deadlineTimestamp
+  );
+}
 
-  // Parse swap event to get actual output
-  let amountOut = null;
+/**
+ * Parse the actual output amount from a V2 swap receipt
+ */
+function parseSwapOutput(receipt) {
   try {
     const swapInterface = new ethers.utils.Interface([
       'event Swap(address indexed sender, uint amount0In, uint amount1In, uint amount0Out, uint amount1Out, address indexed to)',
     ]);
 
-    for (const log of receipt.logs) {
+    // Last Swap event is the final hop
+    let amountOut = null;
+    for (const log of receipt.logs || []) {
       try {
         const parsed = swapInterface.parseLog(log);
         if (parsed.name === 'Swap') {
           amountOut = parsed.args.amount0Out.gt(0)
             ? parsed.args.amount0Out
             : parsed.args.amount1Out;
-          break;
         }
       } catch {
         // Not a Swap event
       }
     }
+    return amountOut;
   } catch (error) {
     logger.warn('Could not parse swap output', { error: error.message });
+    return null;
   }
+}
+
+/**
+ * Execute a V2 swap
+ */
+async function executeSwap(params) {
+  const { amountIn, minAmountOut, signer, path } = params;
+
+  logger.info('Executing Uniswap V2 swap', {
+    path: path.map(p => p.slice(0, 10)),
+    amountIn: amountIn.toString(),
+    minAmountOut: minAmountOut.toString(),
+  });
+
+  const txRequest = await buildSwapTransaction(params);
+  const tx = await signer.sendTransaction(txRequest);
+
+  logger.info('Swap transaction sent', { txHash: tx.hash });
+
+  // Wait for confirmation
+  const receipt = await tx.wait();
 
   return {
     success: receipt.status === 1,
     txHash: tx.hash,
     gasUsed: receipt.gasUsed.toString(),
-    amountOut,
+    amountOut: parseSwapOutput(receipt),
     blockNumber: receipt.blockNumber,
   };
 }
@@ -200,5 +215,7 @@ async function pairExists(tokenA, tokenB, chainId) {
 module.exports = {
   getQuote,
   executeSwap,
+  buildSwapTransaction,
+  parseSwapOutput,
   pairExists,
 };
@@ -13,6 +13,29 @@ const { createDeadline } = require('../../utils/helpers');
 // Common fee tiers in V3
 const FEE_TIERS = [500, 3000, 10000]; // 0.05%, 0.3%, 1%
 
+/**
+ * Encode a multi-hop path for the quoter and router:
+ * token (20 bytes) followed by fee (3 bytes) and the next token for each hop
+ */
+function encodePath(tokens, fees) {
+  if (tokens.length !== fees.length + 1) {
+    throw new Error('V3 path needs one fee per hop');
+  }
+
+  const types = [];
+  const values = [];
+  tokens.forEach((token, i) => {
+    types.push('address');
+    values.push(token);
+    if (i < fees.length) {
+      types.push('uint24');
+      values.push(fees[i]);
+    }
+  });
+
+  return ethers.utils.solidityPack(types, values);
+}
+
 /**
  * Get a quote for a V3 swap
  */
@@ -101,9 +124,9 @@ async function getQuote(params) {
 }
 
 /**
- * Execute a V3 swap
+ * Build an unsigned V3 swap transaction
  */
-async function executeSwap(params) {
+async function buildSwapTransaction(params) {
   const {
     fromToken,
     toToken,
@@ -114,24 +137,30 @@ async function executeSwap(params) {
     chainId,
     deadline = 10,
     fee = 3000, // Default to 0.3%
+    path,
+    fees,
   } = params;
 
-  const chain = getChain(chainId);
   const router = getUniswapV3Router(chainId, signer);
   const deadlineTimestamp = createDeadline(deadline);
+  const overrides = fromToken.isNative ? { value: amountIn } : {};
+
+  // Multi-hop routes (from the smart router) carry one fee per hop
+  if (path && path.length > 2) {
+    return router.populateTransaction.exactInput({
+      path: encodePath(path, fees),
+      recipient: userAddress,
+      deadline: deadlineTimestamp,
+      amountIn,
+      amountOutMinimum: minAmountOut,
+    }, overrides);
+  }
 
   // Get addresses
   const wethAddress = getWrappedNativeAddress(chainId);
   const tokenIn = fromToken.isNative ? wethAddress : fromToken.address;
   const tokenOut = isNativeToken(toToken.symbol) ? wethAddress : toToken.address;
 
-  logger.info('Executing Uniswap V3 swap', {
-    tokenIn: tokenIn.slice(0, 10),
-    tokenOut: tokenOut.slice(0, 10),
-    fee,
-    amountIn: amountIn.toString(),
-  });
-
   // Build swap params
   const swapParams = {
     tokenIn,
@@ -144,37 +173,34 @@ async function executeSwap(params) {
     sqrtPriceLimitX96: 0,
   };
 
-  let tx;
-
   if (fromToken.isNative) {
     // ETH -> Token
-    tx = await router.exactInputSingle(swapParams, { value: amountIn });
-  } else {
-    // Token -> Token or Token -> ETH
-    tx = await router.exactInputSingle(swapParams);
+    return router.populateTransaction.exactInputSingle(swapParams, { value: amountIn });
   }
 
-  logger.info('V3 Swap transaction sent', { txHash: tx.hash });
-
-  // Wait for confirmation
-  const receipt = await tx.wait();
+  // Token -> Token or Token -> ETH
+  return router.populateTransaction.exactInputSingle(swapParams);
+}
 
-  // Parse swap event to get actual output
+/**
+ * Parse the actual output amount from a V3 swap receipt
+ */
+function parseSwapOutput(receipt) {
   let amountOut = null;
   try {
     const swapInterface = new ethers.utils.Interface([
       'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
     ]);
 
-    for (const log of receipt.logs) {
+    for (const log of receipt.logs || []) {
       try {
         const parsed = swapInterface.parseLog(log);
         if (parsed.name === 'Swap') {
-          // The output amount is the positive value
+          // The output amount is the negative delta (tokens leaving the pool);
+          // the last Swap event is the final hop
           const amount0 = parsed.args.amount0;
           const amount1 = parsed.args.amount1;
-          amountOut = amount0.gt(0) ? amount0 : amount1.abs();
-          break;
+          amountOut = amount0.lt(0) ? amount0.abs() : amount1.abs();
         }
       } catch {
         // Not a Swap event
@@ -184,11 +210,33 @@ async function executeSwap(params) {
     logger.warn('Could not parse V3 swap output', { error: error.message });
   }
 
+  return amountOut;
+}
+
+/**
+ * Execute a V3 swap
+ */
+async function executeSwap(params) {
+  const { amountIn, signer, fee = 3000 } = params;
+
+  logger.info('Executing Uniswap V3 swap', {
+    fee,
+    amountIn: amountIn.toString(),
+  });
+
+  const txRequest = await buildSwapTransaction(params);
+  const tx = await signer.sendTransaction(txRequest);
+
+  logger.info('V3 Swap transaction sent', { txHash: tx.hash });
+
+  // Wait for confirmation
+  const receipt = await tx.wait();
+
   return {
     success: receipt.status === 1,
     txHash: tx.hash,
     gasUsed: receipt.gasUsed.toString(),
-    amountOut,
+    amountOut: parseSwapOutput(receipt),
     blockNumber: receipt.blockNumber,
   };
 }
@@ -228,6 +276,9 @@ async function findBestFeeTier(tokenA, tokenB, chainId) {
 module.exports = {
   getQuote,
   executeSwap,
+  buildSwapTransaction,
+  parseSwapOutput,
   findBestFeeTier,
+  encodePath,
   FEE_TIERS,
 };
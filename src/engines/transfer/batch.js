@@ -7,7 +7,8 @@ const { ethers } = require('ethers');
 const { getToken, isNativeToken, getNativeToken, parseAmount, formatAmount } = require('../../config/tokens');
 const { getConnectedWallet, hasSufficientBalance } = require('../../core/wallets');
 const { getERC20Contract, getMulticall3 } = require('../../core/contracts');
-const { getExplorerTxUrl, getChain } = require('../../config/chains');
+const { getChain } = require('../../config/chains');
+const { sendSecuredTransaction } = require('../../core/transactions');
 const logger = require('../../utils/logger');
 const { InsufficientBalanceError } = require('../../utils/errors');
 
@@ -96,9 +97,10 @@ async function batchTransferWithMulticall(params) {
 
   logger.info('Executing multicall batch transfer', { callCount: calls.length });
 
-  // Execute multicall
-  const tx = await multicall.aggregate3(calls);
-  const receipt = await tx.wait();
+  // Execute multicall through the security layer
+  const txRequest = await multicall.populateTransaction.aggregate3(calls);
+  const result = await sendSecuredTransaction(signer, txRequest);
+  const { receipt } = result;
 
   // Calculate gas saved vs individual transfers
   const estimatedIndividualGas = 65000 * transfers.length; // Approximate gas per transfer
@@ -107,8 +109,8 @@ async function batchTransferWithMulticall(params) {
 
   return {
     success: receipt.status === 1,
-    txHash: tx.hash,
-    explorerUrl: getExplorerTxUrl(chainId, tx.hash),
+    txHash: result.hash,
+    explorerUrl: result.explorerUrl,
     from: fromAddress,
     transfers: transfers.map(t => ({
       to: t.address,
@@ -141,13 +143,13 @@ async function batchTransferSequential(params) {
   for (const transfer of transfers) {
     try {
       const amount = parseAmount(transfer.amount, tokenInfo.decimals);
-      const tx = await tokenContract.transfer(transfer.address, amount);
-      const receipt = await tx.wait();
+      const txRequest = await tokenContract.populateTransaction.transfer(transfer.address, amount);
+      const { hash, receipt } = await sendSecuredTransaction(signer, txRequest);
 
       results.push({
         to: transfer.address,
         amount: transfer.amount,
-        txHash: tx.hash,
+        txHash: hash,
         success: receipt.status === 1,
         gasUsed: receipt.gasUsed.toString(),
       });
@@ -255,13 +257,14 @@ async function batchTransferNativeWithMulticall(params) {
     callData: '0x', // Empty calldata for simple ETH transfer
   }));
 
-  const tx = await multicall.aggregate3Value(calls, { value: totalAmount });
-  const receipt = await tx.wait();
+  const txRequest = await multicall.populateTransaction.aggregate3Value(calls, { value: totalAmount });
+  const result = await sendSecuredTransaction(signer, txRequest);
+  const { receipt } = result;
 
   return {
     success: receipt.status === 1,
-    txHash: tx.hash,
-    explorerUrl: getExplorerTxUrl(chainId, tx.hash),
+    txHash: result.hash,
+    explorerUrl: result.explorerUrl,
     from: fromAddress,
     transfers: transfers.map(t => ({
       to: t.address,
@@ -287,16 +290,15 @@ async function batchTransferNativeSequential(params) {
   for (const transfer of transfers) {
     try {
       const amount = parseAmount(transfer.amount, nativeToken.decimals);
-      const tx = await signer.sendTransaction({
+      const { hash, receipt } = await sendSecuredTransaction(signer, {
         to: transfer.address,
         value: amount,
       });
-      const receipt = await tx.wait();
 
       results.push({
         to: transfer.address,
         amount: transfer.amount,
-        txHash: tx.hash,
+        txHash: hash,
         success: receipt.status === 1,
         gasUsed: receipt.gasUsed.toString(),
       });
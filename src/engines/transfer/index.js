@@ -10,8 +10,54 @@ const { getChain, getExplorerTxUrl } = require('../../config/chains');
 const { getToken, isNativeToken, getNativeToken, parseAmount, formatAmount } = require('../../config/tokens');
 const { getConnectedWallet, getAllWalletAddresses, hasSufficientBalance, resolveWalletIdentifier } = require('../../core/wallets');
 const { resolveAddress } = require('../../core/providers');
+const { getDepegGuard } = require('../../security/depeg-guard');
+const { getCostBasisBook } = require('../portfolio/costBasis');
 const logger = require('../../utils/logger');
 
+/**
+ * Refuse to move a depeg-paused stable into another of our own wallets;
+ * sending it to an external address reduces exposure and stays allowed
+ */
+function assertDepegAllowed(token, recipients) {
+  const guard = getDepegGuard();
+  if (!guard.isPaused(token)) return;
+
+  const managed = new Set(getAllWalletAddresses().map(w => w.address.toLowerCase()));
+  const internal = recipients.some(address => managed.has(String(address).toLowerCase()));
+  guard.assertTransferAllowed({ token, internal });
+}
+
+/**
+ * Record payments in the cost basis book: into our own wallets so tax lots
+ * follow the tokens, to anyone else so the tokens leave the book.
+ * Bookkeeping must never fail a transfer that went through.
+ */
+async function trackTransfers(result, token, chainId) {
+  if (!result?.success) return;
+
+  const managed = new Set(getAllWalletAddresses().map(w => w.address.toLowerCase()));
+  const payments = result.transfers || [{ to: result.to, amount: result.amount }];
+
+  for (const payment of payments) {
+    if (payment.success === false) continue;
+    const internal = managed.has(String(payment.to).toLowerCase());
+    const record = {
+      from: result.from,
+      to: payment.to,
+      chainId,
+      token: result.token || token,
+      amount: payment.amount,
+      txHash: payment.txHash || result.txHash,
+    };
+    try {
+      const book = getCostBasisBook();
+      await (internal ? book.recordTransfer(record) : book.recordSend(record));
+    } catch (error) {
+      logger.warn('Could not record transfer', { to: payment.to, internal, error: error.message });
+    }
+  }
+}
+
 /**
  * Execute a single transfer
  */
@@ -26,13 +72,27 @@ async function executeTransfer(params) {
 
   logger.info('Executing transfer', { token, amount, to, chainId });
 
-  return single.transfer({
+  // "wallet 2" style recipients refer to one of our own wallets
+  let recipient = to;
+  if (typeof to === 'string' && /^(?:primary|wallet\d+)$/i.test(to)) {
+    recipient = resolveWalletIdentifier(to);
+    if (!recipient) {
+      throw new Error(`Wallet not found: ${to}`);
+    }
+  }
+
+  assertDepegAllowed(token, [recipient]);
+
+  const result = await single.transfer({
     token,
     amount,
-    to,
+    to: recipient,
     chainId,
     walletAddress,
   });
+
+  await trackTransfers(result, token, chainId);
+  return result;
 }
 
 /**
@@ -79,12 +139,17 @@ async function executeBatchTransfer(params) {
     }))
   );
 
-  return batch.batchTransfer({
+  assertDepegAllowed(token, resolvedTransfers.map(t => t.address));
+
+  const result = await batch.batchTransfer({
     token,
     transfers: resolvedTransfers,
     chainId,
     walletAddress,
   });
+
+  await trackTransfers(result, token, chainId);
+  return result;
 }
 
 /**
@@ -127,11 +192,20 @@ async function distributeToWallets(params) {
 }
 
 /**
- * Get transfer history (from transaction manager)
+ * Get transfer history (from the transaction ledger)
+ *
+ * Accepts walletAddress as an alias or address, plus any ledger filter
+ * (chainId, status, commandId, limit).
  */
 function getTransferHistory(options = {}) {
   const { getTransactionHistory } = require('../../core/transactions');
-  return getTransactionHistory(options);
+  const { walletAddress, ...filter } = options;
+
+  if (walletAddress) {
+    filter.wallet = resolveWalletIdentifier(walletAddress) || walletAddress;
+  }
+
+  return getTransactionHistory(filter);
 }
 
 /**
@@ -8,7 +8,7 @@ const { getToken, isNativeToken, getNativeToken, parseAmount, formatAmount } = r
 const { getConnectedWallet, hasSufficientBalance } = require('../../core/wallets');
 const { resolveAddress } = require('../../core/providers');
 const { getERC20Contract } = require('../../core/contracts');
-const { sendTransaction } = require('../../core/transactions');
+const { sendSecuredTransaction } = require('../../core/transactions');
 const { getExplorerTxUrl } = require('../../config/chains');
 const logger = require('../../utils/logger');
 const { InsufficientBalanceError } = require('../../utils/errors');
@@ -42,8 +42,8 @@ async function transferNative(params) {
     symbol: nativeToken.symbol,
   });
 
-  // Execute transfer
-  const result = await sendTransaction(signer, {
+  // Execute transfer through the security layer
+  const result = await sendSecuredTransaction(signer, {
     to: toAddress,
     value: amountWei,
   });
@@ -56,7 +56,7 @@ async function transferNative(params) {
     to: toAddress,
     amount: formatAmount(amountWei, nativeToken.decimals),
     token: nativeToken.symbol,
-    gasUsed: result.receipt?.gasUsed?.toString(),
+    gasUsed: result.gasUsed,
   };
 }
 
@@ -103,20 +103,20 @@ async function transferERC20(params) {
   // Get token contract
   const tokenContract = getERC20Contract(tokenInfo.address, chainId, signer);
 
-  // Execute transfer
-  const tx = await tokenContract.transfer(toAddress, amountRaw);
-  const receipt = await tx.wait();
+  // Execute transfer through the security layer
+  const txRequest = await tokenContract.populateTransaction.transfer(toAddress, amountRaw);
+  const result = await sendSecuredTransaction(signer, txRequest);
 
   return {
-    success: receipt.status === 1,
-    txHash: tx.hash,
-    explorerUrl: getExplorerTxUrl(chainId, tx.hash),
+    success: result.status === 'confirmed',
+    txHash: result.hash,
+    explorerUrl: result.explorerUrl,
     from: fromAddress,
     to: toAddress,
     amount: formatAmount(amountRaw, tokenInfo.decimals),
     token: tokenInfo.symbol,
     tokenAddress: tokenInfo.address,
-    gasUsed: receipt.gasUsed.toString(),
+    gasUsed: result.gasUsed,
   };
 }
 
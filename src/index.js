@@ -9,7 +9,14 @@ const router = require('./router');
 const notifications = require('./services/notifications');
 const swapEngine = require('./engines/swap');
 const transferEngine = require('./engines/transfer');
+const bridgeEngine = require('./engines/bridge');
 const airdropEngine = require('./engines/airdrop');
+const portfolioEngine = require('./engines/portfolio');
+const { getSecurityLayer } = require('./security');
+const { getTrustedCalls } = require('./security/trusted-calls');
+const { getDepegGuard } = require('./security/depeg-guard');
+const { createDepegMonitor } = require('./monitoring/depeg-monitor');
+const { getSharedStore } = require('./core/store');
 const config = require('./config');
 const logger = require('./utils/logger');
 
@@ -25,6 +32,16 @@ async function initialize() {
     throw new Error('Invalid configuration');
   }
 
+  // Create the shared security layer every engine executes through
+  const security = getSecurityLayer({
+    logger,
+    adminUserId: process.env.ADMIN_USER_ID,
+    depeg: { safeTargets: config.depeg.safeTargets },
+  });
+
+  // The layer may already exist, so trust the engines' calls on it directly
+  security.inputValidator.addTrustedCalls(getTrustedCalls());
+
   // Initialize Web3 Core
   const web3Status = await web3Core.initialize();
   logger.info('Web3 Core initialized', web3Status);
@@ -52,6 +69,20 @@ async function processCommand(input, context = {}) {
   return router.processCommand(input, context);
 }
 
+/**
+ * Confirm a command that returned a confirmationId
+ */
+async function confirmCommand(confirmationId, context = {}) {
+  return router.confirmPendingCommand(confirmationId, context);
+}
+
+/**
+ * Cancel a command that returned a confirmationId
+ */
+async function cancelCommand(confirmationId, context = {}) {
+  return router.cancelPendingCommand(confirmationId, context);
+}
+
 /**
  * Execute a swap
  */
@@ -80,6 +111,27 @@ async function getBalances(params) {
   return web3Core.getBalances(params);
 }
 
+/**
+ * Value every managed wallet in USD with realized and unrealized PnL
+ */
+async function getPortfolio(params = {}) {
+  return portfolioEngine.getPortfolio(params);
+}
+
+/**
+ * Tax-lot report of claims, swaps and internal transfers
+ */
+function getTaxReport(params = {}) {
+  return portfolioEngine.getTaxReport(params);
+}
+
+/**
+ * Tax report as generic, Koinly or CoinTracker CSV
+ */
+function exportTaxReport(params = {}) {
+  return portfolioEngine.exportTaxReport(params);
+}
+
 /**
  * Get swap quote
  */
@@ -94,6 +146,212 @@ async function checkAirdrop(params) {
   return airdropEngine.checkEligibility(params);
 }
 
+/**
+ * Claim an airdrop for every managed wallet
+ */
+async function batchClaim(params) {
+  return airdropEngine.batchClaimAirdrop(params);
+}
+
+/**
+ * Plan the costed steps toward an airdrop's criteria
+ */
+async function planAirdrop(params) {
+  return airdropEngine.planEligibility(params);
+}
+
+/**
+ * Queue a plan's steps as commands the user confirms one by one
+ */
+async function queueAirdropPlan(plan, context = {}) {
+  return router.queueAirdropPlan(plan, context);
+}
+
+/**
+ * Alert on claim windows that opened or are about to close
+ */
+async function checkClaimWindows() {
+  return airdropEngine.checkClaimWindows();
+}
+
+/**
+ * Report tracked points and their daily trend from stored snapshots
+ */
+function getPoints(params) {
+  return airdropEngine.getPoints(params);
+}
+
+/**
+ * Report unlock progress of claimed allocations that vest
+ */
+async function getVesting(params) {
+  return airdropEngine.getVesting(params);
+}
+
+/**
+ * Notify on newly unlocked or claimable vested tokens
+ */
+async function checkVesting() {
+  return airdropEngine.checkVesting();
+}
+
+/**
+ * Place a limit or stop order
+ */
+function placeLimitOrder(params) {
+  return swapEngine.placeLimitOrder(params);
+}
+
+/**
+ * Cancel an open limit or stop order
+ */
+function cancelLimitOrder(params) {
+  return swapEngine.cancelLimitOrder(params);
+}
+
+/**
+ * List limit and stop orders
+ */
+function listLimitOrders(params) {
+  return swapEngine.listLimitOrders(params);
+}
+
+/**
+ * Fill, expire or hold open orders against current prices
+ */
+async function checkLimitOrders() {
+  return swapEngine.checkLimitOrders();
+}
+
+/**
+ * Advance a tracked bridge transfer and report where it stands
+ */
+async function getBridgeStatus(bridgeTxId) {
+  return bridgeEngine.checkBridgeStatus(bridgeTxId);
+}
+
+/**
+ * List bridge transfers this process sent that have not arrived or failed
+ */
+function getActiveBridges() {
+  return bridgeEngine.getActiveBridges();
+}
+
+/**
+ * Check bridge transfers in flight on an interval, announcing arrivals
+ * @returns {Function} Stop function
+ */
+function startBridgeWatcher(options = {}) {
+  return bridgeEngine.startBridgeWatcher(options);
+}
+
+/**
+ * Queue confirmed-only swaps out of a depeg-paused stable
+ */
+async function queueDepegDeRisk(symbol, context = {}) {
+  return router.queueDepegDeRisk(symbol, context);
+}
+
+/**
+ * Watch stablecoin pegs and feed pauses into the depeg guard
+ *
+ * Each new pause is announced; with depeg.deRisk enabled the swaps out of
+ * the stable are queued for depeg.deRisk.userId to confirm. With
+ * announce: false the monitor only pauses execution in this process, for a
+ * daemon running alongside one that announces.
+ *
+ * @param {object} [options] - monitor (prebuilt DepegMonitor), context for queueing, announce
+ * @returns {Function} Stop function
+ */
+function startDepegMonitor(options = {}) {
+  const depegConfig = config.depeg;
+  const guard = getDepegGuard();
+  const monitor = options.monitor || createDepegMonitor({
+    checkInterval: depegConfig.checkInterval,
+    defaultStables: depegConfig.stables,
+  });
+
+  if (options.announce === false) {
+    const detach = guard.attach(monitor);
+    monitor.start();
+    return () => {
+      monitor.stop();
+      detach();
+    };
+  }
+
+  const onPaused = async ({ symbol, severity, deviation }) => {
+    const lines = [`🚨 **${symbol} depeg (${severity})**: swaps into ${symbol} are paused`];
+    try {
+      if (depegConfig.deRisk.enabled) {
+        const result = await router.queueDepegDeRisk(symbol, {
+          userId: depegConfig.deRisk.userId,
+          ...options.context,
+        });
+        lines.push(result.queued.length > 0
+          ? `${result.queued.length} de-risk swap(s) into ${result.queued[0].toToken} await confirmation (/pending)`
+          : `No ${symbol} balances to de-risk`);
+      }
+    } catch (error) {
+      logger.error('Depeg de-risk failed', { symbol, error: error.message });
+      lines.push(`De-risk could not be queued: ${error.message}`);
+    }
+    logger.warn('Stablecoin depeg pause', { symbol, severity, deviation });
+    await notifications.notify(lines.join('\n'), { type: 'alert' });
+  };
+  const onResumed = ({ symbol }) =>
+    notifications.notify(`✅ **${symbol} back on peg**: operations resumed`, { type: 'info' });
+
+  const detach = guard.attach(monitor);
+  guard.on('paused', onPaused);
+  guard.on('resumed', onResumed);
+  monitor.start();
+
+  return () => {
+    monitor.stop();
+    detach();
+    guard.off('paused', onPaused);
+    guard.off('resumed', onResumed);
+  };
+}
+
+// Monitor checked by syncDepegPauses, kept while the function instance is warm
+let syncMonitor = null;
+
+/**
+ * Bring the depeg guard up to date in a Netlify function
+ *
+ * Functions cannot keep the monitor running, so pauses are shared between
+ * them through the shared store, and the pegs are checked at most once per
+ * depeg.checkInterval per function instance. A no-op unless the depeg
+ * monitor is enabled; a failed sync leaves the guard as it was.
+ *
+ * @param {object} [options] - monitor (prebuilt DepegMonitor), store
+ * @returns {Promise<object>} Depeg guard state
+ */
+async function syncDepegPauses(options = {}) {
+  const guard = getDepegGuard();
+  if (!config.depeg.enabled) return guard.getState();
+
+  if (!syncMonitor) {
+    syncMonitor = options.monitor || createDepegMonitor({
+      checkInterval: config.depeg.checkInterval,
+      defaultStables: config.depeg.stables,
+    });
+    syncMonitor.on('error', ({ symbol, error }) => logger.warn('Depeg check failed', { symbol, error }));
+    guard.attach(syncMonitor);
+  }
+
+  const due = Date.now() - (syncMonitor.stats.lastCheck || 0) >= config.depeg.checkInterval;
+  try {
+    await guard.sync(options.store || getSharedStore('depeg-pauses'), due ? syncMonitor : null);
+  } catch (error) {
+    logger.warn('Depeg pause sync failed', { error: error.message });
+  }
+
+  return guard.getState();
+}
+
 /**
  * Send notification
  */
@@ -105,7 +363,18 @@ async function notify(message, options) {
  * Get system status
  */
 async function getStatus() {
-  return web3Core.getStatus();
+  const status = await web3Core.getStatus();
+  return {
+    ...status,
+    security: getSecurityLayer().getHealthStatus(),
+  };
+}
+
+/**
+ * Halt all engine execution through the shared security layer
+ */
+function emergencyStop(reason) {
+  return getSecurityLayer().emergencyStop(reason);
 }
 
 /**
@@ -122,6 +391,8 @@ module.exports = {
 
   // Main entry points
   processCommand,
+  confirmCommand,
+  cancelCommand,
   chat,
 
   // Direct operations
@@ -129,12 +400,34 @@ module.exports = {
   transfer,
   batchTransfer,
   getBalances,
+  getPortfolio,
+  getTaxReport,
+  exportTaxReport,
   getQuote,
+  placeLimitOrder,
+  cancelLimitOrder,
+  listLimitOrders,
+  checkLimitOrders,
+  getBridgeStatus,
+  getActiveBridges,
+  startBridgeWatcher,
   checkAirdrop,
+  batchClaim,
+  planAirdrop,
+  queueAirdropPlan,
+  queueDepegDeRisk,
+  startDepegMonitor,
+  syncDepegPauses,
+  checkClaimWindows,
+  getPoints,
+  getVesting,
+  checkVesting,
 
   // Services
   notify,
   getStatus,
+  emergencyStop,
+  getSecurityLayer,
 
   // Submodules
   web3Core,
@@ -143,7 +436,9 @@ module.exports = {
   notifications,
   swapEngine,
   transferEngine,
+  bridgeEngine,
   airdropEngine,
+  portfolioEngine,
   config,
   logger,
 };
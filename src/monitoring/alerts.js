@@ -23,7 +23,8 @@ class AlertSystem extends EventEmitter {
    * Create an AlertSystem instance
    * @param {Object} config - Configuration options
    * @param {Object} [config.logger] - Logger instance
-   * @param {Object} [config.notificationService] - Notification service
+   * @param {Object} [config.notificationService] - Notification service; one
+   *   with notifyAlert(alert) gets the whole alert to route by rule
    * @param {Object} [config.thresholds] - Alert thresholds
    * @param {Object} [config.rateLimits] - Rate limiting config
    * @param {number} [config.deduplicationWindowMs] - Dedup window (default: 5 min)
@@ -99,6 +100,7 @@ class AlertSystem extends EventEmitter {
       SYSTEM: 'system',
       KEY: 'key',
       CONFIG: 'config',
+      AIRDROP: 'airdrop',
     };
 
     // Alert levels
@@ -544,6 +546,39 @@ class AlertSystem extends EventEmitter {
     );
   }
 
+  /**
+   * Send airdrop claim window opened alert
+   * @param {string} protocol - Campaign name
+   * @param {string} wallet - Wallet address
+   * @param {string} amount - Claimable amount
+   * @param {Object} [data] - Additional data
+   */
+  async alertClaimWindowOpen(protocol, wallet, amount, data = {}) {
+    return this.sendAlert(
+      this.LEVELS.MEDIUM,
+      this.CATEGORIES.AIRDROP,
+      `${protocol} claim open: ${amount} claimable by ${wallet}`,
+      { protocol, wallet, amount, ...data }
+    );
+  }
+
+  /**
+   * Send airdrop claim window closing alert
+   * @param {string} protocol - Campaign name
+   * @param {string} wallet - Wallet address
+   * @param {string} amount - Unclaimed amount
+   * @param {number} hoursLeft - Hours until the claim deadline
+   * @param {Object} [data] - Additional data
+   */
+  async alertClaimWindowClosing(protocol, wallet, amount, hoursLeft, data = {}) {
+    return this.sendAlert(
+      this.LEVELS.HIGH,
+      this.CATEGORIES.AIRDROP,
+      `${protocol} claim closes in ${hoursLeft}h: ${amount} still unclaimed by ${wallet}`,
+      { protocol, wallet, amount, hoursLeft, ...data }
+    );
+  }
+
   // ============ Private Methods ============
 
   /**
@@ -690,6 +725,10 @@ class AlertSystem extends EventEmitter {
     if (!this.notificationService) return null;
 
     try {
+      if (typeof this.notificationService.notifyAlert === 'function') {
+        return await this.notificationService.notifyAlert(alert);
+      }
+
       const emoji = {
         critical: '🚨',
         high: '⚠️',
@@ -7,14 +7,54 @@ const ai = require('../ai');
 const swapEngine = require('../engines/swap');
 const transferEngine = require('../engines/transfer');
 const airdropEngine = require('../engines/airdrop');
+const bridgeEngine = require('../engines/bridge');
+const portfolioEngine = require('../engines/portfolio');
 const web3Core = require('../core');
 const validator = require('./validator');
+const { getPendingCommands, PendingStatus } = require('./pending');
+const { getLedger, runWithCommand } = require('../core/ledger');
+const { PERMISSION } = require('../security/access-control');
+const { getDepegGuard } = require('../security/depeg-guard');
+const { getToken } = require('../config/tokens');
 const logger = require('../utils/logger');
 const config = require('../config');
 
 // Rate limiting state
 const rateLimiter = new Map();
 
+// Command lifecycle states recorded in the ledger
+const CommandStatus = {
+  AWAITING_CONFIRMATION: 'awaiting_confirmation',
+  EXECUTING: 'executing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+};
+
+// Permission each command type needs when the caller passes context.accessControl
+const COMMAND_PERMISSIONS = {
+  SWAP: PERMISSION.EXECUTE_SWAP,
+  TRANSFER: PERMISSION.EXECUTE_WITHDRAW,
+  BATCH_TRANSFER: PERMISSION.EXECUTE_WITHDRAW,
+  BRIDGE: PERMISSION.EXECUTE_WITHDRAW,
+  BALANCE: PERMISSION.VIEW_BALANCES,
+  PORTFOLIO: PERMISSION.VIEW_BALANCES,
+  QUOTE: PERMISSION.VIEW_BALANCES,
+  GAS: PERMISSION.VIEW_BALANCES,
+  STATUS: PERMISSION.VIEW_TRANSACTIONS,
+  AIRDROP_CHECK: PERMISSION.VIEW_POSITIONS,
+  POINTS_CHECK: PERMISSION.VIEW_POSITIONS,
+  LIMIT_ORDER: PERMISSION.EXECUTE_SWAP,
+};
+
+/**
+ * Generate a command id
+ */
+function generateCommandId() {
+  return `cmd_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
 /**
  * Process a natural language command
  */
@@ -35,6 +75,17 @@ async function processCommand(input, context = {}) {
       };
     }
 
+    // A bare "yes"/"no" answers the user's latest pending confirmation
+    const reply = context.userId ? parseConfirmationReply(input) : null;
+    if (reply) {
+      const latest = (await getPendingCommands().list(context.userId)).pop();
+      if (latest) {
+        return reply === 'confirm'
+          ? confirmPendingCommand(latest.id, context)
+          : cancelPendingCommand(latest.id, context);
+      }
+    }
+
     // Parse the command using AI layer
     const parsed = await ai.processCommand(input, context);
 
@@ -43,23 +94,96 @@ async function processCommand(input, context = {}) {
         success: false,
         error: parsed.error,
         suggestions: parsed.suggestions,
+        // Multi-turn: the AI layer is waiting for the missing details
+        ...(parsed.awaitingInput && {
+          awaitingInput: true,
+          intent: parsed.intent,
+          missing: parsed.missing,
+          prompt: parsed.prompt,
+        }),
       };
     }
 
-    // If confirmation is required, return the confirmation prompt
-    if (parsed.requiresConfirmation && !context.confirmed) {
+    const denied = checkCommandPermission(parsed.command, context);
+    if (denied) {
+      return { success: false, error: denied, intent: parsed.intent };
+    }
+
+    // If confirmation is required, park the command until it is confirmed by id
+    if (parsed.requiresConfirmation) {
+      const commandId = context.commandId || generateCommandId();
+      getLedger().recordCommand({
+        id: commandId,
+        userId,
+        input,
+        intent: parsed.intent,
+        type: parsed.command.type,
+        chainId: parsed.command.chainId,
+        status: CommandStatus.AWAITING_CONFIRMATION,
+        createdAt: startTime,
+      });
+
+      const pending = await getPendingCommands().create({
+        command: parsed.command,
+        commandId,
+        userId,
+        input,
+        intent: parsed.intent,
+        confirmationMessage: parsed.confirmationMessage,
+      });
+
       return {
         success: true,
         requiresConfirmation: true,
+        confirmationId: pending.id,
+        expiresAt: pending.expiresAt,
+        commandId,
         confirmationMessage: parsed.confirmationMessage,
         command: parsed.command,
         intent: parsed.intent,
+        ...depegFields(),
       };
     }
 
+    return await runCommand(parsed.command, {
+      commandId: context.commandId || generateCommandId(),
+      userId,
+      input,
+      intent: parsed.intent,
+      startTime,
+    }, context);
+  } catch (error) {
+    logger.error('Command processing error', { error: error.message });
+    return {
+      success: false,
+      error: error.message,
+      suggestions: ai.getSuggestions(input),
+    };
+  }
+}
+
+/**
+ * Validate, record and execute a parsed command
+ */
+async function runCommand(command, meta, context = {}) {
+  const { commandId, userId, input, intent, startTime } = meta;
+  const ledger = getLedger();
+
+  try {
+    const denied = checkCommandPermission(command, context);
+    if (denied) {
+      if (ledger.getCommand(commandId)) {
+        ledger.recordCommand({ id: commandId, status: CommandStatus.FAILED, error: denied, completedAt: Date.now() });
+      }
+      return { success: false, error: denied, intent };
+    }
+
     // Validate the command
-    const validation = await validator.validateCommand(parsed.command);
+    const validation = await validator.validateCommand(command);
     if (!validation.valid) {
+      if (ledger.getCommand(commandId)) {
+        ledger.recordCommand({ id: commandId, status: CommandStatus.FAILED, error: validation.error, completedAt: Date.now() });
+      }
       return {
         success: false,
         error: validation.error,
@@ -67,28 +191,58 @@ async function processCommand(input, context = {}) {
       };
     }
 
-    // Execute the command
-    const result = await executeCommand(parsed.command, context);
+    // Record the command and execute it; transactions sent inside are tagged with its id
+    ledger.recordCommand({
+      id: commandId,
+      userId,
+      input,
+      intent,
+      type: command.type,
+      chainId: command.chainId,
+      status: CommandStatus.EXECUTING,
+      createdAt: ledger.getCommand(commandId)?.createdAt || startTime,
+    });
+
+    const result = await runWithCommand(commandId, () => executeCommand(command, context));
 
     // Generate response
-    const response = ai.generateResponse(result, parsed.command);
+    const response = ai.generateResponse(result, command);
 
     const duration = Date.now() - startTime;
-    logger.info('Command completed', { intent: parsed.intent, duration, success: result.success });
+    logger.info('Command completed', { intent, duration, success: result.success });
+
+    ledger.recordCommand({
+      id: commandId,
+      status: result.success === false ? CommandStatus.FAILED : CommandStatus.COMPLETED,
+      txHash: result.txHash || null,
+      error: result.success === false ? (result.error || result.message || null) : null,
+      completedAt: Date.now(),
+      duration,
+    });
 
     return {
       success: result.success,
-      intent: parsed.intent,
+      intent,
+      commandId,
       response,
       result,
       duration,
+      ...depegFields(),
     };
   } catch (error) {
-    logger.error('Command processing error', { error: error.message });
+    logger.error('Command execution error', { commandId, error: error.message });
+    ledger.recordCommand({
+      id: commandId,
+      status: CommandStatus.FAILED,
+      error: error.message,
+      completedAt: Date.now(),
+    });
     return {
       success: false,
       error: error.message,
-      suggestions: ai.getSuggestions(input),
+      commandId,
+      suggestions: input ? ai.getSuggestions(input) : [],
+      ...depegFields(),
     };
   }
 }
@@ -123,6 +277,13 @@ async function executeCommand(command, context = {}) {
         walletAddress,
       });
 
+    case 'BRIDGE':
+      return bridgeEngine.executeBridge({
+        ...params,
+        fromChainId: chainId,
+        walletAddress,
+      });
+
     case 'BALANCE':
       return web3Core.getBalances({
         ...params,
@@ -130,6 +291,9 @@ async function executeCommand(command, context = {}) {
         walletAddress: params.wallet || walletAddress,
       });
 
+    case 'PORTFOLIO':
+      return portfolioEngine.getPortfolio(params);
+
     case 'QUOTE':
       return swapEngine.getQuote({
         ...params,
@@ -142,6 +306,15 @@ async function executeCommand(command, context = {}) {
         walletAddress,
       });
 
+    case 'POINTS_CHECK':
+      return airdropEngine.getPoints({
+        ...params,
+        walletAddress,
+      });
+
+    case 'LIMIT_ORDER':
+      return executeLimitOrderCommand(command, context);
+
     case 'GAS':
       return getGasInfo(chainId);
 
@@ -159,6 +332,28 @@ async function executeCommand(command, context = {}) {
   }
 }
 
+/**
+ * Place, cancel or list limit orders for the calling user
+ */
+async function executeLimitOrderCommand(command, context) {
+  const { params, chainId, walletAddress } = command;
+  const userId = context.userId || null;
+
+  switch (params.action) {
+    case 'cancel':
+      return swapEngine.cancelLimitOrder({ orderId: params.orderId, userId });
+    case 'list':
+      return swapEngine.listLimitOrders({ all: params.all, userId });
+    default:
+      return swapEngine.placeLimitOrder({
+        ...params,
+        chainId,
+        walletAddress,
+        userId,
+      });
+  }
+}
+
 /**
  * Get gas information for a chain
  */
@@ -197,6 +392,24 @@ async function getGasInfo(chainId) {
   };
 }
 
+/**
+ * Check the caller may run a command; returns an error message or null
+ */
+function checkCommandPermission(command, context = {}) {
+  const permission = COMMAND_PERMISSIONS[command.type];
+  if (!context.accessControl || !permission) {
+    return null;
+  }
+
+  const userId = context.userId || 'anonymous';
+  if (context.accessControl.hasPermission(userId, permission)) {
+    return null;
+  }
+
+  logger.warn('Command denied', { userId, type: command.type, permission });
+  return `Access denied: ${command.type} requires ${permission}`;
+}
+
 /**
  * Check rate limits for a user
  */
@@ -241,19 +454,259 @@ async function executeDirectCommand(command, context = {}) {
 }
 
 /**
- * Get command history for a user
+ * Get command history for a user (newest first, with their transactions)
  */
 function getCommandHistory(userId, limit = 10) {
-  // Would be stored in database in production
-  return [];
+  return getLedger().queryCommands({ userId, limit });
+}
+
+/**
+ * Confirm a pending command by its confirmation id and execute it
+ *
+ * The command is re-quoted first; if the price or gas moved beyond the
+ * configured thresholds it stays pending and must be confirmed again.
+ */
+async function confirmPendingCommand(confirmationId, context = {}) {
+  const userId = context.userId || 'anonymous';
+  const outcome = await getPendingCommands().confirm(confirmationId, { userId });
+
+  if (!outcome.ok) {
+    return pendingFailure(confirmationId, outcome);
+  }
+
+  const { entry } = outcome;
+  logger.info('Pending command confirmed', { confirmationId, commandId: entry.commandId });
+
+  return runCommand(entry.command, {
+    commandId: entry.commandId,
+    userId: entry.userId,
+    input: entry.input,
+    intent: entry.intent,
+    startTime: Date.now(),
+  }, context);
 }
 
 /**
- * Cancel a pending command
+ * Cancel a pending command by its confirmation id
  */
-async function cancelPendingCommand(commandId) {
-  // Would cancel pending confirmations
-  return { success: true, cancelled: true };
+async function cancelPendingCommand(confirmationId, context = {}) {
+  const userId = context.userId || 'anonymous';
+  const outcome = await getPendingCommands().cancel(confirmationId, { userId });
+
+  if (!outcome.ok) {
+    return pendingFailure(confirmationId, outcome);
+  }
+
+  getLedger().recordCommand({
+    id: outcome.entry.commandId,
+    status: CommandStatus.CANCELLED,
+    completedAt: Date.now(),
+  });
+
+  return { success: true, cancelled: true, confirmationId, commandId: outcome.entry.commandId };
+}
+
+/**
+ * Queue the automatable steps of an airdrop gap plan as pending commands
+ *
+ * Each step becomes its own confirmation so the user can accept or skip it
+ * individually; confirming re-quotes exactly like an interactive command.
+ * Steps without a command, or that the caller may not run, are returned in
+ * skipped.
+ */
+async function queueAirdropPlan(plan, context = {}) {
+  const userId = context.userId || 'anonymous';
+  const ttl = context.ttl ?? config.airdrop?.planTtl;
+  const queued = [];
+  const skipped = [];
+
+  for (const step of plan.steps) {
+    if (!step.command) {
+      skipped.push({ ruleId: step.ruleId, summary: step.summary, reason: 'No automated action for this step' });
+      continue;
+    }
+
+    const denied = checkCommandPermission(step.command, context);
+    if (denied) {
+      skipped.push({ ruleId: step.ruleId, summary: step.summary, reason: denied });
+      continue;
+    }
+
+    const input = `${plan.name} plan: ${step.summary}`;
+    queued.push({
+      ruleId: step.ruleId,
+      summary: step.summary,
+      ...await queueCommand(step.command, { userId, input, ttl }),
+    });
+  }
+
+  logger.info('Airdrop plan queued', { campaign: plan.campaign, queued: queued.length, skipped: skipped.length });
+
+  return { success: true, campaign: plan.campaign, queued, skipped };
+}
+
+/**
+ * Queue swaps out of a depeg-paused stable into the safest unpaused one
+ *
+ * One swap per managed wallet and chain holding a balance, each its own
+ * confirmation; nothing executes until the user confirms. Chains where the
+ * stable or every safe target is unlisted are skipped.
+ *
+ * @param {string} symbol - Paused stablecoin
+ * @param {object} context - userId, accessControl, chains, ttl
+ */
+async function queueDepegDeRisk(symbol, context = {}) {
+  const userId = context.userId || 'anonymous';
+  const chains = context.chains || config.depeg?.deRisk?.chains || [1];
+  const guard = getDepegGuard();
+  const queued = [];
+  const skipped = [];
+
+  for (const chainId of chains) {
+    const token = getToken(symbol, chainId);
+    const target = token && guard.getSafeTarget(token.symbol, candidate => !!getToken(candidate, chainId));
+    if (!target) {
+      skipped.push({ chainId, reason: token ? 'No safe stable listed on this chain' : `${symbol} not listed on this chain` });
+      continue;
+    }
+
+    for (const wallet of web3Core.wallets.getAllWalletAddresses()) {
+      let balance;
+      try {
+        balance = await web3Core.wallets.getTokenBalance(wallet.address, token.address, chainId);
+      } catch (error) {
+        skipped.push({ chainId, wallet: wallet.alias, reason: `Balance check failed: ${error.message}` });
+        continue;
+      }
+      if (balance.raw.isZero()) continue;
+
+      const command = {
+        type: 'SWAP',
+        chainId,
+        walletAddress: wallet.address,
+        params: { fromToken: token.symbol, toToken: target, amount: balance.formatted, slippage: 0.5, dex: 'auto' },
+      };
+
+      const denied = checkCommandPermission(command, context);
+      if (denied) {
+        skipped.push({ chainId, wallet: wallet.alias, reason: denied });
+        continue;
+      }
+
+      const pause = guard.getPause(token.symbol);
+      const input = `De-risk ${wallet.alias}: ${token.symbol} is off peg${pause ? ` (${guard.describe(pause)})` : ''}`;
+      queued.push({
+        chainId,
+        wallet: wallet.alias,
+        fromToken: token.symbol,
+        toToken: target,
+        amount: balance.formatted,
+        ...await queueCommand(command, { userId, input, ttl: context.ttl }),
+      });
+    }
+  }
+
+  logger.info('Depeg de-risk queued', { symbol, queued: queued.length, skipped: skipped.length });
+
+  return { success: true, symbol, queued, skipped, ...depegFields() };
+}
+
+/**
+ * Record a pre-built command as awaiting confirmation and park it
+ */
+async function queueCommand(command, { userId, input, ttl }) {
+  const commandId = generateCommandId();
+  getLedger().recordCommand({
+    id: commandId,
+    userId,
+    input,
+    intent: command.type,
+    type: command.type,
+    chainId: command.chainId,
+    status: CommandStatus.AWAITING_CONFIRMATION,
+    createdAt: Date.now(),
+  });
+
+  const confirmationMessage = `${input}\n\n${ai.generateConfirmation(command)}`;
+  const pending = await getPendingCommands().create({
+    command,
+    commandId,
+    userId,
+    input,
+    intent: command.type,
+    confirmationMessage,
+    ttl,
+  });
+
+  return {
+    confirmationId: pending.id,
+    commandId,
+    expiresAt: pending.expiresAt,
+    confirmationMessage,
+  };
+}
+
+/**
+ * Depeg pauses and active events to attach to a response, if there are any
+ */
+function depegFields() {
+  const state = getDepegGuard().getState();
+  return state.active ? { depeg: state } : {};
+}
+
+/**
+ * List a user's commands still waiting for confirmation
+ */
+async function listPendingCommands(userId) {
+  await expirePendingCommands();
+  return (await getPendingCommands().list(userId)).map(entry => ({
+    confirmationId: entry.id,
+    commandId: entry.commandId,
+    intent: entry.intent,
+    command: entry.command,
+    confirmationMessage: entry.confirmationMessage,
+    expiresAt: entry.expiresAt,
+  }));
+}
+
+/**
+ * Mark expired confirmations in the ledger
+ */
+async function expirePendingCommands(now = Date.now()) {
+  const expired = await getPendingCommands().sweep(now);
+  for (const entry of expired) {
+    getLedger().recordCommand({ id: entry.commandId, status: CommandStatus.EXPIRED, completedAt: now });
+  }
+  return expired.length;
+}
+
+function parseConfirmationReply(input) {
+  const normalized = input.trim().toLowerCase().replace(/[.!]+$/, '');
+  if (['yes', 'y', 'confirm', 'ok', 'go'].includes(normalized)) return 'confirm';
+  if (['no', 'n', 'cancel', 'stop', 'abort'].includes(normalized)) return 'cancel';
+  return null;
+}
+
+function pendingFailure(confirmationId, outcome) {
+  if (outcome.status === PendingStatus.EXPIRED && outcome.entry) {
+    getLedger().recordCommand({ id: outcome.entry.commandId, status: CommandStatus.EXPIRED, completedAt: Date.now() });
+  }
+
+  if (outcome.status === PendingStatus.MOVED) {
+    return {
+      success: false,
+      error: outcome.error,
+      requiresConfirmation: true,
+      confirmationId,
+      expiresAt: outcome.entry.expiresAt,
+      commandId: outcome.entry.commandId,
+      confirmationMessage: outcome.entry.confirmationMessage,
+      command: outcome.entry.command,
+      intent: outcome.entry.intent,
+    };
+  }
+
+  return { success: false, error: outcome.error, status: outcome.status, confirmationId };
 }
 
 module.exports = {
@@ -261,6 +714,14 @@ module.exports = {
   executeCommand,
   executeDirectCommand,
   checkRateLimit,
+  checkCommandPermission,
   getCommandHistory,
+  confirmPendingCommand,
   cancelPendingCommand,
+  listPendingCommands,
+  expirePendingCommands,
+  queueAirdropPlan,
+  queueDepegDeRisk,
+  CommandStatus,
+  COMMAND_PERMISSIONS,
 };
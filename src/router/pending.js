@@ -0,0 +1,281 @@
+/**
+ * Pending Commands
+ * Registry of commands waiting for the user to confirm them
+ *
+ * Each entry gets a short confirmation id that expires. The quote and gas
+ * price shown to the user are snapshotted, and confirming re-quotes: if the
+ * output got worse or gas rose beyond the configured thresholds the command
+ * is not executed and the user is asked to confirm again at the new numbers.
+ *
+ * Entries are kept in the shared store (core/store), so a confirmation can
+ * reach a different Netlify function than the one that issued it. A confirm
+ * claims its entry with the store's compareAndSet, so two confirmations of
+ * the same id cannot both execute it.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const swapEngine = require('../engines/swap');
+const { getGasPrice } = require('../core/providers');
+const { getSharedStore } = require('../core/store');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Why a confirm or cancel did not go through
+const PendingStatus = {
+  NOT_FOUND: 'not_found',
+  EXPIRED: 'expired',
+  FORBIDDEN: 'forbidden',
+  IN_PROGRESS: 'in_progress',
+  MOVED: 'moved',
+};
+
+// A confirmation that has not finished by then (e.g. its function timed out) no longer blocks retries
+const CONFIRM_TIMEOUT = 60 * 1000;
+
+class PendingCommands {
+  constructor(options = {}) {
+    const defaults = config.confirmations || {};
+    this.ttl = options.ttl ?? defaults.ttl ?? 2 * 60 * 1000;
+    this.maxPriceMove = options.maxPriceMove ?? defaults.maxPriceMove ?? 1.0;
+    this.maxGasIncrease = options.maxGasIncrease ?? defaults.maxGasIncrease ?? 25;
+
+    // Re-quoting sources, swappable for alternate quoters
+    this.getQuote = options.getQuote || swapEngine.getQuote;
+    this.getGasPrice = options.getGasPrice || getGasPrice;
+
+    this.store = options.store || getSharedStore('pending-commands');
+
+    // Ids being claimed by this process
+    this.claiming = new Set();
+  }
+
+  /**
+   * Register a command and snapshot the numbers it was shown with
+   */
+  async create({ command, commandId, userId, input, intent, confirmationMessage, ttl }) {
+    await this.sweep();
+
+    const entry = {
+      id: await this.generateId(),
+      commandId,
+      userId,
+      input,
+      intent,
+      command,
+      confirmationMessage,
+      snapshot: await this.takeSnapshot(command),
+      createdAt: Date.now(),
+      // Queued plan steps wait longer than interactive confirmations
+      ttl: ttl ?? this.ttl,
+      expiresAt: Date.now() + (ttl ?? this.ttl),
+      confirmingAt: null,
+    };
+
+    await this.store.set(entry.id, entry);
+    logger.info('Command awaiting confirmation', { confirmationId: entry.id, commandId, type: command.type });
+
+    return entry;
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Pending entries for a user, oldest first
+   */
+  async list(userId) {
+    await this.sweep();
+    return (await this.store.list())
+      .filter(e => !userId || e.userId === userId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Claim an entry for execution after re-quoting it
+   *
+   * Returns { ok: true, entry } once the entry is removed from the registry,
+   * or { ok: false, status, error } when it cannot run. A MOVED entry stays
+   * pending with fresh numbers and a new expiry.
+   */
+  async confirm(id, { userId } = {}) {
+    const claim = await this.claim(id, userId);
+    if (!claim.ok) return claim;
+
+    const { entry } = claim;
+
+    try {
+      const current = await this.takeSnapshot(entry.command);
+      const moved = this.compareSnapshots(entry.snapshot, current);
+
+      if (moved) {
+        const rearmed = await this.release(entry, { snapshot: current, expiresAt: Date.now() + entry.ttl });
+        logger.warn('Confirmation refused, market moved', { confirmationId: id, reason: moved });
+        return { ok: false, status: PendingStatus.MOVED, error: moved, entry: rearmed || entry };
+      }
+
+      await this.store.delete(id);
+      return { ok: true, entry, snapshot: current };
+    } catch (error) {
+      await this.release(entry);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an entry as being confirmed, unless another confirmation (in this
+   * process or another) holds it. Returns { ok: true, entry } like check.
+   */
+  async claim(id, userId) {
+    const busy = { ok: false, status: PendingStatus.IN_PROGRESS, error: 'This command is already being confirmed' };
+    if (this.claiming.has(id)) return busy;
+
+    this.claiming.add(id);
+    try {
+      const check = await this.check(id, userId);
+      if (!check.ok) return check;
+
+      const claimed = await this.store.compareAndSet(id, { ...check.entry, confirmingAt: Date.now() }, check.entry.version ?? null);
+      return claimed ? { ok: true, entry: claimed } : busy;
+    } finally {
+      this.claiming.delete(id);
+    }
+  }
+
+  /**
+   * Hand a claimed entry back to the registry, optionally with changes
+   */
+  async release(entry, changes = {}) {
+    const released = await this.store.compareAndSet(entry.id, { ...entry, ...changes, confirmingAt: null }, entry.version);
+    if (!released) {
+      logger.warn('Pending command changed while it was being confirmed', { confirmationId: entry.id });
+    }
+    return released;
+  }
+
+  /**
+   * Drop an entry without executing it
+   */
+  async cancel(id, { userId } = {}) {
+    const check = await this.check(id, userId);
+    if (!check.ok) return check;
+
+    await this.store.delete(id);
+    logger.info('Pending command cancelled', { confirmationId: id });
+    return { ok: true, entry: check.entry };
+  }
+
+  async check(id, userId) {
+    const entry = await this.store.get(id);
+
+    if (!entry) {
+      return { ok: false, status: PendingStatus.NOT_FOUND, error: 'No pending command with that confirmation id' };
+    }
+    if (entry.userId && userId !== entry.userId) {
+      return { ok: false, status: PendingStatus.FORBIDDEN, error: 'This command belongs to another user' };
+    }
+    if (Date.now() > entry.expiresAt) {
+      await this.store.delete(id);
+      return { ok: false, status: PendingStatus.EXPIRED, error: 'Confirmation expired, please send the command again', entry };
+    }
+    if (this.isConfirming(entry)) {
+      return { ok: false, status: PendingStatus.IN_PROGRESS, error: 'This command is already being confirmed' };
+    }
+
+    return { ok: true, entry };
+  }
+
+  /**
+   * Remove expired entries and return them
+   */
+  async sweep(now = Date.now()) {
+    const expired = [];
+    for (const entry of await this.store.list()) {
+      if (now > entry.expiresAt && !this.isConfirming(entry, now)) {
+        await this.store.delete(entry.id);
+        expired.push(entry);
+      }
+    }
+    return expired;
+  }
+
+  isConfirming(entry, now = Date.now()) {
+    return entry.confirmingAt !== null && now - entry.confirmingAt < CONFIRM_TIMEOUT;
+  }
+
+  // ============ Re-quoting ============
+
+  async takeSnapshot(command) {
+    const snapshot = { takenAt: Date.now(), amountOut: null, gasGwei: null };
+
+    if (command.type === 'SWAP') {
+      try {
+        const quote = await this.getQuote({ ...command.params, chainId: command.chainId });
+        const best = quote?.best || quote;
+        snapshot.amountOut = best?.amountOut != null ? parseFloat(best.amountOut) : null;
+        snapshot.dex = best?.dex;
+      } catch (error) {
+        logger.warn('Could not quote pending swap', { error: error.message });
+      }
+    }
+
+    try {
+      const gas = await this.getGasPrice(command.chainId);
+      const fee = gas.maxFeePerGas || gas.gasPrice;
+      snapshot.gasGwei = fee ? parseFloat(ethers.utils.formatUnits(fee, 'gwei')) : null;
+    } catch (error) {
+      logger.warn('Could not read gas for pending command', { error: error.message });
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Describe how the numbers moved beyond the thresholds, or null if they did not
+   */
+  compareSnapshots(before, after) {
+    if (before.amountOut) {
+      if (!after.amountOut) {
+        return 'Could not re-quote the swap';
+      }
+      const drop = ((before.amountOut - after.amountOut) / before.amountOut) * 100;
+      if (drop > this.maxPriceMove) {
+        return `Quote dropped ${drop.toFixed(2)}% since confirmation was requested (max ${this.maxPriceMove}%)`;
+      }
+    }
+
+    if (before.gasGwei && after.gasGwei) {
+      const rise = ((after.gasGwei - before.gasGwei) / before.gasGwei) * 100;
+      if (rise > this.maxGasIncrease) {
+        return `Gas rose ${rise.toFixed(0)}% since confirmation was requested (max ${this.maxGasIncrease}%)`;
+      }
+    }
+
+    return null;
+  }
+
+  async generateId() {
+    let id;
+    do {
+      id = crypto.randomBytes(4).toString('hex');
+    } while (await this.store.get(id));
+    return id;
+  }
+}
+
+// Shared registry used by the router
+let sharedPending = null;
+
+function getPendingCommands() {
+  if (!sharedPending) {
+    sharedPending = new PendingCommands();
+  }
+  return sharedPending;
+}
+
+module.exports = {
+  PendingCommands,
+  PendingStatus,
+  getPendingCommands,
+};
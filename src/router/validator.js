@@ -45,10 +45,23 @@ async function validateCommand(command) {
       await validateBatchTransferCommand(command, errors, warnings);
       break;
 
+    case 'BRIDGE':
+      await validateBridgeCommand(command, errors, warnings);
+      break;
+
     case 'QUOTE':
       validateQuoteCommand(command, errors, warnings);
       break;
 
+    case 'LIMIT_ORDER':
+      if (command.params.action === 'place') {
+        await validateSwapCommand(command, errors, warnings);
+        if (!(parseFloat(command.params.triggerPrice) > 0)) {
+          errors.push('Invalid trigger price');
+        }
+      }
+      break;
+
     default:
       // No specific validation needed
       break;
@@ -258,6 +271,49 @@ async function validateBatchTransferCommand(command, errors, warnings) {
   }
 }
 
+/**
+ * Validate bridge command
+ */
+async function validateBridgeCommand(command, errors, warnings) {
+  const { params, chainId } = command;
+
+  if (!params.token) {
+    errors.push('Token not specified');
+  }
+  if (!params.amount || parseFloat(params.amount) <= 0) {
+    errors.push('Invalid bridge amount');
+  }
+
+  // Validate destination chain
+  if (!params.toChainId) {
+    errors.push('Destination chain not specified');
+  } else if (!isChainSupported(params.toChainId)) {
+    errors.push(`Chain ${params.toChainId} is not supported`);
+  } else if (params.toChainId === chainId) {
+    errors.push('Source and destination chains are the same');
+  }
+
+  // Token must exist on the source chain
+  if (chainId && params.token && !isNativeToken(params.token)) {
+    const token = getToken(params.token, chainId);
+    if (!token) {
+      errors.push(`Token ${params.token} not available on chain ${chainId}`);
+    }
+  }
+
+  // Validate recipient if bridging to another address
+  if (params.recipient) {
+    try {
+      const resolved = await resolveAddress(params.recipient, 1);
+      if (!ethers.utils.isAddress(resolved)) {
+        errors.push('Invalid recipient address');
+      }
+    } catch {
+      errors.push(`Could not resolve recipient: ${params.recipient}`);
+    }
+  }
+}
+
 /**
  * Validate quote command
  */
@@ -362,6 +418,7 @@ module.exports = {
   validateSwapCommand,
   validateTransferCommand,
   validateBatchTransferCommand,
+  validateBridgeCommand,
   validateAddress,
   validateToken,
   validateAmount,
@@ -0,0 +1,48 @@
+/**
+ * API Tokens
+ * Identifies the user behind a REST function call by its bearer token
+ *
+ * API_USER_TOKENS holds "token:userId" pairs. The user comes from the token
+ * alone, so a caller cannot act for someone else by naming them in the body.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Parse "token:userId,token:userId" into a Map of token -> userId
+ */
+function parseUserTokens(value) {
+  if (value instanceof Map) return value;
+
+  const map = new Map();
+  for (const entry of String(value || '').split(',')) {
+    const text = entry.trim();
+    const idx = text.indexOf(':');
+    if (idx <= 0 || idx === text.length - 1) continue;
+    map.set(text.slice(0, idx), text.slice(idx + 1));
+  }
+  return map;
+}
+
+/**
+ * The user a request's `Authorization: Bearer <token>` header belongs to, or null
+ */
+function resolveApiUser(headers = {}, userTokens = config.api?.userTokens) {
+  const header = Object.entries(headers).find(([key]) => key.toLowerCase() === 'authorization')?.[1] || '';
+  if (!header.startsWith('Bearer ')) return null;
+
+  const supplied = Buffer.from(header.slice('Bearer '.length));
+  for (const [token, userId] of parseUserTokens(userTokens)) {
+    const expected = Buffer.from(token);
+    if (expected.length === supplied.length && crypto.timingSafeEqual(expected, supplied)) {
+      return userId;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseUserTokens,
+  resolveApiUser,
+};
@@ -119,7 +119,7 @@ const KNOWN_BRIDGES = {
   'across': {
     name: 'Across Protocol',
     tier: BRIDGE_TIER.ESTABLISHED,
-    supportedChains: [1, 10, 42161, 137, 324],
+    supportedChains: [1, 10, 42161, 137, 324, 8453],
     tvlUsd: 150000000, // $150M
     audits: ['OpenZeppelin'],
     launchDate: '2021-11-01',
@@ -814,6 +814,18 @@ class BridgeSafety extends EventEmitter {
   }
 }
 
+// Shared instance so limits and tracking span every bridge call
+let sharedSafety = null;
+
+function getBridgeSafety(config = {}) {
+  if (!sharedSafety) {
+    sharedSafety = new BridgeSafety(config);
+    // The stuck-transfer check must not keep a one-shot CLI process alive
+    sharedSafety.stuckCheckInterval?.unref?.();
+  }
+  return sharedSafety;
+}
+
 // ============ Module Exports ============
 
 module.exports = {
@@ -826,4 +838,5 @@ module.exports = {
 
   // Factory function
   createBridgeSafety: (config = {}) => new BridgeSafety(config),
+  getBridgeSafety,
 };
@@ -0,0 +1,250 @@
+/**
+ * Depeg Guard - Execution Pause for Off-Peg Stablecoins
+ *
+ * WHY: The depeg monitor detects a critical depeg and emits
+ * operationsPaused, but nothing stopped the engines from buying more of the
+ * stable on the way down. Selling out of a depegging stable is exactly what
+ * the user may want; adding to it is not.
+ *
+ * RULES while a stable is paused:
+ * - Swaps INTO it are blocked, swaps out of it are allowed
+ * - Transfers of it to another managed wallet are blocked (they only move
+ *   the exposure around); transfers to external addresses are allowed
+ * - A de-risk swap target is picked from the safest tier, never a paused one
+ *
+ * Long-running daemons attach a monitor. Netlify functions cannot keep one
+ * running, so they sync pauses through a shared store instead.
+ *
+ * @module security/depeg-guard
+ */
+
+const EventEmitter = require('events');
+const { KNOWN_STABLES, STABLE_TIER } = require('../monitoring/depeg-monitor');
+const { DepegPausedError } = require('../utils/errors');
+
+// Safest-tier stables in declaration order (USDC, USDT, DAI)
+const DEFAULT_SAFE_TARGETS = Object.values(KNOWN_STABLES)
+  .filter(stable => stable.tier === STABLE_TIER.SAFEST)
+  .map(stable => stable.symbol);
+
+const normalize = (symbol) => String(symbol || '').toUpperCase();
+
+class DepegGuard extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    // Stables a de-risk swap may move into, in order of preference
+    this.safeTargets = config.safeTargets?.length ? config.safeTargets : DEFAULT_SAFE_TARGETS;
+
+    this.paused = new Map(); // SYMBOL -> { symbol, severity, deviation, since }
+    this.monitor = null;
+
+    // Logging
+    this.logger = config.logger || console;
+  }
+
+  // ============ Monitor Wiring ============
+
+  /**
+   * Follow a DepegMonitor's pause signals
+   *
+   * @param {DepegMonitor} monitor - Monitor emitting operationsPaused/Resumed
+   * @returns {Function} Detach function
+   */
+  attach(monitor) {
+    const onPaused = ({ symbol, severity, deviation }) => this.pause(symbol, { severity, deviation });
+    const onResumed = ({ symbol }) => this.resume(symbol);
+
+    monitor.on('operationsPaused', onPaused);
+    monitor.on('operationsResumed', onResumed);
+    this.monitor = monitor;
+
+    return () => {
+      monitor.off('operationsPaused', onPaused);
+      monitor.off('operationsResumed', onResumed);
+      if (this.monitor === monitor) {
+        this.monitor = null;
+      }
+    };
+  }
+
+  /**
+   * Pause a stable. The monitor repeats the signal on every critical check,
+   * so only the first one emits 'paused'; later ones refresh the numbers.
+   */
+  pause(symbol, info = {}) {
+    const key = normalize(symbol);
+    const existing = this.paused.get(key);
+
+    const entry = {
+      symbol,
+      severity: info.severity || existing?.severity || 'critical',
+      deviation: info.deviation ?? existing?.deviation ?? null,
+      since: existing?.since || info.since || Date.now(),
+    };
+    this.paused.set(key, entry);
+
+    if (!existing) {
+      this.logger.warn(`[DepegGuard] ${symbol} paused: ${entry.severity} depeg`, { deviation: entry.deviation });
+      this.emit('paused', entry);
+    }
+    return entry;
+  }
+
+  resume(symbol) {
+    const key = normalize(symbol);
+    const entry = this.paused.get(key);
+    if (!entry) return false;
+
+    this.paused.delete(key);
+    this.logger.info(`[DepegGuard] ${entry.symbol} resumed after returning to peg`);
+    this.emit('resumed', { symbol: entry.symbol, pausedFor: Date.now() - entry.since });
+    return true;
+  }
+
+  isPaused(symbol) {
+    return this.paused.has(normalize(symbol));
+  }
+
+  getPause(symbol) {
+    return this.paused.get(normalize(symbol)) || null;
+  }
+
+  // ============ Execution Checks ============
+
+  /**
+   * Throw if a swap would buy a paused stable
+   *
+   * @param {object} params
+   * @param {string} params.fromToken - Token sold (always allowed)
+   * @param {string} params.toToken - Token bought
+   * @throws {DepegPausedError}
+   */
+  assertSwapAllowed({ fromToken, toToken }) {
+    const pause = this.getPause(toToken);
+    if (!pause) return;
+
+    throw new DepegPausedError(
+      pause.symbol,
+      `Swaps into ${pause.symbol} are paused: ${this.describe(pause)}`,
+      { fromToken, toToken, severity: pause.severity, deviation: pause.deviation }
+    );
+  }
+
+  /**
+   * Throw if a transfer would move a paused stable into a managed wallet
+   *
+   * @param {object} params
+   * @param {string} params.token - Token transferred
+   * @param {boolean} params.internal - Recipient is one of our own wallets
+   * @throws {DepegPausedError}
+   */
+  assertTransferAllowed({ token, internal }) {
+    const pause = this.getPause(token);
+    if (!pause || !internal) return;
+
+    throw new DepegPausedError(
+      pause.symbol,
+      `Transfers of ${pause.symbol} between managed wallets are paused: ${this.describe(pause)}`,
+      { token, severity: pause.severity, deviation: pause.deviation }
+    );
+  }
+
+  describe(pause) {
+    const deviation = typeof pause.deviation === 'number'
+      ? ` (${Math.abs(pause.deviation).toFixed(2)}% off peg)`
+      : '';
+    return `${pause.severity} depeg${deviation}`;
+  }
+
+  // ============ Shared State ============
+
+  /**
+   * Make this guard and a shared store agree on the paused stables
+   *
+   * Stored pauses are adopted and pauses missing from the store are lifted.
+   * Given a monitor (attached to this guard), the pegs are then checked once:
+   * a critical depeg pauses its stable, and a paused stable back within the
+   * monitor's alert threshold resumes, since a fresh monitor only resumes
+   * events it saw start. The result is written back to the store.
+   *
+   * @param {object} store - Shared store keyed by symbol
+   * @param {DepegMonitor} [monitor] - Monitor to check the pegs with
+   */
+  async sync(store, monitor = null) {
+    const stored = await store.list();
+    const storedKeys = new Set(stored.map(entry => normalize(entry.symbol)));
+
+    for (const entry of stored) {
+      this.pause(entry.symbol, entry);
+    }
+    for (const entry of Array.from(this.paused.values())) {
+      if (!storedKeys.has(normalize(entry.symbol))) this.resume(entry.symbol);
+    }
+
+    if (monitor) {
+      await monitor.checkAll();
+      for (const entry of Array.from(this.paused.values())) {
+        const latest = monitor.getPrice(entry.symbol);
+        if (latest && Math.abs(latest.deviation) < monitor.config.alertThreshold) {
+          this.resume(entry.symbol);
+        }
+      }
+    }
+
+    await Promise.all([
+      ...Array.from(this.paused.entries()).map(([key, entry]) => store.set(key, entry)),
+      ...stored
+        .filter(entry => !this.isPaused(entry.symbol))
+        .map(entry => store.delete(normalize(entry.symbol))),
+    ]);
+  }
+
+  // ============ De-risking ============
+
+  /**
+   * Safest stable to swap a paused one into
+   *
+   * @param {string} symbol - Paused stable
+   * @param {Function} [isAvailable] - (symbol) => boolean, e.g. listed on the chain
+   * @returns {string|null} Target symbol, or null if none qualifies
+   */
+  getSafeTarget(symbol, isAvailable = () => true) {
+    const key = normalize(symbol);
+    return this.safeTargets.find(target =>
+      normalize(target) !== key && !this.isPaused(target) && isAvailable(target)
+    ) || null;
+  }
+
+  // ============ State ============
+
+  /**
+   * Pauses plus the attached monitor's active depeg events (warnings included)
+   */
+  getState() {
+    const paused = Array.from(this.paused.values());
+    const events = this.monitor ? this.monitor.getActiveEvents() : [];
+
+    return {
+      active: paused.length > 0 || events.length > 0,
+      paused,
+      events,
+    };
+  }
+}
+
+// Shared guard consulted by the swap and transfer engines and the router
+let sharedGuard = null;
+
+function getDepegGuard(config = {}) {
+  if (!sharedGuard) {
+    sharedGuard = new DepegGuard(config);
+  }
+  return sharedGuard;
+}
+
+module.exports = {
+  DepegGuard,
+  getDepegGuard,
+  DEFAULT_SAFE_TARGETS,
+};
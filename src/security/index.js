@@ -13,6 +13,7 @@
  * - Nonce management issues
  * - Token approval risks
  * - RPC failures
+ * - Buying into a depegging stablecoin
  *
  * @module security
  */
@@ -27,6 +28,11 @@ const MevProtection = require('./mev-protection');
 const RpcManager = require('./rpc-manager');
 const KeyManager = require('./key-manager');
 const AccessControl = require('./access-control');
+const { TxSimulator } = require('./tx-simulator');
+const { DepegGuard, getDepegGuard } = require('./depeg-guard');
+
+// Shared security layer used by engines, router and Netlify functions
+let sharedLayer = null;
 
 /**
  * Create a fully configured security layer
@@ -90,6 +96,17 @@ function createSecurityLayer(config = {}) {
     ...config.access,
   });
 
+  const txSimulator = new TxSimulator({
+    logger,
+    ...config.simulation,
+  });
+
+  // Pauses are process-wide: the engines consult the shared guard directly
+  const depegGuard = config.depegGuard || getDepegGuard({
+    logger,
+    ...config.depeg,
+  });
+
   // Start RPC health checks
   if (config.enableRpcHealthChecks !== false) {
     rpcManager.startHealthChecks();
@@ -113,11 +130,12 @@ function createSecurityLayer(config = {}) {
 
     // Post-execution: schedule approval revoke
     executionGuard.registerPostExecutionHook(async (txId, result) => {
-      if (result.success && result.approvalInfo) {
+      const approvalInfo = result.approvalInfo || result.result?.approvalInfo;
+      if (result.success && approvalInfo) {
         approvalManager.scheduleRevoke(
-          result.approvalInfo.token,
-          result.approvalInfo.spender,
-          result.approvalInfo.signer
+          approvalInfo.token,
+          approvalInfo.spender,
+          approvalInfo.signer
         );
       }
     });
@@ -135,12 +153,32 @@ function createSecurityLayer(config = {}) {
     rpcManager,
     keyManager,
     accessControl,
+    txSimulator,
+    depegGuard,
 
     // Convenience methods
     async getProvider(chainId) {
       return rpcManager.getProvider(chainId);
     },
 
+    /**
+     * Run a state-changing transaction through the full pipeline:
+     * sequencer check, calldata validation, slippage tiering, simulation,
+     * approval, nonce reservation, MEV-protected submission and inclusion.
+     *
+     * @param {object} params - Execution parameters
+     * @param {number} params.chainId - Chain ID
+     * @param {string} params.walletAddress - Sender address (lock + nonce key)
+     * @param {ethers.Signer} params.signer - Connected signer
+     * @param {string} [params.to] - Target address (for calldata validation)
+     * @param {string} [params.calldata] - Calldata (for calldata validation)
+     * @param {Function} params.prepareFn - Returns { tx } to submit
+     * @param {Function} [params.simulateFn] - Custom simulation (defaults to TxSimulator)
+     * @param {Function} [params.approveFn] - Custom approval step
+     * @param {object} [params.approval] - { token, spender, amount } for ApprovalManager
+     * @param {boolean} [params.simulate] - Set false to skip default simulation
+     * @returns {Promise<{success: boolean, result: object, txId: string}>}
+     */
     async validateAndExecute(params) {
       // Full validation pipeline
       const chainId = params.chainId;
@@ -164,19 +202,57 @@ function createSecurityLayer(config = {}) {
         }
       }
 
-      // Get slippage
-      const slippage = slippageGuard.getSlippage(
-        params.fromToken,
-        params.toToken,
-        params.userSlippage
-      );
+      // Get slippage (swaps only)
+      const slippage = params.fromToken && params.toToken
+        ? slippageGuard.getSlippage(params.fromToken, params.toToken, params.userSlippage)
+        : null;
+
+      // Default simulation: eth_call against current state
+      const simulateDefault = params.simulate !== false && !params.simulateFn;
+      const runSimulation = async (prepareResult) => {
+        const simulation = await txSimulator.simulate(
+          { from: params.walletAddress, ...prepareResult.tx },
+          provider
+        );
+        return { ...simulation, reason: simulation.revertReason };
+      };
+
+      let simulateFn = params.simulateFn;
+      let approveFn = params.approveFn;
+      let approvalInfo = null;
+
+      if (!approveFn && params.approval) {
+        // Policy-enforced approve with tracking; the swap can only be
+        // simulated once the allowance is in place, so simulate here
+        approveFn = async (prepareResult) => {
+          const { token, spender, amount } = params.approval;
+          const approvalResult = await approvalManager.safeApprove(token, spender, amount, params.signer);
+          if (!approvalResult.skipped) {
+            approvalInfo = { token, spender, signer: params.signer };
+          }
+
+          if (simulateDefault) {
+            const simulation = await runSimulation(prepareResult);
+            if (!simulation.success) {
+              throw new Error(`Simulation failed: ${simulation.reason}`);
+            }
+          }
+
+          return approvalResult;
+        };
+      } else if (simulateDefault) {
+        simulateFn = runSimulation;
+      }
 
       // Execute with protection
       return executionGuard.execute({
         walletAddress: params.walletAddress,
-        prepareFn: params.prepareFn,
-        simulateFn: params.simulateFn,
-        approveFn: params.approveFn,
+        prepareFn: async () => {
+          const prepareResult = await params.prepareFn();
+          return { ...prepareResult, slippage };
+        },
+        simulateFn,
+        approveFn,
         executeFn: async (prepareResult) => {
           const nonce = await nonceManager.getNextNonce(params.walletAddress, provider);
 
@@ -187,7 +263,7 @@ function createSecurityLayer(config = {}) {
               chainId
             );
             nonceManager.updateNonceTransaction(params.walletAddress, nonce, result.txHash);
-            return result;
+            return { ...result, nonce };
           } catch (error) {
             await nonceManager.releaseNonce(params.walletAddress, nonce);
             throw error;
@@ -196,7 +272,9 @@ function createSecurityLayer(config = {}) {
         confirmFn: async (executeResult) => {
           const result = await mevProtection.waitForInclusion(
             executeResult.txHash,
-            chainId
+            chainId,
+            null,
+            provider
           );
           if (result.included) {
             await nonceManager.confirmNonce(
@@ -205,7 +283,14 @@ function createSecurityLayer(config = {}) {
               executeResult.txHash
             );
           }
-          return { confirmed: result.included, ...result };
+          return {
+            confirmed: result.included,
+            txHash: executeResult.txHash,
+            nonce: executeResult.nonce,
+            protectionUsed: executeResult.protectionUsed,
+            approvalInfo,
+            ...result,
+          };
         },
       });
     },
@@ -218,6 +303,7 @@ function createSecurityLayer(config = {}) {
         mev: mevProtection.getPendingTransactions().length,
         nonce: nonceManager.getStatus(),
         approval: approvalManager.getStats(),
+        depeg: depegGuard.getState(),
       };
     },
 
@@ -237,6 +323,23 @@ function createSecurityLayer(config = {}) {
   };
 }
 
+/**
+ * Get the shared security layer, creating it on first use
+ *
+ * Engines, the command router and Netlify functions all execute through
+ * this instance so that nonce reservations, wallet locks and emergency
+ * stop state are shared.
+ *
+ * @param {object} config - Configuration (only used on first call)
+ * @returns {object} Security layer instance
+ */
+function getSecurityLayer(config = {}) {
+  if (!sharedLayer) {
+    sharedLayer = createSecurityLayer(config);
+  }
+  return sharedLayer;
+}
+
 module.exports = {
   // Classes
   SlippageGuard,
@@ -249,9 +352,12 @@ module.exports = {
   RpcManager,
   KeyManager,
   AccessControl,
+  TxSimulator,
+  DepegGuard,
 
   // Factory function
   createSecurityLayer,
+  getSecurityLayer,
 
   // Constants
   WALLET_TIER: KeyManager.WALLET_TIER,
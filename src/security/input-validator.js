@@ -9,6 +9,7 @@
  * STATE-OF-THE-ART:
  * - 3-Layer Validation: Semantic → Calldata → Contract Verification
  * - Function selector whitelisting
+ * - Trusted contracts per chain
  * - Known malicious pattern detection
  * - Contract age and verification checks
  *
@@ -60,10 +61,16 @@ class InputValidator {
       '0x2e1a7d4d': { name: 'withdraw', params: ['uint256'], risk: 'low' },
     };
 
-    // Known malicious patterns in calldata
+    // Contracts trusted per chain: unknown selectors on them pass without
+    // an explorer lookup
+    this.TRUSTED_ADDRESSES = new Map(); // chainId -> Set of addresses
+
+    // Known malicious patterns in calldata. Zero words are ordinary ABI
+    // encoding (false flags, empty bytes, zero addresses), so abiWord
+    // patterns only apply to calls we can neither decode nor trust.
     this.MALICIOUS_PATTERNS = [
       { pattern: /^0x00000000/, reason: 'Null selector (exploit pattern)' },
-      { pattern: /0{64}/, reason: 'Large zero padding (potential overflow)' },
+      { pattern: /0{64}/, reason: 'Large zero padding (potential overflow)', abiWord: true },
       { pattern: /ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff/i, reason: 'Max uint256 (infinite approval risk)' },
     ];
 
@@ -84,6 +91,10 @@ class InputValidator {
       8453: 'https://api.basescan.org/api',
       137: 'https://api.polygonscan.com/api',
     };
+
+    if (config.trustedSelectors || config.trustedAddresses) {
+      this.addTrustedCalls({ selectors: config.trustedSelectors, addresses: config.trustedAddresses });
+    }
   }
 
   /**
@@ -115,6 +126,7 @@ class InputValidator {
 
     // Check against whitelist
     const whitelistedFunc = this.WHITELISTED_SELECTORS[selector];
+    const trustedTarget = this.isTrustedAddress(to, chainId);
     if (whitelistedFunc) {
       result.functionName = whitelistedFunc.name;
 
@@ -128,6 +140,8 @@ class InputValidator {
       } catch (error) {
         result.warnings.push(`Could not decode parameters: ${error.message}`);
       }
+    } else if (trustedTarget) {
+      result.warnings.push(`Unknown function selector ${selector} on trusted contract ${to}`);
     } else {
       // Not whitelisted - verify contract is trusted
       if (this.strictMode) {
@@ -150,7 +164,8 @@ class InputValidator {
     }
 
     // Check for malicious patterns
-    for (const { pattern, reason } of this.MALICIOUS_PATTERNS) {
+    for (const { pattern, reason, abiWord } of this.MALICIOUS_PATTERNS) {
+      if (abiWord && (whitelistedFunc || trustedTarget)) continue;
       if (pattern.test(data)) {
         if (this.strictMode) {
           result.errors.push(`Malicious pattern detected: ${reason}`);
@@ -197,7 +212,7 @@ class InputValidator {
         const type = funcInfo.params[i];
 
         // Address validation
-        if (type === 'address') {
+        if (type === 'address' && !funcInfo.allowZeroAddress) {
           if (value === ethers.constants.AddressZero) {
             result.errors.push('Zero address parameter detected - likely invalid');
             result.valid = false;
@@ -382,6 +397,48 @@ class InputValidator {
     this.logger.info(`[InputValidator] Added whitelisted selector: ${selector} (${info.name})`);
   }
 
+  /**
+   * Trust the selectors and contracts an application calls
+   *
+   * @param {object} calls - { selectors: { selector: info }, addresses: { chainId: [address] } }
+   */
+  addTrustedCalls({ selectors = {}, addresses = {} } = {}) {
+    for (const [selector, info] of Object.entries(selectors)) {
+      const normalizedSelector = selector.toLowerCase();
+      if (!/^0x[a-f0-9]{8}$/.test(normalizedSelector)) {
+        throw new Error('Invalid selector format');
+      }
+      this.WHITELISTED_SELECTORS[normalizedSelector] = info;
+    }
+
+    for (const [chainId, list] of Object.entries(addresses)) {
+      const key = Number(chainId);
+      if (!this.TRUSTED_ADDRESSES.has(key)) {
+        this.TRUSTED_ADDRESSES.set(key, new Set());
+      }
+      for (const address of list) {
+        this.TRUSTED_ADDRESSES.get(key).add(address.toLowerCase());
+      }
+    }
+
+    this.logger.info(
+      `[InputValidator] Trusted ${Object.keys(selectors).length} selectors and contracts on ` +
+      `${Object.keys(addresses).length} chains`
+    );
+  }
+
+  /**
+   * Check if a contract is trusted on a chain
+   *
+   * @param {string} address - Contract address
+   * @param {number} chainId - Chain ID
+   * @returns {boolean}
+   */
+  isTrustedAddress(address, chainId) {
+    if (!address) return false;
+    return !!this.TRUSTED_ADDRESSES.get(Number(chainId))?.has(address.toLowerCase());
+  }
+
   /**
    * Add a known malicious address
    *
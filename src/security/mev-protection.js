@@ -328,11 +328,12 @@ class MevProtection {
    * @param {string} txHash - Transaction hash
    * @param {number} chainId - Chain ID
    * @param {number} timeoutBlocks - Max blocks to wait
+   * @param {ethers.providers.Provider} provider - Provider to poll (defaults to the protect RPC)
    * @returns {Promise<{included: boolean, receipt: object|null}>}
    */
-  async waitForInclusion(txHash, chainId, timeoutBlocks = null) {
+  async waitForInclusion(txHash, chainId, timeoutBlocks = null, provider = null) {
     const maxBlocks = timeoutBlocks || this.config.maxBlockWait;
-    const provider = new ethers.providers.JsonRpcProvider(
+    provider = provider || new ethers.providers.JsonRpcProvider(
       this.PROTECT_RPC[chainId]?.url
     );
 
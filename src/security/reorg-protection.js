@@ -122,6 +122,26 @@ const CONFIRMATION_REQUIREMENTS = {
     l1Confirmations: 12,
     reorgRisk: 'very_low',
   },
+
+  // Blast - OP Stack, relies on L1 finality
+  81457: {
+    name: 'Blast',
+    confirmations: 0,
+    blockTime: 2000,
+    finalityType: 'l1_dependent',
+    l1Confirmations: 12,
+    reorgRisk: 'very_low',
+  },
+
+  // Mantle - OP Stack with EigenDA, relies on L1 finality
+  5000: {
+    name: 'Mantle',
+    confirmations: 0,
+    blockTime: 2000,
+    finalityType: 'l1_dependent',
+    l1Confirmations: 12,
+    reorgRisk: 'very_low',
+  },
 };
 
 // L1 finality for cross-chain operations
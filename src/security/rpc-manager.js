@@ -106,6 +106,41 @@ class RpcManager {
       { url: 'https://rpc.ankr.com/polygon', priority: 2, name: 'Ankr' },
       { url: 'https://polygon.publicnode.com', priority: 3, name: 'PublicNode' },
     ]);
+
+    // zkSync Era
+    this.addChainConfig(324, [
+      { url: process.env.ZKSYNC_RPC_URL || 'https://mainnet.era.zksync.io', priority: 1, name: 'Official' },
+      { url: 'https://zksync-era-rpc.publicnode.com', priority: 2, name: 'PublicNode' },
+      { url: 'https://1rpc.io/zksync2-era', priority: 3, name: '1RPC' },
+    ]);
+
+    // Linea
+    this.addChainConfig(59144, [
+      { url: process.env.LINEA_RPC_URL || 'https://rpc.linea.build', priority: 1, name: 'Official' },
+      { url: 'https://linea-rpc.publicnode.com', priority: 2, name: 'PublicNode' },
+      { url: 'https://1rpc.io/linea', priority: 3, name: '1RPC' },
+    ]);
+
+    // Scroll
+    this.addChainConfig(534352, [
+      { url: process.env.SCROLL_RPC_URL || 'https://rpc.scroll.io', priority: 1, name: 'Official' },
+      { url: 'https://rpc.ankr.com/scroll', priority: 2, name: 'Ankr' },
+      { url: 'https://scroll-rpc.publicnode.com', priority: 3, name: 'PublicNode' },
+    ]);
+
+    // Blast
+    this.addChainConfig(81457, [
+      { url: process.env.BLAST_RPC_URL || 'https://rpc.blast.io', priority: 1, name: 'Official' },
+      { url: 'https://rpc.ankr.com/blast', priority: 2, name: 'Ankr' },
+      { url: 'https://blast-rpc.publicnode.com', priority: 3, name: 'PublicNode' },
+    ]);
+
+    // Mantle
+    this.addChainConfig(5000, [
+      { url: process.env.MANTLE_RPC_URL || 'https://rpc.mantle.xyz', priority: 1, name: 'Official' },
+      { url: 'https://rpc.ankr.com/mantle', priority: 2, name: 'Ankr' },
+      { url: 'https://mantle-rpc.publicnode.com', priority: 3, name: 'PublicNode' },
+    ]);
   }
 
   /**
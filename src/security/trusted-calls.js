@@ -0,0 +1,103 @@
+/**
+ * Trusted Calls - Selectors and Contracts the Engines Call
+ *
+ * The calldata validator rejects unknown selectors on contracts it cannot
+ * verify on an explorer, and zero words in calldata it cannot decode. The
+ * engines call a fixed set of functions on a fixed set of contracts: swap
+ * routers, Multicall3, Merkle distributors, governance tokens, bridge
+ * deposit contracts and the aggregator routers. This lists them so the
+ * shared security layer passes those calls without an explorer lookup.
+ *
+ * Distributors are registered at runtime, so claims are trusted by selector
+ * only; everything else is trusted by selector and by contract.
+ *
+ * @module security/trusted-calls
+ */
+
+const { ethers } = require('ethers');
+const { CHAINS } = require('../config/chains');
+const { ABIS } = require('../core/contracts');
+const { DISTRIBUTOR_TYPES, getDistributor } = require('../engines/airdrop/claimData');
+const { SPOKE_POOLS } = require('../engines/bridge/across');
+const { CANONICAL_BRIDGES } = require('../engines/bridge/canonical');
+const { AGGREGATORS } = require('../engines/swap/aggregator');
+
+// State-changing functions the engines send, by the ABI they are encoded with
+const TRUSTED_FUNCTIONS = [
+  ...ABIS.UniswapV3Router.filter(f => /exactInput(Single)?\(/.test(f)),
+  ...ABIS.Multicall3.filter(f => /aggregate3(Value)?\(/.test(f)),
+  ...Object.values(DISTRIBUTOR_TYPES).flatMap(type =>
+    getDistributor(type).abi.filter(f => f.startsWith('function claim('))),
+  'function delegate(address delegatee)',
+  'function depositEth() payable returns (uint256)',
+  'function depositETHTo(address _to, uint32 _minGasLimit, bytes _extraData) payable',
+  'function depositV3(address depositor, address recipient, address inputToken, address outputToken, uint256 inputAmount, uint256 outputAmount, uint256 destinationChainId, address exclusiveRelayer, uint32 quoteTimestamp, uint32 fillDeadline, uint32 exclusivityDeadline, bytes message) payable',
+];
+
+// depositV3 leaves exclusiveRelayer zero when no relayer has exclusivity
+const ZERO_ADDRESS_OK = new Set(['depositV3']);
+
+// Multicall batches carry arbitrary inner calls
+const MEDIUM_RISK = new Set(['aggregate3', 'aggregate3Value']);
+
+/**
+ * Selectors in the InputValidator whitelist format
+ */
+function getTrustedSelectors() {
+  const selectors = {};
+  for (const fragment of new ethers.utils.Interface(TRUSTED_FUNCTIONS).fragments) {
+    if (fragment.type !== 'function') continue;
+    selectors[ethers.utils.Interface.getSighash(fragment)] = {
+      name: fragment.name,
+      params: fragment.inputs.map(input => input.format()),
+      risk: MEDIUM_RISK.has(fragment.name) ? 'medium' : 'low',
+      allowZeroAddress: ZERO_ADDRESS_OK.has(fragment.name),
+    };
+  }
+  return selectors;
+}
+
+/**
+ * Contracts by chain id: every contract in the chain config, the Across
+ * SpokePools, the canonical bridge entry points on Ethereum and the
+ * aggregator routers on the chains each aggregator serves
+ */
+function getTrustedAddresses() {
+  const addresses = {};
+  const add = (chainId, address) => {
+    if (!address) return;
+    (addresses[chainId] = addresses[chainId] || []).push(address);
+  };
+
+  for (const [chainId, chain] of Object.entries(CHAINS)) {
+    Object.values(chain.contracts || {}).forEach(address => add(chainId, address));
+  }
+  for (const [chainId, address] of Object.entries(SPOKE_POOLS)) {
+    add(chainId, address);
+  }
+  for (const bridge of Object.values(CANONICAL_BRIDGES)) {
+    add(1, bridge.inbox);
+    add(1, bridge.l1StandardBridge);
+  }
+  for (const aggregator of Object.values(AGGREGATORS)) {
+    Object.keys(aggregator.chainMapping).forEach(chainId => add(chainId, aggregator.router));
+  }
+
+  return addresses;
+}
+
+/**
+ * Everything the engines call, for InputValidator.addTrustedCalls
+ */
+function getTrustedCalls() {
+  return {
+    selectors: getTrustedSelectors(),
+    addresses: getTrustedAddresses(),
+  };
+}
+
+module.exports = {
+  getTrustedCalls,
+  getTrustedSelectors,
+  getTrustedAddresses,
+};
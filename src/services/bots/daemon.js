@@ -0,0 +1,68 @@
+/**
+ * Bot Daemon
+ * Long-running local process: `npm run bots`
+ *
+ * Long-polls Telegram for updates, for running without a public webhook URL.
+ * Uses TELEGRAM_BOT_TOKEN and TELEGRAM_ALLOWED_CHATS. Discord has no polling
+ * mode; when DISCORD_APPLICATION_ID is set the slash commands are (re)registered
+ * at startup and interactions arrive at the discord-interactions function.
+ *
+ * With DEPEG_MONITOR_ENABLED the stablecoin depeg monitor runs here too, so
+ * queued de-risk swaps can be confirmed from the chat that owns them.
+ *
+ * Bridges sent from chat are checked every BRIDGE_STATUS_CHECK_MS until the
+ * destination receipt is verified, and announced when they arrive or fail.
+ *
+ * Unless DASHBOARD_EMBEDDED=false the monitoring dashboard is served here,
+ * fed with the transactions chat commands send.
+ */
+
+const bot = require('../..');
+const { getTelegramBot } = require('./telegram');
+const { getDiscordBot } = require('./discord');
+const { startDashboard } = require('../dashboard');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+async function main() {
+  await bot.initialize();
+
+  const telegram = getTelegramBot();
+
+  // Long polling and a webhook are mutually exclusive on the Bot API side
+  await telegram.api('deleteWebhook', {});
+  telegram.start();
+
+  if (config.bots.discord.applicationId && config.bots.discord.botToken) {
+    await getDiscordBot().registerCommands()
+      .then(() => logger.info('Discord slash commands registered'))
+      .catch(error => logger.warn('Discord command registration failed', { error: error.message }));
+  }
+
+  const stopDepegMonitor = config.depeg.enabled ? bot.startDepegMonitor() : null;
+  const stopBridgeWatcher = bot.startBridgeWatcher();
+
+  // Another daemon may already serve the dashboard port; run on without one
+  const stopDashboard = config.dashboard.embedded
+    ? await startDashboard().catch((error) => {
+      logger.warn('Dashboard not started', { error: error.message });
+      return null;
+    })
+    : null;
+
+  const shutdown = async (signal) => {
+    logger.info(`Received ${signal}, stopping bots`);
+    stopDepegMonitor?.();
+    stopBridgeWatcher();
+    await stopDashboard?.();
+    await telegram.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+main().catch((error) => {
+  logger.error('Bots failed to start:', error);
+  process.exit(1);
+});
@@ -0,0 +1,429 @@
+/**
+ * Discord Bot
+ * Discord interactions endpoint: slash commands go to the command router and
+ * Confirm/Cancel button components resolve pending commands
+ *
+ * Discord POSTs every interaction to one URL (the Netlify function) signed
+ * with the application's Ed25519 key. Access is granted per Discord user:
+ * each mapped user id is registered in AccessControl as `discord:<userId>`
+ * with a role, and the router checks that role's permissions per command.
+ *
+ * Discord waits only three seconds for a response, so commands and button
+ * presses are acknowledged with a deferred response straight away and the
+ * work is handed to dispatch. It runs in-process by default; the Netlify
+ * function forwards the signed request to a background function instead.
+ * completeInteraction then edits the original message through the
+ * interaction webhook (or sends a private follow-up).
+ */
+
+const crypto = require('crypto');
+const https = require('https');
+const { formatCommandResult } = require('./format');
+const { parseRoleMap, assignRoles } = require('./roles');
+const { PERMISSION } = require('../../security/access-control');
+const { PendingStatus } = require('../../router/pending');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const InteractionType = {
+  PING: 1,
+  APPLICATION_COMMAND: 2,
+  MESSAGE_COMPONENT: 3,
+};
+
+const ResponseType = {
+  PONG: 1,
+  CHANNEL_MESSAGE: 4,
+  DEFERRED_CHANNEL_MESSAGE: 5,
+  DEFERRED_UPDATE_MESSAGE: 6,
+  UPDATE_MESSAGE: 7,
+};
+
+const EPHEMERAL = 64;
+const MAX_CONTENT_LENGTH = 2000;
+
+// A forwarded request older than this is not run again
+const MAX_FORWARD_AGE = 60;
+
+const COMPONENT_ACTIONS = ['confirm', 'cancel'];
+
+const OptionType = {
+  STRING: 3,
+  NUMBER: 10,
+};
+
+const chainOption = { type: OptionType.STRING, name: 'chain', description: 'Chain name, e.g. arbitrum' };
+
+// Registered with Discord by registerCommands()
+const SLASH_COMMANDS = [
+  {
+    name: 'swap',
+    description: 'Swap tokens',
+    options: [
+      { type: OptionType.NUMBER, name: 'amount', description: 'Amount to sell', required: true },
+      { type: OptionType.STRING, name: 'from', description: 'Token to sell, e.g. ETH', required: true },
+      { type: OptionType.STRING, name: 'to', description: 'Token to buy, e.g. USDC', required: true },
+      chainOption,
+    ],
+  },
+  {
+    name: 'send',
+    description: 'Send tokens to an address or ENS name',
+    options: [
+      { type: OptionType.NUMBER, name: 'amount', description: 'Amount to send', required: true },
+      { type: OptionType.STRING, name: 'token', description: 'Token, e.g. USDC', required: true },
+      { type: OptionType.STRING, name: 'to', description: 'Address or ENS name', required: true },
+      chainOption,
+    ],
+  },
+  {
+    name: 'balance',
+    description: 'Show wallet balances',
+    options: [
+      { type: OptionType.STRING, name: 'token', description: 'Only this token' },
+      { type: OptionType.NUMBER, name: 'wallet', description: 'Wallet number' },
+      chainOption,
+    ],
+  },
+  {
+    name: 'airdrop',
+    description: 'Check airdrop eligibility',
+    options: [
+      { type: OptionType.STRING, name: 'protocol', description: 'Protocol, e.g. layerzero' },
+    ],
+  },
+  {
+    name: 'points',
+    description: 'Show tracked points and daily trend',
+    options: [
+      { type: OptionType.STRING, name: 'protocol', description: 'Protocol, e.g. blast' },
+    ],
+  },
+  {
+    name: 'gas',
+    description: 'Show current gas prices',
+    options: [chainOption],
+  },
+];
+
+/**
+ * Verify an interaction request signature (hex Ed25519 over timestamp + body)
+ */
+function verifySignature(publicKey, signature, timestamp, body) {
+  if (!publicKey || !signature || !timestamp) return false;
+
+  try {
+    const key = crypto.createPublicKey({
+      key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(publicKey, 'hex').toString('base64url') },
+      format: 'jwk',
+    });
+    return crypto.verify(null, Buffer.from(timestamp + body), key, Buffer.from(signature, 'hex'));
+  } catch (error) {
+    logger.debug('Discord signature check failed', { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Turn slash command options into the natural-language command the router parses
+ */
+function buildCommandText(name, options = {}) {
+  const on = options.chain ? ` on ${options.chain}` : '';
+
+  switch (name) {
+    case 'swap':
+      return `swap ${options.amount} ${options.from} for ${options.to}${on}`;
+    case 'send':
+      return `send ${options.amount} ${options.token} to ${options.to}${on}`;
+    case 'balance':
+      return `check my ${options.token ? `${options.token} ` : ''}balance` +
+        (options.wallet ? ` for wallet ${options.wallet}` : '') + on;
+    case 'airdrop':
+      return `check my airdrop eligibility${options.protocol ? ` for ${options.protocol}` : ''}`;
+    case 'points':
+      return `show my points${options.protocol ? ` on ${options.protocol}` : ''}`;
+    case 'gas':
+      return `check gas${on}`;
+    default:
+      return null;
+  }
+}
+
+class DiscordBot {
+  constructor(options = {}) {
+    const botConfig = config.bots?.discord || {};
+    this.publicKey = options.publicKey || botConfig.publicKey;
+    this.applicationId = options.applicationId || botConfig.applicationId;
+    this.botToken = options.botToken || botConfig.botToken;
+    this.apiUrl = options.apiUrl || botConfig.apiUrl || 'https://discord.com/api/v10';
+
+    // Commands run through the shared router and security layer unless given
+    this.router = options.router || require('../../router');
+    this.accessControl = options.accessControl ||
+      require('../../security').getSecurityLayer().accessControl;
+
+    this.userRoles = parseRoleMap(options.userRoles ?? botConfig.userRoles);
+    assignRoles(this.accessControl, this.userRoles, 'discord', 'discord-config');
+
+    // Starts deferred work without waiting for it; given the interaction and
+    // the signed request it came in
+    this.dispatch = options.dispatch || (interaction => {
+      this.completeInteraction(interaction)
+        .catch(error => logger.error('Discord interaction failed', { error: error.message }));
+    });
+  }
+
+  userIdFor(discordUserId) {
+    return `discord:${discordUserId}`;
+  }
+
+  /**
+   * Handle a raw interactions request; returns { statusCode, body }
+   */
+  async handleRequest(headers = {}, rawBody = '') {
+    const request = this.verifyRequest(headers, rawBody);
+    if (request.error) return request.error;
+
+    const response = await this.handleInteraction(request.interaction, { headers, rawBody });
+    return { statusCode: 200, body: JSON.stringify(response) };
+  }
+
+  /**
+   * Run the deferred work of a request forwarded by the interactions function
+   *
+   * The request is re-verified, so only what Discord signed recently runs.
+   */
+  async handleForwarded(headers = {}, rawBody = '') {
+    const request = this.verifyRequest(headers, rawBody);
+    if (request.error) return request.error;
+
+    const age = Date.now() / 1000 - Number(request.timestamp);
+    if (!(age <= MAX_FORWARD_AGE)) {
+      logger.warn('Forwarded Discord interaction rejected, too old', { age });
+      return { statusCode: 401, body: 'stale request' };
+    }
+
+    await this.completeInteraction(request.interaction);
+    return { statusCode: 200, body: '' };
+  }
+
+  verifyRequest(headers, rawBody) {
+    const header = (name) => Object.entries(headers).find(([key]) => key.toLowerCase() === name)?.[1];
+    const timestamp = header('x-signature-timestamp');
+
+    if (!verifySignature(this.publicKey, header('x-signature-ed25519'), timestamp, rawBody)) {
+      logger.warn('Discord interaction rejected, bad signature');
+      return { error: { statusCode: 401, body: 'invalid request signature' } };
+    }
+
+    try {
+      return { interaction: JSON.parse(rawBody), timestamp };
+    } catch {
+      return { error: { statusCode: 400, body: 'invalid JSON' } };
+    }
+  }
+
+  /**
+   * Answer a verified interaction within Discord's deadline
+   *
+   * Pings, unauthorized users and unknown commands are answered directly;
+   * everything else is deferred and handed to dispatch.
+   */
+  async handleInteraction(interaction, request = {}) {
+    if (interaction.type === InteractionType.PING) {
+      return { type: ResponseType.PONG };
+    }
+
+    const user = interaction.member?.user || interaction.user;
+    const userId = this.userIdFor(user?.id);
+
+    if (!user || !this.accessControl.hasPermission(userId, PERMISSION.VIEW_BALANCES)) {
+      logger.warn('Discord interaction from unmapped user', { discordUserId: user?.id });
+      return ephemeral(`You are not authorized to use this bot (user id ${user?.id}).`);
+    }
+
+    let deferred;
+    if (interaction.type === InteractionType.APPLICATION_COMMAND) {
+      if (!buildCommandText(interaction.data?.name, {})) {
+        return ephemeral(`Unknown command /${interaction.data?.name}`);
+      }
+      deferred = { type: ResponseType.DEFERRED_CHANNEL_MESSAGE };
+    } else if (interaction.type === InteractionType.MESSAGE_COMPONENT) {
+      if (!COMPONENT_ACTIONS.includes(String(interaction.data?.custom_id || '').split(':')[0])) {
+        return ephemeral('Unknown action');
+      }
+      // Keeps the prompt as it is until the result replaces it
+      deferred = { type: ResponseType.DEFERRED_UPDATE_MESSAGE };
+    } else {
+      return ephemeral('Unsupported interaction');
+    }
+
+    try {
+      await this.dispatch(interaction, request);
+    } catch (error) {
+      logger.error('Discord interaction dispatch failed', { error: error.message });
+      return ephemeral(`❌ ${error.message}`);
+    }
+
+    return deferred;
+  }
+
+  /**
+   * Run a deferred interaction and deliver the result through its webhook
+   */
+  async completeInteraction(interaction) {
+    const response = await this.runInteraction(interaction);
+    const webhook = `/webhooks/${this.applicationId || interaction.application_id}/${interaction.token}`;
+    const { flags, ...message } = response.data;
+
+    try {
+      // Private replies to a button go out as a follow-up so the prompt stays as it is
+      if (flags === EPHEMERAL && interaction.type === InteractionType.MESSAGE_COMPONENT) {
+        await this.request('POST', webhook, response.data);
+      } else {
+        await this.request('PATCH', `${webhook}/messages/@original`, { components: [], ...message });
+      }
+    } catch (error) {
+      logger.error('Discord follow-up failed', { error: error.message });
+    }
+
+    return response;
+  }
+
+  /**
+   * Build the message for an interaction's result
+   */
+  async runInteraction(interaction) {
+    const user = interaction.member?.user || interaction.user;
+    const context = { userId: this.userIdFor(user?.id), accessControl: this.accessControl, source: 'discord' };
+
+    try {
+      if (interaction.type === InteractionType.APPLICATION_COMMAND) {
+        return await this.handleCommand(interaction.data, context);
+      }
+      return await this.handleComponent(interaction.data, context);
+    } catch (error) {
+      logger.error('Discord interaction failed', { error: error.message });
+      return ephemeral(`❌ ${error.message}`);
+    }
+  }
+
+  async handleCommand(data, context) {
+    const options = Object.fromEntries((data.options || []).map(o => [o.name, o.value]));
+    const text = buildCommandText(data.name, options);
+
+    const result = await this.router.processCommand(text, context);
+    return {
+      type: ResponseType.CHANNEL_MESSAGE,
+      data: messageFor(result),
+    };
+  }
+
+  async handleComponent(data, context) {
+    const [action, confirmationId] = String(data.custom_id || '').split(':');
+    let result;
+
+    if (action === 'confirm') {
+      result = await this.router.confirmPendingCommand(confirmationId, context);
+    } else {
+      result = await this.router.cancelPendingCommand(confirmationId, context);
+    }
+
+    // Another user's buttons: tell only the presser, leave the message alone
+    if (result.status === PendingStatus.FORBIDDEN) {
+      return ephemeral(`❌ ${result.error}`);
+    }
+
+    // Replace the prompt so its buttons cannot be pressed twice
+    return {
+      type: ResponseType.UPDATE_MESSAGE,
+      data: messageFor(result),
+    };
+  }
+
+  /**
+   * Register (overwrite) the global slash commands for the application
+   */
+  registerCommands(commands = SLASH_COMMANDS) {
+    return this.request('PUT', `/applications/${this.applicationId}/commands`, commands);
+  }
+
+  request(method, path, body) {
+    const url = new URL(this.apiUrl.replace(/\/$/, '') + path);
+    const payload = JSON.stringify(body);
+
+    return new Promise((resolve, reject) => {
+      const req = https.request(
+        {
+          hostname: url.hostname,
+          port: url.port || 443,
+          path: url.pathname,
+          method,
+          headers: {
+            // Interaction webhooks are authorized by their token alone
+            ...(this.botToken && { 'Authorization': `Bot ${this.botToken}` }),
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload),
+          },
+        },
+        (res) => {
+          let data = '';
+          res.on('data', (chunk) => (data += chunk));
+          res.on('end', () => {
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+              resolve(data ? JSON.parse(data) : null);
+            } else {
+              reject(new Error(`Discord API ${res.statusCode}: ${data}`));
+            }
+          });
+        }
+      );
+
+      req.on('error', reject);
+      req.write(payload);
+      req.end();
+    });
+  }
+}
+
+function messageFor(result) {
+  const content = formatCommandResult(result).slice(0, MAX_CONTENT_LENGTH);
+  const components = result.requiresConfirmation && result.confirmationId
+    ? [{
+      type: 1,
+      components: [
+        { type: 2, style: 3, label: 'Confirm', custom_id: `confirm:${result.confirmationId}` },
+        { type: 2, style: 4, label: 'Cancel', custom_id: `cancel:${result.confirmationId}` },
+      ],
+    }]
+    : [];
+
+  return { content, components };
+}
+
+function ephemeral(content) {
+  return {
+    type: ResponseType.CHANNEL_MESSAGE,
+    data: { content, flags: EPHEMERAL },
+  };
+}
+
+// Shared bot for the interactions function
+let sharedBot = null;
+
+function getDiscordBot(options = {}) {
+  if (!sharedBot) {
+    sharedBot = new DiscordBot(options);
+  }
+  return sharedBot;
+}
+
+module.exports = {
+  DiscordBot,
+  SLASH_COMMANDS,
+  InteractionType,
+  ResponseType,
+  verifySignature,
+  buildCommandText,
+  getDiscordBot,
+};
@@ -0,0 +1,76 @@
+/**
+ * Bot Reply Formatting
+ * Turns router results into plain-text chat replies
+ */
+
+/**
+ * Render a router.processCommand / confirm / cancel result
+ */
+function formatCommandResult(result) {
+  const text = formatResultBody(result);
+  const paused = result.depeg?.paused || [];
+  if (paused.length === 0) return text;
+
+  return `${text}\n\n⚠️ Paused after a depeg: ${paused.map(p => p.symbol).join(', ')}`;
+}
+
+function formatResultBody(result) {
+  if (result.requiresConfirmation) {
+    return [
+      result.error ? `⚠️ ${result.error}` : null,
+      result.confirmationMessage || 'Confirm this action?',
+    ].filter(Boolean).join('\n\n');
+  }
+
+  if (result.awaitingInput) {
+    return result.prompt || result.error;
+  }
+
+  if (result.cancelled) {
+    return '❌ Cancelled.';
+  }
+
+  if (result.success) {
+    const response = result.response;
+    if (typeof response === 'string') return response;
+    return response?.text || '✅ Done.';
+  }
+
+  const lines = [`❌ ${result.error || 'Something went wrong'}`];
+  if (result.retryAfter) {
+    lines.push(`Try again in ${result.retryAfter}s.`);
+  }
+  if (result.suggestions?.length) {
+    lines.push('', ...result.suggestions.map(s => `• ${s}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Short status line for a confirmation button press
+ */
+function formatConfirmationOutcome(action, result) {
+  if (result.requiresConfirmation) return 'Price moved, please confirm again';
+  if (action === 'cancel') return result.success ? 'Cancelled' : result.error;
+  return result.success ? 'Confirmed' : (result.error || 'Failed').slice(0, 180);
+}
+
+const HELP_TEXT = [
+  'Send me a command in plain English, for example:',
+  '• Swap 0.1 ETH for USDC on Arbitrum',
+  '• Send 50 USDC to vitalik.eth',
+  '• What\'s my balance on Polygon?',
+  '• What\'s my portfolio worth?',
+  '• Check my airdrop eligibility',
+  '• How many points do I have on Blast?',
+  '• Sell 1 ETH for USDC if ETH > 4000',
+  '',
+  'Swaps, transfers and orders wait for you to press Confirm.',
+  '/pending lists commands waiting for confirmation.',
+].join('\n');
+
+module.exports = {
+  formatCommandResult,
+  formatConfirmationOutcome,
+  HELP_TEXT,
+};
@@ -0,0 +1,43 @@
+/**
+ * Bot Role Mapping
+ * Parses "id:role" lists from configuration into AccessControl roles
+ */
+
+const { ROLE } = require('../../security/access-control');
+
+/**
+ * Parse "id:role,id" into a Map of id -> role (role defaults to defaultRole)
+ */
+function parseRoleMap(value, defaultRole = ROLE.TRADER) {
+  if (value instanceof Map) return value;
+
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  const map = new Map();
+
+  for (const entry of entries) {
+    const text = String(entry).trim();
+    if (!text) continue;
+    // Telegram group ids are negative, so split on the last colon only
+    const idx = text.lastIndexOf(':');
+    const hasRole = idx > 0 && isNaN(Number(text.slice(idx + 1)));
+    const id = hasRole ? text.slice(0, idx) : text;
+    const role = hasRole ? text.slice(idx + 1).toLowerCase() : defaultRole;
+    map.set(id, role);
+  }
+
+  return map;
+}
+
+/**
+ * Register every mapped id with AccessControl as `<prefix>:<id>`
+ */
+function assignRoles(accessControl, roleMap, prefix, assignedBy) {
+  for (const [id, role] of roleMap) {
+    accessControl.assignRole(`${prefix}:${id}`, role, assignedBy);
+  }
+}
+
+module.exports = {
+  parseRoleMap,
+  assignRoles,
+};
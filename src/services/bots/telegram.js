@@ -0,0 +1,321 @@
+/**
+ * Telegram Bot
+ * Inbound Telegram handling: messages go to the command router and inline
+ * Confirm/Cancel buttons resolve pending commands
+ *
+ * Updates arrive either through a webhook (handleWebhook, used by the Netlify
+ * function) or by long polling getUpdates (start/stop, used by the local
+ * daemon). Webhook mode needs TELEGRAM_WEBHOOK_SECRET: without it anyone who
+ * finds the URL could post updates, so every webhook request is refused.
+ * Verified updates are handed to dispatch, which runs them in-process by
+ * default; the Netlify function forwards them to a background function so
+ * a slow command does not hold the webhook reply. Access is granted per chat: each allowed chat is registered in
+ * AccessControl as the user `telegram:<chatId>` with a role, and the router
+ * checks that role's permissions for every command.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const telegramApi = require('../notifications/telegram');
+const { formatCommandResult, formatConfirmationOutcome, HELP_TEXT } = require('./format');
+const { parseRoleMap, assignRoles } = require('./roles');
+const { PERMISSION } = require('../../security/access-control');
+const { ConfigurationError } = require('../../utils/errors');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const CALLBACK_ACTIONS = ['confirm', 'cancel'];
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+class TelegramBot extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    const botConfig = config.bots?.telegram || {};
+    this.botToken = options.botToken || config.notifications.telegram.botToken;
+    this.apiUrl = options.apiUrl || config.notifications.telegram.apiUrl;
+    this.webhookSecret = options.webhookSecret ?? botConfig.webhookSecret ?? null;
+    this.pollTimeout = options.pollTimeout ?? botConfig.pollTimeout ?? 30;
+
+    // Commands run through the shared router and security layer unless given
+    this.router = options.router || require('../../router');
+    this.accessControl = options.accessControl ||
+      require('../../security').getSecurityLayer().accessControl;
+
+    this.allowedChats = parseRoleMap(options.allowedChats ?? botConfig.allowedChats);
+    assignRoles(this.accessControl, this.allowedChats, 'telegram', 'telegram-config');
+
+    // Runs a verified webhook update; given the update and the request it came in
+    this.dispatch = options.dispatch || (update => this.handleUpdate(update));
+
+    this.offset = 0;
+    this.polling = false;
+    this.pollLoop = null;
+  }
+
+  userIdFor(chatId) {
+    return `telegram:${chatId}`;
+  }
+
+  isAllowed(chatId) {
+    return this.accessControl.hasPermission(this.userIdFor(chatId), PERMISSION.VIEW_BALANCES);
+  }
+
+  api(method, params) {
+    return telegramApi.callApi(method, params, { botToken: this.botToken, apiUrl: this.apiUrl });
+  }
+
+  // ============ Updates ============
+
+  /**
+   * Handle one Bot API update (message or callback query)
+   */
+  async handleUpdate(update) {
+    try {
+      if (update.callback_query) {
+        return await this.handleCallbackQuery(update.callback_query);
+      }
+      const message = update.message || update.edited_message;
+      if (message?.text) {
+        return await this.handleMessage(message);
+      }
+      return null;
+    } catch (error) {
+      logger.error('Telegram update failed', { updateId: update.update_id, error: error.message });
+      this.emit('error', error);
+      return null;
+    }
+  }
+
+  async handleMessage(message) {
+    const chatId = message.chat.id;
+    const text = message.text.trim();
+
+    if (!this.isAllowed(chatId)) {
+      logger.warn('Telegram message from unauthorized chat', { chatId });
+      this.emit('denied', { chatId, text });
+      return this.reply(chatId, `This chat (id ${chatId}) is not authorized to use this bot.`);
+    }
+
+    const command = text.split(/\s+/)[0].split('@')[0].toLowerCase();
+    if (command === '/start' || command === '/help') {
+      return this.reply(chatId, HELP_TEXT);
+    }
+    if (command === '/pending') {
+      return this.sendPending(chatId);
+    }
+
+    const result = await this.router.processCommand(text, this.contextFor(chatId));
+    this.emit('command', { chatId, text, result });
+    return this.sendResult(chatId, result);
+  }
+
+  async handleCallbackQuery(query) {
+    const chatId = query.message?.chat?.id;
+    const [action, confirmationId] = String(query.data || '').split(':');
+
+    if (!chatId || !this.isAllowed(chatId)) {
+      logger.warn('Telegram callback from unauthorized chat', { chatId });
+      return this.api('answerCallbackQuery', { callback_query_id: query.id, text: 'Not authorized' });
+    }
+
+    if (!CALLBACK_ACTIONS.includes(action) || !confirmationId) {
+      return this.api('answerCallbackQuery', { callback_query_id: query.id, text: 'Unknown action' });
+    }
+
+    const context = this.contextFor(chatId);
+    const result = action === 'confirm'
+      ? await this.router.confirmPendingCommand(confirmationId, context)
+      : await this.router.cancelPendingCommand(confirmationId, context);
+    this.emit('callback', { chatId, action, confirmationId, result });
+
+    await this.api('answerCallbackQuery', {
+      callback_query_id: query.id,
+      text: formatConfirmationOutcome(action, result),
+    });
+
+    // Drop the buttons from the original prompt so it cannot be pressed twice
+    if (!result.requiresConfirmation) {
+      await this.api('editMessageReplyMarkup', {
+        chat_id: chatId,
+        message_id: query.message.message_id,
+        reply_markup: { inline_keyboard: [] },
+      }).catch(error => logger.debug('Could not clear Telegram buttons', { error: error.message }));
+    }
+
+    return this.sendResult(chatId, result);
+  }
+
+  contextFor(chatId) {
+    return {
+      userId: this.userIdFor(chatId),
+      accessControl: this.accessControl,
+      source: 'telegram',
+    };
+  }
+
+  // ============ Replies ============
+
+  sendResult(chatId, result) {
+    const text = formatCommandResult(result);
+
+    if (result.requiresConfirmation && result.confirmationId) {
+      return this.reply(chatId, text, confirmationButtons(result.confirmationId));
+    }
+    return this.reply(chatId, text);
+  }
+
+  async sendPending(chatId) {
+    const pending = await this.router.listPendingCommands(this.userIdFor(chatId));
+    if (pending.length === 0) {
+      return this.reply(chatId, 'Nothing is waiting for confirmation.');
+    }
+
+    return Promise.all(pending.map(p =>
+      this.reply(chatId, p.confirmationMessage || `${p.intent} awaiting confirmation`, confirmationButtons(p.confirmationId))
+    ));
+  }
+
+  reply(chatId, text, buttons = null) {
+    return this.api('sendMessage', {
+      chat_id: chatId,
+      text,
+      ...(buttons && { reply_markup: { inline_keyboard: buttons } }),
+    });
+  }
+
+  // ============ Webhook ============
+
+  /**
+   * Handle a webhook request: verify the secret token and hand the update to dispatch
+   */
+  async handleWebhook(headers = {}, body = '') {
+    const request = this.verifyWebhook(headers, body);
+    if (request.error) return request.error;
+
+    await this.dispatch(request.update, { headers, body });
+    return { statusCode: 200 };
+  }
+
+  /**
+   * Run an update forwarded by the webhook function, verified again
+   */
+  async handleForwarded(headers = {}, body = '') {
+    const request = this.verifyWebhook(headers, body);
+    if (request.error) return request.error;
+
+    await this.handleUpdate(request.update);
+    return { statusCode: 200 };
+  }
+
+  verifyWebhook(headers, body) {
+    if (!this.webhookSecret) {
+      logger.warn('Telegram webhook refused, TELEGRAM_WEBHOOK_SECRET is not set');
+      return { error: { statusCode: 403 } };
+    }
+
+    const provided = Object.entries(headers)
+      .find(([key]) => key.toLowerCase() === SECRET_HEADER)?.[1];
+    if (!secretMatches(provided, this.webhookSecret)) {
+      logger.warn('Telegram webhook rejected, bad secret token');
+      return { error: { statusCode: 401 } };
+    }
+
+    try {
+      return { update: typeof body === 'string' ? JSON.parse(body) : body };
+    } catch {
+      return { error: { statusCode: 400 } };
+    }
+  }
+
+  setWebhook(url) {
+    if (!this.webhookSecret) {
+      throw new ConfigurationError('Set TELEGRAM_WEBHOOK_SECRET before registering a webhook');
+    }
+    return this.api('setWebhook', {
+      url,
+      allowed_updates: ['message', 'callback_query'],
+      secret_token: this.webhookSecret,
+    });
+  }
+
+  // ============ Long Polling ============
+
+  /**
+   * Fetch and handle one batch of updates
+   */
+  async poll() {
+    const updates = await this.api('getUpdates', {
+      offset: this.offset,
+      timeout: this.pollTimeout,
+      allowed_updates: ['message', 'callback_query'],
+    });
+
+    for (const update of updates) {
+      this.offset = Math.max(this.offset, update.update_id + 1);
+      await this.handleUpdate(update);
+    }
+    return updates.length;
+  }
+
+  start() {
+    if (this.polling) return this.pollLoop;
+    this.polling = true;
+    logger.info('Telegram bot polling started', { chats: this.allowedChats.size });
+
+    this.pollLoop = (async () => {
+      while (this.polling) {
+        try {
+          await this.poll();
+        } catch (error) {
+          logger.warn('Telegram poll failed', { error: error.message });
+          await new Promise(resolve => setTimeout(resolve, 5000));
+        }
+      }
+    })();
+    return this.pollLoop;
+  }
+
+  /**
+   * Stop polling; resolves once the in-flight getUpdates returns
+   */
+  async stop() {
+    if (!this.polling) return;
+    this.polling = false;
+    await this.pollLoop;
+    this.pollLoop = null;
+    logger.info('Telegram bot polling stopped');
+  }
+}
+
+/**
+ * Compare secret tokens in constant time
+ */
+function secretMatches(provided, expected) {
+  if (typeof provided !== 'string') return false;
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function confirmationButtons(confirmationId) {
+  return [[
+    { text: '✅ Confirm', callback_data: `confirm:${confirmationId}` },
+    { text: '❌ Cancel', callback_data: `cancel:${confirmationId}` },
+  ]];
+}
+
+// Shared bot for the webhook function and the daemon
+let sharedBot = null;
+
+function getTelegramBot(options = {}) {
+  if (!sharedBot) {
+    sharedBot = new TelegramBot(options);
+  }
+  return sharedBot;
+}
+
+module.exports = {
+  TelegramBot,
+  getTelegramBot,
+};
@@ -0,0 +1,33 @@
+/**
+ * Dashboard Daemon
+ * Long-running local process: `npm run dashboard`
+ *
+ * Starts a monitoring layer on the shared security layer and serves its
+ * dashboard on DASHBOARD_HOST:DASHBOARD_PORT. Alerts raised by the
+ * monitoring layer are also sent through the configured notification
+ * channels. The scheduler and bot daemons embed the same dashboard, fed with
+ * the transactions they send; use this process when neither is running.
+ */
+
+const bot = require('../..');
+const { startDashboard } = require('.');
+const logger = require('../../utils/logger');
+
+async function main() {
+  await bot.initialize();
+
+  const stopDashboard = await startDashboard();
+
+  const shutdown = async (signal) => {
+    logger.info(`Received ${signal}, stopping dashboard`);
+    await stopDashboard();
+    process.exit(0);
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+main().catch((error) => {
+  logger.error('Dashboard failed to start:', error);
+  process.exit(1);
+});
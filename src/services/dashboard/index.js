@@ -0,0 +1,377 @@
+/**
+ * Dashboard Server
+ * Serves the monitoring dashboard over HTTP
+ *
+ * Routes (GET only):
+ *   /                  static web UI
+ *   /metrics           Prometheus text exposition
+ *   /api/status        dashboard, system, RPC, oracle and MEV status
+ *   /api/transactions  pending and recent transactions
+ *   /api/wallets       tracked wallet statuses
+ *   /api/alerts        active and recent alerts
+ *   /api/events        Server-Sent Events stream of dashboard events
+ *
+ * The server wraps any Dashboard instance, so it can be embedded in a
+ * process that already owns a monitoring layer or run on its own with
+ * `npm run dashboard`. startDashboard builds that layer for a daemon and
+ * feeds it the transactions the daemon records. When DASHBOARD_TOKEN is
+ * set every route needs it, as a Bearer header or a `token` query parameter
+ * (EventSource cannot send headers).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const config = require('../../config');
+const { createMonitoringLayer } = require('../../monitoring');
+const { getSecurityLayer } = require('../../security');
+const { getLedger } = require('../../core/ledger');
+const { TxStatus } = require('../../core/transactions');
+const notifications = require('../notifications');
+const logger = require('../../utils/logger');
+
+// Events the Dashboard publishes through subscribe()
+const DASHBOARD_EVENTS = [
+  'transaction:pending',
+  'transaction:confirmed',
+  'transaction:failed',
+  'wallet:updated',
+  'rpc:updated',
+  'oracle:stale',
+  'oracle:deviation',
+  'sequencer:down',
+  'mev:sandwich',
+  'alert',
+  'refresh',
+];
+
+const UI_FILE = path.join(__dirname, 'public', 'index.html');
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+class DashboardServer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    const serverConfig = config.dashboard || {};
+    this.dashboard = options.dashboard;
+    this.host = options.host ?? serverConfig.host ?? '127.0.0.1';
+    this.port = options.port ?? serverConfig.port ?? 8787;
+    this.token = options.token !== undefined ? options.token : (serverConfig.token || null);
+    this.heartbeatInterval = options.heartbeatInterval ?? serverConfig.heartbeatInterval ?? 15000;
+
+    if (!this.dashboard) {
+      throw new Error('DashboardServer needs a dashboard');
+    }
+
+    this.server = null;
+    this.clients = new Set();
+    this.heartbeat = null;
+    this.ui = null;
+  }
+
+  // ============ Lifecycle ============
+
+  /**
+   * Listen on the configured host and port; resolves with the bound address
+   */
+  start() {
+    if (this.server) return Promise.resolve(this.address());
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        logger.error('Dashboard request failed', { url: req.url, error: error.message });
+        if (!res.headersSent) {
+          this.sendJson(res, 500, { error: 'Internal server error' });
+        } else {
+          res.end();
+        }
+      });
+    });
+
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        client.res.write(': heartbeat\n\n');
+      }
+    }, this.heartbeatInterval);
+
+    return new Promise((resolve, reject) => {
+      // e.g. EADDRINUSE: leave the server stopped so start can be retried
+      const fail = (error) => {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+        this.server = null;
+        reject(error);
+      };
+      this.server.once('error', fail);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', fail);
+        const address = this.address();
+        logger.info('Dashboard server listening', { ...address, auth: !!this.token });
+        resolve(address);
+      });
+    });
+  }
+
+  /**
+   * Close event streams and stop listening
+   */
+  async stop() {
+    if (!this.server) return;
+
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    for (const client of this.clients) {
+      client.close();
+    }
+
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolve => server.close(resolve));
+    logger.info('Dashboard server stopped');
+  }
+
+  address() {
+    const address = this.server?.address();
+    return address ? { host: address.address, port: address.port } : null;
+  }
+
+  // ============ Routing ============
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return this.sendJson(res, 405, { error: 'Method not allowed' });
+    }
+    if (!this.isAuthorized(req, url)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return this.sendJson(res, 401, { error: 'Unauthorized' });
+    }
+
+    switch (url.pathname) {
+      case '/':
+      case '/index.html':
+        return this.sendUi(res);
+      case '/metrics':
+        return this.send(res, 200, PROMETHEUS_CONTENT_TYPE, `${this.dashboard.exportMetrics('prometheus')}\n`);
+      case '/api/status':
+        return this.sendJson(res, 200, this.getStatus());
+      case '/api/transactions':
+        return this.sendJson(res, 200, this.dashboard.getTransactionFeed());
+      case '/api/wallets':
+        return this.sendJson(res, 200, { wallets: this.dashboard.getAllWalletStatuses() });
+      case '/api/alerts':
+        return this.sendJson(res, 200, this.getAlerts(url));
+      case '/api/events':
+        return this.openStream(req, res);
+      default:
+        return this.sendJson(res, 404, { error: 'Not found' });
+    }
+  }
+
+  isAuthorized(req, url) {
+    if (!this.token) return true;
+
+    const header = req.headers.authorization || '';
+    const supplied = header.startsWith('Bearer ')
+      ? header.slice('Bearer '.length)
+      : url.searchParams.get('token');
+    if (!supplied) return false;
+
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(supplied);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  getStatus() {
+    return {
+      timestamp: Date.now(),
+      status: this.dashboard.getStatus(),
+      system: this.dashboard.getSystemStatus(),
+      rpc: this.dashboard.getRpcHealth(),
+      oracles: this.dashboard.getOracleStatus(),
+      mev: this.dashboard.getMevMetrics(),
+      streamClients: this.clients.size,
+    };
+  }
+
+  /**
+   * Active alerts and the most recent ones, newest last; ?limit= caps recent
+   */
+  getAlerts(url) {
+    const limit = Math.max(parseInt(url.searchParams.get('limit')) || 50, 1);
+    return {
+      active: this.dashboard.getActiveAlerts(),
+      recent: this.dashboard.data.alerts.recent.slice(-limit),
+    };
+  }
+
+  // ============ Event Stream ============
+
+  /**
+   * Hold the response open and forward dashboard events as SSE messages,
+   * starting with a full snapshot
+   */
+  openStream(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 5000\n\n');
+
+    const write = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const unsubscribers = DASHBOARD_EVENTS.map(event =>
+      this.dashboard.subscribe(event, data => write(event, data)));
+
+    const client = {
+      res,
+      close: () => {
+        if (!this.clients.delete(client)) return;
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+        res.end();
+        this.emit('client:disconnected', this.clients.size);
+      },
+    };
+    this.clients.add(client);
+    req.on('close', client.close);
+
+    write('snapshot', this.dashboard.getSnapshot());
+    this.emit('client:connected', this.clients.size);
+  }
+
+  // ============ Responses ============
+
+  sendUi(res) {
+    if (!this.ui) {
+      this.ui = fs.readFileSync(UI_FILE, 'utf8');
+    }
+    return this.send(res, 200, 'text/html; charset=utf-8', this.ui);
+  }
+
+  sendJson(res, status, body) {
+    return this.send(res, status, 'application/json', JSON.stringify(body));
+  }
+
+  send(res, status, contentType, body) {
+    res.writeHead(status, {
+      'Content-Type': contentType,
+      'Content-Length': Buffer.byteLength(body),
+      'Cache-Control': 'no-store',
+    });
+    res.end(body);
+  }
+}
+
+// Settled hashes remembered so later ledger updates are not shown twice
+const MAX_SETTLED = 1000;
+
+/**
+ * Mirror the ledger's transactions onto a dashboard
+ *
+ * Submissions show as pending; confirmations, failures and replacements move
+ * them to the recent feed. Secured transactions reach the ledger already
+ * settled, so they are tracked and settled in one step.
+ *
+ * @returns {Function} Stop function
+ */
+function feedDashboard(dashboard, ledger = getLedger()) {
+  const settled = new Set();
+
+  const onTransaction = (tx) => {
+    const hash = tx.hash;
+    if (settled.has(hash)) return;
+
+    const isPending = dashboard.getTransactionFeed().pending.some(p => p.txHash === hash);
+    if (!isPending) {
+      dashboard.trackPendingTransaction({
+        txHash: hash,
+        wallet: tx.from,
+        type: ledger.getCommand(tx.commandId)?.type?.toLowerCase() || 'transaction',
+        chainId: tx.chainId,
+        value: tx.value,
+        timestamp: tx.submittedAt,
+      });
+    }
+    if (tx.status === TxStatus.PENDING) return;
+
+    if (tx.status === TxStatus.CONFIRMED) {
+      dashboard.confirmTransaction(hash, {
+        gasUsed: tx.gasUsed,
+        blockNumber: tx.blockNumber,
+        protectionUsed: tx.protectionUsed,
+      });
+    } else {
+      dashboard.failTransaction(hash, {
+        message: tx.status === TxStatus.REPLACED ? `Replaced by ${tx.replacedBy}` : (tx.error || 'Transaction reverted'),
+      });
+    }
+
+    settled.add(hash);
+    if (settled.size > MAX_SETTLED) {
+      settled.delete(settled.values().next().value);
+    }
+  };
+
+  ledger.on('transaction', onTransaction);
+  return () => ledger.off('transaction', onTransaction);
+}
+
+// Shared server for the local daemon
+let sharedServer = null;
+
+function getDashboardServer(options = {}) {
+  if (!sharedServer) {
+    sharedServer = new DashboardServer(options);
+  }
+  return sharedServer;
+}
+
+/**
+ * Start a monitoring layer on the shared security layer, feed it this
+ * process's transactions and serve its dashboard
+ *
+ * Alerts raised by the monitoring layer also go out through the configured
+ * notification channels.
+ *
+ * @param {object} [options] - DashboardServer options (host, port, token)
+ * @returns {Promise<Function>} Async stop function
+ */
+async function startDashboard(options = {}) {
+  const monitoring = createMonitoringLayer({
+    logger,
+    securityLayer: getSecurityLayer(),
+    notificationService: notifications,
+  });
+  monitoring.start();
+  const stopFeed = feedDashboard(monitoring.dashboard);
+
+  const server = getDashboardServer({ ...options, dashboard: monitoring.dashboard });
+  try {
+    await server.start();
+  } catch (error) {
+    stopFeed();
+    monitoring.stop();
+    throw error;
+  }
+
+  return async () => {
+    await server.stop();
+    stopFeed();
+    monitoring.stop();
+  };
+}
+
+module.exports = {
+  DASHBOARD_EVENTS,
+  DashboardServer,
+  getDashboardServer,
+  feedDashboard,
+  startDashboard,
+};
@@ -0,0 +1,256 @@
+/**
+ * Email Notification Service
+ * Sends alerts over SMTP
+ *
+ * A minimal SMTP client: implicit TLS (SMTP_SECURE, usually port 465) or a
+ * plain connection upgraded with STARTTLS when the server offers it, AUTH
+ * PLAIN when credentials are set, then one message to every recipient.
+ * Credentials are only sent over an encrypted connection unless
+ * SMTP_ALLOW_INSECURE_AUTH is set (e.g. for a relay on localhost). The
+ * body is sent base64 encoded so alert text needs no dot-stuffing or
+ * 8BITMIME support.
+ */
+
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const crypto = require('crypto');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { ExternalAPIError } = require('../../utils/errors');
+
+const DEFAULT_TIMEOUT = 15 * 1000;
+
+/**
+ * One SMTP conversation: queues server replies and hands them out in order
+ */
+class SmtpSession {
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.error = null;
+
+    socket.on('data', (chunk) => this.receive(chunk.toString('utf8')));
+    socket.on('error', (error) => this.fail(error));
+    socket.on('close', () => this.fail(new ExternalAPIError('SMTP', 'connection closed')));
+    socket.setTimeout(this.timeout, () => socket.destroy(new ExternalAPIError('SMTP', 'connection timed out')));
+  }
+
+  detach() {
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('error');
+    this.socket.removeAllListeners('close');
+    this.socket.setTimeout(0);
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+      this.lines.push(line);
+
+      // "250-..." continues a reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        this.replies.push({
+          code: parseInt(line.slice(0, 3)),
+          lines: this.lines.map(l => l.slice(4)),
+        });
+        this.lines = [];
+      }
+    }
+    this.deliver();
+  }
+
+  fail(error) {
+    if (!this.error) this.error = error;
+    this.deliver();
+  }
+
+  deliver() {
+    if (!this.waiting) return;
+    const { resolve, reject } = this.waiting;
+    if (this.replies.length > 0) {
+      this.waiting = null;
+      resolve(this.replies.shift());
+    } else if (this.error) {
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.deliver();
+    });
+  }
+
+  /**
+   * Send a command (or nothing, for the greeting) and check the reply code
+   */
+  async expect(command, codes, label = command) {
+    if (command !== null) this.socket.write(`${command}\r\n`);
+    const reply = await this.read();
+    if (!codes.includes(reply.code)) {
+      throw new ExternalAPIError('SMTP', `${label} rejected: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+    }
+    return reply;
+  }
+
+  close() {
+    this.detach();
+    // A reset after we are done is of no interest
+    this.socket.on('error', () => {});
+    this.socket.end();
+  }
+}
+
+function connect(options) {
+  return new Promise((resolve, reject) => {
+    const socket = options.secure
+      ? tls.connect({ host: options.host, port: options.port, servername: options.host })
+      : net.connect({ host: options.host, port: options.port });
+    socket.once(options.secure ? 'secureConnect' : 'connect', () => {
+      socket.removeListener('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+}
+
+function upgrade(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secure = tls.connect({ socket, servername: host }, () => {
+      secure.removeListener('error', reject);
+      resolve(secure);
+    });
+    secure.once('error', reject);
+  });
+}
+
+// Non-ASCII header values as RFC 2047 encoded words
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text, hostname }) {
+  const body = Buffer.from(text, 'utf8').toString('base64').match(/.{1,76}/g) || [];
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${hostname}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...body,
+  ].join('\r\n');
+}
+
+/**
+ * Send a plain text email
+ *
+ * options override the configured SMTP settings (a second mail server, or a
+ * local stub server in tests).
+ *
+ * @param {Object} mail - { subject, text, to (address or list) }
+ * @param {Object} [options] - { host, port, secure, starttls,
+ *   allowInsecureAuth, user, pass, from, to, timeout }
+ * @returns {Promise<{success: boolean, response: string}>} response is the
+ *   server's reply to the message, usually with its queue ID
+ */
+async function sendMail(mail, options = {}) {
+  const settings = { ...config.notifications.email, ...options };
+  const to = [].concat(mail.to || settings.to || []).filter(Boolean);
+  const from = settings.from || settings.user;
+
+  if (!settings.host) {
+    throw new Error('SMTP host not configured');
+  }
+  if (!from || to.length === 0) {
+    throw new Error('Email sender or recipients not configured');
+  }
+
+  const hostname = settings.hostname || os.hostname();
+  const message = buildMessage({ from, to, subject: mail.subject, text: mail.text, hostname });
+  const session = new SmtpSession(
+    await connect({ host: settings.host, port: settings.port || 587, secure: settings.secure }),
+    settings.timeout || DEFAULT_TIMEOUT
+  );
+
+  try {
+    await session.expect(null, [220], 'Greeting');
+    let hello = await session.expect(`EHLO ${hostname}`, [250]);
+
+    let encrypted = settings.secure === true;
+    const offersStartTls = hello.lines.some(line => /^STARTTLS\b/i.test(line));
+    if (!encrypted && offersStartTls && settings.starttls !== false) {
+      await session.expect('STARTTLS', [220]);
+      session.detach();
+      session.attach(await upgrade(session.socket, settings.host));
+      hello = await session.expect(`EHLO ${hostname}`, [250]);
+      encrypted = true;
+    }
+
+    if (settings.user) {
+      if (!encrypted && !settings.allowInsecureAuth) {
+        throw new ExternalAPIError('SMTP', 'refusing to send credentials over an unencrypted connection ' +
+          '(the server did not offer STARTTLS; set SMTP_ALLOW_INSECURE_AUTH=true to allow it)');
+      }
+      const credentials = Buffer.from(`\0${settings.user}\0${settings.pass || ''}`).toString('base64');
+      await session.expect(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+    }
+
+    await session.expect(`MAIL FROM:<${from.replace(/^.*<|>.*$/g, '')}>`, [250], 'MAIL FROM');
+    for (const recipient of to) {
+      await session.expect(`RCPT TO:<${recipient.replace(/^.*<|>.*$/g, '')}>`, [250, 251], 'RCPT TO');
+    }
+    await session.expect('DATA', [354]);
+    const accepted = await session.expect(`${message}\r\n.`, [250], 'Message');
+    await session.expect('QUIT', [221]).catch(() => {});
+
+    logger.debug('Email notification sent', { to });
+    return { success: true, response: accepted.lines.join(' ') };
+  } finally {
+    session.close();
+  }
+}
+
+/**
+ * Email an alert from the alert system
+ */
+async function sendAlert(alert, options = {}) {
+  const subject = `[${alert.level.toUpperCase()}] ${alert.category}: ${alert.message}`.slice(0, 200);
+  const text = [
+    alert.message,
+    '',
+    `Level: ${alert.level}`,
+    `Category: ${alert.category}`,
+    `Time: ${new Date(alert.timestamp).toISOString()}`,
+    `Alert ID: ${alert.id}`,
+    ...(alert.data && Object.keys(alert.data).length > 0
+      ? ['', 'Details:', JSON.stringify(alert.data, null, 2)]
+      : []),
+  ].join('\n');
+
+  return sendMail({ subject, text }, options);
+}
+
+module.exports = {
+  sendMail,
+  sendAlert,
+};
@@ -0,0 +1,66 @@
+/**
+ * Webhook HTTP Client
+ * POSTs JSON to the Slack, signed webhook and PagerDuty channels
+ *
+ * Plain http URLs are accepted so channels can point at a local relay or a
+ * stub server in tests.
+ */
+
+const http = require('http');
+const https = require('https');
+const { ExternalAPIError } = require('../../utils/errors');
+
+const DEFAULT_TIMEOUT = 10 * 1000;
+
+/**
+ * POST a JSON payload and resolve with the response
+ *
+ * @param {string} service - Name used in errors ("Slack", "PagerDuty")
+ * @param {string} target - URL to post to
+ * @param {Object|string} body - Payload, serialized unless already a string
+ * @param {Object} [options] - { headers, timeout }
+ * @returns {Promise<{statusCode: number, body: string}>} Rejects on non-2xx
+ */
+function postJson(service, target, body, options = {}) {
+  const url = new URL(target);
+  const payload = typeof body === 'string' ? body : JSON.stringify(body);
+  const transport = url.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      {
+        hostname: url.hostname,
+        port: url.port || (url.protocol === 'http:' ? 80 : 443),
+        path: `${url.pathname}${url.search}`,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(payload),
+          ...options.headers,
+        },
+      },
+      (res) => {
+        let data = '';
+        res.on('data', (chunk) => (data += chunk));
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve({ statusCode: res.statusCode, body: data });
+          } else {
+            reject(new ExternalAPIError(service, `returned ${res.statusCode} ${data}`.trim(), res.statusCode));
+          }
+        });
+      }
+    );
+
+    req.setTimeout(options.timeout || DEFAULT_TIMEOUT, () => {
+      req.destroy(new ExternalAPIError(service, 'request timed out'));
+    });
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+module.exports = {
+  postJson,
+};
@@ -1,10 +1,15 @@
 /**
  * Notification Service
  * Sends alerts via Discord, Telegram, and Webhooks
+ *
+ * Alerts from the alert system go through notifyAlert, which routes them to
+ * Discord, Telegram, email, Slack, signed webhooks or PagerDuty by rule
+ * (see ./routing).
  */
 
 const discord = require('./discord');
 const telegram = require('./telegram');
+const { getAlertRouter } = require('./routing');
 const config = require('../../config');
 const logger = require('../../utils/logger');
 
@@ -43,6 +48,15 @@ async function notify(message, options = {}) {
   return results;
 }
 
+/**
+ * Route an alert from the alert system to its channels
+ * @param {Object} alert - { id, level, category, message, data, timestamp }
+ * @returns {Promise<Object[]>} [{ channel, success, error }]
+ */
+async function notifyAlert(alert) {
+  return getAlertRouter().dispatch(alert);
+}
+
 /**
  * Send transaction notification
  */
@@ -97,6 +111,44 @@ async function notifyAirdrop(airdropInfo) {
   return notify(message, { type: 'alert' });
 }
 
+/**
+ * Send vesting unlock alert
+ */
+async function notifyVesting(notice) {
+  const title = notice.event === 'claimable' ? 'Vested Tokens Claimable' : 'Vested Tokens Unlocked';
+  const message = `🔓 **${title}**\n` +
+    `Protocol: ${notice.protocol}\n` +
+    `Wallet: ${notice.wallet}\n` +
+    `New: ${notice.amount} ${notice.symbol}\n` +
+    `Unlocked: ${notice.unlocked} / ${notice.total} ${notice.symbol}\n` +
+    (notice.event === 'claimable' ? `Claimable now: ${notice.claimable} ${notice.symbol}\n` : '') +
+    (notice.nextUnlock ? `Next unlock: ${notice.nextUnlock}` : 'Fully unlocked');
+
+  return notify(message, { type: 'alert' });
+}
+
+/**
+ * Send limit order fill, expiry or failure alert
+ */
+async function notifyLimitOrder(notice) {
+  const { order } = notice;
+  const titles = {
+    filled: 'Limit Order Filled',
+    partial: 'Limit Order Partially Filled',
+    expired: 'Limit Order Expired',
+    failed: 'Limit Order Failed',
+  };
+  const last = order.fills[order.fills.length - 1];
+  const message = `📈 **${titles[notice.event] || 'Limit Order Update'}**\n` +
+    `Order: ${order.id} (${order.type})\n` +
+    `${order.amount} ${order.fromToken} → ${order.toToken} if ${order.asset} ${order.condition} $${order.triggerPrice}\n` +
+    `Filled: ${order.filled} / ${order.amount} ${order.fromToken}, received ${order.received} ${order.toToken}\n` +
+    (last && notice.event !== 'expired' ? `Last fill at $${last.price}: ${last.txHash}\n` : '') +
+    (notice.event === 'failed' ? `Error: ${order.lastError}` : '');
+
+  return notify(message, { type: notice.event === 'failed' ? 'error' : 'alert' });
+}
+
 /**
  * Send error alert
  */
@@ -167,13 +219,33 @@ function getStatus() {
       enabled: config.notifications.telegram.enabled,
       configured: !!config.notifications.telegram.botToken && !!config.notifications.telegram.chatId,
     },
+    email: {
+      enabled: !!config.notifications.email?.enabled,
+      configured: !!config.notifications.email?.host && config.notifications.email.to.length > 0,
+    },
+    slack: {
+      enabled: !!config.notifications.slack?.enabled,
+      configured: !!config.notifications.slack?.webhookUrl,
+    },
+    webhook: {
+      enabled: !!config.notifications.webhook?.enabled,
+      configured: !!config.notifications.webhook?.url,
+      signed: !!config.notifications.webhook?.secret,
+    },
+    pagerduty: {
+      enabled: !!config.notifications.pagerduty?.enabled,
+      configured: !!config.notifications.pagerduty?.routingKey,
+    },
   };
 }
 
 module.exports = {
   notify,
+  notifyAlert,
   notifyTransaction,
   notifyAirdrop,
+  notifyVesting,
+  notifyLimitOrder,
   notifyError,
   notifyDailySummary,
   notifyLowBalance,
@@ -0,0 +1,93 @@
+/**
+ * PagerDuty Notification Service
+ * Opens incidents through the PagerDuty Events API v2 (or any service that
+ * accepts the same events, set with PAGERDUTY_EVENTS_URL)
+ *
+ * The alert ID is the dedup key, so an escalation of an alert updates its
+ * open incident instead of paging twice.
+ */
+
+const os = require('os');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { postJson } = require('./http');
+
+const EVENT_ACTION = {
+  TRIGGER: 'trigger',
+  ACKNOWLEDGE: 'acknowledge',
+  RESOLVE: 'resolve',
+};
+
+// Alert levels to Events API severities
+const SEVERITY = {
+  critical: 'critical',
+  high: 'error',
+  medium: 'warning',
+  low: 'info',
+};
+
+/**
+ * Send an event
+ *
+ * @param {string} action - trigger, acknowledge or resolve
+ * @param {string} dedupKey - Incident key
+ * @param {Object} [payload] - Event payload (trigger only)
+ * @param {Object} [options] - { routingKey, eventsUrl } overriding the
+ *   configured service
+ * @returns {Promise<{success: boolean, dedupKey: string}>}
+ */
+async function sendEvent(action, dedupKey, payload, options = {}) {
+  const routingKey = options.routingKey || config.notifications.pagerduty.routingKey;
+  const eventsUrl = options.eventsUrl || config.notifications.pagerduty.eventsUrl;
+
+  if (!routingKey) {
+    throw new Error('PagerDuty routing key not configured');
+  }
+
+  const event = { routing_key: routingKey, event_action: action, dedup_key: dedupKey };
+  if (action === EVENT_ACTION.TRIGGER) {
+    event.payload = payload;
+  }
+
+  const response = await postJson('PagerDuty', eventsUrl, event);
+  let body = {};
+  try {
+    body = JSON.parse(response.body);
+  } catch {
+    // Compatible services need not echo the event back
+  }
+
+  logger.debug('PagerDuty event sent', { action, dedupKey });
+  return { success: true, dedupKey: body.dedup_key || dedupKey };
+}
+
+/**
+ * Trigger an incident for an alert from the alert system
+ */
+async function sendAlert(alert, options = {}) {
+  return sendEvent(EVENT_ACTION.TRIGGER, alert.id, {
+    summary: `[${alert.level.toUpperCase()}] ${alert.message}`.slice(0, 1024),
+    source: options.source || os.hostname(),
+    severity: SEVERITY[alert.level] || 'warning',
+    timestamp: new Date(alert.timestamp).toISOString(),
+    component: alert.category,
+    group: alert.data?.chainId ? `chain-${alert.data.chainId}` : undefined,
+    class: alert.escalated ? 'escalated' : undefined,
+    custom_details: alert.data,
+  }, options);
+}
+
+/**
+ * Resolve the incident opened for an alert
+ */
+async function resolveAlert(alert, options = {}) {
+  return sendEvent(EVENT_ACTION.RESOLVE, alert.id, null, options);
+}
+
+module.exports = {
+  EVENT_ACTION,
+  SEVERITY,
+  sendEvent,
+  sendAlert,
+  resolveAlert,
+};
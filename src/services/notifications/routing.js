@@ -0,0 +1,326 @@
+/**
+ * Alert Routing
+ * Sends each alert from the alert system to the channels its rules pick
+ *
+ * Channels are the configured notification services (discord, telegram,
+ * email, slack, webhook, pagerduty; each enabled by its environment
+ * variables) plus any named in ALERT_ROUTES_FILE, which inherit the
+ * settings of their type and override them:
+ *
+ *   channels:
+ *     oncall: { type: pagerduty, routingKey: "..." }
+ *     treasury-mail: { type: email, to: [treasury@example.com] }
+ *   rules:
+ *     - name: page on security
+ *       levels: [critical]
+ *       categories: [security, key]
+ *       channels: [oncall, slack]
+ *     - name: quiet nights
+ *       levels: [low, medium]
+ *       hours: "22:00-07:00"
+ *       timezone: Europe/Berlin
+ *       channels: []
+ *     - wallets: ["0x..."]
+ *       chains: [1]
+ *       channels: [treasury-mail]
+ *       continue: true
+ *   defaultChannels: [all]
+ *
+ * Rules are checked in order and the first match decides, unless it sets
+ * continue, in which case later matches add their channels too. An empty
+ * channel list drops the alert. Alerts no rule matches go to
+ * defaultChannels; "all" means every channel. A channel with minLevel only
+ * receives alerts at or above that level.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { ConfigurationError, ValidationError } = require('../../utils/errors');
+const discord = require('./discord');
+const telegram = require('./telegram');
+const email = require('./email');
+const slack = require('./slack');
+const webhook = require('./webhook');
+const pagerduty = require('./pagerduty');
+
+const LEVEL_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const LEVEL_EMOJI = {
+  critical: '🚨',
+  high: '⚠️',
+  medium: '📢',
+  low: 'ℹ️',
+};
+
+/**
+ * The alert as a chat message (Discord, Telegram)
+ */
+function formatAlertText(alert) {
+  return `${LEVEL_EMOJI[alert.level] || '📢'} **[${alert.level.toUpperCase()}] ${alert.category}**\n${alert.message}`;
+}
+
+function chatType(alert) {
+  return alert.level === 'critical' || alert.level === 'high' ? 'error' : 'info';
+}
+
+// Channel type -> send(alert, options)
+const CHANNEL_TYPES = {
+  discord: (alert) => discord.send(formatAlertText(alert), { type: chatType(alert) }),
+  telegram: (alert) => telegram.send(formatAlertText(alert), { type: chatType(alert) }),
+  email: email.sendAlert,
+  slack: slack.sendAlert,
+  webhook: webhook.sendAlert,
+  pagerduty: pagerduty.sendAlert,
+};
+
+/**
+ * Channels enabled through the environment, named after their type
+ */
+function configuredChannels() {
+  const notifications = config.notifications || {};
+  const channels = {};
+  for (const type of Object.keys(CHANNEL_TYPES)) {
+    if (notifications[type]?.enabled) {
+      channels[type] = { type, minLevel: notifications[type].minLevel };
+    }
+  }
+  return channels;
+}
+
+function parseClock(value, field) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new ValidationError(field, `Invalid time "${value}", use HH:MM`, value);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function checkLevel(level, field) {
+  if (!(level in LEVEL_RANK)) {
+    throw new ValidationError(field, `Unknown alert level: ${level}`, level);
+  }
+  return level;
+}
+
+function lowerList(list) {
+  return list ? [].concat(list).map(item => String(item).toLowerCase()) : null;
+}
+
+/**
+ * Validate a rule and precompute what matching needs
+ */
+function normalizeRule(raw, position, channelNames, defaultTimezone) {
+  const name = raw.name || `rule-${position + 1}`;
+
+  const channels = [].concat(raw.channels ?? []);
+  const unknown = channels.filter(channel => channel !== 'all' && !channelNames.includes(channel));
+  if (unknown.length > 0) {
+    throw new ValidationError('channels', `Rule ${name}: unknown channels ${unknown.join(', ')}`, unknown);
+  }
+
+  let hours = null;
+  if (raw.hours) {
+    const [from, to] = String(raw.hours).split('-');
+    if (to === undefined) {
+      throw new ValidationError('hours', `Rule ${name}: hours must look like "22:00-07:00"`, raw.hours);
+    }
+    hours = { from: parseClock(from, 'hours'), to: parseClock(to, 'hours') };
+  }
+
+  const days = lowerList(raw.days)?.map(day => day.slice(0, 3));
+  const badDay = days?.find(day => !DAYS.includes(day));
+  if (badDay) {
+    throw new ValidationError('days', `Rule ${name}: unknown day ${badDay}`, raw.days);
+  }
+
+  const timezone = raw.timezone || defaultTimezone;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new ValidationError('timezone', `Rule ${name}: unknown timezone ${timezone}`, timezone);
+  }
+
+  return {
+    name,
+    levels: raw.levels ? [].concat(raw.levels).map(level => checkLevel(String(level).toLowerCase(), 'levels')) : null,
+    categories: lowerList(raw.categories),
+    wallets: lowerList(raw.wallets),
+    chains: raw.chains ? [].concat(raw.chains).map(Number) : null,
+    hours,
+    days,
+    timezone,
+    channels,
+    continue: raw.continue === true,
+  };
+}
+
+/**
+ * Weekday and minute of the day in a timezone
+ */
+function localTime(timestamp, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(new Date(timestamp)).map(part => [part.type, part.value])
+  );
+  return {
+    day: parts.weekday.toLowerCase(),
+    minute: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+function matchesRule(rule, alert, now) {
+  const data = alert.data || {};
+
+  if (rule.levels && !rule.levels.includes(alert.level)) return false;
+  if (rule.categories && !rule.categories.includes(String(alert.category).toLowerCase())) return false;
+  if (rule.wallets && !rule.wallets.includes(String(data.wallet).toLowerCase())) return false;
+  if (rule.chains && !rule.chains.includes(Number(data.chainId))) return false;
+
+  if (rule.hours || rule.days) {
+    const { day, minute } = localTime(now, rule.timezone);
+    if (rule.days && !rule.days.includes(day)) return false;
+    if (rule.hours) {
+      const { from, to } = rule.hours;
+      // A window like 22:00-07:00 wraps past midnight
+      const inside = from <= to
+        ? minute >= from && minute < to
+        : minute >= from || minute < to;
+      if (!inside) return false;
+    }
+  }
+
+  return true;
+}
+
+class AlertRouter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.channels] - Named channels: { name: { type, minLevel, ...settings } }
+   * @param {Object[]} [options.rules] - Routing rules, in order
+   * @param {string[]} [options.defaultChannels] - Channels for unmatched alerts
+   * @param {string} [options.timezone] - Timezone for rules without one
+   * @param {Object} [options.senders] - Channel type -> send(alert, options), overriding the built-ins
+   */
+  constructor(options = {}) {
+    const routing = config.notifications?.routing || {};
+
+    this.senders = { ...CHANNEL_TYPES, ...options.senders };
+    this.channels = {};
+    for (const [name, channel] of Object.entries({ ...configuredChannels(), ...options.channels })) {
+      if (!this.senders[channel.type]) {
+        throw new ValidationError('type', `Channel ${name}: unknown type ${channel.type}`, channel.type);
+      }
+      if (channel.minLevel) checkLevel(channel.minLevel, 'minLevel');
+      this.channels[name] = channel;
+    }
+
+    const channelNames = Object.keys(this.channels);
+    const timezone = options.timezone || routing.timezone || 'UTC';
+    this.rules = (options.rules || []).map((rule, i) => normalizeRule(rule, i, channelNames, timezone));
+    this.defaultChannels = [].concat(options.defaultChannels || routing.defaultChannels || ['all']);
+
+    const unknown = this.defaultChannels.filter(name => name !== 'all' && !channelNames.includes(name));
+    if (unknown.length > 0) {
+      throw new ValidationError('defaultChannels', `Unknown default channels: ${unknown.join(', ')}`, unknown);
+    }
+  }
+
+  /**
+   * Pick the channels for an alert
+   *
+   * @param {Object} alert - { level, category, data: { wallet, chainId } }
+   * @param {number} [now] - Time the rules' hours and days are checked against
+   * @returns {{ rules: string[], channels: string[] }}
+   */
+  route(alert, now = Date.now()) {
+    const matched = [];
+    const picked = [];
+
+    for (const rule of this.rules) {
+      if (!matchesRule(rule, alert, now)) continue;
+      matched.push(rule.name);
+      picked.push(...rule.channels);
+      if (!rule.continue) break;
+    }
+
+    const names = (matched.length > 0 ? picked : this.defaultChannels)
+      .flatMap(name => (name === 'all' ? Object.keys(this.channels) : [name]));
+
+    const channels = [...new Set(names)].filter((name) => {
+      const channel = this.channels[name];
+      return channel && (!channel.minLevel || LEVEL_RANK[alert.level] >= LEVEL_RANK[channel.minLevel]);
+    });
+
+    return { rules: matched, channels };
+  }
+
+  /**
+   * Route an alert and send it to every picked channel. A failing channel
+   * is reported, not thrown, so the others still get the alert.
+   *
+   * @returns {Promise<Object[]>} [{ channel, success, error }]
+   */
+  async dispatch(alert, now = Date.now()) {
+    const { rules, channels } = this.route(alert, now);
+    logger.debug('Routing alert', { alertId: alert.id, rules, channels });
+
+    return Promise.all(channels.map(async (name) => {
+      const { type, minLevel, ...settings } = this.channels[name];
+      try {
+        await this.senders[type](alert, settings);
+        return { channel: name, success: true };
+      } catch (error) {
+        logger.error(`Alert channel ${name} failed:`, error.message);
+        return { channel: name, success: false, error: error.message };
+      }
+    }));
+  }
+}
+
+/**
+ * Read a routes file (.yaml, .yml or .json)
+ */
+function loadRoutes(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  let data;
+  try {
+    data = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new ConfigurationError(`Could not parse alert routes file: ${error.message}`);
+  }
+
+  if (data && data.rules !== undefined && !Array.isArray(data.rules)) {
+    throw new ConfigurationError('Alert routes "rules" must be a list');
+  }
+  return data || {};
+}
+
+// Shared router for the notification service
+let sharedRouter = null;
+
+function getAlertRouter(options = {}) {
+  if (!sharedRouter) {
+    const file = config.notifications?.routing?.file;
+    const routes = file && fs.existsSync(file) ? loadRoutes(file) : {};
+    sharedRouter = new AlertRouter({ ...routes, ...options });
+  }
+  return sharedRouter;
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  AlertRouter,
+  formatAlertText,
+  loadRoutes,
+  getAlertRouter,
+};
@@ -0,0 +1,67 @@
+/**
+ * Slack Notification Service
+ * Sends messages via Slack incoming webhooks
+ */
+
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { postJson } = require('./http');
+
+// Attachment colors per alert level
+const COLORS = {
+  critical: '#e74c3c',
+  high: '#f39c12',
+  medium: '#3498db',
+  low: '#95a5a6',
+};
+
+function webhookUrlOf(options) {
+  const webhookUrl = options.webhookUrl || config.notifications.slack.webhookUrl;
+  if (!webhookUrl) {
+    throw new Error('Slack webhook URL not configured');
+  }
+  return webhookUrl;
+}
+
+/**
+ * Send a text message (Slack mrkdwn)
+ */
+async function send(message, options = {}) {
+  await postJson('Slack', webhookUrlOf(options), { text: message });
+  logger.debug('Slack notification sent');
+  return { success: true };
+}
+
+/**
+ * Send an alert from the alert system as a colored attachment
+ */
+async function sendAlert(alert, options = {}) {
+  const fields = [
+    { title: 'Level', value: alert.level, short: true },
+    { title: 'Category', value: alert.category, short: true },
+  ];
+  if (alert.data?.wallet) fields.push({ title: 'Wallet', value: alert.data.wallet, short: true });
+  if (alert.data?.chainId) fields.push({ title: 'Chain', value: String(alert.data.chainId), short: true });
+  if (alert.data?.txHash) fields.push({ title: 'Transaction', value: alert.data.txHash, short: false });
+
+  await postJson('Slack', webhookUrlOf(options), {
+    text: `[${alert.level.toUpperCase()}] ${alert.message}`,
+    attachments: [{
+      color: COLORS[alert.level] || COLORS.medium,
+      title: `${alert.level.toUpperCase()} ${alert.category} alert`,
+      text: alert.message,
+      fields,
+      footer: 'Airdrop Hunter Bot',
+      ts: Math.floor(alert.timestamp / 1000),
+    }],
+  });
+
+  logger.debug('Slack alert sent', { alertId: alert.id });
+  return { success: true };
+}
+
+module.exports = {
+  send,
+  sendAlert,
+  COLORS,
+};
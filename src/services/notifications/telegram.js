@@ -3,46 +3,34 @@
  * Sends messages via Telegram Bot API
  */
 
+const http = require('http');
 const https = require('https');
 const config = require('../../config');
 const logger = require('../../utils/logger');
 
 /**
- * Send a message to Telegram
+ * Call a Bot API method and resolve with its result
+ *
+ * options.botToken and options.apiUrl override the configured values (a
+ * local fake Bot API server in tests, or a second bot).
  */
-async function send(message, options = {}) {
-  const { type = 'info', parseMode = 'Markdown' } = options;
-  const { botToken, chatId } = config.notifications.telegram;
+async function callApi(method, params = {}, options = {}) {
+  const botToken = options.botToken || config.notifications.telegram.botToken;
+  const apiUrl = new URL(options.apiUrl || config.notifications.telegram.apiUrl || 'https://api.telegram.org');
 
-  if (!botToken || !chatId) {
-    throw new Error('Telegram bot token or chat ID not configured');
+  if (!botToken) {
+    throw new Error('Telegram bot token not configured');
   }
 
-  // Add emoji based on type
-  const emojis = {
-    info: 'ℹ️',
-    success: '✅',
-    warning: '⚠️',
-    error: '❌',
-    alert: '🚨',
-  };
-
-  const emoji = emojis[type] || '';
-  const formattedMessage = emoji ? `${emoji} ${message}` : message;
-
-  const payload = JSON.stringify({
-    chat_id: chatId,
-    text: formattedMessage,
-    parse_mode: parseMode,
-    disable_web_page_preview: false,
-  });
+  const payload = JSON.stringify(params);
+  const transport = apiUrl.protocol === 'http:' ? http : https;
 
   return new Promise((resolve, reject) => {
-    const req = https.request(
+    const req = transport.request(
       {
-        hostname: 'api.telegram.org',
-        port: 443,
-        path: `/bot${botToken}/sendMessage`,
+        hostname: apiUrl.hostname,
+        port: apiUrl.port || (apiUrl.protocol === 'http:' ? 80 : 443),
+        path: `${apiUrl.pathname.replace(/\/$/, '')}/bot${botToken}/${method}`,
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -56,8 +44,7 @@ async function send(message, options = {}) {
           try {
             const response = JSON.parse(data);
             if (response.ok) {
-              logger.debug('Telegram notification sent');
-              resolve({ success: true, messageId: response.result.message_id });
+              resolve(response.result);
             } else {
               reject(new Error(response.description || 'Telegram API error'));
             }
@@ -74,6 +61,40 @@ async function send(message, options = {}) {
   });
 }
 
+/**
+ * Send a message to Telegram
+ */
+async function send(message, options = {}) {
+  const { type = 'info', parseMode = 'Markdown' } = options;
+  const { botToken, chatId } = config.notifications.telegram;
+
+  if (!botToken || !chatId) {
+    throw new Error('Telegram bot token or chat ID not configured');
+  }
+
+  // Add emoji based on type
+  const emojis = {
+    info: 'ℹ️',
+    success: '✅',
+    warning: '⚠️',
+    error: '❌',
+    alert: '🚨',
+  };
+
+  const emoji = emojis[type] || '';
+  const formattedMessage = emoji ? `${emoji} ${message}` : message;
+
+  const result = await callApi('sendMessage', {
+    chat_id: chatId,
+    text: formattedMessage,
+    parse_mode: parseMode,
+    disable_web_page_preview: false,
+  });
+
+  logger.debug('Telegram notification sent');
+  return { success: true, messageId: result.message_id };
+}
+
 /**
  * Send a message with inline keyboard
  */
@@ -85,7 +106,7 @@ async function sendWithButtons(message, buttons, options = {}) {
     throw new Error('Telegram bot token or chat ID not configured');
   }
 
-  const payload = JSON.stringify({
+  const result = await callApi('sendMessage', {
     chat_id: chatId,
     text: message,
     parse_mode: parseMode,
@@ -94,40 +115,7 @@ async function sendWithButtons(message, buttons, options = {}) {
     },
   });
 
-  return new Promise((resolve, reject) => {
-    const req = https.request(
-      {
-        hostname: 'api.telegram.org',
-        port: 443,
-        path: `/bot${botToken}/sendMessage`,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(payload),
-        },
-      },
-      (res) => {
-        let data = '';
-        res.on('data', (chunk) => (data += chunk));
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(data);
-            if (response.ok) {
-              resolve({ success: true, messageId: response.result.message_id });
-            } else {
-              reject(new Error(response.description || 'Telegram API error'));
-            }
-          } catch (error) {
-            reject(error);
-          }
-        });
-      }
-    );
-
-    req.on('error', reject);
-    req.write(payload);
-    req.end();
-  });
+  return { success: true, messageId: result.message_id };
 }
 
 /**
@@ -168,50 +156,18 @@ async function sendPhoto(photoUrl, caption = '') {
     throw new Error('Telegram bot token or chat ID not configured');
   }
 
-  const payload = JSON.stringify({
+  await callApi('sendPhoto', {
     chat_id: chatId,
     photo: photoUrl,
     caption,
     parse_mode: 'Markdown',
   });
 
-  return new Promise((resolve, reject) => {
-    const req = https.request(
-      {
-        hostname: 'api.telegram.org',
-        port: 443,
-        path: `/bot${botToken}/sendPhoto`,
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(payload),
-        },
-      },
-      (res) => {
-        let data = '';
-        res.on('data', (chunk) => (data += chunk));
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(data);
-            if (response.ok) {
-              resolve({ success: true });
-            } else {
-              reject(new Error(response.description || 'Telegram API error'));
-            }
-          } catch (error) {
-            reject(error);
-          }
-        });
-      }
-    );
-
-    req.on('error', reject);
-    req.write(payload);
-    req.end();
-  });
+  return { success: true };
 }
 
 module.exports = {
+  callApi,
   send,
   sendWithButtons,
   sendTransaction,
@@ -0,0 +1,103 @@
+/**
+ * Signed Webhook Notification Service
+ * POSTs alerts as JSON to any HTTP endpoint
+ *
+ * When a secret is set each request carries X-Alert-Timestamp (unix
+ * seconds) and X-Alert-Signature: "sha256=" + hex HMAC-SHA256 of
+ * "<timestamp>.<raw body>". Receivers recompute it with the shared secret
+ * and reject stale timestamps to stop replays; verifySignature does both.
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { postJson } = require('./http');
+
+const SIGNATURE_HEADER = 'x-alert-signature';
+const TIMESTAMP_HEADER = 'x-alert-timestamp';
+
+// Receivers accept signatures this many seconds old
+const DEFAULT_TOLERANCE = 5 * 60;
+
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check a received webhook's signature and age
+ *
+ * @param {string} secret - Shared secret
+ * @param {Object} headers - Request headers (lowercase names, as Node gives them)
+ * @param {string} body - Raw request body
+ * @param {Object} [options] - { tolerance (seconds), now (ms) }
+ * @returns {boolean}
+ */
+function verifySignature(secret, headers, body, options = {}) {
+  const timestamp = parseInt(headers[TIMESTAMP_HEADER]);
+  const signature = String(headers[SIGNATURE_HEADER] || '');
+  const now = Math.floor((options.now ?? Date.now()) / 1000);
+
+  if (!timestamp || Math.abs(now - timestamp) > (options.tolerance ?? DEFAULT_TOLERANCE)) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * POST a JSON payload, signed when a secret is configured
+ *
+ * @param {Object} payload - Body to send
+ * @param {Object} [options] - { url, secret, headers } overriding the
+ *   configured endpoint
+ */
+async function send(payload, options = {}) {
+  const url = options.url || config.notifications.webhook.url;
+  const secret = options.secret ?? config.notifications.webhook.secret;
+
+  if (!url) {
+    throw new Error('Alert webhook URL not configured');
+  }
+
+  const body = JSON.stringify(payload);
+  const headers = { ...options.headers };
+  if (secret) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    headers[TIMESTAMP_HEADER] = String(timestamp);
+    headers[SIGNATURE_HEADER] = signPayload(secret, timestamp, body);
+  }
+
+  const response = await postJson('Webhook', url, body, { headers });
+  logger.debug('Webhook notification sent', { statusCode: response.statusCode });
+  return { success: true, statusCode: response.statusCode };
+}
+
+/**
+ * Send an alert from the alert system
+ */
+async function sendAlert(alert, options = {}) {
+  return send({
+    event: 'alert',
+    alert: {
+      id: alert.id,
+      level: alert.level,
+      category: alert.category,
+      message: alert.message,
+      data: alert.data,
+      timestamp: new Date(alert.timestamp).toISOString(),
+      escalated: !!alert.escalated,
+    },
+  }, options);
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signPayload,
+  verifySignature,
+  send,
+  sendAlert,
+};
@@ -0,0 +1,144 @@
+/**
+ * Cron Expressions
+ * Minimal 5-field cron parser (minute hour day-of-month month day-of-week)
+ * evaluated in UTC, matching Netlify scheduled function semantics
+ */
+
+const { ValidationError } = require('../../utils/errors');
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+const MINUTE_MS = 60 * 1000;
+
+// Upper bound for next/previous searches (a little over 4 years covers Feb 29)
+const MAX_SEARCH_MINUTES = 60 * 24 * 366 * 5;
+
+/**
+ * Parse a single cron field into a Set of allowed values
+ */
+function parseField(expr, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of expr.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = min;
+      end = max;
+    } else if (rangePart.includes('-')) {
+      [start, end] = rangePart.split('-').map(Number);
+    } else {
+      start = Number(rangePart);
+      end = stepPart === undefined ? start : max;
+    }
+
+    if (![start, end, step].every(Number.isInteger) || start < min || end > max || start > end || step < 1) {
+      throw new ValidationError('schedule', `Invalid cron ${name} field: "${expr}"`, expr);
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(name === 'dayOfWeek' && v === 7 ? 0 : v);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ */
+function parseCron(expression) {
+  const normalized = MACROS[expression.trim()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new ValidationError('schedule', `Cron expression must have 5 fields: "${expression}"`, expression);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((p, i) => parseField(p, FIELDS[i]));
+
+  return {
+    expression,
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // Standard cron: if both day fields are restricted, either may match
+    dayOfMonthAny: parts[2] === '*',
+    dayOfWeekAny: parts[4] === '*',
+  };
+}
+
+/**
+ * Check whether a date (to the minute, UTC) matches a cron expression
+ */
+function matches(cron, date) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const d = new Date(date);
+
+  if (!parsed.minute.has(d.getUTCMinutes())) return false;
+  if (!parsed.hour.has(d.getUTCHours())) return false;
+  if (!parsed.month.has(d.getUTCMonth() + 1)) return false;
+
+  const domMatch = parsed.dayOfMonth.has(d.getUTCDate());
+  const dowMatch = parsed.dayOfWeek.has(d.getUTCDay());
+
+  if (parsed.dayOfMonthAny || parsed.dayOfWeekAny) {
+    return domMatch && dowMatch;
+  }
+  return domMatch || dowMatch;
+}
+
+/**
+ * Get the next fire time strictly after `after`
+ */
+function nextRun(cron, after = Date.now()) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  let t = Math.floor(new Date(after).getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+  for (let i = 0; i < MAX_SEARCH_MINUTES; i++, t += MINUTE_MS) {
+    if (matches(parsed, t)) return new Date(t);
+  }
+  return null;
+}
+
+/**
+ * Get the most recent fire time at or before `before`
+ */
+function previousRun(cron, before = Date.now()) {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  let t = Math.floor(new Date(before).getTime() / MINUTE_MS) * MINUTE_MS;
+
+  for (let i = 0; i < MAX_SEARCH_MINUTES; i++, t -= MINUTE_MS) {
+    if (matches(parsed, t)) return new Date(t);
+  }
+  return null;
+}
+
+module.exports = {
+  MACROS,
+  parseCron,
+  matches,
+  nextRun,
+  previousRun,
+};
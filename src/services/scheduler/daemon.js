@@ -0,0 +1,73 @@
+/**
+ * Scheduler Daemon
+ * Long-running local process: `npm run scheduler`
+ *
+ * Uses STRATEGY_FILE (default ./strategy.yaml) and, if set,
+ * SCHEDULER_HISTORY_FILE to keep run history across restarts. Also polls
+ * airdrop claim windows every AIRDROP_CLAIM_CHECK_MS, vesting unlocks
+ * every AIRDROP_VESTING_CHECK_MS and open limit orders every
+ * LIMIT_ORDER_CHECK_MS.
+ *
+ * With DEPEG_MONITOR_ENABLED the stablecoin depeg monitor pauses swaps into
+ * an off-peg stable here as well; the bots daemon announces the pauses and
+ * queues de-risk swaps.
+ *
+ * Unless DASHBOARD_EMBEDDED=false the monitoring dashboard is served here,
+ * fed with the transactions the jobs send.
+ */
+
+const bot = require('../..');
+const { getScheduler } = require('.');
+const { getClaimWindowTracker } = require('../../engines/airdrop/windows');
+const { getVestingTracker } = require('../../engines/airdrop/vesting');
+const { getLimitOrderBook } = require('../../engines/swap/limitOrders');
+const { startDashboard } = require('../dashboard');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+async function main() {
+  await bot.initialize();
+
+  const scheduler = getScheduler({
+    tickInterval: parseInt(process.env.SCHEDULER_TICK_MS) || undefined,
+    catchUpWindow: parseInt(process.env.SCHEDULER_CATCH_UP_MS) || undefined,
+  });
+  await scheduler.start();
+
+  const claimTracker = getClaimWindowTracker();
+  claimTracker.start();
+
+  const vestingTracker = getVestingTracker();
+  vestingTracker.start();
+
+  const orderBook = getLimitOrderBook();
+  orderBook.start();
+
+  const stopDepegMonitor = config.depeg.enabled ? bot.startDepegMonitor({ announce: false }) : null;
+
+  // Another daemon may already serve the dashboard port; run on without one
+  const stopDashboard = config.dashboard.embedded
+    ? await startDashboard().catch((error) => {
+      logger.warn('Dashboard not started', { error: error.message });
+      return null;
+    })
+    : null;
+
+  const shutdown = async (signal) => {
+    logger.info(`Received ${signal}, stopping scheduler`);
+    scheduler.stop();
+    claimTracker.stop();
+    vestingTracker.stop();
+    orderBook.stop();
+    stopDepegMonitor?.();
+    await stopDashboard?.();
+    process.exit(0);
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+main().catch((error) => {
+  logger.error('Scheduler failed to start:', error);
+  process.exit(1);
+});
@@ -0,0 +1,313 @@
+/**
+ * Scheduler Service
+ * Runs the jobs declared in a strategy file on their cron schedules
+ *
+ * Driven either by a periodic tick (Netlify scheduled function) or by a
+ * long-running local process via start()/stop(). A job fires when its most
+ * recent cron time falls inside the catch-up window and has not already been
+ * recorded in the run history. Manual runs are recorded alongside but never
+ * count as a scheduled fire.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { loadStrategy, parseStrategy, JOB_TYPES } = require('./strategy');
+const { nextRun, previousRun } = require('./cron');
+const { runJob, checkPreconditions } = require('./jobs');
+const notifications = require('../notifications');
+const logger = require('../../utils/logger');
+
+const RUN_STATUS = {
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+};
+
+const DEFAULT_CATCH_UP_WINDOW = 5 * 60 * 1000; // Matches the Netlify tick interval
+const DEFAULT_TICK_INTERVAL = 60 * 1000;
+const DEFAULT_MAX_HISTORY_PER_JOB = 50;
+
+class Scheduler extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.strategyPath = config.strategyPath || process.env.STRATEGY_FILE ||
+      path.join(process.cwd(), 'strategy.yaml');
+    this.historyPath = config.historyPath ?? process.env.SCHEDULER_HISTORY_FILE ?? null;
+    this.catchUpWindow = config.catchUpWindow ?? DEFAULT_CATCH_UP_WINDOW;
+    this.tickInterval = config.tickInterval ?? DEFAULT_TICK_INTERVAL;
+    this.maxHistoryPerJob = config.maxHistoryPerJob ?? DEFAULT_MAX_HISTORY_PER_JOB;
+    this.notify = config.notify ?? true;
+
+    // Custom job types supply their own runner and preconditions
+    this.runJob = config.runJob || runJob;
+    this.checkPreconditions = config.checkPreconditions || checkPreconditions;
+
+    this.jobs = [];
+    this.history = this.loadHistory();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  // ============ Strategy ============
+
+  /**
+   * Load jobs from a strategy object, string or the configured file
+   */
+  load(strategy = null) {
+    let parsed;
+    if (!strategy) {
+      parsed = loadStrategy(this.strategyPath);
+    } else if (typeof strategy === 'string') {
+      parsed = parseStrategy(strategy, strategy.trim().startsWith('{') ? 'json' : 'yaml');
+    } else {
+      parsed = parseStrategy(JSON.stringify(strategy), 'json');
+    }
+
+    this.jobs = parsed.jobs;
+    logger.info('Scheduler strategy loaded', {
+      jobs: this.jobs.length,
+      enabled: this.jobs.filter(j => j.enabled).length,
+    });
+    return this.jobs;
+  }
+
+  getJobs(now = Date.now()) {
+    return this.jobs.map(job => ({
+      id: job.id,
+      type: job.type,
+      schedule: job.schedule,
+      enabled: job.enabled,
+      chainId: job.chainId,
+      wallet: job.wallet,
+      description: job.description,
+      nextRun: job.enabled ? nextRun(job.cron, now)?.toISOString() || null : null,
+      lastRun: this.getLastRun(job.id),
+    }));
+  }
+
+  // ============ Execution ============
+
+  /**
+   * Get jobs whose latest fire time is due and not yet run
+   */
+  getDueJobs(now = Date.now()) {
+    const due = [];
+
+    for (const job of this.jobs) {
+      if (!job.enabled) continue;
+
+      const fireTime = previousRun(job.cron, now);
+      if (!fireTime) continue;
+
+      const scheduledFor = fireTime.getTime();
+      if (now - scheduledFor >= this.catchUpWindow) continue;
+
+      const last = this.getLastScheduledRun(job.id);
+      if (last && last.scheduledFor >= scheduledFor) continue;
+
+      due.push({ job, scheduledFor });
+    }
+
+    return due;
+  }
+
+  /**
+   * Run every due job. Jobs run one at a time so wallets never race on nonces.
+   */
+  async tick(now = Date.now()) {
+    if (this.ticking) {
+      logger.warn('Scheduler tick skipped, previous tick still running');
+      return [];
+    }
+
+    this.ticking = true;
+    try {
+      const runs = [];
+      for (const { job, scheduledFor } of this.getDueJobs(now)) {
+        runs.push(await this.execute(job, scheduledFor));
+      }
+      return runs;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Run a job immediately (by id) regardless of its schedule
+   */
+  async runNow(jobId) {
+    const job = this.jobs.find(j => j.id === jobId);
+    if (!job) {
+      throw new Error(`Unknown job: ${jobId}`);
+    }
+    return this.execute(job, null);
+  }
+
+  /**
+   * Run a job; scheduledFor is the cron fire time, or null for a manual run
+   */
+  async execute(job, scheduledFor) {
+    const run = {
+      jobId: job.id,
+      type: job.type,
+      chainId: job.chainId,
+      wallet: job.wallet,
+      scheduledFor,
+      manual: scheduledFor === null,
+      startedAt: Date.now(),
+      finishedAt: null,
+      status: null,
+    };
+
+    try {
+      const check = await this.checkPreconditions(job);
+      if (!check.ok) {
+        run.status = RUN_STATUS.SKIPPED;
+        run.reason = check.reason;
+        logger.info('Scheduled job skipped', { jobId: job.id, reason: check.reason });
+      } else {
+        logger.info('Running scheduled job', { jobId: job.id, type: job.type });
+        const result = await this.runJob(job);
+        run.status = result?.success === false ? RUN_STATUS.FAILED : RUN_STATUS.SUCCESS;
+        run.txHash = result?.txHash || null;
+        run.message = result?.message || null;
+      }
+    } catch (error) {
+      run.status = RUN_STATUS.FAILED;
+      run.error = error.message;
+      logger.error('Scheduled job failed', { jobId: job.id, error: error.message });
+    }
+
+    run.finishedAt = Date.now();
+    this.record(run);
+    this.emit('run', run);
+
+    if (this.notify && job.notify && run.status !== RUN_STATUS.SKIPPED) {
+      await this.sendNotification(job, run);
+    }
+
+    return run;
+  }
+
+  async sendNotification(job, run) {
+    const ok = run.status === RUN_STATUS.SUCCESS;
+    const message = `${ok ? '✅' : '❌'} **Scheduled ${job.type} ${ok ? 'completed' : 'failed'}**\n` +
+      `Job: ${job.id}\n` +
+      `Chain: ${job.chainId}\n` +
+      (run.txHash ? `Tx: ${run.txHash}\n` : '') +
+      (run.error || (!ok && run.message) ? `Error: ${run.error || run.message}` : '');
+
+    try {
+      await notifications.notify(message, { type: ok ? 'success' : 'error' });
+    } catch (error) {
+      logger.warn('Scheduler notification failed', { error: error.message });
+    }
+  }
+
+  // ============ Local Process ============
+
+  start() {
+    if (this.timer) return;
+    logger.info('Scheduler started', { tickInterval: this.tickInterval });
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('Scheduler tick failed', { error: error.message }));
+    }, this.tickInterval);
+    return this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Scheduler stopped');
+    }
+  }
+
+  // ============ Run History ============
+
+  record(run) {
+    this.history.push(run);
+
+    // Manual runs are trimmed on their own so they never push out the last scheduled fire
+    const forJob = this.history.filter(r => r.jobId === run.jobId && !!r.manual === run.manual);
+    if (forJob.length > this.maxHistoryPerJob) {
+      const drop = new Set(forJob.slice(0, forJob.length - this.maxHistoryPerJob));
+      this.history = this.history.filter(r => !drop.has(r));
+    }
+
+    this.saveHistory();
+  }
+
+  getHistory(options = {}) {
+    let runs = [...this.history].reverse();
+
+    if (options.jobId) {
+      runs = runs.filter(r => r.jobId === options.jobId);
+    }
+    if (options.status) {
+      runs = runs.filter(r => r.status === options.status);
+    }
+    if (options.limit) {
+      runs = runs.slice(0, options.limit);
+    }
+
+    return runs;
+  }
+
+  getLastRun(jobId) {
+    for (let i = this.history.length - 1; i >= 0; i--) {
+      if (this.history[i].jobId === jobId) return this.history[i];
+    }
+    return null;
+  }
+
+  getLastScheduledRun(jobId) {
+    for (let i = this.history.length - 1; i >= 0; i--) {
+      const run = this.history[i];
+      if (run.jobId === jobId && !run.manual) return run;
+    }
+    return null;
+  }
+
+  loadHistory() {
+    if (!this.historyPath || !fs.existsSync(this.historyPath)) return [];
+    try {
+      return JSON.parse(fs.readFileSync(this.historyPath, 'utf8')).runs || [];
+    } catch (error) {
+      logger.warn('Could not read scheduler history, starting fresh', { error: error.message });
+      return [];
+    }
+  }
+
+  saveHistory() {
+    if (!this.historyPath) return;
+    fs.mkdirSync(path.dirname(this.historyPath), { recursive: true });
+    const tmp = `${this.historyPath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ runs: this.history }, null, 2));
+    fs.renameSync(tmp, this.historyPath);
+  }
+}
+
+// Shared instance for the Netlify tick and the local process
+let sharedScheduler = null;
+
+/**
+ * Get the shared scheduler, loading the strategy file on first use
+ */
+function getScheduler(config = {}) {
+  if (!sharedScheduler) {
+    sharedScheduler = new Scheduler(config);
+    sharedScheduler.load(config.strategy);
+  }
+  return sharedScheduler;
+}
+
+module.exports = {
+  Scheduler,
+  getScheduler,
+  createScheduler: (config = {}) => new Scheduler(config),
+  RUN_STATUS,
+  JOB_TYPES,
+};
@@ -0,0 +1,131 @@
+/**
+ * Scheduled Job Runners
+ * Maps strategy job types onto engine calls and evaluates preconditions
+ */
+
+const { ethers } = require('ethers');
+const swapEngine = require('../../engines/swap');
+const transferEngine = require('../../engines/transfer');
+const airdropEngine = require('../../engines/airdrop');
+const { getGasPrice } = require('../../core/providers');
+const { hasSufficientBalance } = require('../../core/wallets');
+const { getToken, isNativeToken, parseAmount } = require('../../config/tokens');
+const { JOB_TYPES } = require('./strategy');
+
+const RUNNERS = {
+  [JOB_TYPES.SWAP]: (job) => swapEngine.executeSwap({
+    ...job.params,
+    chainId: job.chainId,
+    walletAddress: job.wallet,
+  }),
+
+  [JOB_TYPES.TRANSFER]: (job) => transferEngine.executeTransfer({
+    ...job.params,
+    chainId: job.chainId,
+    walletAddress: job.wallet,
+  }),
+
+  [JOB_TYPES.DISTRIBUTE]: (job) => {
+    // Explicit recipients use a batch transfer, otherwise spread across own wallets
+    if (job.params.recipients) {
+      return transferEngine.executeBatchTransfer({
+        ...job.params,
+        chainId: job.chainId,
+        walletAddress: job.wallet,
+        distribution: job.params.distribution || (job.params.recipients[0]?.amount ? 'custom' : 'equal'),
+      });
+    }
+    return transferEngine.distributeToWallets({
+      ...job.params,
+      chainId: job.chainId,
+      fromWallet: job.wallet,
+    });
+  },
+
+  [JOB_TYPES.CLAIM]: (job) => airdropEngine.claimAirdrop({
+    protocol: job.params.protocol,
+    walletAddress: job.wallet,
+  }),
+
+  // Claims for every managed wallet; job.wallet does not apply
+  [JOB_TYPES.BATCH_CLAIM]: (job) => airdropEngine.batchClaimAirdrop({
+    protocol: job.params.protocol,
+    wallets: job.params.wallets,
+    followUps: job.params.followUps,
+    claimUnvalued: job.params.claimUnvalued,
+  }),
+
+  [JOB_TYPES.ELIGIBILITY]: async (job) => ({
+    success: true,
+    ...(await airdropEngine.checkEligibility({
+      protocol: job.params.protocol,
+      walletAddress: job.wallet,
+    })),
+  }),
+
+  // Snapshots every managed wallet; job.wallet does not apply
+  [JOB_TYPES.POINTS_SNAPSHOT]: (job) => airdropEngine.snapshotPoints({
+    protocol: job.params.protocol,
+  }),
+};
+
+/**
+ * Run a job through its engine
+ */
+async function runJob(job) {
+  const runner = RUNNERS[job.type];
+  if (!runner) {
+    throw new Error(`No runner for job type: ${job.type}`);
+  }
+  return runner(job);
+}
+
+/**
+ * Check a job's preconditions.
+ * Returns { ok: true } or { ok: false, reason }.
+ */
+async function checkPreconditions(job) {
+  const { maxGasGwei, minBalance } = job.preconditions || {};
+
+  if (maxGasGwei !== undefined) {
+    const gas = await getGasPrice(job.chainId);
+    const price = gas.maxFeePerGas || gas.gasPrice;
+    const gwei = parseFloat(ethers.utils.formatUnits(price, 'gwei'));
+
+    if (gwei > maxGasGwei) {
+      return { ok: false, reason: `Gas ${gwei.toFixed(2)} gwei above max ${maxGasGwei} gwei` };
+    }
+  }
+
+  if (minBalance) {
+    const { token, amount } = minBalance;
+    let sufficient;
+
+    if (isNativeToken(token)) {
+      sufficient = await hasSufficientBalance(job.wallet, job.chainId, parseAmount(amount, 18));
+    } else {
+      const tokenInfo = getToken(token, job.chainId);
+      if (!tokenInfo) {
+        return { ok: false, reason: `Token ${token} not available on chain ${job.chainId}` };
+      }
+      sufficient = await hasSufficientBalance(
+        job.wallet,
+        job.chainId,
+        parseAmount(amount, tokenInfo.decimals),
+        tokenInfo.address
+      );
+    }
+
+    if (!sufficient) {
+      return { ok: false, reason: `Balance below minimum ${amount} ${token}` };
+    }
+  }
+
+  return { ok: true };
+}
+
+module.exports = {
+  RUNNERS,
+  runJob,
+  checkPreconditions,
+};
@@ -0,0 +1,127 @@
+/**
+ * Strategy File
+ * Loads and validates the declarative job list (YAML or JSON)
+ *
+ * Example:
+ *   defaults:
+ *     chainId: 42161
+ *     wallet: primary
+ *     preconditions:
+ *       maxGasGwei: 1
+ *   jobs:
+ *     - id: daily-eth-usdc
+ *       type: swap
+ *       schedule: "0 12 * * *"
+ *       params: { fromToken: ETH, toToken: USDC, amount: "0.01" }
+ *       preconditions:
+ *         minBalance: { token: ETH, amount: "0.02" }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parseCron } = require('./cron');
+const { ValidationError, ConfigurationError } = require('../../utils/errors');
+
+const JOB_TYPES = {
+  SWAP: 'swap',
+  TRANSFER: 'transfer',
+  DISTRIBUTE: 'distribute',
+  CLAIM: 'claim',
+  BATCH_CLAIM: 'batchClaim',
+  ELIGIBILITY: 'eligibility',
+  POINTS_SNAPSHOT: 'pointsSnapshot',
+};
+
+// Params each job type cannot run without
+const REQUIRED_PARAMS = {
+  [JOB_TYPES.SWAP]: ['fromToken', 'toToken', 'amount'],
+  [JOB_TYPES.TRANSFER]: ['token', 'amount', 'to'],
+  [JOB_TYPES.DISTRIBUTE]: ['token', 'totalAmount'],
+  [JOB_TYPES.CLAIM]: ['protocol'],
+  [JOB_TYPES.BATCH_CLAIM]: ['protocol'],
+  [JOB_TYPES.ELIGIBILITY]: [],
+  [JOB_TYPES.POINTS_SNAPSHOT]: [],
+};
+
+/**
+ * Parse strategy file contents
+ */
+function parseStrategy(content, format = 'yaml') {
+  let data;
+  try {
+    data = format === 'json' ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new ConfigurationError(`Could not parse strategy file: ${error.message}`);
+  }
+
+  if (!data || !Array.isArray(data.jobs)) {
+    throw new ConfigurationError('Strategy file must contain a "jobs" list');
+  }
+
+  const defaults = data.defaults || {};
+  const seen = new Set();
+
+  const jobs = data.jobs.map((raw, i) => {
+    const job = normalizeJob(raw, defaults, i);
+    if (seen.has(job.id)) {
+      throw new ValidationError('id', `Duplicate job id: ${job.id}`, job.id);
+    }
+    seen.add(job.id);
+    return job;
+  });
+
+  return { defaults, jobs };
+}
+
+/**
+ * Apply defaults and validate a single job definition
+ */
+function normalizeJob(raw, defaults, position) {
+  const id = raw.id || `${raw.type}-${position + 1}`;
+
+  if (!Object.values(JOB_TYPES).includes(raw.type)) {
+    throw new ValidationError('type', `Job ${id}: unknown type "${raw.type}"`, raw.type);
+  }
+  if (!raw.schedule) {
+    throw new ValidationError('schedule', `Job ${id}: schedule is required`);
+  }
+
+  const params = raw.params || {};
+  const missing = REQUIRED_PARAMS[raw.type].filter(p => params[p] === undefined);
+  if (missing.length > 0) {
+    throw new ValidationError('params', `Job ${id}: missing params ${missing.join(', ')}`, missing);
+  }
+
+  return {
+    id,
+    type: raw.type,
+    schedule: raw.schedule,
+    cron: parseCron(String(raw.schedule)),
+    enabled: raw.enabled !== false,
+    chainId: Number(raw.chainId ?? defaults.chainId ?? 1),
+    wallet: raw.wallet || defaults.wallet || 'primary',
+    params,
+    preconditions: { ...defaults.preconditions, ...raw.preconditions },
+    notify: raw.notify ?? defaults.notify ?? true,
+    description: raw.description || null,
+  };
+}
+
+/**
+ * Load a strategy file from disk (.yaml, .yml or .json)
+ */
+function loadStrategy(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new ConfigurationError(`Strategy file not found: ${filePath}`);
+  }
+
+  const format = path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'yaml';
+  return parseStrategy(fs.readFileSync(filePath, 'utf8'), format);
+}
+
+module.exports = {
+  JOB_TYPES,
+  parseStrategy,
+  loadStrategy,
+};
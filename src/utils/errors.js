@@ -91,6 +91,19 @@ class GasEstimationError extends TransactionError {
   }
 }
 
+/**
+ * Operation blocked because a stablecoin lost its peg
+ */
+class DepegPausedError extends AirdropHunterError {
+  constructor(symbol, message, details = {}) {
+    super(message || `Operations with ${symbol} are paused while it is off peg`, 'DEPEG_PAUSED', {
+      symbol,
+      ...details,
+    });
+    this.symbol = symbol;
+  }
+}
+
 /**
  * Chain/network errors
  */
@@ -222,6 +235,7 @@ module.exports = {
   TransactionError,
   SlippageExceededError,
   GasEstimationError,
+  DepegPausedError,
   ChainError,
   UnsupportedChainError,
   ProviderError,
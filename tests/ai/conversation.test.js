@@ -0,0 +1,190 @@
+/**
+ * Conversation Memory Tests
+ *
+ * Covers multi-turn slot filling and references to the previous command
+ * through ai.processCommand.
+ */
+
+jest.mock('../../src/ai/conversation', () => {
+  const actual = jest.requireActual('../../src/ai/conversation');
+  return { ...actual, getConversationStore: jest.fn() };
+});
+
+const ai = require('../../src/ai');
+const {
+  ConversationStore,
+  getConversationStore,
+  extractSlotValues,
+} = require('../../src/ai/conversation');
+const { MemoryStore } = require('../../src/core/store');
+
+const RECIPIENT = '0x2222222222222222222222222222222222222222';
+
+describe('Conversation memory', () => {
+  const alice = { userId: 'alice' };
+
+  beforeEach(() => {
+    getConversationStore.mockReturnValue(new ConversationStore({ store: new MemoryStore() }));
+  });
+
+  describe('slot filling', () => {
+    test('asks for the missing token and merges the follow-up', async () => {
+      const first = await ai.processCommand('swap 1 ETH', alice);
+
+      expect(first).toEqual(expect.objectContaining({
+        success: false,
+        awaitingInput: true,
+        intent: 'SWAP',
+        missing: ['toToken'],
+        prompt: 'Which token do you want to receive?',
+      }));
+
+      const second = await ai.processCommand('to USDC on arbitrum', alice);
+
+      expect(second.success).toBe(true);
+      expect(second.command).toEqual(expect.objectContaining({
+        type: 'SWAP',
+        chainId: 42161,
+        params: expect.objectContaining({ fromToken: 'ETH', toToken: 'USDC', amount: '1' }),
+      }));
+    });
+
+    test('keeps asking until every slot is filled', async () => {
+      await ai.processCommand('send 50 USDC', alice);
+
+      const noRecipient = await ai.processCommand('on polygon', alice);
+      expect(noRecipient.awaitingInput).toBe(true);
+      expect(noRecipient.missing).toEqual(['recipient']);
+
+      const done = await ai.processCommand(`to ${RECIPIENT}`, alice);
+      expect(done.command.chainId).toBe(137);
+      expect(done.command.params).toEqual({ token: 'USDC', amount: '50', to: RECIPIENT });
+    });
+
+    test('parses a bridge and asks for the destination chain', async () => {
+      const full = await ai.processCommand('bridge 100 USDC from arbitrum to base', alice);
+      expect(full.requiresConfirmation).toBe(true);
+      expect(full.command).toEqual(expect.objectContaining({
+        type: 'BRIDGE',
+        chainId: 42161,
+        params: expect.objectContaining({ token: 'USDC', amount: '100', toChainId: 8453, bridge: 'auto' }),
+      }));
+
+      const partial = await ai.processCommand('bridge 0.1 ETH', alice);
+      expect(partial.missing).toEqual(['toChainId']);
+
+      const done = await ai.processCommand('optimism', alice);
+      expect(done.command.params).toEqual(expect.objectContaining({ token: 'ETH', amount: '0.1', toChainId: 10 }));
+    });
+
+    test('a new confident command abandons the pending one', async () => {
+      await ai.processCommand('swap 1 ETH', alice);
+
+      const balance = await ai.processCommand('check my balance', alice);
+
+      expect(balance.success).toBe(true);
+      expect(balance.intent).toBe('BALANCE');
+      expect((await ai.processCommand('to USDC', alice)).success).toBe(false);
+    });
+
+    test('state is kept per user and not used without a user id', async () => {
+      await ai.processCommand('swap 1 ETH', alice);
+
+      expect((await ai.processCommand('to USDC', { userId: 'bob' })).success).toBe(false);
+      expect((await ai.processCommand('to USDC')).awaitingInput).toBeUndefined();
+      expect((await ai.processCommand('to USDC', alice)).success).toBe(true);
+    });
+
+    test('pending commands expire after the ttl', async () => {
+      getConversationStore.mockReturnValue(new ConversationStore({ ttl: 1000, store: new MemoryStore() }));
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+
+      await ai.processCommand('swap 1 ETH', alice);
+      now.mockReturnValue(1_002_000);
+
+      expect((await ai.processCommand('to USDC', alice)).success).toBe(false);
+      now.mockRestore();
+    });
+
+    test('sessions of users who never return are swept', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+      const records = new MemoryStore();
+      const store = new ConversationStore({ ttl: 1000, store: records });
+      const intent = { type: 'SWAP', confidence: 0.9 };
+      await store.setPending('alice', intent, {}, ['amount']);
+      await store.setPending('bob', intent, {}, ['amount']);
+
+      now.mockReturnValue(1_002_000);
+      await store.setPending('carol', intent, {}, ['amount']);
+      now.mockRestore();
+
+      expect((await records.list()).map(session => session.userId)).toEqual(['carol']);
+    });
+
+    test('a reply reaching another process continues the command', async () => {
+      const records = new MemoryStore();
+      getConversationStore.mockReturnValueOnce(new ConversationStore({ store: records }));
+      await ai.processCommand('swap 1 ETH', alice);
+
+      getConversationStore.mockReturnValueOnce(new ConversationStore({ store: records }));
+      const reply = await ai.processCommand('to USDC', alice);
+
+      expect(reply.success).toBe(true);
+      expect(reply.command.params).toEqual(expect.objectContaining({ fromToken: 'ETH', toToken: 'USDC', amount: '1' }));
+    });
+  });
+
+  describe('references', () => {
+    test('repeats the last command', async () => {
+      await ai.processCommand('swap 0.5 ETH for USDC on arbitrum', alice);
+
+      const again = await ai.processCommand('do that again', alice);
+
+      expect(again.success).toBe(true);
+      expect(again.command.chainId).toBe(42161);
+      expect(again.command.params).toEqual(expect.objectContaining({
+        fromToken: 'ETH',
+        toToken: 'USDC',
+        amount: '0.5',
+      }));
+    });
+
+    test('overrides parts of the last command', async () => {
+      await ai.processCommand(`send 25 USDC to ${RECIPIENT}`, alice);
+
+      const same = await ai.processCommand('same amount to wallet 2', alice);
+
+      expect(same.intent).toBe('TRANSFER');
+      expect(same.command.params).toEqual({ token: 'USDC', amount: '25', to: 'wallet2' });
+    });
+
+    test('fails clearly when there is nothing to repeat', async () => {
+      const result = await ai.processCommand('do that again', alice);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('There is no previous command to repeat');
+    });
+  });
+
+  describe('extractSlotValues', () => {
+    test('assigns tokens by preposition', () => {
+      expect(extractSlotValues('from DAI', 'SWAP', { toToken: 'USDC' })).toEqual({ fromToken: 'DAI' });
+      expect(extractSlotValues('100 USDC into WETH', 'SWAP')).toEqual({
+        amount: '100',
+        fromToken: 'USDC',
+        toToken: 'WETH',
+      });
+    });
+
+    test('reads our own wallets as source or recipient', () => {
+      expect(extractSlotValues('to wallet 3', 'TRANSFER')).toEqual({ recipient: 'wallet3' });
+      expect(extractSlotValues('from wallet 3', 'TRANSFER')).toEqual({ wallet: 'wallet3' });
+      expect(extractSlotValues('using wallet 2', 'SWAP')).toEqual({ wallet: 'wallet2' });
+    });
+
+    test('reads bridge chains without mistaking them for tokens', () => {
+      expect(extractSlotValues('to arbitrum', 'BRIDGE', { token: 'ETH', amount: '1' })).toEqual({ toChainId: 42161 });
+      expect(extractSlotValues('ETH', 'BRIDGE', {})).toEqual({ token: 'ETH' });
+    });
+  });
+});
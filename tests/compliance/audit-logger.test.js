@@ -5,10 +5,15 @@
  * Sprint 2.1: Compliance Layer
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
 const {
   AuditLogger,
   AuditEntry,
   MemoryStorage,
+  FileStorage,
   createAuditLogger,
   AUDIT_CATEGORIES,
   SEVERITY_LEVELS,
@@ -167,6 +172,170 @@ describe('AuditLogger', () => {
     });
   });
 
+  describe('FileStorage', () => {
+    let dir;
+
+    const reopen = (options = {}) => createAuditLogger({
+      logger: mockLogger,
+      storage: new FileStorage({ directory: dir, logger: mockLogger, ...options }),
+    });
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should persist entries and indexes across restarts', () => {
+      const first = createAuditLogger({ logger: mockLogger, storageDir: dir });
+      first.logExecution('0xABC', { hash: '0xTX1', chainId: 1 }, { success: true });
+      first.logAccess('user1', 'execute', true);
+
+      const second = reopen();
+      expect(second.storage.entries.length).toBe(2);
+      expect(second.query({ wallet: '0xabc' }).length).toBe(1);
+      expect(second.query({ txHash: '0xtx1' }).length).toBe(1);
+      expect(second.query({ chainId: 1 }).length).toBe(1);
+      expect(second.query({ category: AUDIT_CATEGORIES.ACCESS }).length).toBe(1);
+      expect(second.query({})[0]).toBeInstanceOf(AuditEntry);
+    });
+
+    test('should continue the hash chain after restart', () => {
+      const first = reopen();
+      first.log(AUDIT_CATEGORIES.CONFIG, 'one', {});
+
+      const second = reopen();
+      const entry = second.log(AUDIT_CATEGORIES.CONFIG, 'two', {});
+
+      expect(entry.previousHash).toBe(first.lastHash);
+      expect(second.verifyIntegrity()).toBe(true);
+      expect(second.storage.integrity.valid).toBe(true);
+    });
+
+    test('should detect entries edited while stopped', () => {
+      const first = reopen();
+      first.log(AUDIT_CATEGORIES.EXECUTION, 'tx_success', { amount: '100' });
+      first.log(AUDIT_CATEGORIES.EXECUTION, 'tx_success', { amount: '200' });
+
+      const file = path.join(dir, 'active.ndjson');
+      fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('"100"', '"999"'));
+
+      expect(() => reopen({ strictIntegrity: true })).toThrow('integrity check failed');
+    });
+
+    test('should detect deleted entries', () => {
+      const first = reopen();
+      for (let i = 0; i < 3; i++) {
+        first.log(AUDIT_CATEGORIES.CONFIG, `action${i}`, {});
+      }
+
+      const file = path.join(dir, 'active.ndjson');
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+      fs.writeFileSync(file, [lines[0], lines[2]].join('\n') + '\n');
+
+      expect(() => reopen({ strictIntegrity: true })).toThrow('Hash chain broken');
+    });
+
+    test('should record a violation by default', () => {
+      const first = createAuditLogger({ logger: mockLogger, storageDir: dir });
+      first.log(AUDIT_CATEGORIES.CONFIG, 'action', { value: 1 });
+
+      const file = path.join(dir, 'active.ndjson');
+      fs.writeFileSync(file, fs.readFileSync(file, 'utf8').replace('"value":1', '"value":2'));
+
+      const second = createAuditLogger({ logger: mockLogger, storageDir: dir });
+      expect(second.storage.integrity.valid).toBe(false);
+      expect(second.query({ category: AUDIT_CATEGORIES.VIOLATION })[0].action)
+        .toBe('audit_tamper_detected');
+    });
+
+    test('should detect a nulled hash on the last entry', () => {
+      const first = reopen();
+      first.log(AUDIT_CATEGORIES.CONFIG, 'one', {});
+      first.log(AUDIT_CATEGORIES.CONFIG, 'two', {});
+
+      const file = path.join(dir, 'active.ndjson');
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+      const last = JSON.parse(lines[1]);
+      last.hash = null;
+      fs.writeFileSync(file, [lines[0], JSON.stringify(last)].join('\n') + '\n');
+
+      const { errors } = reopen().storage.integrity;
+      expect(errors).toContain(`Missing hash at entry ${last.id}`);
+    });
+
+    test('should detect trailing entries truncated while stopped', () => {
+      const first = reopen();
+      for (let i = 0; i < 4; i++) {
+        first.log(AUDIT_CATEGORIES.CONFIG, `action${i}`, {});
+      }
+
+      const file = path.join(dir, 'active.ndjson');
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+      fs.writeFileSync(file, lines.slice(0, 2).join('\n') + '\n');
+
+      expect(() => reopen({ strictIntegrity: true }))
+        .toThrow('Active segment has 2 entries, manifest head records 4');
+    });
+
+    test('should detect a deleted active segment', () => {
+      const first = reopen();
+      first.log(AUDIT_CATEGORIES.CONFIG, 'action', {});
+
+      fs.rmSync(path.join(dir, 'active.ndjson'));
+
+      const second = reopen();
+      expect(second.storage.integrity.valid).toBe(false);
+      expect(second.storage.integrity.errors[0]).toMatch('manifest head records 1');
+    });
+
+    test('should accept one entry written after the last head update', () => {
+      const first = reopen();
+      first.log(AUDIT_CATEGORIES.CONFIG, 'one', {});
+      const manifest = fs.readFileSync(path.join(dir, 'manifest.json'), 'utf8');
+      first.log(AUDIT_CATEGORIES.CONFIG, 'two', {});
+
+      // Stopped between appending the entry and rewriting the manifest
+      fs.writeFileSync(path.join(dir, 'manifest.json'), manifest);
+
+      expect(reopen().storage.integrity.valid).toBe(true);
+    });
+
+    test('should rotate into segment files', () => {
+      const first = reopen({ rotationSize: 3 });
+      for (let i = 0; i < 4; i++) {
+        first.log(AUDIT_CATEGORIES.CONFIG, `action${i}`, {});
+      }
+
+      const second = reopen({ rotationSize: 3, verifyArchivesOnLoad: true });
+      expect(second.storage.archives.length).toBe(1);
+      expect(second.storage.entries.length).toBe(1);
+      expect(second.storage.readArchive(second.storage.archives[0]).length).toBe(3);
+      expect(second.storage.integrity.valid).toBe(true);
+    });
+
+    test('should archive old entries to disk', () => {
+      const storage = new FileStorage({ directory: dir, logger: mockLogger });
+      const old = new AuditEntry('test', 'old', {});
+      old.timestamp = Date.now() - 10000;
+      old.computeHash(null);
+      const recent = new AuditEntry('test', 'recent', {});
+      recent.computeHash(old.hash);
+      storage.append(old);
+      storage.append(recent);
+
+      const result = storage.archive(5000);
+      expect(result.archivedCount).toBe(1);
+
+      const reloaded = new FileStorage({ directory: dir, logger: mockLogger });
+      expect(reloaded.entries.map(e => e.action)).toEqual(['recent']);
+      expect(reloaded.readArchive(reloaded.archives[0])[0].action).toBe('old');
+      expect(reloaded.integrity.valid).toBe(true);
+    });
+  });
+
   describe('Core Logging', () => {
     test('should log entries with hash chain', () => {
       const entry1 = auditLogger.log(AUDIT_CATEGORIES.EXECUTION, 'test1', { a: 1 });
@@ -0,0 +1,236 @@
+/**
+ * Transaction Ledger Tests
+ *
+ * Covers indexed queries, persistence across restarts, compaction and
+ * command tagging through the router.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/ai', () => ({
+  processCommand: jest.fn(),
+  generateResponse: jest.fn(() => 'done'),
+  getSuggestions: jest.fn(() => []),
+}));
+
+jest.mock('../../src/router/validator', () => ({
+  validateCommand: jest.fn().mockResolvedValue({ valid: true }),
+}));
+
+jest.mock('../../src/engines/transfer', () => ({
+  executeTransfer: jest.fn(),
+}));
+
+jest.mock('../../src/core/ledger', () => {
+  const actual = jest.requireActual('../../src/core/ledger');
+  return { ...actual, getLedger: jest.fn(actual.getLedger) };
+});
+
+const ai = require('../../src/ai');
+const transferEngine = require('../../src/engines/transfer');
+const router = require('../../src/router');
+const { getTransactionHistory, getTransactionStatus } = require('../../src/core/transactions');
+const {
+  TransactionLedger,
+  getLedger,
+  getCurrentCommandId,
+  runWithCommand,
+} = require('../../src/core/ledger');
+
+const WALLET_A = '0x1111111111111111111111111111111111111111';
+const WALLET_B = '0x2222222222222222222222222222222222222222';
+
+const tx = (hash, overrides = {}) => ({
+  hash,
+  from: WALLET_A,
+  chainId: 1,
+  status: 'confirmed',
+  submittedAt: Date.now(),
+  ...overrides,
+});
+
+describe('TransactionLedger', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+    filePath = path.join(dir, 'transactions.ndjson');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('queries', () => {
+    let ledger;
+
+    beforeEach(() => {
+      ledger = new TransactionLedger();
+      ledger.recordTransaction(tx('0xA1', { submittedAt: 1 }));
+      ledger.recordTransaction(tx('0xA2', { chainId: 42161, submittedAt: 2 }));
+      ledger.recordTransaction(tx('0xB1', { from: WALLET_B, status: 'failed', submittedAt: 3 }));
+      ledger.recordTransaction(tx('0xB2', { from: WALLET_B, commandId: 'cmd_1', submittedAt: 4 }));
+    });
+
+    test('filters by wallet, chain and status together', () => {
+      expect(ledger.queryTransactions({ wallet: WALLET_A }).map(t => t.hash)).toEqual(['0xA2', '0xA1']);
+      expect(ledger.queryTransactions({ wallet: WALLET_A, chainId: 1 }).map(t => t.hash)).toEqual(['0xA1']);
+      expect(ledger.queryTransactions({ status: 'failed' }).map(t => t.hash)).toEqual(['0xB1']);
+      expect(ledger.queryTransactions({ commandId: 'cmd_1' }).map(t => t.hash)).toEqual(['0xB2']);
+      expect(ledger.queryTransactions({ chainId: 10 })).toEqual([]);
+    });
+
+    test('re-indexes on status change', () => {
+      ledger.updateTransaction('0xb1', { status: 'confirmed' });
+
+      expect(ledger.queryTransactions({ status: 'failed' })).toEqual([]);
+      expect(ledger.queryTransactions({ status: 'confirmed' })).toHaveLength(4);
+    });
+
+    test('paginates newest first', () => {
+      expect(ledger.queryTransactions({ limit: 2, offset: 1 }).map(t => t.hash)).toEqual(['0xB1', '0xA2']);
+    });
+  });
+
+  describe('persistence', () => {
+    test('replays transactions and commands after restart', () => {
+      const first = new TransactionLedger({ filePath });
+      first.recordCommand({ id: 'cmd_1', userId: 'alice', status: 'executing', createdAt: 1 });
+      first.recordTransaction(tx('0xA1', { status: 'pending', commandId: 'cmd_1' }));
+      first.updateTransaction('0xA1', { status: 'confirmed', blockNumber: 10 });
+      first.recordCommand({ id: 'cmd_1', status: 'completed' });
+
+      const second = new TransactionLedger({ filePath });
+
+      expect(second.getTransaction('0xa1')).toEqual(expect.objectContaining({
+        status: 'confirmed',
+        blockNumber: 10,
+      }));
+      expect(second.queryTransactions({ status: 'pending' })).toEqual([]);
+      expect(second.queryCommands({ userId: 'alice' })[0]).toEqual(expect.objectContaining({
+        id: 'cmd_1',
+        status: 'completed',
+        transactions: [expect.objectContaining({ hash: '0xA1' })],
+      }));
+    });
+
+    test('compacts superseded writes', () => {
+      const ledger = new TransactionLedger({ filePath });
+      ledger.recordTransaction(tx('0xA1', { status: 'pending' }));
+      for (let i = 0; i < 150; i++) {
+        ledger.updateTransaction('0xA1', { confirmations: i });
+      }
+
+      const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+      expect(lines.length).toBeLessThan(100);
+      expect(new TransactionLedger({ filePath }).getTransaction('0xA1').confirmations).toBe(149);
+    });
+
+    test('compaction keeps records another ledger wrote to the same file', () => {
+      const first = new TransactionLedger({ filePath });
+      const second = new TransactionLedger({ filePath });
+      second.recordCommand({ id: 'cmd_2', userId: 'bob', status: 'completed' });
+      second.recordTransaction(tx('0xB1', { from: WALLET_B }));
+
+      first.recordTransaction(tx('0xA1', { status: 'pending' }));
+      for (let i = 0; i < 150; i++) {
+        first.updateTransaction('0xA1', { confirmations: i });
+      }
+
+      const reloaded = new TransactionLedger({ filePath });
+      expect(fs.readFileSync(filePath, 'utf8').trim().split('\n').length).toBeLessThan(100);
+      expect(reloaded.getTransaction('0xB1')).toEqual(expect.objectContaining({ from: WALLET_B }));
+      expect(reloaded.getCommand('cmd_2').status).toBe('completed');
+      expect(reloaded.getTransaction('0xA1').confirmations).toBe(149);
+      expect(first.getTransaction('0xB1')).not.toBeNull();
+      expect(fs.existsSync(`${filePath}.lock`)).toBe(false);
+    });
+
+    test('skips a torn final line', () => {
+      const ledger = new TransactionLedger({ filePath });
+      ledger.recordTransaction(tx('0xA1'));
+      fs.appendFileSync(filePath, '{"kind":"tx","rec');
+
+      expect(new TransactionLedger({ filePath }).queryTransactions()).toHaveLength(1);
+    });
+
+    test('moves to the temp directory when the file is not writable', () => {
+      const blocker = path.join(dir, 'blocker');
+      fs.writeFileSync(blocker, '');
+      const name = `ledger-fallback-${process.pid}.ndjson`;
+      const ledger = new TransactionLedger({ filePath: path.join(blocker, name) });
+
+      expect(() => ledger.recordTransaction(tx('0xA1'))).not.toThrow();
+      ledger.recordTransaction(tx('0xA2'));
+
+      expect(ledger.filePath).toBe(path.join(os.tmpdir(), name));
+      expect(new TransactionLedger({ filePath: ledger.filePath }).queryTransactions()).toHaveLength(2);
+      fs.rmSync(ledger.filePath, { force: true });
+    });
+
+    test('keeps records in memory when no file is writable', () => {
+      const blocker = path.join(dir, 'blocker');
+      fs.writeFileSync(blocker, '');
+      const tmpdir = jest.spyOn(os, 'tmpdir').mockReturnValue(blocker);
+      const ledger = new TransactionLedger({ filePath: path.join(blocker, 'transactions.ndjson') });
+
+      ledger.recordCommand({ id: 'cmd_1', userId: 'alice', status: 'executing' });
+      tmpdir.mockRestore();
+
+      expect(ledger.filePath).toBeNull();
+      expect(ledger.getCommand('cmd_1').status).toBe('executing');
+    });
+  });
+
+  describe('core/transactions', () => {
+    test('history and status read from the shared ledger', async () => {
+      const ledger = new TransactionLedger({ filePath });
+      getLedger.mockReturnValue(ledger);
+      ledger.recordTransaction(tx('0xA1'));
+      getLedger.mockReturnValue(new TransactionLedger({ filePath }));
+
+      expect(getTransactionHistory({ wallet: WALLET_A })).toHaveLength(1);
+      expect((await getTransactionStatus(1, '0xA1')).status).toBe('confirmed');
+    });
+  });
+
+  describe('router command history', () => {
+    test('tags transactions with the executing command id', async () => {
+      const ledger = new TransactionLedger();
+      getLedger.mockReturnValue(ledger);
+
+      ai.processCommand.mockResolvedValue({
+        success: true,
+        intent: 'TRANSFER',
+        command: { type: 'TRANSFER', params: { token: 'ETH', amount: '1', to: WALLET_B }, chainId: 1 },
+      });
+      transferEngine.executeTransfer.mockImplementation(async () => {
+        ledger.recordTransaction(tx('0xC1', { commandId: getCurrentCommandId() }));
+        return { success: true, txHash: '0xC1' };
+      });
+
+      const response = await router.processCommand('send 1 eth', { userId: 'bob' });
+      const history = router.getCommandHistory('bob');
+
+      expect(response.commandId).toMatch(/^cmd_/);
+      expect(history).toHaveLength(1);
+      expect(history[0]).toEqual(expect.objectContaining({
+        id: response.commandId,
+        status: 'completed',
+        txHash: '0xC1',
+      }));
+      expect(history[0].transactions.map(t => t.hash)).toEqual(['0xC1']);
+      expect(router.getCommandHistory('someone-else')).toEqual([]);
+    });
+
+    test('command context does not leak outside runWithCommand', async () => {
+      await runWithCommand('cmd_x', async () => {
+        expect(getCurrentCommandId()).toBe('cmd_x');
+      });
+      expect(getCurrentCommandId()).toBeNull();
+    });
+  });
+});
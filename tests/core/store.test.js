@@ -0,0 +1,79 @@
+/**
+ * Shared Store Tests
+ *
+ * Covers compareAndSet on the memory and Netlify Blobs backends, including
+ * two writers racing for the same record.
+ */
+
+jest.mock('@netlify/blobs', () => {
+  const blobs = new Map();
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+  return {
+    blobs,
+    connectLambda: jest.fn(),
+    getStore: jest.fn(() => ({
+      get: async (key) => {
+        await tick();
+        return blobs.has(key) ? JSON.parse(blobs.get(key)) : null;
+      },
+      setJSON: async (key, value) => {
+        await tick();
+        blobs.set(key, JSON.stringify(value));
+      },
+      delete: async (key) => {
+        blobs.delete(key);
+      },
+      list: async () => ({ blobs: [...blobs.keys()].map(key => ({ key })) }),
+    })),
+  };
+});
+
+const { blobs } = require('@netlify/blobs');
+const { MemoryStore, BlobStore } = require('../../src/core/store');
+
+describe('Shared store', () => {
+  beforeEach(() => {
+    blobs.clear();
+  });
+
+  // Two handles on the same records, as two processes would hold
+  describe.each([
+    ['MemoryStore', () => {
+      const store = new MemoryStore();
+      return [store, store];
+    }],
+    ['BlobStore', () => [new BlobStore('test'), new BlobStore('test')]],
+  ])('%s compareAndSet', (name, createStores) => {
+    test('writes when the version matches and bumps it', async () => {
+      const [store] = createStores();
+      await store.set('a', { id: 'a', state: 'new' });
+
+      const claimed = await store.compareAndSet('a', { id: 'a', state: 'claimed' }, null);
+
+      expect(claimed).toEqual(expect.objectContaining({ state: 'claimed', version: 1 }));
+      expect(await store.get('a')).toEqual(expect.objectContaining({ state: 'claimed', version: 1 }));
+    });
+
+    test('refuses a stale version', async () => {
+      const [store] = createStores();
+      await store.compareAndSet('a', { id: 'a', state: 'claimed' }, null);
+
+      expect(await store.compareAndSet('a', { id: 'a', state: 'again' }, null)).toBeNull();
+      expect((await store.get('a')).state).toBe('claimed');
+    });
+
+    test('lets exactly one of two racing writers win', async () => {
+      const [first, second] = createStores();
+      await first.set('a', { id: 'a', state: 'new' });
+
+      const results = await Promise.all([
+        first.compareAndSet('a', { id: 'a', state: 'first' }, null),
+        second.compareAndSet('a', { id: 'a', state: 'second' }, null),
+      ]);
+
+      const winners = results.filter(Boolean);
+      expect(winners).toHaveLength(1);
+      expect((await first.get('a')).state).toBe(winners[0].state);
+    });
+  });
+});
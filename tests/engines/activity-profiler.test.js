@@ -0,0 +1,302 @@
+/**
+ * Activity Profiler Tests
+ *
+ * Covers explorer adapters, transaction classification, profile metrics,
+ * the RPC nonce fallback and eligibility scoring built on profiles.
+ */
+
+jest.mock('../../src/engines/airdrop/activity', () => {
+  const actual = jest.requireActual('../../src/engines/airdrop/activity');
+  return { ...actual, getActivityProfiler: jest.fn(actual.getActivityProfiler) };
+});
+
+const { ethers } = require('ethers');
+const { CHAINS } = require('../../src/config/chains');
+const { SPOKE_POOLS } = require('../../src/engines/bridge/across');
+const { ExternalAPIError } = require('../../src/utils/errors');
+const { EtherscanExplorer, FixtureExplorer } = require('../../src/engines/airdrop/explorer');
+const {
+  ActivityProfiler,
+  buildProfile,
+  classifyTransaction,
+  getActivityProfiler,
+} = require('../../src/engines/airdrop/activity');
+const eligibility = require('../../src/engines/airdrop/eligibility');
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+const UNKNOWN = '0x3333333333333333333333333333333333333333';
+const USDC_ARB = '0xaf88d065e77c8cc2239327c5edb3a432268e5831';
+
+const V2_ROUTER = CHAINS[1].contracts.uniswapV2Router.toLowerCase();
+const SPOKE_MAINNET = SPOKE_POOLS[1].toLowerCase();
+const SPOKE_ARBITRUM = SPOKE_POOLS[42161].toLowerCase();
+
+const selector = (signature) => ethers.utils.id(signature).slice(0, 10);
+const at = (year, month, day) => Date.UTC(year, month - 1, day) / 1000;
+const hash = (n) => '0x' + n.toString(16).padStart(64, '0');
+
+const tx = (overrides) => ({
+  from: WALLET,
+  value: '0',
+  input: '0x',
+  gasUsed: '100000',
+  gasPrice: '20000000000',
+  isError: false,
+  ...overrides,
+});
+
+const FIXTURE = {
+  [WALLET]: {
+    1: {
+      transactions: [
+        tx({ hash: hash(1), to: SPOKE_MAINNET, value: ethers.utils.parseEther('1').toString(), input: selector('depositV3(address,address,address,address,uint256,uint256,uint256,address,uint32,uint32,uint32,bytes)') + '00', timestamp: at(2024, 1, 15) }),
+        tx({ hash: hash(2), to: V2_ROUTER, input: selector('swapExactETHForTokens(uint256,address[],address,uint256)') + '00', timestamp: at(2024, 2, 10) }),
+        tx({ hash: hash(3), to: V2_ROUTER, input: selector('addLiquidityETH(address,uint256,uint256,uint256,address,uint256)') + '00', timestamp: at(2024, 2, 12) }),
+        tx({ hash: hash(4), to: V2_ROUTER, input: selector('removeLiquidityETH(address,uint256,uint256,uint256,address,uint256)') + '00', timestamp: at(2024, 3, 13) }),
+        tx({ hash: hash(5), to: UNKNOWN, input: '0xdeadbeef', isError: true, timestamp: at(2024, 3, 20) }),
+        tx({ hash: hash(6), from: OTHER, to: WALLET, value: '1', timestamp: at(2024, 5, 1) }),
+      ],
+    },
+    42161: {
+      // Raw Etherscan rows
+      transactions: [
+        { hash: hash(7), from: WALLET, to: SPOKE_ARBITRUM, value: '0', input: selector('depositV3(address,address,address,address,uint256,uint256,uint256,address,uint32,uint32,uint32,bytes)') + '00', timeStamp: String(at(2024, 4, 1)), gasUsed: '100000', gasPrice: '1000000000', isError: '0' },
+        { hash: hash(8), from: WALLET, to: OTHER, value: '5', input: '0x', timeStamp: String(at(2024, 4, 2)), gasUsed: '100000', gasPrice: '1000000000', isError: '0' },
+      ],
+      tokenTransfers: [
+        { hash: hash(7), from: WALLET, to: SPOKE_ARBITRUM, contractAddress: USDC_ARB, tokenSymbol: 'USDC', tokenDecimal: '6', value: '500000000', timeStamp: String(at(2024, 4, 1)) },
+      ],
+    },
+  },
+};
+
+// Fixture history with zkSync Era unavailable from the explorer
+function createExplorer() {
+  const fixture = new FixtureExplorer({ data: FIXTURE });
+  return {
+    getTransactions: jest.fn(async (address, chainId) => {
+      if (chainId === 324) throw new ExternalAPIError('Etherscan', 'Max rate limit reached');
+      return fixture.getTransactions(address, chainId);
+    }),
+    getTokenTransfers: jest.fn((address, chainId) => fixture.getTokenTransfers(address, chainId)),
+  };
+}
+
+function createProfiler(options = {}) {
+  return new ActivityProfiler({
+    explorer: createExplorer(),
+    getProvider: () => ({ getTransactionCount: jest.fn().mockResolvedValue(7) }),
+    prices: { ETH: 3000 },
+    ...options,
+  });
+}
+
+describe('Activity Profiler', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe('EtherscanExplorer', () => {
+    const jsonResponse = (body) => ({ ok: true, status: 200, json: async () => body });
+
+    test('should query the v2 API per chain and normalize rows', async () => {
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse({
+        status: '1',
+        message: 'OK',
+        result: FIXTURE[WALLET][42161].transactions,
+      }));
+
+      const explorer = new EtherscanExplorer({ apiKey: 'key' });
+      const transactions = await explorer.getTransactions(WALLET, 42161);
+
+      const url = new URL(global.fetch.mock.calls[0][0]);
+      expect(url.searchParams.get('chainid')).toBe('42161');
+      expect(url.searchParams.get('action')).toBe('txlist');
+      expect(url.searchParams.get('apikey')).toBe('key');
+      expect(transactions[0]).toMatchObject({
+        chainId: 42161,
+        from: WALLET,
+        to: SPOKE_ARBITRUM,
+        timestamp: at(2024, 4, 1),
+        isError: false,
+      });
+    });
+
+    test('should treat an empty history as no transactions', async () => {
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse({ status: '0', message: 'No transactions found', result: [] }));
+
+      await expect(new EtherscanExplorer().getTokenTransfers(WALLET, 1)).resolves.toEqual([]);
+    });
+
+    test('should throw on API errors', async () => {
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse({ status: '0', message: 'NOTOK', result: 'Invalid API Key' }));
+
+      await expect(new EtherscanExplorer().getTransactions(WALLET, 1)).rejects.toThrow(ExternalAPIError);
+    });
+  });
+
+  describe('classifyTransaction', () => {
+    test('should classify by contract and selector', () => {
+      expect(classifyTransaction(tx({ chainId: 1, to: V2_ROUTER, input: selector('swapExactETHForTokens(uint256,address[],address,uint256)') })))
+        .toEqual({ action: 'swap', category: 'dex', protocol: 'Uniswap V2' });
+      expect(classifyTransaction(tx({ chainId: 1, to: SPOKE_MAINNET, input: selector('depositV3(address,address,address,address,uint256,uint256,uint256,address,uint32,uint32,uint32,bytes)') })))
+        .toEqual({ action: 'bridge', category: 'bridge', protocol: 'Across Protocol' });
+      expect(classifyTransaction(tx({ chainId: 42161, to: '0x794a61358d6845594f94dc1db02a252b5b4814ad', input: selector('supply(address,uint256,address,uint16)') })))
+        .toEqual({ action: 'supply', category: 'lending', protocol: 'Aave V3' });
+      expect(classifyTransaction(tx({ chainId: 81457, to: '0x98994a9a7a2570367554589189dc9772241650f6', input: selector('swapExactETHForTokens(uint256,address[],address,uint256)') })))
+        .toEqual({ action: 'swap', category: 'dex', protocol: 'Thruster' });
+    });
+
+    test('should fall back to the contract category for unknown selectors', () => {
+      expect(classifyTransaction(tx({ chainId: 1, to: V2_ROUTER, input: '0x12345678' })).action).toBe('swap');
+      expect(classifyTransaction(tx({ chainId: 1, to: SPOKE_MAINNET, input: '0x12345678' })).action).toBe('bridge');
+    });
+
+    test('should classify approvals, transfers and unknown calls', () => {
+      expect(classifyTransaction(tx({ chainId: 1, to: SPOKE_MAINNET, input: selector('approve(address,uint256)') })).action).toBe('approve');
+      expect(classifyTransaction(tx({ chainId: 1, to: OTHER, value: '1' }))).toEqual({ action: 'transfer', category: 'token', protocol: null });
+      expect(classifyTransaction(tx({ chainId: 1, to: UNKNOWN, input: '0xdeadbeef' }))).toEqual({ action: 'contract', category: 'other', protocol: null });
+    });
+  });
+
+  describe('buildProfile', () => {
+    let profile;
+
+    beforeAll(async () => {
+      const explorer = new FixtureExplorer({ data: FIXTURE });
+      const histories = [];
+      for (const chainId of [1, 42161]) {
+        histories.push({
+          chainId,
+          source: 'explorer',
+          transactions: await explorer.getTransactions(WALLET, chainId),
+          tokenTransfers: await explorer.getTokenTransfers(WALLET, chainId),
+        });
+      }
+      profile = buildProfile(WALLET, histories, { now: at(2024, 6, 1) * 1000, prices: { ETH: 3000 } });
+    });
+
+    test('should count outgoing transactions including failures', () => {
+      expect(profile.transactionCount).toBe(7);
+      expect(profile.chains[1].transactionCount).toBe(5);
+      expect(profile.activeChains).toEqual([1, 42161]);
+    });
+
+    test('should measure unique contracts and active periods from successful transactions', () => {
+      expect(profile.uniqueContracts).toBe(3);
+      expect(profile.chains[1].uniqueContracts).toBe(2);
+      expect(profile.activeMonths).toBe(4);
+      expect(profile.activeWeeks).toBe(5);
+      expect(profile.activeDays).toBe(6);
+      expect(profile.walletAgeDays).toBe(138);
+    });
+
+    test('should total bridged volume by token and in USD', () => {
+      expect(profile.bridgeCount).toBe(2);
+      expect(profile.bridgedVolume).toEqual({ ETH: '1.0', USDC: '500.0' });
+      expect(profile.bridgedVolumeUsd).toBe(3500);
+    });
+
+    test('should measure LP duration from add to remove', () => {
+      expect(profile.lpPositions).toBe(1);
+      expect(profile.lpDurationDays).toBe(30);
+    });
+
+    test('should total gas spent on every outgoing transaction', () => {
+      expect(profile.gasSpent).toEqual({ ETH: '0.0102' });
+      expect(profile.actions).toMatchObject({ bridge: 2, swap: 1, addLiquidity: 1, removeLiquidity: 1, transfer: 1 });
+      expect(profile.protocols).toMatchObject({ 'Across Protocol': 2, 'Uniswap V2': 3 });
+      expect(profile.partial).toBe(false);
+    });
+
+    test('should run open LP positions up to now', () => {
+      const history = FIXTURE[WALLET][1].transactions.slice(2, 3).map(row => ({ ...row, chainId: 1 }));
+      const open = buildProfile(WALLET, [{ chainId: 1, source: 'explorer', transactions: history }], {
+        now: at(2024, 2, 22) * 1000,
+      });
+
+      expect(open.lpDurationDays).toBe(10);
+    });
+
+    test('should measure the longest stretch each token was held', () => {
+      const transfer = (from, to, value, day) => ({
+        chainId: 81457, hash: hash(day), from, to, token: '0xusdb', symbol: 'USDB', decimals: 18, value, timestamp: at(2024, 3, day),
+      });
+      const held = buildProfile(WALLET, [{
+        chainId: 81457,
+        source: 'explorer',
+        transactions: [],
+        tokenTransfers: [
+          transfer(OTHER, WALLET, '100', 1),
+          transfer(WALLET, OTHER, '40', 5),
+          transfer(WALLET, OTHER, '60', 11),
+          transfer(OTHER, WALLET, '10', 20),
+        ],
+      }], { now: at(2024, 3, 23) * 1000 });
+
+      expect(held.holdingDays).toEqual({ USDB: 10 });
+    });
+  });
+
+  describe('ActivityProfiler', () => {
+    test('should fall back to the RPC nonce when the explorer fails', async () => {
+      const profiler = createProfiler();
+      const profile = await profiler.profile(WALLET, { chains: [1, 324] });
+
+      expect(profile.chains[324]).toEqual({ transactionCount: 7, source: 'rpc' });
+      expect(profile.transactionCount).toBe(12);
+      expect(profile.partial).toBe(true);
+      expect(profile.errors).toEqual([{ chainId: 324, error: 'Etherscan API error: Max rate limit reached' }]);
+    });
+
+    test('should cache explorer history but retry fallbacks', async () => {
+      const profiler = createProfiler();
+      await profiler.profile(WALLET, { chains: [1, 324] });
+      await profiler.profile(WALLET, { chains: [1, 324] });
+
+      const calls = profiler.explorer.getTransactions.mock.calls.map(([, chainId]) => chainId);
+      expect(calls).toEqual([1, 324, 324]);
+    });
+  });
+
+  describe('eligibility scoring', () => {
+    beforeEach(() => {
+      getActivityProfiler.mockReturnValue(createProfiler());
+    });
+
+    test('should score overall activity from the profile', async () => {
+      const result = await eligibility.calculateActivityScore(WALLET);
+
+      expect(result.breakdown).toEqual({ chains: 30, transactions: 9, defi: 15, nft: 0, age: 8 });
+      expect(result.score).toBe(62);
+      expect(result.partial).toBe(true);
+      expect(result.recommendations).toEqual(expect.arrayContaining([
+        'Increase transaction activity across chains',
+        'Stay active across more months; most airdrops reward consistency',
+      ]));
+      expect(result.recommendations).not.toContain('Bridge between chains');
+    });
+
+    test('should score LayerZero on chains, bridges, volume and months', async () => {
+      const result = await eligibility.checkProtocol('layerzero', WALLET);
+      const actual = Object.fromEntries(result.details.rules.map(r => [r.id, r.actual]));
+
+      expect(actual).toEqual({ chains: 2, bridges: 2, volume: 3500, months: 4, contracts: 3 });
+      expect(result.score).toBe(50);
+      expect(result.eligible).toBe(true);
+    });
+
+    test('should score zkSync from the nonce when history is unavailable', async () => {
+      const result = await eligibility.checkProtocol('zksync', WALLET);
+
+      expect(result.details.rules[0]).toMatchObject({ id: 'active', actual: 7, passed: true });
+      expect(result.details.rules[2]).toMatchObject({ id: 'contracts', actual: null, passed: false });
+      expect(result.details.partial).toBe(true);
+      expect(result.score).toBe(34);
+      expect(result.eligible).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Airdrop Criteria Rules Tests
+ *
+ * Covers campaign validation, rule evaluation and explanations, the
+ * campaign registry and eligibility checks driven by campaign files.
+ */
+
+jest.mock('../../src/engines/airdrop/activity', () => {
+  const actual = jest.requireActual('../../src/engines/airdrop/activity');
+  return { ...actual, getActivityProfiler: jest.fn(actual.getActivityProfiler) };
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ValidationError, ConfigurationError } = require('../../src/utils/errors');
+const { parseCampaign, resolveMetric, evaluateRule, evaluateCampaign } = require('../../src/engines/airdrop/rules');
+const campaigns = require('../../src/engines/airdrop/campaigns');
+const { getActivityProfiler } = require('../../src/engines/airdrop/activity');
+const eligibility = require('../../src/engines/airdrop/eligibility');
+const config = require('../../src/config');
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+
+const PROFILE = {
+  transactionCount: 42,
+  activeChains: [1, 42161, 324],
+  uniqueContracts: 12,
+  activeMonths: 4,
+  bridgeCount: 2,
+  bridgedVolumeUsd: 2500,
+  actions: { swap: 6 },
+  holdingDays: { USDB: 45 },
+  chains: {
+    324: { transactionCount: 15, uniqueContracts: 3, activeMonths: 2 },
+  },
+  partial: false,
+};
+
+const campaign = (overrides = {}) => parseCampaign({
+  id: 'TestDrop',
+  name: 'Test Drop',
+  chains: [1, 324],
+  passScore: 60,
+  rules: [
+    { id: 'chains', metric: 'activeChains', value: 3, weight: 30 },
+    { id: 'zksync', description: 'Active on zkSync Era', metric: 'chains.324.transactionCount', value: 1, weight: 20, required: true },
+    { id: 'bridges', metric: 'bridgeCount', value: 5, weight: 30, partial: true },
+    { id: 'lp', metric: 'lpDurationDays', value: 30, weight: 20 },
+  ],
+  ...overrides,
+});
+
+describe('Airdrop Criteria Rules', () => {
+  describe('parseCampaign', () => {
+    test('should normalize defaults', () => {
+      const parsed = campaign();
+
+      expect(parsed.id).toBe('testdrop');
+      expect(parsed.status).toBe('upcoming');
+      expect(parsed.rules[0]).toMatchObject({ op: 'gte', description: 'activeChains >= 3', required: false, partial: false });
+      expect(parsed.criteria).toContain('Active on zkSync Era');
+    });
+
+    test('should reject invalid definitions', () => {
+      expect(() => parseCampaign({ name: 'No id' })).toThrow(ValidationError);
+      expect(() => campaign({ status: 'live' })).toThrow(/unknown status/);
+      expect(() => campaign({ rules: [{ id: 'a', value: 1 }] })).toThrow(/metric is required/);
+      expect(() => campaign({ rules: [{ id: 'a', metric: 'bridgeCount', op: 'between', value: 1 }] })).toThrow(/unknown operator/);
+      expect(() => campaign({ rules: [{ id: 'a', metric: 'bridgeCount' }] })).toThrow(/value is required/);
+      expect(() => campaign({ rules: [{ id: 'a', metric: 'x', value: 1 }, { id: 'a', metric: 'y', value: 1 }] })).toThrow(/duplicate rule id/);
+      expect(() => campaign({ passScore: 150 })).toThrow(/passScore/);
+    });
+  });
+
+  describe('evaluateRule', () => {
+    test('should resolve dotted paths and array lengths', () => {
+      expect(resolveMetric(PROFILE, 'chains.324.uniqueContracts')).toBe(3);
+      expect(resolveMetric(PROFILE, 'activeChains')).toBe(3);
+      expect(resolveMetric(PROFILE, 'chains.59144.transactionCount')).toBeNull();
+    });
+
+    test('should apply operators and explain the outcome', () => {
+      const [rule] = parseCampaign({ id: 'x', rules: [{ id: 'few', metric: 'transactionCount', op: 'lt', value: 40 }] }).rules;
+      const result = evaluateRule(rule, PROFILE);
+
+      expect(result).toMatchObject({ passed: false, actual: 42, expected: 40, earned: 0 });
+      expect(result.reason).toBe('transactionCount is 42, needs < 40');
+    });
+
+    test('should award partial credit toward thresholds', () => {
+      const { rules } = campaign();
+      expect(evaluateRule(rules[2], PROFILE)).toMatchObject({ passed: false, earned: 12 });
+      expect(evaluateRule(rules[3], PROFILE)).toMatchObject({ passed: false, earned: 0, actual: null });
+      expect(evaluateRule(rules[3], PROFILE).reason).toMatch(/unavailable/);
+    });
+  });
+
+  describe('evaluateCampaign', () => {
+    test('should score weighted rules and list what failed', () => {
+      const result = evaluateCampaign(campaign(), PROFILE);
+
+      expect(result.score).toBe(62);
+      expect(result.eligible).toBe(true);
+      expect(result.details).toMatchObject({ passed: 2, failed: 2 });
+      expect(result.details.message).toBe('2/4 criteria met. Next: bridgeCount >= 5');
+    });
+
+    test('should fail when a required rule fails regardless of score', () => {
+      const profile = { ...PROFILE, chains: {}, bridgeCount: 5, lpDurationDays: 60 };
+      const result = evaluateCampaign(campaign(), profile);
+
+      expect(result.score).toBe(80);
+      expect(result.eligible).toBe(false);
+      expect(result.details.message).toBe('Required: Active on zkSync Era');
+    });
+
+    test('should return no verdict for campaigns without rules', () => {
+      const result = evaluateCampaign(campaign({ rules: [], message: 'Check manually' }), PROFILE);
+
+      expect(result).toEqual({ eligible: null, score: 0, details: { message: 'Check manually', rules: [] } });
+    });
+  });
+
+  describe('campaign registry', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'campaigns-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      delete config.airdrop.campaignsDir;
+      campaigns.reloadCampaigns();
+    });
+
+    test('should load the built-in campaigns', () => {
+      const ids = campaigns.getCampaigns().map(c => c.id);
+
+      expect(ids).toEqual(expect.arrayContaining(['layerzero', 'zksync', 'scroll', 'linea', 'eigenlayer', 'blast', 'starknet']));
+      expect(campaigns.getCampaign('ZkSync').status).toBe('claimable');
+    });
+
+    test('should add and override campaigns from the configured directory', () => {
+      fs.writeFileSync(path.join(dir, 'newdrop.json'), JSON.stringify({
+        id: 'newdrop', name: 'New Drop', chains: [1], rules: [{ id: 'txs', metric: 'transactionCount', value: 10 }],
+      }));
+      fs.writeFileSync(path.join(dir, 'zksync.json'), JSON.stringify({ id: 'zksync', name: 'zkSync', status: 'ended', rules: [] }));
+      config.airdrop.campaignsDir = dir;
+
+      campaigns.reloadCampaigns();
+
+      expect(campaigns.getCampaign('newdrop').rules).toHaveLength(1);
+      expect(campaigns.getCampaign('zksync').status).toBe('ended');
+    });
+
+    test('should report unparseable campaign files', () => {
+      fs.writeFileSync(path.join(dir, 'broken.json'), '{ not json');
+
+      expect(() => campaigns.loadCampaigns(dir)).toThrow(ConfigurationError);
+    });
+
+    test('should keep runtime registrations across reloads', () => {
+      campaigns.registerCampaign({ id: 'runtime', rules: [{ id: 'a', metric: 'bridgeCount', value: 1 }] });
+      campaigns.reloadCampaigns();
+
+      expect(campaigns.getCampaign('runtime')).not.toBeNull();
+    });
+  });
+
+  describe('eligibility checks', () => {
+    const profiler = { profile: jest.fn() };
+
+    beforeEach(() => {
+      profiler.profile.mockReset().mockResolvedValue(PROFILE);
+      getActivityProfiler.mockReturnValue(profiler);
+    });
+
+    test('should profile the campaign chains and evaluate its rules', async () => {
+      const result = await eligibility.checkProtocol('zksync', WALLET);
+
+      expect(profiler.profile).toHaveBeenCalledWith(WALLET, { chains: [324] });
+      expect(result.details.rules.map(r => [r.id, r.passed])).toEqual([
+        ['active', true],
+        ['transactions', false],
+        ['contracts', false],
+        ['months', false],
+      ]);
+      expect(result.score).toBe(71);
+      expect(result.eligible).toBe(true);
+    });
+
+    test('should not profile campaigns without rules', async () => {
+      const result = await eligibility.checkProtocol('starknet', WALLET);
+
+      expect(profiler.profile).not.toHaveBeenCalled();
+      expect(result.eligible).toBeNull();
+      expect(result.details.message).toMatch(/Starknet address/);
+    });
+
+    test('should return no verdict for unknown protocols', async () => {
+      const result = await eligibility.checkProtocol('unknown', WALLET);
+
+      expect(result.eligible).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Batch Claim Tests
+ *
+ * Covers claiming across managed wallets, gas-versus-value skipping, the
+ * per-wallet report and delegate/swap/sweep follow-ups.
+ */
+
+const { ethers } = require('ethers');
+
+jest.mock('../../src/engines/airdrop/claim', () => ({
+  getClaimConfig: jest.fn(),
+  checkClaimable: jest.fn(),
+  estimateClaimGas: jest.fn(),
+  execute: jest.fn(),
+}));
+
+jest.mock('../../src/engines/swap', () => ({
+  getQuote: jest.fn(),
+  executeSwap: jest.fn(),
+}));
+
+jest.mock('../../src/engines/transfer', () => ({
+  executeTransfer: jest.fn(),
+}));
+
+jest.mock('../../src/core/wallets', () => ({
+  getAllWalletAddresses: jest.fn(),
+  getConnectedWallet: jest.fn(),
+  resolveWalletIdentifier: jest.fn(),
+}));
+
+jest.mock('../../src/core/providers', () => ({
+  getGasPrice: jest.fn(),
+  resolveAddress: jest.fn(async (address) => address),
+}));
+
+jest.mock('../../src/core/transactions', () => ({
+  sendSecuredTransaction: jest.fn(),
+}));
+
+const claim = require('../../src/engines/airdrop/claim');
+const swapEngine = require('../../src/engines/swap');
+const transferEngine = require('../../src/engines/transfer');
+const wallets = require('../../src/core/wallets');
+const { getGasPrice } = require('../../src/core/providers');
+const { sendSecuredTransaction } = require('../../src/core/transactions');
+const { batchClaim, CLAIM_RESULT, FOLLOW_UP } = require('../../src/engines/airdrop/batch');
+const { getToken } = require('../../src/config/tokens');
+const { ValidationError } = require('../../src/utils/errors');
+
+const TREASURY = '0x9999999999999999999999999999999999999999';
+const DISTRIBUTOR = '0x2222222222222222222222222222222222222222';
+const SIGNER = new ethers.Wallet(`0x${'11'.repeat(32)}`);
+
+const WALLETS = [
+  { address: '0x1111111111111111111111111111111111111111', alias: 'primary', index: 1 },
+  { address: '0x3333333333333333333333333333333333333333', alias: 'wallet2', index: 2 },
+  { address: '0x4444444444444444444444444444444444444444', alias: 'wallet3', index: 3 },
+];
+
+// primary: 100 ZK worth 0.05 ETH; wallet2: nothing; wallet3: 1 ZK worth less than gas
+const ALLOCATIONS = {
+  [WALLETS[0].address]: { tokenAmount: '100.0', value: '0.05' },
+  [WALLETS[2].address]: { tokenAmount: '1.0', value: '0.0002' },
+};
+
+describe('Batch claim', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    claim.getClaimConfig.mockReturnValue({ address: DISTRIBUTOR, chainId: 324, symbol: 'ZK', decimals: 18 });
+    claim.checkClaimable.mockImplementation(async (protocol, address) => {
+      const allocation = ALLOCATIONS[address];
+      return allocation
+        ? { claimable: true, amount: `${allocation.tokenAmount} ZK`, tokenAmount: allocation.tokenAmount, symbol: 'ZK', chainId: 324 }
+        : { claimable: false, message: 'No claimable airdrop found for this wallet' };
+    });
+    claim.estimateClaimGas.mockResolvedValue({ gasLimit: '100000', protocol: 'zksync' });
+    claim.execute.mockResolvedValue({ success: true, txHash: '0xC1', explorerUrl: 'https://explorer/0xC1' });
+
+    swapEngine.getQuote.mockImplementation(async ({ amount }) => ({
+      best: { amountOut: Object.values(ALLOCATIONS).find(a => a.tokenAmount === amount).value },
+    }));
+    swapEngine.executeSwap.mockResolvedValue({ success: true, txHash: '0xS1', amountOut: '12.5' });
+    transferEngine.executeTransfer.mockResolvedValue({ success: true, txHash: '0xT1', amount: '75.0', to: TREASURY });
+
+    wallets.getAllWalletAddresses.mockReturnValue(WALLETS);
+    wallets.getConnectedWallet.mockReturnValue(SIGNER);
+    getGasPrice.mockResolvedValue({ maxFeePerGas: ethers.utils.parseUnits('10', 'gwei') });
+    sendSecuredTransaction.mockResolvedValue({ status: 'confirmed', hash: '0xD1' });
+  });
+
+  test('should claim eligible wallets and report every wallet', async () => {
+    const result = await batchClaim({ protocol: 'zksync' });
+
+    expect(result).toMatchObject({ success: true, chainId: 324, claimed: 1, skipped: 2, failed: 0 });
+    expect(result.message).toBe('Claimed 1/3 wallets, 2 skipped');
+    expect(result.wallets.map(w => [w.alias, w.status])).toEqual([
+      ['primary', CLAIM_RESULT.CLAIMED],
+      ['wallet2', CLAIM_RESULT.SKIPPED],
+      ['wallet3', CLAIM_RESULT.SKIPPED],
+    ]);
+    expect(result.wallets[0]).toMatchObject({ amount: '100.0 ZK', gasCost: 0.001, value: 0.05, nativeSymbol: 'ETH', txHash: '0xC1', followUps: [] });
+    expect(result.wallets[1].reason).toBe('No claimable airdrop found for this wallet');
+    expect(result.wallets[2].reason).toBe('Gas 0.001 ETH exceeds allocation value 0.0002 ETH');
+    expect(claim.execute).toHaveBeenCalledTimes(1);
+    expect(claim.execute).toHaveBeenCalledWith('zksync', WALLETS[0].address);
+  });
+
+  test('should skip allocations that cannot be valued', async () => {
+    swapEngine.getQuote.mockRejectedValue(new Error('No valid swap routes found'));
+
+    const result = await batchClaim({ protocol: 'zksync' });
+
+    expect(result.claimed).toBe(0);
+    expect(result.wallets[0]).toMatchObject({ status: CLAIM_RESULT.SKIPPED, value: null });
+    expect(result.wallets[0].reason).toMatch('Could not value the allocation');
+    expect(claim.execute).not.toHaveBeenCalled();
+  });
+
+  test('should claim allocations that cannot be valued when opted in', async () => {
+    swapEngine.getQuote.mockRejectedValue(new Error('No valid swap routes found'));
+
+    const result = await batchClaim({ protocol: 'zksync', claimUnvalued: true });
+
+    expect(result.claimed).toBe(2);
+    expect(result.wallets[2]).toMatchObject({ status: CLAIM_RESULT.CLAIMED, value: null });
+  });
+
+  test('should skip wallets whose claim gas cannot be estimated and report failed claims', async () => {
+    claim.estimateClaimGas.mockResolvedValueOnce(null);
+    claim.execute.mockResolvedValue({ success: false, error: 'execution reverted' });
+    swapEngine.getQuote.mockResolvedValue({ best: { amountOut: '1' } });
+
+    const result = await batchClaim({ protocol: 'zksync' });
+
+    expect(result.success).toBe(false);
+    expect(result.wallets[0]).toMatchObject({ status: CLAIM_RESULT.SKIPPED, reason: 'Could not estimate claim gas' });
+    expect(result.wallets[2]).toMatchObject({ status: CLAIM_RESULT.FAILED, reason: 'execution reverted' });
+  });
+
+  test('should limit the batch to the requested wallets', async () => {
+    const result = await batchClaim({ protocol: 'zksync', wallets: ['wallet2'] });
+
+    expect(result.wallets.map(w => w.alias)).toEqual(['wallet2']);
+    await expect(batchClaim({ protocol: 'zksync', wallets: ['wallet9'] })).rejects.toThrow(ValidationError);
+  });
+
+  test('should run delegate, swap and sweep follow-ups in order', async () => {
+    const result = await batchClaim({
+      protocol: 'zksync',
+      followUps: { delegate: { to: 'self' }, swap: { percent: 25 }, sweep: { to: TREASURY } },
+    });
+
+    const [delegate, swap, sweep] = result.wallets[0].followUps;
+    expect(delegate).toEqual({ action: FOLLOW_UP.DELEGATE, success: true, txHash: '0xD1', delegatee: WALLETS[0].address });
+    expect(swap).toEqual({ action: FOLLOW_UP.SWAP, success: true, txHash: '0xS1', amountOut: '12.5' });
+    expect(sweep).toEqual({ action: FOLLOW_UP.SWEEP, success: true, txHash: '0xT1', amount: '75.0', to: TREASURY });
+
+    const [, delegateTx] = sendSecuredTransaction.mock.calls[0];
+    expect(delegateTx.to).toBe(getToken('ZK', 324).address);
+    expect(swapEngine.executeSwap).toHaveBeenCalledWith(expect.objectContaining({
+      fromToken: 'ZK', toToken: 'USDC', amount: '25.0', chainId: 324, walletAddress: WALLETS[0].address,
+    }));
+    expect(transferEngine.executeTransfer).toHaveBeenCalledWith(expect.objectContaining({
+      token: 'ZK', amount: '75.0', to: TREASURY, walletAddress: WALLETS[0].address,
+    }));
+  });
+
+  test('should sweep the full claim when the swap fails', async () => {
+    swapEngine.executeSwap.mockRejectedValue(new Error('Slippage exceeded'));
+
+    const result = await batchClaim({ protocol: 'zksync', followUps: { swap: { percent: 50 }, sweep: { to: TREASURY } } });
+
+    expect(result.wallets[0].followUps[0]).toEqual({ action: FOLLOW_UP.SWAP, success: false, error: 'Slippage exceeded' });
+    expect(transferEngine.executeTransfer).toHaveBeenCalledWith(expect.objectContaining({ amount: '100.0' }));
+  });
+
+  test('should not sweep a wallet into itself', async () => {
+    wallets.resolveWalletIdentifier.mockReturnValue(WALLETS[0].address);
+
+    const result = await batchClaim({ protocol: 'zksync', followUps: { sweep: { to: 'primary' } } });
+
+    expect(result.wallets[0].followUps[0]).toMatchObject({ action: FOLLOW_UP.SWEEP, skipped: true });
+    expect(transferEngine.executeTransfer).not.toHaveBeenCalled();
+  });
+
+  test('should reject invalid follow-ups', async () => {
+    await expect(batchClaim({ protocol: 'zksync', followUps: { swap: { percent: 150 } } }))
+      .rejects.toThrow(/between 0 and 100/);
+    await expect(batchClaim({ protocol: 'zksync', followUps: { delegate: {} } }))
+      .rejects.toThrow(/delegatee/);
+    await expect(batchClaim({ protocol: 'zksync', followUps: { sweep: {} } }))
+      .rejects.toThrow(/treasury wallet/);
+  });
+
+  test('should report protocols without a live claim contract', async () => {
+    claim.getClaimConfig.mockReturnValue({ address: null, chainId: 324 });
+
+    const result = await batchClaim({ protocol: 'zksync' });
+
+    expect(result.success).toBe(false);
+    expect(claim.checkClaimable).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,357 @@
+/**
+ * Bridge Engine Tests
+ *
+ * Covers route selection, canonical and Across transaction building, USD
+ * valuation and safety checks, and status tracking through destination
+ * verification by hand and by the bridge watcher.
+ */
+
+const { ethers } = require('ethers');
+
+jest.mock('../../src/core/wallets', () => ({
+  getConnectedWallet: jest.fn(),
+  hasSufficientBalance: jest.fn(),
+}));
+
+jest.mock('../../src/core/providers', () => ({
+  getProvider: jest.fn(),
+  resolveAddress: jest.fn(async (address) => address),
+}));
+
+jest.mock('../../src/core/transactions', () => ({
+  sendSecuredTransaction: jest.fn(),
+}));
+
+jest.mock('../../src/security/bridge-safety', () => {
+  const actual = jest.requireActual('../../src/security/bridge-safety');
+  return { ...actual, getBridgeSafety: jest.fn(actual.getBridgeSafety) };
+});
+
+jest.mock('../../src/engines/portfolio/prices', () => {
+  const actual = jest.requireActual('../../src/engines/portfolio/prices');
+  return { ...actual, getUsdPricer: jest.fn() };
+});
+
+const wallets = require('../../src/core/wallets');
+const providers = require('../../src/core/providers');
+const { sendSecuredTransaction } = require('../../src/core/transactions');
+const { BridgeSafety, BRIDGE_TX_STATE, getBridgeSafety } = require('../../src/security/bridge-safety');
+const { UsdPricer, getUsdPricer } = require('../../src/engines/portfolio/prices');
+const bridgeEngine = require('../../src/engines/bridge');
+const canonical = require('../../src/engines/bridge/canonical');
+const across = require('../../src/engines/bridge/across');
+
+const SENDER = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+const SOURCE_TX = '0x' + 'aa'.repeat(32);
+const FILL_TX = '0x' + 'bb'.repeat(32);
+
+const spokePool = new ethers.utils.Interface([
+  'function depositV3(address depositor, address recipient, address inputToken, address outputToken, uint256 inputAmount, uint256 outputAmount, uint256 destinationChainId, address exclusiveRelayer, uint32 quoteTimestamp, uint32 fillDeadline, uint32 exclusivityDeadline, bytes message) payable',
+]);
+const l1StandardBridge = new ethers.utils.Interface([
+  'function depositETHTo(address _to, uint32 _minGasLimit, bytes _extraData) payable',
+]);
+const portal = new ethers.utils.Interface([
+  'event TransactionDeposited(address indexed from, address indexed to, uint256 indexed version, bytes opaqueData)',
+]);
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  statusText: 'error',
+  json: async () => body,
+  text: async () => JSON.stringify(body),
+});
+
+const acrossFees = (overrides = {}) => ({
+  totalRelayFee: { total: '250000' },
+  outputAmount: '99750000',
+  timestamp: '1700000000',
+  fillDeadline: '1700010800',
+  exclusiveRelayer: ethers.constants.AddressZero,
+  exclusivityDeadline: 0,
+  estimatedFillTimeSec: 12,
+  isAmountTooLow: false,
+  ...overrides,
+});
+
+describe('Bridge Engine', () => {
+  let safety;
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    safety = new BridgeSafety({ logger });
+    getBridgeSafety.mockReturnValue(safety);
+    getUsdPricer.mockReturnValue(new UsdPricer({
+      getOraclePrice: async (pair) => ({ price: { 'ETH/USD': 3000, 'USDC/USD': 1 }[pair] }),
+      hasFeed: (pair) => ['ETH/USD', 'USDC/USD'].includes(pair),
+      getQuote: jest.fn().mockRejectedValue(new Error('no pool')),
+    }));
+
+    wallets.getConnectedWallet.mockReturnValue({ getAddress: async () => SENDER });
+    wallets.hasSufficientBalance.mockResolvedValue(true);
+    sendSecuredTransaction.mockResolvedValue({
+      hash: SOURCE_TX,
+      status: 'confirmed',
+      explorerUrl: `https://etherscan.io/tx/${SOURCE_TX}`,
+      gasUsed: '90000',
+    });
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    safety.destroy();
+  });
+
+  afterAll(() => {
+    delete global.fetch;
+  });
+
+  describe('route selection', () => {
+    test('prefers the canonical bridge for L1 -> L2 ETH deposits', () => {
+      expect(bridgeEngine.selectRoute({ token: 'ETH', fromChainId: 1, toChainId: 42161 }).bridgeId)
+        .toBe('arbitrum-canonical');
+      expect(bridgeEngine.selectRoute({ token: 'ETH', fromChainId: 1, toChainId: 10 }).bridgeId)
+        .toBe('optimism-canonical');
+      expect(bridgeEngine.selectRoute({ token: 'ETH', fromChainId: 1, toChainId: 8453 }).bridgeId)
+        .toBe('base-canonical');
+    });
+
+    test('falls back to Across for ERC20s and L2 -> L2 routes', () => {
+      expect(bridgeEngine.selectRoute({ token: 'USDC', fromChainId: 1, toChainId: 10 }).bridgeId)
+        .toBe('across');
+      expect(bridgeEngine.selectRoute({ token: 'ETH', fromChainId: 42161, toChainId: 8453 }).bridgeId)
+        .toBe('across');
+    });
+
+    test('rejects an explicit bridge that cannot serve the route', () => {
+      expect(() => bridgeEngine.selectRoute({
+        token: 'USDC', fromChainId: 1, toChainId: 42161, bridge: 'arbitrum-canonical',
+      })).toThrow(/cannot bridge USDC/);
+    });
+  });
+
+  describe('executeBridge', () => {
+    test('deposits ETH through the OP-stack L1StandardBridge', async () => {
+      const result = await bridgeEngine.executeBridge({
+        token: 'ETH', amount: '0.5', fromChainId: 1, toChainId: 8453, recipient: OTHER,
+      });
+
+      const [, tx, options] = sendSecuredTransaction.mock.calls[0];
+      expect(tx.to).toBe(canonical.CANONICAL_BRIDGES['base-canonical'].l1StandardBridge);
+      expect(tx.value.toString()).toBe(ethers.utils.parseEther('0.5').toString());
+      expect(l1StandardBridge.decodeFunctionData('depositETHTo', tx.data)._to).toBe(OTHER);
+      expect(options.security.approval).toBeNull();
+
+      expect(result).toMatchObject({
+        success: true,
+        bridge: 'base-canonical',
+        bridgeName: 'Base Bridge',
+        amountIn: '0.5',
+        amountOut: '0.5',
+        to: OTHER,
+      });
+      expect(safety.getTransaction(result.bridgeTxId).state).toBe(BRIDGE_TX_STATE.IN_TRANSIT);
+    });
+
+    test('only deposits to the sender through the Arbitrum inbox', async () => {
+      await expect(bridgeEngine.executeBridge({
+        token: 'ETH', amount: '0.1', fromChainId: 1, toChainId: 42161, recipient: OTHER,
+      })).rejects.toThrow(/sending address/);
+      expect(sendSecuredTransaction).not.toHaveBeenCalled();
+    });
+
+    test('builds an Across deposit with the quoted output and an approval', async () => {
+      global.fetch.mockResolvedValue(jsonResponse(acrossFees()));
+
+      const result = await bridgeEngine.executeBridge({
+        token: 'USDC', amount: '100', fromChainId: 42161, toChainId: 8453,
+      });
+
+      expect(global.fetch.mock.calls[0][0]).toContain('/suggested-fees?');
+      expect(global.fetch.mock.calls[0][0]).toContain('originChainId=42161');
+
+      const [, tx, options] = sendSecuredTransaction.mock.calls[0];
+      expect(tx.to).toBe(across.SPOKE_POOLS[42161]);
+      expect(tx.value.isZero()).toBe(true);
+
+      const args = spokePool.decodeFunctionData('depositV3', tx.data);
+      expect(args.depositor).toBe(SENDER);
+      expect(args.recipient).toBe(SENDER);
+      expect(args.outputAmount.toString()).toBe('99750000');
+      expect(args.destinationChainId.toNumber()).toBe(8453);
+      expect(options.security.approval).toEqual({
+        token: args.inputToken,
+        spender: across.SPOKE_POOLS[42161],
+        amount: args.inputAmount,
+      });
+
+      expect(result).toMatchObject({ bridge: 'across', amountOut: '99.75', fee: '0.25', estimatedTime: 12 });
+    });
+
+    test('surfaces Across API errors', async () => {
+      global.fetch.mockResolvedValue(jsonResponse({ message: 'Route not enabled' }, 400));
+
+      await expect(bridgeEngine.executeBridge({
+        token: 'USDC', amount: '100', fromChainId: 42161, toChainId: 8453,
+      })).rejects.toThrow(/Route not enabled/);
+    });
+
+    test('refuses transfers the safety limits reject', async () => {
+      await expect(bridgeEngine.executeBridge({
+        token: 'USDC', amount: '250000', fromChainId: 1, toChainId: 10,
+      })).rejects.toThrow(/safety checks/);
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(sendSecuredTransaction).not.toHaveBeenCalled();
+    });
+
+    test('values non-stable transfers through the pricer', async () => {
+      const validate = jest.spyOn(safety, 'validateBridgeTransaction');
+
+      await bridgeEngine.executeBridge({ token: 'ETH', amount: '0.5', fromChainId: 1, toChainId: 8453 });
+
+      expect(validate).toHaveBeenCalledWith('base-canonical', expect.objectContaining({ amountUsd: 1500 }));
+    });
+
+    test('refuses transfers it cannot price', async () => {
+      getUsdPricer.mockReturnValue(new UsdPricer({
+        getOraclePrice: jest.fn(),
+        hasFeed: () => false,
+        getQuote: jest.fn().mockRejectedValue(new Error('no pool')),
+      }));
+
+      await expect(bridgeEngine.executeBridge({
+        token: 'ETH', amount: '0.5', fromChainId: 1, toChainId: 8453,
+      })).rejects.toThrow('Cannot price ETH on chain 1');
+      expect(sendSecuredTransaction).not.toHaveBeenCalled();
+    });
+
+    test('marks the transfer failed when the source transaction reverts', async () => {
+      sendSecuredTransaction.mockResolvedValue({ hash: SOURCE_TX, status: 'failed' });
+
+      const result = await bridgeEngine.executeBridge({
+        token: 'ETH', amount: '0.1', fromChainId: 1, toChainId: 10,
+      });
+
+      expect(result.success).toBe(false);
+      expect(safety.getTransaction(result.bridgeTxId).state).toBe(BRIDGE_TX_STATE.FAILED);
+      expect(bridgeEngine.getActiveBridges()).toHaveLength(0);
+    });
+  });
+
+  describe('checkBridgeStatus', () => {
+    test('completes an Across transfer once the fill receipt is verified', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse(acrossFees()));
+      const { bridgeTxId } = await bridgeEngine.executeBridge({
+        token: 'USDC', amount: '100', fromChainId: 42161, toChainId: 8453,
+      });
+
+      global.fetch.mockResolvedValueOnce(jsonResponse({ status: 'pending' }));
+      let status = await bridgeEngine.checkBridgeStatus(bridgeTxId);
+      expect(status.state).toBe(BRIDGE_TX_STATE.IN_TRANSIT);
+      expect(status.completed).toBe(false);
+
+      const destProvider = { getTransactionReceipt: jest.fn().mockResolvedValue({ status: 1, blockNumber: 42 }) };
+      providers.getProvider.mockReturnValue(destProvider);
+      global.fetch.mockResolvedValueOnce(jsonResponse({ status: 'filled', fillTx: FILL_TX }));
+
+      status = await bridgeEngine.checkBridgeStatus(bridgeTxId);
+      expect(global.fetch.mock.calls[2][0]).toContain(`depositTxHash=${SOURCE_TX}`);
+      expect(providers.getProvider).toHaveBeenCalledWith(8453);
+      expect(destProvider.getTransactionReceipt).toHaveBeenCalledWith(FILL_TX);
+      expect(status).toMatchObject({
+        state: BRIDGE_TX_STATE.COMPLETED,
+        completed: true,
+        destTxHash: FILL_TX,
+      });
+      expect(status.destExplorerUrl).toContain(FILL_TX);
+      expect(bridgeEngine.getActiveBridges()).toHaveLength(0);
+    });
+
+    test('keeps the transfer in flight when the status lookup fails', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse(acrossFees()));
+      const { bridgeTxId } = await bridgeEngine.executeBridge({
+        token: 'USDC', amount: '100', fromChainId: 42161, toChainId: 8453,
+      });
+
+      global.fetch.mockRejectedValueOnce(new Error('network down'));
+      const status = await bridgeEngine.checkBridgeStatus(bridgeTxId);
+
+      expect(status.state).toBe(BRIDGE_TX_STATE.IN_TRANSIT);
+      expect(bridgeEngine.getActiveBridges().map(tx => tx.id)).toContain(bridgeTxId);
+    });
+
+    test('the watcher announces transfers in flight once they arrive', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse(acrossFees()));
+      const { bridgeTxId } = await bridgeEngine.executeBridge({
+        token: 'USDC', amount: '100', fromChainId: 42161, toChainId: 8453,
+      });
+      const notify = jest.fn();
+
+      global.fetch.mockResolvedValueOnce(jsonResponse({ status: 'pending' }));
+      await bridgeEngine.checkActiveBridges({ notify });
+      expect(notify).not.toHaveBeenCalled();
+
+      providers.getProvider.mockReturnValue({ getTransactionReceipt: jest.fn().mockResolvedValue({ status: 1, blockNumber: 42 }) });
+      global.fetch.mockResolvedValueOnce(jsonResponse({ status: 'filled', fillTx: FILL_TX }));
+      const checked = await bridgeEngine.checkActiveBridges({ notify });
+
+      expect(checked).toEqual([expect.objectContaining({ id: bridgeTxId, completed: true })]);
+      expect(notify).toHaveBeenCalledWith(expect.stringContaining('Bridge of 100.0 USDC to chain 8453 arrived'), { type: 'success' });
+      expect(bridgeEngine.getActiveBridges()).toHaveLength(0);
+      await expect(bridgeEngine.checkActiveBridges({ notify })).resolves.toEqual([]);
+    });
+
+    test('derives the L2 deposit hash for canonical OP-stack deposits', async () => {
+      const { bridgeTxId } = await bridgeEngine.executeBridge({
+        token: 'ETH', amount: '0.1', fromChainId: 1, toChainId: 10,
+      });
+
+      const bridge = canonical.CANONICAL_BRIDGES['optimism-canonical'];
+      const value = ethers.utils.parseEther('0.1');
+      const opaqueData = ethers.utils.solidityPack(
+        ['uint256', 'uint256', 'uint64', 'bool', 'bytes'],
+        [value, value, 200000, false, '0x']
+      );
+      const event = portal.encodeEventLog(portal.getEvent('TransactionDeposited'), [SENDER, SENDER, 0, opaqueData]);
+      const l1Receipt = {
+        status: 1,
+        blockHash: '0x' + 'cc'.repeat(32),
+        logs: [{ address: bridge.portal, logIndex: 3, ...event }],
+      };
+      const l2Receipt = { status: 1, blockNumber: 7 };
+      const receipts = { 1: l1Receipt, 10: l2Receipt };
+      providers.getProvider.mockImplementation(chainId => ({
+        getTransactionReceipt: jest.fn().mockResolvedValue(receipts[chainId]),
+      }));
+
+      const status = await bridgeEngine.checkBridgeStatus(bridgeTxId);
+
+      expect(status.completed).toBe(true);
+      expect(status.destTxHash).toBe(canonical.opstackDepositTxHash(l1Receipt, bridge));
+      expect(status.destTxHash).toMatch(/^0x[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('canonical helpers', () => {
+    test('applies the Arbitrum L1 -> L2 alias with wraparound', () => {
+      expect(canonical.applyL1ToL2Alias(ethers.constants.AddressZero))
+        .toBe('0x1111000000000000000000000000000000001111');
+      expect(canonical.applyL1ToL2Alias('0xffffffffffffffffffffffffffffffffffffffff'))
+        .toBe('0x1111000000000000000000000000000000001110');
+    });
+
+    test('reports pending and reverted deposits from the L1 receipt', async () => {
+      const transfer = { sourceChainId: 1, sourceTxHash: SOURCE_TX, sender: SENDER };
+      const getProvider = (receipt) => () => ({ getTransactionReceipt: async () => receipt });
+
+      await expect(canonical.getStatus('arbitrum-canonical', transfer, { getProvider: getProvider(null) }))
+        .resolves.toEqual({ status: 'pending' });
+      await expect(canonical.getStatus('arbitrum-canonical', transfer, { getProvider: getProvider({ status: 0, logs: [] }) }))
+        .resolves.toMatchObject({ status: 'failed' });
+    });
+  });
+});
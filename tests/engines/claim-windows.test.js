@@ -0,0 +1,240 @@
+/**
+ * Claim Window Tests
+ *
+ * Covers claim block parsing, window phases and effective status, claim
+ * checks outside the window and the tracker's open/closing alerts.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ValidationError } = require('../../src/utils/errors');
+const { parseCampaign, getClaimWindow, campaignStatus, CLAIM_PHASE } = require('../../src/engines/airdrop/rules');
+const { ClaimWindowTracker, CLAIM_EVENT } = require('../../src/engines/airdrop/windows');
+const { AlertSystem } = require('../../src/monitoring/alerts');
+const campaigns = require('../../src/engines/airdrop/campaigns');
+const claim = require('../../src/engines/airdrop/claim');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const START = Date.parse('2026-01-01T00:00:00Z');
+const END = START + 30 * DAY;
+const CONTRACT = '0x2222222222222222222222222222222222222222';
+
+const WALLETS = [
+  { address: '0x1111111111111111111111111111111111111111', alias: 'primary' },
+  { address: '0x3333333333333333333333333333333333333333', alias: 'trading' },
+];
+
+const campaign = (claimBlock = {}, overrides = {}) => parseCampaign({
+  id: 'windowdrop',
+  name: 'Window Drop',
+  status: 'points',
+  chains: [42161],
+  claim: {
+    start: '2026-01-01T00:00:00Z',
+    end: END,
+    snapshots: ['2025-12-15T00:00:00Z', '2025-11-01T00:00:00Z'],
+    contract: { address: CONTRACT, chainId: 42161, symbol: 'WD' },
+    ...claimBlock,
+  },
+  ...overrides,
+});
+
+describe('Claim windows', () => {
+  describe('claim block', () => {
+    test('should parse times and sort snapshots', () => {
+      const { claim: parsed } = campaign();
+
+      expect(parsed.start).toBe(START);
+      expect(parsed.end).toBe(END);
+      expect(parsed.snapshots).toEqual([Date.parse('2025-11-01T00:00:00Z'), Date.parse('2025-12-15T00:00:00Z')]);
+      expect(parsed.contract).toMatchObject({ address: CONTRACT, chainId: 42161 });
+      expect(parseCampaign({ id: 'plain' }).claim).toBeNull();
+    });
+
+    test('should reject invalid claim blocks', () => {
+      expect(() => campaign({ start: 'soon' })).toThrow(ValidationError);
+      expect(() => campaign({ end: START - DAY })).toThrow(/claim.end must be after claim.start/);
+      expect(() => campaign({ snapshots: '2025-12-15' })).toThrow(/must be a list/);
+      expect(() => campaign({ contract: { address: CONTRACT } })).toThrow(/needs a chainId/);
+      expect(() => campaign({ contract: { address: '0x1234', chainId: 1 } })).toThrow(/invalid claim contract address/);
+    });
+  });
+
+  describe('getClaimWindow', () => {
+    test('should move through the window phases', () => {
+      const c = campaign();
+      const phase = (now) => getClaimWindow(c, { now, warning: 3 * DAY }).phase;
+
+      expect(phase(START - HOUR)).toBe(CLAIM_PHASE.PENDING);
+      expect(phase(START)).toBe(CLAIM_PHASE.OPEN);
+      expect(phase(END - 2 * DAY)).toBe(CLAIM_PHASE.CLOSING);
+      expect(phase(END)).toBe(CLAIM_PHASE.CLOSED);
+      expect(getClaimWindow(campaign({ start: null, end: null }), { now: START }).phase).toBe(CLAIM_PHASE.UNSCHEDULED);
+    });
+
+    test('should report time to open, close and the next snapshot', () => {
+      const window = getClaimWindow(campaign(), { now: Date.parse('2025-12-01T00:00:00Z') });
+
+      expect(window.nextSnapshot).toBe(Date.parse('2025-12-15T00:00:00Z'));
+      expect(window.opensIn).toBe(31 * DAY);
+      expect(window.closesIn).toBe(61 * DAY);
+    });
+
+    test('should derive the effective status from the window', () => {
+      const c = campaign();
+
+      expect(campaignStatus(c, START - DAY)).toBe('points');
+      expect(campaignStatus(c, START + DAY)).toBe('claimable');
+      expect(campaignStatus(c, END + DAY)).toBe('ended');
+      expect(campaignStatus(parseCampaign({ id: 'plain', status: 'claimable' }), END)).toBe('claimable');
+    });
+  });
+
+  describe('claim checks', () => {
+    afterEach(() => {
+      campaigns.reloadCampaigns();
+    });
+
+    test('should use the contract declared in the campaign', () => {
+      campaigns.registerCampaign({ id: 'declared', claim: { contract: { address: CONTRACT, chainId: 8453 } } });
+
+      expect(claim.getClaimConfig('Declared')).toEqual({
+        type: 'merkleDistributor',
+        decimals: 18,
+        address: CONTRACT,
+        chainId: 8453,
+      });
+    });
+
+    test('should refuse claims outside the window', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(START - DAY);
+      campaigns.registerCampaign({
+        id: 'windowdrop',
+        name: 'Window Drop',
+        claim: { start: START, end: END, contract: { address: CONTRACT, chainId: 42161 } },
+      });
+
+      const early = await claim.checkClaimable('windowdrop', WALLETS[0].address);
+      now.mockReturnValue(END + DAY);
+      const late = await claim.execute('windowdrop', 'primary');
+      now.mockRestore();
+
+      expect(early).toEqual({ claimable: false, message: 'Window Drop claim opens 2026-01-01T00:00:00.000Z' });
+      expect(late).toMatchObject({ success: false, message: 'Window Drop claim window closed 2026-01-31T00:00:00.000Z' });
+    });
+  });
+
+  describe('ClaimWindowTracker', () => {
+    let alertSystem;
+    let checkClaimable;
+    let tracker;
+
+    const createTracker = (options = {}) => new ClaimWindowTracker({
+      alertSystem,
+      checkClaimable,
+      getWallets: () => WALLETS,
+      getCampaigns: () => [campaign()],
+      warningPeriod: 3 * DAY,
+      statePath: null,
+      ...options,
+    });
+
+    beforeEach(() => {
+      alertSystem = {
+        alertClaimWindowOpen: jest.fn().mockResolvedValue({ sent: true }),
+        alertClaimWindowClosing: jest.fn().mockResolvedValue({ sent: true }),
+      };
+      checkClaimable = jest.fn(async (protocol, address) => (
+        address === WALLETS[0].address
+          ? { claimable: true, amount: '120.0 WD' }
+          : { claimable: false, message: 'No claimable airdrop found for this wallet' }
+      ));
+      tracker = createTracker();
+    });
+
+    test('should stay quiet before the window opens', async () => {
+      const alerts = await tracker.check(START - HOUR);
+
+      expect(alerts).toEqual([]);
+      expect(checkClaimable).not.toHaveBeenCalled();
+    });
+
+    test('should alert claimable wallets once when the window opens', async () => {
+      const opened = jest.fn();
+      tracker.on('claim:open', opened);
+
+      const first = await tracker.check(START + HOUR);
+      const second = await tracker.check(START + 2 * HOUR);
+
+      expect(first).toEqual([{
+        protocol: 'windowdrop',
+        event: CLAIM_EVENT.OPEN,
+        wallet: WALLETS[0].address,
+        amount: '120.0 WD',
+        hoursLeft: null,
+        claimEnd: '2026-01-31T00:00:00.000Z',
+      }]);
+      expect(alertSystem.alertClaimWindowOpen).toHaveBeenCalledWith(
+        'Window Drop', WALLETS[0].address, '120.0 WD', expect.objectContaining({ alias: 'primary' })
+      );
+      expect(second).toEqual([]);
+      expect(opened).toHaveBeenCalledTimes(1);
+      // Only the wallet that could not claim is polled again
+      expect(checkClaimable).toHaveBeenCalledTimes(3);
+    });
+
+    test('should alert again before the deadline while still unclaimed', async () => {
+      await tracker.check(START + HOUR);
+      const closing = await tracker.check(END - 36 * HOUR);
+      const repeat = await tracker.check(END - 12 * HOUR);
+
+      expect(closing).toHaveLength(1);
+      expect(alertSystem.alertClaimWindowClosing).toHaveBeenCalledWith(
+        'Window Drop', WALLETS[0].address, '120.0 WD', 36, expect.any(Object)
+      );
+      expect(repeat).toEqual([]);
+    });
+
+    test('should skip wallets that already claimed', async () => {
+      await tracker.check(START + HOUR);
+      checkClaimable.mockResolvedValue({ claimable: false, message: 'Airdrop already claimed for this wallet' });
+
+      expect(await tracker.check(END - DAY)).toEqual([]);
+      expect(alertSystem.alertClaimWindowClosing).not.toHaveBeenCalled();
+    });
+
+    test('should retry rate-limited alerts and survive failed checks', async () => {
+      alertSystem.alertClaimWindowOpen.mockResolvedValueOnce({ sent: false, reason: 'rate_limited' });
+      checkClaimable.mockRejectedValueOnce(new Error('rpc down'));
+
+      expect(await tracker.check(START + HOUR)).toEqual([]);
+      expect(await tracker.check(START + 2 * HOUR)).toEqual([]);
+      expect(await tracker.check(START + 3 * HOUR)).toHaveLength(1);
+      expect(alertSystem.alertClaimWindowOpen).toHaveBeenCalledTimes(2);
+    });
+
+    test('should raise alerts through the alert system', async () => {
+      alertSystem = new AlertSystem({ logger: { info: jest.fn(), debug: jest.fn(), warn: jest.fn() } });
+      const [alert] = await createTracker().check(END - DAY);
+
+      const [sent] = alertSystem.getAlertHistory();
+      expect(alert.event).toBe(CLAIM_EVENT.CLOSING);
+      expect(sent).toMatchObject({ level: 'high', category: 'airdrop' });
+      expect(sent.message).toBe(`Window Drop claim closes in 24h: 120.0 WD still unclaimed by ${WALLETS[0].address}`);
+    });
+
+    test('should persist sent alerts across restarts', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claim-windows-'));
+      const statePath = path.join(dir, 'state.json');
+
+      await createTracker({ statePath }).check(START + HOUR);
+      const restarted = createTracker({ statePath });
+
+      expect(await restarted.check(START + 2 * HOUR)).toEqual([]);
+      expect(alertSystem.alertClaimWindowOpen).toHaveBeenCalledTimes(1);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});
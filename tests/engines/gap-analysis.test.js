@@ -0,0 +1,136 @@
+/**
+ * Eligibility Gap Analysis Tests
+ *
+ * Covers turning unmet campaign rules into costed steps, step selection
+ * toward the pass score, queued commands and plan summaries.
+ */
+
+const { ethers } = require('ethers');
+
+jest.mock('../../src/core/providers', () => ({
+  getGasPrice: jest.fn(),
+  getProvider: jest.fn(),
+}));
+
+jest.mock('../../src/engines/airdrop/activity', () => {
+  const actual = jest.requireActual('../../src/engines/airdrop/activity');
+  return { ...actual, getActivityProfiler: jest.fn(actual.getActivityProfiler) };
+});
+
+const { getGasPrice } = require('../../src/core/providers');
+const { analyzeGaps, planCampaign, STEP_KIND } = require('../../src/engines/airdrop/gaps');
+const { getCampaign } = require('../../src/engines/airdrop/campaigns');
+const { parseCampaign } = require('../../src/engines/airdrop/rules');
+const { getActivityProfiler } = require('../../src/engines/airdrop/activity');
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+const GAS = { 1: 20, 42161: 0.01, 324: 0.05, 59144: 0.05 };
+
+const LINEA_PROFILE = {
+  bridgeCount: 0,
+  actions: { swap: 1 },
+  categories: {},
+  chains: { 59144: { transactionCount: 3 } },
+};
+
+describe('Eligibility gap analysis', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should report nothing to do when already eligible', () => {
+    const plan = analyzeGaps(getCampaign('linea'), LINEA_PROFILE, { gasGwei: GAS });
+
+    expect(plan.eligible).toBe(true);
+    expect(plan.score).toBe(57);
+    expect(plan.steps).toEqual([]);
+    expect(plan.summary).toBe('Already eligible for Linea');
+  });
+
+  test('should cost every unmet rule and order by score per dollar', () => {
+    const plan = analyzeGaps(getCampaign('linea'), LINEA_PROFILE, { gasGwei: GAS, goal: 'max' });
+
+    expect(plan.steps.map(s => [s.ruleId, s.kind, s.count])).toEqual([
+      ['nft', STEP_KIND.MINT, 1],
+      ['swaps', STEP_KIND.SWAP, 2],
+      ['bridges', STEP_KIND.BRIDGE, 1],
+    ]);
+
+    const bridge = plan.steps[2];
+    expect(bridge).toMatchObject({ chainId: 1, toChainId: 59144, gasUnits: 120000, costNative: 0.0024, costUsd: 6 });
+    expect(bridge.command).toEqual({
+      type: 'BRIDGE',
+      chainId: 1,
+      walletAddress: 'primary',
+      params: { token: 'ETH', amount: '0.01', toChainId: 59144, bridge: 'auto' },
+    });
+    expect(plan.steps[0].command).toBeNull();
+    expect(plan.totalCostUsd).toBeCloseTo(6.06, 2);
+    expect(plan.projectedScore).toBe(100);
+    expect(plan.summary).toBe('1 more NFT mint on Linea, 2 more swaps on Linea, 1 bridge to Linea, ~$6 gas');
+  });
+
+  test('should include required rules and stop once the pass score is reached', () => {
+    const plan = analyzeGaps(getCampaign('zksync'), { chains: {} }, { gasGwei: GAS });
+
+    expect(plan.eligible).toBe(false);
+    expect(plan.steps.map(s => s.ruleId)).toEqual(['active', 'contracts']);
+    expect(plan.steps[0].command).toMatchObject({
+      type: 'SWAP',
+      chainId: 324,
+      params: { fromToken: 'ETH', toToken: 'USDC', amount: '0.002' },
+    });
+    expect(plan.projectedScore).toBe(45);
+    expect(plan.projectedEligible).toBe(true);
+    expect(plan.summary).toBe('1 more transaction on zkSync Era, 5 new contracts on zkSync Era, <$1 gas');
+  });
+
+  test('should size volume bridges from the USD gap', () => {
+    const profile = { activeChains: [1, 42161, 10], bridgeCount: 5, bridgedVolumeUsd: 1000, activeMonths: 5, uniqueContracts: 10 };
+    const plan = analyzeGaps(getCampaign('layerzero'), profile, { gasGwei: GAS, prices: { ETH: 3000 }, goal: 'max' });
+
+    expect(plan.steps).toHaveLength(1);
+    expect(plan.steps[0].summary).toBe('1 bridge of ≥3 ETH');
+    expect(plan.steps[0].command.params).toMatchObject({ amount: '3', toChainId: 42161 });
+  });
+
+  test('should flag plans blocked by rules no action can satisfy', () => {
+    const campaign = parseCampaign({
+      id: 'fresh',
+      chains: [42161],
+      rules: [{ id: 'new', description: 'Fewer than 10 transactions', metric: 'transactionCount', op: 'lt', value: 10, required: true }],
+    });
+    const plan = analyzeGaps(campaign, { transactionCount: 40 }, { gasGwei: GAS });
+
+    expect(plan.steps[0]).toMatchObject({ kind: STEP_KIND.MANUAL, command: null, costUsd: 0 });
+    expect(plan.projectedEligible).toBe(false);
+  });
+
+  test('should leave costs unknown without a gas price', () => {
+    const plan = analyzeGaps(getCampaign('zksync'), { chains: {} }, { gasGwei: {} });
+
+    expect(plan.steps[0].costUsd).toBeNull();
+    expect(plan.totalCostUsd).toBeNull();
+    expect(plan.summary).toMatch(/gas cost unknown$/);
+  });
+
+  test('should profile the campaign chains and read live gas prices', async () => {
+    const profiler = { profile: jest.fn().mockResolvedValue({ chains: {} }) };
+    getActivityProfiler.mockReturnValue(profiler);
+    getGasPrice.mockImplementation(async (chainId) => {
+      if (chainId === 42161) throw new Error('rpc down');
+      return { maxFeePerGas: ethers.utils.parseUnits(String(GAS[chainId]), 'gwei') };
+    });
+
+    const plan = await planCampaign('zksync', WALLET, { walletAddress: 'trading' });
+
+    expect(profiler.profile).toHaveBeenCalledWith(WALLET, { chains: [324] });
+    expect(getGasPrice.mock.calls.map(([id]) => id)).toEqual([324, 1, 42161]);
+    expect(plan.steps[0].command.walletAddress).toBe('trading');
+    expect(plan.totalCostUsd).not.toBeNull();
+  });
+
+  test('should return null for unknown campaigns', async () => {
+    await expect(planCampaign('nope', WALLET, { gasGwei: GAS })).resolves.toBeNull();
+  });
+});
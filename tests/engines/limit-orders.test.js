@@ -0,0 +1,426 @@
+/**
+ * Limit Order Tests
+ *
+ * Covers order placement and type derivation, oracle and pool triggering,
+ * partial fills at the limit price, stop orders held on price deviation,
+ * expiry, cancellation, failed fills, persistence and the LIMIT_ORDER intent.
+ */
+
+jest.mock('../../src/engines/swap/limitOrders', () => {
+  const actual = jest.requireActual('../../src/engines/swap/limitOrders');
+  return { ...actual, getLimitOrderBook: jest.fn(actual.getLimitOrderBook) };
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ai = require('../../src/ai');
+const swapEngine = require('../../src/engines/swap');
+const {
+  LimitOrderBook,
+  ORDER_STATUS,
+  ORDER_EVENT,
+  getLimitOrderBook,
+} = require('../../src/engines/swap/limitOrders');
+const { ValidationError } = require('../../src/utils/errors');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse('2026-05-01T00:00:00Z');
+
+/**
+ * Constant-price pool with linear price impact per unit of ETH traded
+ */
+function createPool(price = 4000, impact = 0) {
+  const pool = { price, impact };
+  pool.getQuote = jest.fn(async ({ fromToken, amount }) => {
+    const size = parseFloat(amount);
+    if (fromToken === 'ETH') {
+      const out = size * pool.price * (1 - pool.impact * size);
+      return { amountIn: amount, amountOut: String(out) };
+    }
+    const eth = size / pool.price;
+    return { amountIn: amount, amountOut: String(eth * (1 - pool.impact * eth)) };
+  });
+  return pool;
+}
+
+function createBook(options = {}) {
+  const pool = options.pool || createPool();
+  const oracle = { price: 4000 };
+  const book = new LimitOrderBook({
+    filePath: null,
+    defaultTtl: 24 * HOUR,
+    getQuote: pool.getQuote,
+    getOraclePrice: jest.fn(async () => ({ price: oracle.price, confidence: 'high', warnings: [] })),
+    executeSwap: jest.fn(async ({ fromToken, amount }) => ({
+      success: true,
+      txHash: '0xfill',
+      amountOut: (fromToken === 'ETH' ? parseFloat(amount) * pool.price : parseFloat(amount) / pool.price).toFixed(6),
+    })),
+    notify: jest.fn().mockResolvedValue([]),
+    ...options,
+  });
+  return { book, pool, oracle };
+}
+
+const sellEth = (overrides = {}) => ({
+  fromToken: 'ETH',
+  toToken: 'USDC',
+  amount: '1',
+  triggerPrice: 4000,
+  chainId: 1,
+  now: NOW,
+  ...overrides,
+});
+
+describe('Limit Orders', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('place', () => {
+    test('should derive the watched asset, condition and order type', () => {
+      const { book } = createBook();
+
+      expect(book.place(sellEth())).toMatchObject({
+        status: ORDER_STATUS.OPEN,
+        type: 'limit',
+        side: 'sell',
+        asset: 'ETH',
+        condition: 'above',
+        amount: '1.0',
+        expiresAt: NOW + 24 * HOUR,
+      });
+      expect(book.place(sellEth({ condition: 'below', triggerPrice: 3000 })).type).toBe('stop');
+
+      const buy = book.place({ fromToken: 'usdc', toToken: 'eth', amount: '3000', triggerPrice: 2500, chainId: 1, now: NOW });
+      expect(buy).toMatchObject({ type: 'limit', side: 'buy', asset: 'ETH', condition: 'below' });
+      expect(book.place({ ...sellEth(), fromToken: 'USDC', toToken: 'ETH', condition: 'above' }).type).toBe('stop');
+    });
+
+    test('should reject invalid orders', () => {
+      const { book } = createBook();
+
+      expect(() => book.place(sellEth({ toToken: 'ETH' }))).toThrow(/itself/);
+      expect(() => book.place(sellEth({ toToken: 'NOPE' }))).toThrow(/not available on chain 1/);
+      expect(() => book.place(sellEth({ amount: '0' }))).toThrow(/must be positive/);
+      expect(() => book.place(sellEth({ triggerPrice: 0 }))).toThrow(ValidationError);
+      expect(() => book.place(sellEth({ asset: 'BTC' }))).toThrow(/only watch ETH or USDC/);
+      expect(() => book.place(sellEth({ expiresAt: NOW - 1 }))).toThrow(/in the future/);
+    });
+  });
+
+  describe('watcher', () => {
+    test('should fill once the oracle price crosses the trigger', async () => {
+      const { book, oracle, pool } = createBook();
+      const listener = jest.fn();
+      book.on(`order:${ORDER_EVENT.FILLED}`, listener);
+      const order = book.place(sellEth());
+
+      oracle.price = 3950;
+      pool.price = 3950;
+      expect(await book.check(NOW + HOUR)).toEqual([]);
+      expect(book.get(order.id).lastPrice).toBe(3950);
+
+      oracle.price = 4100;
+      pool.price = 4100;
+      const [event] = await book.check(NOW + 2 * HOUR);
+
+      expect(book.executeSwap).toHaveBeenCalledWith(expect.objectContaining({
+        fromToken: 'ETH', toToken: 'USDC', amount: '1.0', chainId: 1, minAmountOut: '4000.0',
+      }));
+      expect(book.getOraclePrice).toHaveBeenCalledWith('ETH/USD', 1);
+      expect(event.order).toMatchObject({ status: ORDER_STATUS.FILLED, filled: '1.0', received: '4100.0' });
+      expect(event.order.fills[0]).toMatchObject({ price: 4100, priceSource: 'oracle', txHash: '0xfill' });
+      expect(book.notify).toHaveBeenCalledWith(expect.objectContaining({ event: 'filled' }));
+      expect(listener).toHaveBeenCalledTimes(1);
+
+      // Filled orders are no longer watched
+      expect(await book.check(NOW + 3 * HOUR)).toEqual([]);
+    });
+
+    test('should fall back to the pool price without an oracle feed', async () => {
+      const { book, pool } = createBook({
+        getOraclePrice: jest.fn().mockRejectedValue(new Error('No Chainlink feed for ETH/USD')),
+      });
+      book.place(sellEth());
+
+      pool.price = 4050;
+      const [event] = await book.check(NOW + HOUR);
+      expect(event.order.fills[0]).toMatchObject({ price: 4050, priceSource: 'pool' });
+    });
+
+    test('should fill part of a limit order the pool can take at the limit price', async () => {
+      // 2 ETH moves the price 4% below 4100, 1 ETH only 2%
+      const { book, oracle } = createBook({ pool: createPool(4100, 0.02) });
+      oracle.price = 4100;
+      const order = book.place(sellEth({ amount: '2' }));
+      const strict = book.place(sellEth({ amount: '2', allowPartial: false }));
+
+      const events = await book.check(NOW + HOUR);
+
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({ event: ORDER_EVENT.PARTIALLY_FILLED });
+      expect(book.get(order.id)).toMatchObject({ status: ORDER_STATUS.PARTIALLY_FILLED, filled: '1.0' });
+      expect(book.get(strict.id)).toMatchObject({ status: ORDER_STATUS.OPEN, filled: '0.0' });
+      expect(book.list({ active: true })).toHaveLength(2);
+    });
+
+    test('should hold a stop order while the pool deviates from the oracle', async () => {
+      const { book, oracle, pool } = createBook();
+      const order = book.place(sellEth({ condition: 'below', triggerPrice: 3000 }));
+
+      oracle.price = 2900;
+      pool.price = 2500;
+      expect(await book.check(NOW + HOUR)).toEqual([]);
+      expect(book.executeSwap).not.toHaveBeenCalled();
+
+      pool.price = 2880;
+      const [event] = await book.check(NOW + 2 * HOUR);
+      expect(event.order).toMatchObject({ id: order.id, status: ORDER_STATUS.FILLED });
+      expect(book.executeSwap).toHaveBeenCalledWith(expect.objectContaining({ minAmountOut: null }));
+    });
+
+    test('should bound a buy fill by the limit price', async () => {
+      const { book, oracle, pool } = createBook();
+      book.place(sellEth({ fromToken: 'USDC', toToken: 'ETH', amount: '3000', triggerPrice: 2500 }));
+
+      oracle.price = 2400;
+      pool.price = 2400;
+      await book.check(NOW + HOUR);
+
+      expect(book.executeSwap).toHaveBeenCalledWith(expect.objectContaining({ amount: '3000.0', minAmountOut: '1.2' }));
+    });
+
+    test('should expire orders past their expiry', async () => {
+      const { book, oracle } = createBook();
+      const order = book.place(sellEth({ expiresIn: HOUR }));
+      oracle.price = 5000;
+
+      const [event] = await book.check(NOW + 2 * HOUR);
+
+      expect(event).toMatchObject({ event: ORDER_EVENT.EXPIRED });
+      expect(book.get(order.id).status).toBe(ORDER_STATUS.EXPIRED);
+      expect(book.executeSwap).not.toHaveBeenCalled();
+    });
+
+    test('should mark an order failed after repeated fill failures', async () => {
+      const { book, oracle } = createBook({
+        executeSwap: jest.fn().mockRejectedValue(new Error('execution reverted')),
+      });
+      const order = book.place(sellEth());
+      oracle.price = 4200;
+
+      expect(await book.check(NOW + HOUR)).toEqual([]);
+      expect(await book.check(NOW + 2 * HOUR)).toEqual([]);
+      expect(book.get(order.id)).toMatchObject({ attempts: 2, lastError: 'execution reverted' });
+
+      const [event] = await book.check(NOW + 3 * HOUR);
+      expect(event).toMatchObject({ event: ORDER_EVENT.FAILED });
+      expect(book.get(order.id).status).toBe(ORDER_STATUS.FAILED);
+    });
+
+    test('should book the swapped legs of a split that stopped part way', async () => {
+      const { book, oracle } = createBook({
+        executeSwap: jest.fn()
+          .mockResolvedValueOnce({
+            success: false,
+            partial: true,
+            error: 'Split swap stopped after 1 of 2 legs',
+            executed: { legs: 1, txHashes: ['0xleg1'], amountIn: '0.6', amountOut: '2520.0', amountInRemaining: '0.4' },
+          })
+          .mockResolvedValueOnce({ success: true, txHash: '0xrest', amountOut: '1680.0' }),
+      });
+      const order = book.place(sellEth());
+      oracle.price = 4200;
+
+      const [partial] = await book.check(NOW + HOUR);
+
+      expect(partial).toMatchObject({ event: ORDER_EVENT.PARTIALLY_FILLED });
+      expect(book.get(order.id)).toMatchObject({
+        status: ORDER_STATUS.PARTIALLY_FILLED,
+        filled: '0.6',
+        received: '2520.0',
+        attempts: 1,
+        lastError: 'Split swap stopped after 1 of 2 legs',
+      });
+      expect(book.get(order.id).fills[0]).toMatchObject({ amount: '0.6', amountOut: '2520.0', txHash: '0xleg1' });
+
+      // The retry only swaps what the stopped split left
+      const [filled] = await book.check(NOW + 2 * HOUR);
+      expect(book.executeSwap).toHaveBeenLastCalledWith(expect.objectContaining({ amount: '0.4' }));
+      expect(filled.order).toMatchObject({ status: ORDER_STATUS.FILLED, filled: '1.0', received: '4200.0', attempts: 0 });
+    });
+  });
+
+  describe('cancel', () => {
+    test('should cancel open orders only', async () => {
+      const { book, oracle } = createBook();
+      const order = book.place(sellEth());
+
+      expect(book.cancel(order.id).status).toBe(ORDER_STATUS.CANCELLED);
+      expect(() => book.cancel(order.id)).toThrow(/already cancelled/);
+      expect(() => book.cancel('deadbeef')).toThrow(/Unknown order/);
+
+      oracle.price = 5000;
+      expect(await book.check(NOW + HOUR)).toEqual([]);
+      expect(book.list({ active: true })).toEqual([]);
+    });
+
+    test('should only let users cancel their own orders through the engine', () => {
+      const { book } = createBook();
+      getLimitOrderBook.mockReturnValue(book);
+      const order = swapEngine.placeLimitOrder(sellEth({ userId: 'alice' })).order;
+
+      expect(() => swapEngine.cancelLimitOrder({ orderId: order.id, userId: 'bob' })).toThrow(/Unknown order/);
+      expect(swapEngine.listLimitOrders({ userId: 'bob' }).orders).toEqual([]);
+      expect(swapEngine.cancelLimitOrder({ orderId: order.id, userId: 'alice' }).order.status)
+        .toBe(ORDER_STATUS.CANCELLED);
+    });
+  });
+
+  test('should persist orders and fills', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'limit-orders-'));
+    const filePath = path.join(dir, 'orders.json');
+
+    const { book, oracle } = createBook({ filePath });
+    const order = book.place(sellEth());
+    oracle.price = 4100;
+    await book.check(NOW + HOUR);
+
+    const { book: reloaded } = createBook({ filePath });
+    expect(reloaded.get(order.id)).toMatchObject({ status: ORDER_STATUS.FILLED, fills: [expect.any(Object)] });
+
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('shared order file', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'limit-orders-'));
+      filePath = path.join(dir, 'orders.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const stored = (id) => JSON.parse(fs.readFileSync(filePath, 'utf8')).orders.find(o => o.id === id);
+
+    test('should record a fill as executing before the swap and settle it after', async () => {
+      const { book, oracle } = createBook({ filePath });
+      const order = book.place(sellEth());
+      const swap = book.executeSwap.getMockImplementation();
+      let during;
+      book.executeSwap.mockImplementation(async (params) => {
+        during = stored(order.id);
+        return swap(params);
+      });
+      oracle.price = 4100;
+
+      await book.check(NOW + HOUR);
+
+      expect(during.executing).toEqual({ amount: '1.0', startedAt: NOW + HOUR });
+      expect(stored(order.id)).toMatchObject({ status: ORDER_STATUS.FILLED, executing: null, filled: '1.0' });
+    });
+
+    test('should fail an order left executing instead of filling it again', async () => {
+      const { book } = createBook({ filePath });
+      const order = book.place(sellEth());
+      const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      raw.orders[0].executing = { amount: '1.0', startedAt: NOW };
+      fs.writeFileSync(filePath, JSON.stringify(raw));
+
+      const { book: restarted, oracle } = createBook({ filePath });
+      oracle.price = 4100;
+      const [event] = await restarted.check(NOW + HOUR);
+
+      expect(event.event).toBe(ORDER_EVENT.FAILED);
+      expect(event.order.lastError).toMatch('was interrupted');
+      expect(restarted.executeSwap).not.toHaveBeenCalled();
+      expect(stored(order.id).status).toBe(ORDER_STATUS.FAILED);
+    });
+
+    test('should share orders between processes without overwriting them', async () => {
+      const { book: bots } = createBook({ filePath });
+      const { book: scheduler, oracle } = createBook({ filePath });
+
+      const first = bots.place(sellEth());
+      const second = bots.place(sellEth({ triggerPrice: 5000 }));
+      oracle.price = 4100;
+      await scheduler.check(NOW + HOUR);
+
+      expect(scheduler.executeSwap).toHaveBeenCalledTimes(1);
+      expect(bots.get(first.id).status).toBe(ORDER_STATUS.FILLED);
+
+      bots.cancel(second.id);
+      expect(scheduler.list({ active: true })).toEqual([]);
+      expect(stored(first.id).status).toBe(ORDER_STATUS.FILLED);
+    });
+
+    test('should refuse to write over an order file it cannot read', () => {
+      fs.writeFileSync(filePath, '{ "orders": [');
+      const { book } = createBook({ filePath });
+
+      expect(() => book.place(sellEth())).toThrow(SyntaxError);
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('{ "orders": [');
+    });
+  });
+
+  describe('LIMIT_ORDER intent', () => {
+    test('should parse a conditional sell into a confirmed order', async () => {
+      const parsed = await ai.processCommand('Sell 1 ETH for USDC if ETH > 4000');
+
+      expect(parsed.intent).toBe('LIMIT_ORDER');
+      expect(parsed.requiresConfirmation).toBe(true);
+      expect(parsed.command.params).toMatchObject({
+        action: 'place',
+        fromToken: 'ETH',
+        toToken: 'USDC',
+        amount: '1',
+        asset: 'ETH',
+        condition: 'above',
+        triggerPrice: 4000,
+      });
+      expect(ai.generateConfirmation(parsed.command)).toContain('Trigger: ETH above $4,000.00');
+    });
+
+    test('should parse a buy with a duration and list and cancel requests', async () => {
+      const buy = await ai.processCommand('Buy ETH with 3000 USDC when ETH drops below 2500 for 3 days');
+      expect(buy.command.params).toMatchObject({
+        fromToken: 'USDC',
+        toToken: 'ETH',
+        amount: '3000',
+        condition: 'below',
+        triggerPrice: 2500,
+        expiresIn: 3 * 24 * HOUR,
+      });
+
+      const list = await ai.processCommand('Show my orders');
+      expect(list.intent).toBe('LIMIT_ORDER');
+      expect(list.command.params.action).toBe('list');
+      expect(list.requiresConfirmation).toBe(false);
+
+      const cancel = await ai.processCommand('Cancel order 3f9a1c2b');
+      expect(cancel.command.params).toMatchObject({ action: 'cancel', orderId: '3f9a1c2b' });
+    });
+
+    test('should only treat token price conditions as triggers', async () => {
+      expect((await ai.processCommand('Swap 1 ETH for USDC when gas is below 10')).intent).toBe('SWAP');
+      expect((await ai.processCommand('Sell 1 ETH for USDC once it drops below 3500')).intent).toBe('LIMIT_ORDER');
+      expect((await ai.processCommand('Sell 1 ETH for USDC when the price of ether hits 4500')).command.params)
+        .toMatchObject({ asset: 'ETH', triggerPrice: 4500 });
+    });
+
+    test('should describe a placed order', () => {
+      const { book } = createBook();
+      const order = book.place(sellEth());
+
+      const response = ai.generateResponse({ success: true, action: 'place', order }, { type: 'LIMIT_ORDER' });
+      expect(response.text).toContain(`Limit order ${order.id} placed`);
+      expect(response.text).toContain('Swap 1.0 ETH → USDC when ETH is above $4,000.00');
+    });
+  });
+});
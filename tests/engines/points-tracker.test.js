@@ -0,0 +1,277 @@
+/**
+ * Points Tracker Tests
+ *
+ * Covers points block parsing, the HTTP adapter against recorded fixtures,
+ * daily snapshot storage, points-per-day trends and the POINTS_CHECK intent
+ * answered from stored history.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/core/wallets', () => ({
+  getWallet: jest.fn(),
+  getAllWalletAddresses: jest.fn(),
+}));
+
+jest.mock('../../src/engines/airdrop/points', () => {
+  const actual = jest.requireActual('../../src/engines/airdrop/points');
+  return { ...actual, getPointsTracker: jest.fn(actual.getPointsTracker) };
+});
+
+const wallets = require('../../src/core/wallets');
+const ai = require('../../src/ai');
+const airdropEngine = require('../../src/engines/airdrop');
+const { parseCampaign } = require('../../src/engines/airdrop/rules');
+const { getCampaign } = require('../../src/engines/airdrop/campaigns');
+const {
+  HttpPointsAdapter,
+  PointsStore,
+  PointsTracker,
+  createFixtureFetch,
+  getPointsTracker,
+} = require('../../src/engines/airdrop/points');
+const { ExternalAPIError, ValidationError } = require('../../src/utils/errors');
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+const WALLETS = [
+  { address: '0x1111111111111111111111111111111111111111', alias: 'primary' },
+  { address: '0x3333333333333333333333333333333333333333', alias: 'trading' },
+];
+
+const API = 'https://points.example.xyz/v1/wallet';
+
+// Recorded responses keyed by URL
+const RECORDINGS = {
+  [`${API}/${WALLETS[0].address}`]: { data: { points: '1520.5', gold: 12 } },
+  [`${API}/${WALLETS[1].address}`]: { status: 429, body: { error: 'rate limited' } },
+};
+
+const pointsCampaign = (points = {}) => parseCampaign({
+  id: 'pointsdrop',
+  name: 'Points Drop',
+  status: 'points',
+  points: {
+    url: `${API}/{address}`,
+    fields: { points: 'data.points', gold: 'data.gold' },
+    ...points,
+  },
+});
+
+function createTracker(options = {}) {
+  return new PointsTracker({
+    filePath: null,
+    fetch: createFixtureFetch({ data: RECORDINGS }),
+    adapters: new Map(),
+    getWallets: () => WALLETS,
+    getCampaigns: () => [pointsCampaign(), parseCampaign({ id: 'plain' })],
+    ...options,
+  });
+}
+
+describe('Points tracker', () => {
+  describe('points block', () => {
+    test('should parse the source and default the points field', () => {
+      expect(pointsCampaign().points).toEqual({
+        url: `${API}/{address}`,
+        fields: { points: 'data.points', gold: 'data.gold' },
+        headers: {},
+      });
+      expect(parseCampaign({ id: 'bare', points: { url: API } }).points.fields).toEqual({ points: 'points' });
+      expect(parseCampaign({ id: 'plain' }).points).toBeNull();
+      expect(getCampaign('blast').points.url).toContain('{address}');
+    });
+
+    test('should reject invalid points blocks', () => {
+      expect(() => parseCampaign({ id: 'x', points: [] })).toThrow(ValidationError);
+      expect(() => parseCampaign({ id: 'x', points: {} })).toThrow(/needs a url/);
+      expect(() => parseCampaign({ id: 'x', points: { url: API, fields: { gold: 'gold' } } })).toThrow(/map "points"/);
+    });
+  });
+
+  describe('HttpPointsAdapter', () => {
+    const adapter = () => new HttpPointsAdapter({
+      protocol: 'Points Drop',
+      ...pointsCampaign().points,
+      fetch: createFixtureFetch({ data: RECORDINGS }),
+    });
+
+    test('should read points and extra fields from the recorded response', async () => {
+      await expect(adapter().getPoints(WALLETS[0].address)).resolves.toEqual({
+        points: 1520.5,
+        breakdown: { gold: 12 },
+      });
+    });
+
+    test('should surface replayed errors and unknown wallets as API errors', async () => {
+      await expect(adapter().getPoints(WALLETS[1].address)).rejects.toMatchObject({
+        name: 'ExternalAPIError',
+        statusCode: 429,
+      });
+      await expect(adapter().getPoints('0x9999999999999999999999999999999999999999')).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    });
+
+    test('should reject responses without a points value', async () => {
+      const empty = new HttpPointsAdapter({
+        url: `${API}/{address}`,
+        fetch: createFixtureFetch({ data: { [`${API}/${WALLETS[0].address}`]: { other: 1 } } }),
+      });
+
+      await expect(empty.getPoints(WALLETS[0].address)).rejects.toThrow(ExternalAPIError);
+    });
+
+    test('should load recordings from a fixture file', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'points-'));
+      const file = path.join(dir, 'recordings.json');
+      fs.writeFileSync(file, JSON.stringify(RECORDINGS));
+
+      const fromFile = new HttpPointsAdapter({ ...pointsCampaign().points, fetch: createFixtureFetch({ file }) });
+      await expect(fromFile.getPoints(WALLETS[0].address)).resolves.toMatchObject({ points: 1520.5 });
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+
+  describe('PointsStore', () => {
+    test('should keep one snapshot per day in date order', () => {
+      const store = new PointsStore();
+      store.record('blast', WALLETS[0].address, { date: '2026-03-02', points: 20 });
+      store.record('blast', WALLETS[0].address, { date: '2026-03-01', points: 10 });
+      store.record('blast', WALLETS[0].address.toUpperCase(), { date: '2026-03-02', points: 25 });
+
+      expect(store.getHistory('blast', WALLETS[0].address)).toEqual([
+        { date: '2026-03-01', points: 10 },
+        { date: '2026-03-02', points: 25 },
+      ]);
+      expect(store.getHistory('blast', WALLETS[0].address, { since: '2026-03-02' })).toHaveLength(1);
+      expect(store.getHistory('blast', WALLETS[1].address)).toEqual([]);
+    });
+
+    test('should persist snapshots across instances', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'points-'));
+      const filePath = path.join(dir, 'nested', 'points.json');
+
+      const store = new PointsStore({ filePath });
+      store.record('blast', WALLETS[0].address, { date: '2026-03-01', points: 10 });
+      store.save();
+
+      expect(new PointsStore({ filePath }).getHistory('blast', WALLETS[0].address)).toEqual([
+        { date: '2026-03-01', points: 10 },
+      ]);
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+
+  describe('PointsTracker', () => {
+    test('should snapshot every wallet and record fetch failures', async () => {
+      const tracker = createTracker();
+      const result = await tracker.snapshot({ now: NOW });
+
+      expect(result.date).toBe('2026-03-10');
+      expect(result.recorded).toEqual([{ protocol: 'pointsdrop', wallet: WALLETS[0].address, points: 1520.5 }]);
+      expect(result.failed).toEqual([expect.objectContaining({ protocol: 'pointsdrop', wallet: WALLETS[1].address })]);
+      expect(tracker.getHistory('pointsdrop', WALLETS[0].address)).toEqual([
+        { date: '2026-03-10', points: 1520.5, breakdown: { gold: 12 }, takenAt: NOW },
+      ]);
+    });
+
+    test('should prefer registered adapters and track only campaigns with a source', async () => {
+      const adapter = { getPoints: jest.fn().mockResolvedValue({ points: 7 }) };
+      const tracker = createTracker({ adapters: new Map([['plain', adapter]]) });
+
+      expect(tracker.getTrackedCampaigns().map(c => c.id)).toEqual(['pointsdrop', 'plain']);
+
+      const result = await tracker.snapshot({ protocol: 'plain', now: NOW });
+      expect(adapter.getPoints).toHaveBeenCalledTimes(2);
+      expect(result.recorded).toHaveLength(2);
+      await expect(tracker.snapshot({ protocol: 'unknown' })).rejects.toThrow(/No points source/);
+    });
+
+    test('should compute points per day against the snapshot before the window', () => {
+      const tracker = createTracker();
+      const address = WALLETS[0].address;
+      const series = [['2026-02-25', 100], ['2026-03-02', 400], ['2026-03-06', 600], ['2026-03-10', 1000]];
+      for (const [date, points] of series) {
+        tracker.store.record('pointsdrop', address, { date, points, breakdown: {} });
+      }
+
+      const trend = tracker.getTrend('pointsdrop', address, { days: 7, now: NOW });
+      expect(trend).toMatchObject({ latest: 1000, date: '2026-03-10', change: 600, days: 7 });
+      expect(trend.pointsPerDay).toBe(75);
+      expect(trend.history.map(h => h.delta)).toEqual([null, 200, 400]);
+
+      expect(tracker.getTrend('pointsdrop', WALLETS[1].address, { now: NOW })).toMatchObject({
+        latest: null,
+        pointsPerDay: null,
+      });
+    });
+
+    test('should leave the rate unknown with a single snapshot', () => {
+      const tracker = createTracker();
+      tracker.store.record('pointsdrop', WALLETS[0].address, { date: '2026-03-10', points: 50 });
+
+      expect(tracker.getTrend('pointsdrop', WALLETS[0].address, { now: NOW })).toMatchObject({
+        latest: 50,
+        pointsPerDay: null,
+        change: null,
+      });
+    });
+  });
+
+  describe('POINTS_CHECK', () => {
+    let tracker;
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(NOW);
+      wallets.getWallet.mockReturnValue(WALLETS[0]);
+      tracker = createTracker({ getCampaigns: () => [getCampaign('blast'), pointsCampaign()] });
+      getPointsTracker.mockReturnValue(tracker);
+      tracker.store.record('blast', WALLETS[0].address, { date: '2026-03-08', points: 300, breakdown: { gold: 2 } });
+      tracker.store.record('blast', WALLETS[0].address, { date: '2026-03-10', points: 500, breakdown: { gold: 3 } });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should parse the question into a points command', async () => {
+      const parsed = await ai.processCommand('How many points do I have on Blast?');
+
+      expect(parsed.intent).toBe('POINTS_CHECK');
+      expect(parsed.command.params.protocol).toBe('blast');
+      expect(parsed.requiresConfirmation).toBe(false);
+    });
+
+    test('should answer from stored history without fetching', () => {
+      const fetchSpy = jest.spyOn(tracker, 'snapshot');
+      const result = airdropEngine.getPoints({ protocol: 'blast', days: 7 });
+
+      expect(fetchSpy).not.toHaveBeenCalled();
+      expect(result.protocols).toEqual([expect.objectContaining({
+        id: 'blast',
+        protocol: 'Blast',
+        latest: 500,
+        pointsPerDay: 100,
+      })]);
+
+      const response = ai.generateResponse(result, { type: 'POINTS_CHECK' });
+      expect(response.text).toContain('Blast: 500.00 points (3.00 gold) as of 2026-03-10');
+      expect(response.text).toContain('+100.00/day over the last 7 days');
+    });
+
+    test('should list every points campaign and reject untracked protocols', () => {
+      const all = airdropEngine.getPoints({});
+      expect(all.protocols.map(p => p.id)).toEqual(['blast', 'pointsdrop']);
+      expect(ai.generateResponse(all, { type: 'POINTS_CHECK' }).text).toContain('Points Drop: no snapshots recorded yet');
+
+      const unknown = airdropEngine.getPoints({ protocol: 'layerzero' });
+      expect(unknown.success).toBe(false);
+      expect(unknown.message).toMatch(/No points tracked for layerzero/);
+    });
+  });
+});
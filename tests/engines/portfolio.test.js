@@ -0,0 +1,304 @@
+/**
+ * Portfolio Tests
+ *
+ * Covers USD pricing (oracle, DEX fallback, peg), the cost basis book's
+ * average-cost positions and realized PnL, valuing managed wallets across
+ * chains with unrealized PnL, and the portfolio intent through the router.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+jest.mock('../../src/core/wallets', () => ({
+  getAllWalletAddresses: jest.fn(),
+  getAllBalances: jest.fn(),
+  resolveWalletIdentifier: jest.fn(),
+  getWallet: jest.fn(),
+}));
+
+jest.mock('../../src/engines/portfolio/prices', () => {
+  const actual = jest.requireActual('../../src/engines/portfolio/prices');
+  return { ...actual, getUsdPricer: jest.fn(actual.getUsdPricer) };
+});
+
+jest.mock('../../src/engines/portfolio/costBasis', () => {
+  const actual = jest.requireActual('../../src/engines/portfolio/costBasis');
+  return { ...actual, getCostBasisBook: jest.fn(actual.getCostBasisBook) };
+});
+
+jest.mock('../../src/core/ledger', () => {
+  const actual = jest.requireActual('../../src/core/ledger');
+  return { ...actual, getLedger: jest.fn(actual.getLedger) };
+});
+
+const wallets = require('../../src/core/wallets');
+const portfolio = require('../../src/engines/portfolio');
+const { UsdPricer, getUsdPricer } = require('../../src/engines/portfolio/prices');
+const { CostBasisBook, getCostBasisBook } = require('../../src/engines/portfolio/costBasis');
+const router = require('../../src/router');
+const { TransactionLedger, getLedger } = require('../../src/core/ledger');
+const { getToken } = require('../../src/config/tokens');
+
+const WALLET_1 = '0x1111111111111111111111111111111111111111';
+const WALLET_2 = '0x2222222222222222222222222222222222222222';
+
+const PRICES = { ETH: 3000, USDC: 1, ARB: 1.2 };
+
+const balance = (amount, decimals = 18, symbol) => ({
+  raw: ethers.utils.parseUnits(amount, decimals),
+  formatted: amount,
+  symbol,
+  decimals,
+});
+
+describe('UsdPricer', () => {
+  const hasFeed = (pair, chainId) => chainId === 1 && ['ETH/USD', 'USDC/USD'].includes(pair);
+
+  test('should prefer the oracle, using the mainnet feed when the chain has none', async () => {
+    const getOraclePrice = jest.fn().mockResolvedValue({ price: 3100, warnings: [] });
+    const getQuote = jest.fn();
+    const pricer = new UsdPricer({ hasFeed, getOraclePrice, getQuote });
+
+    await expect(pricer.getPrice('WETH', 42161)).resolves.toEqual({ price: 3100, source: 'oracle' });
+    expect(getOraclePrice).toHaveBeenCalledWith('ETH/USD', 1);
+    expect(getQuote).not.toHaveBeenCalled();
+  });
+
+  test('should fall back to a DEX quote into USDC, then to the USDC peg', async () => {
+    const getOraclePrice = jest.fn().mockRejectedValue(new Error('stale'));
+    const getQuote = jest.fn().mockResolvedValue({ best: { amountIn: '1', amountOut: '0.85' } });
+    const pricer = new UsdPricer({ hasFeed, getOraclePrice, getQuote });
+
+    await expect(pricer.getPrice('UNI', 1)).resolves.toEqual({ price: 0.85, source: 'dex' });
+    expect(getQuote).toHaveBeenCalledWith({ fromToken: 'UNI', toToken: 'USDC', amount: '1', chainId: 1 });
+    await expect(pricer.getPrice('USDC', 1)).resolves.toEqual({ price: 1, source: 'peg' });
+  });
+
+  test('should not price unknown tokens and should cache results', async () => {
+    const getQuote = jest.fn().mockResolvedValue({ amountOut: '5' });
+    const pricer = new UsdPricer({ hasFeed: () => false, getOraclePrice: jest.fn(), getQuote });
+
+    await expect(pricer.getPrice('NOTATOKEN', 1)).resolves.toBeNull();
+    await pricer.getPrice('LINK', 1);
+    await pricer.getPrice('link', 1);
+
+    expect(getQuote).toHaveBeenCalledTimes(1);
+  });
+
+  test('should price from the better direct pool quote, not the full route search', async () => {
+    const swapEngine = require('../../src/engines/swap');
+    const getQuote = jest.spyOn(swapEngine, 'getQuote').mockImplementation(async ({ dex }) =>
+      (dex === 'uniswapV3' ? { amountOut: '14.9' } : { amountOut: '15.1' }));
+    const pricer = new UsdPricer({ hasFeed: () => false, getOraclePrice: jest.fn() });
+
+    try {
+      await expect(pricer.getPrice('LINK', 1)).resolves.toEqual({ price: 15.1, source: 'dex' });
+      expect(getQuote.mock.calls.map(([params]) => params.dex).sort()).toEqual(['uniswapV2', 'uniswapV3']);
+    } finally {
+      getQuote.mockRestore();
+    }
+  });
+
+  test('should share one lookup between concurrent requests for a token', async () => {
+    const getQuote = jest.fn().mockResolvedValue({ amountOut: '5' });
+    const pricer = new UsdPricer({ hasFeed: () => false, getOraclePrice: jest.fn(), getQuote });
+
+    const prices = await Promise.all([pricer.getPrice('LINK', 1), pricer.getPrice('LINK', 1)]);
+
+    expect(prices).toEqual([{ price: 5, source: 'dex' }, { price: 5, source: 'dex' }]);
+    expect(getQuote).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('CostBasisBook', () => {
+  const getPrice = jest.fn(async symbol => (PRICES[symbol] ? { price: PRICES[symbol], source: 'oracle' } : null));
+  let book;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    book = new CostBasisBook({ filePath: null, getPrice });
+  });
+
+  test('should value swaps at their stablecoin side and realize PnL at average cost', async () => {
+    await book.recordSwap({ wallet: WALLET_1, chainId: 1, fromToken: 'USDC', toToken: 'ETH', amountIn: '2000', amountOut: '1', txHash: '0xa' });
+    await book.recordSwap({ wallet: WALLET_2, chainId: 42161, fromToken: 'USDC', toToken: 'ETH', amountIn: '4000', amountOut: '1', txHash: '0xb' });
+    await book.recordSwap({ wallet: WALLET_1, chainId: 1, fromToken: 'ETH', toToken: 'USDC', amountIn: '0.5', amountOut: '1750', txHash: '0xc' });
+
+    expect(getPrice).not.toHaveBeenCalled();
+    expect(book.getPosition('ETH')).toMatchObject({ quantity: 1.5, costUsd: 4500, realizedUsd: 250 });
+    expect(book.getRealizedPnl()).toBe(250);
+  });
+
+  test('should price swaps without a stable side from the sold token, else the bought one', async () => {
+    const sold = await book.recordSwap({ wallet: WALLET_1, chainId: 1, fromToken: 'ETH', toToken: 'UNI', amountIn: '1', amountOut: '400', txHash: '0xd' });
+    const bought = await book.recordSwap({ wallet: WALLET_1, chainId: 1, fromToken: 'FOO', toToken: 'ARB', amountIn: '10', amountOut: '50', txHash: '0xe' });
+    const unpriced = await book.recordSwap({ wallet: WALLET_1, chainId: 1, fromToken: 'FOO', toToken: 'BAR', amountIn: '1', amountOut: '1', txHash: '0xf' });
+
+    expect(sold.valueUsd).toBe(3000);
+    expect(bought.valueUsd).toBe(60);
+    expect(unpriced.valueUsd).toBeNull();
+    expect(book.getPosition('UNI')).toMatchObject({ quantity: 400, costUsd: 3000, unpriced: false });
+    expect(book.getPosition('BAR')).toMatchObject({ quantity: 1, costUsd: 0, unpriced: true });
+  });
+
+  test('should realize PnL only on tracked quantity and count claims as income', async () => {
+    await book.recordClaim({ wallet: WALLET_1, chainId: 42161, protocol: 'arbitrum', token: 'ARB', amount: '100', txHash: '0x1' });
+    await book.recordSwap({ wallet: WALLET_1, chainId: 42161, fromToken: 'ARB', toToken: 'USDC', amountIn: '150', amountOut: '300', txHash: '0x2' });
+
+    expect(book.getEvents({ type: 'claim' })).toEqual([expect.objectContaining({ priceUsd: 1.2, valueUsd: 120 })]);
+    expect(book.getPosition('ARB')).toMatchObject({ quantity: 0, costUsd: 0, untrackedDisposed: 50 });
+    expect(book.getPosition('ARB').realizedUsd).toBeCloseTo(80);
+  });
+
+  test('should ignore a transaction recorded twice and reject empty amounts', async () => {
+    const params = { wallet: WALLET_1, chainId: 1, fromToken: 'USDC', toToken: 'ETH', amountIn: '3000', amountOut: '1', txHash: '0xa' };
+
+    await expect(book.recordSwap(params)).resolves.toMatchObject({ id: 'swap:0xa' });
+    await expect(book.recordSwap(params)).resolves.toBeNull();
+    await expect(book.recordSwap({ ...params, txHash: '0xz', amountOut: '0' })).rejects.toThrow('amountOut must be a positive amount');
+    expect(book.getEvents()).toHaveLength(1);
+  });
+
+  test('should persist events and rebuild positions on load', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cost-basis-'));
+    const filePath = path.join(dir, 'cost-basis.json');
+    try {
+      const saved = new CostBasisBook({ filePath, getPrice });
+      await saved.recordSwap({ wallet: WALLET_1, chainId: 1, fromToken: 'USDC', toToken: 'ETH', amountIn: '3000', amountOut: '1', txHash: '0xa' });
+
+      const loaded = new CostBasisBook({ filePath, getPrice });
+      expect(loaded.getEvents()).toEqual(saved.getEvents());
+      expect(loaded.getPosition('ETH')).toMatchObject({ quantity: 1, costUsd: 3000 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should keep events another book saved to the same file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cost-basis-'));
+    const filePath = path.join(dir, 'cost-basis.json');
+    try {
+      const first = new CostBasisBook({ filePath, getPrice });
+      const second = new CostBasisBook({ filePath, getPrice });
+      await first.recordSwap({ wallet: WALLET_1, chainId: 1, fromToken: 'USDC', toToken: 'ETH', amountIn: '2000', amountOut: '1', txHash: '0xa', timestamp: 1 });
+      await second.recordSwap({ wallet: WALLET_2, chainId: 1, fromToken: 'USDC', toToken: 'ETH', amountIn: '4000', amountOut: '1', txHash: '0xb', timestamp: 2 });
+
+      const loaded = new CostBasisBook({ filePath, getPrice });
+      expect(loaded.getEvents().map(event => event.id)).toEqual(['swap:0xa', 'swap:0xb']);
+      expect(loaded.getPosition('ETH')).toMatchObject({ quantity: 2, costUsd: 6000 });
+      expect(second.getPosition('ETH')).toMatchObject({ quantity: 2, costUsd: 6000 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should move a corrupt file aside instead of overwriting it', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cost-basis-'));
+    const filePath = path.join(dir, 'cost-basis.json');
+    try {
+      fs.writeFileSync(filePath, '{"events": [{"id": "swap:0xa"');
+
+      const fresh = new CostBasisBook({ filePath, getPrice });
+      await fresh.recordSwap({ wallet: WALLET_1, chainId: 1, fromToken: 'USDC', toToken: 'ETH', amountIn: '3000', amountOut: '1', txHash: '0xb' });
+
+      const aside = fs.readdirSync(dir).filter(name => name.startsWith('cost-basis.json.corrupt-'));
+      expect(aside).toHaveLength(1);
+      expect(fs.readFileSync(path.join(dir, aside[0]), 'utf8')).toBe('{"events": [{"id": "swap:0xa"');
+      expect(new CostBasisBook({ filePath, getPrice }).getEvents()).toEqual(fresh.getEvents());
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Portfolio', () => {
+  let book;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    wallets.getAllWalletAddresses.mockReturnValue([
+      { address: WALLET_1, alias: 'primary', index: 0 },
+      { address: WALLET_2, alias: 'wallet2', index: 1 },
+    ]);
+    wallets.getWallet.mockReturnValue({ address: WALLET_1, alias: 'primary' });
+    wallets.resolveWalletIdentifier.mockImplementation(input => (input === 'wallet2' ? WALLET_2 : null));
+    wallets.getAllBalances.mockImplementation(async (address, chainId) => {
+      if (chainId === 10) throw new Error('RPC down');
+      const holdings = {
+        [`${WALLET_1}:1`]: { native: balance('1.5'), tokens: [balance('500', 6, 'USDC')] },
+        [`${WALLET_2}:42161`]: {
+          native: balance('0.5'),
+          tokens: [balance('100', 18, 'ARB'), balance('7', 18, 'GMX'), balance('0', 6, 'USDC')],
+        },
+      };
+      return { address, chainId, native: balance('0'), tokens: [], ...holdings[`${address}:${chainId}`] };
+    });
+
+    getUsdPricer.mockReturnValue({
+      getPrice: async symbol => (PRICES[symbol] ? { price: PRICES[symbol], source: 'oracle' } : null),
+    });
+    book = new CostBasisBook({ filePath: null, getPrice: async () => null });
+    getCostBasisBook.mockReturnValue(book);
+  });
+
+  test('should value every wallet across chains and report unpriced tokens and failed chains', async () => {
+    const result = await portfolio.getPortfolio({ chains: [1, 42161, 10] });
+
+    expect(result.totalUsd).toBe(4500 + 500 + 1500 + 120);
+    expect(result.byChain).toEqual({ 1: 5000, 42161: 1620 });
+    expect(result.byWallet).toEqual({ primary: 5000, wallet2: 1620 });
+    expect(result.byToken.ETH).toEqual({ quantity: 2, valueUsd: 6000, priceUsd: 3000 });
+    expect(result.holdings[0]).toMatchObject({ symbol: 'ETH', wallet: 'primary', chainId: 1, valueUsd: 4500 });
+    expect(result.unpriced).toEqual([{ symbol: 'GMX', chainId: 42161, wallet: 'wallet2' }]);
+    expect(result.errors).toEqual([
+      { chainId: 10, wallet: 'primary', error: 'RPC down' },
+      { chainId: 10, wallet: 'wallet2', error: 'RPC down' },
+    ]);
+
+    const [, , arbitrumTokens] = wallets.getAllBalances.mock.calls.find(([, chainId]) => chainId === 42161);
+    expect(arbitrumTokens).toContain(getToken('ARB', 42161).address);
+  });
+
+  test('should compute unrealized PnL on the tracked part of each holding', async () => {
+    await book.recordSwap({ wallet: WALLET_1, chainId: 1, fromToken: 'USDC', toToken: 'ETH', amountIn: '2500', amountOut: '1', txHash: '0xa' });
+    await book.recordSwap({ wallet: WALLET_1, chainId: 1, fromToken: 'ARB', toToken: 'USDC', amountIn: '10', amountOut: '15', txHash: '0xb' });
+
+    const { pnl } = await portfolio.getPortfolio({ chains: [1, 42161] });
+
+    expect(pnl.positions.find(p => p.symbol === 'ETH')).toMatchObject({
+      quantity: 2,
+      trackedQuantity: 1,
+      untrackedQuantity: 1,
+      costBasisUsd: 2500,
+      unrealizedUsd: 500,
+    });
+    expect(pnl.realizedUsd).toBe(0);
+    expect(pnl.unrealizedUsd).toBe(500);
+    expect(pnl.positions.find(p => p.symbol === 'USDC')).toMatchObject({ trackedQuantity: 15, unrealizedUsd: 0 });
+    expect(pnl.costBasisUsd).toBe(2515);
+  });
+
+  test('should narrow to one wallet and reject unknown ones', async () => {
+    const result = await portfolio.getPortfolio({ wallet: 'wallet2', chains: [1, 42161] });
+    expect(result.wallets).toBe(1);
+    expect(result.totalUsd).toBe(1620);
+
+    await expect(portfolio.getPortfolio({ wallet: 'wallet9' })).rejects.toThrow('Unknown wallet: wallet9');
+  });
+
+  test('should answer "what\'s my portfolio worth" through the router', async () => {
+    getLedger.mockReturnValue(new TransactionLedger());
+
+    const result = await router.processCommand('What\'s my portfolio worth on Arbitrum?', { userId: 'erin' });
+
+    expect(result.success).toBe(true);
+    expect(result.intent).toBe('PORTFOLIO');
+    expect(result.requiresConfirmation).toBeUndefined();
+    expect(wallets.getAllBalances).toHaveBeenCalledTimes(2);
+    expect(result.response.text).toMatch(/^Portfolio: \$1,620\.00 across 2 wallets on 1 chain/);
+    expect(result.response.text).toContain('ETH: 0.5000 ($1,500.00)');
+    expect(result.response.text).toContain('No price for: GMX (Arbitrum One)');
+  });
+});
@@ -0,0 +1,450 @@
+/**
+ * Smart Router Tests
+ *
+ * Covers path search through base tokens, V2/V3 multi-hop quoting against
+ * simulated constant-product pools, split routing, ranking against the
+ * single-pool quotes and executing each leg of a split.
+ */
+
+const { ethers } = require('ethers');
+
+jest.mock('../../src/core/contracts', () => ({
+  getUniswapV2Router: jest.fn(),
+  getUniswapV3Quoter: jest.fn(),
+  getUniswapV3Router: jest.fn(),
+}));
+
+jest.mock('../../src/core/wallets', () => ({
+  getConnectedWallet: jest.fn(),
+  hasSufficientBalance: jest.fn(),
+}));
+
+jest.mock('../../src/core/transactions', () => ({
+  sendSecuredTransaction: jest.fn(),
+}));
+
+jest.mock('../../src/security', () => {
+  const actual = jest.requireActual('../../src/security');
+  return { ...actual, getSecurityLayer: jest.fn(actual.getSecurityLayer) };
+});
+
+jest.mock('../../src/engines/portfolio/costBasis', () => {
+  const actual = jest.requireActual('../../src/engines/portfolio/costBasis');
+  return { ...actual, getCostBasisBook: jest.fn(actual.getCostBasisBook) };
+});
+
+const contracts = require('../../src/core/contracts');
+const wallets = require('../../src/core/wallets');
+const { sendSecuredTransaction } = require('../../src/core/transactions');
+const swapEngine = require('../../src/engines/swap');
+const smartRouter = require('../../src/engines/swap/smartRouter');
+const { encodePath } = require('../../src/engines/swap/uniswapV3');
+const { getToken, getWrappedNativeAddress } = require('../../src/config/tokens');
+const { createSecurityLayer, getSecurityLayer } = require('../../src/security');
+const { CostBasisBook, getCostBasisBook } = require('../../src/engines/portfolio/costBasis');
+const ai = require('../../src/ai');
+const { SlippageExceededError } = require('../../src/utils/errors');
+
+const CHAIN = 1;
+const WETH = getWrappedNativeAddress(CHAIN);
+const USDC = getToken('USDC', CHAIN).address;
+const DAI = getToken('DAI', CHAIN).address;
+const UNI = getToken('UNI', CHAIN).address;
+const USER = '0x1111111111111111111111111111111111111111';
+
+const eth = (value) => ethers.utils.parseUnits(String(value), 18);
+const usd = (value) => ethers.utils.parseUnits(String(value), 6);
+
+/**
+ * Constant-product pools keyed by "dex:tokenA-tokenB[:fee]"
+ */
+function createPools(definitions) {
+  const pools = new Map();
+  for (const [dex, a, b, reserveA, reserveB, fee = null] of definitions) {
+    pools.set(poolKey(dex, a, b, fee), { [a.toLowerCase()]: reserveA, [b.toLowerCase()]: reserveB, fee });
+  }
+  return pools;
+}
+
+function poolKey(dex, a, b, fee) {
+  const pair = [a, b].map(t => t.toLowerCase()).sort().join('-');
+  return fee ? `${dex}:${pair}:${fee}` : `${dex}:${pair}`;
+}
+
+function swapOut(pool, tokenIn, tokenOut, amountIn, feeBps) {
+  if (!pool) throw new Error('no pool');
+  const reserveIn = pool[tokenIn.toLowerCase()];
+  const reserveOut = pool[tokenOut.toLowerCase()];
+  const withFee = amountIn.mul(10000 - feeBps);
+  return withFee.mul(reserveOut).div(reserveIn.mul(10000).add(withFee));
+}
+
+function decodePath(encoded) {
+  const hex = encoded.slice(2);
+  const tokens = [];
+  const fees = [];
+  for (let i = 0; i < hex.length; i += 46) {
+    tokens.push(ethers.utils.getAddress(`0x${hex.slice(i, i + 40)}`));
+    if (i + 40 < hex.length) fees.push(parseInt(hex.slice(i + 40, i + 46), 16));
+  }
+  return { tokens, fees };
+}
+
+function mockPools(definitions) {
+  const pools = createPools(definitions);
+
+  const v2 = {
+    getAmountsOut: jest.fn(async (amountIn, path) => {
+      const amounts = [amountIn];
+      for (let i = 0; i < path.length - 1; i++) {
+        amounts.push(swapOut(pools.get(poolKey('v2', path[i], path[i + 1])), path[i], path[i + 1], amounts[i], 30));
+      }
+      return amounts;
+    }),
+  };
+
+  const quoteSingle = async (tokenIn, tokenOut, fee, amountIn) =>
+    swapOut(pools.get(poolKey('v3', tokenIn, tokenOut, fee)), tokenIn, tokenOut, ethers.BigNumber.from(amountIn), fee / 100);
+
+  const v3 = {
+    callStatic: {
+      quoteExactInputSingle: jest.fn(quoteSingle),
+      quoteExactInput: jest.fn(async (encoded, amountIn) => {
+        const { tokens, fees } = decodePath(encoded);
+        let amount = amountIn;
+        for (let i = 0; i < fees.length; i++) {
+          amount = await quoteSingle(tokens[i], tokens[i + 1], fees[i], amount);
+        }
+        return amount;
+      }),
+    },
+  };
+
+  contracts.getUniswapV2Router.mockReturnValue(v2);
+  contracts.getUniswapV3Quoter.mockReturnValue(v3);
+  return { v2, v3 };
+}
+
+const SWAP_EVENTS = {
+  uniswapV2: 'event Swap(address indexed sender, uint amount0In, uint amount1In, uint amount0Out, uint amount1Out, address indexed to)',
+  uniswapV3: 'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+};
+
+/**
+ * Receipt carrying one Swap event that pays out amountOut of token1
+ */
+function swapReceipt(dex, amountIn, amountOut) {
+  const iface = new ethers.utils.Interface([SWAP_EVENTS[dex]]);
+  const values = dex === 'uniswapV2'
+    ? [USER, amountIn, 0, 0, amountOut, USER]
+    : [USER, USER, amountIn, amountOut.mul(-1), 0, 0, 0];
+  return { logs: [iface.encodeEventLog(iface.getEvent('Swap'), values)] };
+}
+
+const quote = (fromToken, toToken, amount, routing = {}) =>
+  smartRouter.getQuote({ fromToken, toToken, amount, chainId: CHAIN, routing: { minSplitGainBps: 10, ...routing } });
+
+describe('Smart router', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('path search', () => {
+    test('should hop through distinct base tokens up to the hop limit', () => {
+      const paths = smartRouter.findPaths(UNI, USDC, [WETH, DAI, USDC], 3);
+
+      expect(paths).toContainEqual([UNI, USDC]);
+      expect(paths).toContainEqual([UNI, WETH, USDC]);
+      expect(paths).toContainEqual([UNI, WETH, DAI, USDC]);
+      expect(paths).toHaveLength(5);
+      expect(smartRouter.findPaths(UNI, USDC, [WETH, DAI], 1)).toEqual([[UNI, USDC]]);
+    });
+
+    test('should resolve base tokens with the wrapped native token first', () => {
+      expect(smartRouter.getBaseTokens(CHAIN, ['USDC', 'WETH', 'NOPE'])).toEqual([WETH, USDC]);
+    });
+
+    test('should encode V3 paths as token, fee, token', () => {
+      const encoded = encodePath([UNI, WETH, USDC], [3000, 500]);
+      expect(decodePath(encoded)).toEqual({ tokens: [UNI, WETH, USDC], fees: [3000, 500] });
+      expect(() => encodePath([UNI, USDC], [])).toThrow(/one fee per hop/);
+    });
+  });
+
+  describe('quoting', () => {
+    test('should find a multi-hop V3 route with the best fee tier per hop', async () => {
+      mockPools([
+        ['v3', UNI, WETH, eth(10000), eth(100), 3000],
+        ['v3', WETH, DAI, eth(1000), eth(3000000), 500],
+        ['v3', WETH, DAI, eth(10), eth(30000), 3000],
+      ]);
+
+      const result = await quote('UNI', 'DAI', '10');
+
+      expect(result).toMatchObject({ dex: 'smartRouter', split: false, path: [UNI, WETH, DAI], fee: 3000 });
+      expect(result.routes).toEqual([expect.objectContaining({ dex: 'uniswapV3', fees: [3000, 500], share: 100 })]);
+      expect(parseFloat(result.amountOut)).toBeGreaterThan(290);
+    });
+
+    test('should prefer a deeper two-hop V2 route over a shallow direct pool', async () => {
+      mockPools([
+        ['v2', UNI, USDC, eth(100), usd(700)],
+        ['v2', UNI, WETH, eth(100000), eth(2000)],
+        ['v2', WETH, USDC, eth(10000), usd(35000000)],
+      ]);
+
+      const result = await quote('UNI', 'USDC', '50');
+
+      expect(result.routes).toHaveLength(1);
+      expect(result.routes[0]).toMatchObject({ dex: 'uniswapV2', path: [UNI, WETH, USDC], fees: null });
+      expect(parseFloat(result.amountOut)).toBeGreaterThan(3400);
+    });
+
+    test('should split a large order across pools that share no liquidity', async () => {
+      mockPools([
+        ['v2', WETH, USDC, eth(100), usd(300000)],
+        ['v3', WETH, USDC, eth(100), usd(300000), 500],
+      ]);
+
+      const result = await quote('ETH', 'USDC', '20');
+      const single = await quote('ETH', 'USDC', '20', { maxSplits: 1 });
+
+      expect(result.split).toBe(true);
+      expect(result.routerAddress).toBeNull();
+      expect(result.routes.map(r => r.dex).sort()).toEqual(['uniswapV2', 'uniswapV3']);
+      expect(result.routes.map(r => r.share)).toEqual([50, 50]);
+      expect(result.routes.reduce((sum, r) => sum.add(r.amountInRaw), ethers.constants.Zero)).toEqual(eth(20));
+      expect(result.amountOutRaw.gt(single.amountOutRaw)).toBe(true);
+    });
+
+    test('should keep a single route when splitting gains less than the threshold', async () => {
+      mockPools([
+        ['v2', WETH, USDC, eth(100000), usd(300000000)],
+        ['v3', WETH, USDC, eth(100000), usd(300000000), 500],
+      ]);
+
+      const result = await quote('ETH', 'USDC', '0.01');
+
+      expect(result.split).toBe(false);
+      expect(result.routes[0].dex).toBe('uniswapV3');
+    });
+
+    test('should report price impact against the route mid price', async () => {
+      mockPools([['v2', WETH, USDC, eth(100), usd(300000)]]);
+
+      const large = await quote('ETH', 'USDC', '20');
+      const small = await quote('ETH', 'USDC', '0.001');
+
+      // 20 ETH into a 100 ETH pool gets 100 / 119.94 of the mid-price output
+      expect(large.priceImpact).toBeCloseTo(16.63, 1);
+      expect(small.priceImpact).toBeLessThan(0.01);
+    });
+
+    test('should not split between routes through the same pool', () => {
+      const viaWeth = { dex: 'uniswapV2', path: [UNI, WETH, USDC], fees: null };
+      const direct = { dex: 'uniswapV2', path: [UNI, WETH], fees: null };
+      const v3 = { dex: 'uniswapV3', path: [UNI, WETH, USDC], fees: [3000, 500] };
+
+      expect(smartRouter.selectDisjointRoutes([viaWeth, direct, v3], 3)).toEqual([viaWeth, v3]);
+    });
+
+    test('should return null without liquidity', async () => {
+      mockPools([]);
+      await expect(quote('UNI', 'USDC', '1')).resolves.toBeNull();
+    });
+
+    test('should quote paths concurrently within the concurrency limit', async () => {
+      const { v2, v3 } = mockPools([
+        ['v2', UNI, WETH, eth(100000), eth(2000)],
+        ['v2', WETH, USDC, eth(10000), usd(35000000)],
+        ['v3', UNI, WETH, eth(10000), eth(100), 3000],
+        ['v3', WETH, USDC, eth(10000), usd(35000000), 500],
+      ]);
+      let inFlight = 0;
+      let peak = 0;
+      const track = (fn) => async (...args) => {
+        peak = Math.max(peak, ++inFlight);
+        await new Promise(resolve => setImmediate(resolve));
+        inFlight--;
+        return fn(...args);
+      };
+      v2.getAmountsOut.mockImplementation(track(v2.getAmountsOut.getMockImplementation()));
+      v3.callStatic.quoteExactInputSingle.mockImplementation(track(v3.callStatic.quoteExactInputSingle.getMockImplementation()));
+
+      const result = await quote('UNI', 'USDC', '50', { concurrency: 3 });
+
+      expect(result.path).toEqual([UNI, WETH, USDC]);
+      expect(peak).toBe(3);
+    });
+  });
+
+  describe('swap engine', () => {
+    let book;
+
+    beforeEach(() => {
+      const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+      getSecurityLayer.mockReturnValue(createSecurityLayer({ logger, enableRpcHealthChecks: false }));
+      book = new CostBasisBook({ filePath: null });
+      getCostBasisBook.mockReturnValue(book);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should drive Uniswap V2 forks configured as a chain\'s V2 router', () => {
+      expect(swapEngine.getSupportedDexes(81457)).toContain('uniswapV2');
+      expect(swapEngine.getSupportedDexes(324)).toEqual(['aggregator']);
+    });
+
+    test('should rank the routed quote against single-pool and aggregator quotes', async () => {
+      mockPools([
+        ['v2', WETH, USDC, eth(100), usd(300000)],
+        ['v3', WETH, USDC, eth(100), usd(300000), 500],
+      ]);
+
+      const routes = await swapEngine.getBestRoute({ fromToken: 'ETH', toToken: 'USDC', amount: '20', chainId: CHAIN });
+
+      expect(routes.best.dex).toBe('smartRouter');
+      expect(routes.alternatives.map(q => q.dex)).toEqual(expect.arrayContaining(['uniswapV2', 'uniswapV3', 'aggregator']));
+
+      const response = ai.generateResponse(routes, { type: 'QUOTE' });
+      expect(response.text).toContain('Best route via: smartRouter');
+      expect(response.text).toContain('Split across 2 routes:');
+      expect(response.text).toMatch(/Next best: [\d.]+ USDC via uniswapV3/);
+    });
+
+    test('should execute each leg of a split with its own minimum output', async () => {
+      const { v2 } = mockPools([
+        ['v2', WETH, USDC, eth(100), usd(300000)],
+        ['v3', WETH, USDC, eth(100), usd(300000), 500],
+      ]);
+      const v2Router = { populateTransaction: { swapExactETHForTokens: jest.fn().mockResolvedValue({ to: 'v2' }) } };
+      const v3Router = { populateTransaction: { exactInputSingle: jest.fn().mockResolvedValue({ to: 'v3' }) } };
+      contracts.getUniswapV2Router.mockImplementation((chainId, signer) => (signer ? v2Router : v2));
+      contracts.getUniswapV3Router.mockReturnValue(v3Router);
+      wallets.getConnectedWallet.mockReturnValue({ getAddress: async () => USER });
+      wallets.hasSufficientBalance.mockResolvedValue(true);
+      sendSecuredTransaction
+        .mockResolvedValueOnce({ status: 'confirmed', hash: '0xleg1', gasUsed: '120000' })
+        .mockResolvedValueOnce({ status: 'confirmed', hash: '0xleg2', gasUsed: '150000' });
+
+      const routed = await quote('ETH', 'USDC', '20');
+      jest.spyOn(smartRouter, 'getQuote').mockResolvedValue(routed);
+
+      const result = await swapEngine.executeSwap({
+        fromToken: 'ETH', toToken: 'USDC', amount: '20', chainId: CHAIN, dex: 'smartRouter', slippage: 1,
+      });
+
+      expect(result).toMatchObject({ success: true, dex: 'smartRouter', txHash: '0xleg2', gasUsed: '270000' });
+      expect(result.legs.map(leg => leg.txHash)).toEqual(['0xleg1', '0xleg2']);
+      expect(sendSecuredTransaction).toHaveBeenCalledTimes(2);
+
+      const v2Leg = routed.routes.find(r => r.dex === 'uniswapV2');
+      const [minOut, path] = v2Router.populateTransaction.swapExactETHForTokens.mock.calls[0];
+      expect(path).toEqual([WETH, USDC]);
+      expect(minOut.lt(v2Leg.amountOutRaw)).toBe(true);
+      expect(v3Router.populateTransaction.exactInputSingle.mock.calls[0][1]).toEqual({ value: eth(10) });
+      expect(book.getEvents()).toEqual([expect.objectContaining({
+        type: 'swap', wallet: USER, fromToken: 'ETH', toToken: 'USDC', amountIn: '20.0', txHash: '0xleg2',
+        valueUsd: parseFloat(result.amountOut),
+      })]);
+    });
+
+    test('should hold each leg to its share of a caller floor', async () => {
+      const { v2 } = mockPools([
+        ['v2', WETH, USDC, eth(100), usd(300000)],
+        ['v3', WETH, USDC, eth(100), usd(300000), 500],
+      ]);
+      const v2Router = { populateTransaction: { swapExactETHForTokens: jest.fn().mockResolvedValue({ to: 'v2' }) } };
+      const v3Router = { populateTransaction: { exactInputSingle: jest.fn().mockResolvedValue({ to: 'v3' }) } };
+      contracts.getUniswapV2Router.mockImplementation((chainId, signer) => (signer ? v2Router : v2));
+      contracts.getUniswapV3Router.mockReturnValue(v3Router);
+      wallets.getConnectedWallet.mockReturnValue({ getAddress: async () => USER });
+      wallets.hasSufficientBalance.mockResolvedValue(true);
+      sendSecuredTransaction.mockResolvedValue({ status: 'confirmed', hash: '0xleg', gasUsed: '100000' });
+
+      const routed = await quote('ETH', 'USDC', '20');
+      jest.spyOn(smartRouter, 'getQuote').mockResolvedValue(routed);
+      const swap = (minAmountOut) => swapEngine.executeSwap({
+        fromToken: 'ETH', toToken: 'USDC', amount: '20', chainId: CHAIN, dex: 'smartRouter', minAmountOut,
+      });
+
+      await expect(swap('55000')).rejects.toThrow(SlippageExceededError);
+      expect(sendSecuredTransaction).not.toHaveBeenCalled();
+
+      // A floor above the slippage minimum binds every leg
+      await swap('54400');
+      const [minOut] = v2Router.populateTransaction.swapExactETHForTokens.mock.calls[0];
+      const v2Leg = routed.routes.find(r => r.dex === 'uniswapV2');
+      expect(minOut.toString()).toBe(usd(54400).mul(v2Leg.amountOutRaw).div(routed.amountOutRaw).toString());
+      expect(minOut.lte(v2Leg.amountOutRaw)).toBe(true);
+    });
+
+    test('should stop after a failed leg', async () => {
+      mockPools([
+        ['v2', WETH, USDC, eth(100), usd(300000)],
+        ['v3', WETH, USDC, eth(100), usd(300000), 500],
+      ]);
+      const routed = await quote('ETH', 'USDC', '20');
+      jest.spyOn(smartRouter, 'getQuote').mockResolvedValue(routed);
+      contracts.getUniswapV2Router.mockReturnValue({ populateTransaction: { swapExactETHForTokens: jest.fn().mockResolvedValue({}) } });
+      contracts.getUniswapV3Router.mockReturnValue({ populateTransaction: { exactInputSingle: jest.fn().mockResolvedValue({}) } });
+      wallets.getConnectedWallet.mockReturnValue({ getAddress: async () => USER });
+      wallets.hasSufficientBalance.mockResolvedValue(true);
+      sendSecuredTransaction.mockResolvedValueOnce({ status: 'failed', hash: '0xleg1', gasUsed: '90000' });
+
+      const result = await swapEngine.executeSwap({
+        fromToken: 'ETH', toToken: 'USDC', amount: '20', chainId: CHAIN, dex: 'smartRouter',
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.partial).toBe(false);
+      expect(result.legs).toHaveLength(1);
+      expect(sendSecuredTransaction).toHaveBeenCalledTimes(1);
+      expect(book.getEvents()).toEqual([]);
+    });
+
+    test('should report the confirmed legs of a split that stopped part way', async () => {
+      mockPools([
+        ['v2', WETH, USDC, eth(100), usd(300000)],
+        ['v3', WETH, USDC, eth(100), usd(300000), 500],
+      ]);
+      const routed = await quote('ETH', 'USDC', '20');
+      jest.spyOn(smartRouter, 'getQuote').mockResolvedValue(routed);
+      contracts.getUniswapV2Router.mockReturnValue({ populateTransaction: { swapExactETHForTokens: jest.fn().mockResolvedValue({}) } });
+      contracts.getUniswapV3Router.mockReturnValue({ populateTransaction: { exactInputSingle: jest.fn().mockResolvedValue({}) } });
+      wallets.getConnectedWallet.mockReturnValue({ getAddress: async () => USER });
+      wallets.hasSufficientBalance.mockResolvedValue(true);
+
+      const [first, second] = routed.routes;
+      sendSecuredTransaction
+        .mockResolvedValueOnce({
+          status: 'confirmed', hash: '0xleg1', gasUsed: '120000',
+          receipt: swapReceipt(first.dex, first.amountInRaw, usd(27000)),
+        })
+        .mockResolvedValueOnce({ status: 'failed', hash: '0xleg2', gasUsed: '90000' });
+
+      const result = await swapEngine.executeSwap({
+        fromToken: 'ETH', toToken: 'USDC', amount: '20', chainId: CHAIN, dex: 'smartRouter',
+      });
+
+      expect(result).toMatchObject({ success: false, partial: true });
+      expect(result.executed).toEqual({
+        legs: 1,
+        txHashes: ['0xleg1'],
+        amountIn: first.amountIn,
+        amountOut: '27000.0',
+        amountInRemaining: second.amountIn,
+      });
+      expect(result.error).toBe(
+        `Split swap stopped after 1 of 2 legs: ${first.amountIn} ETH was swapped for 27000.0 USDC; ` +
+        `the remaining ${second.amountIn} ETH was not swapped`
+      );
+      expect(ai.generateResponse(result, { type: 'SWAP', chainId: CHAIN }).text).toContain('Split swap stopped after 1 of 2 legs');
+      expect(book.getEvents()).toEqual([expect.objectContaining({
+        type: 'swap', fromToken: 'ETH', toToken: 'USDC', amountIn: first.amountIn, amountOut: '27000.0', txHash: '0xleg1',
+      })]);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Tax Lot Tests
+ *
+ * Covers building lots from claims, swaps, internal transfers and external
+ * sends, FIFO, LIFO and HIFO disposals, the generic, Koinly and CoinTracker
+ * CSV layouts, and recording transfers from the transfer engine.
+ */
+
+jest.mock('../../src/core/wallets', () => ({
+  getAllWalletAddresses: jest.fn(),
+  resolveWalletIdentifier: jest.fn(),
+}));
+
+jest.mock('../../src/engines/transfer/single', () => ({
+  transfer: jest.fn(),
+}));
+
+jest.mock('../../src/engines/portfolio/costBasis', () => {
+  const actual = jest.requireActual('../../src/engines/portfolio/costBasis');
+  return { ...actual, getCostBasisBook: jest.fn(actual.getCostBasisBook) };
+});
+
+const wallets = require('../../src/core/wallets');
+const single = require('../../src/engines/transfer/single');
+const transferEngine = require('../../src/engines/transfer');
+const { CostBasisBook, getCostBasisBook } = require('../../src/engines/portfolio/costBasis');
+const { buildTaxReport, formatTaxReport, getTaxReport, exportTaxReport } = require('../../src/engines/portfolio/tax');
+
+const WALLET_1 = '0x1111111111111111111111111111111111111111';
+const WALLET_2 = '0x2222222222222222222222222222222222222222';
+const EXTERNAL = '0x3333333333333333333333333333333333333333';
+
+const at = (date) => Date.parse(`${date}T12:00:00Z`);
+const getPrice = async symbol => (symbol === 'ARB' ? { price: 1.2, source: 'oracle' } : null);
+
+/**
+ * ARB claimed in 2024 and bought in 2025 by wallet 1, 150 moved to wallet 2,
+ * which sells 120 in 2026
+ */
+async function seedBook() {
+  const book = new CostBasisBook({ filePath: null, getPrice });
+  await book.recordClaim({ wallet: WALLET_1, chainId: 42161, protocol: 'arbitrum', token: 'ARB', amount: '100', txHash: '0x01', timestamp: at('2024-01-10') });
+  await book.recordSwap({ wallet: WALLET_1, chainId: 42161, fromToken: 'USDC', toToken: 'ARB', amountIn: '1000', amountOut: '500', txHash: '0x02', timestamp: at('2025-06-01') });
+  await book.recordTransfer({ from: WALLET_1, to: WALLET_2, chainId: 42161, token: 'ARB', amount: '150', txHash: '0x03', timestamp: at('2025-09-01') });
+  await book.recordSwap({ wallet: WALLET_2, chainId: 42161, fromToken: 'ARB', toToken: 'USDC', amountIn: '120', amountOut: '300', txHash: '0x04', timestamp: at('2026-03-01') });
+  return book;
+}
+
+describe('Tax report', () => {
+  let book;
+
+  beforeEach(async () => {
+    book = await seedBook();
+  });
+
+  test('should carry lots across internal transfers and dispose of them FIFO', () => {
+    const report = buildTaxReport(book.getEvents(), { method: 'fifo' });
+
+    expect(report.income).toEqual([expect.objectContaining({ asset: 'ARB', amount: 100, valueUsd: 120 })]);
+    expect(report.transfers).toEqual([expect.objectContaining({ wallet: WALLET_1, to: WALLET_2, amount: 150, costBasisUsd: 220 })]);
+    expect(report.disposals).toEqual([
+      expect.objectContaining({ wallet: WALLET_2, amount: 100, acquiredAt: at('2024-01-10'), term: 'long', proceedsUsd: 250, costBasisUsd: 120, gainUsd: 130 }),
+      expect.objectContaining({ wallet: WALLET_2, amount: 20, acquiredAt: at('2025-06-01'), term: 'short', proceedsUsd: 50, costBasisUsd: 40, gainUsd: 10 }),
+    ]);
+    expect(report.summary).toMatchObject({ gainUsd: 140, longTermGainUsd: 130, shortTermGainUsd: 10, missingBasis: 0 });
+  });
+
+  test('should dispose of the highest cost lots first with HIFO and the newest with LIFO', async () => {
+    // The transfer already moved the bought lot, so only it reaches wallet 2
+    const hifo = buildTaxReport(book.getEvents(), { method: 'HIFO' });
+    expect(hifo.transfers[0].costBasisUsd).toBe(300);
+    expect(hifo.disposals.map(row => [row.amount, row.costBasisUsd])).toEqual([[120, 240]]);
+
+    await book.recordClaim({ wallet: WALLET_2, chainId: 42161, protocol: 'arbitrum', token: 'ARB', amount: '10', txHash: '0x05', timestamp: at('2026-04-01') });
+    await book.recordSwap({ wallet: WALLET_2, chainId: 42161, fromToken: 'ARB', toToken: 'USDC', amountIn: '10', amountOut: '20', txHash: '0x06', timestamp: at('2026-05-01') });
+    const lifo = buildTaxReport(book.getEvents(), { method: 'lifo' });
+    expect(lifo.disposals[lifo.disposals.length - 1]).toMatchObject({ amount: 10, acquiredAt: at('2026-04-01'), costBasisUsd: 12 });
+  });
+
+  test('should flag disposals beyond the tracked lots as missing cost basis', async () => {
+    await book.recordSwap({ wallet: WALLET_1, chainId: 42161, fromToken: 'ARB', toToken: 'USDC', amountIn: '500', amountOut: '1000', txHash: '0x07', timestamp: at('2026-06-01') });
+
+    const { disposals, summary } = buildTaxReport(book.getEvents(), { since: at('2026-06-01') });
+    expect(disposals).toEqual([
+      expect.objectContaining({ amount: 450, costBasisUsd: 900, gainUsd: 0, missingBasis: false }),
+      expect.objectContaining({ amount: 50, proceedsUsd: 100, costBasisUsd: null, gainUsd: null, missingBasis: true }),
+    ]);
+    expect(summary).toMatchObject({ proceedsUsd: 1000, missingBasis: 1 });
+  });
+
+  test('should take lots sent to an external address out of later disposals', async () => {
+    await book.recordSend({ from: WALLET_1, to: EXTERNAL, chainId: 42161, token: 'ARB', amount: '400', txHash: '0x08', timestamp: at('2026-04-01') });
+    await book.recordSwap({ wallet: WALLET_1, chainId: 42161, fromToken: 'ARB', toToken: 'USDC', amountIn: '100', amountOut: '200', txHash: '0x09', timestamp: at('2026-05-01') });
+
+    const report = buildTaxReport(book.getEvents(), { since: at('2026-04-01') });
+    expect(report.withdrawals).toEqual([
+      expect.objectContaining({ wallet: WALLET_1, to: EXTERNAL, amount: 400, costBasisUsd: 800, missingBasis: false, needsReview: true }),
+    ]);
+    expect(report.disposals).toEqual([
+      expect.objectContaining({ amount: 50, costBasisUsd: 100, missingBasis: false }),
+      expect.objectContaining({ amount: 50, costBasisUsd: null, missingBasis: true }),
+    ]);
+    expect(report.summary).toMatchObject({ missingBasis: 1, needsReview: 1 });
+    expect(book.getPosition('ARB')).toMatchObject({ quantity: 0, untrackedDisposed: 20 });
+    expect(formatTaxReport(report).split('\n')[1]).toBe(
+      `2026-04-01T12:00:00.000Z,withdrawal,${WALLET_1},${EXTERNAL},42161,ARB,400,,,,800.00,,,Sent to external address; not counted as a disposal; needs review,0x08`
+    );
+  });
+
+  test('should report one year using lots from earlier years', () => {
+    getCostBasisBook.mockReturnValue(book);
+    const report = getTaxReport({ year: 2026 });
+
+    expect(report.income).toHaveLength(0);
+    expect(report.transfers).toHaveLength(0);
+    expect(report.disposals).toHaveLength(2);
+    expect(report.since).toBe(Date.UTC(2026, 0, 1));
+  });
+
+  test('should reject unknown lot methods and export formats', () => {
+    expect(() => buildTaxReport([], { method: 'avg' })).toThrow('Unknown lot method: avg');
+    expect(() => formatTaxReport(buildTaxReport([]), 'turbotax')).toThrow('Unknown export format: turbotax');
+  });
+});
+
+describe('Tax export', () => {
+  let book;
+
+  beforeEach(async () => {
+    book = await seedBook();
+    getCostBasisBook.mockReturnValue(book);
+  });
+
+  test('should export lot-level rows as generic CSV', () => {
+    const lines = exportTaxReport().split('\n');
+
+    expect(lines[0]).toBe('Date,Type,Wallet,To,Chain,Asset,Amount,Acquired,Term,Proceeds USD,Cost Basis USD,Gain USD,Income USD,Notes,Tx Hash');
+    expect(lines).toHaveLength(5);
+    expect(lines[1]).toBe(`2024-01-10T12:00:00.000Z,income,${WALLET_1},,42161,ARB,100,,,,,,120.00,Airdrop: arbitrum,0x01`);
+    expect(lines[2]).toBe(`2025-09-01T12:00:00.000Z,transfer,${WALLET_1},${WALLET_2},42161,ARB,150,,,,220.00,,,Transfer between own wallets (not taxable),0x03`);
+    expect(lines[3]).toBe(`2026-03-01T12:00:00.000Z,disposal,${WALLET_2},,42161,ARB,100,2024-01-10T12:00:00.000Z,long,250.00,120.00,130.00,,Swapped for USDC,0x04`);
+  });
+
+  test('should export transactions in the Koinly layout', () => {
+    const lines = exportTaxReport({ format: 'koinly' }).split('\n');
+
+    expect(lines[0]).toBe('Date,Sent Amount,Sent Currency,Received Amount,Received Currency,Fee Amount,Fee Currency,Net Worth Amount,Net Worth Currency,Label,Description,TxHash');
+    expect(lines.slice(1)).toEqual([
+      '2024-01-10 12:00:00 UTC,,,100,ARB,,,120.00,USD,airdrop,arbitrum claim,0x01',
+      '2025-06-01 12:00:00 UTC,1000,USDC,500,ARB,,,1000.00,USD,,Swap,0x02',
+      `2025-09-01 12:00:00 UTC,150,ARB,,,,,,,,Transfer to own wallet ${WALLET_2},0x03`,
+      `2025-09-01 12:00:00 UTC,,,150,ARB,,,,,,Transfer from own wallet ${WALLET_1},0x03`,
+      '2026-03-01 12:00:00 UTC,120,ARB,300,USDC,,,300.00,USD,,Swap,0x04',
+    ]);
+  });
+
+  test('should export transactions in the CoinTracker layout', () => {
+    const lines = exportTaxReport({ format: 'cointracker', year: 2024 }).split('\n');
+
+    expect(lines).toEqual([
+      'Date,Received Quantity,Received Currency,Sent Quantity,Sent Currency,Fee Amount,Fee Currency,Tag',
+      '01/10/2024 12:00:00,100,ARB,,,,,airdrop',
+    ]);
+  });
+});
+
+describe('Transfer engine', () => {
+  let book;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    book = new CostBasisBook({ filePath: null, getPrice });
+    getCostBasisBook.mockReturnValue(book);
+    wallets.getAllWalletAddresses.mockReturnValue([
+      { address: WALLET_1, alias: 'primary', index: 0 },
+      { address: WALLET_2, alias: 'wallet2', index: 1 },
+    ]);
+  });
+
+  test('should record transfers into managed wallets and sends to external addresses', async () => {
+    single.transfer
+      .mockResolvedValueOnce({ success: true, txHash: '0xT1', from: WALLET_1, to: WALLET_2, amount: '5.0', token: 'ARB' })
+      .mockResolvedValueOnce({ success: true, txHash: '0xT2', from: WALLET_1, to: EXTERNAL, amount: '5.0', token: 'ARB' });
+
+    await transferEngine.executeTransfer({ token: 'ARB', amount: '5', to: WALLET_2, chainId: 42161 });
+    await transferEngine.executeTransfer({ token: 'ARB', amount: '5', to: EXTERNAL, chainId: 42161 });
+
+    expect(book.getEvents()).toEqual([
+      expect.objectContaining({ id: `transfer:0xT1:${WALLET_2}`, type: 'transfer', wallet: WALLET_1, to: WALLET_2, token: 'ARB', amount: '5.0' }),
+      expect.objectContaining({ id: `send:0xT2:${EXTERNAL}`, type: 'send', wallet: WALLET_1, to: EXTERNAL, token: 'ARB', amount: '5.0' }),
+    ]);
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * Vesting Tracker Tests
+ *
+ * Covers vesting schedule parsing, linear/cliff/tranche unlock maths,
+ * on-chain vesting contract reads and unlock notifications.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { parseCampaign } = require('../../src/engines/airdrop/rules');
+const {
+  VestingTracker,
+  VESTING_EVENT,
+  unlockedAmount,
+  nextUnlock,
+  parseVesting,
+} = require('../../src/engines/airdrop/vesting');
+const campaigns = require('../../src/engines/airdrop/campaigns');
+const { ValidationError } = require('../../src/utils/errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.parse('2026-01-01T00:00:00Z');
+const WALLET = '0x1111111111111111111111111111111111111111';
+const VESTER = '0x5555555555555555555555555555555555555555';
+const TOKEN = '0x6666666666666666666666666666666666666666';
+
+const units = (value) => ethers.utils.parseUnits(String(value), 18);
+
+const LINEAR = { type: 'linear', start: START, end: START + 100 * DAY, cliff: START + 25 * DAY };
+const TRANCHES = {
+  type: 'tranches',
+  tranches: [
+    { at: START + 60 * DAY, percent: 50 },
+    { at: START, percent: 12.5 },
+    { at: START + 30 * DAY, percent: 37.5 },
+  ],
+};
+
+function createTracker(options = {}) {
+  return new VestingTracker({
+    filePath: null,
+    notify: jest.fn().mockResolvedValue([]),
+    notifyStep: 10,
+    ...options,
+  });
+}
+
+const allocation = (overrides = {}) => ({
+  protocol: 'vestdrop',
+  wallet: WALLET,
+  amount: units(1000).toString(),
+  schedule: LINEAR,
+  token: { symbol: 'VD', decimals: 18 },
+  txHash: '0xclaim',
+  claimedAt: START,
+  ...overrides,
+});
+
+describe('Vesting', () => {
+  describe('parseVesting', () => {
+    test('should normalize each schedule type', () => {
+      expect(parseVesting({ type: 'linear', start: '2026-01-01T00:00:00Z', end: START + DAY }, 'x'))
+        .toEqual({ type: 'linear', start: START, end: START + DAY, cliff: null });
+      expect(parseVesting({ type: 'cliff', at: START }, 'x')).toEqual({ type: 'cliff', at: START });
+      expect(parseVesting(TRANCHES, 'x').tranches.map(t => t.percent)).toEqual([12.5, 37.5, 50]);
+      expect(parseVesting(null, 'x')).toBeNull();
+    });
+
+    test('should reject invalid schedules', () => {
+      expect(() => parseVesting({ type: 'weekly' }, 'x')).toThrow(/unknown vesting type/);
+      expect(() => parseVesting({ type: 'linear', start: START, end: START }, 'x')).toThrow(ValidationError);
+      expect(() => parseVesting({ ...LINEAR, cliff: START - DAY }, 'x')).toThrow(/between start and end/);
+      expect(() => parseVesting({ type: 'cliff' }, 'x')).toThrow(/needs an unlock time/);
+      expect(() => parseVesting({ type: 'tranches', tranches: [{ at: START, percent: 80 }, { at: START + DAY, percent: 30 }] }, 'x'))
+        .toThrow(/more than 100%/);
+      expect(() => parseVesting({ type: 'cliff', at: START, contract: { address: '0x12', chainId: 1 } }, 'x'))
+        .toThrow(/needs an address and chainId/);
+    });
+
+    test('should parse vesting in a campaign claim block', () => {
+      const campaign = parseCampaign({ id: 'vestdrop', claim: { vesting: { type: 'cliff', at: START } } });
+      expect(campaign.claim.vesting).toEqual({ type: 'cliff', at: START });
+    });
+  });
+
+  describe('unlock schedule', () => {
+    const total = units(1000);
+    const at = (schedule, days) => ethers.utils.formatUnits(unlockedAmount(total, parseVesting(schedule, 'x'), START + days * DAY), 18);
+
+    test('should unlock linearly after the cliff', () => {
+      expect(at(LINEAR, 24)).toBe('0.0');
+      expect(at(LINEAR, 25)).toBe('250.0');
+      expect(at(LINEAR, 50)).toBe('500.0');
+      expect(at(LINEAR, 150)).toBe('1000.0');
+    });
+
+    test('should unlock everything at the cliff', () => {
+      const cliff = { type: 'cliff', at: START + 10 * DAY };
+      expect(at(cliff, 9)).toBe('0.0');
+      expect(at(cliff, 10)).toBe('1000.0');
+    });
+
+    test('should unlock tranche percentages in order', () => {
+      expect(at(TRANCHES, 0)).toBe('125.0');
+      expect(at(TRANCHES, 45)).toBe('500.0');
+      expect(at(TRANCHES, 60)).toBe('1000.0');
+    });
+
+    test('should report the next discrete unlock', () => {
+      expect(nextUnlock(parseVesting(LINEAR, 'x'), START)).toBe(START + 25 * DAY);
+      expect(nextUnlock(parseVesting(LINEAR, 'x'), START + 30 * DAY)).toBe(START + 100 * DAY);
+      expect(nextUnlock(parseVesting(TRANCHES, 'x'), START + DAY)).toBe(START + 30 * DAY);
+      expect(nextUnlock(parseVesting(TRANCHES, 'x'), START + 60 * DAY)).toBeNull();
+    });
+  });
+
+  describe('VestingTracker', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should validate allocations', () => {
+      const tracker = createTracker();
+
+      expect(() => tracker.recordAllocation(allocation({ wallet: '0x12' }))).toThrow(/Invalid wallet/);
+      expect(() => tracker.recordAllocation(allocation({ amount: '0' }))).toThrow(/must be positive/);
+      expect(() => tracker.recordAllocation(allocation({ schedule: null }))).toThrow(/needs a schedule/);
+      expect(() => tracker.recordAllocation(allocation({
+        schedule: { ...LINEAR, contract: { address: VESTER, chainId: 1, type: 'vestingWallet' } },
+      }))).toThrow(/need the token address/);
+    });
+
+    test('should report schedule status', async () => {
+      const tracker = createTracker();
+      const recorded = tracker.recordAllocation(allocation());
+
+      const status = await tracker.getStatus(recorded, START + 50 * DAY);
+      expect(status).toMatchObject({
+        protocol: 'vestdrop',
+        symbol: 'VD',
+        total: '1000.0',
+        unlocked: '500.0',
+        locked: '500.0',
+        claimable: '0.0',
+        percentUnlocked: 50,
+        nextUnlock: new Date(START + 100 * DAY).toISOString(),
+        source: 'schedule',
+      });
+    });
+
+    test('should notify as unlocks pass the step and on the final unlock', async () => {
+      const tracker = createTracker();
+      const listener = jest.fn();
+      tracker.on(`vesting:${VESTING_EVENT.UNLOCKED}`, listener);
+      tracker.recordAllocation(allocation());
+
+      expect(await tracker.check(START + 10 * DAY)).toEqual([]);
+
+      const [first] = await tracker.check(START + 25 * DAY);
+      expect(first).toMatchObject({ event: 'unlocked', amount: '250.0', unlocked: '250.0' });
+
+      // 5% more is under the 10% step
+      expect(await tracker.check(START + 30 * DAY)).toEqual([]);
+
+      const [second] = await tracker.check(START + 40 * DAY);
+      expect(second.amount).toBe('150.0');
+
+      const [last] = await tracker.check(START + 120 * DAY);
+      expect(last).toMatchObject({ amount: '600.0', unlocked: '1000.0', nextUnlock: null });
+      expect(await tracker.check(START + 130 * DAY)).toEqual([]);
+
+      expect(tracker.notify).toHaveBeenCalledTimes(3);
+      expect(listener).toHaveBeenCalledTimes(3);
+    });
+
+    test('should retry notifications that fail', async () => {
+      const tracker = createTracker({ notify: jest.fn().mockRejectedValueOnce(new Error('down')).mockResolvedValue([]) });
+      tracker.recordAllocation(allocation({ schedule: { type: 'cliff', at: START } }));
+
+      expect(await tracker.check(START)).toEqual([]);
+      expect(await tracker.check(START + DAY)).toHaveLength(1);
+    });
+
+    test('should read claimable amounts from a vesting contract', async () => {
+      const contract = {
+        claimed: jest.fn().mockResolvedValue(units(100)),
+        claimable: jest.fn().mockResolvedValue(units(200)),
+      };
+      jest.spyOn(ethers, 'Contract').mockImplementation(() => contract);
+      const getProvider = jest.fn().mockReturnValue({});
+
+      const tracker = createTracker({ getProvider });
+      const recorded = tracker.recordAllocation(allocation({
+        schedule: { ...LINEAR, contract: { address: VESTER, chainId: 42161 } },
+      }));
+
+      const status = await tracker.getStatus(recorded, START + 30 * DAY);
+      expect(getProvider).toHaveBeenCalledWith(42161);
+      expect(contract.claimable).toHaveBeenCalledWith(WALLET);
+      expect(status).toMatchObject({ unlocked: '300.0', released: '100.0', claimable: '200.0', source: 'contract' });
+
+      const [notice] = await tracker.check(START + 30 * DAY);
+      expect(notice).toMatchObject({ event: 'claimable', amount: '200.0', claimable: '200.0' });
+
+      // Released tokens lower the watermark, so the next accrual is reported again
+      contract.claimed.mockResolvedValue(units(300));
+      contract.claimable.mockResolvedValue(units(0));
+      expect(await tracker.check(START + 31 * DAY)).toEqual([]);
+      contract.claimable.mockResolvedValue(units(150));
+      expect((await tracker.check(START + 45 * DAY))[0].amount).toBe('150.0');
+    });
+
+    test('should read VestingWallet state by token and fall back to the schedule on errors', async () => {
+      const contract = {
+        released: jest.fn().mockResolvedValue(units(0)),
+        releasable: jest.fn().mockRejectedValue(new Error('call reverted')),
+      };
+      jest.spyOn(ethers, 'Contract').mockImplementation(() => contract);
+
+      const tracker = createTracker({ getProvider: () => ({}) });
+      const recorded = tracker.recordAllocation(allocation({
+        schedule: { ...LINEAR, contract: { address: VESTER, chainId: 1, type: 'vestingWallet' } },
+        token: { address: TOKEN, symbol: 'VD', decimals: 18 },
+      }));
+
+      const status = await tracker.getStatus(recorded, START + 50 * DAY);
+      expect(contract.released).toHaveBeenCalledWith(TOKEN);
+      expect(status).toMatchObject({ unlocked: '500.0', source: 'schedule' });
+    });
+
+    test('should record claims whose campaign declares vesting', () => {
+      jest.spyOn(campaigns, 'getCampaign').mockReturnValue({ claim: { vesting: parseVesting(TRANCHES, 'vestdrop') } });
+      const tracker = createTracker();
+
+      const recorded = tracker.recordClaim('vestdrop', WALLET, { chainId: 324, symbol: 'VD', decimals: 18 }, {
+        claimable: units(40),
+      }, '0xhash');
+
+      expect(recorded).toMatchObject({ id: `vestdrop:${WALLET}:0xhash`, chainId: 324, total: units(40).toString() });
+      expect(tracker.listAllocations({ protocol: 'VESTDROP' })).toHaveLength(1);
+
+      campaigns.getCampaign.mockReturnValue({ claim: {} });
+      expect(tracker.recordClaim('plain', WALLET, {}, { claimable: units(1) }, '0x2')).toBeNull();
+    });
+
+    test('should persist allocations and notification state', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vesting-'));
+      const filePath = path.join(dir, 'vesting.json');
+
+      const tracker = createTracker({ filePath });
+      tracker.recordAllocation(allocation({ schedule: { type: 'cliff', at: START } }));
+      await tracker.check(START);
+
+      const reloaded = createTracker({ filePath });
+      expect(reloaded.listAllocations({ wallet: WALLET })).toHaveLength(1);
+      expect(await reloaded.check(START + DAY)).toEqual([]);
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});
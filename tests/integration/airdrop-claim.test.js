@@ -0,0 +1,265 @@
+/**
+ * Airdrop Claim Integration Tests
+ *
+ * Verifies merkle distribution loading, proof generation and on-chain
+ * root verification before claims are sent through the security layer.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+jest.mock('../../src/core/wallets', () => ({
+  getConnectedWallet: jest.fn(),
+}));
+
+jest.mock('../../src/core/providers', () => ({
+  getProvider: jest.fn(),
+}));
+
+jest.mock('../../src/core/transactions', () => ({
+  sendSecuredTransaction: jest.fn(),
+}));
+
+jest.mock('../../src/engines/airdrop/vesting', () => {
+  const actual = jest.requireActual('../../src/engines/airdrop/vesting');
+  return { ...actual, getVestingTracker: jest.fn(actual.getVestingTracker) };
+});
+
+jest.mock('../../src/engines/portfolio/costBasis', () => {
+  const actual = jest.requireActual('../../src/engines/portfolio/costBasis');
+  return { ...actual, getCostBasisBook: jest.fn(actual.getCostBasisBook) };
+});
+
+const wallets = require('../../src/core/wallets');
+const { sendSecuredTransaction } = require('../../src/core/transactions');
+const { MerkleTree, verifyProof } = require('../../src/engines/airdrop/merkle');
+const {
+  DISTRIBUTOR_TYPES,
+  MerkleClaimProvider,
+  parseDistribution,
+  registerClaimProvider,
+  clearClaimProviders,
+} = require('../../src/engines/airdrop/claimData');
+const claim = require('../../src/engines/airdrop/claim');
+const { VestingTracker, getVestingTracker } = require('../../src/engines/airdrop/vesting');
+const { CostBasisBook, getCostBasisBook } = require('../../src/engines/portfolio/costBasis');
+
+const WALLET = '0x1234567890123456789012345678901234567890';
+const OTHER = '0x2222222222222222222222222222222222222222';
+const THIRD = '0x3333333333333333333333333333333333333333';
+const DISTRIBUTOR = '0x4444444444444444444444444444444444444444';
+
+const DISTRIBUTION = {
+  [WALLET]: '1000000000000000000',
+  [OTHER]: '2000000000000000000',
+  [THIRD]: '3000000000000000000',
+};
+
+describe('Airdrop Claims', () => {
+  let mockContract;
+  let mockSigner;
+  let book;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    book = new CostBasisBook({ filePath: null, getPrice: async () => null });
+    getCostBasisBook.mockReturnValue(book);
+
+    mockSigner = {
+      getAddress: jest.fn().mockResolvedValue(WALLET),
+    };
+    wallets.getConnectedWallet.mockReturnValue(mockSigner);
+
+    mockContract = {
+      merkleRoot: jest.fn(),
+      isClaimed: jest.fn().mockResolvedValue(false),
+      cumulativeClaimed: jest.fn().mockResolvedValue(ethers.constants.Zero),
+      populateTransaction: {
+        claim: jest.fn().mockResolvedValue({ to: DISTRIBUTOR, data: '0xclaim' }),
+      },
+    };
+    jest.spyOn(ethers, 'Contract').mockImplementation(() => mockContract);
+
+    sendSecuredTransaction.mockResolvedValue({
+      hash: '0xClaimHash',
+      status: 'confirmed',
+      explorerUrl: 'https://explorer/tx/0xClaimHash',
+    });
+  });
+
+  afterEach(() => {
+    clearClaimProviders();
+    delete claim.CLAIM_CONTRACTS.testdrop;
+    jest.restoreAllMocks();
+  });
+
+  describe('MerkleTree', () => {
+    test('generates proofs that verify against the root', () => {
+      const leaves = ['a', 'b', 'c', 'd', 'e'].map(x => ethers.utils.id(x));
+      const tree = new MerkleTree(leaves);
+
+      for (const leaf of leaves) {
+        expect(verifyProof(leaf, tree.getProof(leaf), tree.getRoot())).toBe(true);
+      }
+      expect(verifyProof(ethers.utils.id('z'), tree.getProof(leaves[0]), tree.getRoot())).toBe(false);
+    });
+
+    test('root does not depend on leaf order', () => {
+      const leaves = ['a', 'b', 'c'].map(x => ethers.utils.id(x));
+      expect(new MerkleTree(leaves).getRoot()).toBe(new MerkleTree([...leaves].reverse()).getRoot());
+    });
+  });
+
+  describe('parseDistribution', () => {
+    test('parses CSV with header and assigns sorted indexes', () => {
+      const csv = `address,amount\n${OTHER},20\n${WALLET},10\n`;
+      const { entries } = parseDistribution(csv, 'csv', { humanReadable: true, decimals: 6 });
+
+      expect(entries).toHaveLength(2);
+      expect(entries[0].account).toBe(WALLET);
+      expect(entries[0].index).toBe(0);
+      expect(entries[0].amount.toString()).toBe('10000000');
+    });
+
+    test('parses Uniswap distributor output with published root', () => {
+      const { root, entries } = parseDistribution({
+        merkleRoot: '0xabc',
+        claims: { [WALLET]: { index: 5, amount: '0x0a', proof: [] } },
+      });
+
+      expect(root).toBe('0xabc');
+      expect(entries[0].index).toBe(5);
+      expect(entries[0].amount.toNumber()).toBe(10);
+    });
+
+    test('rejects invalid addresses', () => {
+      expect(() => parseDistribution({ notAnAddress: '1' })).toThrow('Invalid address');
+    });
+  });
+
+  describe('MerkleClaimProvider', () => {
+    test('loads a distribution file from disk', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'drop-'));
+      const file = path.join(dir, 'drop.csv');
+      fs.writeFileSync(file, Object.entries(DISTRIBUTION).map(([a, v]) => `${a},${v}`).join('\n'));
+
+      const provider = new MerkleClaimProvider({ protocol: 'testdrop', source: file, symbol: 'TD' });
+      const data = await provider.getClaim(WALLET.toLowerCase());
+
+      expect(data.account).toBe(WALLET);
+      expect(data.formattedAmount).toBe('1.0 TD');
+      expect(await provider.getClaim('0x5555555555555555555555555555555555555555')).toBeNull();
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('rejects a file whose published root does not match', async () => {
+      const provider = new MerkleClaimProvider({
+        protocol: 'testdrop',
+        content: { merkleRoot: ethers.constants.HashZero, claims: { [WALLET]: { index: 0, amount: '1' } } },
+      });
+
+      await expect(provider.getRoot()).rejects.toThrow('does not match its published merkle root');
+    });
+  });
+
+  describe('claim.execute', () => {
+    const register = async (type) => {
+      const provider = registerClaimProvider('testdrop', new MerkleClaimProvider({
+        protocol: 'testdrop',
+        type,
+        content: DISTRIBUTION,
+      }));
+      claim.registerClaimContract('testdrop', {
+        address: DISTRIBUTOR,
+        chainId: 1,
+        type,
+        symbol: 'TD',
+      });
+      mockContract.merkleRoot.mockResolvedValue(await provider.getRoot());
+      return provider;
+    };
+
+    test('claims from a Uniswap MerkleDistributor with a verified proof', async () => {
+      await register(DISTRIBUTOR_TYPES.MERKLE_DISTRIBUTOR);
+
+      const result = await claim.execute('testdrop', 'primary');
+
+      expect(result.success).toBe(true);
+      expect(result.amount).toBe('1.0 TD');
+      const [index, account, amount, proof] = mockContract.populateTransaction.claim.mock.calls[0];
+      expect(index).toBe(0);
+      expect(account).toBe(WALLET);
+      expect(amount.toString()).toBe(DISTRIBUTION[WALLET]);
+      expect(proof.length).toBeGreaterThan(0);
+      expect(mockContract.isClaimed).toHaveBeenCalledWith(0);
+      expect(sendSecuredTransaction).toHaveBeenCalledWith(mockSigner, { to: DISTRIBUTOR, data: '0xclaim' });
+    });
+
+    test('starts tracking vesting for claims with a schedule', async () => {
+      await register(DISTRIBUTOR_TYPES.MERKLE_DISTRIBUTOR);
+      claim.CLAIM_CONTRACTS.testdrop.vesting = { type: 'cliff', at: '2030-01-01T00:00:00Z' };
+      const tracker = new VestingTracker({ filePath: null, notify: jest.fn() });
+      getVestingTracker.mockReturnValue(tracker);
+
+      const result = await claim.execute('testdrop', 'primary');
+
+      expect(result.vestingId).toBe(`testdrop:${WALLET.toLowerCase()}:0xClaimHash`);
+      expect(tracker.getAllocation(result.vestingId)).toMatchObject({
+        total: DISTRIBUTION[WALLET],
+        token: { symbol: 'TD', decimals: 18 },
+      });
+    });
+
+    test('records claimed tokens as income at their price on receipt', async () => {
+      await register(DISTRIBUTOR_TYPES.MERKLE_DISTRIBUTOR);
+      book.getPrice = jest.fn().mockResolvedValue({ price: 2.5, source: 'dex' });
+
+      await claim.execute('testdrop', 'primary');
+
+      expect(book.getPrice).toHaveBeenCalledWith('TD', 1);
+      expect(book.getEvents()).toEqual([expect.objectContaining({
+        type: 'claim', protocol: 'testdrop', wallet: WALLET, token: 'TD', amount: '1.0', priceUsd: 2.5, valueUsd: 2.5,
+      })]);
+      expect(book.getPosition('TD')).toMatchObject({ quantity: 1, costUsd: 2.5 });
+    });
+
+    test('claims only the unclaimed remainder from cumulative distributors', async () => {
+      await register(DISTRIBUTOR_TYPES.CUMULATIVE);
+      mockContract.cumulativeClaimed.mockResolvedValue(ethers.BigNumber.from('400000000000000000'));
+
+      const result = await claim.execute('testdrop', 'primary');
+
+      expect(result.success).toBe(true);
+      expect(result.amount).toBe('0.6 TD');
+      const [account, cumulative, root] = mockContract.populateTransaction.claim.mock.calls[0];
+      expect(account).toBe(WALLET);
+      expect(cumulative.toString()).toBe(DISTRIBUTION[WALLET]);
+      expect(root).toBe(await mockContract.merkleRoot());
+    });
+
+    test('refuses to claim when the on-chain root differs', async () => {
+      await register(DISTRIBUTOR_TYPES.INDEXED);
+      mockContract.merkleRoot.mockResolvedValue(ethers.utils.id('rotated root'));
+
+      const result = await claim.execute('testdrop', 'primary');
+
+      expect(result.success).toBe(false);
+      expect(result.message).toMatch('on-chain merkle root');
+      expect(sendSecuredTransaction).not.toHaveBeenCalled();
+    });
+
+    test('reports already claimed allocations', async () => {
+      await register(DISTRIBUTOR_TYPES.ADDRESS);
+      mockContract.isClaimed.mockResolvedValue(true);
+
+      const result = await claim.execute('testdrop', 'primary');
+
+      expect(result.success).toBe(false);
+      expect(result.message).toBe('Airdrop already claimed for this wallet');
+      expect(mockContract.isClaimed).toHaveBeenCalledWith(WALLET);
+    });
+  });
+});
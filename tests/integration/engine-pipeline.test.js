@@ -0,0 +1,211 @@
+/**
+ * Engine Pipeline Integration Tests
+ *
+ * Verifies that state-changing engine calls execute through the shared
+ * security layer (simulation, approval, nonce reservation, emergency stop)
+ * instead of signing directly.
+ */
+
+const { ethers } = require('ethers');
+
+jest.mock('../../src/core/wallets', () => ({
+  getConnectedWallet: jest.fn(),
+  hasSufficientBalance: jest.fn().mockResolvedValue(true),
+}));
+
+jest.mock('../../src/core/providers', () => ({
+  getProvider: jest.fn(),
+  resolveAddress: jest.fn(async (address) => address),
+  getOptimalGasSettings: jest.fn().mockResolvedValue({}),
+  waitForTransaction: jest.fn(),
+}));
+
+jest.mock('../../src/security', () => {
+  const actual = jest.requireActual('../../src/security');
+  return { ...actual, getSecurityLayer: jest.fn(actual.getSecurityLayer) };
+});
+
+jest.mock('../../src/core/ledger', () => {
+  const actual = jest.requireActual('../../src/core/ledger');
+  return { ...actual, getLedger: jest.fn(actual.getLedger) };
+});
+
+const wallets = require('../../src/core/wallets');
+const providers = require('../../src/core/providers');
+const { createSecurityLayer, getSecurityLayer } = require('../../src/security');
+const { sendSecuredTransaction, getTransactionHistory } = require('../../src/core/transactions');
+const { TransactionLedger, getLedger } = require('../../src/core/ledger');
+const single = require('../../src/engines/transfer/single');
+
+const WALLET = '0x1234567890123456789012345678901234567890';
+const RECIPIENT = '0x2222222222222222222222222222222222222222';
+
+describe('Engine Security Pipeline', () => {
+  let mockLogger;
+  let mockProvider;
+  let mockSigner;
+  let mockContract;
+  let security;
+
+  beforeEach(() => {
+    mockLogger = {
+      debug: jest.fn(),
+      info: jest.fn(),
+      warn: jest.fn(),
+      error: jest.fn(),
+    };
+
+    mockProvider = {
+      getBlockNumber: jest.fn().mockResolvedValue(100),
+      getTransactionCount: jest.fn().mockResolvedValue(7),
+      call: jest.fn().mockResolvedValue('0x'),
+      estimateGas: jest.fn().mockResolvedValue(ethers.BigNumber.from(21000)),
+      getTransactionReceipt: jest.fn().mockResolvedValue({
+        status: 1,
+        blockNumber: 101,
+        gasUsed: ethers.BigNumber.from(21000),
+        logs: [],
+      }),
+    };
+
+    mockSigner = {
+      getAddress: jest.fn().mockResolvedValue(WALLET),
+      getChainId: jest.fn().mockResolvedValue(1),
+      sendTransaction: jest.fn().mockResolvedValue({ hash: '0xTransferHash' }),
+      connect: jest.fn().mockReturnThis(),
+    };
+
+    mockContract = {
+      allowance: jest.fn().mockResolvedValue(ethers.BigNumber.from(0)),
+      approve: jest.fn().mockResolvedValue({
+        hash: '0xApproveHash',
+        wait: jest.fn().mockResolvedValue({ status: 1, gasUsed: ethers.BigNumber.from(46000) }),
+      }),
+    };
+
+    jest.spyOn(ethers, 'Contract').mockImplementation(() => mockContract);
+
+    security = createSecurityLayer({
+      logger: mockLogger,
+      enableRpcHealthChecks: false,
+      mev: { preferPrivate: false },
+      approval: { autoRevoke: false },
+    });
+    jest.spyOn(security.rpcManager, 'getProvider').mockResolvedValue(mockProvider);
+    getSecurityLayer.mockReturnValue(security);
+    getLedger.mockReturnValue(new TransactionLedger());
+
+    wallets.getConnectedWallet.mockReturnValue(mockSigner);
+    providers.getProvider.mockReturnValue(mockProvider);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateAndExecute', () => {
+    test('reserves and confirms the nonce it sends with', async () => {
+      const result = await security.validateAndExecute({
+        chainId: 1,
+        walletAddress: WALLET,
+        signer: mockSigner,
+        prepareFn: async () => ({ tx: { to: RECIPIENT, value: 1 } }),
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.result.txHash).toBe('0xTransferHash');
+      expect(result.result.nonce).toBe(7);
+      expect(mockSigner.sendTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({ nonce: 7 })
+      );
+      expect(security.nonceManager.getStatus().totalPending).toBe(0);
+    });
+
+    test('simulates before sending and blocks reverting transactions', async () => {
+      mockProvider.call.mockRejectedValue(new Error('execution reverted'));
+
+      await expect(security.validateAndExecute({
+        chainId: 1,
+        walletAddress: WALLET,
+        signer: mockSigner,
+        prepareFn: async () => ({ tx: { to: RECIPIENT, data: '0x' } }),
+      })).rejects.toThrow('Simulation failed');
+
+      expect(mockSigner.sendTransaction).not.toHaveBeenCalled();
+    });
+
+    test('approves through ApprovalManager and simulates after approval', async () => {
+      const token = '0x3333333333333333333333333333333333333333';
+      const spender = '0x4444444444444444444444444444444444444444';
+
+      const result = await security.validateAndExecute({
+        chainId: 1,
+        walletAddress: WALLET,
+        signer: mockSigner,
+        approval: { token, spender, amount: ethers.BigNumber.from(1000) },
+        prepareFn: async () => ({ tx: { to: spender, data: '0x' } }),
+      });
+
+      expect(result.success).toBe(true);
+      expect(mockContract.approve).toHaveBeenCalledWith(spender, ethers.BigNumber.from(1000));
+      expect(result.result.approvalInfo).toEqual(expect.objectContaining({ token, spender }));
+      expect(security.approvalManager.getAllApprovals(WALLET)).toHaveLength(1);
+      expect(mockProvider.call.mock.invocationCallOrder[0])
+        .toBeGreaterThan(mockContract.approve.mock.invocationCallOrder[0]);
+    });
+
+    test('applies tiered slippage for swaps', async () => {
+      const result = await security.validateAndExecute({
+        chainId: 1,
+        walletAddress: WALLET,
+        signer: mockSigner,
+        fromToken: 'USDC',
+        toToken: 'USDT',
+        userSlippage: 0.02,
+        prepareFn: async () => ({ tx: { to: RECIPIENT } }),
+      });
+
+      const tracked = security.executionGuard.getTransaction(result.txId);
+      expect(tracked.data.prepareResult.slippage).toBe(0.005);
+    });
+  });
+
+  describe('sendSecuredTransaction', () => {
+    test('executes through the shared layer and records history', async () => {
+      const result = await sendSecuredTransaction(mockSigner, { to: RECIPIENT, value: 5 });
+
+      expect(result.status).toBe('confirmed');
+      expect(result.hash).toBe('0xTransferHash');
+      expect(result.executionId).toMatch(/^tx_/);
+      expect(getTransactionHistory({ limit: 1 })[0].hash).toBe('0xTransferHash');
+    });
+
+    test('refuses to send while emergency stop is active', async () => {
+      security.emergencyStop('test halt');
+
+      await expect(sendSecuredTransaction(mockSigner, { to: RECIPIENT, value: 5 }))
+        .rejects.toThrow('Emergency stop active');
+      expect(mockSigner.sendTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Transfer engine', () => {
+    test('native transfer is sent by the security layer, not the signer directly', async () => {
+      const spy = jest.spyOn(security, 'validateAndExecute');
+
+      const result = await single.transfer({
+        token: 'ETH',
+        amount: '0.1',
+        to: RECIPIENT,
+        chainId: 1,
+      });
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(result.success).toBe(true);
+      expect(result.txHash).toBe('0xTransferHash');
+      expect(mockSigner.sendTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({ to: RECIPIENT, nonce: 7 })
+      );
+    });
+  });
+});
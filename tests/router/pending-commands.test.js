@@ -0,0 +1,258 @@
+/**
+ * Pending Command Tests
+ *
+ * Covers the two-phase confirmation flow: confirmation ids, expiry,
+ * re-quoting against thresholds, confirm/cancel by id and queued airdrop
+ * plan steps.
+ */
+
+const { ethers } = require('ethers');
+
+jest.mock('../../src/ai', () => ({
+  processCommand: jest.fn(),
+  generateResponse: jest.fn(() => 'done'),
+  getSuggestions: jest.fn(() => []),
+  generateConfirmation: jest.fn(() => 'Please confirm'),
+}));
+
+jest.mock('../../src/router/validator', () => ({
+  validateCommand: jest.fn().mockResolvedValue({ valid: true }),
+}));
+
+jest.mock('../../src/engines/swap', () => ({
+  executeSwap: jest.fn(),
+  getQuote: jest.fn(),
+}));
+
+jest.mock('../../src/router/pending', () => {
+  const actual = jest.requireActual('../../src/router/pending');
+  return { ...actual, getPendingCommands: jest.fn(actual.getPendingCommands) };
+});
+
+jest.mock('../../src/core/ledger', () => {
+  const actual = jest.requireActual('../../src/core/ledger');
+  return { ...actual, getLedger: jest.fn(actual.getLedger) };
+});
+
+const ai = require('../../src/ai');
+const swapEngine = require('../../src/engines/swap');
+const router = require('../../src/router');
+const { PendingCommands, PendingStatus, getPendingCommands } = require('../../src/router/pending');
+const { MemoryStore } = require('../../src/core/store');
+const { TransactionLedger, getLedger } = require('../../src/core/ledger');
+
+const SWAP = {
+  type: 'SWAP',
+  chainId: 42161,
+  walletAddress: 'primary',
+  params: { fromToken: 'ETH', toToken: 'USDC', amount: '1', slippage: 0.5 },
+};
+
+const gwei = (n) => ({ maxFeePerGas: ethers.utils.parseUnits(String(n), 'gwei') });
+
+describe('Pending commands', () => {
+  let ledger;
+  let getQuote;
+  let getGasPrice;
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ledger = new TransactionLedger();
+    getLedger.mockReturnValue(ledger);
+    getQuote = jest.fn().mockResolvedValue({ best: { amountOut: '3000', dex: 'uniswapV3' } });
+    getGasPrice = jest.fn().mockResolvedValue(gwei(10));
+    store = new MemoryStore();
+    getPendingCommands.mockReturnValue(new PendingCommands({ getQuote, getGasPrice, ttl: 60000, store }));
+
+    ai.processCommand.mockResolvedValue({
+      success: true,
+      intent: 'SWAP',
+      command: SWAP,
+      requiresConfirmation: true,
+      confirmationMessage: 'Please confirm this swap',
+    });
+    swapEngine.executeSwap.mockResolvedValue({ success: true, txHash: '0xS1' });
+  });
+
+  test('parks the command and executes it on confirm', async () => {
+    const pending = await router.processCommand('swap 1 eth for usdc', { userId: 'alice' });
+
+    expect(pending.confirmationId).toMatch(/^[0-9a-f]{8}$/);
+    expect(swapEngine.executeSwap).not.toHaveBeenCalled();
+    expect(ledger.getCommand(pending.commandId).status).toBe('awaiting_confirmation');
+
+    const result = await router.confirmPendingCommand(pending.confirmationId, { userId: 'alice' });
+
+    expect(result.success).toBe(true);
+    expect(result.commandId).toBe(pending.commandId);
+    expect(swapEngine.executeSwap).toHaveBeenCalledWith(expect.objectContaining({ fromToken: 'ETH', chainId: 42161 }));
+    expect(ledger.getCommand(pending.commandId)).toEqual(expect.objectContaining({ status: 'completed', txHash: '0xS1' }));
+
+    // Ids are single use
+    const again = await router.confirmPendingCommand(pending.confirmationId, { userId: 'alice' });
+    expect(again.status).toBe(PendingStatus.NOT_FOUND);
+  });
+
+  test('refuses when the quote dropped beyond the threshold and re-arms', async () => {
+    const pending = await router.processCommand('swap 1 eth for usdc', { userId: 'alice' });
+    getQuote.mockResolvedValue({ best: { amountOut: '2940' } });
+
+    const moved = await router.confirmPendingCommand(pending.confirmationId, { userId: 'alice' });
+
+    expect(moved.success).toBe(false);
+    expect(moved.requiresConfirmation).toBe(true);
+    expect(moved.error).toMatch('Quote dropped 2.00%');
+    expect(swapEngine.executeSwap).not.toHaveBeenCalled();
+
+    // Confirming again at the new price goes through
+    const result = await router.confirmPendingCommand(pending.confirmationId, { userId: 'alice' });
+    expect(result.success).toBe(true);
+  });
+
+  test('refuses when gas rose beyond the threshold', async () => {
+    const pending = await router.processCommand('swap 1 eth for usdc', { userId: 'alice' });
+    getGasPrice.mockResolvedValue(gwei(14));
+
+    const moved = await router.confirmPendingCommand(pending.confirmationId, { userId: 'alice' });
+
+    expect(moved.error).toMatch('Gas rose 40%');
+    expect(swapEngine.executeSwap).not.toHaveBeenCalled();
+  });
+
+  test('better prices and small gas moves do not block', async () => {
+    const pending = await router.processCommand('swap 1 eth for usdc', { userId: 'alice' });
+    getQuote.mockResolvedValue({ best: { amountOut: '3100' } });
+    getGasPrice.mockResolvedValue(gwei(11));
+
+    expect((await router.confirmPendingCommand(pending.confirmationId, { userId: 'alice' })).success).toBe(true);
+  });
+
+  test('cancels by id and records it', async () => {
+    const pending = await router.processCommand('swap 1 eth for usdc', { userId: 'alice' });
+
+    const result = await router.cancelPendingCommand(pending.confirmationId, { userId: 'alice' });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, cancelled: true }));
+    expect(ledger.getCommand(pending.commandId).status).toBe('cancelled');
+    expect(await router.listPendingCommands('alice')).toEqual([]);
+  });
+
+  test('confirms through another instance sharing the store', async () => {
+    const pending = await router.processCommand('swap 1 eth for usdc', { userId: 'alice' });
+
+    // A different function instance handles the confirmation
+    getPendingCommands.mockReturnValue(new PendingCommands({ getQuote, getGasPrice, store }));
+    const result = await router.confirmPendingCommand(pending.confirmationId, { userId: 'alice' });
+
+    expect(result.success).toBe(true);
+    expect(await store.list()).toEqual([]);
+  });
+
+  test('two concurrent confirmations execute the command once', async () => {
+    const pending = await router.processCommand('swap 1 eth for usdc', { userId: 'alice' });
+
+    const results = await Promise.all([
+      router.confirmPendingCommand(pending.confirmationId, { userId: 'alice' }),
+      router.confirmPendingCommand(pending.confirmationId, { userId: 'alice' }),
+    ]);
+
+    expect(results.filter(r => r.success)).toHaveLength(1);
+    expect(results.find(r => !r.success).status).toBe(PendingStatus.IN_PROGRESS);
+    expect(swapEngine.executeSwap).toHaveBeenCalledTimes(1);
+  });
+
+  test('instances sharing the store cannot both claim an entry', async () => {
+    const pending = await router.processCommand('swap 1 eth for usdc', { userId: 'alice' });
+    const first = new PendingCommands({ getQuote, getGasPrice, store });
+    const second = new PendingCommands({ getQuote, getGasPrice, store });
+
+    const results = await Promise.all([
+      first.confirm(pending.confirmationId, { userId: 'alice' }),
+      second.confirm(pending.confirmationId, { userId: 'alice' }),
+    ]);
+
+    expect(results.map(r => r.ok).sort()).toEqual([false, true]);
+    expect(results.find(r => !r.ok).status).toBe(PendingStatus.IN_PROGRESS);
+  });
+
+  test('a refused confirmation releases the entry for the next one', async () => {
+    const pending = await router.processCommand('swap 1 eth for usdc', { userId: 'alice' });
+    getQuote.mockResolvedValueOnce({ best: { amountOut: '2940' } });
+
+    await router.confirmPendingCommand(pending.confirmationId, { userId: 'alice' });
+
+    expect(await store.get(pending.confirmationId)).toEqual(expect.objectContaining({ confirmingAt: null, version: 2 }));
+    expect((await router.confirmPendingCommand(pending.confirmationId, { userId: 'alice' })).success).toBe(true);
+  });
+
+  test('a confirmation left unfinished stops blocking after the timeout', async () => {
+    const pending = await router.processCommand('swap 1 eth for usdc', { userId: 'alice' });
+    const entry = await store.get(pending.confirmationId);
+    await store.set(entry.id, { ...entry, confirmingAt: Date.now() });
+
+    const blocked = await router.confirmPendingCommand(pending.confirmationId, { userId: 'alice' });
+    expect(blocked.status).toBe(PendingStatus.IN_PROGRESS);
+
+    await store.set(entry.id, { ...entry, confirmingAt: Date.now() - 61000 });
+    expect((await router.confirmPendingCommand(pending.confirmationId, { userId: 'alice' })).success).toBe(true);
+  });
+
+  test('only the issuing user can confirm', async () => {
+    const pending = await router.processCommand('swap 1 eth for usdc', { userId: 'alice' });
+
+    const result = await router.confirmPendingCommand(pending.confirmationId, { userId: 'mallory' });
+
+    expect(result.status).toBe(PendingStatus.FORBIDDEN);
+    expect(await router.listPendingCommands('alice')).toHaveLength(1);
+  });
+
+  test('expired confirmations are rejected and marked', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+    const pending = await router.processCommand('swap 1 eth for usdc', { userId: 'alice' });
+    now.mockReturnValue(1_061_000);
+
+    const result = await router.confirmPendingCommand(pending.confirmationId, { userId: 'alice' });
+    now.mockRestore();
+
+    expect(result.status).toBe(PendingStatus.EXPIRED);
+    expect(ledger.getCommand(pending.commandId).status).toBe('expired');
+  });
+
+  test('a bare "yes" confirms the latest pending command', async () => {
+    await router.processCommand('swap 1 eth for usdc', { userId: 'alice' });
+
+    const result = await router.processCommand('yes', { userId: 'alice' });
+
+    expect(result.success).toBe(true);
+    expect(swapEngine.executeSwap).toHaveBeenCalledTimes(1);
+    expect(ai.processCommand).toHaveBeenCalledTimes(1);
+  });
+
+  test('queues airdrop plan steps as separate long-lived confirmations', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+    const plan = {
+      campaign: 'linea',
+      name: 'Linea',
+      steps: [
+        { ruleId: 'nft', summary: '1 more NFT mint on Linea', command: null },
+        { ruleId: 'swaps', summary: '2 more swaps on Linea', command: { ...SWAP, chainId: 59144, params: { ...SWAP.params, amount: '0.002' } } },
+      ],
+    };
+
+    const result = await router.queueAirdropPlan(plan, { userId: 'alice', ttl: 86400000 });
+
+    expect(result.skipped).toEqual([{ ruleId: 'nft', summary: '1 more NFT mint on Linea', reason: 'No automated action for this step' }]);
+    expect(result.queued).toHaveLength(1);
+    expect(result.queued[0].expiresAt).toBe(1_000_000 + 86400000);
+    expect(result.queued[0].confirmationMessage).toBe('Linea plan: 2 more swaps on Linea\n\nPlease confirm');
+    expect(ledger.getCommand(result.queued[0].commandId).status).toBe('awaiting_confirmation');
+
+    now.mockReturnValue(1_000_000 + 3_600_000);
+    const confirmed = await router.confirmPendingCommand(result.queued[0].confirmationId, { userId: 'alice' });
+    now.mockRestore();
+
+    expect(confirmed.success).toBe(true);
+    expect(swapEngine.executeSwap).toHaveBeenCalledWith(expect.objectContaining({ chainId: 59144, amount: '0.002' }));
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * API Token Tests
+ *
+ * Covers parsing the token list and resolving bearer headers to users.
+ */
+
+const { parseUserTokens, resolveApiUser } = require('../../src/security/api-tokens');
+
+const TOKENS = 'k3y-alice:alice, k3y-bob:telegram:42,broken,:nobody';
+
+describe('API tokens', () => {
+  test('parses token:user pairs, keeping colons in user ids', () => {
+    expect([...parseUserTokens(TOKENS)]).toEqual([
+      ['k3y-alice', 'alice'],
+      ['k3y-bob', 'telegram:42'],
+    ]);
+  });
+
+  test('resolves the user from the bearer token only', () => {
+    expect(resolveApiUser({ Authorization: 'Bearer k3y-bob' }, TOKENS)).toBe('telegram:42');
+    expect(resolveApiUser({ authorization: 'Bearer k3y-alice' }, TOKENS)).toBe('alice');
+  });
+
+  test('rejects missing, malformed and unknown tokens', () => {
+    expect(resolveApiUser({}, TOKENS)).toBeNull();
+    expect(resolveApiUser({ authorization: 'k3y-alice' }, TOKENS)).toBeNull();
+    expect(resolveApiUser({ authorization: 'Bearer k3y-alicE' }, TOKENS)).toBeNull();
+    expect(resolveApiUser({ authorization: 'Bearer k3y-alice' }, '')).toBeNull();
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Depeg Guard Tests
+ *
+ * Covers pause/resume from DepegMonitor signals, which swaps and transfers
+ * a pause blocks in the engines, safe de-risk targets, queued de-risk swaps
+ * and the depeg state in router responses.
+ */
+
+const { ethers } = require('ethers');
+
+jest.mock('../../src/core/wallets', () => ({
+  getAllWalletAddresses: jest.fn(),
+  getTokenBalance: jest.fn(),
+  resolveWalletIdentifier: jest.fn(),
+  getConnectedWallet: jest.fn(),
+  hasSufficientBalance: jest.fn(),
+}));
+
+jest.mock('../../src/engines/transfer/single', () => ({
+  transfer: jest.fn(),
+}));
+
+jest.mock('../../src/security/depeg-guard', () => {
+  const actual = jest.requireActual('../../src/security/depeg-guard');
+  return { ...actual, getDepegGuard: jest.fn(actual.getDepegGuard) };
+});
+
+jest.mock('../../src/router/pending', () => {
+  const actual = jest.requireActual('../../src/router/pending');
+  return { ...actual, getPendingCommands: jest.fn(actual.getPendingCommands) };
+});
+
+jest.mock('../../src/core/ledger', () => {
+  const actual = jest.requireActual('../../src/core/ledger');
+  return { ...actual, getLedger: jest.fn(actual.getLedger) };
+});
+
+const EventEmitter = require('events');
+const wallets = require('../../src/core/wallets');
+const single = require('../../src/engines/transfer/single');
+const swapEngine = require('../../src/engines/swap');
+const transferEngine = require('../../src/engines/transfer');
+const router = require('../../src/router');
+const { DepegGuard, getDepegGuard } = require('../../src/security/depeg-guard');
+const { PendingCommands, getPendingCommands } = require('../../src/router/pending');
+const { MemoryStore } = require('../../src/core/store');
+const { TransactionLedger, getLedger } = require('../../src/core/ledger');
+const { DepegPausedError } = require('../../src/utils/errors');
+
+const WALLET_1 = '0x1111111111111111111111111111111111111111';
+const WALLET_2 = '0x2222222222222222222222222222222222222222';
+const EXTERNAL = '0x3333333333333333333333333333333333333333';
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+describe('DepegGuard', () => {
+  let guard;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    guard = new DepegGuard({ logger });
+    getDepegGuard.mockReturnValue(guard);
+    wallets.getAllWalletAddresses.mockReturnValue([
+      { address: WALLET_1, alias: 'primary', index: 0 },
+      { address: WALLET_2, alias: 'wallet2', index: 1 },
+    ]);
+  });
+
+  test('should follow monitor pause signals and announce each pause once', () => {
+    const monitor = new EventEmitter();
+    monitor.getActiveEvents = () => [{ symbol: 'USDC', severity: 'critical' }];
+    const paused = jest.fn();
+    const resumed = jest.fn();
+    guard.on('paused', paused);
+    guard.on('resumed', resumed);
+    const detach = guard.attach(monitor);
+
+    monitor.emit('operationsPaused', { symbol: 'USDC', severity: 'critical', deviation: 6 });
+    monitor.emit('operationsPaused', { symbol: 'USDC', severity: 'emergency', deviation: 12 });
+
+    expect(guard.isPaused('usdc')).toBe(true);
+    expect(paused).toHaveBeenCalledTimes(1);
+    expect(guard.getPause('USDC')).toMatchObject({ severity: 'emergency', deviation: 12 });
+    expect(guard.getState()).toMatchObject({
+      active: true,
+      paused: [expect.objectContaining({ symbol: 'USDC' })],
+      events: [expect.objectContaining({ symbol: 'USDC' })],
+    });
+
+    monitor.emit('operationsResumed', { symbol: 'USDC' });
+    expect(guard.isPaused('USDC')).toBe(false);
+    expect(resumed).toHaveBeenCalledWith(expect.objectContaining({ symbol: 'USDC' }));
+
+    detach();
+    monitor.emit('operationsPaused', { symbol: 'USDT', severity: 'critical', deviation: 5 });
+    expect(guard.isPaused('USDT')).toBe(false);
+    expect(guard.getState()).toEqual({ active: false, paused: [], events: [] });
+  });
+
+  test('should block swaps into a paused stable but not out of it', async () => {
+    guard.pause('USDC', { severity: 'critical', deviation: 6.5 });
+
+    expect(() => guard.assertSwapAllowed({ fromToken: 'USDC', toToken: 'DAI' })).not.toThrow();
+    expect(() => guard.assertSwapAllowed({ fromToken: 'ETH', toToken: 'usdc' }))
+      .toThrow('Swaps into USDC are paused: critical depeg (6.50% off peg)');
+
+    const swap = swapEngine.executeSwap({ fromToken: 'ETH', toToken: 'USDC', amount: '1', chainId: 1 });
+    await expect(swap).rejects.toBeInstanceOf(DepegPausedError);
+    await expect(swap).rejects.toMatchObject({ code: 'DEPEG_PAUSED', symbol: 'USDC' });
+    expect(wallets.getConnectedWallet).not.toHaveBeenCalled();
+  });
+
+  test('should block transfers of a paused stable between managed wallets only', async () => {
+    guard.pause('USDT', { severity: 'critical', deviation: 5.2 });
+    wallets.resolveWalletIdentifier.mockReturnValue(WALLET_2);
+    single.transfer.mockResolvedValue({ success: true, txHash: '0xT1' });
+
+    await expect(transferEngine.executeTransfer({ token: 'USDT', amount: '10', to: 'wallet2', chainId: 1 }))
+      .rejects.toThrow('Transfers of USDT between managed wallets are paused');
+    await expect(transferEngine.executeTransfer({ token: 'USDT', amount: '10', to: EXTERNAL, chainId: 1 }))
+      .resolves.toMatchObject({ success: true });
+    await expect(transferEngine.executeTransfer({ token: 'USDC', amount: '10', to: 'wallet2', chainId: 1 }))
+      .resolves.toMatchObject({ success: true });
+    expect(single.transfer).toHaveBeenCalledTimes(2);
+  });
+
+  test('should pick the first safe target that is neither paused nor unavailable', () => {
+    guard.pause('USDC');
+
+    expect(guard.getSafeTarget('USDC')).toBe('USDT');
+    expect(guard.getSafeTarget('FRAX', symbol => symbol !== 'USDT')).toBe('DAI');
+    expect(new DepegGuard({ logger, safeTargets: ['DAI'] }).getSafeTarget('USDC')).toBe('DAI');
+    expect(guard.getSafeTarget('USDC', () => false)).toBeNull();
+  });
+
+  test('should share pauses between instances through a store', async () => {
+    const store = new MemoryStore();
+    const prices = { USDC: -0.07 };
+    const monitor = new EventEmitter();
+    monitor.config = { alertThreshold: 0.02 };
+    monitor.getActiveEvents = () => [];
+    monitor.getPrice = (symbol) => (symbol in prices ? { deviation: prices[symbol] } : undefined);
+    monitor.checkAll = jest.fn(async () => {
+      if (prices.USDC <= -0.05) monitor.emit('operationsPaused', { symbol: 'USDC', severity: 'critical', deviation: 7 });
+    });
+    guard.attach(monitor);
+
+    await guard.sync(store, monitor);
+    expect(await store.get('USDC')).toMatchObject({ symbol: 'USDC', severity: 'critical', deviation: 7 });
+
+    // Another function instance picks the pause up without checking the pegs
+    const other = new DepegGuard({ logger });
+    await other.sync(store);
+    expect(() => other.assertSwapAllowed({ fromToken: 'ETH', toToken: 'USDC' })).toThrow(DepegPausedError);
+    expect(other.getPause('USDC').since).toBe(guard.getPause('USDC').since);
+
+    // Between the thresholds the pause holds; back within 2% it lifts everywhere
+    prices.USDC = -0.03;
+    await guard.sync(store, monitor);
+    expect(guard.isPaused('USDC')).toBe(true);
+
+    prices.USDC = -0.01;
+    await guard.sync(store, monitor);
+    await other.sync(store);
+    expect(guard.isPaused('USDC')).toBe(false);
+    expect(other.isPaused('USDC')).toBe(false);
+    expect(await store.list()).toEqual([]);
+  });
+
+  describe('router', () => {
+    let ledger;
+
+    beforeEach(() => {
+      ledger = new TransactionLedger();
+      getLedger.mockReturnValue(ledger);
+      getPendingCommands.mockReturnValue(new PendingCommands({
+        store: new MemoryStore(),
+        getQuote: jest.fn().mockResolvedValue({ best: { amountOut: '100' } }),
+        getGasPrice: jest.fn().mockResolvedValue({ maxFeePerGas: ethers.utils.parseUnits('10', 'gwei') }),
+        ttl: 60000,
+      }));
+    });
+
+    test('should queue de-risk swaps for wallets holding the paused stable', async () => {
+      guard.pause('USDC', { severity: 'critical', deviation: 7 });
+      wallets.getTokenBalance.mockImplementation(async (address, token, chainId) => (
+        address === WALLET_1 && chainId === 1
+          ? { raw: ethers.utils.parseUnits('250', 6), formatted: '250.0', symbol: 'USDC', decimals: 6 }
+          : { raw: ethers.BigNumber.from(0), formatted: '0.0', symbol: 'USDC', decimals: 6 }
+      ));
+
+      const result = await router.queueDepegDeRisk('USDC', { userId: 'telegram:42', chains: [1, 42161, 999999] });
+
+      expect(result.queued).toEqual([expect.objectContaining({
+        chainId: 1,
+        wallet: 'primary',
+        fromToken: 'USDC',
+        toToken: 'USDT',
+        amount: '250.0',
+      })]);
+      expect(result.skipped).toEqual([{ chainId: 999999, reason: 'USDC not listed on this chain' }]);
+      expect(result.queued[0].confirmationMessage).toMatch(/^De-risk primary: USDC is off peg \(critical depeg \(7\.00% off peg\)\)/);
+      expect(result.depeg.paused).toEqual([expect.objectContaining({ symbol: 'USDC' })]);
+
+      const [pending] = await router.listPendingCommands('telegram:42');
+      expect(pending.command).toMatchObject({
+        type: 'SWAP',
+        chainId: 1,
+        walletAddress: WALLET_1,
+        params: { fromToken: 'USDC', toToken: 'USDT', amount: '250.0' },
+      });
+      expect(ledger.getCommand(pending.commandId).status).toBe('awaiting_confirmation');
+    });
+
+    test('should surface the depeg state in command responses only while active', async () => {
+      const calm = await router.processCommand('Swap 100 DAI for USDC', { userId: 'carol' });
+      expect(calm.requiresConfirmation).toBe(true);
+      expect(calm).not.toHaveProperty('depeg');
+
+      guard.pause('USDC', { severity: 'critical', deviation: 6 });
+      const paused = await router.processCommand('Swap 100 DAI for USDT', { userId: 'dave' });
+      expect(paused.depeg).toMatchObject({ active: true, paused: [expect.objectContaining({ symbol: 'USDC' })] });
+    });
+  });
+});
@@ -2,11 +2,28 @@
  * Input Validator Unit Tests
  *
  * Tests calldata validation, function selector whitelisting,
- * and address/amount validation.
+ * and address/amount validation, and runs calldata built by the engines
+ * through the validator as the shared layer configures it.
  */
 
 const { ethers } = require('ethers');
+
+jest.mock('../../src/core/providers', () => ({
+  getProvider: jest.fn(() => null),
+}));
+
+jest.mock('../../src/core/transactions', () => ({
+  sendSecuredTransaction: jest.fn(),
+}));
+
 const InputValidator = require('../../src/security/input-validator');
+const { getTrustedCalls } = require('../../src/security/trusted-calls');
+const { sendSecuredTransaction } = require('../../src/core/transactions');
+const uniswapV3 = require('../../src/engines/swap/uniswapV3');
+const batch = require('../../src/engines/transfer/batch');
+const across = require('../../src/engines/bridge/across');
+const canonical = require('../../src/engines/bridge/canonical');
+const { DISTRIBUTOR_TYPES, getDistributor } = require('../../src/engines/airdrop/claimData');
 
 describe('InputValidator', () => {
   let validator;
@@ -335,4 +352,144 @@ describe('InputValidator', () => {
       expect(result.warnings.some(w => w.includes('medium risk'))).toBe(true);
     });
   });
+
+  describe('Engine Calldata', () => {
+    const USER = '0x1111111111111111111111111111111111111111';
+    const OTHER = '0x2222222222222222222222222222222222222222';
+    const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+    const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+    const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+    const signer = new ethers.VoidSigner(USER);
+    const originalFetch = global.fetch;
+
+    const expectPasses = (result) => {
+      expect(result.errors).toEqual([]);
+      expect(result.valid).toBe(true);
+    };
+
+    beforeEach(() => {
+      global.fetch = jest.fn();
+      validator.addTrustedCalls(getTrustedCalls());
+    });
+
+    afterEach(() => {
+      expect(global.fetch).not.toHaveBeenCalled();
+      global.fetch = originalFetch;
+    });
+
+    test('rejects a V3 single-hop swap until the engine calls are trusted', async () => {
+      const tx = await uniswapV3.buildSwapTransaction({
+        fromToken: { address: USDC, isNative: false },
+        toToken: { symbol: 'WETH', address: WETH },
+        amountIn: ethers.BigNumber.from(1000e6),
+        minAmountOut: ethers.utils.parseEther('0.3'),
+        signer,
+        userAddress: USER,
+        chainId: 1,
+      });
+      expect(tx.data.slice(0, 10)).toBe('0x414bf389');
+
+      const untrusted = await new InputValidator({ logger: mockLogger }).validateCalldata(tx.to, tx.data, 1);
+      expect(untrusted.valid).toBe(false);
+      expect(untrusted.errors).toEqual(expect.arrayContaining([
+        expect.stringContaining('Unknown function selector 0x414bf389'),
+        expect.stringContaining('Large zero padding'),
+      ]));
+
+      const result = await validator.validateCalldata(tx.to, tx.data, 1);
+      expectPasses(result);
+      expect(result.functionName).toBe('exactInputSingle');
+    });
+
+    test('passes a V3 multi-hop swap', async () => {
+      const tx = await uniswapV3.buildSwapTransaction({
+        fromToken: { address: USDC, isNative: false },
+        toToken: { symbol: 'DAI', address: DAI },
+        amountIn: ethers.BigNumber.from(1000e6),
+        minAmountOut: ethers.utils.parseEther('990'),
+        signer,
+        userAddress: USER,
+        chainId: 1,
+        path: [USDC, WETH, DAI],
+        fees: [500, 3000],
+      });
+
+      const result = await validator.validateCalldata(tx.to, tx.data, 1);
+      expectPasses(result);
+      expect(result.functionName).toBe('exactInput');
+    });
+
+    test('passes a Multicall3 batch transfer', async () => {
+      sendSecuredTransaction.mockResolvedValue({ hash: '0xbatch', receipt: { gasUsed: ethers.BigNumber.from(90000) } });
+
+      await batch.batchTransferWithMulticall({
+        tokenInfo: { address: USDC, decimals: 6, symbol: 'USDC' },
+        transfers: [{ address: OTHER, amount: '10' }, { address: USER, amount: '5' }],
+        chainId: 1,
+        signer,
+        fromAddress: USER,
+      });
+      const [, tx] = sendSecuredTransaction.mock.calls[0];
+
+      const result = await validator.validateCalldata(tx.to, tx.data, 1);
+      expectPasses(result);
+      expect(result.functionName).toBe('aggregate3');
+    });
+
+    test('passes Merkle claims of every distributor type and the delegate follow-up', async () => {
+      const distributor = '0x3333333333333333333333333333333333333333';
+      const claim = { index: 0, account: USER, amount: ethers.utils.parseEther('100'), proof: [ethers.constants.HashZero], root: ethers.constants.HashZero };
+
+      for (const type of Object.values(DISTRIBUTOR_TYPES)) {
+        const spec = getDistributor(type);
+        const data = new ethers.utils.Interface(spec.abi).encodeFunctionData('claim', spec.claimArgs(claim));
+        expectPasses(await validator.validateCalldata(distributor, data, 42161));
+      }
+
+      const delegate = new ethers.utils.Interface(['function delegate(address delegatee)']).encodeFunctionData('delegate', [USER]);
+      expectPasses(await validator.validateCalldata(distributor, delegate, 42161));
+    });
+
+    test('passes Across and canonical bridge deposits', async () => {
+      const { tx: acrossTx } = await across.buildTransaction('across', {
+        token: 'USDC',
+        fromChainId: 42161,
+        toChainId: 8453,
+        amountRaw: ethers.BigNumber.from(100e6),
+        sender: USER,
+        recipient: USER,
+        quote: {
+          inputToken: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831',
+          outputToken: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+          amountOut: ethers.BigNumber.from(99750000),
+          exclusiveRelayer: ethers.constants.AddressZero,
+          quoteTimestamp: 1700000000,
+          fillDeadline: 1700010800,
+          exclusivityDeadline: 0,
+        },
+      });
+      expectPasses(await validator.validateCalldata(acrossTx.to, acrossTx.data, 42161));
+
+      for (const bridgeId of canonical.bridgeIds) {
+        const { tx } = await canonical.buildTransaction(bridgeId, { amountRaw: ethers.utils.parseEther('0.1'), sender: USER, recipient: USER });
+        expectPasses(await validator.validateCalldata(tx.to, tx.data, 1));
+      }
+    });
+
+    test('passes aggregator calldata only on the aggregator routers', async () => {
+      const data = '0x07ed2379' + ethers.utils.defaultAbiCoder.encode(
+        ['address', 'address', 'uint256', 'bool'],
+        [USDC, WETH, 1000e6, false]
+      ).slice(2);
+
+      const result = await validator.validateCalldata('0x111111125421cA6dc452d289314280a0f8842A65', data, 1);
+      expectPasses(result);
+      expect(result.warnings).toEqual([expect.stringContaining('on trusted contract')]);
+
+      const elsewhere = await validator.validateCalldata(OTHER, data, 1);
+      expect(elsewhere.valid).toBe(false);
+      expect(await validator.validateCalldata('0x111111125421cA6dc452d289314280a0f8842A65', data, 59144))
+        .toMatchObject({ valid: false });
+    });
+  });
 });
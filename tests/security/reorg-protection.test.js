@@ -43,6 +43,8 @@ describe('Reorg Protection Module', () => {
       expect(CONFIRMATION_REQUIREMENTS[10]).toBeDefined(); // Optimism
       expect(CONFIRMATION_REQUIREMENTS[8453]).toBeDefined(); // Base
       expect(CONFIRMATION_REQUIREMENTS[56]).toBeDefined(); // BSC
+      expect(CONFIRMATION_REQUIREMENTS[81457]).toBeDefined(); // Blast
+      expect(CONFIRMATION_REQUIREMENTS[5000]).toBeDefined(); // Mantle
     });
 
     test('Ethereum should require 12 confirmations', () => {
@@ -46,6 +46,11 @@ describe('RpcManager', () => {
       expect(status[10]).toBeDefined(); // Optimism
       expect(status[8453]).toBeDefined(); // Base
       expect(status[137]).toBeDefined(); // Polygon
+      expect(status[324]).toBeDefined(); // zkSync Era
+      expect(status[59144]).toBeDefined(); // Linea
+      expect(status[534352]).toBeDefined(); // Scroll
+      expect(status[81457]).toBeDefined(); // Blast
+      expect(status[5000]).toBeDefined(); // Mantle
     });
 
     test('adds custom chain config', () => {
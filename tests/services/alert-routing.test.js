@@ -0,0 +1,361 @@
+/**
+ * Alert Routing Tests
+ *
+ * Covers routing rules (level, category, wallet, chain, time of day),
+ * dispatching through the alert system, and the email, Slack, signed
+ * webhook and PagerDuty channels against local stub servers.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const { AlertSystem } = require('../../src/monitoring/alerts');
+const { AlertRouter, loadRoutes } = require('../../src/services/notifications/routing');
+const email = require('../../src/services/notifications/email');
+const slack = require('../../src/services/notifications/slack');
+const webhook = require('../../src/services/notifications/webhook');
+const pagerduty = require('../../src/services/notifications/pagerduty');
+
+const WALLET = '0xAbC0000000000000000000000000000000000001';
+
+// Saturday 17 Oct 2026, 23:30 in Berlin (UTC+2)
+const SATURDAY_NIGHT = Date.UTC(2026, 9, 17, 21, 30);
+const SATURDAY_NOON = Date.UTC(2026, 9, 17, 12, 0);
+
+const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const alertOf = (level, category, data = {}) => ({
+  id: `alert_1_${SATURDAY_NOON}`,
+  level,
+  category,
+  message: `${category} went wrong`,
+  data,
+  timestamp: SATURDAY_NOON,
+});
+
+/**
+ * Router with stub senders for every channel type
+ */
+function makeRouter(options = {}) {
+  const sent = [];
+  const sender = (alert, settings) => {
+    sent.push({ alert, settings });
+    return { success: true };
+  };
+  const router = new AlertRouter({
+    senders: { discord: sender, telegram: sender, email: sender, slack: sender, webhook: sender, pagerduty: sender },
+    channels: {
+      slack: { type: 'slack' },
+      email: { type: 'email' },
+      pagerduty: { type: 'pagerduty', minLevel: 'high' },
+      'treasury-mail': { type: 'email', to: ['treasury@example.com'] },
+    },
+    ...options,
+  });
+  return { router, sent };
+}
+
+/**
+ * HTTP server recording every request and answering with respond()
+ */
+async function startHttpStub(respond = () => [200, '{}']) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const [status, reply] = respond(req, body);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(reply);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+/**
+ * Minimal SMTP server recording the conversation and the message
+ */
+async function startSmtpStub({ rejectRecipient } = {}) {
+  const session = { commands: [], message: '' };
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 stub ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 2.0.0 Ok: queued as 4F2A\r\n');
+          } else {
+            session.message += `${line}\n`;
+          }
+          continue;
+        }
+
+        session.commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') socket.write('250-stub\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n');
+        else if (verb === 'AUTH') socket.write('235 2.7.0 Authenticated\r\n');
+        else if (verb === 'MAIL') socket.write('250 2.1.0 Ok\r\n');
+        else if (verb === 'RCPT') {
+          socket.write(rejectRecipient && line.includes(rejectRecipient) ? '550 5.1.1 No such user\r\n' : '250 2.1.5 Ok\r\n');
+        } else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (verb === 'QUIT') socket.end('221 2.0.0 Bye\r\n');
+        else socket.write('502 5.5.2 Unknown command\r\n');
+      }
+    });
+    socket.on('error', () => {});
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    host: '127.0.0.1',
+    port: server.address().port,
+    session,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+describe('AlertRouter', () => {
+  test('should let the first matching rule decide unless it continues', () => {
+    const { router } = makeRouter({
+      rules: [
+        { name: 'treasury', wallets: [WALLET.toLowerCase()], chains: [1], channels: ['treasury-mail'], continue: true },
+        { name: 'security', levels: ['critical', 'high'], categories: ['security', 'key'], channels: ['pagerduty', 'slack'] },
+        { name: 'transactions', categories: ['transaction'], channels: ['email'] },
+      ],
+      defaultChannels: ['slack'],
+    });
+
+    expect(router.route(alertOf('critical', 'security'))).toEqual({ rules: ['security'], channels: ['pagerduty', 'slack'] });
+    expect(router.route(alertOf('high', 'transaction', { wallet: WALLET, chainId: 1 }))).toEqual({
+      rules: ['treasury', 'transactions'],
+      channels: ['treasury-mail', 'email'],
+    });
+    expect(router.route(alertOf('high', 'transaction', { wallet: WALLET, chainId: 10 })).rules).toEqual(['transactions']);
+    expect(router.route(alertOf('low', 'rpc'))).toEqual({ rules: [], channels: ['slack'] });
+  });
+
+  test('should expand "all" and hold back alerts below a channel\'s minimum level', () => {
+    const { router } = makeRouter();
+
+    expect(router.route(alertOf('medium', 'rpc')).channels).toEqual(['slack', 'email', 'treasury-mail']);
+    expect(router.route(alertOf('critical', 'rpc')).channels).toContain('pagerduty');
+  });
+
+  test('should match hours across midnight and weekdays in the rule\'s timezone', () => {
+    const { router } = makeRouter({
+      rules: [
+        { name: 'quiet nights', levels: ['low', 'medium'], hours: '22:00-07:00', timezone: 'Europe/Berlin', channels: [] },
+        { name: 'weekend', days: ['saturday', 'sun'], channels: ['email'] },
+      ],
+      defaultChannels: ['slack'],
+    });
+    const medium = alertOf('medium', 'balance');
+
+    expect(router.route(medium, SATURDAY_NIGHT)).toEqual({ rules: ['quiet nights'], channels: [] });
+    expect(router.route(medium, SATURDAY_NOON)).toEqual({ rules: ['weekend'], channels: ['email'] });
+    expect(router.route(medium, SATURDAY_NOON + 2 * 86400000)).toEqual({ rules: [], channels: ['slack'] });
+  });
+
+  test('should reject rules naming unknown channels, levels, times or timezones', () => {
+    expect(() => makeRouter({ rules: [{ channels: ['sms'] }] })).toThrow('Rule rule-1: unknown channels sms');
+    expect(() => makeRouter({ rules: [{ levels: ['urgent'], channels: [] }] })).toThrow('Unknown alert level: urgent');
+    expect(() => makeRouter({ rules: [{ hours: '22:00', channels: [] }] })).toThrow('hours must look like "22:00-07:00"');
+    expect(() => makeRouter({ rules: [{ hours: '25:00-07:00', channels: [] }] })).toThrow('Invalid time "25:00"');
+    expect(() => makeRouter({ rules: [{ timezone: 'Mars/Olympus', channels: [] }] })).toThrow('unknown timezone Mars/Olympus');
+    expect(() => makeRouter({ channels: { fax: { type: 'fax' } } })).toThrow('Channel fax: unknown type fax');
+    expect(() => makeRouter({ defaultChannels: ['sms'] })).toThrow('Unknown default channels: sms');
+  });
+
+  test('should load channels and rules from a YAML routes file', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'routes-')), 'alert-routes.yaml');
+    fs.writeFileSync(file, [
+      'channels:',
+      '  oncall: { type: pagerduty, routingKey: abc }',
+      '  slack: { type: slack }',
+      'rules:',
+      '  - name: page on security',
+      '    categories: [security]',
+      '    channels: [oncall]',
+      'defaultChannels: [slack]',
+    ].join('\n'));
+
+    const { router } = makeRouter(loadRoutes(file));
+
+    expect(router.route(alertOf('low', 'security')).channels).toEqual(['oncall']);
+    expect(router.route(alertOf('low', 'rpc')).channels).toEqual(['slack']);
+
+    fs.writeFileSync(file, 'rules: { oops: true }');
+    expect(() => loadRoutes(file)).toThrow('Alert routes "rules" must be a list');
+  });
+
+  test('should pass channel settings to senders and report a failing channel without dropping the rest', async () => {
+    const { router, sent } = makeRouter({ rules: [{ channels: ['treasury-mail', 'slack'] }] });
+    router.senders.slack = jest.fn().mockRejectedValue(new Error('Slack API error: returned 500'));
+
+    const results = await router.dispatch(alertOf('high', 'balance'));
+
+    expect(results).toEqual([
+      { channel: 'treasury-mail', success: true },
+      { channel: 'slack', success: false, error: 'Slack API error: returned 500' },
+    ]);
+    expect(sent[0].settings).toEqual({ to: ['treasury@example.com'] });
+  });
+
+  test('should receive whole alerts from the alert system, escalations included', async () => {
+    const { router, sent } = makeRouter({ rules: [{ levels: ['critical'], channels: ['pagerduty'] }], defaultChannels: ['slack'] });
+    const legacyNotify = jest.fn();
+    const alertSystem = new AlertSystem({
+      logger,
+      notificationService: { notify: legacyNotify, notifyAlert: alert => router.dispatch(alert) },
+      escalationTimeMs: 60000,
+    });
+
+    const result = await alertSystem.alertStuckTransaction(WALLET, 7, 12, { chainId: 1 });
+    expect(result.notificationResult).toEqual([{ channel: 'slack', success: true }]);
+    expect(sent[0].alert).toMatchObject({ level: 'high', category: 'transaction', data: { wallet: WALLET, chainId: 1 } });
+
+    result.alert.timestamp -= 60000;
+    alertSystem._checkEscalations();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(sent[1].alert).toMatchObject({ level: 'critical', message: expect.stringMatching(/^\[ESCALATED\] Stuck transaction/) });
+    expect(legacyNotify).not.toHaveBeenCalled();
+  });
+});
+
+describe('Alert channels', () => {
+  let stub;
+
+  afterEach(async () => {
+    await stub?.close();
+    stub = null;
+  });
+
+  test('Slack: posts a colored attachment to the webhook', async () => {
+    stub = await startHttpStub(() => [200, 'ok']);
+
+    await slack.sendAlert(alertOf('critical', 'security', { wallet: WALLET, chainId: 1 }), { webhookUrl: `${stub.url}/services/T0/B0/x` });
+
+    expect(stub.requests[0]).toMatchObject({ method: 'POST', url: '/services/T0/B0/x' });
+    const body = JSON.parse(stub.requests[0].body);
+    expect(body.text).toBe('[CRITICAL] security went wrong');
+    expect(body.attachments[0]).toMatchObject({
+      color: slack.COLORS.critical,
+      fields: expect.arrayContaining([{ title: 'Wallet', value: WALLET, short: true }, { title: 'Chain', value: '1', short: true }]),
+    });
+  });
+
+  test('Webhook: signs the body so the receiver can verify it', async () => {
+    stub = await startHttpStub(() => [202, '']);
+
+    const result = await webhook.sendAlert(alertOf('high', 'rpc', { chainId: 42161 }), { url: `${stub.url}/hooks`, secret: 's3cret' });
+
+    const { headers, body } = stub.requests[0];
+    expect(result).toEqual({ success: true, statusCode: 202 });
+    expect(JSON.parse(body)).toMatchObject({ event: 'alert', alert: { level: 'high', category: 'rpc', data: { chainId: 42161 } } });
+    expect(headers[webhook.SIGNATURE_HEADER]).toMatch(/^sha256=[0-9a-f]{64}$/);
+    expect(webhook.verifySignature('s3cret', headers, body)).toBe(true);
+    expect(webhook.verifySignature('s3cret', headers, body.replace('high', 'low'))).toBe(false);
+    expect(webhook.verifySignature('other', headers, body)).toBe(false);
+    expect(webhook.verifySignature('s3cret', headers, body, { now: Date.now() + 10 * 60 * 1000 })).toBe(false);
+  });
+
+  test('PagerDuty: triggers an incident keyed by the alert and surfaces rejected events', async () => {
+    stub = await startHttpStub((req, body) => (JSON.parse(body).routing_key === 'good'
+      ? [202, JSON.stringify({ status: 'success', dedup_key: JSON.parse(body).dedup_key })]
+      : [400, JSON.stringify({ status: 'invalid event' })]));
+    const alert = alertOf('high', 'balance', { wallet: WALLET, chainId: 10 });
+
+    const result = await pagerduty.sendAlert(alert, { routingKey: 'good', eventsUrl: `${stub.url}/v2/enqueue`, source: 'bot-1' });
+
+    expect(result).toEqual({ success: true, dedupKey: alert.id });
+    expect(JSON.parse(stub.requests[0].body)).toEqual({
+      routing_key: 'good',
+      event_action: 'trigger',
+      dedup_key: alert.id,
+      payload: {
+        summary: '[HIGH] balance went wrong',
+        source: 'bot-1',
+        severity: 'error',
+        timestamp: new Date(SATURDAY_NOON).toISOString(),
+        component: 'balance',
+        group: 'chain-10',
+        custom_details: { wallet: WALLET, chainId: 10 },
+      },
+    });
+
+    await expect(pagerduty.sendAlert(alert, { routingKey: 'bad', eventsUrl: `${stub.url}/v2/enqueue` }))
+      .rejects.toThrow('PagerDuty API error: returned 400');
+  });
+
+  test('Email: authenticates and delivers one message to every recipient', async () => {
+    stub = await startSmtpStub();
+
+    const result = await email.sendAlert(alertOf('critical', 'key', { keyId: 'hot-1' }), {
+      host: stub.host,
+      port: stub.port,
+      user: 'bot@example.com',
+      pass: 'pw',
+      to: ['ops@example.com', 'Treasury <treasury@example.com>'],
+      hostname: 'bot.local',
+      // The stub speaks plain SMTP only
+      allowInsecureAuth: true,
+    });
+
+    expect(result).toEqual({ success: true, response: '2.0.0 Ok: queued as 4F2A' });
+    expect(stub.session.commands).toEqual([
+      'EHLO bot.local',
+      `AUTH PLAIN ${Buffer.from('\0bot@example.com\0pw').toString('base64')}`,
+      'MAIL FROM:<bot@example.com>',
+      'RCPT TO:<ops@example.com>',
+      'RCPT TO:<treasury@example.com>',
+      'DATA',
+      'QUIT',
+    ]);
+
+    const [headers, body] = stub.session.message.split('\n\n');
+    expect(headers).toContain('Subject: [CRITICAL] key: key went wrong');
+    expect(headers).toContain('To: ops@example.com, Treasury <treasury@example.com>');
+    const text = Buffer.from(body.replace(/\n/g, ''), 'base64').toString('utf8');
+    expect(text).toContain('Level: critical');
+    expect(text).toContain('"keyId": "hot-1"');
+  });
+
+  test('Email: refuses to authenticate without TLS unless allowed', async () => {
+    stub = await startSmtpStub();
+
+    await expect(email.sendMail(
+      { subject: 'Test', text: 'Hello', to: 'ops@example.com' },
+      { host: stub.host, port: stub.port, user: 'bot@example.com', pass: 'pw', hostname: 'bot.local' }
+    )).rejects.toThrow('refusing to send credentials over an unencrypted connection');
+    expect(stub.session.commands).toEqual(['EHLO bot.local']);
+  });
+
+  test('Email: fails when the server refuses a recipient', async () => {
+    stub = await startSmtpStub({ rejectRecipient: 'nobody@' });
+
+    await expect(email.sendMail(
+      { subject: 'Test', text: 'Hello', to: 'nobody@example.com' },
+      { host: stub.host, port: stub.port, from: 'bot@example.com' }
+    )).rejects.toThrow('SMTP API error: RCPT TO rejected: 550 5.1.1 No such user');
+  });
+});
@@ -0,0 +1,264 @@
+/**
+ * Dashboard Server Tests
+ *
+ * Serves a real Dashboard on an ephemeral port: Prometheus metrics, the JSON
+ * API, token auth and the Server-Sent Events stream.
+ */
+
+const http = require('http');
+const { Dashboard } = require('../../src/monitoring/dashboard');
+const { DashboardServer, feedDashboard } = require('../../src/services/dashboard');
+const { TransactionLedger } = require('../../src/core/ledger');
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+
+function request(base, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(`${base}${path}`, { headers }, (res) => {
+      let body = '';
+      res.on('data', chunk => (body += chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+const getJson = async (base, path, headers) => {
+  const res = await request(base, path, headers);
+  return { ...res, json: JSON.parse(res.body) };
+};
+
+/**
+ * Open an SSE stream and collect parsed events until closed
+ */
+function openStream(base, path) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const waiters = [];
+    let buffer = '';
+
+    const req = http.get(`${base}${path}`, (res) => {
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let index;
+        while ((index = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+          const event = block.match(/^event: (.+)$/m)?.[1];
+          const data = block.match(/^data: (.+)$/m)?.[1];
+          if (!event) continue;
+          events.push({ event, data: JSON.parse(data) });
+          waiters.splice(0).forEach(check => check());
+        }
+      });
+      resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        events,
+        next: (name) => new Promise((done) => {
+          const check = () => {
+            const found = events.find(e => e.event === name);
+            if (found) done(found);
+            else waiters.push(check);
+          };
+          check();
+        }),
+        close: () => req.destroy(),
+      });
+    });
+    req.on('error', (error) => {
+      if (error.code !== 'ECONNRESET') reject(error);
+    });
+  });
+}
+
+describe('DashboardServer', () => {
+  let dashboard;
+  let server;
+  let base;
+
+  async function startServer(options = {}) {
+    server = new DashboardServer({ dashboard, host: '127.0.0.1', port: 0, heartbeatInterval: 50, ...options });
+    const { port } = await server.start();
+    base = `http://127.0.0.1:${port}`;
+  }
+
+  beforeEach(() => {
+    dashboard = new Dashboard({
+      logger: { debug: jest.fn(), warn: jest.fn(), error: jest.fn(), info: jest.fn() },
+    });
+  });
+
+  afterEach(async () => {
+    await server?.stop();
+    server = null;
+  });
+
+  test('should require a dashboard', () => {
+    expect(() => new DashboardServer({})).toThrow(/needs a dashboard/);
+  });
+
+  test('should serve Prometheus metrics', async () => {
+    await startServer({ token: null });
+    dashboard.trackPendingTransaction({ txHash: '0xp1', wallet: WALLET, type: 'swap', chainId: 1 });
+
+    const res = await request(base, '/metrics');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain; version=0\.0\.4/);
+    expect(res.body).toContain('# TYPE airdrop_bot_transactions_pending gauge');
+    expect(res.body).toContain('airdrop_bot_transactions_pending 1');
+    expect(res.body.endsWith('\n')).toBe(true);
+  });
+
+  test('should serve transactions, wallets, alerts and status as JSON', async () => {
+    await startServer({ token: null });
+    dashboard.trackPendingTransaction({ txHash: '0xp1', wallet: WALLET, type: 'swap', chainId: 1 });
+    dashboard.trackPendingTransaction({ txHash: '0xp2', wallet: WALLET, type: 'transfer', chainId: 10 });
+    dashboard.confirmTransaction('0xp2', { blockNumber: 5 });
+    dashboard.updateWalletStatus(WALLET, { balance: '1.5', nonce: 7 });
+    dashboard.recordAlert({ id: 'a1', level: 'high', category: 'rpc', message: 'RPC down' });
+    dashboard.recordAlert({ id: 'a2', level: 'low', category: 'system', message: 'ok', acknowledged: true });
+
+    const transactions = await getJson(base, '/api/transactions');
+    expect(transactions.json.pending).toEqual([expect.objectContaining({ txHash: '0xp1', status: 'pending' })]);
+    expect(transactions.json.recent).toEqual([expect.objectContaining({ txHash: '0xp2', status: 'confirmed', blockNumber: 5 })]);
+
+    const wallets = await getJson(base, '/api/wallets');
+    expect(wallets.json.wallets).toEqual([expect.objectContaining({ address: WALLET, balance: '1.5', nonce: 7 })]);
+
+    const alerts = await getJson(base, '/api/alerts?limit=1');
+    expect(alerts.json.active.map(a => a.id)).toEqual(['a1']);
+    expect(alerts.json.recent.map(a => a.id)).toEqual(['a2']);
+
+    const status = await getJson(base, '/api/status');
+    expect(status.json.status.data).toMatchObject({ pendingTransactions: 1, trackedWallets: 1, activeAlerts: 1 });
+    expect(status.json.mev.stats).toMatchObject({ detected: 0, extractedEth: '0.0' });
+    expect(status.json).toHaveProperty('rpc.providers');
+    expect(status.json).toHaveProperty('oracles.prices');
+  });
+
+  test('should serve the web UI and reject unknown routes and methods', async () => {
+    await startServer({ token: null });
+
+    const ui = await request(base, '/');
+    expect(ui.status).toBe(200);
+    expect(ui.headers['content-type']).toMatch(/^text\/html/);
+    expect(ui.body).toContain("new EventSource(withToken('/api/events'))");
+
+    expect((await request(base, '/api/nope')).status).toBe(404);
+    expect((await request(base, '/../package.json')).status).toBe(404);
+
+    const post = await new Promise((resolve, reject) => {
+      const req = http.request(`${base}/api/status`, { method: 'POST' }, resolve);
+      req.on('error', reject);
+      req.end();
+    });
+    post.resume();
+    expect(post.statusCode).toBe(405);
+    expect(post.headers.allow).toBe('GET');
+  });
+
+  test('should require the token by header or query parameter when set', async () => {
+    await startServer({ token: 's3cret' });
+
+    const denied = await request(base, '/api/status');
+    expect(denied.status).toBe(401);
+    expect(denied.headers['www-authenticate']).toBe('Bearer');
+    expect((await request(base, '/metrics', { Authorization: 'Bearer wrong' })).status).toBe(401);
+
+    expect((await request(base, '/metrics', { Authorization: 'Bearer s3cret' })).status).toBe(200);
+    expect((await request(base, '/api/wallets?token=s3cret')).status).toBe(200);
+  });
+
+  test('should stream a snapshot and then dashboard events', async () => {
+    await startServer({ token: 's3cret' });
+    const connected = new Promise(resolve => server.once('client:connected', resolve));
+    const stream = await openStream(base, '/api/events?token=s3cret');
+    await connected;
+
+    expect(stream.status).toBe(200);
+    expect(stream.headers['content-type']).toMatch(/^text\/event-stream/);
+    const snapshot = await stream.next('snapshot');
+    expect(snapshot.data).toHaveProperty('transactions.pending', []);
+
+    dashboard.recordAlert({ id: 'a1', level: 'critical', category: 'security', message: 'Key exposed' });
+    dashboard.trackPendingTransaction({ txHash: '0xp1', wallet: WALLET, type: 'swap', chainId: 1 });
+
+    expect((await stream.next('alert')).data).toMatchObject({ id: 'a1', level: 'critical' });
+    expect((await stream.next('transaction:pending')).data).toMatchObject({ txHash: '0xp1' });
+    expect(server.getStatus().streamClients).toBe(1);
+
+    const disconnected = new Promise(resolve => server.once('client:disconnected', resolve));
+    stream.close();
+    expect(await disconnected).toBe(0);
+    expect(dashboard.subscribers.get('alert').size).toBe(0);
+  });
+
+  test('should end open streams on stop', async () => {
+    await startServer({ token: null });
+    const connected = new Promise(resolve => server.once('client:connected', resolve));
+    await openStream(base, '/api/events');
+    await connected;
+
+    await server.stop();
+
+    expect(server.clients.size).toBe(0);
+    expect(server.address()).toBeNull();
+  });
+
+  test('should stay stopped when the port is taken', async () => {
+    await startServer({ token: null });
+    const { port } = server.address();
+    const second = new DashboardServer({ dashboard, host: '127.0.0.1', port, heartbeatInterval: 50 });
+
+    await expect(second.start()).rejects.toThrow(/EADDRINUSE/);
+    expect(second.server).toBeNull();
+    expect(second.heartbeat).toBeNull();
+  });
+});
+
+describe('feedDashboard', () => {
+  let dashboard;
+  let ledger;
+  let stop;
+
+  beforeEach(() => {
+    dashboard = new Dashboard({
+      logger: { debug: jest.fn(), warn: jest.fn(), error: jest.fn(), info: jest.fn() },
+    });
+    ledger = new TransactionLedger();
+    stop = feedDashboard(dashboard, ledger);
+  });
+
+  test('should show ledger transactions as pending until they settle', () => {
+    ledger.recordCommand({ id: 'cmd1', type: 'TRANSFER' });
+    ledger.recordTransaction({ hash: '0xt1', from: WALLET, chainId: 10, status: 'pending', commandId: 'cmd1' });
+
+    expect(dashboard.getTransactionFeed().pending).toEqual([
+      expect.objectContaining({ txHash: '0xt1', wallet: WALLET, type: 'transfer', chainId: 10 }),
+    ]);
+
+    ledger.updateTransaction('0xt1', { status: 'failed', error: 'nonce too low' });
+    ledger.updateTransaction('0xt1', { note: 'retried' });
+
+    const feed = dashboard.getTransactionFeed();
+    expect(feed.pending).toEqual([]);
+    expect(feed.recent).toEqual([expect.objectContaining({ txHash: '0xt1', status: 'failed', error: 'nonce too low' })]);
+  });
+
+  test('should track and confirm secured transactions recorded once settled', () => {
+    ledger.recordTransaction({ hash: '0xs1', from: WALLET, chainId: 1, status: 'confirmed', gasUsed: '21000', blockNumber: 9 });
+
+    expect(dashboard.getTransactionFeed().recent).toEqual([
+      expect.objectContaining({ txHash: '0xs1', type: 'transaction', status: 'confirmed', gasUsed: '21000', blockNumber: 9 }),
+    ]);
+  });
+
+  test('should stop feeding when stopped', () => {
+    stop();
+    ledger.recordTransaction({ hash: '0xt2', from: WALLET, chainId: 1, status: 'pending' });
+
+    expect(dashboard.getTransactionFeed().pending).toEqual([]);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Discord Bot Tests
+ *
+ * Signs interactions with a throwaway Ed25519 key and runs them through the
+ * bot: signature checks, slash command translation, user-id access control,
+ * deferred responses completed through the interaction webhook and button
+ * confirmations.
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+jest.mock('../../src/ai', () => ({
+  processCommand: jest.fn(),
+  generateResponse: jest.fn(() => ({ text: 'Swapped 1 ETH for 3000 USDC' })),
+  getSuggestions: jest.fn(() => []),
+}));
+
+jest.mock('../../src/router/validator', () => ({
+  validateCommand: jest.fn().mockResolvedValue({ valid: true }),
+}));
+
+jest.mock('../../src/engines/swap', () => ({
+  executeSwap: jest.fn().mockResolvedValue({ success: true, txHash: '0xS1' }),
+  getQuote: jest.fn(),
+}));
+
+jest.mock('../../src/router/pending', () => {
+  const actual = jest.requireActual('../../src/router/pending');
+  return { ...actual, getPendingCommands: jest.fn() };
+});
+
+jest.mock('../../src/core/ledger', () => {
+  const actual = jest.requireActual('../../src/core/ledger');
+  return { ...actual, getLedger: jest.fn() };
+});
+
+const ai = require('../../src/ai');
+const swapEngine = require('../../src/engines/swap');
+const router = require('../../src/router');
+const AccessControl = require('../../src/security/access-control');
+const { DiscordBot, InteractionType, ResponseType, buildCommandText } = require('../../src/services/bots/discord');
+const { PendingCommands, getPendingCommands } = require('../../src/router/pending');
+const { MemoryStore } = require('../../src/core/store');
+const { TransactionLedger, getLedger } = require('../../src/core/ledger');
+
+const TRADER = '111';
+const VIEWER = '222';
+const STRANGER = '999';
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const PUBLIC_KEY_HEX = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url').toString('hex');
+
+function signed(interaction, key = privateKey, timestamp = String(Math.floor(Date.now() / 1000))) {
+  const body = JSON.stringify(interaction);
+  const signature = crypto.sign(null, Buffer.from(timestamp + body), key).toString('hex');
+  return [{ 'X-Signature-Ed25519': signature, 'X-Signature-Timestamp': timestamp }, body];
+}
+
+const slash = (userId, name, options = {}) => ({
+  type: InteractionType.APPLICATION_COMMAND,
+  token: 'slash-token',
+  member: { user: { id: userId } },
+  data: { name, options: Object.entries(options).map(([n, value]) => ({ name: n, value })) },
+});
+
+const button = (userId, customId) => ({
+  type: InteractionType.MESSAGE_COMPONENT,
+  token: 'button-token',
+  member: { user: { id: userId } },
+  data: { custom_id: customId },
+});
+
+describe('DiscordBot', () => {
+  let bot;
+  let dispatch;
+
+  // Run a deferred interaction; returns the webhook call that delivered it
+  const complete = async (interaction) => {
+    await bot.completeInteraction(interaction);
+    const [method, path, body] = bot.request.mock.calls.at(-1);
+    return { method, path, body };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getLedger.mockReturnValue(new TransactionLedger());
+    getPendingCommands.mockReturnValue(new PendingCommands({
+      store: new MemoryStore(),
+      getQuote: jest.fn().mockResolvedValue({ best: { amountOut: '3000' } }),
+      getGasPrice: jest.fn().mockResolvedValue({ maxFeePerGas: ethers.utils.parseUnits('1', 'gwei') }),
+    }));
+
+    ai.processCommand.mockResolvedValue({
+      success: true,
+      intent: 'SWAP',
+      command: { type: 'SWAP', chainId: 42161, params: { fromToken: 'ETH', toToken: 'USDC', amount: '1' } },
+      requiresConfirmation: true,
+      confirmationMessage: 'Please confirm this swap',
+    });
+
+    dispatch = jest.fn();
+    bot = new DiscordBot({
+      publicKey: PUBLIC_KEY_HEX,
+      applicationId: 'app1',
+      dispatch,
+      router,
+      accessControl: new AccessControl({ logger: { info: jest.fn() } }),
+      userRoles: `${TRADER},${VIEWER}:viewer`,
+    });
+    jest.spyOn(bot, 'request').mockResolvedValue(null);
+  });
+
+  test('answers pings and rejects bad signatures', async () => {
+    const ping = await bot.handleRequest(...signed({ type: InteractionType.PING }));
+    expect(ping).toEqual({ statusCode: 200, body: JSON.stringify({ type: ResponseType.PONG }) });
+
+    const [headers, body] = signed({ type: InteractionType.PING });
+    expect((await bot.handleRequest(headers, body.replace('1', '2'))).statusCode).toBe(401);
+    expect((await bot.handleRequest({}, body)).statusCode).toBe(401);
+
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('ed25519');
+    expect((await bot.handleRequest(...signed({ type: InteractionType.PING }, otherKey))).statusCode).toBe(401);
+  });
+
+  test('translates slash command options into router commands', () => {
+    expect(buildCommandText('swap', { amount: 1, from: 'ETH', to: 'USDC', chain: 'arbitrum' }))
+      .toBe('swap 1 ETH for USDC on arbitrum');
+    expect(buildCommandText('send', { amount: 50, token: 'USDC', to: 'vitalik.eth' }))
+      .toBe('send 50 USDC to vitalik.eth');
+    expect(buildCommandText('balance', { token: 'USDC', wallet: 2 })).toBe('check my USDC balance for wallet 2');
+    expect(buildCommandText('airdrop', { protocol: 'layerzero' })).toBe('check my airdrop eligibility for layerzero');
+    expect(buildCommandText('gas', { chain: 'base' })).toBe('check gas on base');
+  });
+
+  test('defers /swap and edits the reply into a confirmation the Confirm button executes', async () => {
+    const interaction = slash(TRADER, 'swap', { amount: 1, from: 'ETH', to: 'USDC' });
+    const [headers, rawBody] = signed(interaction);
+    const { statusCode, body } = await bot.handleRequest(headers, rawBody);
+
+    expect(statusCode).toBe(200);
+    expect(JSON.parse(body)).toEqual({ type: ResponseType.DEFERRED_CHANNEL_MESSAGE });
+    expect(dispatch).toHaveBeenCalledWith(interaction, { headers, rawBody });
+    expect(ai.processCommand).not.toHaveBeenCalled();
+
+    const edit = await complete(interaction);
+
+    expect(edit.method).toBe('PATCH');
+    expect(edit.path).toBe('/webhooks/app1/slash-token/messages/@original');
+    expect(edit.body.content).toBe('Please confirm this swap');
+    expect(ai.processCommand).toHaveBeenCalledWith('swap 1 ETH for USDC', expect.objectContaining({
+      userId: `discord:${TRADER}`,
+    }));
+
+    const [confirm, cancel] = edit.body.components[0].components;
+    expect(cancel.custom_id).toMatch(/^cancel:/);
+
+    const press = button(TRADER, confirm.custom_id);
+    expect(await bot.handleInteraction(press)).toEqual({ type: ResponseType.DEFERRED_UPDATE_MESSAGE });
+
+    const update = await complete(press);
+
+    expect(swapEngine.executeSwap).toHaveBeenCalledTimes(1);
+    expect(update).toEqual({
+      method: 'PATCH',
+      path: '/webhooks/app1/button-token/messages/@original',
+      body: { content: 'Swapped 1 ETH for 3000 USDC', components: [] },
+    });
+  });
+
+  test('Cancel button cancels the pending command', async () => {
+    const prompt = await complete(slash(TRADER, 'swap', { amount: 1, from: 'ETH', to: 'USDC' }));
+    const cancelId = prompt.body.components[0].components[1].custom_id;
+
+    const result = await complete(button(TRADER, cancelId));
+
+    expect(swapEngine.executeSwap).not.toHaveBeenCalled();
+    expect(result.body.content).toBe('❌ Cancelled.');
+  });
+
+  test('answers unknown commands directly without deferring', async () => {
+    const result = await bot.handleInteraction(slash(TRADER, 'stake'));
+
+    expect(result.data).toEqual({ content: 'Unknown command /stake', flags: 64 });
+    expect(dispatch).not.toHaveBeenCalled();
+  });
+
+  test('runs forwarded requests only when freshly signed', async () => {
+    const interaction = slash(TRADER, 'gas');
+    const stale = String(Math.floor(Date.now() / 1000) - 120);
+
+    expect((await bot.handleForwarded(...signed(interaction, privateKey, stale))).statusCode).toBe(401);
+    const [headers, rawBody] = signed(interaction);
+    expect((await bot.handleForwarded(headers, rawBody.replace('gas', 'gaz'))).statusCode).toBe(401);
+    expect(bot.request).not.toHaveBeenCalled();
+
+    expect((await bot.handleForwarded(headers, rawBody)).statusCode).toBe(200);
+    expect(bot.request).toHaveBeenCalledWith('PATCH', '/webhooks/app1/slash-token/messages/@original', expect.any(Object));
+  });
+
+  test('rejects unmapped users privately', async () => {
+    const result = await bot.handleInteraction(slash(STRANGER, 'gas'));
+
+    expect(ai.processCommand).not.toHaveBeenCalled();
+    expect(result.data.flags).toBe(64);
+    expect(result.data.content).toMatch(`user id ${STRANGER}`);
+  });
+
+  test('viewers cannot trade or press another user\'s buttons', async () => {
+    const denied = await complete(slash(VIEWER, 'swap', { amount: 1, from: 'ETH', to: 'USDC' }));
+    expect(denied.body.content).toMatch('Access denied: SWAP requires trade:swap');
+
+    const prompt = await complete(slash(TRADER, 'swap', { amount: 1, from: 'ETH', to: 'USDC' }));
+    const confirmId = prompt.body.components[0].components[0].custom_id;
+    const pressed = await complete(button(VIEWER, confirmId));
+
+    // Only the presser sees the refusal; the prompt is left as it is
+    expect(pressed.method).toBe('POST');
+    expect(pressed.path).toBe('/webhooks/app1/button-token');
+    expect(pressed.body.flags).toBe(64);
+    expect(swapEngine.executeSwap).not.toHaveBeenCalled();
+    expect(await router.listPendingCommands(`discord:${TRADER}`)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Scheduler Service Tests
+ *
+ * Covers cron evaluation, strategy file validation, due-job selection,
+ * preconditions and persisted run history.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/services/notifications', () => ({
+  notify: jest.fn().mockResolvedValue([]),
+}));
+
+const notifications = require('../../src/services/notifications');
+const { parseCron, matches, nextRun, previousRun } = require('../../src/services/scheduler/cron');
+const { parseStrategy, loadStrategy } = require('../../src/services/scheduler/strategy');
+const { Scheduler, RUN_STATUS } = require('../../src/services/scheduler');
+
+const at = (iso) => new Date(iso).getTime();
+
+const STRATEGY = `
+defaults:
+  chainId: 42161
+  preconditions:
+    maxGasGwei: 1
+jobs:
+  - id: noon-swap
+    type: swap
+    schedule: "0 12 * * *"
+    params: { fromToken: ETH, toToken: USDC, amount: "0.01" }
+  - id: hourly-check
+    type: eligibility
+    schedule: "@hourly"
+    wallet: wallet2
+  - id: disabled-claim
+    type: claim
+    schedule: "* * * * *"
+    enabled: false
+    params: { protocol: zksync }
+`;
+
+describe('Scheduler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('cron', () => {
+    test('matches fields, ranges, steps and lists', () => {
+      const cron = parseCron('*/15 9-17 * * 1,3,5');
+
+      expect(matches(cron, at('2024-01-01T09:30:00Z'))).toBe(true); // Monday
+      expect(matches(cron, at('2024-01-01T09:31:00Z'))).toBe(false);
+      expect(matches(cron, at('2024-01-02T09:30:00Z'))).toBe(false); // Tuesday
+      expect(matches(cron, at('2024-01-01T18:00:00Z'))).toBe(false);
+    });
+
+    test('computes next and previous fire times', () => {
+      expect(nextRun('0 12 * * *', at('2024-01-01T12:00:00Z')).toISOString())
+        .toBe('2024-01-02T12:00:00.000Z');
+      expect(previousRun('@daily', at('2024-01-05T08:00:00Z')).toISOString())
+        .toBe('2024-01-05T00:00:00.000Z');
+    });
+
+    test('rejects malformed expressions', () => {
+      expect(() => parseCron('61 * * * *')).toThrow('Invalid cron minute');
+      expect(() => parseCron('* * *')).toThrow('5 fields');
+    });
+  });
+
+  describe('strategy', () => {
+    test('applies defaults to jobs', () => {
+      const { jobs } = parseStrategy(STRATEGY);
+
+      expect(jobs).toHaveLength(3);
+      expect(jobs[0]).toEqual(expect.objectContaining({
+        id: 'noon-swap',
+        chainId: 42161,
+        wallet: 'primary',
+        preconditions: { maxGasGwei: 1 },
+      }));
+      expect(jobs[1].wallet).toBe('wallet2');
+      expect(jobs[2].enabled).toBe(false);
+    });
+
+    test('rejects unknown types and missing params', () => {
+      expect(() => parseStrategy('jobs:\n  - type: stake\n    schedule: "@daily"'))
+        .toThrow('unknown type');
+      expect(() => parseStrategy('jobs:\n  - type: swap\n    schedule: "@daily"\n    params: { fromToken: ETH }'))
+        .toThrow('missing params toToken, amount');
+    });
+
+    test('loads the bundled example strategy', () => {
+      const { jobs } = loadStrategy(path.join(__dirname, '../../strategy.example.yaml'));
+      expect(jobs.length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('execution', () => {
+    let scheduler;
+    let runJob;
+    let checkPreconditions;
+
+    beforeEach(() => {
+      runJob = jest.fn().mockResolvedValue({ success: true, txHash: '0xabc' });
+      checkPreconditions = jest.fn().mockResolvedValue({ ok: true });
+      scheduler = new Scheduler({ runJob, checkPreconditions, catchUpWindow: 5 * 60 * 1000 });
+      scheduler.load(STRATEGY);
+    });
+
+    test('runs each fire time once within the catch-up window', async () => {
+      const runs = await scheduler.tick(at('2024-01-01T12:02:00Z'));
+
+      expect(runs.map(r => r.jobId)).toEqual(['noon-swap', 'hourly-check']);
+      expect(runs[0]).toEqual(expect.objectContaining({
+        status: RUN_STATUS.SUCCESS,
+        txHash: '0xabc',
+        scheduledFor: at('2024-01-01T12:00:00Z'),
+      }));
+
+      expect(await scheduler.tick(at('2024-01-01T12:04:00Z'))).toHaveLength(0);
+      expect(await scheduler.tick(at('2024-01-01T12:20:00Z'))).toHaveLength(0);
+      expect(runJob).toHaveBeenCalledTimes(2);
+    });
+
+    test('records skipped runs when preconditions fail', async () => {
+      checkPreconditions.mockResolvedValue({ ok: false, reason: 'Gas 40.00 gwei above max 1 gwei' });
+
+      const [run] = await scheduler.tick(at('2024-01-01T12:00:30Z'));
+
+      expect(run.status).toBe(RUN_STATUS.SKIPPED);
+      expect(run.reason).toMatch('above max');
+      expect(runJob).not.toHaveBeenCalled();
+      expect(notifications.notify).not.toHaveBeenCalled();
+    });
+
+    test('records failures and notifies', async () => {
+      runJob.mockRejectedValue(new Error('insufficient funds'));
+
+      const runs = await scheduler.tick(at('2024-01-01T12:01:00Z'));
+
+      expect(runs[0].status).toBe(RUN_STATUS.FAILED);
+      expect(runs[0].error).toBe('insufficient funds');
+      expect(notifications.notify).toHaveBeenCalledWith(
+        expect.stringContaining('noon-swap'),
+        { type: 'error' }
+      );
+    });
+
+    test('persists history so restarts do not re-run a fire time', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+      const historyPath = path.join(dir, 'history.json');
+
+      const first = new Scheduler({ runJob, checkPreconditions, historyPath });
+      first.load(STRATEGY);
+      await first.tick(at('2024-01-01T12:01:00Z'));
+
+      const second = new Scheduler({ runJob, checkPreconditions, historyPath });
+      second.load(STRATEGY);
+
+      expect(second.getHistory({ jobId: 'noon-swap' })).toHaveLength(1);
+      expect(await second.tick(at('2024-01-01T12:03:00Z'))).toHaveLength(0);
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('manual runs do not suppress the next scheduled fire', async () => {
+      const manual = await scheduler.runNow('noon-swap');
+
+      expect(manual).toEqual(expect.objectContaining({ manual: true, scheduledFor: null }));
+
+      const runs = await scheduler.tick(at('2024-01-01T12:02:00Z'));
+      expect(runs.map(r => r.jobId)).toContain('noon-swap');
+      expect(scheduler.getLastScheduledRun('noon-swap').scheduledFor).toBe(at('2024-01-01T12:00:00Z'));
+      expect(scheduler.getHistory({ jobId: 'noon-swap' })).toHaveLength(2);
+    });
+
+    test('lists jobs with their next run', () => {
+      const jobs = scheduler.getJobs(at('2024-01-01T12:30:00Z'));
+
+      expect(jobs.find(j => j.id === 'noon-swap').nextRun).toBe('2024-01-02T12:00:00.000Z');
+      expect(jobs.find(j => j.id === 'disabled-claim').nextRun).toBeNull();
+    });
+  });
+});
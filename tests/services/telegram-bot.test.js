@@ -0,0 +1,271 @@
+/**
+ * Telegram Bot Tests
+ *
+ * Runs the bot against a local fake Bot API server: long polling, webhook
+ * secret checks, chat-id access control and inline-button confirmations.
+ */
+
+const http = require('http');
+const { ethers } = require('ethers');
+
+jest.mock('../../src/ai', () => ({
+  processCommand: jest.fn(),
+  generateResponse: jest.fn(() => ({ text: 'Swapped 1 ETH for 3000 USDC' })),
+  getSuggestions: jest.fn(() => []),
+}));
+
+jest.mock('../../src/router/validator', () => ({
+  validateCommand: jest.fn().mockResolvedValue({ valid: true }),
+}));
+
+jest.mock('../../src/engines/swap', () => ({
+  executeSwap: jest.fn().mockResolvedValue({ success: true, txHash: '0xS1' }),
+  getQuote: jest.fn(),
+}));
+
+jest.mock('../../src/router/pending', () => {
+  const actual = jest.requireActual('../../src/router/pending');
+  return { ...actual, getPendingCommands: jest.fn() };
+});
+
+jest.mock('../../src/core/ledger', () => {
+  const actual = jest.requireActual('../../src/core/ledger');
+  return { ...actual, getLedger: jest.fn() };
+});
+
+const ai = require('../../src/ai');
+const swapEngine = require('../../src/engines/swap');
+const router = require('../../src/router');
+const AccessControl = require('../../src/security/access-control');
+const { TelegramBot } = require('../../src/services/bots/telegram');
+const { parseRoleMap } = require('../../src/services/bots/roles');
+const { PendingCommands, getPendingCommands } = require('../../src/router/pending');
+const { MemoryStore } = require('../../src/core/store');
+const { TransactionLedger, getLedger } = require('../../src/core/ledger');
+
+const TOKEN = '123:TEST';
+const TRADER_CHAT = 1001;
+const VIEWER_CHAT = 1002;
+const STRANGER_CHAT = 666;
+
+/**
+ * Minimal Bot API: records calls and serves queued updates to getUpdates
+ */
+function startFakeBotApi() {
+  const calls = [];
+  const updates = [];
+  let nextMessageId = 1;
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      const [, token, method] = req.url.match(/^\/bot([^/]+)\/(\w+)$/) || [];
+      const params = body ? JSON.parse(body) : {};
+      calls.push({ method, params });
+
+      let result = true;
+      if (token !== TOKEN) {
+        res.end(JSON.stringify({ ok: false, description: 'Unauthorized' }));
+        return;
+      }
+      if (method === 'getUpdates') {
+        result = updates.filter(u => u.update_id >= (params.offset || 0));
+        updates.length = 0;
+      } else if (method === 'sendMessage') {
+        result = { message_id: nextMessageId++, chat: { id: params.chat_id }, text: params.text };
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ ok: true, result }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        calls,
+        updates,
+        sent: () => calls.filter(c => c.method === 'sendMessage').map(c => c.params),
+        close: () => new Promise(r => server.close(r)),
+      });
+    });
+  });
+}
+
+let updateId = 1;
+const message = (chatId, text) => ({
+  update_id: updateId++,
+  message: { message_id: updateId, chat: { id: chatId }, from: { id: chatId }, text },
+});
+const callback = (chatId, data) => ({
+  update_id: updateId++,
+  callback_query: { id: `cb${updateId}`, data, message: { message_id: 1, chat: { id: chatId } } },
+});
+
+describe('TelegramBot', () => {
+  let api;
+  let bot;
+
+  beforeAll(async () => {
+    api = await startFakeBotApi();
+  });
+
+  afterAll(async () => {
+    await api.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    api.calls.length = 0;
+    getLedger.mockReturnValue(new TransactionLedger());
+    getPendingCommands.mockReturnValue(new PendingCommands({
+      store: new MemoryStore(),
+      getQuote: jest.fn().mockResolvedValue({ best: { amountOut: '3000' } }),
+      getGasPrice: jest.fn().mockResolvedValue({ maxFeePerGas: ethers.utils.parseUnits('1', 'gwei') }),
+    }));
+
+    ai.processCommand.mockResolvedValue({
+      success: true,
+      intent: 'SWAP',
+      command: { type: 'SWAP', chainId: 42161, params: { fromToken: 'ETH', toToken: 'USDC', amount: '1' } },
+      requiresConfirmation: true,
+      confirmationMessage: 'Please confirm this swap',
+    });
+
+    bot = new TelegramBot({
+      botToken: TOKEN,
+      apiUrl: api.url,
+      pollTimeout: 0,
+      webhookSecret: 's3cret',
+      router,
+      accessControl: new AccessControl({ logger: { info: jest.fn() } }),
+      allowedChats: `${TRADER_CHAT},${VIEWER_CHAT}:viewer`,
+    });
+  });
+
+  test('parses allowed chats with optional roles', () => {
+    expect([...parseRoleMap('1, -100200:viewer ,3:admin')]).toEqual([
+      ['1', 'trader'],
+      ['-100200', 'viewer'],
+      ['3', 'admin'],
+    ]);
+  });
+
+  test('long-polls messages into the router and confirms via inline button', async () => {
+    api.updates.push(message(TRADER_CHAT, 'swap 1 eth for usdc'));
+    await bot.poll();
+
+    const [prompt] = api.sent();
+    expect(prompt.chat_id).toBe(TRADER_CHAT);
+    expect(prompt.text).toBe('Please confirm this swap');
+    const [confirmButton, cancelButton] = prompt.reply_markup.inline_keyboard[0];
+    expect(cancelButton.callback_data).toMatch(/^cancel:/);
+    expect(ai.processCommand).toHaveBeenCalledWith('swap 1 eth for usdc', expect.objectContaining({
+      userId: `telegram:${TRADER_CHAT}`,
+    }));
+
+    api.updates.push(callback(TRADER_CHAT, confirmButton.callback_data));
+    await bot.poll();
+
+    expect(swapEngine.executeSwap).toHaveBeenCalledTimes(1);
+    expect(api.calls.find(c => c.method === 'answerCallbackQuery').params.text).toBe('Confirmed');
+    expect(api.calls.some(c => c.method === 'editMessageReplyMarkup')).toBe(true);
+    expect(api.sent().pop().text).toBe('Swapped 1 ETH for 3000 USDC');
+
+    // Offsets advance so updates are not redelivered
+    expect(api.calls.filter(c => c.method === 'getUpdates').pop().params.offset).toBe(updateId - 1);
+  });
+
+  test('cancel button cancels the pending command', async () => {
+    await bot.handleUpdate(message(TRADER_CHAT, 'swap 1 eth for usdc'));
+    const cancelData = api.sent()[0].reply_markup.inline_keyboard[0][1].callback_data;
+
+    await bot.handleUpdate(callback(TRADER_CHAT, cancelData));
+
+    expect(swapEngine.executeSwap).not.toHaveBeenCalled();
+    expect(api.sent().pop().text).toBe('❌ Cancelled.');
+  });
+
+  test('rejects chats that are not allowed', async () => {
+    await bot.handleUpdate(message(STRANGER_CHAT, 'swap 1 eth for usdc'));
+
+    expect(ai.processCommand).not.toHaveBeenCalled();
+    expect(api.sent()[0].text).toMatch(`chat (id ${STRANGER_CHAT}) is not authorized`);
+  });
+
+  test('viewer chats cannot start trades', async () => {
+    await bot.handleUpdate(message(VIEWER_CHAT, 'swap 1 eth for usdc'));
+
+    expect(api.sent()[0].text).toMatch('Access denied: SWAP requires trade:swap');
+    expect(await router.listPendingCommands(`telegram:${VIEWER_CHAT}`)).toEqual([]);
+  });
+
+  test('another chat cannot press the buttons', async () => {
+    await bot.handleUpdate(message(TRADER_CHAT, 'swap 1 eth for usdc'));
+    const confirmData = api.sent()[0].reply_markup.inline_keyboard[0][0].callback_data;
+
+    await bot.handleUpdate(callback(VIEWER_CHAT, confirmData));
+
+    expect(swapEngine.executeSwap).not.toHaveBeenCalled();
+  });
+
+  test('webhook requires the secret token', async () => {
+    const body = JSON.stringify(message(TRADER_CHAT, '/help'));
+
+    expect(await bot.handleWebhook({}, body)).toEqual({ statusCode: 401 });
+    expect(await bot.handleWebhook({ 'X-Telegram-Bot-Api-Secret-Token': 'wrong' }, body)).toEqual({ statusCode: 401 });
+    expect(await bot.handleWebhook({ 'X-Telegram-Bot-Api-Secret-Token': 's3cret' }, body)).toEqual({ statusCode: 200 });
+    expect(api.sent()).toHaveLength(1);
+    expect(api.sent()[0].text).toMatch('Send me a command');
+  });
+
+  test('webhook mode is refused without a secret', async () => {
+    const open = new TelegramBot({
+      botToken: TOKEN,
+      apiUrl: api.url,
+      webhookSecret: '',
+      router,
+      accessControl: new AccessControl({ logger: { info: jest.fn() } }),
+      allowedChats: `${TRADER_CHAT}`,
+    });
+    const body = JSON.stringify(message(TRADER_CHAT, 'swap 1 eth for usdc'));
+
+    expect(await open.handleWebhook({}, body)).toEqual({ statusCode: 403 });
+    expect(await open.handleForwarded({}, body)).toEqual({ statusCode: 403 });
+    expect(() => open.setWebhook('https://bot.example.com/hook')).toThrow('TELEGRAM_WEBHOOK_SECRET');
+    expect(ai.processCommand).not.toHaveBeenCalled();
+  });
+
+  test('webhook updates are handed to dispatch and run when forwarded back', async () => {
+    const dispatch = jest.fn().mockResolvedValue();
+    const deferred = new TelegramBot({
+      botToken: TOKEN,
+      apiUrl: api.url,
+      webhookSecret: 's3cret',
+      router,
+      accessControl: new AccessControl({ logger: { info: jest.fn() } }),
+      allowedChats: `${TRADER_CHAT}`,
+      dispatch,
+    });
+    const headers = { 'x-telegram-bot-api-secret-token': 's3cret' };
+    const body = JSON.stringify(message(TRADER_CHAT, 'swap 1 eth for usdc'));
+
+    expect(await deferred.handleWebhook(headers, body)).toEqual({ statusCode: 200 });
+    expect(dispatch).toHaveBeenCalledWith(expect.objectContaining({ message: expect.any(Object) }), { headers, body });
+    expect(ai.processCommand).not.toHaveBeenCalled();
+
+    expect(await deferred.handleForwarded({}, body)).toEqual({ statusCode: 401 });
+    expect(await deferred.handleForwarded(headers, body)).toEqual({ statusCode: 200 });
+    expect(ai.processCommand).toHaveBeenCalledTimes(1);
+    expect(api.sent()[0].text).toMatch('Please confirm this swap');
+  });
+
+  test('start and stop the polling loop', async () => {
+    bot.start();
+    await bot.stop();
+
+    expect(bot.polling).toBe(false);
+    expect(api.calls.some(c => c.method === 'getUpdates')).toBe(true);
+  });
+});